@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+/**
+ * Headless render entry point
+ * Renders a saved .nftproject (or resumes from a settings file) without Electron.
+ * Run with --help for usage.
+ */
+
+// Keep stdout for progress - pipeline logging goes to stderr.
+// Redirect before loading the pipeline, some modules log while they are imported.
+console.log = console.error;
+console.info = console.error;
+console.warn = console.error;
+console.debug = console.error;
+
+const { HeadlessRenderer } = await import('../src/cli/HeadlessRenderer.js');
+const renderer = new HeadlessRenderer();
+
+try {
+    process.exitCode = await renderer.run(HeadlessRenderer.parseArgs(process.argv.slice(2)));
+} catch (error) {
+    process.stderr.write(`❌ Unexpected error: ${error.stack || error.message}\n`);
+    process.exitCode = 1;
+}
+
+// Plugin and worker handles can keep the event loop alive after the render finished
+process.exit(process.exitCode);
@@ -7,6 +7,8 @@ import SolidIpcHandlers from './src/main/modules/SolidIpcHandlers.js'
 import SafeConsole from './src/main/utils/SafeConsole.js'
 import NodeConsoleInterceptor from './src/main/utils/NodeConsoleInterceptor.js'
 import AsarModuleResolver from './src/utils/AsarModuleResolver.js'
+import ApplicationMenuService from './src/main/services/ApplicationMenuService.js'
+import ShortcutHandlers from './src/main/handlers/ShortcutHandlers.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 
@@ -145,6 +147,12 @@ app.whenReady().then(async () => {
       SafeConsole.log('⚠️ [main] Plugin loading at startup failed (non-critical):', pluginError.message)
     }
 
+    // Native application menu with the default shortcuts; the renderer pushes the
+    // user's keymap through ShortcutHandlers once it has loaded preferences
+    const applicationMenuService = new ApplicationMenuService()
+    applicationMenuService.setKeymap()
+    ipcHandlers.addCustomHandler(new ShortcutHandlers(applicationMenuService))
+
     // Create the main window
     SafeConsole.log('📱 [main] Creating main window...')
     createWindow()
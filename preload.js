@@ -17,6 +17,7 @@ contextBridge.exposeInMainWorld('api', {
     checkFileExists: (filePath) => ipcRenderer.invoke('check-file-exists', filePath),
     listCompletedFrames: (projectDirectory) => ipcRenderer.invoke('list-completed-frames', projectDirectory),
     readFrameImage: (framePath) => ipcRenderer.invoke('read-frame-image', framePath),
+    readFrameByNumber: (projectDirectory, frameNumber) => ipcRenderer.invoke('read-frame-by-number', projectDirectory, frameNumber),
 
     // Project management
     startNewProject: (config) => ipcRenderer.invoke('start-new-project', config),
@@ -25,7 +26,8 @@ contextBridge.exposeInMainWorld('api', {
     importFromSettings: (settingsPath) => ipcRenderer.invoke('import-from-settings', settingsPath),
     loadProject: (filePath) => ipcRenderer.invoke('load-project', filePath),
     saveProject: (filePath, config) => ipcRenderer.invoke('save-project', filePath, config),
-    renderFrame: (config, frameNumber, settingsFile = null) => ipcRenderer.invoke('render-frame', config, frameNumber, settingsFile),
+    renderFrame: (config, frameNumber, settingsFile = null, requestId = null) => ipcRenderer.invoke('render-frame', config, frameNumber, settingsFile, requestId),
+    cancelFrameRender: (requestId) => ipcRenderer.invoke('cancel-frame-render', requestId),
 
     // Project persistence
     saveProjectFile: (filePath, projectData) => ipcRenderer.invoke('save-project-file', filePath, projectData),
@@ -44,6 +46,8 @@ contextBridge.exposeInMainWorld('api', {
     validateEffect: (effectConfig) => ipcRenderer.invoke('validate-effect', effectConfig),
     previewEffect: (previewConfig) => ipcRenderer.invoke('preview-effect', previewConfig),
     previewEffectThumbnail: (thumbnailConfig) => ipcRenderer.invoke('preview-effect-thumbnail', thumbnailConfig),
+    getEffectThumbnail: (request) => ipcRenderer.invoke('effect-thumbnails:get', request),
+    getEffectThumbnailLoop: (request) => ipcRenderer.invoke('effect-thumbnails:get-loop', request),
     generateThumbnail: (effectConfig) => ipcRenderer.invoke('generate-thumbnail', effectConfig),
     refreshEffectRegistry: (skipPluginReload = true) => ipcRenderer.invoke('refresh-effect-registry', skipPluginReload),
     debugEffectRegistry: () => ipcRenderer.invoke('debug-effect-registry'),
@@ -100,10 +104,62 @@ contextBridge.exposeInMainWorld('api', {
         ipcRenderer.removeListener('eventbus-message', callback);
     },
 
+    // Keyboard shortcuts (native menu labels follow the user's keymap)
+    updateShortcutMenu: (keymap) => ipcRenderer.invoke('shortcuts:update-menu', keymap),
+
     // Render loop
     startRenderLoop: (config) => ipcRenderer.invoke('start-render-loop', config),
     startResumeLoop: (config) => ipcRenderer.invoke('start-resume-loop', config),
     stopRenderLoop: () => ipcRenderer.invoke('stop-render-loop'),
+    generateCollection: (config, options) => ipcRenderer.invoke('generate-collection', config, options),
+    cancelCollection: () => ipcRenderer.invoke('cancel-collection'),
+
+    // Render queue
+    renderQueue: {
+        add: (renderJob) => ipcRenderer.invoke('render-queue:add', renderJob),
+        get: () => ipcRenderer.invoke('render-queue:get'),
+        remove: (jobId) => ipcRenderer.invoke('render-queue:remove', jobId),
+        reorder: (jobId, newIndex) => ipcRenderer.invoke('render-queue:reorder', jobId, newIndex),
+        pauseJob: (jobId) => ipcRenderer.invoke('render-queue:pause-job', jobId),
+        resumeJob: (jobId) => ipcRenderer.invoke('render-queue:resume-job', jobId),
+        cancelJob: (jobId) => ipcRenderer.invoke('render-queue:cancel-job', jobId),
+        start: () => ipcRenderer.invoke('render-queue:start'),
+        pause: () => ipcRenderer.invoke('render-queue:pause'),
+        clearFinished: () => ipcRenderer.invoke('render-queue:clear-finished')
+    },
+
+    // Preview frame cache
+    previewCache: {
+        getStats: () => ipcRenderer.invoke('preview-cache:get-stats'),
+        clear: () => ipcRenderer.invoke('preview-cache:clear'),
+        setMaxSize: (maxSizeBytes) => ipcRenderer.invoke('preview-cache:set-max-size', maxSizeBytes)
+    },
+
+    // Animation export (MP4/WebM/GIF)
+    export: {
+        selectOutput: (options) => ipcRenderer.invoke('export:select-output', options),
+        start: (request) => ipcRenderer.invoke('export:start', request),
+        cancel: (exportId) => ipcRenderer.invoke('export:cancel', exportId)
+    },
+
+    // Token metadata generation
+    metadata: {
+        preview: (request) => ipcRenderer.invoke('metadata:preview', request),
+        generate: (request) => ipcRenderer.invoke('metadata:generate', request)
+    },
+
+    // Recent projects on the start screen
+    recentProjects: {
+        getDetails: (filePaths, options) => ipcRenderer.invoke('recent-projects:get-details', filePaths, options),
+        reveal: (filePath) => ipcRenderer.invoke('recent-projects:reveal', filePath)
+    },
+
+    // Palette import/export and image extraction
+    palette: {
+        import: () => ipcRenderer.invoke('palette:import'),
+        export: (request) => ipcRenderer.invoke('palette:export', request),
+        extractFromImage: (options) => ipcRenderer.invoke('palette:extract-from-image', options)
+    },
 
     // Plugin management
     plugins: {
@@ -113,11 +169,22 @@ contextBridge.exposeInMainWorld('api', {
         remove: (pluginName) => ipcRenderer.invoke('plugins:remove', pluginName),
         toggle: (pluginName) => ipcRenderer.invoke('plugins:toggle', pluginName),
         validate: (pluginPath) => ipcRenderer.invoke('plugins:validate', pluginPath),
-        installFromNpm: (packageName) => ipcRenderer.invoke('plugins:install-npm', packageName),
+        installFromNpm: (packageName, approvedCapabilities) => ipcRenderer.invoke('plugins:install-npm', packageName, approvedCapabilities),
         installAndLoad: (pluginData) => ipcRenderer.invoke('plugins:install-and-load', pluginData),
         selectLocal: () => ipcRenderer.invoke('plugins:select-local'),
         getForGeneration: () => ipcRenderer.invoke('plugins:get-for-generation'),
-        getDebugLogPath: () => ipcRenderer.invoke('plugins:get-debug-log-path')
+        getDebugLogPath: () => ipcRenderer.invoke('plugins:get-debug-log-path'),
+        checkUpdates: () => ipcRenderer.invoke('plugins:check-updates'),
+        update: (pluginName, options) => ipcRenderer.invoke('plugins:update', pluginName, options),
+        rollback: (pluginName, options) => ipcRenderer.invoke('plugins:rollback', pluginName, options),
+        getPendingApprovals: () => ipcRenderer.invoke('plugins:get-pending-approvals'),
+        approveCapabilities: (pluginName, approvedCapabilities) => ipcRenderer.invoke('plugins:approve-capabilities', pluginName, approvedCapabilities),
+        getRegistry: () => ipcRenderer.invoke('plugins:get-registry'),
+        setRegistry: (registryUrl) => ipcRenderer.invoke('plugins:set-registry', registryUrl),
+        startDevMode: (pluginName) => ipcRenderer.invoke('plugins:dev-mode-start', pluginName),
+        stopDevMode: (pluginName) => ipcRenderer.invoke('plugins:dev-mode-stop', pluginName),
+        getDevModeStatus: () => ipcRenderer.invoke('plugins:dev-mode-status'),
+        devReload: (pluginName) => ipcRenderer.invoke('plugins:dev-reload', pluginName)
     },
 
     // Event listeners for async updates
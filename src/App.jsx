@@ -1,10 +1,13 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { ServiceProvider, useServices } from './contexts/ServiceContext.js';
 import { useNavigation } from './hooks/useNavigation.js';
 import { usePluginNotifications } from './hooks/usePluginNotifications.js';
 import { usePluginLoading } from './hooks/usePluginLoading.js';
+import { useKeyboardShortcuts } from './hooks/useKeyboardShortcuts.js';
 import Toast from './components/Toast.jsx';
 import LoadingOverlay from './components/LoadingOverlay.jsx';
+import ShortcutCheatSheet from './components/ShortcutCheatSheet.jsx';
+import KeymapEditorDialog from './components/KeymapEditorDialog.jsx';
 import Intro from './pages/Intro.jsx';
 import ProjectWizard from './pages/ProjectWizard.jsx';
 import Canvas from './pages/Canvas.jsx';
@@ -22,6 +25,8 @@ function AppRouter() {
     const { projectStateManager, eventBusService } = useServices();
     const { notification, closeNotification } = usePluginNotifications();
     const { operation, visible } = usePluginLoading(); // Phase 5: Plugin loading overlay
+    const keyboardShortcuts = useKeyboardShortcuts(); // Global shortcuts, cheat sheet and keymap editor
+    const [projectNotice, setProjectNotice] = useState(null); // What opening an older/newer project file changed
 
     // Debug logging for router state
     console.log('🔍 App Router:', { currentView, currentParams });
@@ -31,6 +36,15 @@ function AppRouter() {
         methods: projectStateManager ? Object.getOwnPropertyNames(Object.getPrototypeOf(projectStateManager)) : 'N/A'
     });
 
+    // Tell the user when an opened project file was migrated (from any page)
+    useEffect(() => {
+        if (!eventBusService) return;
+
+        return eventBusService.subscribe('project:migrated', ({ summary }) => {
+            setProjectNotice({ type: 'info', message: summary, open: true });
+        }, { component: 'App' });
+    }, [eventBusService]);
+
     // Global event handler for project:resume - works from any page
     useEffect(() => {
         if (!eventBusService) return;
@@ -98,12 +112,79 @@ function AppRouter() {
         };
     }, [eventBusService, currentView, navigateToCanvas]);
 
+    /**
+     * Load a project file into the shared ProjectStateManager and open it on the Canvas
+     * @param {string} filePath - .nftproject (or legacy JSON) file path
+     */
+    const openProjectFile = async (filePath) => {
+        try {
+            // Load the project into the shared ProjectStateManager
+            const projectState = await ProjectState.loadFromFile(filePath, null, ProjectPersistenceService.createOpenOptions(
+                (summary) => eventBusService.emit('project:migrated', { summary, filePath }, { source: 'App', component: 'App' })
+            ));
+
+            if (projectState) {
+                console.log('✅ Project loaded successfully:', projectState.getProjectName());
+
+                // Get the directory from the file path
+                const projectDirectory = filePath.substring(0, filePath.lastIndexOf('/'));
+
+                // Initialize the shared ProjectStateManager with the loaded project
+                await projectStateManager.initialize(projectState, projectDirectory);
+
+                // Navigate to Canvas (manager is already initialized)
+                console.log('🚀 Loading existing project - navigating to Canvas with params:', {
+                    projectInitialized: true,
+                    loadedFromFile: true,
+                    filePath
+                });
+                navigateToCanvas({
+                    projectInitialized: true,
+                    loadedFromFile: true,
+                    filePath
+                });
+            } else {
+                // Fallback: try legacy loading for old JSON files
+                console.log('🔄 Attempting legacy project loading...');
+                const projectResult = await window.api.loadProject(filePath);
+
+                if (projectResult.success) {
+                    const projectState = ProjectState.fromLegacyConfig(projectResult.config);
+
+                    // Get the directory from the file path
+                    const projectDirectory = filePath.substring(0, filePath.lastIndexOf('/'));
+
+                    // Initialize the shared ProjectStateManager with the loaded project
+                    await projectStateManager.initialize(projectState, projectDirectory);
+
+                    console.log('🚀 Legacy project loading - navigating to Canvas with params:', {
+                        projectInitialized: true,
+                        loadedFromFile: true,
+                        filePath
+                    });
+                    navigateToCanvas({
+                        projectInitialized: true,
+                        loadedFromFile: true,
+                        filePath
+                    });
+                } else {
+                    console.error('❌ Failed to load project:', projectResult.error);
+                    alert('Failed to load project: ' + projectResult.error);
+                }
+            }
+        } catch (loadError) {
+            console.error('❌ Error loading project file:', loadError);
+            alert('Error loading project: ' + loadError.message);
+        }
+    };
+
     const renderCurrentView = () => {
         switch (currentView) {
             case 'intro':
                 return (
                     <Intro
                         onNewProject={navigateToWizard}
+                        onOpenRecentProject={openProjectFile}
                         onImportProject={async (result) => {
                             try {
                                 // Initialize the shared ProjectStateManager with the imported project
@@ -137,63 +218,7 @@ function AppRouter() {
                                     const filePath = result.filePaths[0];
                                     console.log('📁 Selected project file:', filePath);
 
-                                    try {
-                                        // Load the project into the shared ProjectStateManager
-                                        const projectState = await ProjectState.loadFromFile(filePath);
-
-                                        if (projectState) {
-                                            console.log('✅ Project loaded successfully:', projectState.getProjectName());
-
-                                            // Get the directory from the file path
-                                            const projectDirectory = filePath.substring(0, filePath.lastIndexOf('/'));
-
-                                            // Initialize the shared ProjectStateManager with the loaded project
-                                            await projectStateManager.initialize(projectState, projectDirectory);
-
-                                            // Navigate to Canvas (manager is already initialized)
-                                            console.log('🚀 Loading existing project - navigating to Canvas with params:', {
-                                                projectInitialized: true,
-                                                loadedFromFile: true,
-                                                filePath
-                                            });
-                                            navigateToCanvas({
-                                                projectInitialized: true,
-                                                loadedFromFile: true,
-                                                filePath
-                                            });
-                                        } else {
-                                            // Fallback: try legacy loading for old JSON files
-                                            console.log('🔄 Attempting legacy project loading...');
-                                            const projectResult = await window.api.loadProject(filePath);
-
-                                            if (projectResult.success) {
-                                                const projectState = ProjectState.fromLegacyConfig(projectResult.config);
-
-                                                // Get the directory from the file path
-                                                const projectDirectory = filePath.substring(0, filePath.lastIndexOf('/'));
-
-                                                // Initialize the shared ProjectStateManager with the loaded project
-                                                await projectStateManager.initialize(projectState, projectDirectory);
-
-                                                console.log('🚀 Legacy project loading - navigating to Canvas with params:', {
-                                                    projectInitialized: true,
-                                                    loadedFromFile: true,
-                                                    filePath
-                                                });
-                                                navigateToCanvas({
-                                                    projectInitialized: true,
-                                                    loadedFromFile: true,
-                                                    filePath
-                                                });
-                                            } else {
-                                                console.error('❌ Failed to load project:', projectResult.error);
-                                                alert('Failed to load project: ' + projectResult.error);
-                                            }
-                                        }
-                                    } catch (loadError) {
-                                        console.error('❌ Error loading project file:', loadError);
-                                        alert('Error loading project: ' + loadError.message);
-                                    }
+                                    await openProjectFile(filePath);
                                 }
                             } catch (error) {
                                 console.error('❌ Error opening file dialog:', error);
@@ -227,6 +252,7 @@ function AppRouter() {
                 return (
                     <Intro
                         onNewProject={navigateToWizard}
+                        onOpenRecentProject={openProjectFile}
                         onImportProject={async (result) => {
                             try {
                                 // Initialize the shared ProjectStateManager with the imported project
@@ -278,7 +304,25 @@ function AppRouter() {
         <div className="app">
             {renderCurrentView()}
             <Toast notification={notification} onClose={closeNotification} />
+            <Toast
+                notification={projectNotice}
+                onClose={() => setProjectNotice(prev => (prev ? { ...prev, open: false } : null))}
+            />
             <LoadingOverlay operation={operation} visible={visible} />
+            <ShortcutCheatSheet
+                open={keyboardShortcuts.cheatSheetOpen}
+                onClose={keyboardShortcuts.closeCheatSheet}
+                shortcuts={keyboardShortcuts.shortcuts}
+                onCustomize={keyboardShortcuts.openKeymapEditor}
+            />
+            <KeymapEditorDialog
+                open={keyboardShortcuts.keymapEditorOpen}
+                onClose={keyboardShortcuts.closeKeymapEditor}
+                shortcuts={keyboardShortcuts.shortcuts}
+                onSetBinding={keyboardShortcuts.setBinding}
+                onResetBinding={keyboardShortcuts.resetBinding}
+                onResetAll={keyboardShortcuts.resetAll}
+            />
         </div>
     );
 }
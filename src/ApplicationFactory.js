@@ -4,6 +4,7 @@ import ProjectStateManager from './services/ProjectStateManager.js';
 import RenderPipelineService from './services/RenderPipelineService.js';
 import EventBusService from './services/EventBusService.js';
 import CommandService from './services/CommandService.js';
+import KeyboardShortcutService from './services/KeyboardShortcutService.js';
 import LoggerService from './services/LoggerService.js';
 import { PinSettingService } from './services/PinSettingService.js';
 
@@ -27,6 +28,7 @@ class ApplicationFactory {
         this.renderPipelineService = null;
         this.eventBusService = EventBusService; // Singleton
         this.commandService = CommandService; // Singleton
+        this.keyboardShortcutService = KeyboardShortcutService; // Singleton
         this.loggerService = LoggerService; // Singleton
         this.pinSettingService = null; // Will be initialized with dependencies
         this.initialized = false;
@@ -279,6 +281,7 @@ class ApplicationFactory {
             // Event-Driven Architecture - Single Source of Truth
             eventBusService: this.eventBusService,
             commandService: this.commandService,
+            keyboardShortcutService: this.keyboardShortcutService,
             loggerService: this.loggerService,
 
             // Utils
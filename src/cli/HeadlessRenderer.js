@@ -0,0 +1,338 @@
+import path from 'path';
+import os from 'os';
+import defaultLogger from '../main/utils/logger.js';
+import { PluginManagerService } from '../services/PluginManagerService.js';
+import { PluginLifecycleManager } from '../services/PluginLifecycleManager.js';
+import { ProjectLifecycleManager } from '../services/ProjectLifecycleManager.js';
+import { RenderCoordinator } from '../services/RenderCoordinator.js';
+
+/**
+ * Process exit codes reported by the headless renderer
+ */
+export const EXIT_CODES = Object.freeze({
+    SUCCESS: 0,
+    RENDER_FAILED: 1,
+    USAGE_ERROR: 2,
+    LOAD_FAILED: 3,
+    PLUGIN_FAILED: 4
+});
+
+// Electron's userData directory is <appData>/<productName>
+const PRODUCT_NAME = 'NFT Studio';
+
+export const USAGE = `Usage: nft-studio-render <project.nftproject> [options]
+       nft-studio-render --settings <settings.json> [options]
+
+Options:
+  --settings <file>    Render (or resume) from a my-nft-gen settings file
+  --frames <a-b>       Frame range to render, inclusive (e.g. 0-99)
+  --start <n>          First frame to render (default: 0)
+  --end <n>            Last frame to render (default: last frame)
+  --output <dir>       Output directory (frames are written to <dir>/frames);
+                       required when the project has none
+  --app-data <dir>     Directory containing plugins-config.json
+                       (default: the NFT Studio user data directory)
+  --no-plugins         Do not load enabled plugins
+  --json               Report progress as JSON lines
+  --help               Show this help
+
+Frames that already exist in the output directory are skipped, so re-running
+the same command resumes an interrupted render.
+
+Exit codes:
+  0  all frames rendered
+  1  a frame failed to render
+  2  invalid arguments, or no output directory to render to
+  3  the project or settings file could not be loaded
+  4  an enabled plugin failed to load`;
+
+/**
+ * HeadlessRenderer - Renders saved projects from the command line without Electron
+ *
+ * Reuses the app's render pipeline:
+ * - PluginLifecycleManager loads the plugins enabled in plugins-config.json
+ * - ProjectLifecycleManager loads the project and builds it through createProjectInstance
+ * - RenderCoordinator renders the frame range against a settings file
+ *
+ * Progress goes to stdout; pipeline logging is redirected to stderr.
+ */
+export class HeadlessRenderer {
+    constructor({ stdout = process.stdout, stderr = process.stderr, logger = null } = {}) {
+        this.stdout = stdout;
+        this.stderr = stderr;
+        this.logger = logger || defaultLogger;
+    }
+
+    /**
+     * Parse command line arguments
+     * @param {string[]} argv - Arguments without the node/script prefix
+     * @returns {Object} Parsed options, or { error } when the arguments are invalid
+     */
+    static parseArgs(argv) {
+        const options = {
+            projectFilePath: null,
+            settingsFile: null,
+            startFrame: 0,
+            endFrame: null,
+            outputDirectory: null,
+            appDataPath: null,
+            loadPlugins: true,
+            json: false,
+            help: false
+        };
+
+        const readValue = (flag, index) => {
+            const value = argv[index + 1];
+            if (value === undefined || value.startsWith('--')) {
+                throw new Error(`Missing value for ${flag}`);
+            }
+            return value;
+        };
+
+        const readFrame = (flag, value) => {
+            if (!/^\d+$/.test(value)) {
+                throw new Error(`${flag} expects a frame number, got "${value}"`);
+            }
+            return parseInt(value, 10);
+        };
+
+        try {
+            for (let i = 0; i < argv.length; i++) {
+                const arg = argv[i];
+                switch (arg) {
+                    case '--help':
+                    case '-h':
+                        options.help = true;
+                        break;
+                    case '--settings':
+                        options.settingsFile = path.resolve(readValue(arg, i++));
+                        break;
+                    case '--frames': {
+                        const match = /^(\d+)-(\d+)$/.exec(readValue(arg, i++));
+                        if (!match) {
+                            throw new Error('--frames expects a range like 0-99');
+                        }
+                        options.startFrame = parseInt(match[1], 10);
+                        options.endFrame = parseInt(match[2], 10);
+                        break;
+                    }
+                    case '--start':
+                        options.startFrame = readFrame(arg, readValue(arg, i++));
+                        break;
+                    case '--end':
+                        options.endFrame = readFrame(arg, readValue(arg, i++));
+                        break;
+                    case '--output':
+                        options.outputDirectory = path.resolve(readValue(arg, i++));
+                        break;
+                    case '--app-data':
+                        options.appDataPath = path.resolve(readValue(arg, i++));
+                        break;
+                    case '--no-plugins':
+                        options.loadPlugins = false;
+                        break;
+                    case '--json':
+                        options.json = true;
+                        break;
+                    default:
+                        if (arg.startsWith('-')) {
+                            throw new Error(`Unknown option: ${arg}`);
+                        }
+                        if (options.projectFilePath) {
+                            throw new Error(`Unexpected argument: ${arg}`);
+                        }
+                        options.projectFilePath = path.resolve(arg);
+                }
+            }
+        } catch (error) {
+            return { error: error.message };
+        }
+
+        if (options.help) {
+            return options;
+        }
+        if (!options.projectFilePath && !options.settingsFile) {
+            return { error: 'A project file or --settings file is required' };
+        }
+        if (options.projectFilePath && options.settingsFile) {
+            return { error: 'Pass either a project file or --settings, not both' };
+        }
+        if (options.endFrame !== null && options.endFrame < options.startFrame) {
+            return { error: `Invalid frame range: ${options.startFrame}-${options.endFrame}` };
+        }
+
+        return options;
+    }
+
+    /**
+     * Get the directory the desktop app stores plugins-config.json in
+     * Mirrors Electron's app.getPath('userData') for the packaged product name.
+     * @returns {string} User data directory
+     */
+    static getDefaultAppDataPath() {
+        const home = os.homedir();
+        switch (process.platform) {
+            case 'darwin':
+                return path.join(home, 'Library', 'Application Support', PRODUCT_NAME);
+            case 'win32':
+                return path.join(process.env.APPDATA || path.join(home, 'AppData', 'Roaming'), PRODUCT_NAME);
+            default:
+                return path.join(process.env.XDG_CONFIG_HOME || path.join(home, '.config'), PRODUCT_NAME);
+        }
+    }
+
+    /**
+     * Run a render from parsed options
+     * @param {Object} options - Options from parseArgs
+     * @returns {Promise<number>} Process exit code
+     */
+    async run(options) {
+        if (options.error) {
+            this.stderr.write(`❌ ${options.error}\n\n${USAGE}\n`);
+            return EXIT_CODES.USAGE_ERROR;
+        }
+        if (options.help) {
+            this.stdout.write(`${USAGE}\n`);
+            return EXIT_CODES.SUCCESS;
+        }
+
+        const appDataPath = options.appDataPath || HeadlessRenderer.getDefaultAppDataPath();
+        const pluginLifecycleManager = new PluginLifecycleManager(new PluginManagerService(appDataPath), null, this.logger);
+        const projectLifecycleManager = new ProjectLifecycleManager(null, null, null, this.logger, pluginLifecycleManager);
+        const renderCoordinator = new RenderCoordinator(null, null, null, this.logger);
+
+        // Plugins register their effects globally, so they must load before the project is built
+        if (options.loadPlugins) {
+            try {
+                const results = await pluginLifecycleManager.ensurePluginsLoaded();
+                const failed = results.filter(result => !result.success);
+                if (failed.length > 0) {
+                    failed.forEach(result => this.report('pluginError', { plugin: result.name, error: result.error }, options));
+                    return EXIT_CODES.PLUGIN_FAILED;
+                }
+                this.report('pluginsLoaded', { count: results.length }, options);
+            } catch (error) {
+                this.report('pluginError', { error: error.message }, options);
+                return EXIT_CODES.PLUGIN_FAILED;
+            }
+        }
+
+        let project;
+        let projectState;
+        let totalFrames;
+        try {
+            ({ projectState, totalFrames } = await projectLifecycleManager.loadRenderSource(options));
+
+            // Checked before building the project: frame ranges are always written to disk
+            if (!projectState.getOutputDirectory()) {
+                const source = path.basename(options.projectFilePath || options.settingsFile);
+                this.report('loadError', { error: `${source} has no output directory - pass --output <dir>` }, options);
+                return EXIT_CODES.USAGE_ERROR;
+            }
+
+            project = await projectLifecycleManager.createProjectInstance(projectState);
+
+            const { default: EffectRegistryService } = await import('../main/services/EffectRegistryService.js');
+            await projectLifecycleManager.configureProjectEffects(project, projectState, new EffectRegistryService());
+        } catch (error) {
+            this.report('loadError', { error: error.message }, options);
+            return EXIT_CODES.LOAD_FAILED;
+        }
+
+        const projectName = projectState.getProjectName();
+        const outputDirectory = projectState.getOutputDirectory();
+        const endFrame = options.endFrame === null ? totalFrames - 1 : Math.min(options.endFrame, totalFrames - 1);
+
+        if (options.startFrame >= totalFrames) {
+            this.report('loadError', { error: `Start frame ${options.startFrame} is beyond the last frame (${totalFrames - 1})` }, options);
+            return EXIT_CODES.USAGE_ERROR;
+        }
+
+        this.report('renderStarted', {
+            projectName,
+            startFrame: options.startFrame,
+            endFrame,
+            totalFrames,
+            outputDirectory
+        }, options);
+
+        let done = 0;
+        const rangeSize = endFrame - options.startFrame + 1;
+        renderCoordinator.setEventListeners({
+            onProgress: (eventName, data) => {
+                if (eventName === 'frameCompleted') {
+                    done++;
+                    this.report('frameCompleted', {
+                        frameNumber: data.frameNumber,
+                        done,
+                        total: rangeSize,
+                        renderTime: data.renderTime
+                    }, options);
+                }
+            },
+            onError: (data) => this.report('frameError', { frameNumber: data.frameNumber, error: data.error }, options)
+        });
+
+        try {
+            const result = await renderCoordinator.renderFrameRange({
+                project,
+                projectName,
+                totalFrames,
+                outputDirectory,
+                settingsFile: options.settingsFile,
+                startFrame: options.startFrame,
+                endFrame,
+                onFrameDone: (frameNumber, { skipped }) => {
+                    if (skipped) {
+                        done++;
+                        this.report('frameSkipped', { frameNumber, done, total: rangeSize }, options);
+                    }
+                }
+            });
+
+            this.report('renderCompleted', {
+                renderedFrames: result.renderedFrames,
+                skippedFrames: result.skippedFrames,
+                settingsFile: result.settingsFile,
+                framesDirectory: path.join(outputDirectory, 'frames')
+            }, options);
+            return EXIT_CODES.SUCCESS;
+        } catch (error) {
+            this.report('renderFailed', { error: error.message }, options);
+            return EXIT_CODES.RENDER_FAILED;
+        }
+    }
+
+    /**
+     * Write a progress line to stdout (errors to stderr)
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     * @param {Object} options - Parsed options (json flag)
+     * @private
+     */
+    report(event, data, options) {
+        const isError = /Error|Failed$/.test(event);
+        const stream = isError ? this.stderr : this.stdout;
+
+        if (options.json) {
+            stream.write(`${JSON.stringify({ event, ...data })}\n`);
+            return;
+        }
+
+        const messages = {
+            pluginsLoaded: () => `🔌 Loaded ${data.count} plugin(s)`,
+            pluginError: () => `❌ Plugin ${data.plugin || ''} failed to load: ${data.error}`,
+            loadError: () => `❌ ${data.error}`,
+            renderStarted: () => `🎬 Rendering "${data.projectName}" frames ${data.startFrame}-${data.endFrame} of ${data.totalFrames} to ${data.outputDirectory}`,
+            frameCompleted: () => `✅ Frame ${data.frameNumber} (${data.done}/${data.total}) ${data.renderTime}ms`,
+            frameSkipped: () => `⏭️  Frame ${data.frameNumber} (${data.done}/${data.total}) already rendered`,
+            frameError: () => `❌ Frame ${data.frameNumber} failed: ${data.error}`,
+            renderCompleted: () => `🎉 Done: ${data.renderedFrames} rendered, ${data.skippedFrames} skipped → ${data.framesDirectory}`,
+            renderFailed: () => `❌ Render failed: ${data.error}`
+        };
+
+        stream.write(`${messages[event] ? messages[event]() : event}\n`);
+    }
+}
+
+export default HeadlessRenderer;
@@ -7,6 +7,9 @@
  * - SecondaryEffectCommandService: Secondary effect commands
  * - KeyframeEffectCommandService: Keyframe effect commands
  * - ProjectConfigCommandService: Project configuration commands
+ * - EffectGroupCommandService: Effect group commands
+ * - BulkEffectCommandService: Multi-selection commands
+ * - EffectClipboardService: Cut/paste commands
  */
 
 // Import services
@@ -14,6 +17,9 @@ import EffectCommandService from '../services/EffectCommandService.js';
 import SecondaryEffectCommandService from '../services/SecondaryEffectCommandService.js';
 import KeyframeEffectCommandService from '../services/KeyframeEffectCommandService.js';
 import ProjectConfigCommandService from '../services/ProjectConfigCommandService.js';
+import EffectGroupCommandService from '../services/EffectGroupCommandService.js';
+import BulkEffectCommandService from '../services/BulkEffectCommandService.js';
+import EffectClipboardService from '../services/EffectClipboardService.js';
 
 // Re-export command classes for backward compatibility
 export {
@@ -43,6 +49,9 @@ export {
     ChangeFramesCommand
 } from '../services/ProjectConfigCommandService.js';
 
+export { EffectGroupCommand } from '../services/EffectGroupCommandService.js';
+export { BulkEffectCommand } from '../services/BulkEffectCommandService.js';
+
 // Mark effect-related commands
 const EFFECT_COMMAND_TYPES = [
     'effect.add',
@@ -55,7 +64,23 @@ const EFFECT_COMMAND_TYPES = [
     'secondary.reorder',
     'keyframe.add',
     'keyframe.delete',
-    'keyframe.reorder'
+    'keyframe.reorder',
+    'group.create',
+    'group.ungroup',
+    'group.delete',
+    'group.rename',
+    'group.visibility',
+    'group.bypass',
+    'group.move',
+    'group.move-effect',
+    'group.assign',
+    'group.restore',
+    'effect.bulk.delete',
+    'effect.bulk.visibility',
+    'effect.bulk.move',
+    'effect.bulk.config',
+    'effect.cut',
+    'effect.paste'
 ];
 
 // Export services for direct access if needed
@@ -64,5 +89,8 @@ export {
     SecondaryEffectCommandService,
     KeyframeEffectCommandService,
     ProjectConfigCommandService,
+    EffectGroupCommandService,
+    BulkEffectCommandService,
+    EffectClipboardService,
     EFFECT_COMMAND_TYPES
 };
\ No newline at end of file
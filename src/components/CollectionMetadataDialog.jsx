@@ -0,0 +1,303 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    TextField,
+    Box,
+    Typography,
+    IconButton,
+    Divider,
+    MenuItem,
+    FormControlLabel,
+    Switch,
+    Alert
+} from '@mui/material';
+import { Close, FolderOpen } from '@mui/icons-material';
+import { DEFAULT_METADATA_SETTINGS } from '../services/TokenMetadataService.js';
+import './CollectionMetadataDialog.bem.css';
+
+const MEDIA_EXTENSIONS = ['png', 'jpg', 'gif', 'webp', 'mp4', 'webm'];
+
+/**
+ * CollectionMetadataDialog - Generate ERC-721 / OpenSea token metadata for rendered outputs
+ * Reads every settings file in a folder (one per token) and writes <tokenId>.json files.
+ * Template and URI settings are stored on the project so they survive reloads.
+ */
+export default function CollectionMetadataDialog({
+    open,
+    onClose,
+    projectState
+}) {
+    const [settingsDirectory, setSettingsDirectory] = useState('');
+    const [outputDirectory, setOutputDirectory] = useState('');
+    const [formData, setFormData] = useState({ ...DEFAULT_METADATA_SETTINGS, omitFileExtension: false });
+    const [preview, setPreview] = useState(null);
+    const [status, setStatus] = useState({ busy: false, error: null, message: null });
+
+    // Initialize from ProjectState when the dialog opens
+    useEffect(() => {
+        if (open && projectState) {
+            const state = projectState.getState();
+            const saved = projectState.getMetadataSettings() || {};
+            setFormData({
+                ...DEFAULT_METADATA_SETTINGS,
+                omitFileExtension: false,
+                collectionName: state.projectName || '',
+                ...saved
+            });
+            setSettingsDirectory(saved.settingsDirectory || state.outputDirectory || '');
+            setOutputDirectory(saved.outputDirectory || (state.outputDirectory ? `${state.outputDirectory}/metadata` : ''));
+            setPreview(null);
+            setStatus({ busy: false, error: null, message: null });
+        }
+    }, [open, projectState]);
+
+    const handleInputChange = (field, value) => {
+        setFormData(prev => ({ ...prev, [field]: value }));
+    };
+
+    const selectFolder = async (setter) => {
+        try {
+            const result = await window.api.selectFolder();
+            if (!result.canceled && result.filePaths?.[0]) {
+                setter(result.filePaths[0]);
+            }
+        } catch (error) {
+            console.error('Error selecting folder:', error);
+        }
+    };
+
+    const buildRequest = () => {
+        const options = {
+            ...formData,
+            startTokenId: Number(formData.startTokenId) || 0,
+            artist: projectState?.getArtist() || ''
+        };
+
+        // Remember the settings for next time
+        projectState?.setMetadataSettings({
+            ...formData,
+            settingsDirectory,
+            outputDirectory
+        });
+
+        return { settingsDirectory, outputDirectory, options };
+    };
+
+    const handlePreview = async () => {
+        setStatus({ busy: true, error: null, message: null });
+        const result = await window.api.metadata.preview(buildRequest());
+        if (result.success) {
+            setPreview(result);
+            setStatus({ busy: false, error: null, message: null });
+        } else {
+            setPreview(null);
+            setStatus({ busy: false, error: result.error, message: null });
+        }
+    };
+
+    const handleGenerate = async () => {
+        setStatus({ busy: true, error: null, message: null });
+        console.log(`🏷️ CollectionMetadataDialog: Generating metadata from ${settingsDirectory}`);
+        const result = await window.api.metadata.generate(buildRequest());
+        setStatus({
+            busy: false,
+            error: result.success ? null : result.error,
+            message: result.tokenCount > 0 ? `Wrote metadata for ${result.tokenCount} tokens to ${result.outputDirectory}` : null
+        });
+    };
+
+    const canRun = !status.busy && !!settingsDirectory;
+
+    const folderField = (label, value, setter, helperText) => (
+        <TextField
+            label={label}
+            value={value}
+            onChange={(e) => setter(e.target.value)}
+            fullWidth
+            variant="outlined"
+            helperText={helperText}
+            InputProps={{
+                endAdornment: (
+                    <IconButton
+                        onClick={() => selectFolder(setter)}
+                        edge="end"
+                        className="collection-metadata-dialog__folder-icon"
+                    >
+                        <FolderOpen />
+                    </IconButton>
+                )
+            }}
+        />
+    );
+
+    return (
+        <Dialog
+            open={open}
+            onClose={onClose}
+            maxWidth="md"
+            fullWidth
+            PaperProps={{
+                className: 'collection-metadata-dialog__paper'
+            }}
+        >
+            <DialogTitle className="collection-metadata-dialog__title">
+                <Typography variant="h6">Token Metadata</Typography>
+                <IconButton
+                    onClick={onClose}
+                    size="small"
+                    className="collection-metadata-dialog__close-button"
+                >
+                    <Close />
+                </IconButton>
+            </DialogTitle>
+
+            <Divider />
+
+            <DialogContent className="collection-metadata-dialog__content">
+                <Box className="collection-metadata-dialog__layout">
+                    <Box className="collection-metadata-dialog__form">
+                        {folderField('Settings Folder', settingsDirectory, setSettingsDirectory, 'One settings file per token')}
+                        {folderField('Output Folder', outputDirectory, setOutputDirectory, 'Receives <tokenId>.json and _metadata.json')}
+
+                        <Box className="collection-metadata-dialog__row">
+                            <TextField
+                                label="Collection Name"
+                                value={formData.collectionName}
+                                onChange={(e) => handleInputChange('collectionName', e.target.value)}
+                                fullWidth
+                            />
+                            <TextField
+                                label="First Token ID"
+                                type="number"
+                                value={formData.startTokenId}
+                                onChange={(e) => handleInputChange('startTokenId', e.target.value)}
+                                inputProps={{ min: 0 }}
+                                className="collection-metadata-dialog__narrow-field"
+                            />
+                        </Box>
+
+                        <TextField
+                            label="Name Template"
+                            value={formData.nameTemplate}
+                            onChange={(e) => handleInputChange('nameTemplate', e.target.value)}
+                            fullWidth
+                            helperText="Placeholders: {collection} {id} {artist} {total}"
+                        />
+                        <TextField
+                            label="Description Template"
+                            value={formData.descriptionTemplate}
+                            onChange={(e) => handleInputChange('descriptionTemplate', e.target.value)}
+                            fullWidth
+                            multiline
+                            minRows={2}
+                        />
+
+                        <Box className="collection-metadata-dialog__row">
+                            <TextField
+                                label="Image URI Prefix"
+                                value={formData.imageUriPrefix}
+                                onChange={(e) => handleInputChange('imageUriPrefix', e.target.value)}
+                                placeholder="ipfs://<CID>/"
+                                fullWidth
+                            />
+                            <TextField
+                                select
+                                label="Image Type"
+                                value={formData.imageExtension}
+                                onChange={(e) => handleInputChange('imageExtension', e.target.value)}
+                                className="collection-metadata-dialog__narrow-field"
+                            >
+                                {MEDIA_EXTENSIONS.map(extension => (
+                                    <MenuItem key={extension} value={extension}>.{extension}</MenuItem>
+                                ))}
+                            </TextField>
+                        </Box>
+
+                        <Box className="collection-metadata-dialog__row">
+                            <TextField
+                                label="Animation URI Prefix"
+                                value={formData.animationUriPrefix}
+                                onChange={(e) => handleInputChange('animationUriPrefix', e.target.value)}
+                                placeholder="Optional - adds animation_url"
+                                fullWidth
+                            />
+                            <TextField
+                                select
+                                label="Animation Type"
+                                value={formData.animationExtension}
+                                onChange={(e) => handleInputChange('animationExtension', e.target.value)}
+                                className="collection-metadata-dialog__narrow-field"
+                            >
+                                {MEDIA_EXTENSIONS.map(extension => (
+                                    <MenuItem key={extension} value={extension}>.{extension}</MenuItem>
+                                ))}
+                            </TextField>
+                        </Box>
+
+                        <TextField
+                            label="External URL Template"
+                            value={formData.externalUrlTemplate}
+                            onChange={(e) => handleInputChange('externalUrlTemplate', e.target.value)}
+                            placeholder="https://example.com/token/{id}"
+                            fullWidth
+                        />
+
+                        <Box className="collection-metadata-dialog__switches">
+                            <FormControlLabel
+                                control={<Switch checked={formData.includeRolls} onChange={(e) => handleInputChange('includeRolls', e.target.checked)} />}
+                                label="Chance rolls as traits"
+                            />
+                            <FormControlLabel
+                                control={<Switch checked={formData.includeResolvedValues} onChange={(e) => handleInputChange('includeResolvedValues', e.target.checked)} />}
+                                label="Resolved values as traits"
+                            />
+                            <FormControlLabel
+                                control={<Switch checked={formData.omitFileExtension} onChange={(e) => handleInputChange('omitFileExtension', e.target.checked)} />}
+                                label="Omit .json extension"
+                            />
+                        </Box>
+                    </Box>
+
+                    <Box className="collection-metadata-dialog__preview">
+                        <Typography variant="subtitle2" className="collection-metadata-dialog__preview-title">
+                            {preview ? `Preview — first of ${preview.tokenCount} tokens` : 'Preview'}
+                        </Typography>
+                        <pre className="collection-metadata-dialog__preview-json">
+                            {preview ? JSON.stringify(preview.metadata, null, 2) : 'Click Preview to build metadata for the first settings file.'}
+                        </pre>
+                    </Box>
+                </Box>
+
+                {status.error && (
+                    <Alert severity="error" className="collection-metadata-dialog__alert">{status.error}</Alert>
+                )}
+                {status.message && !status.error && (
+                    <Alert severity="success" className="collection-metadata-dialog__alert">{status.message}</Alert>
+                )}
+            </DialogContent>
+
+            <DialogActions className="collection-metadata-dialog__actions">
+                <Button onClick={onClose} color="inherit" variant="outlined">
+                    Close
+                </Button>
+                <Button onClick={handlePreview} color="primary" variant="outlined" disabled={!canRun}>
+                    Preview
+                </Button>
+                <Button onClick={handleGenerate} color="primary" variant="contained" disabled={!canRun || !outputDirectory}>
+                    Generate
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
+
+CollectionMetadataDialog.propTypes = {
+    open: PropTypes.bool.isRequired,
+    onClose: PropTypes.func.isRequired,
+    projectState: PropTypes.object
+};
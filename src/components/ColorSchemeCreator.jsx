@@ -1,5 +1,7 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import useDebounce from '../hooks/useDebounce.js';
+import ColorHarmony, { HARMONIES } from '../utils/ColorHarmony.js';
+import PaletteBuckets from '../utils/PaletteBuckets.js';
 import './ColorSchemeCreator.bem.css';
 
 function ColorSchemeCreator({ onClose, onSave, editingScheme = null, initialColors = null }) {
@@ -24,11 +26,34 @@ function ColorSchemeCreator({ onClose, onSave, editingScheme = null, initialColo
     const [newColor, setNewColor] = useState('#FF0000');
     const [selectedBucket, setSelectedBucket] = useState('lights');
 
+    // Palette import/export and image extraction (main process, see PaletteHandlers)
+    const [exportFormat, setExportFormat] = useState('ase');
+    const [extractColorCount, setExtractColorCount] = useState(8);
+    const [paletteBusy, setPaletteBusy] = useState(false);
+    const [paletteStatus, setPaletteStatus] = useState(null);
+
+    // Harmony generator
+    const [harmonyBase, setHarmonyBase] = useState(
+        PaletteBuckets.normalizeHex(customColors.lights[0]) || '#FF00FF'
+    );
+    const [harmonyType, setHarmonyType] = useState('triadic');
+
     // Debounced handlers for text inputs (300ms delay)
     const debouncedSetSchemeName = useDebounce(setSchemeName, 300);
     const debouncedSetSchemeDescription = useDebounce(setSchemeDescription, 300);
     const debouncedSetNewColor = useDebounce(setNewColor, 300);
 
+    const validHarmonyBase = PaletteBuckets.normalizeHex(harmonyBase);
+    const harmonyPreview = useMemo(() => (
+        validHarmonyBase
+            ? ColorHarmony.getHues(validHarmonyBase, harmonyType)
+                .map(hue => ColorHarmony.hslToHex({ hue, saturation: 0.9, lightness: 0.55 }))
+            : []
+    ), [validHarmonyBase, harmonyType]);
+
+    // Lights that are hard to see on the backgrounds vanish in renders
+    const contrastReport = useMemo(() => ColorHarmony.getContrastReport(customColors), [customColors]);
+
     const colorBuckets = [
         { key: 'neutrals', name: 'Neutral Colors', description: 'Whites, grays, blacks for subtle elements' },
         { key: 'backgrounds', name: 'Background Colors', description: 'Base colors for canvas backgrounds' },
@@ -92,6 +117,63 @@ function ColorSchemeCreator({ onClose, onSave, editingScheme = null, initialColo
         setCustomColors(preset.colors);
     };
 
+    const applyHarmony = () => {
+        if (validHarmonyBase) {
+            setCustomColors(ColorHarmony.generate(validHarmonyBase, harmonyType));
+        }
+    };
+
+    const paletteFormats = [
+        { key: 'ase', name: 'Adobe Swatch Exchange (.ase)' },
+        { key: 'gpl', name: 'GIMP Palette (.gpl)' },
+        { key: 'swatches', name: 'Procreate (.swatches)' },
+        { key: 'css', name: 'CSS Variables (.css)' },
+        { key: 'json', name: 'JSON (.json)' }
+    ];
+
+    const runPaletteAction = async (action, onSuccess) => {
+        setPaletteBusy(true);
+        setPaletteStatus(null);
+        try {
+            const result = await action();
+            if (result.success) {
+                setPaletteStatus({ type: 'info', text: onSuccess(result) });
+            } else if (!result.canceled) {
+                setPaletteStatus({ type: 'error', text: result.error || 'Palette operation failed' });
+            }
+        } catch (error) {
+            setPaletteStatus({ type: 'error', text: error.message });
+        } finally {
+            setPaletteBusy(false);
+        }
+    };
+
+    const handleImportPalette = () => runPaletteAction(
+        () => window.api.palette.import(),
+        ({ scheme }) => {
+            setSchemeName(scheme.name);
+            setSchemeDescription(scheme.description);
+            setCustomColors({ neutrals: scheme.neutrals, backgrounds: scheme.backgrounds, lights: scheme.lights });
+            return `Imported "${scheme.name}"`;
+        }
+    );
+
+    const handleExtractPalette = () => runPaletteAction(
+        () => window.api.palette.extractFromImage({ colorCount: extractColorCount }),
+        ({ scheme, swatches }) => {
+            setCustomColors(scheme);
+            return `Extracted ${swatches.length} colors - review the proposed buckets before saving`;
+        }
+    );
+
+    const handleExportPalette = () => runPaletteAction(
+        () => window.api.palette.export({
+            scheme: { name: schemeName, description: schemeDescription, ...customColors },
+            format: exportFormat
+        }),
+        ({ filePath }) => `Exported to ${filePath}`
+    );
+
     const handleSave = () => {
         onSave({
             name: schemeName,
@@ -177,6 +259,114 @@ function ColorSchemeCreator({ onClose, onSave, editingScheme = null, initialColo
                     </div>
                 </div>
 
+                {/* Import / Export */}
+                <div className="color-scheme-creator__section">
+                    <h3 className="color-scheme-creator__section-title">Import &amp; Export</h3>
+                    <div className="color-scheme-creator__palette-actions">
+                        <button
+                            onClick={handleImportPalette}
+                            disabled={paletteBusy}
+                            className="color-scheme-creator__button color-scheme-creator__button--secondary"
+                            title="ASE, GPL, Procreate swatches, CSS variables or JSON"
+                        >
+                            Import Palette...
+                        </button>
+
+                        <div className="color-scheme-creator__palette-group">
+                            <button
+                                onClick={handleExtractPalette}
+                                disabled={paletteBusy}
+                                className="color-scheme-creator__button color-scheme-creator__button--secondary"
+                            >
+                                Extract from Image...
+                            </button>
+                            <label className="color-scheme-creator__palette-label">
+                                Colors
+                                <input
+                                    type="number"
+                                    min={2}
+                                    max={16}
+                                    value={extractColorCount}
+                                    onChange={(e) => setExtractColorCount(Math.min(16, Math.max(2, Number(e.target.value) || 2)))}
+                                    className="color-scheme-creator__color-input color-scheme-creator__palette-count"
+                                />
+                            </label>
+                        </div>
+
+                        <div className="color-scheme-creator__palette-group">
+                            <select
+                                value={exportFormat}
+                                onChange={(e) => setExportFormat(e.target.value)}
+                                className="color-scheme-creator__select color-scheme-creator__palette-format"
+                            >
+                                {paletteFormats.map(format => (
+                                    <option key={format.key} value={format.key}>{format.name}</option>
+                                ))}
+                            </select>
+                            <button
+                                onClick={handleExportPalette}
+                                disabled={paletteBusy}
+                                className="color-scheme-creator__button color-scheme-creator__button--secondary"
+                            >
+                                Export
+                            </button>
+                        </div>
+                    </div>
+                    {paletteStatus && (
+                        <p className={`color-scheme-creator__palette-status color-scheme-creator__palette-status--${paletteStatus.type}`}>
+                            {paletteStatus.text}
+                        </p>
+                    )}
+                </div>
+
+                {/* Harmony Generator */}
+                <div className="color-scheme-creator__section">
+                    <h3 className="color-scheme-creator__section-title">Harmony Generator</h3>
+                    <div className="color-scheme-creator__add-color-controls">
+                        <input
+                            type="color"
+                            value={validHarmonyBase || '#000000'}
+                            onChange={(e) => setHarmonyBase(e.target.value.toUpperCase())}
+                            className="color-scheme-creator__color-picker"
+                            title="Base color"
+                        />
+                        <input
+                            type="text"
+                            value={harmonyBase}
+                            onChange={(e) => setHarmonyBase(e.target.value)}
+                            placeholder="#FF00FF"
+                            className="color-scheme-creator__color-input"
+                        />
+                        <select
+                            value={harmonyType}
+                            onChange={(e) => setHarmonyType(e.target.value)}
+                            className="color-scheme-creator__select color-scheme-creator__palette-format"
+                        >
+                            {Object.entries(HARMONIES).map(([key, harmony]) => (
+                                <option key={key} value={key}>{harmony.name}</option>
+                            ))}
+                        </select>
+                        <div className="color-scheme-creator__preset-swatches">
+                            {harmonyPreview.map(color => (
+                                <div
+                                    key={color}
+                                    className="color-scheme-creator__preset-swatch"
+                                    style={{ '--swatch-color': color }}
+                                    title={color}
+                                />
+                            ))}
+                        </div>
+                        <button
+                            onClick={applyHarmony}
+                            disabled={!validHarmonyBase}
+                            className="color-scheme-creator__add-button"
+                            title="Replace all buckets with the generated harmony"
+                        >
+                            Generate
+                        </button>
+                    </div>
+                </div>
+
                 {/* Color Buckets */}
                 <div className="color-scheme-creator__section">
                     <h3 className="color-scheme-creator__section-title">Color Buckets</h3>
@@ -212,6 +402,44 @@ function ColorSchemeCreator({ onClose, onSave, editingScheme = null, initialColo
                     ))}
                 </div>
 
+                {/* Contrast Check */}
+                {contrastReport.rating && (
+                    <div className="color-scheme-creator__section color-scheme-creator__bucket">
+                        <div className="color-scheme-creator__bucket-header">
+                            <h4 className="color-scheme-creator__bucket-title">
+                                Contrast: Lights vs Backgrounds
+                                <span className={`color-scheme-creator__contrast-badge color-scheme-creator__contrast-badge--${contrastReport.rating}`}>
+                                    {contrastReport.rating}
+                                </span>
+                            </h4>
+                            <p className="color-scheme-creator__bucket-description">
+                                Worst {contrastReport.minRatio.toFixed(1)}:1, average {contrastReport.averageRatio.toFixed(1)}:1
+                                {contrastReport.lowContrast.length > 0 &&
+                                    ` - ${contrastReport.lowContrast.length} light${contrastReport.lowContrast.length === 1 ? '' : 's'} may vanish against the background`}
+                            </p>
+                        </div>
+                        <div className="color-scheme-creator__color-list">
+                            {contrastReport.lights.map((light, index) => (
+                                <div
+                                    key={index}
+                                    className={`color-scheme-creator__color-chip color-scheme-creator__contrast-chip--${light.rating}`}
+                                    title={`Worst against ${light.background}`}
+                                >
+                                    <div
+                                        className="color-scheme-creator__color-swatch"
+                                        style={{ '--swatch-color': light.color }}
+                                    />
+                                    <div
+                                        className="color-scheme-creator__color-swatch"
+                                        style={{ '--swatch-color': light.background }}
+                                    />
+                                    <span className="color-scheme-creator__color-value">{light.ratio.toFixed(1)}:1</span>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
                 {/* Add New Color */}
                 <div className="color-scheme-creator__section color-scheme-creator__bucket">
                     <h4 className="color-scheme-creator__bucket-title">Add New Color</h4>
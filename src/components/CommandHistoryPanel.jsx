@@ -0,0 +1,188 @@
+/**
+ * CommandHistoryPanel - Browsable undo/redo timeline
+ * Lists the whole history (newest at the top) with descriptions and timestamps.
+ * Each row is the project state after that action; clicking a row undoes or
+ * redoes to it. History is persisted with the project by CommandHistoryService.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+    Popover,
+    Box,
+    Typography,
+    List,
+    ListItemButton,
+    ListItemIcon,
+    ListItemText,
+    Button
+} from '@mui/material';
+import {
+    History,
+    RadioButtonChecked,
+    RadioButtonUnchecked,
+    FiberNew,
+    DeleteSweep
+} from '@mui/icons-material';
+import { useServices } from '../contexts/ServiceContext.js';
+import './CommandHistoryPanel.bem.css';
+
+/**
+ * Format a timestamp as clock time, with the date when it is not today
+ * @param {number} timestamp - Epoch milliseconds
+ * @returns {string} Formatted time
+ */
+function formatTime(timestamp) {
+    const date = new Date(timestamp);
+    const isToday = date.toDateString() === new Date().toDateString();
+    return isToday ? date.toLocaleTimeString() : date.toLocaleString();
+}
+
+/**
+ * CommandHistoryPanel Component
+ *
+ * @param {Object} props
+ * @param {HTMLElement|null} props.anchorEl - Element the panel opens from
+ * @param {Function} props.onClose - Close callback
+ * @param {Array} props.undoStack - Undo history, most recent first (CommandService.getUndoHistory)
+ * @param {Array} props.redoStack - Redo history, next redo first (CommandService.getRedoHistory)
+ * @returns {React.ReactElement}
+ */
+export default function CommandHistoryPanel({ anchorEl, onClose, undoStack = [], redoStack = [] }) {
+    const { eventBusService } = useServices();
+
+    const emit = (eventName, payload = null) => {
+        eventBusService.emit(eventName, payload, {
+            source: 'CommandHistoryPanel',
+            component: 'CommandHistoryPanel'
+        });
+    };
+
+    // Stay on the state after this action: undo everything newer
+    const handleGoToPast = (stackIndex) => {
+        if (stackIndex + 1 < undoStack.length) {
+            emit('command:undo-to-index', { index: stackIndex + 1 });
+        }
+    };
+
+    // Redo up to and including this action
+    const handleGoToFuture = (stackIndex) => {
+        emit('command:redo-to-index', { index: stackIndex });
+    };
+
+    const handleGoToStart = () => {
+        if (undoStack.length > 0) {
+            emit('command:undo-to-index', { index: 0 });
+        }
+    };
+
+    const handleClear = () => {
+        emit('command:clear');
+    };
+
+    const renderRow = (action, { future, current, onClick }) => (
+        <ListItemButton
+            key={`${future ? 'redo' : 'undo'}-${action.index}-${action.timestamp}`}
+            onClick={onClick}
+            selected={current}
+            className={[
+                'command-history__item',
+                future && 'command-history__item--future',
+                current && 'command-history__item--current'
+            ].filter(Boolean).join(' ')}
+        >
+            <ListItemIcon className="command-history__icon">
+                {current
+                    ? <RadioButtonChecked fontSize="small" />
+                    : <RadioButtonUnchecked fontSize="small" />}
+            </ListItemIcon>
+            <ListItemText
+                primary={action.description}
+                secondary={formatTime(action.timestamp)}
+                primaryTypographyProps={{ className: 'command-history__description' }}
+                secondaryTypographyProps={{ className: 'command-history__timestamp' }}
+            />
+        </ListItemButton>
+    );
+
+    // Redo entries are the future: furthest first, so the list reads newest to oldest
+    const futureRows = [...redoStack].reverse();
+    const isEmpty = undoStack.length === 0 && redoStack.length === 0;
+
+    return (
+        <Popover
+            anchorEl={anchorEl}
+            open={Boolean(anchorEl)}
+            onClose={onClose}
+            anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+            transformOrigin={{ vertical: 'top', horizontal: 'left' }}
+        >
+            <Box className="command-history__panel">
+                <Box className="command-history__header">
+                    <History fontSize="small" />
+                    <Typography variant="subtitle2" className="command-history__title">
+                        History ({undoStack.length + redoStack.length})
+                    </Typography>
+                    <Button
+                        size="small"
+                        startIcon={<DeleteSweep fontSize="small" />}
+                        onClick={handleClear}
+                        disabled={isEmpty}
+                        className="command-history__clear"
+                    >
+                        Clear
+                    </Button>
+                </Box>
+
+                <List dense className="command-history__list">
+                    {futureRows.map(action => renderRow(action, {
+                        future: true,
+                        current: false,
+                        onClick: () => handleGoToFuture(action.index)
+                    }))}
+
+                    {undoStack.map((action, position) => renderRow(action, {
+                        future: false,
+                        current: position === 0,
+                        onClick: () => handleGoToPast(action.index)
+                    }))}
+
+                    <ListItemButton
+                        onClick={handleGoToStart}
+                        selected={undoStack.length === 0}
+                        className={[
+                            'command-history__item',
+                            'command-history__item--start',
+                            undoStack.length === 0 && 'command-history__item--current'
+                        ].filter(Boolean).join(' ')}
+                    >
+                        <ListItemIcon className="command-history__icon">
+                            <FiberNew fontSize="small" />
+                        </ListItemIcon>
+                        <ListItemText
+                            primary="Start of history"
+                            primaryTypographyProps={{ className: 'command-history__description' }}
+                        />
+                    </ListItemButton>
+                </List>
+            </Box>
+        </Popover>
+    );
+}
+
+CommandHistoryPanel.propTypes = {
+    anchorEl: PropTypes.object,
+    onClose: PropTypes.func.isRequired,
+    undoStack: PropTypes.arrayOf(PropTypes.shape({
+        index: PropTypes.number.isRequired,
+        type: PropTypes.string,
+        description: PropTypes.string,
+        timestamp: PropTypes.number
+    })),
+    redoStack: PropTypes.arrayOf(PropTypes.shape({
+        index: PropTypes.number.isRequired,
+        type: PropTypes.string,
+        description: PropTypes.string,
+        timestamp: PropTypes.number
+    }))
+};
@@ -1,7 +1,15 @@
 import React, { useState, useEffect } from 'react';
+import EffectBrowser from './effects/EffectBrowser.jsx';
 import './EffectPicker.bem.css';
 
-export default function EffectPicker({ onSelect, onClose }) {
+/**
+ * Effect picker dialog content
+ * @param {Object} props
+ * @param {Function} props.onSelect - (effect) => void, called with the effect and its defaults
+ * @param {Function} props.onClose - Close the picker
+ * @param {Object} [props.palette] - Current color scheme, used to render the effect thumbnails
+ */
+export default function EffectPicker({ onSelect, onClose, palette = null }) {
     const [effects, setEffects] = useState([]);
 
     useEffect(() => {
@@ -30,6 +38,37 @@ export default function EffectPicker({ onSelect, onClose }) {
         }
     };
 
+    const handleSelect = async (effect) => {
+        try {
+            console.log('🎯 EffectPicker: Clicked on effect:', effect.name || effect.className);
+            const response = await window.api.getEffectDefaults(effect.name || effect.className);
+            console.log('🎯 EffectPicker: Got effect defaults response:', response);
+
+            if (!response.success) {
+                console.error('🎯 EffectPicker: Effect defaults failed:', response.error);
+                throw new Error(`Effect ${effect.name || effect.className} has no config: ${response.error}`);
+            }
+
+            if (!response.defaults) {
+                console.error('🎯 EffectPicker: No defaults returned:', response);
+                throw new Error(`Effect ${effect.name || effect.className} returned no config data`);
+            }
+
+            const newEffect = {
+                className: effect.name || effect.className,
+                config: response.defaults,
+                type: effect.category || 'primary',
+                secondaryEffects: [],
+                keyframeEffects: []
+            };
+            console.log('🎯 EffectPicker: Created new effect object:', newEffect);
+            console.log('🎯 EffectPicker: Calling onSelect with effect');
+            onSelect(newEffect);
+        } catch (error) {
+            console.error('🎯 EffectPicker: Error in onClick handler:', error);
+            alert(`Failed to add effect: ${error.message}`);
+        }
+    };
 
     return (
         <div className="effect-picker__overlay" onClick={onClose}>
@@ -40,64 +79,11 @@ export default function EffectPicker({ onSelect, onClose }) {
                 </div>
 
                 <div className="effect-picker__content">
-                    {effects.length === 0 ? (
-                        <div className="effect-picker__empty-state">No effects available</div>
-                    ) : (
-                        <div className="effect-picker__grid">
-                            {effects.map((effect, index) => {
-                                const effectName = effect.name || effect.className || 'Unknown';
-                                const displayName = effect.displayName || effectName.replace(/Effect$/, '').replace(/([A-Z])/g, ' $1').trim();
-
-                                return (
-                                    <div
-                                        key={index}
-                                        className="effect-picker__item"
-                                        onClick={async () => {
-                                            try {
-                                                console.log('🎯 EffectPicker: Clicked on effect:', effect.name || effect.className);
-                                                const response = await window.api.getEffectDefaults(effect.name || effect.className);
-                                                console.log('🎯 EffectPicker: Got effect defaults response:', response);
-
-                                                if (!response.success) {
-                                                    console.error('🎯 EffectPicker: Effect defaults failed:', response.error);
-                                                    throw new Error(`Effect ${effect.name || effect.className} has no config: ${response.error}`);
-                                                }
-
-                                                if (!response.defaults) {
-                                                    console.error('🎯 EffectPicker: No defaults returned:', response);
-                                                    throw new Error(`Effect ${effect.name || effect.className} returned no config data`);
-                                                }
-
-                                                const newEffect = {
-                                                    className: effect.name || effect.className,
-                                                    config: response.defaults,
-                                                    type: effect.category || 'primary',
-                                                    secondaryEffects: [],
-                                                    keyframeEffects: []
-                                                };
-                                                console.log('🎯 EffectPicker: Created new effect object:', newEffect);
-                                                console.log('🎯 EffectPicker: Calling onSelect with effect');
-                                                onSelect(newEffect);
-                                            } catch (error) {
-                                                console.error('🎯 EffectPicker: Error in onClick handler:', error);
-                                                alert(`Failed to add effect: ${error.message}`);
-                                            }
-                                        }}
-                                    >
-                                        <div className="effect-picker__item-icon">
-                                            {displayName.charAt(0)}
-                                        </div>
-                                        <div className="effect-picker__item-name">
-                                            {displayName}
-                                            {effect.category === 'finalImage' && (
-                                                <span className="effect-picker__item-type"> (Final)</span>
-                                            )}
-                                        </div>
-                                    </div>
-                                );
-                            })}
-                        </div>
-                    )}
+                    <EffectBrowser
+                        effects={effects}
+                        palette={palette}
+                        onSelect={handleSelect}
+                    />
                 </div>
             </div>
         </div>
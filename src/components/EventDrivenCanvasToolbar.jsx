@@ -6,6 +6,7 @@
 import React, { useState, useCallback, useEffect } from 'react';
 import CanvasToolbar from './canvas/CanvasToolbar.jsx';
 import { useServices } from '../contexts/ServiceContext.js';
+import ResolutionMapper from '../utils/ResolutionMapper.js';
 
 export default function EventDrivenCanvasToolbar({
     config,
@@ -18,7 +19,8 @@ export default function EventDrivenCanvasToolbar({
     isRendering,
     projectStateManager,
     isReadOnly = false,
-    isProjectResuming = false
+    isProjectResuming = false,
+    isComparing = false
 }) {
     const { eventBusService, pinSettingService } = useServices();
 
@@ -87,7 +89,9 @@ export default function EventDrivenCanvasToolbar({
     }, [eventBusService, isRenderLoopActive, isPinned]);
 
     const handleResolutionChange = useCallback((event) => {
-        const resolution = parseInt(event.target.value);
+        // Table resolutions are width keys; custom "WIDTHxHEIGHT" resolutions stay strings
+        const value = event.target.value;
+        const resolution = ResolutionMapper.isCustomResolution(value) ? value : parseInt(value);
         eventBusService.emit('toolbar:resolution:change', { resolution }, {
             source: 'EventDrivenCanvasToolbar',
             component: 'EventDrivenCanvasToolbar'
@@ -176,6 +180,27 @@ export default function EventDrivenCanvasToolbar({
         });
     }, [eventBusService]);
 
+    const handleExportAnimation = useCallback(() => {
+        eventBusService.emit('export:dialog:open', {}, {
+            source: 'EventDrivenCanvasToolbar',
+            component: 'EventDrivenCanvasToolbar'
+        });
+    }, [eventBusService]);
+
+    const handleGenerateCollection = useCallback(() => {
+        eventBusService.emit('collection:dialog:open', {}, {
+            source: 'EventDrivenCanvasToolbar',
+            component: 'EventDrivenCanvasToolbar'
+        });
+    }, [eventBusService]);
+
+    const handleGenerateMetadata = useCallback(() => {
+        eventBusService.emit('metadata:dialog:open', {}, {
+            source: 'EventDrivenCanvasToolbar',
+            component: 'EventDrivenCanvasToolbar'
+        });
+    }, [eventBusService]);
+
     const handleEventBusMonitor = useCallback(() => {
         eventBusService.emit('eventbus:monitor:open', {}, {
             source: 'EventDrivenCanvasToolbar',
@@ -197,6 +222,13 @@ export default function EventDrivenCanvasToolbar({
         });
     }, [eventBusService, isPinned]);
 
+    const handleCompareToggle = useCallback(() => {
+        eventBusService.emit('toolbar:compare:toggle', { isComparing: !isComparing }, {
+            source: 'EventDrivenCanvasToolbar',
+            component: 'EventDrivenCanvasToolbar'
+        });
+    }, [eventBusService, isComparing]);
+
     const closeAllDropdowns = useCallback(() => {
         setZoomMenuAnchor(null);
         setColorSchemeMenuAnchor(null);
@@ -242,12 +274,17 @@ export default function EventDrivenCanvasToolbar({
             onOpenProject={handleOpenProject}
             onImportProject={handleImportProject}
             onProjectSettings={handleProjectSettings}
+            onExportAnimation={handleExportAnimation}
+            onGenerateMetadata={handleGenerateMetadata}
+            onGenerateCollection={handleGenerateCollection}
             onEventBusMonitor={handleEventBusMonitor}
             onPluginManager={handlePluginManager}
             isReadOnly={isReadOnly || isPinned}
             isProjectResuming={isProjectResuming}
             isPinned={isPinned}
             onPinToggle={handlePinToggle}
+            isComparing={isComparing}
+            onCompareToggle={handleCompareToggle}
         />
     );
 }
\ No newline at end of file
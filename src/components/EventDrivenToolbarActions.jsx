@@ -11,9 +11,10 @@ import {
     ToggleOrientationCommand,
     ChangeFramesCommand
 } from '../commands/ProjectCommands.js';
+import PreferencesService from '../services/PreferencesService.js';
 
 export default function EventDrivenToolbarActions({ projectState }) {
-    const { eventBusService, commandService, renderPipelineService, pinSettingService } = useServices();
+    const { eventBusService, commandService, renderPipelineService, pinSettingService, projectStateManager } = useServices();
 
     // Circuit breaker to prevent infinite resolution loops
     const lastResolutionRef = useRef(null);
@@ -21,6 +22,9 @@ export default function EventDrivenToolbarActions({ projectState }) {
     // Store last generated settings file for pin feature
     const lastSettingsFileRef = useRef(null);
 
+    // Currently selected frame, for renders and frame steps that don't name one
+    const selectedFrameRef = useRef(0);
+
     useEffect(() => {
         console.log('🔥 EventDrivenToolbarActions: Subscribing to all toolbar events');
 
@@ -87,7 +91,21 @@ export default function EventDrivenToolbarActions({ projectState }) {
                     console.log('📌 EventDrivenToolbarActions: Rendering with pinned settings:', settingsFile);
                 }
                 
-                renderPipelineService.triggerRender(payload.selectedFrame || 0, settingsFile);
+                renderPipelineService.triggerRender(payload?.selectedFrame ?? selectedFrameRef.current, settingsFile);
+            },
+            { component: 'EventDrivenToolbarActions' }
+        );
+
+        // Live preview settings changes (saved so they survive restarts)
+        const unsubscribeLivePreview = eventBusService.subscribe(
+            'toolbar:livepreview:change',
+            async (payload) => {
+                console.log('🔥 EventDrivenToolbarActions: Live preview change event:', payload);
+                const settings = renderPipelineService.setLivePreview(payload || {});
+                const result = await PreferencesService.saveLivePreviewSettings(settings);
+                if (!result.success) {
+                    console.warn('⚠️ EventDrivenToolbarActions: Live preview settings were not saved:', result.error);
+                }
             },
             { component: 'EventDrivenToolbarActions' }
         );
@@ -227,6 +245,29 @@ export default function EventDrivenToolbarActions({ projectState }) {
             { component: 'EventDrivenToolbarActions' }
         );
 
+        // Track the selected frame
+        const unsubscribeFrameSelected = eventBusService.subscribe(
+            'frame:selected',
+            (payload) => {
+                selectedFrameRef.current = payload?.frameIndex ?? 0;
+                renderPipelineService.setPreviewFrame(selectedFrameRef.current);
+            },
+            { component: 'EventDrivenToolbarActions' }
+        );
+
+        // Frame step events (keyboard shortcuts), clamped to the project's frames
+        const unsubscribeFrameStep = eventBusService.subscribe(
+            'frame:step',
+            (payload) => {
+                const numFrames = projectState?.getNumFrames?.() || 1;
+                const frameIndex = Math.max(0, Math.min(numFrames - 1, selectedFrameRef.current + (payload?.delta || 0)));
+                if (frameIndex !== selectedFrameRef.current) {
+                    eventBusService.emit('frame:selected', { frameIndex }, { source: 'EventDrivenToolbarActions' });
+                }
+            },
+            { component: 'EventDrivenToolbarActions' }
+        );
+
         // Zoom events
         const unsubscribeZoomIn = eventBusService.subscribe(
             'toolbar:zoom:in',
@@ -580,6 +621,21 @@ export default function EventDrivenToolbarActions({ projectState }) {
             { component: 'EventDrivenToolbarActions' }
         );
 
+        // Save events
+        const unsubscribeProjectSave = eventBusService.subscribe(
+            'project:save',
+            async () => {
+                console.log('🔥 EventDrivenToolbarActions: Project save event');
+                const saved = await projectStateManager.forceSave();
+                if (saved) {
+                    console.log('💾 EventDrivenToolbarActions: Project saved');
+                } else {
+                    console.warn('⚠️ EventDrivenToolbarActions: Project was not saved');
+                }
+            },
+            { component: 'EventDrivenToolbarActions' }
+        );
+
         // Subscribe to render completion to capture settings file
         const unsubscribeRenderComplete = renderPipelineService.onRenderComplete((result, error) => {
             if (!error && result) {
@@ -601,8 +657,11 @@ export default function EventDrivenToolbarActions({ projectState }) {
             unsubscribeOrientation();
             unsubscribeFrames();
             unsubscribeRender();
+            unsubscribeLivePreview();
             unsubscribeRenderLoop();
             unsubscribeFrameSelection();
+            unsubscribeFrameSelected();
+            unsubscribeFrameStep();
             unsubscribeZoomIn();
             unsubscribeZoomOut();
             unsubscribeZoomReset();
@@ -624,9 +683,23 @@ export default function EventDrivenToolbarActions({ projectState }) {
             unsubscribeEffectConfigurerAttach();
             unsubscribePinToggle();
             unsubscribeProjectImport();
+            unsubscribeProjectSave();
             unsubscribeRenderComplete();
         };
-    }, [eventBusService, commandService, renderPipelineService, pinSettingService, projectState]);
+    }, [eventBusService, commandService, renderPipelineService, pinSettingService, projectStateManager, projectState]);
+
+    // Restore the saved live preview settings
+    useEffect(() => {
+        let cancelled = false;
+        PreferencesService.getLivePreviewSettings().then(settings => {
+            if (!cancelled) {
+                renderPipelineService.setLivePreview(settings);
+            }
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [renderPipelineService]);
 
     // This component has no render - it's pure event handling
     return null;
@@ -0,0 +1,351 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import PropTypes from 'prop-types';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    TextField,
+    Box,
+    Typography,
+    IconButton,
+    Divider,
+    ToggleButton,
+    ToggleButtonGroup,
+    MenuItem,
+    FormControlLabel,
+    Switch,
+    LinearProgress,
+    Alert
+} from '@mui/material';
+import { Close, FolderOpen } from '@mui/icons-material';
+import './ExportAnimationDialog.bem.css';
+
+const FORMATS = [
+    { value: 'mp4', label: 'MP4', description: 'H.264 video' },
+    { value: 'webm', label: 'WebM', description: 'VP9 video' },
+    { value: 'gif', label: 'GIF', description: 'Looping animation' }
+];
+
+const QUALITY_OPTIONS = [
+    { value: 'low', label: 'Low (smallest file)' },
+    { value: 'medium', label: 'Medium' },
+    { value: 'high', label: 'High (largest file)' }
+];
+
+const formatFileSize = (bytes) => {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+};
+
+/**
+ * ExportAnimationDialog - Encode rendered frames to MP4, WebM or GIF
+ * Frames are read from the frames/ folder of the chosen directory and encoded
+ * in the main process with the bundled ffmpeg; progress arrives over IPC.
+ */
+export default function ExportAnimationDialog({
+    open,
+    onClose,
+    projectState
+}) {
+    const [framesDirectory, setFramesDirectory] = useState('');
+    const [frameCount, setFrameCount] = useState(null);
+    const [options, setOptions] = useState({
+        format: 'mp4',
+        frameRate: 30,
+        quality: 'medium',
+        loopCount: 0,
+        pingPong: false,
+        maxWidth: ''
+    });
+    const [exportState, setExportState] = useState({ status: 'idle', progress: 0, error: null, result: null });
+    const exportIdRef = useRef(null);
+
+    const isExporting = exportState.status === 'exporting';
+
+    // Default to the project's output directory when the dialog opens
+    useEffect(() => {
+        if (open && projectState) {
+            const state = projectState.getState();
+            setFramesDirectory(state.outputDirectory || '');
+        }
+    }, [open, projectState]);
+
+    // Count available frames whenever the folder changes
+    useEffect(() => {
+        if (!framesDirectory) {
+            setFrameCount(null);
+            return;
+        }
+
+        let cancelled = false;
+        window.api.listCompletedFrames(framesDirectory)
+            .then(result => {
+                if (!cancelled) {
+                    setFrameCount(result?.success ? result.frames.length : 0);
+                }
+            })
+            .catch(() => {
+                if (!cancelled) setFrameCount(0);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [framesDirectory]);
+
+    // Progress updates from the main process
+    useEffect(() => {
+        const unsubscribe = window.api.on('export:progress', (progress) => {
+            if (progress?.exportId === exportIdRef.current) {
+                setExportState(prev => ({ ...prev, progress: progress.progress }));
+            }
+        });
+        return unsubscribe;
+    }, []);
+
+    const handleOptionChange = (field, value) => {
+        setOptions(prev => ({ ...prev, [field]: value }));
+    };
+
+    const handleSelectFramesDirectory = async () => {
+        try {
+            const result = await window.api.selectFolder();
+            if (!result.canceled && result.filePaths?.[0]) {
+                setFramesDirectory(result.filePaths[0]);
+            }
+        } catch (error) {
+            console.error('Error selecting frames directory:', error);
+        }
+    };
+
+    const handleExport = useCallback(async () => {
+        const projectName = projectState?.getState().projectName || 'animation';
+        const selection = await window.api.export.selectOutput({
+            defaultPath: `${framesDirectory}/${projectName}.${options.format}`,
+            format: options.format
+        });
+        if (!selection.success) {
+            return;
+        }
+
+        const exportId = `export-${Date.now()}`;
+        exportIdRef.current = exportId;
+        setExportState({ status: 'exporting', progress: 0, error: null, result: null });
+        console.log(`🎞️ ExportAnimationDialog: Exporting ${options.format} to ${selection.filePath}`);
+
+        const result = await window.api.export.start({
+            exportId,
+            projectDirectory: framesDirectory,
+            outputPath: selection.filePath,
+            options: {
+                ...options,
+                frameRate: Number(options.frameRate),
+                loopCount: Number(options.loopCount),
+                maxWidth: options.maxWidth ? Number(options.maxWidth) : null
+            }
+        });
+
+        exportIdRef.current = null;
+        if (result.success) {
+            setExportState({ status: 'complete', progress: 100, error: null, result });
+        } else if (result.cancelled) {
+            setExportState({ status: 'idle', progress: 0, error: null, result: null });
+        } else {
+            setExportState({ status: 'error', progress: 0, error: result.error, result: null });
+        }
+    }, [framesDirectory, options, projectState]);
+
+    const handleCancelExport = async () => {
+        if (exportIdRef.current) {
+            await window.api.export.cancel(exportIdRef.current);
+        }
+    };
+
+    const handleClose = () => {
+        if (isExporting) {
+            return;
+        }
+        onClose();
+    };
+
+    const canExport = !isExporting && !!framesDirectory && frameCount > 0 && Number(options.frameRate) > 0;
+
+    return (
+        <Dialog
+            open={open}
+            onClose={handleClose}
+            maxWidth="sm"
+            fullWidth
+            PaperProps={{
+                className: 'export-animation-dialog__paper'
+            }}
+        >
+            <DialogTitle className="export-animation-dialog__title">
+                <Typography variant="h6">Export Animation</Typography>
+                <IconButton
+                    onClick={handleClose}
+                    size="small"
+                    disabled={isExporting}
+                    className="export-animation-dialog__close-button"
+                >
+                    <Close />
+                </IconButton>
+            </DialogTitle>
+
+            <Divider />
+
+            <DialogContent className="export-animation-dialog__content">
+                <Box className="export-animation-dialog__form">
+                    <TextField
+                        label="Rendered Frames Folder"
+                        value={framesDirectory}
+                        onChange={(e) => setFramesDirectory(e.target.value)}
+                        fullWidth
+                        variant="outlined"
+                        disabled={isExporting}
+                        helperText={frameCount === null
+                            ? 'Folder containing the frames/ directory of a completed render'
+                            : `${frameCount} rendered frame${frameCount === 1 ? '' : 's'} found`}
+                        error={frameCount === 0}
+                        InputProps={{
+                            endAdornment: (
+                                <IconButton
+                                    onClick={handleSelectFramesDirectory}
+                                    edge="end"
+                                    disabled={isExporting}
+                                    className="export-animation-dialog__folder-icon"
+                                >
+                                    <FolderOpen />
+                                </IconButton>
+                            )
+                        }}
+                    />
+
+                    <ToggleButtonGroup
+                        value={options.format}
+                        exclusive
+                        fullWidth
+                        size="small"
+                        disabled={isExporting}
+                        onChange={(e, value) => value && handleOptionChange('format', value)}
+                        className="export-animation-dialog__formats"
+                    >
+                        {FORMATS.map(format => (
+                            <ToggleButton key={format.value} value={format.value} className="export-animation-dialog__format">
+                                <span className="export-animation-dialog__format-label">{format.label}</span>
+                                <span className="export-animation-dialog__format-description">{format.description}</span>
+                            </ToggleButton>
+                        ))}
+                    </ToggleButtonGroup>
+
+                    <Box className="export-animation-dialog__row">
+                        <TextField
+                            label="Frame Rate (fps)"
+                            type="number"
+                            value={options.frameRate}
+                            onChange={(e) => handleOptionChange('frameRate', e.target.value)}
+                            inputProps={{ min: 1, max: 120 }}
+                            disabled={isExporting}
+                            fullWidth
+                        />
+                        <TextField
+                            select
+                            label="Quality"
+                            value={options.quality}
+                            onChange={(e) => handleOptionChange('quality', e.target.value)}
+                            disabled={isExporting}
+                            fullWidth
+                        >
+                            {QUALITY_OPTIONS.map(option => (
+                                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                            ))}
+                        </TextField>
+                    </Box>
+
+                    <Box className="export-animation-dialog__row">
+                        <TextField
+                            label="Max Width (px)"
+                            type="number"
+                            value={options.maxWidth}
+                            onChange={(e) => handleOptionChange('maxWidth', e.target.value)}
+                            inputProps={{ min: 16 }}
+                            placeholder="Original"
+                            helperText="Leave empty to keep the render size"
+                            disabled={isExporting}
+                            fullWidth
+                        />
+                        {options.format === 'gif' && (
+                            <TextField
+                                label="Loop Count"
+                                type="number"
+                                value={options.loopCount}
+                                onChange={(e) => handleOptionChange('loopCount', e.target.value)}
+                                inputProps={{ min: 0 }}
+                                helperText="0 loops forever"
+                                disabled={isExporting}
+                                fullWidth
+                            />
+                        )}
+                    </Box>
+
+                    <FormControlLabel
+                        control={
+                            <Switch
+                                checked={options.pingPong}
+                                onChange={(e) => handleOptionChange('pingPong', e.target.checked)}
+                                disabled={isExporting}
+                            />
+                        }
+                        label="Ping-pong (play forward, then backward)"
+                    />
+
+                    {isExporting && (
+                        <Box className="export-animation-dialog__progress">
+                            <LinearProgress variant="determinate" value={exportState.progress} />
+                            <Typography variant="caption" className="export-animation-dialog__progress-label">
+                                Encoding… {exportState.progress}%
+                            </Typography>
+                        </Box>
+                    )}
+
+                    {exportState.status === 'complete' && exportState.result && (
+                        <Alert severity="success">
+                            Exported {exportState.result.frameCount} frames ({formatFileSize(exportState.result.fileSize)}) to {exportState.result.outputPath}
+                        </Alert>
+                    )}
+
+                    {exportState.status === 'error' && (
+                        <Alert severity="error">{exportState.error}</Alert>
+                    )}
+                </Box>
+            </DialogContent>
+
+            <DialogActions className="export-animation-dialog__actions">
+                {isExporting ? (
+                    <Button onClick={handleCancelExport} color="error" variant="outlined">
+                        Cancel Export
+                    </Button>
+                ) : (
+                    <>
+                        <Button onClick={handleClose} color="inherit" variant="outlined">
+                            Close
+                        </Button>
+                        <Button onClick={handleExport} color="primary" variant="contained" disabled={!canExport}>
+                            Export…
+                        </Button>
+                    </>
+                )}
+            </DialogActions>
+        </Dialog>
+    );
+}
+
+ExportAnimationDialog.propTypes = {
+    open: PropTypes.bool.isRequired,
+    onClose: PropTypes.func.isRequired,
+    projectState: PropTypes.object
+};
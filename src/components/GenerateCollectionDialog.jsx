@@ -0,0 +1,399 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    TextField,
+    Box,
+    Typography,
+    IconButton,
+    Divider,
+    FormControlLabel,
+    Switch,
+    LinearProgress,
+    Alert,
+    Tooltip,
+    Table,
+    TableHead,
+    TableBody,
+    TableRow,
+    TableCell,
+    Chip
+} from '@mui/material';
+import { Close, FolderOpen, Casino } from '@mui/icons-material';
+import ColorSchemeService from '../services/ColorSchemeService.js';
+import SeededRandom from '../utils/SeededRandom.js';
+import './GenerateCollectionDialog.bem.css';
+
+// Observed chances further than this from the configured percentChance are flagged
+const DEVIATION_WARNING = 10;
+
+/**
+ * RarityReport - Effect frequencies against configured percentChance, trait distributions and rarest tokens
+ */
+function RarityReport({ report }) {
+    const effects = [...report.effects].sort((a, b) => Math.abs(b.deviation) - Math.abs(a.deviation));
+    const categoricalTraits = report.traits.filter(trait => !trait.numeric);
+    const numericTraits = report.traits.filter(trait => trait.numeric);
+
+    return (
+        <Box className="generate-collection-dialog__report">
+            <Typography variant="subtitle2" className="generate-collection-dialog__section-title">
+                Effect frequency ({report.tokenCount} tokens)
+            </Typography>
+            <Table size="small" className="generate-collection-dialog__table">
+                <TableHead>
+                    <TableRow>
+                        <TableCell>Effect</TableCell>
+                        <TableCell align="right">Configured</TableCell>
+                        <TableCell align="right">Observed</TableCell>
+                        <TableCell align="right">Count</TableCell>
+                    </TableRow>
+                </TableHead>
+                <TableBody>
+                    {effects.map(effect => (
+                        <TableRow
+                            key={effect.key}
+                            className={Math.abs(effect.deviation) > DEVIATION_WARNING ? 'generate-collection-dialog__row--deviating' : ''}
+                        >
+                            <TableCell>
+                                {effect.parent ? `${effect.parent} › ${effect.label}` : effect.label}
+                            </TableCell>
+                            <TableCell align="right">{effect.configuredChance}%</TableCell>
+                            <TableCell align="right">
+                                {effect.observedChance}%
+                                {effect.deviation !== 0 && (
+                                    <span className="generate-collection-dialog__deviation">
+                                        {effect.deviation > 0 ? ' +' : ' '}{effect.deviation}
+                                    </span>
+                                )}
+                            </TableCell>
+                            <TableCell align="right">{effect.occurrences}/{effect.rolls}</TableCell>
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+
+            {categoricalTraits.length > 0 && (
+                <>
+                    <Typography variant="subtitle2" className="generate-collection-dialog__section-title">
+                        Trait values
+                    </Typography>
+                    <Box className="generate-collection-dialog__traits">
+                        {categoricalTraits.map(trait => (
+                            <Box key={trait.traitType} className="generate-collection-dialog__trait">
+                                <Typography variant="caption" className="generate-collection-dialog__trait-name">
+                                    {trait.traitType}
+                                </Typography>
+                                <Box className="generate-collection-dialog__trait-values">
+                                    {trait.values.slice(0, 8).map(({ value, count, percent }) => (
+                                        <Chip key={String(value)} size="small" label={`${value} · ${percent}%`} title={`${count} tokens`} />
+                                    ))}
+                                    {trait.values.length > 8 && (
+                                        <Chip size="small" variant="outlined" label={`+${trait.values.length - 8} more`} />
+                                    )}
+                                </Box>
+                            </Box>
+                        ))}
+                    </Box>
+                </>
+            )}
+
+            {numericTraits.length > 0 && (
+                <>
+                    <Typography variant="subtitle2" className="generate-collection-dialog__section-title">
+                        Numeric values
+                    </Typography>
+                    <Table size="small" className="generate-collection-dialog__table">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>Trait</TableCell>
+                                <TableCell align="right">Min</TableCell>
+                                <TableCell align="right">Mean</TableCell>
+                                <TableCell align="right">Max</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {numericTraits.map(trait => (
+                                <TableRow key={trait.traitType}>
+                                    <TableCell>{trait.traitType}</TableCell>
+                                    <TableCell align="right">{trait.summary.min}</TableCell>
+                                    <TableCell align="right">{trait.summary.mean}</TableCell>
+                                    <TableCell align="right">{trait.summary.max}</TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </>
+            )}
+
+            <Typography variant="subtitle2" className="generate-collection-dialog__section-title">
+                Rarest tokens
+            </Typography>
+            <Box className="generate-collection-dialog__trait-values">
+                {report.tokens.slice(0, 10).map(token => (
+                    <Chip key={token.tokenId} size="small" label={`#${token.tokenId} · ${token.rarityScore}`} />
+                ))}
+            </Box>
+        </Box>
+    );
+}
+
+RarityReport.propTypes = {
+    report: PropTypes.object.isRequired
+};
+
+/**
+ * GenerateCollectionDialog - Generate N seeded variants of the project in one run
+ * Each variant gets its own settings file (re-renderable through resume-project)
+ * and the run ends with a rarity report for tuning percentChance values.
+ */
+export default function GenerateCollectionDialog({
+    open,
+    onClose,
+    projectState
+}) {
+    const [formData, setFormData] = useState({
+        count: 50,
+        masterSeed: '',
+        startTokenId: 1,
+        outputDirectory: '',
+        queueRenders: false
+    });
+    const [progress, setProgress] = useState(null);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    const isGenerating = progress !== null;
+
+    useEffect(() => {
+        if (open && projectState) {
+            const state = projectState.getState();
+            setFormData(prev => ({
+                ...prev,
+                masterSeed: String(state.masterSeed ?? SeededRandom.randomSeed()),
+                outputDirectory: state.outputDirectory || ''
+            }));
+            setResult(null);
+            setError(null);
+        }
+    }, [open, projectState]);
+
+    useEffect(() => {
+        const unsubscribe = window.api.on('collection:progress', (update) => {
+            setProgress(prev => (prev ? update : prev));
+        });
+        return unsubscribe;
+    }, []);
+
+    const handleInputChange = (field, value) => {
+        setFormData(prev => ({ ...prev, [field]: value }));
+    };
+
+    const handleSelectOutputDirectory = async () => {
+        try {
+            const selection = await window.api.selectFolder();
+            if (!selection.canceled && selection.filePaths?.[0]) {
+                handleInputChange('outputDirectory', selection.filePaths[0]);
+            }
+        } catch (err) {
+            console.error('Error selecting output directory:', err);
+        }
+    };
+
+    const handleGenerate = async () => {
+        const config = projectState.getState();
+        const colorSchemeData = await ColorSchemeService.resolveRenderColorSchemeData(config);
+        // Digits are the seed itself, as in project settings, so a seed copied from collection.json reproduces it
+        const masterSeed = SeededRandom.parseSeed(formData.masterSeed);
+
+        setProgress({ completed: 0, total: Number(formData.count), progress: 0 });
+        setResult(null);
+        setError(null);
+        console.log(`🎲 GenerateCollectionDialog: Generating ${formData.count} variants with seed ${masterSeed ?? 'random'}`);
+
+        try {
+            const response = await window.api.generateCollection(
+                { ...config, colorSchemeData },
+                {
+                    count: Number(formData.count),
+                    masterSeed,
+                    startTokenId: Number(formData.startTokenId) || 0,
+                    outputDirectory: formData.outputDirectory,
+                    queueRenders: formData.queueRenders
+                }
+            );
+            if (response.success) {
+                setResult(response);
+                handleInputChange('masterSeed', String(response.masterSeed));
+            } else {
+                setError(response.error);
+            }
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setProgress(null);
+        }
+    };
+
+    const handleClose = () => {
+        if (!isGenerating) {
+            onClose();
+        }
+    };
+
+    const count = Number(formData.count);
+    const canGenerate = !isGenerating && Number.isInteger(count) && count >= 1 && count <= 1000 && !!formData.outputDirectory;
+
+    return (
+        <Dialog
+            open={open}
+            onClose={handleClose}
+            maxWidth={result ? 'md' : 'sm'}
+            fullWidth
+            PaperProps={{
+                className: 'generate-collection-dialog__paper'
+            }}
+        >
+            <DialogTitle className="generate-collection-dialog__title">
+                <Typography variant="h6">Generate Collection</Typography>
+                <IconButton
+                    onClick={handleClose}
+                    size="small"
+                    disabled={isGenerating}
+                    className="generate-collection-dialog__close-button"
+                >
+                    <Close />
+                </IconButton>
+            </DialogTitle>
+
+            <Divider />
+
+            <DialogContent className="generate-collection-dialog__content">
+                <Box className="generate-collection-dialog__form">
+                    <Box className="generate-collection-dialog__row">
+                        <TextField
+                            label="Variants"
+                            type="number"
+                            value={formData.count}
+                            onChange={(e) => handleInputChange('count', e.target.value)}
+                            inputProps={{ min: 1, max: 1000 }}
+                            disabled={isGenerating}
+                            fullWidth
+                        />
+                        <TextField
+                            label="First Token ID"
+                            type="number"
+                            value={formData.startTokenId}
+                            onChange={(e) => handleInputChange('startTokenId', e.target.value)}
+                            inputProps={{ min: 0 }}
+                            disabled={isGenerating}
+                            fullWidth
+                        />
+                    </Box>
+
+                    <TextField
+                        label="Master Seed"
+                        value={formData.masterSeed}
+                        onChange={(e) => handleInputChange('masterSeed', e.target.value)}
+                        disabled={isGenerating}
+                        fullWidth
+                        helperText="The same seed and project produce the same variants"
+                        InputProps={{
+                            endAdornment: (
+                                <Tooltip title="New random seed">
+                                    <IconButton
+                                        onClick={() => handleInputChange('masterSeed', String(SeededRandom.randomSeed()))}
+                                        edge="end"
+                                        disabled={isGenerating}
+                                    >
+                                        <Casino />
+                                    </IconButton>
+                                </Tooltip>
+                            )
+                        }}
+                    />
+
+                    <TextField
+                        label="Output Directory"
+                        value={formData.outputDirectory}
+                        onChange={(e) => handleInputChange('outputDirectory', e.target.value)}
+                        disabled={isGenerating}
+                        fullWidth
+                        helperText="A collection-<name>-<seed> folder is created here"
+                        InputProps={{
+                            endAdornment: (
+                                <IconButton
+                                    onClick={handleSelectOutputDirectory}
+                                    edge="end"
+                                    disabled={isGenerating}
+                                    className="generate-collection-dialog__folder-icon"
+                                >
+                                    <FolderOpen />
+                                </IconButton>
+                            )
+                        }}
+                    />
+
+                    <FormControlLabel
+                        control={
+                            <Switch
+                                checked={formData.queueRenders}
+                                onChange={(e) => handleInputChange('queueRenders', e.target.checked)}
+                                disabled={isGenerating}
+                            />
+                        }
+                        label="Add every variant to the render queue"
+                    />
+
+                    {isGenerating && (
+                        <Box className="generate-collection-dialog__progress">
+                            <LinearProgress variant="determinate" value={progress.progress} />
+                            <Typography variant="caption" className="generate-collection-dialog__progress-label">
+                                Generated {progress.completed} of {progress.total} variants
+                            </Typography>
+                        </Box>
+                    )}
+
+                    {error && <Alert severity="error">{error}</Alert>}
+
+                    {result && (
+                        <Alert severity={result.cancelled ? 'warning' : 'success'}>
+                            {result.cancelled ? 'Stopped early: ' : ''}
+                            {result.tokenCount} variants written to {result.collectionDirectory}
+                            {result.queued ? ' and queued for rendering' : ''}
+                            {` (seed ${result.masterSeed})`}
+                        </Alert>
+                    )}
+                </Box>
+
+                {result?.report && <RarityReport report={result.report} />}
+            </DialogContent>
+
+            <DialogActions className="generate-collection-dialog__actions">
+                {isGenerating ? (
+                    <Button onClick={() => window.api.cancelCollection()} color="error" variant="outlined">
+                        Stop
+                    </Button>
+                ) : (
+                    <>
+                        <Button onClick={handleClose} color="inherit" variant="outlined">
+                            Close
+                        </Button>
+                        <Button onClick={handleGenerate} color="primary" variant="contained" disabled={!canGenerate}>
+                            Generate
+                        </Button>
+                    </>
+                )}
+            </DialogActions>
+        </Dialog>
+    );
+}
+
+GenerateCollectionDialog.propTypes = {
+    open: PropTypes.bool.isRequired,
+    onClose: PropTypes.func.isRequired,
+    projectState: PropTypes.object
+};
@@ -0,0 +1,185 @@
+/**
+ * KeymapEditorDialog Component
+ *
+ * Rebind any keyboard shortcut: click a binding, press the new chord (Esc
+ * cancels). Conflicting chords are rejected with the shortcut that owns them.
+ * Changes are saved to preferences as they're made.
+ *
+ * @component
+ */
+
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    Box,
+    Typography,
+    IconButton,
+    Tooltip
+} from '@mui/material';
+import { Close, Clear, RestartAlt } from '@mui/icons-material';
+import {
+    SHORTCUT_CATEGORIES,
+    acceleratorFromKeyboardEvent,
+    formatAccelerator
+} from '../utils/KeyboardShortcuts.js';
+import './KeymapEditorDialog.bem.css';
+
+export default function KeymapEditorDialog({
+    open,
+    onClose,
+    shortcuts,
+    onSetBinding,
+    onResetBinding,
+    onResetAll
+}) {
+    const [recordingId, setRecordingId] = useState(null);
+    const [errors, setErrors] = useState({});
+
+    useEffect(() => {
+        if (!open) {
+            setRecordingId(null);
+            setErrors({});
+        }
+    }, [open]);
+
+    const applyResult = (id, result) => {
+        setErrors(prev => {
+            const next = { ...prev };
+            if (result?.success) {
+                delete next[id];
+            } else {
+                next[id] = result?.error || 'Failed to update shortcut';
+            }
+            return next;
+        });
+    };
+
+    // Capture the next chord while a binding is being recorded
+    const handleKeyDown = async (event) => {
+        if (!recordingId) {
+            return;
+        }
+
+        // Keep the chord from reaching the global shortcut handler
+        event.preventDefault();
+        event.stopPropagation();
+
+        if (event.key === 'Escape' && !event.ctrlKey && !event.metaKey && !event.altKey && !event.shiftKey) {
+            setRecordingId(null);
+            return;
+        }
+
+        const accelerator = acceleratorFromKeyboardEvent(event.nativeEvent || event);
+        if (!accelerator) {
+            return; // Lone modifier, wait for the key
+        }
+
+        const id = recordingId;
+        setRecordingId(null);
+        applyResult(id, await onSetBinding(id, accelerator));
+    };
+
+    return (
+        <Dialog
+            open={open}
+            onClose={onClose}
+            onKeyDown={handleKeyDown}
+            disableEscapeKeyDown={!!recordingId}
+            maxWidth="sm"
+            fullWidth
+        >
+            <DialogTitle className="keymap-editor-dialog__title">
+                Customize Shortcuts
+                <IconButton onClick={onClose} size="small">
+                    <Close />
+                </IconButton>
+            </DialogTitle>
+            <DialogContent className="keymap-editor-dialog__content">
+                {SHORTCUT_CATEGORIES.map(category => (
+                    <Box key={category} className="keymap-editor-dialog__group">
+                        <Typography variant="subtitle2" className="keymap-editor-dialog__category">
+                            {category}
+                        </Typography>
+                        {shortcuts.filter(shortcut => shortcut.category === category).map(shortcut => (
+                            <Box key={shortcut.id} className="keymap-editor-dialog__row">
+                                <Box className="keymap-editor-dialog__label">
+                                    <Typography variant="body2">{shortcut.label}</Typography>
+                                    {errors[shortcut.id] && (
+                                        <Typography variant="caption" className="keymap-editor-dialog__error">
+                                            {errors[shortcut.id]}
+                                        </Typography>
+                                    )}
+                                </Box>
+                                <Button
+                                    size="small"
+                                    variant={recordingId === shortcut.id ? 'contained' : 'outlined'}
+                                    className={`keymap-editor-dialog__binding${shortcut.isCustom ? ' keymap-editor-dialog__binding--custom' : ''}`}
+                                    onClick={() => setRecordingId(recordingId === shortcut.id ? null : shortcut.id)}
+                                >
+                                    {recordingId === shortcut.id
+                                        ? 'Press keys…'
+                                        : (formatAccelerator(shortcut.accelerator) || 'Unbound')}
+                                </Button>
+                                <Tooltip title="Remove shortcut">
+                                    <span>
+                                        <IconButton
+                                            size="small"
+                                            disabled={!shortcut.accelerator}
+                                            onClick={async () => applyResult(shortcut.id, await onSetBinding(shortcut.id, null))}
+                                        >
+                                            <Clear fontSize="small" />
+                                        </IconButton>
+                                    </span>
+                                </Tooltip>
+                                <Tooltip title={`Reset to ${formatAccelerator(shortcut.defaultAccelerator) || 'unbound'}`}>
+                                    <span>
+                                        <IconButton
+                                            size="small"
+                                            disabled={!shortcut.isCustom}
+                                            onClick={async () => applyResult(shortcut.id, await onResetBinding(shortcut.id))}
+                                        >
+                                            <RestartAlt fontSize="small" />
+                                        </IconButton>
+                                    </span>
+                                </Tooltip>
+                            </Box>
+                        ))}
+                    </Box>
+                ))}
+            </DialogContent>
+            <DialogActions>
+                <Button
+                    onClick={async () => {
+                        await onResetAll();
+                        setErrors({});
+                    }}
+                    disabled={!shortcuts.some(shortcut => shortcut.isCustom)}
+                >
+                    Reset All
+                </Button>
+                <Button variant="contained" onClick={onClose}>Done</Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
+
+KeymapEditorDialog.propTypes = {
+    open: PropTypes.bool.isRequired,
+    onClose: PropTypes.func.isRequired,
+    shortcuts: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.string,
+        label: PropTypes.string,
+        category: PropTypes.string,
+        accelerator: PropTypes.string,
+        defaultAccelerator: PropTypes.string,
+        isCustom: PropTypes.bool
+    })).isRequired,
+    onSetBinding: PropTypes.func.isRequired,
+    onResetBinding: PropTypes.func.isRequired,
+    onResetAll: PropTypes.func.isRequired
+};
@@ -0,0 +1,145 @@
+/**
+ * PluginCapabilityDialog Component
+ *
+ * Shows a plugin's manifest before install and asks the user to approve the
+ * capabilities it requests. Before every load the plugin and its dependencies are
+ * scanned and refused if they use more than was approved; the scan is a check,
+ * not a sandbox, which the dialog says plainly. Installed plugins from before
+ * capability approvals existed are reviewed here too (installed).
+ *
+ * @component
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    Typography,
+    Chip,
+    Box,
+    Alert
+} from '@mui/material';
+import { Security } from '@mui/icons-material';
+import './plugin-capability-dialog.bem.css';
+
+/**
+ * PluginCapabilityDialog Component
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Dialog open state
+ * @param {Object|null} props.manifest - { name, version, myNftGen, effects, capabilities }
+ * @param {Array<Object>} props.capabilities - Requested capabilities [{ id, label, description }]
+ * @param {boolean} [props.installed] - Reviewing a plugin that is already installed
+ * @param {Function} props.onApprove - (capabilityIds) => void
+ * @param {Function} props.onClose - () => void
+ * @returns {React.ReactElement}
+ */
+export default function PluginCapabilityDialog({ open, manifest, capabilities = [], installed = false, onApprove, onClose }) {
+    if (!manifest) {
+        return null;
+    }
+
+    return (
+        <Dialog
+            open={open}
+            onClose={onClose}
+            maxWidth="sm"
+            fullWidth
+            aria-labelledby="plugin-capability-dialog"
+        >
+            <DialogTitle id="plugin-capability-dialog" className="plugin-capability-dialog__title">
+                <Security fontSize="small" />
+                {installed ? 'Load' : 'Install'} {manifest.name}?
+            </DialogTitle>
+            <DialogContent>
+                <Box className="plugin-capability-dialog__meta">
+                    <Chip label={`v${manifest.version}`} size="small" />
+                    <Chip label={`my-nft-gen ${manifest.myNftGen}`} size="small" variant="outlined" />
+                </Box>
+
+                {manifest.legacy && (
+                    <Alert severity="info" className="plugin-capability-dialog__alert">
+                        This plugin has no manifest. The capabilities below were found by scanning its code.
+                    </Alert>
+                )}
+
+                <Typography variant="subtitle2" gutterBottom>
+                    Effects provided ({manifest.effects.length})
+                </Typography>
+                <Box className="plugin-capability-dialog__effects">
+                    {manifest.effects.length === 0 ? (
+                        <Typography variant="body2" color="text.secondary">None declared</Typography>
+                    ) : (
+                        manifest.effects.map(effect => (
+                            <Chip key={effect} label={effect} size="small" variant="outlined" />
+                        ))
+                    )}
+                </Box>
+
+                <Typography variant="subtitle2" gutterBottom>
+                    Requested capabilities
+                </Typography>
+                {capabilities.length === 0 ? (
+                    <Alert severity="success" className="plugin-capability-dialog__alert">
+                        This plugin does not declare access to files, the network or native code.
+                    </Alert>
+                ) : (
+                    <>
+                        <ul className="plugin-capability-dialog__capabilities">
+                            {capabilities.map(capability => (
+                                <li key={capability.id} className="plugin-capability-dialog__capability">
+                                    <Typography variant="body2" className="plugin-capability-dialog__capability-label">
+                                        {capability.label}
+                                    </Typography>
+                                    <Typography variant="caption" color="text.secondary">
+                                        {capability.description}
+                                    </Typography>
+                                </li>
+                            ))}
+                        </ul>
+                    </>
+                )}
+                <Alert severity="warning" className="plugin-capability-dialog__alert">
+                    The plugin and its dependencies are scanned before each load and refused if they use
+                    anything not approved here. The scan cannot catch everything and plugins run with the
+                    app&apos;s permissions, so only install plugins from sources you trust.
+                </Alert>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose} variant="outlined">
+                    Cancel
+                </Button>
+                <Button
+                    variant="contained"
+                    onClick={() => onApprove(capabilities.map(capability => capability.id))}
+                >
+                    {`${capabilities.length === 0 ? '' : 'Approve & '}${installed ? 'Load' : 'Install'}`}
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
+
+PluginCapabilityDialog.propTypes = {
+    open: PropTypes.bool.isRequired,
+    manifest: PropTypes.shape({
+        name: PropTypes.string.isRequired,
+        version: PropTypes.string.isRequired,
+        myNftGen: PropTypes.string.isRequired,
+        effects: PropTypes.arrayOf(PropTypes.string).isRequired,
+        capabilities: PropTypes.arrayOf(PropTypes.string).isRequired,
+        legacy: PropTypes.bool
+    }),
+    capabilities: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        label: PropTypes.string.isRequired,
+        description: PropTypes.string.isRequired
+    })),
+    installed: PropTypes.bool,
+    onApprove: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired
+};
@@ -0,0 +1,162 @@
+/**
+ * PluginDevErrorPanel Component
+ *
+ * Shows load errors from plugin developer mode (hot reload) with their stack
+ * traces. An entry stays until the plugin reloads successfully or is dismissed.
+ *
+ * @component
+ */
+
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+    Paper,
+    Box,
+    Typography,
+    IconButton,
+    Tooltip,
+    Collapse
+} from '@mui/material';
+import { Close, ErrorOutline, ExpandLess, ExpandMore, Refresh } from '@mui/icons-material';
+import { useServices } from '../contexts/ServiceContext.js';
+import './PluginDevErrorPanel.bem.css';
+
+/**
+ * One failed reload with a collapsible stack trace
+ */
+function PluginDevErrorEntry({ failure, onRetry, onDismiss }) {
+    const [showStack, setShowStack] = useState(true);
+
+    return (
+        <Box className="plugin-dev-error-panel__entry">
+            <Box className="plugin-dev-error-panel__entry-header">
+                <Typography variant="subtitle2" className="plugin-dev-error-panel__plugin">
+                    {failure.plugin}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                    {new Date(failure.timestamp).toLocaleTimeString()}
+                </Typography>
+                <Box className="plugin-dev-error-panel__entry-actions">
+                    {failure.stack && (
+                        <Tooltip title={showStack ? 'Hide stack trace' : 'Show stack trace'}>
+                            <IconButton size="small" onClick={() => setShowStack(!showStack)}>
+                                {showStack ? <ExpandLess fontSize="small" /> : <ExpandMore fontSize="small" />}
+                            </IconButton>
+                        </Tooltip>
+                    )}
+                    <Tooltip title="Reload now">
+                        <IconButton size="small" onClick={() => onRetry(failure.plugin)}>
+                            <Refresh fontSize="small" />
+                        </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Dismiss">
+                        <IconButton size="small" onClick={() => onDismiss(failure.plugin)}>
+                            <Close fontSize="small" />
+                        </IconButton>
+                    </Tooltip>
+                </Box>
+            </Box>
+            <Typography variant="body2" className="plugin-dev-error-panel__message">
+                {failure.error}
+            </Typography>
+            {failure.changedFiles?.length > 0 && (
+                <Typography variant="caption" color="text.secondary" component="div">
+                    Changed: {failure.changedFiles.join(', ')}
+                </Typography>
+            )}
+            {failure.stack && (
+                <Collapse in={showStack}>
+                    <pre className="plugin-dev-error-panel__stack">{failure.stack}</pre>
+                </Collapse>
+            )}
+        </Box>
+    );
+}
+
+PluginDevErrorEntry.propTypes = {
+    failure: PropTypes.shape({
+        plugin: PropTypes.string.isRequired,
+        error: PropTypes.string,
+        stack: PropTypes.string,
+        timestamp: PropTypes.string,
+        changedFiles: PropTypes.arrayOf(PropTypes.string)
+    }).isRequired,
+    onRetry: PropTypes.func.isRequired,
+    onDismiss: PropTypes.func.isRequired
+};
+
+/**
+ * PluginDevErrorPanel Component
+ *
+ * Listens for 'plugins:dev-reloaded' events forwarded from the main process.
+ *
+ * @returns {React.ReactElement|null}
+ */
+export default function PluginDevErrorPanel() {
+    const { eventBusService } = useServices();
+    // Latest failed reload per plugin: pluginName -> result
+    const [failures, setFailures] = useState({});
+
+    useEffect(() => {
+        const unsubscribe = eventBusService.subscribe('plugins:dev-reloaded', (result) => {
+            if (!result?.plugin) {
+                return;
+            }
+            setFailures(prev => {
+                const next = { ...prev };
+                if (result.success) {
+                    delete next[result.plugin];
+                } else {
+                    next[result.plugin] = result;
+                }
+                return next;
+            });
+        }, { component: 'PluginDevErrorPanel' });
+
+        return unsubscribe;
+    }, [eventBusService]);
+
+    const handleDismiss = (pluginName) => {
+        setFailures(prev => {
+            const next = { ...prev };
+            delete next[pluginName];
+            return next;
+        });
+    };
+
+    const handleRetry = (pluginName) => {
+        // The outcome arrives as another plugins:dev-reloaded event
+        window.api.plugins.devReload(pluginName);
+    };
+
+    const entries = Object.values(failures);
+    if (entries.length === 0) {
+        return null;
+    }
+
+    return (
+        <Paper className="plugin-dev-error-panel" elevation={6}>
+            <Box className="plugin-dev-error-panel__header">
+                <ErrorOutline color="error" fontSize="small" />
+                <Typography variant="subtitle1" className="plugin-dev-error-panel__title">
+                    Plugin load errors
+                </Typography>
+                <Tooltip title="Dismiss all">
+                    <IconButton size="small" onClick={() => setFailures({})}>
+                        <Close fontSize="small" />
+                    </IconButton>
+                </Tooltip>
+            </Box>
+            <Box className="plugin-dev-error-panel__list">
+                {entries.map(failure => (
+                    <PluginDevErrorEntry
+                        key={failure.plugin}
+                        failure={failure}
+                        onRetry={handleRetry}
+                        onDismiss={handleDismiss}
+                    />
+                ))}
+            </Box>
+        </Paper>
+    );
+}
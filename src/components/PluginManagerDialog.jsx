@@ -31,9 +31,12 @@ import {
     Extension,
     Check,
     Close,
-    Refresh
+    Refresh,
+    Code
 } from '@mui/icons-material';
 import useDebounce from '../hooks/useDebounce.js';
+import PluginCapabilityDialog from './PluginCapabilityDialog.jsx';
+import PluginUpdatesPanel from './PluginUpdatesPanel.jsx';
 import './plugin-manager-dialog.bem.css';
 
 function TabPanel({ children, value, index, ...other }) {
@@ -59,6 +62,12 @@ export default function PluginManagerDialog({ open, onClose }) {
     const [success, setSuccess] = useState('');
     const [installProgress, setInstallProgress] = useState(0);
     const [installStatus, setInstallStatus] = useState('');
+    // Manifest awaiting capability approval: { source: 'npm' | 'local' | 'installed', manifest, capabilities, pluginData?, pluginName? }
+    const [pendingApproval, setPendingApproval] = useState(null);
+    // Installed plugins that are not loaded until their capabilities are approved (e.g. legacy plugins)
+    const [unapprovedPlugins, setUnapprovedPlugins] = useState([]);
+    // Local plugins watched for hot reload (plugin developer mode)
+    const [devModePlugins, setDevModePlugins] = useState([]);
 
     // Debounced setter for npm package input (300ms for text input)
     const debouncedSetNpmPackage = useDebounce(setNpmPackage, 300);
@@ -72,6 +81,11 @@ export default function PluginManagerDialog({ open, onClose }) {
             } else {
                 setError(result.error || 'Failed to load plugins');
             }
+
+            const approvals = await window.api.plugins.getPendingApprovals();
+            if (approvals.success) {
+                setUnapprovedPlugins(approvals.pending);
+            }
         } catch (err) {
             setError('Error loading plugins: ' + err.message);
         } finally {
@@ -79,10 +93,18 @@ export default function PluginManagerDialog({ open, onClose }) {
         }
     }, []);
 
+    const loadDevModeStatus = useCallback(async () => {
+        const result = await window.api.plugins.getDevModeStatus();
+        if (result.success) {
+            setDevModePlugins(result.status.map(entry => entry.plugin));
+        }
+    }, []);
+
     useEffect(() => {
         if (open) {
             console.log('📋 PluginManagerDialog: Dialog opened, loading plugins');
             loadPlugins();
+            loadDevModeStatus();
         }
     }, [open]);
 
@@ -116,7 +138,7 @@ export default function PluginManagerDialog({ open, onClose }) {
             console.log('✅ PluginManagerDialog: Plugin operation complete event received:', data);
             if (data.success) {
                 const operationType = data.operation || 'unknown';
-                if (['install', 'uninstall', 'reload'].includes(operationType)) {
+                if (['install', 'uninstall', 'reload', 'update', 'rollback'].includes(operationType)) {
                     console.log(`🔧 PluginManagerDialog: Plugin ${operationType} complete, refreshing plugin list`);
                     loadPlugins();
                 }
@@ -145,11 +167,32 @@ export default function PluginManagerDialog({ open, onClose }) {
         }
     };
 
+    const handleToggleDevMode = async (pluginName) => {
+        try {
+            const enabled = devModePlugins.includes(pluginName);
+            const result = enabled
+                ? await window.api.plugins.stopDevMode(pluginName)
+                : await window.api.plugins.startDevMode(pluginName);
+            if (result.success) {
+                setDevModePlugins(result.status.map(entry => entry.plugin));
+                setSuccess(enabled
+                    ? `Developer mode off: ${pluginName}`
+                    : `Developer mode on: ${pluginName} reloads when files in ${result.watchPath} change`);
+                setTimeout(() => setSuccess(''), 3000);
+            } else {
+                setError(result.error || 'Failed to toggle developer mode');
+            }
+        } catch (err) {
+            setError('Error toggling developer mode: ' + err.message);
+        }
+    };
+
     const handleRemovePlugin = async (pluginName) => {
         try {
             const result = await window.api.plugins.remove(pluginName);
             if (result.success) {
                 await loadPlugins();
+                await loadDevModeStatus();
                 setSuccess(`Plugin removed: ${pluginName}`);
                 setTimeout(() => setSuccess(''), 3000);
             } else {
@@ -160,7 +203,7 @@ export default function PluginManagerDialog({ open, onClose }) {
         }
     };
 
-    const handleInstallNpmPlugin = async () => {
+    const handleInstallNpmPlugin = async (approvedCapabilities = []) => {
         if (!npmPackage.trim()) {
             setError('Please enter a package name');
             return;
@@ -172,9 +215,14 @@ export default function PluginManagerDialog({ open, onClose }) {
             setInstallProgress(0);
             setInstallStatus('Starting installation...');
 
-            const result = await window.api.plugins.installFromNpm(npmPackage);
+            const result = await window.api.plugins.installFromNpm(npmPackage, approvedCapabilities);
             
-            if (result.success) {
+            if (result.requiresApproval && result.manifest) {
+                // Downloaded, but the plugin asks for capabilities - install again once approved
+                setPendingApproval({ source: 'npm', manifest: result.manifest, capabilities: result.capabilities || [] });
+                setInstallProgress(0);
+                setInstallStatus('');
+            } else if (result.success) {
                 setInstallStatus('Installation complete! Reloading effects...');
                 setInstallProgress(100);
                 setNpmPackage('');
@@ -209,44 +257,63 @@ export default function PluginManagerDialog({ open, onClose }) {
         }
     };
 
+    const installLocalPlugin = async (pluginData) => {
+        try {
+            // Use the orchestrator for full install+load workflow
+            setInstallStatus('Loading local plugin...');
+            setInstallProgress(50);
+
+            const addResult = await window.api.plugins.installAndLoad?.(pluginData) 
+                || await window.api.plugins.add(pluginData);
+            
+            if (addResult.success) {
+                setInstallProgress(100);
+                await loadPlugins();
+
+                // Show success message
+                setSuccess(`✅ Local plugin "${pluginData.name}" added successfully (${addResult.plugin?.effects?.length || 0} effects loaded)!`);
+                
+                // The orchestrator has already registered the effects and emitted events
+                // The effects panel should refresh automatically via useEffectManagement listener
+
+                setTimeout(() => {
+                    setSuccess('');
+                    setInstallProgress(0);
+                    setInstallStatus('');
+                }, 5000);
+            } else {
+                setError(addResult.error || 'Failed to add plugin');
+                setInstallProgress(0);
+                setInstallStatus('');
+            }
+        } catch (err) {
+            setError('Error adding plugin: ' + err.message);
+        }
+    };
+
     const handleSelectLocalPlugin = async () => {
         try {
             const result = await window.api.plugins.selectLocal();
             if (result.success) {
-                const pluginData = {
-                    name: result.info.name || result.path.split('/').pop(),
-                    path: result.path,
-                    type: 'local',
-                    version: result.info.version,
-                    description: result.info.description,
-                    enabled: true
-                };
-
-                // Use the orchestrator for full install+load workflow
-                setInstallStatus('Loading local plugin...');
-                setInstallProgress(50);
-
-                const addResult = await window.api.plugins.installAndLoad?.(pluginData) 
-                    || await window.api.plugins.add(pluginData);
-                
-                if (addResult.success) {
-                    setInstallProgress(100);
-                    await loadPlugins();
-
-                    // Show success message
-                    setSuccess(`✅ Local plugin "${pluginData.name}" added successfully (${addResult.plugin?.effects?.length || 0} effects loaded)!`);
-                    
-                    // The orchestrator has already registered the effects and emitted events
-                    // The effects panel should refresh automatically via useEffectManagement listener
-
-                    setTimeout(() => {
-                        setSuccess('');
-                        setInstallProgress(0);
-                        setInstallStatus('');
-                    }, 5000);
-                } else {
-                    setError(addResult.error || 'Failed to add plugin');
+                if (!result.manifest) {
+                    setError(result.manifestError || 'Plugin has no manifest');
+                    return;
                 }
+
+                // Show the manifest and requested capabilities before anything is loaded
+                setPendingApproval({
+                    source: 'local',
+                    manifest: result.manifest,
+                    capabilities: result.capabilities || [],
+                    pluginData: {
+                        name: result.info.name || result.manifest.name,
+                        path: result.path,
+                        type: 'local',
+                        version: result.manifest.version,
+                        description: result.info.description,
+                        enabled: true
+                    }
+                });
             } else if (!result.canceled) {
                 setError(result.error || 'Failed to select plugin');
             }
@@ -255,6 +322,37 @@ export default function PluginManagerDialog({ open, onClose }) {
         }
     };
 
+    const approveInstalledPlugin = async (pluginName, approvedCapabilities) => {
+        try {
+            setLoading(true);
+            const result = await window.api.plugins.approveCapabilities(pluginName, approvedCapabilities);
+            if (result.success) {
+                setSuccess(`✅ Plugin "${pluginName}" approved and loaded (${result.effects?.length || 0} effects)`);
+                setTimeout(() => setSuccess(''), 5000);
+            } else {
+                setError(result.error || `Failed to load ${pluginName}`);
+            }
+        } catch (err) {
+            setError('Error approving plugin: ' + err.message);
+        } finally {
+            setLoading(false);
+            await loadPlugins();
+        }
+    };
+
+    const handleApproveCapabilities = (approvedCapabilities) => {
+        const approval = pendingApproval;
+        setPendingApproval(null);
+
+        if (approval.source === 'installed') {
+            approveInstalledPlugin(approval.pluginName, approvedCapabilities);
+        } else if (approval.source === 'npm') {
+            handleInstallNpmPlugin(approvedCapabilities);
+        } else {
+            installLocalPlugin({ ...approval.pluginData, approvedCapabilities });
+        }
+    };
+
     const handleRefresh = () => {
         loadPlugins();
     };
@@ -302,9 +400,34 @@ export default function PluginManagerDialog({ open, onClose }) {
                 <Tabs value={tabValue} onChange={handleTabChange} className="plugin-manager-dialog__tabs">
                     <Tab label="Installed Plugins" />
                     <Tab label="Add Plugin" />
+                    <Tab label="Updates" />
                 </Tabs>
 
                 <TabPanel value={tabValue} index={0}>
+                    {unapprovedPlugins.length > 0 && (
+                        <Alert severity="warning" className="plugin-manager-dialog__alert">
+                            These plugins were installed before plugins asked for permissions and are not
+                            loaded until you review what they use.
+                            {unapprovedPlugins.map(plugin => (
+                                <Box key={plugin.name} className="plugin-manager-dialog__approval">
+                                    <Typography variant="body2">{plugin.name}</Typography>
+                                    <Button
+                                        size="small"
+                                        variant="outlined"
+                                        disabled={loading}
+                                        onClick={() => setPendingApproval({
+                                            source: 'installed',
+                                            pluginName: plugin.name,
+                                            manifest: plugin.manifest,
+                                            capabilities: plugin.capabilities || []
+                                        })}
+                                    >
+                                        Review
+                                    </Button>
+                                </Box>
+                            ))}
+                        </Alert>
+                    )}
                     {loading ? (
                         <Box className="plugin-manager-dialog__loading">
                             <CircularProgress />
@@ -332,6 +455,15 @@ export default function PluginManagerDialog({ open, onClose }) {
                                                             color={plugin.type === 'npm' ? 'primary' : 'default'}
                                                         />
                                                     )}
+                                                    {(plugin.approvedCapabilities || []).map(capability => (
+                                                        <Chip
+                                                            key={capability}
+                                                            label={capability}
+                                                            size="small"
+                                                            variant="outlined"
+                                                            color="warning"
+                                                        />
+                                                    ))}
                                                 </Box>
                                             }
                                             secondary={
@@ -348,6 +480,21 @@ export default function PluginManagerDialog({ open, onClose }) {
                                             }
                                         />
                                         <ListItemSecondaryAction>
+                                            {plugin.type !== 'npm' && (
+                                                <Tooltip title={devModePlugins.includes(plugin.name)
+                                                    ? 'Stop developer mode'
+                                                    : 'Developer mode: hot reload on file changes'}>
+                                                    <IconButton
+                                                        edge="end"
+                                                        aria-label="developer mode"
+                                                        color={devModePlugins.includes(plugin.name) ? 'success' : 'default'}
+                                                        onClick={() => handleToggleDevMode(plugin.name)}
+                                                        className="plugin-manager-dialog__plugin-action"
+                                                    >
+                                                        <Code />
+                                                    </IconButton>
+                                                </Tooltip>
+                                            )}
                                             <Tooltip title={plugin.enabled ? 'Disable plugin' : 'Enable plugin'}>
                                                 <Switch
                                                     edge="end"
@@ -415,7 +562,7 @@ export default function PluginManagerDialog({ open, onClose }) {
                                 <Button
                                     variant="contained"
                                     startIcon={loading ? <CircularProgress size={20} /> : <GetApp />}
-                                    onClick={handleInstallNpmPlugin}
+                                    onClick={() => handleInstallNpmPlugin()}
                                     disabled={loading || !npmPackage.trim()}
                                 >
                                     {loading ? 'Installing...' : 'Install'}
@@ -453,11 +600,27 @@ export default function PluginManagerDialog({ open, onClose }) {
                         </Box>
                     </Box>
                 </TabPanel>
+                <TabPanel value={tabValue} index={2}>
+                    <PluginUpdatesPanel
+                        onError={setError}
+                        onSuccess={setSuccess}
+                        onPluginsChanged={loadPlugins}
+                    />
+                </TabPanel>
             </DialogContent>
 
             <DialogActions>
                 <Button onClick={onClose}>Close</Button>
             </DialogActions>
+
+            <PluginCapabilityDialog
+                open={Boolean(pendingApproval)}
+                manifest={pendingApproval?.manifest || null}
+                capabilities={pendingApproval?.capabilities || []}
+                installed={pendingApproval?.source === 'installed'}
+                onApprove={handleApproveCapabilities}
+                onClose={() => setPendingApproval(null)}
+            />
         </Dialog>
     );
 }
\ No newline at end of file
@@ -0,0 +1,236 @@
+/**
+ * PluginUpdatesPanel Component
+ *
+ * "Updates" tab of the Plugin Manager: compares locked npm plugin versions
+ * with the registry, upgrades or rolls back a single plugin, and sets the
+ * registry URL (e.g. a local mirror) used for installs.
+ *
+ * @component
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import {
+    Box,
+    Button,
+    Chip,
+    CircularProgress,
+    Divider,
+    List,
+    ListItem,
+    ListItemText,
+    TextField,
+    Typography
+} from '@mui/material';
+import { ArrowForward, Refresh, Restore, SystemUpdateAlt } from '@mui/icons-material';
+import PluginCapabilityDialog from './PluginCapabilityDialog.jsx';
+import './plugin-updates-panel.bem.css';
+
+/**
+ * PluginUpdatesPanel Component
+ *
+ * @param {Object} props
+ * @param {Function} props.onError - (message) => void
+ * @param {Function} props.onSuccess - (message) => void
+ * @param {Function} props.onPluginsChanged - Called after an upgrade or rollback
+ * @returns {React.ReactElement}
+ */
+export default function PluginUpdatesPanel({ onError, onSuccess, onPluginsChanged }) {
+    const [updates, setUpdates] = useState([]);
+    const [checking, setChecking] = useState(false);
+    const [busyPlugin, setBusyPlugin] = useState(null);
+    const [registry, setRegistry] = useState('');
+    const [registryInput, setRegistryInput] = useState('');
+    // Version switch waiting for capability approval: { operation, pluginName, manifest, capabilities }
+    const [pendingApproval, setPendingApproval] = useState(null);
+
+    const checkUpdates = useCallback(async () => {
+        try {
+            setChecking(true);
+            const result = await window.api.plugins.checkUpdates();
+            if (result.success) {
+                setUpdates(result.updates || []);
+            } else {
+                onError(result.error || 'Failed to check for updates');
+            }
+        } catch (err) {
+            onError('Error checking for updates: ' + err.message);
+        } finally {
+            setChecking(false);
+        }
+    }, [onError]);
+
+    useEffect(() => {
+        window.api.plugins.getRegistry().then(result => {
+            if (result.success) {
+                setRegistry(result.registry);
+                setRegistryInput(result.registry);
+            }
+        });
+        checkUpdates();
+    }, [checkUpdates]);
+
+    const handleSaveRegistry = async () => {
+        const result = await window.api.plugins.setRegistry(registryInput);
+        if (result.success) {
+            setRegistry(result.registry);
+            setRegistryInput(result.registry);
+            onSuccess(`Plugin registry set to ${result.registry}`);
+            checkUpdates();
+        } else {
+            onError(result.error || 'Failed to set registry');
+        }
+    };
+
+    const switchVersion = async (operation, pluginName, approvedCapabilities = undefined) => {
+        try {
+            setBusyPlugin(pluginName);
+            const options = approvedCapabilities ? { approvedCapabilities } : {};
+            const result = operation === 'update'
+                ? await window.api.plugins.update(pluginName, options)
+                : await window.api.plugins.rollback(pluginName, options);
+
+            if (result.requiresApproval && result.manifest) {
+                setPendingApproval({ operation, pluginName, manifest: result.manifest, capabilities: result.capabilities || [] });
+            } else if (result.success) {
+                onSuccess(`✅ ${pluginName} ${operation === 'update' ? 'updated' : 'rolled back'} to ${result.version}`);
+                onPluginsChanged();
+                await checkUpdates();
+            } else {
+                onError(result.error || `Failed to ${operation} ${pluginName}`);
+            }
+        } catch (err) {
+            onError(`Error during ${operation}: ${err.message}`);
+        } finally {
+            setBusyPlugin(null);
+        }
+    };
+
+    const handleApprove = (approvedCapabilities) => {
+        const { operation, pluginName } = pendingApproval;
+        setPendingApproval(null);
+        switchVersion(operation, pluginName, approvedCapabilities);
+    };
+
+    const availableCount = updates.filter(update => update.updateAvailable).length;
+
+    return (
+        <Box className="plugin-updates-panel">
+            <Box className="plugin-updates-panel__header">
+                <Typography variant="body2" color="text.secondary">
+                    {checking
+                        ? 'Checking for updates...'
+                        : `${availableCount} update${availableCount === 1 ? '' : 's'} available`}
+                </Typography>
+                <Button
+                    size="small"
+                    startIcon={checking ? <CircularProgress size={16} /> : <Refresh />}
+                    onClick={checkUpdates}
+                    disabled={checking || Boolean(busyPlugin)}
+                >
+                    Check for Updates
+                </Button>
+            </Box>
+
+            {updates.length === 0 && !checking ? (
+                <Typography variant="body2" color="text.secondary" align="center" className="plugin-manager-dialog__empty-state">
+                    No npm plugins installed. Local plugins are not version tracked.
+                </Typography>
+            ) : (
+                <List>
+                    {updates.map(update => (
+                        <React.Fragment key={update.name}>
+                            <ListItem className="plugin-updates-panel__item">
+                                <ListItemText
+                                    primary={
+                                        <Box className="plugin-updates-panel__versions">
+                                            {update.name}
+                                            <Chip label={update.currentVersion || 'unknown'} size="small" />
+                                            {update.updateAvailable && (
+                                                <>
+                                                    <ArrowForward fontSize="small" />
+                                                    <Chip label={update.latestVersion} size="small" color="success" />
+                                                </>
+                                            )}
+                                        </Box>
+                                    }
+                                    secondary={
+                                        <>
+                                            {update.error && (
+                                                <Typography variant="caption" color="error" component="span" display="block">
+                                                    {update.error}
+                                                </Typography>
+                                            )}
+                                            {update.integrity && (
+                                                <Typography variant="caption" color="text.secondary" component="span" className="plugin-updates-panel__integrity">
+                                                    {update.integrity}
+                                                </Typography>
+                                            )}
+                                        </>
+                                    }
+                                />
+                                <Box className="plugin-updates-panel__actions">
+                                    {busyPlugin === update.name && <CircularProgress size={20} />}
+                                    <Button
+                                        size="small"
+                                        variant="contained"
+                                        startIcon={<SystemUpdateAlt />}
+                                        onClick={() => switchVersion('update', update.name)}
+                                        disabled={!update.updateAvailable || Boolean(busyPlugin)}
+                                    >
+                                        Upgrade
+                                    </Button>
+                                    {update.previousVersion && (
+                                        <Button
+                                            size="small"
+                                            variant="outlined"
+                                            startIcon={<Restore />}
+                                            onClick={() => switchVersion('rollback', update.name)}
+                                            disabled={Boolean(busyPlugin)}
+                                        >
+                                            Roll back to {update.previousVersion}
+                                        </Button>
+                                    )}
+                                </Box>
+                            </ListItem>
+                            <Divider />
+                        </React.Fragment>
+                    ))}
+                </List>
+            )}
+
+            <Box className="plugin-updates-panel__registry">
+                <TextField
+                    fullWidth
+                    size="small"
+                    label="Plugin registry"
+                    placeholder="https://registry.npmjs.org"
+                    value={registryInput}
+                    onChange={(e) => setRegistryInput(e.target.value)}
+                    helperText="npm-compatible registry used for installs and update checks. Leave empty for the public registry."
+                />
+                <Button
+                    variant="outlined"
+                    onClick={handleSaveRegistry}
+                    disabled={registryInput === registry}
+                >
+                    Save
+                </Button>
+            </Box>
+
+            <PluginCapabilityDialog
+                open={Boolean(pendingApproval)}
+                manifest={pendingApproval?.manifest || null}
+                capabilities={pendingApproval?.capabilities || []}
+                onApprove={handleApprove}
+                onClose={() => setPendingApproval(null)}
+            />
+        </Box>
+    );
+}
+
+PluginUpdatesPanel.propTypes = {
+    onError: PropTypes.func.isRequired,
+    onSuccess: PropTypes.func.isRequired,
+    onPluginsChanged: PropTypes.func.isRequired
+};
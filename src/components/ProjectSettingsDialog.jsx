@@ -9,10 +9,12 @@ import {
     Box,
     Typography,
     IconButton,
-    Divider
+    Divider,
+    Tooltip
 } from '@mui/material';
-import { Close, FolderOpen } from '@mui/icons-material';
+import { Close, FolderOpen, Casino } from '@mui/icons-material';
 import useDebounce from '../hooks/useDebounce.js';
+import SeededRandom from '../utils/SeededRandom.js';
 import './ProjectSettingsDialog.bem.css';
 
 /**
@@ -28,7 +30,8 @@ export default function ProjectSettingsDialog({
     const [formData, setFormData] = useState({
         projectName: '',
         artist: '',
-        outputDirectory: ''
+        outputDirectory: '',
+        masterSeed: ''
     });
 
     // Initialize form data from ProjectState when dialog opens
@@ -38,7 +41,8 @@ export default function ProjectSettingsDialog({
             setFormData({
                 projectName: state.projectName || '',
                 artist: state.artist || '',
-                outputDirectory: state.outputDirectory || ''
+                outputDirectory: state.outputDirectory || '',
+                masterSeed: state.masterSeed === null || state.masterSeed === undefined ? '' : String(state.masterSeed)
             });
         }
     }, [open, projectState]);
@@ -83,7 +87,8 @@ export default function ProjectSettingsDialog({
         projectState.update({
             projectName: formData.projectName.trim(),
             artist: formData.artist.trim(),
-            outputDirectory: formData.outputDirectory.trim() || null
+            outputDirectory: formData.outputDirectory.trim() || null,
+            masterSeed: SeededRandom.parseSeed(formData.masterSeed)
         });
 
         onClose();
@@ -162,6 +167,29 @@ export default function ProjectSettingsDialog({
                             }}
                         />
                     </Box>
+
+                    <TextField
+                        label="Master Seed"
+                        value={formData.masterSeed}
+                        onChange={(e) => handleInputChange('masterSeed', e.target.value)}
+                        fullWidth
+                        variant="outlined"
+                        placeholder="Random every render"
+                        helperText="The same seed re-renders identical frames. Leave blank for new random choices every render."
+                        InputProps={{
+                            endAdornment: (
+                                <Tooltip title="New random seed">
+                                    <IconButton
+                                        onClick={() => handleInputChange('masterSeed', String(SeededRandom.randomSeed()))}
+                                        edge="end"
+                                        className="project-settings-dialog__folder-icon"
+                                    >
+                                        <Casino />
+                                    </IconButton>
+                                </Tooltip>
+                            )
+                        }}
+                    />
                 </Box>
             </DialogContent>
 
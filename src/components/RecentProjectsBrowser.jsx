@@ -0,0 +1,143 @@
+/**
+ * RecentProjectsBrowser Component
+ *
+ * Gallery of recently opened projects for the start screen. Each card shows
+ * the project's frame 0 (once rendered), resolution, frame and effect counts
+ * and when the file last changed, with pin, reveal-in-folder and
+ * remove-from-list actions. Pinned projects stay at the front of the list.
+ *
+ * @component
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { IconButton, Tooltip } from '@mui/material';
+import { PushPin, PushPinOutlined, FolderOpen, Close, ImageNotSupported } from '@mui/icons-material';
+import './RecentProjectsBrowser.bem.css';
+
+/**
+ * Format a timestamp as clock time, with the date when it is not today
+ * @param {string} isoDate - ISO date string
+ * @returns {string} Formatted time
+ */
+function formatModified(isoDate) {
+    const date = new Date(isoDate);
+    const isToday = date.toDateString() === new Date().toDateString();
+    return isToday ? `Today ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : date.toLocaleDateString();
+}
+
+/**
+ * Summary line of a project's settings
+ * @param {Object} project - Recent project with details
+ * @returns {string} e.g. "1920×1080 · 100 frames · 6 effects"
+ */
+function formatSummary(project) {
+    return [
+        project.resolution?.label,
+        Number.isFinite(project.numFrames) && `${project.numFrames} frame${project.numFrames === 1 ? '' : 's'}`,
+        Number.isFinite(project.effectCount) && `${project.effectCount} effect${project.effectCount === 1 ? '' : 's'}`
+    ].filter(Boolean).join(' · ');
+}
+
+export default function RecentProjectsBrowser({
+    projects,
+    loading,
+    disabled = false,
+    onOpen,
+    onTogglePin,
+    onRemove,
+    onReveal
+}) {
+    if (!loading && projects.length === 0) {
+        return null;
+    }
+
+    return (
+        <section className="recent-projects-browser">
+            <h2 className="recent-projects-browser__heading">Recent Projects</h2>
+            {loading && projects.length === 0 ? (
+                <div className="recent-projects-browser__empty">Loading recent projects…</div>
+            ) : (
+                <div className="recent-projects-browser__grid">
+                    {projects.map(project => {
+                        const missing = project.exists === false;
+                        const cardClassName = [
+                            'recent-projects-browser__card',
+                            project.pinned && 'recent-projects-browser__card--pinned',
+                            missing && 'recent-projects-browser__card--missing'
+                        ].filter(Boolean).join(' ');
+
+                        return (
+                            <div key={project.filePath} className={cardClassName} title={project.filePath}>
+                                <button
+                                    className="recent-projects-browser__open"
+                                    onClick={() => onOpen(project.filePath)}
+                                    disabled={disabled || missing}
+                                >
+                                    <div className="recent-projects-browser__thumbnail">
+                                        {project.thumbnail ? (
+                                            <img src={project.thumbnail} alt="" className="recent-projects-browser__image" />
+                                        ) : (
+                                            <ImageNotSupported className="recent-projects-browser__placeholder" />
+                                        )}
+                                    </div>
+                                    <div className="recent-projects-browser__name">{project.name}</div>
+                                    <div className="recent-projects-browser__meta">
+                                        {missing ? 'File not found' : (project.error || formatSummary(project))}
+                                    </div>
+                                    {project.modifiedAt && (
+                                        <div className="recent-projects-browser__meta">
+                                            Modified {formatModified(project.modifiedAt)}
+                                        </div>
+                                    )}
+                                </button>
+                                <div className="recent-projects-browser__actions">
+                                    <Tooltip title={project.pinned ? 'Unpin' : 'Pin to top'}>
+                                        <IconButton size="small" onClick={() => onTogglePin(project.filePath)}>
+                                            {project.pinned ? <PushPin fontSize="small" /> : <PushPinOutlined fontSize="small" />}
+                                        </IconButton>
+                                    </Tooltip>
+                                    <Tooltip title="Reveal in folder">
+                                        <span>
+                                            <IconButton size="small" disabled={missing} onClick={() => onReveal(project.filePath)}>
+                                                <FolderOpen fontSize="small" />
+                                            </IconButton>
+                                        </span>
+                                    </Tooltip>
+                                    <Tooltip title="Remove from list">
+                                        <IconButton size="small" onClick={() => onRemove(project.filePath)}>
+                                            <Close fontSize="small" />
+                                        </IconButton>
+                                    </Tooltip>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </section>
+    );
+}
+
+RecentProjectsBrowser.propTypes = {
+    projects: PropTypes.arrayOf(PropTypes.shape({
+        filePath: PropTypes.string.isRequired,
+        pinned: PropTypes.bool,
+        name: PropTypes.string,
+        exists: PropTypes.bool,
+        error: PropTypes.string,
+        thumbnail: PropTypes.string,
+        resolution: PropTypes.shape({
+            label: PropTypes.string
+        }),
+        numFrames: PropTypes.number,
+        effectCount: PropTypes.number,
+        modifiedAt: PropTypes.string
+    })).isRequired,
+    loading: PropTypes.bool.isRequired,
+    disabled: PropTypes.bool,
+    onOpen: PropTypes.func.isRequired,
+    onTogglePin: PropTypes.func.isRequired,
+    onRemove: PropTypes.func.isRequired,
+    onReveal: PropTypes.func.isRequired
+};
@@ -1,25 +1,314 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
     Paper,
     Box,
     Typography,
     LinearProgress,
     IconButton,
-    Tooltip
+    Tooltip,
+    TextField,
+    Button,
+    Select,
+    MenuItem
 } from '@mui/material';
-import { Stop } from '@mui/icons-material';
+import {
+    Stop,
+    PlayArrow,
+    Pause,
+    Close,
+    Delete,
+    ArrowUpward,
+    ArrowDownward,
+    PlaylistAdd,
+    DeleteSweep
+} from '@mui/icons-material';
+import { PREVIEW_CACHE_SIZE_OPTIONS } from '../hooks/usePreviewCache.js';
 import './RenderProgressWidget.bem.css';
 import './effects/effects-panel.bem.css';
 
+const STATUS_LABELS = {
+    queued: 'Queued',
+    running: 'Rendering',
+    paused: 'Paused',
+    completed: 'Done',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+};
+
+/**
+ * Format a job's frame range for display
+ */
+function formatRange(job) {
+    const end = job.endFrame === null || job.endFrame === undefined ? 'end' : job.endFrame;
+    return `${job.startFrame}–${end}`;
+}
+
+/**
+ * Render queue section - job list with reorder/pause/cancel actions and an add form
+ */
+function RenderQueueSection({ renderQueue }) {
+    const [startFrame, setStartFrame] = useState('');
+    const [endFrame, setEndFrame] = useState('');
+    const { queue, error } = renderQueue;
+
+    const addFromFile = async () => {
+        const result = await window.api.selectFile({
+            filters: [
+                { name: 'Projects and Settings', extensions: ['nftproject', 'json'] },
+                { name: 'All Files', extensions: ['*'] }
+            ],
+            properties: ['openFile']
+        });
+
+        if (result.canceled || !result.filePaths?.[0]) {
+            return;
+        }
+
+        const filePath = result.filePaths[0];
+        const isProjectFile = filePath.endsWith('.nftproject');
+        await renderQueue.addJob({
+            projectFilePath: isProjectFile ? filePath : null,
+            settingsFile: isProjectFile ? null : filePath,
+            startFrame: startFrame === '' ? 0 : parseInt(startFrame, 10),
+            endFrame: endFrame === '' ? null : parseInt(endFrame, 10)
+        });
+    };
+
+    return (
+        <Box className="render-progress-widget__queue" onClick={(e) => e.stopPropagation()}>
+            <Box className="render-progress-widget__queue-header">
+                <Typography variant="caption" className="render-progress-widget__caption">
+                    Queue ({queue.jobs.length}){queue.paused ? ' – paused' : ''}
+                </Typography>
+                <Box className="render-progress-widget__actions">
+                    <Tooltip title={queue.paused ? 'Start Queue' : 'Pause Queue'}>
+                        <IconButton
+                            size="small"
+                            onClick={queue.paused ? renderQueue.startQueue : renderQueue.pauseQueue}
+                            className="render-progress-widget__icon-button"
+                        >
+                            {queue.paused ? <PlayArrow fontSize="small" /> : <Pause fontSize="small" />}
+                        </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Clear Finished Jobs">
+                        <IconButton
+                            size="small"
+                            onClick={renderQueue.clearFinished}
+                            className="render-progress-widget__icon-button"
+                        >
+                            <Delete fontSize="small" />
+                        </IconButton>
+                    </Tooltip>
+                </Box>
+            </Box>
+
+            <ul className="render-progress-widget__job-list">
+                {queue.jobs.map((job, index) => (
+                    <li
+                        key={job.id}
+                        className={`render-progress-widget__job render-progress-widget__job--${job.status}`}
+                    >
+                        <Box className="render-progress-widget__job-info">
+                            <Typography variant="caption" className="render-progress-widget__job-name" title={job.projectFilePath || job.settingsFile}>
+                                {job.name}
+                            </Typography>
+                            <Typography variant="caption" className="render-progress-widget__caption">
+                                {STATUS_LABELS[job.status] || job.status} · frames {formatRange(job)}
+                                {job.completedFrames > 0 ? ` · ${job.completedFrames} done` : ''}
+                            </Typography>
+                            {job.error && (
+                                <Typography variant="caption" className="render-progress-widget__job-error" title={job.error}>
+                                    {job.error}
+                                </Typography>
+                            )}
+                        </Box>
+                        <Box className="render-progress-widget__job-actions">
+                            <IconButton
+                                size="small"
+                                disabled={index === 0}
+                                onClick={() => renderQueue.moveJob(job.id, index - 1)}
+                                className="render-progress-widget__icon-button"
+                                aria-label="Move up"
+                            >
+                                <ArrowUpward fontSize="inherit" />
+                            </IconButton>
+                            <IconButton
+                                size="small"
+                                disabled={index === queue.jobs.length - 1}
+                                onClick={() => renderQueue.moveJob(job.id, index + 1)}
+                                className="render-progress-widget__icon-button"
+                                aria-label="Move down"
+                            >
+                                <ArrowDownward fontSize="inherit" />
+                            </IconButton>
+                            {['queued', 'running'].includes(job.status) && (
+                                <IconButton
+                                    size="small"
+                                    onClick={() => renderQueue.pauseJob(job.id)}
+                                    className="render-progress-widget__icon-button"
+                                    aria-label="Pause job"
+                                >
+                                    <Pause fontSize="inherit" />
+                                </IconButton>
+                            )}
+                            {['paused', 'failed', 'cancelled'].includes(job.status) && (
+                                <IconButton
+                                    size="small"
+                                    onClick={() => renderQueue.resumeJob(job.id)}
+                                    className="render-progress-widget__icon-button"
+                                    aria-label="Resume job"
+                                >
+                                    <PlayArrow fontSize="inherit" />
+                                </IconButton>
+                            )}
+                            {job.status === 'running' || job.status === 'queued' || job.status === 'paused' ? (
+                                <IconButton
+                                    size="small"
+                                    onClick={() => renderQueue.cancelJob(job.id)}
+                                    className="render-progress-widget__icon-button"
+                                    aria-label="Cancel job"
+                                >
+                                    <Close fontSize="inherit" />
+                                </IconButton>
+                            ) : (
+                                <IconButton
+                                    size="small"
+                                    onClick={() => renderQueue.removeJob(job.id)}
+                                    className="render-progress-widget__icon-button"
+                                    aria-label="Remove job"
+                                >
+                                    <Delete fontSize="inherit" />
+                                </IconButton>
+                            )}
+                        </Box>
+                    </li>
+                ))}
+            </ul>
+
+            <Box className="render-progress-widget__queue-form">
+                <TextField
+                    size="small"
+                    type="number"
+                    label="From"
+                    value={startFrame}
+                    onChange={(e) => setStartFrame(e.target.value)}
+                    inputProps={{ min: 0 }}
+                    className="render-progress-widget__frame-input"
+                />
+                <TextField
+                    size="small"
+                    type="number"
+                    label="To"
+                    value={endFrame}
+                    onChange={(e) => setEndFrame(e.target.value)}
+                    inputProps={{ min: 0 }}
+                    className="render-progress-widget__frame-input"
+                />
+                <Button
+                    size="small"
+                    startIcon={<PlaylistAdd />}
+                    onClick={addFromFile}
+                    className="render-progress-widget__add-button"
+                >
+                    Add
+                </Button>
+            </Box>
+
+            {error && (
+                <Typography variant="caption" className="render-progress-widget__job-error">
+                    {error}
+                </Typography>
+            )}
+        </Box>
+    );
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) {
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+    return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+/**
+ * Preview frame cache section - hit/miss stats, disk usage, size cap and clear
+ */
+function PreviewCacheSection({ previewCache, onHide }) {
+    const { stats } = previewCache;
+
+    return (
+        <Box className="render-progress-widget__queue" onClick={(e) => e.stopPropagation()}>
+            <Box className="render-progress-widget__queue-header">
+                <Typography variant="caption" className="render-progress-widget__caption">
+                    ⚡ Preview cache: {stats.hits} hits · {stats.misses} misses ({Math.round(stats.hitRate * 100)}%)
+                </Typography>
+                <Box className="render-progress-widget__actions">
+                    <Tooltip title="Clear Preview Cache">
+                        <span>
+                            <IconButton
+                                size="small"
+                                onClick={previewCache.clear}
+                                disabled={stats.entries === 0}
+                                className="render-progress-widget__icon-button"
+                            >
+                                <DeleteSweep fontSize="small" />
+                            </IconButton>
+                        </span>
+                    </Tooltip>
+                    {onHide && (
+                        <Tooltip title="Hide">
+                            <IconButton size="small" onClick={onHide} className="render-progress-widget__icon-button">
+                                <Close fontSize="small" />
+                            </IconButton>
+                        </Tooltip>
+                    )}
+                </Box>
+            </Box>
+            <Box className="render-progress-widget__footer">
+                <Typography variant="caption" className="render-progress-widget__caption">
+                    {stats.entries} frames · {formatBytes(stats.totalBytes)} of
+                </Typography>
+                <Select
+                    size="small"
+                    variant="standard"
+                    value={stats.maxSizeBytes}
+                    onChange={(e) => previewCache.setMaxSize(e.target.value)}
+                    className="render-progress-widget__cache-size"
+                >
+                    {!PREVIEW_CACHE_SIZE_OPTIONS.some(option => option.bytes === stats.maxSizeBytes) && (
+                        <MenuItem value={stats.maxSizeBytes}>{formatBytes(stats.maxSizeBytes)}</MenuItem>
+                    )}
+                    {PREVIEW_CACHE_SIZE_OPTIONS.map(option => (
+                        <MenuItem key={option.bytes} value={option.bytes}>{option.label}</MenuItem>
+                    ))}
+                </Select>
+            </Box>
+        </Box>
+    );
+}
+
 export default function RenderProgressWidget({ 
     renderProgress, 
     onOpen, 
     onStop, 
     isStoppingRenderLoop,
-    isRenderLoopActive = false
+    isRenderLoopActive = false,
+    renderQueue = null,
+    previewCache = null
 }) {
-    // Show widget if either detailed progress is available OR render loop is active
-    if (!renderProgress.isRendering && !isRenderLoopActive) return null;
+    const [isCacheHidden, setIsCacheHidden] = useState(false);
+    const hasQueuedJobs = !!renderQueue && renderQueue.queue.jobs.length > 0;
+    const hasCacheStats = !!previewCache?.stats && previewCache.stats.lookups > 0;
+    const isBusy = renderProgress.isRendering || isRenderLoopActive || hasQueuedJobs;
+
+    // Show widget if detailed progress is available, the render loop is active, jobs are queued
+    // or preview frames went through the cache (that part can be hidden)
+    if (!isBusy && (!hasCacheStats || isCacheHidden)) return null;
+
+    const isActive = renderProgress.isRendering || isRenderLoopActive;
 
     return (
         <Paper 
@@ -28,49 +317,64 @@ export default function RenderProgressWidget({
         >
             <Box className="render-progress-widget__header">
                 <Typography variant="subtitle2" className="render-progress-widget__title">
-                    🎬 {renderProgress.projectName || 'Render Loop Active'}
+                    🎬 {renderProgress.projectName || (isRenderLoopActive ? 'Render Loop Active' : (isBusy ? 'Render Queue' : 'Preview Frames'))}
                 </Typography>
-                <Box className="render-progress-widget__actions">
-                    <Tooltip title="Stop Render Loop">
-                        <IconButton 
-                            size="small"
-                            onClick={(e) => {
-                                e.stopPropagation();
-                                onStop();
-                            }} 
-                            disabled={isStoppingRenderLoop}
-                            className="render-progress-widget__stop-button"
-                        >
-                            <Stop fontSize="small" />
-                        </IconButton>
-                    </Tooltip>
-                </Box>
+                {isActive && (
+                    <Box className="render-progress-widget__actions">
+                        <Tooltip title="Stop Render Loop">
+                            <IconButton 
+                                size="small"
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    onStop();
+                                }} 
+                                disabled={isStoppingRenderLoop}
+                                className="render-progress-widget__stop-button"
+                            >
+                                <Stop fontSize="small" />
+                            </IconButton>
+                        </Tooltip>
+                    </Box>
+                )}
             </Box>
             
-            <LinearProgress
-                variant={renderProgress.isRendering ? "determinate" : "indeterminate"}
-                value={renderProgress.isRendering ? renderProgress.progress : undefined}
-                className="render-progress-widget__progress"
-            />
-            
-            <Box className="render-progress-widget__footer">
-                {renderProgress.isRendering ? (
-                    <>
-                        <Typography variant="caption" className="render-progress-widget__caption">
-                            {renderProgress.currentFrame + 1}/{renderProgress.totalFrames} ({renderProgress.progress}%)
-                        </Typography>
-                        {renderProgress.eta && (
+            {isActive && (
+                <>
+                    <LinearProgress
+                        variant={renderProgress.isRendering ? "determinate" : "indeterminate"}
+                        value={renderProgress.isRendering ? renderProgress.progress : undefined}
+                        className="render-progress-widget__progress"
+                    />
+
+                    <Box className="render-progress-widget__footer">
+                        {renderProgress.isRendering ? (
+                            <>
+                                <Typography variant="caption" className="render-progress-widget__caption">
+                                    {renderProgress.currentFrame + 1}/{renderProgress.totalFrames} ({renderProgress.progress}%)
+                                </Typography>
+                                {renderProgress.eta && (
+                                    <Typography variant="caption" className="render-progress-widget__caption">
+                                        ETA: {renderProgress.eta}
+                                    </Typography>
+                                )}
+                            </>
+                        ) : (
                             <Typography variant="caption" className="render-progress-widget__caption">
-                                ETA: {renderProgress.eta}
+                                Render loop is active
                             </Typography>
                         )}
-                    </>
-                ) : (
-                    <Typography variant="caption" className="render-progress-widget__caption">
-                        Render loop is active
-                    </Typography>
-                )}
-            </Box>
+                    </Box>
+                </>
+            )}
+
+            {renderQueue && isBusy && <RenderQueueSection renderQueue={renderQueue} />}
+
+            {hasCacheStats && (
+                <PreviewCacheSection
+                    previewCache={previewCache}
+                    onHide={isBusy ? null : () => setIsCacheHidden(true)}
+                />
+            )}
         </Paper>
     );
-}
\ No newline at end of file
+}
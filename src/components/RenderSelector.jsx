@@ -1,13 +1,15 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
     IconButton,
     Tooltip
 } from '@mui/material';
 import {
-    PlayArrow
+    PlayArrow,
+    Check
 } from '@mui/icons-material';
 import * as DropdownMenu from '@radix-ui/react-dropdown-menu';
 import { useServices } from '../contexts/ServiceContext.js';
+import { RenderPipelineService } from '../services/RenderPipelineService.js';
 import './RenderSelector.bem.css';
 
 export default function RenderSelector({
@@ -21,8 +23,25 @@ export default function RenderSelector({
     onRenderLoop,
     closeAllDropdowns
 }) {
-    const { eventBusService } = useServices();
+    const { eventBusService, renderPipelineService } = useServices();
     const [isOpen, setIsOpen] = useState(false);
+    const [livePreview, setLivePreview] = useState(() => renderPipelineService.getLivePreviewSettings());
+
+    useEffect(() => {
+        setLivePreview(renderPipelineService.getLivePreviewSettings());
+        return renderPipelineService.onLivePreviewChange(setLivePreview);
+    }, [renderPipelineService]);
+
+    const proxyScaleLabel = (scale) => (scale >= 1 ? 'Full' : `1/${Math.round(1 / scale)}`);
+
+    // Menu stays open so several live preview options can be set in one go
+    const handleLivePreviewChange = (event, changes) => {
+        event.preventDefault();
+        eventBusService.emit('toolbar:livepreview:change', changes, {
+            source: 'RenderSelector',
+            component: 'RenderSelector'
+        });
+    };
 
     const handleRender = () => {
         setIsOpen(false);
@@ -89,8 +108,8 @@ export default function RenderSelector({
             <DropdownMenu.Trigger asChild>
                 <IconButton
                     size="small"
-                    className="canvas-toolbar__render-button render-selector__button"
-                    title={isProjectResuming ? 'Resuming project...' : isRendering ? 'Rendering...' : 'Render'}
+                    className={`canvas-toolbar__render-button render-selector__button${livePreview.enabled ? ' render-selector__button--live' : ''}`}
+                    title={isProjectResuming ? 'Resuming project...' : isRendering ? 'Rendering...' : livePreview.enabled ? 'Render (live preview on)' : 'Render'}
                 >
                     <PlayArrow />
                 </IconButton>
@@ -132,6 +151,57 @@ export default function RenderSelector({
                         <PlayArrow fontSize="small" className="render-selector__icon" />
                         <span>Resume Loop Run</span>
                     </DropdownMenu.Item>
+
+                    <DropdownMenu.Separator className="render-selector__separator" />
+
+                    <DropdownMenu.CheckboxItem
+                        className="render-selector__item"
+                        checked={livePreview.enabled}
+                        onSelect={(event) => handleLivePreviewChange(event, { enabled: !livePreview.enabled })}
+                    >
+                        <span className="render-selector__icon render-selector__indicator">
+                            <DropdownMenu.ItemIndicator>
+                                <Check fontSize="small" />
+                            </DropdownMenu.ItemIndicator>
+                        </span>
+                        <span>Live Preview</span>
+                    </DropdownMenu.CheckboxItem>
+
+                    <DropdownMenu.Label className="render-selector__label">
+                        Preview Resolution
+                    </DropdownMenu.Label>
+                    <DropdownMenu.RadioGroup value={String(livePreview.proxyScale)}>
+                        {RenderPipelineService.PROXY_SCALES.map(scale => (
+                            <DropdownMenu.RadioItem
+                                key={scale}
+                                value={String(scale)}
+                                className={`render-selector__item${livePreview.enabled ? '' : ' render-selector__item--disabled'}`}
+                                disabled={!livePreview.enabled}
+                                onSelect={(event) => handleLivePreviewChange(event, { proxyScale: scale })}
+                            >
+                                <span className="render-selector__icon render-selector__indicator">
+                                    <DropdownMenu.ItemIndicator>
+                                        <Check fontSize="small" />
+                                    </DropdownMenu.ItemIndicator>
+                                </span>
+                                <span>{proxyScaleLabel(scale)}</span>
+                            </DropdownMenu.RadioItem>
+                        ))}
+                    </DropdownMenu.RadioGroup>
+
+                    <DropdownMenu.CheckboxItem
+                        className={`render-selector__item${livePreview.enabled && livePreview.proxyScale < 1 ? '' : ' render-selector__item--disabled'}`}
+                        checked={livePreview.refine}
+                        disabled={!livePreview.enabled || livePreview.proxyScale >= 1}
+                        onSelect={(event) => handleLivePreviewChange(event, { refine: !livePreview.refine })}
+                    >
+                        <span className="render-selector__icon render-selector__indicator">
+                            <DropdownMenu.ItemIndicator>
+                                <Check fontSize="small" />
+                            </DropdownMenu.ItemIndicator>
+                        </span>
+                        <span>Refine to Full Resolution</span>
+                    </DropdownMenu.CheckboxItem>
                 </DropdownMenu.Content>
             </DropdownMenu.Portal>
         </DropdownMenu.Root>
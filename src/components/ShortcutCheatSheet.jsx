@@ -0,0 +1,77 @@
+/**
+ * ShortcutCheatSheet Component
+ *
+ * Overlay listing every keyboard shortcut with its current binding, grouped
+ * by menu category. Opened from Help > Keyboard Shortcuts or its shortcut.
+ *
+ * @component
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    Box,
+    Typography,
+    IconButton
+} from '@mui/material';
+import { Close } from '@mui/icons-material';
+import { SHORTCUT_CATEGORIES, formatAccelerator } from '../utils/KeyboardShortcuts.js';
+import './ShortcutCheatSheet.bem.css';
+
+export default function ShortcutCheatSheet({ open, onClose, shortcuts, onCustomize }) {
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+            <DialogTitle className="shortcut-cheat-sheet__title">
+                Keyboard Shortcuts
+                <IconButton onClick={onClose} size="small">
+                    <Close />
+                </IconButton>
+            </DialogTitle>
+            <DialogContent className="shortcut-cheat-sheet__content">
+                {SHORTCUT_CATEGORIES.map(category => {
+                    const bound = shortcuts.filter(shortcut => shortcut.category === category && shortcut.accelerator);
+                    if (bound.length === 0) {
+                        return null;
+                    }
+
+                    return (
+                        <Box key={category} className="shortcut-cheat-sheet__group">
+                            <Typography variant="subtitle2" className="shortcut-cheat-sheet__category">
+                                {category}
+                            </Typography>
+                            {bound.map(shortcut => (
+                                <Box key={shortcut.id} className="shortcut-cheat-sheet__row">
+                                    <Typography variant="body2">{shortcut.label}</Typography>
+                                    <kbd className="shortcut-cheat-sheet__keys">
+                                        {formatAccelerator(shortcut.accelerator)}
+                                    </kbd>
+                                </Box>
+                            ))}
+                        </Box>
+                    );
+                })}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onCustomize}>Customize…</Button>
+                <Button variant="contained" onClick={onClose}>Close</Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
+
+ShortcutCheatSheet.propTypes = {
+    open: PropTypes.bool.isRequired,
+    onClose: PropTypes.func.isRequired,
+    shortcuts: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.string,
+        label: PropTypes.string,
+        category: PropTypes.string,
+        accelerator: PropTypes.string
+    })).isRequired,
+    onCustomize: PropTypes.func.isRequired
+};
@@ -1,6 +1,7 @@
 /**
  * UndoRedoControls - Improved Undo/Redo with Action History Dropdown
  * Shows up to 50 actions with human-readable descriptions
+ * The history button opens the full timeline (CommandHistoryPanel)
  */
 
 import React, { useState, useEffect, useRef } from 'react';
@@ -24,6 +25,7 @@ import {
     CheckCircleOutline
 } from '@mui/icons-material';
 import { useServices } from '../contexts/ServiceContext.js';
+import CommandHistoryPanel from './CommandHistoryPanel.jsx';
 import './UndoRedoControls.bem.css';
 
 export default function UndoRedoControls() {
@@ -39,6 +41,7 @@ export default function UndoRedoControls() {
 
     const [undoMenuAnchor, setUndoMenuAnchor] = useState(null);
     const [redoMenuAnchor, setRedoMenuAnchor] = useState(null);
+    const [historyPanelAnchor, setHistoryPanelAnchor] = useState(null);
 
     // Subscribe to command state changes
     useEffect(() => {
@@ -107,12 +110,29 @@ export default function UndoRedoControls() {
             { component: 'UndoRedoControls' }
         );
 
+        // Saved history restored when a project is opened
+        const unsubscribeRestored = eventBusService.subscribe(
+            'command:history-restored',
+            (payload) => {
+                setUndoState({
+                    canUndo: payload.canUndo,
+                    canRedo: payload.canRedo,
+                    lastCommand: payload.lastCommand,
+                    lastCommandDescription: payload.lastCommandDescription,
+                    undoStack: payload.undoStack || [],
+                    redoStack: payload.redoStack || []
+                });
+            },
+            { component: 'UndoRedoControls' }
+        );
+
         // Cleanup subscriptions
         return () => {
             unsubscribeExecuted();
             unsubscribeUndone();
             unsubscribeRedone();
             unsubscribeCleared();
+            unsubscribeRestored();
         };
     }, [eventBusService, commandService]);
 
@@ -227,6 +247,27 @@ export default function UndoRedoControls() {
                 </Tooltip>
             </Box>
 
+            {/* Full History Panel */}
+            <Tooltip title="History">
+                <span>
+                    <IconButton
+                        size="small"
+                        onClick={(e) => setHistoryPanelAnchor(e.currentTarget)}
+                        disabled={!undoState.canUndo && !undoState.canRedo}
+                        className="undo-redo__button undo-redo__history-button"
+                    >
+                        <History fontSize="small" />
+                    </IconButton>
+                </span>
+            </Tooltip>
+
+            <CommandHistoryPanel
+                anchorEl={historyPanelAnchor}
+                onClose={() => setHistoryPanelAnchor(null)}
+                undoStack={undoState.undoStack}
+                redoStack={undoState.redoStack}
+            />
+
             {/* Undo History Menu */}
             <Menu
                 anchorEl={undoMenuAnchor}
@@ -14,7 +14,8 @@ import {
     ListItemIcon,
     ListItemText,
     IconButton,
-    Tooltip
+    Tooltip,
+    ListSubheader
 } from '@mui/material';
 import {
     PlayArrow,
@@ -36,7 +37,11 @@ import {
     BugReport,
     Extension,
     PushPin,
-    PushPinOutlined
+    PushPinOutlined,
+    MovieCreation,
+    DataObject,
+    Collections,
+    Compare
 } from '@mui/icons-material';
 import * as DropdownMenu from '@radix-ui/react-dropdown-menu';
 import ResolutionMapper from '../../utils/ResolutionMapper.js';
@@ -44,9 +49,14 @@ import ColorSchemeDropdown from '../ColorSchemeDropdown.jsx';
 import UndoRedoControls from '../UndoRedoControls.jsx';
 import ProjectSelector from '../ProjectSelector.jsx';
 import RenderSelector from '../RenderSelector.jsx';
+import CustomResolutionDialog from './CustomResolutionDialog.jsx';
 import useDebounce from '../../hooks/useDebounce.js';
+import useCustomResolutions from '../../hooks/useCustomResolutions.js';
 import './CanvasToolbar.bem.css';
 
+// Resolution menu entry that opens the custom resolution dialog
+const CUSTOM_RESOLUTION_OPTION = '__custom__';
+
 export default function CanvasToolbar({
     config,
     currentResolution,
@@ -83,12 +93,17 @@ export default function CanvasToolbar({
     onOpenProject,
     onImportProject,
     onProjectSettings,
+    onExportAnimation,
+    onGenerateMetadata,
+    onGenerateCollection,
     onEventBusMonitor,
     onPluginManager,
     isReadOnly = false,
     isProjectResuming = false,
     isPinned = false,
-    onPinToggle
+    onPinToggle,
+    isComparing = false,
+    onCompareToggle
 
 }) {
     // Use passed resolution value (single source of truth)
@@ -96,6 +111,44 @@ export default function CanvasToolbar({
         return String(currentResolution || 1920);
     }, [currentResolution]);
 
+    // Custom width x height resolutions and their saved presets
+    const { presets: customPresets, savePreset, deletePreset } = useCustomResolutions();
+    const [customDialogOpen, setCustomDialogOpen] = useState(false);
+
+    const currentDimensions = useMemo(() => {
+        try {
+            return ResolutionMapper.getDimensions(currentResolution || 1920, isHorizontal);
+        } catch (error) {
+            return null;
+        }
+    }, [currentResolution, isHorizontal]);
+
+    // One menu entry per custom resolution; the current one is listed even if unsaved
+    const customOptions = useMemo(() => {
+        const options = [];
+        customPresets.forEach(preset => {
+            if (!options.some(option => option.value === preset.resolution)) {
+                options.push({ value: preset.resolution, label: `${preset.name} · ${ResolutionMapper.getDisplayName(preset.resolution)}` });
+            }
+        });
+        if (ResolutionMapper.isCustomResolution(resolutionValue) && !options.some(option => option.value === resolutionValue)) {
+            options.push({ value: resolutionValue, label: ResolutionMapper.getDisplayName(resolutionValue) });
+        }
+        return options;
+    }, [customPresets, resolutionValue]);
+
+    const handleResolutionSelect = useCallback((event) => {
+        if (event.target.value === CUSTOM_RESOLUTION_OPTION) {
+            setCustomDialogOpen(true);
+            return;
+        }
+        onResolutionChange(event);
+    }, [onResolutionChange]);
+
+    const handleCustomResolutionApply = useCallback((resolution) => {
+        onResolutionChange({ target: { value: resolution } });
+    }, [onResolutionChange]);
+
     // Local state for frames input (for immediate UI feedback)
     const [framesInputValue, setFramesInputValue] = useState(String(config.numFrames));
     
@@ -210,7 +263,7 @@ export default function CanvasToolbar({
                     <FormControl size="small" className="canvas-toolbar__resolution-form">
                         <Select
                             value={resolutionValue}
-                            onChange={onResolutionChange}
+                            onChange={handleResolutionSelect}
                             displayEmpty
                             variant="outlined"
                             disabled={isReadOnly || isProjectResuming}
@@ -221,10 +274,29 @@ export default function CanvasToolbar({
                                     {ResolutionMapper.getDisplayName(parseInt(width))}
                                 </MenuItem>
                             ))}
+                            <ListSubheader>Custom</ListSubheader>
+                            {customOptions.map(option => (
+                                <MenuItem key={option.value} value={option.value}>
+                                    {option.label}
+                                </MenuItem>
+                            ))}
+                            <MenuItem value={CUSTOM_RESOLUTION_OPTION}>
+                                Custom resolution…
+                            </MenuItem>
                         </Select>
                     </FormControl>
                 </Box>
 
+                <CustomResolutionDialog
+                    open={customDialogOpen}
+                    onClose={() => setCustomDialogOpen(false)}
+                    onApply={handleCustomResolutionApply}
+                    initialDimensions={currentDimensions}
+                    presets={customPresets}
+                    onSavePreset={savePreset}
+                    onDeletePreset={deletePreset}
+                />
+
                 <Tooltip title={isReadOnly ? "Orientation is read-only" : (isHorizontal ? 'Switch to Vertical' : 'Switch to Horizontal')}>
                     <span>
                         <ToggleButton
@@ -374,6 +446,17 @@ export default function CanvasToolbar({
                     </span>
                 </Tooltip>
 
+                {/* Compare Button */}
+                <Tooltip title={isComparing ? "Close Frame Comparison" : "Compare Frames"}>
+                    <IconButton
+                        size="small"
+                        onClick={onCompareToggle}
+                        className={`canvas-toolbar__compare-button ${isComparing ? 'canvas-toolbar__compare-button--active' : ''}`}
+                    >
+                        <Compare />
+                    </IconButton>
+                </Tooltip>
+
                 <Box className="canvas-toolbar__spacer" />
 
                 {/* Auto-save status indicator */}
@@ -421,6 +504,48 @@ export default function CanvasToolbar({
                         </span>
                     </Tooltip>
 
+                    <Tooltip title="Export Animation (MP4 / WebM / GIF)">
+                        <span>
+                            <IconButton
+                                onClick={onExportAnimation}
+                                color="inherit"
+                                size="small"
+                                disabled={isProjectResuming}
+                                className="canvas-toolbar__utility-button"
+                            >
+                                <MovieCreation />
+                            </IconButton>
+                        </span>
+                    </Tooltip>
+
+                    <Tooltip title="Generate Collection">
+                        <span>
+                            <IconButton
+                                onClick={onGenerateCollection}
+                                color="inherit"
+                                size="small"
+                                disabled={isReadOnly || isProjectResuming}
+                                className={`canvas-toolbar__utility-button ${isReadOnly ? 'canvas-toolbar__utility-button--readonly' : ''}`}
+                            >
+                                <Collections />
+                            </IconButton>
+                        </span>
+                    </Tooltip>
+
+                    <Tooltip title="Token Metadata">
+                        <span>
+                            <IconButton
+                                onClick={onGenerateMetadata}
+                                color="inherit"
+                                size="small"
+                                disabled={isProjectResuming}
+                                className="canvas-toolbar__utility-button"
+                            >
+                                <DataObject />
+                            </IconButton>
+                        </span>
+                    </Tooltip>
+
                     <Tooltip title="Event Bus Monitor">
                         <IconButton
                             onClick={onEventBusMonitor}
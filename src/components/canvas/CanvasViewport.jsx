@@ -1,4 +1,5 @@
 import React, { forwardRef, useEffect, useMemo } from 'react';
+import FrameComparisonLayer from './FrameComparisonLayer.jsx';
 import './CanvasViewport.bem.css';
 
 const CanvasViewport = forwardRef(({
@@ -9,9 +10,13 @@ const CanvasViewport = forwardRef(({
     isRendering,
     renderTimer,
     renderResult,
+    isLivePreview = false,
+    renderPhase = null,
     onMouseDown,
     onWheel,
-    currentTheme
+    currentTheme,
+    comparison = null,
+    children
 }, ref) => {
     const { canvasRef, frameHolderRef } = ref;
 
@@ -119,7 +124,14 @@ const CanvasViewport = forwardRef(({
                     height={dimensions.h}
                     className="canvas-viewport__render-canvas"
                 />
-                {isRendering && (
+                {/* Comparison mode draws two frames over the render canvas */}
+                {comparison && (
+                    <FrameComparisonLayer comparison={comparison} dimensions={dimensions} zoom={zoom} />
+                )}
+                {/* Overlays (e.g. position handles) share the frame holder's zoom/pan transform */}
+                {children}
+                {/* Live preview keeps the last frame visible while it re-renders */}
+                {isRendering && !isLivePreview && (
                     <div className="canvas-viewport__overlay">
                         <div className="canvas-viewport__spinner-container">
                             <div className="canvas-viewport__spinner">
@@ -131,6 +143,11 @@ const CanvasViewport = forwardRef(({
                     </div>
                 )}
             </div>
+            {isLivePreview && (
+                <div className={`canvas-viewport__live-badge${isRendering ? ' canvas-viewport__live-badge--busy' : ''}`}>
+                    {!isRendering ? 'Live' : renderPhase === 'proxy' ? 'Live · preview…' : 'Live · refining…'}
+                </div>
+            )}
         </div>
     );
 });
@@ -0,0 +1,198 @@
+/**
+ * CustomResolutionDialog Component
+ *
+ * Enter any width x height for the project canvas (e.g. 1080x1350 for 4:5
+ * posts or 2000x3000 for prints), optionally saving it as a named preset
+ * that then shows up in the toolbar resolution menu.
+ *
+ * @component
+ */
+
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    TextField,
+    Box,
+    Typography,
+    Chip,
+    IconButton,
+    Tooltip
+} from '@mui/material';
+import { Close, Delete, SwapHoriz } from '@mui/icons-material';
+import ResolutionMapper from '../../utils/ResolutionMapper.js';
+import './CustomResolutionDialog.bem.css';
+
+export default function CustomResolutionDialog({
+    open,
+    onClose,
+    onApply,
+    initialDimensions = null,
+    presets = [],
+    onSavePreset,
+    onDeletePreset
+}) {
+    const [width, setWidth] = useState('');
+    const [height, setHeight] = useState('');
+    const [presetName, setPresetName] = useState('');
+    const [error, setError] = useState(null);
+
+    // Start from the current canvas size each time the dialog opens
+    useEffect(() => {
+        if (open) {
+            setWidth(initialDimensions ? String(initialDimensions.w) : '1080');
+            setHeight(initialDimensions ? String(initialDimensions.h) : '1350');
+            setPresetName('');
+            setError(null);
+        }
+    }, [open, initialDimensions]);
+
+    const parsedWidth = parseInt(width);
+    const parsedHeight = parseInt(height);
+    const resolution = ResolutionMapper.parseCustomResolution(`${width}x${height}`)
+        ? `${parsedWidth}x${parsedHeight}`
+        : null;
+
+    const setDimensions = (w, h) => {
+        setWidth(String(w));
+        setHeight(String(h));
+        setError(null);
+    };
+
+    const handleApply = async () => {
+        if (!resolution) {
+            setError(`Width and height must be between ${ResolutionMapper.MIN_CUSTOM_DIMENSION} and ${ResolutionMapper.MAX_CUSTOM_DIMENSION} pixels`);
+            return;
+        }
+
+        if (presetName.trim()) {
+            const result = await onSavePreset(presetName, resolution);
+            if (!result?.success) {
+                setError(result?.error || 'Failed to save preset');
+                return;
+            }
+        }
+
+        onApply(resolution);
+        onClose();
+    };
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+            <DialogTitle className="custom-resolution-dialog__title">
+                Custom Resolution
+                <IconButton onClick={onClose} size="small">
+                    <Close />
+                </IconButton>
+            </DialogTitle>
+            <DialogContent className="custom-resolution-dialog__content">
+                <Box className="custom-resolution-dialog__dimensions">
+                    <TextField
+                        label="Width"
+                        type="number"
+                        size="small"
+                        value={width}
+                        onChange={(e) => setDimensions(e.target.value, height)}
+                        inputProps={{ min: ResolutionMapper.MIN_CUSTOM_DIMENSION, max: ResolutionMapper.MAX_CUSTOM_DIMENSION }}
+                        autoFocus
+                    />
+                    <Tooltip title="Swap width and height">
+                        <IconButton size="small" onClick={() => setDimensions(height, width)}>
+                            <SwapHoriz />
+                        </IconButton>
+                    </Tooltip>
+                    <TextField
+                        label="Height"
+                        type="number"
+                        size="small"
+                        value={height}
+                        onChange={(e) => setDimensions(width, e.target.value)}
+                        inputProps={{ min: ResolutionMapper.MIN_CUSTOM_DIMENSION, max: ResolutionMapper.MAX_CUSTOM_DIMENSION }}
+                    />
+                </Box>
+
+                <Typography variant="caption" className="custom-resolution-dialog__ratio">
+                    {resolution
+                        ? `Aspect ratio ${ResolutionMapper.getAspectRatioLabel(parsedWidth, parsedHeight)} · ${parsedWidth >= parsedHeight ? 'horizontal' : 'vertical'}`
+                        : 'Enter a width and height'}
+                </Typography>
+
+                <Box className="custom-resolution-dialog__chips">
+                    {ResolutionMapper.customSuggestions.map(suggestion => (
+                        <Chip
+                            key={`${suggestion.w}x${suggestion.h}`}
+                            label={`${suggestion.name} (${suggestion.w}x${suggestion.h})`}
+                            size="small"
+                            variant="outlined"
+                            onClick={() => setDimensions(suggestion.w, suggestion.h)}
+                        />
+                    ))}
+                </Box>
+
+                {presets.length > 0 && (
+                    <Box className="custom-resolution-dialog__presets">
+                        <Typography variant="caption" className="custom-resolution-dialog__label">
+                            Saved presets
+                        </Typography>
+                        <Box className="custom-resolution-dialog__chips">
+                            {presets.map(preset => (
+                                <Chip
+                                    key={preset.name}
+                                    label={`${preset.name} (${preset.resolution})`}
+                                    size="small"
+                                    onClick={() => {
+                                        const { w, h } = ResolutionMapper.parseCustomResolution(preset.resolution);
+                                        setDimensions(w, h);
+                                    }}
+                                    onDelete={() => onDeletePreset(preset.name)}
+                                    deleteIcon={<Delete />}
+                                />
+                            ))}
+                        </Box>
+                    </Box>
+                )}
+
+                <TextField
+                    label="Save as preset (optional)"
+                    size="small"
+                    fullWidth
+                    value={presetName}
+                    onChange={(e) => setPresetName(e.target.value)}
+                    placeholder="e.g. Instagram Portrait"
+                />
+
+                {error && (
+                    <Typography variant="body2" className="custom-resolution-dialog__error">
+                        {error}
+                    </Typography>
+                )}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Cancel</Button>
+                <Button variant="contained" onClick={handleApply} disabled={!resolution}>
+                    Apply
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
+
+CustomResolutionDialog.propTypes = {
+    open: PropTypes.bool.isRequired,
+    onClose: PropTypes.func.isRequired,
+    onApply: PropTypes.func.isRequired,
+    initialDimensions: PropTypes.shape({
+        w: PropTypes.number,
+        h: PropTypes.number
+    }),
+    presets: PropTypes.arrayOf(PropTypes.shape({
+        name: PropTypes.string,
+        resolution: PropTypes.string
+    })),
+    onSavePreset: PropTypes.func.isRequired,
+    onDeletePreset: PropTypes.func.isRequired
+};
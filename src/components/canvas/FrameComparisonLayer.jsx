@@ -0,0 +1,171 @@
+import React, { useEffect, useRef, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import FrameComparison from '../../utils/FrameComparison.js';
+import './FrameComparisonLayer.bem.css';
+
+/**
+ * Load an image source and draw it at the given size, returning its pixels
+ */
+const loadPixels = (src, width, height) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, width, height);
+        resolve(ctx.getImageData(0, 0, width, height).data);
+    };
+    img.onerror = () => reject(new Error('Failed to load frame image for comparison'));
+    img.src = src;
+});
+
+/**
+ * Difference heatmap drawn at the project resolution
+ */
+function DifferenceCanvas({ base, compare, dimensions, onStats }) {
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        const { w, h } = dimensions;
+
+        Promise.all([loadPixels(base.src, w, h), loadPixels(compare.src, w, h)])
+            .then(([basePixels, comparePixels]) => {
+                if (cancelled || !canvasRef.current) {
+                    return;
+                }
+                const result = FrameComparison.computeDifferenceHeatmap(basePixels, comparePixels);
+                const canvas = canvasRef.current;
+                canvas.width = w;
+                canvas.height = h;
+                canvas.getContext('2d').putImageData(new ImageData(result.pixels, w, h), 0, 0);
+
+                const { pixels, ...stats } = result;
+                onStats?.(stats);
+            })
+            .catch(error => {
+                if (!cancelled) {
+                    console.error('❌ FrameComparisonLayer: Failed to compute difference:', error);
+                    onStats?.(null);
+                }
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [base.src, compare.src, dimensions.w, dimensions.h, onStats]);
+
+    return <canvas ref={canvasRef} className="frame-comparison__image" />;
+}
+
+/**
+ * FrameComparisonLayer
+ *
+ * Draws two frames over the canvas viewport's render canvas. Lives inside the
+ * frame holder so it shares the viewport's zoom/pan transform.
+ *
+ * Modes: split (draggable divider), side-by-side, onion skin (compare frame
+ * over the base at an opacity) and difference (pixel heatmap).
+ */
+export default function FrameComparisonLayer({ comparison, dimensions, zoom }) {
+    const { mode, images, split, setSplit, opacity, setDifferenceStats } = comparison;
+    const { base, compare } = images;
+    const layerRef = useRef(null);
+
+    // Divider drag - stop propagation so the frame holder does not start panning
+    const handleDividerMouseDown = useCallback((event) => {
+        event.stopPropagation();
+        event.preventDefault();
+
+        const handleMouseMove = (moveEvent) => {
+            const rect = layerRef.current?.getBoundingClientRect();
+            if (!rect || rect.width === 0) {
+                return;
+            }
+            setSplit(Math.min(1, Math.max(0, (moveEvent.clientX - rect.left) / rect.width)));
+        };
+        const handleMouseUp = () => {
+            window.removeEventListener('mousemove', handleMouseMove);
+            window.removeEventListener('mouseup', handleMouseUp);
+        };
+
+        window.addEventListener('mousemove', handleMouseMove);
+        window.addEventListener('mouseup', handleMouseUp);
+    }, [setSplit]);
+
+    if (!base || !compare) {
+        return null;
+    }
+
+    const labelStyle = { '--frame-comparison-label-scale': 1 / (zoom || 1) };
+
+    return (
+        <div
+            ref={layerRef}
+            className={`frame-comparison frame-comparison--${mode}`}
+            style={{ '--frame-comparison-split': `${split * 100}%`, '--frame-comparison-opacity': opacity }}
+        >
+            {mode === 'difference' ? (
+                <DifferenceCanvas
+                    base={base}
+                    compare={compare}
+                    dimensions={dimensions}
+                    onStats={setDifferenceStats}
+                />
+            ) : (
+                <>
+                    <img src={base.src} alt={base.label} className="frame-comparison__image" draggable={false} />
+                    <img
+                        src={compare.src}
+                        alt={compare.label}
+                        className="frame-comparison__image frame-comparison__image--compare"
+                        draggable={false}
+                    />
+                </>
+            )}
+
+            {mode === 'split' && (
+                <div className="frame-comparison__divider" onMouseDown={handleDividerMouseDown}>
+                    <div className="frame-comparison__divider-grip" style={labelStyle} />
+                </div>
+            )}
+
+            {mode !== 'difference' && (
+                <>
+                    <span className="frame-comparison__label frame-comparison__label--base" style={labelStyle}>
+                        {base.label}
+                    </span>
+                    <span className="frame-comparison__label frame-comparison__label--compare" style={labelStyle}>
+                        {compare.label}
+                    </span>
+                </>
+            )}
+        </div>
+    );
+}
+
+const imageShape = PropTypes.shape({
+    src: PropTypes.string.isRequired,
+    label: PropTypes.string
+});
+
+DifferenceCanvas.propTypes = {
+    base: imageShape.isRequired,
+    compare: imageShape.isRequired,
+    dimensions: PropTypes.shape({ w: PropTypes.number, h: PropTypes.number }).isRequired,
+    onStats: PropTypes.func
+};
+
+FrameComparisonLayer.propTypes = {
+    comparison: PropTypes.shape({
+        mode: PropTypes.string.isRequired,
+        images: PropTypes.shape({ base: imageShape, compare: imageShape }).isRequired,
+        split: PropTypes.number,
+        setSplit: PropTypes.func,
+        opacity: PropTypes.number,
+        setDifferenceStats: PropTypes.func
+    }).isRequired,
+    dimensions: PropTypes.shape({ w: PropTypes.number, h: PropTypes.number }).isRequired,
+    zoom: PropTypes.number
+};
@@ -0,0 +1,225 @@
+/**
+ * FrameComparisonPanel Component
+ *
+ * Floating controls for the canvas viewport's comparison mode: what to
+ * compare (preview vs snapshot, two frames of a render, or the same frame of
+ * two renders) and how (split, side-by-side, onion skin, difference).
+ *
+ * @component
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+    Paper,
+    Box,
+    Typography,
+    IconButton,
+    Tooltip,
+    Button,
+    Select,
+    MenuItem,
+    TextField,
+    Slider,
+    ToggleButton,
+    ToggleButtonGroup
+} from '@mui/material';
+import { Close, CameraAlt, FolderOpen } from '@mui/icons-material';
+import { COMPARISON_MODES, COMPARISON_SOURCES } from '../../utils/FrameComparison.js';
+import './FrameComparisonPanel.bem.css';
+
+/**
+ * Directory field with a browse button
+ */
+function DirectoryField({ label, value, onChange }) {
+    const handleBrowse = async () => {
+        const result = await window.api.selectDirectory();
+        if (!result.canceled && result.filePaths?.length > 0) {
+            onChange(result.filePaths[0]);
+        }
+    };
+
+    return (
+        <Box className="frame-comparison-panel__row">
+            <TextField
+                size="small"
+                label={label}
+                value={value || ''}
+                onChange={(event) => onChange(event.target.value)}
+                className="frame-comparison-panel__directory"
+                placeholder="Render output directory"
+            />
+            <Tooltip title="Browse">
+                <IconButton size="small" onClick={handleBrowse}>
+                    <FolderOpen fontSize="small" />
+                </IconButton>
+            </Tooltip>
+        </Box>
+    );
+}
+
+/**
+ * Frame number field (frames are 0-based like the toolbar's frame selector)
+ */
+function FrameField({ label, value, onChange }) {
+    return (
+        <TextField
+            size="small"
+            type="number"
+            label={label}
+            value={value}
+            onChange={(event) => onChange(Math.max(0, parseInt(event.target.value, 10) || 0))}
+            inputProps={{ min: 0 }}
+            className="frame-comparison-panel__frame"
+        />
+    );
+}
+
+export default function FrameComparisonPanel({ comparison, hasPreview, onClose }) {
+    const {
+        mode,
+        setMode,
+        source,
+        setSource,
+        snapshot,
+        takeSnapshot,
+        clearSnapshot,
+        split,
+        setSplit,
+        opacity,
+        setOpacity,
+        differenceStats,
+        error,
+        loading,
+        isReady
+    } = comparison;
+
+    return (
+        <Paper className="frame-comparison-panel" elevation={6}>
+            <Box className="frame-comparison-panel__header">
+                <Typography variant="subtitle2" className="frame-comparison-panel__title">
+                    Compare Frames
+                </Typography>
+                <Tooltip title="Close comparison">
+                    <IconButton size="small" onClick={onClose}>
+                        <Close fontSize="small" />
+                    </IconButton>
+                </Tooltip>
+            </Box>
+
+            <Select
+                size="small"
+                value={source}
+                onChange={(event) => setSource(event.target.value)}
+                fullWidth
+            >
+                {Object.entries(COMPARISON_SOURCES).map(([key, { name }]) => (
+                    <MenuItem key={key} value={key}>{name}</MenuItem>
+                ))}
+            </Select>
+
+            {source === 'snapshot' && (
+                <Box className="frame-comparison-panel__row">
+                    <Button
+                        size="small"
+                        variant="outlined"
+                        startIcon={<CameraAlt />}
+                        onClick={takeSnapshot}
+                        disabled={!hasPreview}
+                    >
+                        {snapshot ? 'Retake Snapshot' : 'Take Snapshot'}
+                    </Button>
+                    {snapshot && (
+                        <Button size="small" onClick={clearSnapshot}>Clear</Button>
+                    )}
+                </Box>
+            )}
+
+            {source === 'frames' && (
+                <>
+                    <DirectoryField label="Render" value={comparison.directory} onChange={comparison.setDirectory} />
+                    <Box className="frame-comparison-panel__row">
+                        <FrameField label="Frame A" value={comparison.frameA} onChange={comparison.setFrameA} />
+                        <FrameField label="Frame B" value={comparison.frameB} onChange={comparison.setFrameB} />
+                    </Box>
+                </>
+            )}
+
+            {source === 'directories' && (
+                <>
+                    <DirectoryField label="Render A" value={comparison.directoryA} onChange={comparison.setDirectoryA} />
+                    <DirectoryField label="Render B" value={comparison.directoryB} onChange={comparison.setDirectoryB} />
+                    <FrameField label="Frame" value={comparison.frame} onChange={comparison.setFrame} />
+                </>
+            )}
+
+            <ToggleButtonGroup
+                size="small"
+                exclusive
+                fullWidth
+                value={mode}
+                onChange={(event, value) => value && setMode(value)}
+            >
+                {Object.entries(COMPARISON_MODES).map(([key, { name }]) => (
+                    <ToggleButton key={key} value={key} className="frame-comparison-panel__mode">
+                        {name}
+                    </ToggleButton>
+                ))}
+            </ToggleButtonGroup>
+
+            {mode === 'split' && (
+                <Box className="frame-comparison-panel__slider">
+                    <Typography variant="caption">Split {Math.round(split * 100)}%</Typography>
+                    <Slider size="small" min={0} max={1} step={0.01} value={split} onChange={(event, value) => setSplit(value)} />
+                </Box>
+            )}
+
+            {mode === 'onion' && (
+                <Box className="frame-comparison-panel__slider">
+                    <Typography variant="caption">Opacity {Math.round(opacity * 100)}%</Typography>
+                    <Slider size="small" min={0} max={1} step={0.01} value={opacity} onChange={(event, value) => setOpacity(value)} />
+                </Box>
+            )}
+
+            {mode === 'difference' && isReady && differenceStats && (
+                <Typography variant="caption" className="frame-comparison-panel__stats">
+                    {(differenceStats.changedRatio * 100).toFixed(2)}% of pixels changed
+                    {' · '}max Δ {differenceStats.maxDelta}
+                    {' · '}mean Δ {differenceStats.meanDelta.toFixed(1)}
+                </Typography>
+            )}
+
+            {loading && (
+                <Typography variant="caption" className="frame-comparison-panel__hint">Loading frames...</Typography>
+            )}
+            {error && (
+                <Typography variant="caption" className="frame-comparison-panel__error">{error}</Typography>
+            )}
+            {!loading && !error && !isReady && (
+                <Typography variant="caption" className="frame-comparison-panel__hint">
+                    {source === 'snapshot'
+                        ? 'Take a snapshot, change effects and re-render to compare.'
+                        : 'Choose render output directories to compare.'}
+                </Typography>
+            )}
+        </Paper>
+    );
+}
+
+DirectoryField.propTypes = {
+    label: PropTypes.string.isRequired,
+    value: PropTypes.string,
+    onChange: PropTypes.func.isRequired
+};
+
+FrameField.propTypes = {
+    label: PropTypes.string.isRequired,
+    value: PropTypes.number.isRequired,
+    onChange: PropTypes.func.isRequired
+};
+
+FrameComparisonPanel.propTypes = {
+    comparison: PropTypes.object.isRequired,
+    hasPreview: PropTypes.bool,
+    onClose: PropTypes.func.isRequired
+};
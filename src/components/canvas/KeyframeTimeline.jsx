@@ -0,0 +1,297 @@
+import React, { useState, useRef, useCallback, useMemo, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { IconButton, Tooltip } from '@mui/material';
+import { ExpandMore, ExpandLess } from '@mui/icons-material';
+import { useServices } from '../../contexts/ServiceContext.js';
+import { UpdateKeyframeEffectCommand } from '../../services/KeyframeEffectCommandService.js';
+import KeyframeTimelineUtils from '../../utils/KeyframeTimelineUtils.js';
+import './KeyframeTimeline.bem.css';
+
+// Pixels a marker must move before a press becomes a drag
+const DRAG_THRESHOLD = 3;
+
+/**
+ * KeyframeTimeline - Frame ruler showing keyframe effects of every primary effect
+ *
+ * - Clicking or dragging on the ruler scrubs the preview frame
+ * - Dragging a marker retimes the keyframe effect through UpdateKeyframeEffectCommand (undoable)
+ * - Clicking a marker selects the keyframe effect for editing
+ */
+export default function KeyframeTimeline({ projectState, selectedFrame = 0, isReadOnly = false }) {
+    const { commandService, eventBusService } = useServices();
+    const [isCollapsed, setIsCollapsed] = useState(false);
+    const [rulerWidth, setRulerWidth] = useState(0);
+    const [drag, setDrag] = useState(null);
+    const rulerRef = useRef(null);
+    const dragRef = useRef(null);
+
+    const state = projectState ? projectState.getState() : {};
+    const numFrames = state.numFrames || 1;
+    const tracks = useMemo(() => KeyframeTimelineUtils.buildTracks(state.effects || []), [state.effects]);
+
+    // Track ruler width for tick spacing
+    useEffect(() => {
+        if (!rulerRef.current || typeof ResizeObserver === 'undefined') {
+            return undefined;
+        }
+        const observer = new ResizeObserver(entries => {
+            setRulerWidth(entries[0].contentRect.width);
+        });
+        observer.observe(rulerRef.current);
+        return () => observer.disconnect();
+    }, [isCollapsed]);
+
+    const ticks = useMemo(() => {
+        if (!rulerWidth) {
+            return [];
+        }
+        const interval = KeyframeTimelineUtils.getTickInterval(numFrames, rulerWidth);
+        const result = [];
+        for (let frame = 0; frame < numFrames; frame += interval) {
+            result.push(frame);
+        }
+        return result;
+    }, [numFrames, rulerWidth]);
+
+    /**
+     * Convert a pointer position to a frame on the ruler
+     */
+    const frameAtPointer = useCallback((clientX) => {
+        const rect = rulerRef.current?.getBoundingClientRect();
+        if (!rect) {
+            return 0;
+        }
+        return KeyframeTimelineUtils.frameFromOffset(clientX - rect.left, rect.width, numFrames);
+    }, [numFrames]);
+
+    /**
+     * Select a preview frame; rendering is only requested when the pointer is released
+     */
+    const scrubTo = useCallback((frame, render) => {
+        eventBusService.emit('toolbar:frame:select', { frameIndex: frame }, {
+            source: 'KeyframeTimeline',
+            component: 'KeyframeTimeline'
+        });
+        if (render) {
+            eventBusService.emit('toolbar:render:trigger', { selectedFrame: frame }, {
+                source: 'KeyframeTimeline',
+                component: 'KeyframeTimeline'
+            });
+        }
+    }, [eventBusService]);
+
+    // Ruler scrubbing
+    const handleRulerPointerDown = useCallback((e) => {
+        if (e.button !== 0) {
+            return;
+        }
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = { type: 'scrub', lastFrame: frameAtPointer(e.clientX) };
+        scrubTo(dragRef.current.lastFrame, false);
+    }, [frameAtPointer, scrubTo]);
+
+    const handleRulerPointerMove = useCallback((e) => {
+        if (dragRef.current?.type !== 'scrub') {
+            return;
+        }
+        const frame = frameAtPointer(e.clientX);
+        if (frame !== dragRef.current.lastFrame) {
+            dragRef.current.lastFrame = frame;
+            scrubTo(frame, false);
+        }
+    }, [frameAtPointer, scrubTo]);
+
+    const handleRulerPointerUp = useCallback(() => {
+        if (dragRef.current?.type !== 'scrub') {
+            return;
+        }
+        scrubTo(dragRef.current.lastFrame, true);
+        dragRef.current = null;
+    }, [scrubTo]);
+
+    // Marker dragging
+    const handleMarkerPointerDown = useCallback((e, track, marker) => {
+        if (e.button !== 0) {
+            return;
+        }
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = {
+            type: 'marker',
+            track,
+            marker,
+            startX: e.clientX,
+            moved: false,
+            frame: marker.frame
+        };
+    }, []);
+
+    const handleMarkerPointerMove = useCallback((e) => {
+        const current = dragRef.current;
+        if (current?.type !== 'marker' || isReadOnly) {
+            return;
+        }
+        if (!current.moved && Math.abs(e.clientX - current.startX) < DRAG_THRESHOLD) {
+            return;
+        }
+        current.moved = true;
+        current.frame = frameAtPointer(e.clientX);
+        setDrag({ effectId: current.track.effectId, keyframeIndex: current.marker.keyframeIndex, frame: current.frame });
+    }, [frameAtPointer, isReadOnly]);
+
+    const handleMarkerPointerUp = useCallback(async () => {
+        const current = dragRef.current;
+        dragRef.current = null;
+        setDrag(null);
+        if (current?.type !== 'marker') {
+            return;
+        }
+
+        const { track, marker } = current;
+
+        if (!current.moved) {
+            eventBusService.emit('effect:selected', {
+                effectId: track.effectId,
+                effectIndex: track.parentIndex,
+                effectType: 'keyframe',
+                subIndex: marker.keyframeIndex,
+                nestedEffectId: marker.id,
+                nestedEffectName: marker.name
+            }, { component: 'KeyframeTimeline' });
+            return;
+        }
+
+        if (current.frame === marker.frame) {
+            return;
+        }
+
+        // 🔒 CRITICAL: Resolve the parent by ID - indices may have shifted during the drag
+        const effects = projectState.getState().effects || [];
+        const parentIndex = effects.findIndex(effect => effect.id === track.effectId);
+        const parentEffect = effects[parentIndex];
+        const keyframeEffects = parentEffect?.keyframeEffects || parentEffect?.attachedEffects?.keyFrame || [];
+        const keyframe = keyframeEffects[marker.keyframeIndex];
+
+        if (!keyframe || keyframe.id !== marker.id) {
+            console.warn('⚠️ KeyframeTimeline: Keyframe effect changed during drag, retime skipped');
+            return;
+        }
+
+        try {
+            console.log(`🎞️ KeyframeTimeline: Retiming ${marker.name} from frame ${marker.frame} to ${current.frame}`);
+            await commandService.execute(new UpdateKeyframeEffectCommand(
+                projectState,
+                parentIndex,
+                marker.keyframeIndex,
+                KeyframeTimelineUtils.buildRetimeUpdates(keyframe, current.frame)
+            ));
+        } catch (error) {
+            console.error('❌ KeyframeTimeline: Failed to retime keyframe effect:', error);
+        }
+    }, [projectState, commandService, eventBusService]);
+
+    const playheadPercent = KeyframeTimelineUtils.frameToPercent(selectedFrame, numFrames);
+
+    return (
+        <div className={`keyframe-timeline ${isCollapsed ? 'keyframe-timeline--collapsed' : ''}`}>
+            <div className="keyframe-timeline__header">
+                <span className="keyframe-timeline__title">Timeline</span>
+                <span className="keyframe-timeline__frame-readout">
+                    Frame {selectedFrame} / {numFrames - 1}
+                </span>
+                <IconButton
+                    size="small"
+                    onClick={() => setIsCollapsed(prev => !prev)}
+                    title={isCollapsed ? 'Show timeline' : 'Hide timeline'}
+                    className="keyframe-timeline__toggle"
+                >
+                    {isCollapsed ? <ExpandLess fontSize="small" /> : <ExpandMore fontSize="small" />}
+                </IconButton>
+            </div>
+
+            {!isCollapsed && (
+                <div className="keyframe-timeline__body">
+                    <div className="keyframe-timeline__row keyframe-timeline__row--ruler">
+                        <div className="keyframe-timeline__label" />
+                        <div
+                            ref={rulerRef}
+                            className="keyframe-timeline__ruler"
+                            onPointerDown={handleRulerPointerDown}
+                            onPointerMove={handleRulerPointerMove}
+                            onPointerUp={handleRulerPointerUp}
+                        >
+                            {ticks.map(frame => (
+                                <div
+                                    key={frame}
+                                    className="keyframe-timeline__tick"
+                                    style={{ '--timeline-position': `${KeyframeTimelineUtils.frameToPercent(frame, numFrames)}%` }}
+                                >
+                                    <span className="keyframe-timeline__tick-label">{frame}</span>
+                                </div>
+                            ))}
+                            <div
+                                className="keyframe-timeline__playhead"
+                                style={{ '--timeline-position': `${playheadPercent}%` }}
+                            />
+                        </div>
+                    </div>
+
+                    <div className="keyframe-timeline__tracks">
+                        {tracks.length === 0 && (
+                            <div className="keyframe-timeline__empty">
+                                No keyframe effects - add them from an effect's context menu
+                            </div>
+                        )}
+                        {tracks.map(track => (
+                            <div
+                                key={track.effectId}
+                                className={`keyframe-timeline__row ${!track.visible ? 'keyframe-timeline__row--hidden' : ''}`}
+                            >
+                                <div className="keyframe-timeline__label" title={track.name}>
+                                    {track.name}
+                                </div>
+                                <div className="keyframe-timeline__track">
+                                    <div
+                                        className="keyframe-timeline__playhead keyframe-timeline__playhead--track"
+                                        style={{ '--timeline-position': `${playheadPercent}%` }}
+                                    />
+                                    {track.markers.map(marker => {
+                                        const isDragging = drag?.effectId === track.effectId && drag.keyframeIndex === marker.keyframeIndex;
+                                        const frame = isDragging ? drag.frame : marker.frame;
+                                        return (
+                                            <Tooltip
+                                                key={marker.id || marker.keyframeIndex}
+                                                title={`${marker.name} - frame ${frame}`}
+                                                placement="top"
+                                                arrow
+                                            >
+                                                <div
+                                                    className={[
+                                                        'keyframe-timeline__marker',
+                                                        isDragging ? 'keyframe-timeline__marker--dragging' : '',
+                                                        !marker.visible ? 'keyframe-timeline__marker--hidden' : '',
+                                                        isReadOnly ? 'keyframe-timeline__marker--read-only' : ''
+                                                    ].filter(Boolean).join(' ')}
+                                                    style={{ '--timeline-position': `${KeyframeTimelineUtils.frameToPercent(frame, numFrames)}%` }}
+                                                    onPointerDown={(e) => handleMarkerPointerDown(e, track, marker)}
+                                                    onPointerMove={handleMarkerPointerMove}
+                                                    onPointerUp={handleMarkerPointerUp}
+                                                />
+                                            </Tooltip>
+                                        );
+                                    })}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+KeyframeTimeline.propTypes = {
+    projectState: PropTypes.object,
+    selectedFrame: PropTypes.number,
+    isReadOnly: PropTypes.bool
+};
@@ -0,0 +1,225 @@
+import React, { useState, useRef, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { useServices } from '../../contexts/ServiceContext.js';
+import {
+    UpdateEffectCommand,
+    UpdateSecondaryEffectCommand,
+    UpdateKeyframeEffectCommand
+} from '../../commands/ProjectCommands.js';
+import PositionHandleUtils from '../../utils/PositionHandleUtils.js';
+import ConfigCloner from '../../utils/ConfigCloner.js';
+import './PositionHandlesOverlay.bem.css';
+
+/**
+ * Resolve the live effect (and its config) for the current selection
+ * Nested effects are looked up under their parent, by ID first.
+ */
+const resolveSelectedEffect = (projectState, selectedEffect) => {
+    if (!projectState || !selectedEffect?.effectId) {
+        return null;
+    }
+
+    const effects = projectState.getState().effects || [];
+    const parentIndex = effects.findIndex(effect => effect.id === selectedEffect.effectId);
+    const parentEffect = effects[parentIndex];
+    if (!parentEffect) {
+        return null;
+    }
+
+    const { effectType, subIndex } = selectedEffect;
+    if (effectType === 'secondary' || effectType === 'keyframe') {
+        const nested = effectType === 'secondary'
+            ? parentEffect.secondaryEffects || []
+            : parentEffect.keyframeEffects || parentEffect.attachedEffects?.keyFrame || [];
+        const effect = nested[subIndex];
+        return effect ? { effect, parentEffect, parentIndex, effectType, subIndex } : null;
+    }
+
+    return { effect: parentEffect, parentEffect, parentIndex, effectType: 'primary', subIndex: null };
+};
+
+/**
+ * PositionHandlesOverlay - Draggable handles for the selected effect's position fields
+ *
+ * Rendered inside the zoomed/panned frame holder so handles follow the canvas.
+ * Handles are placed in percentages of the project resolution and counter-scaled
+ * by the zoom level to keep a constant on-screen size. Releasing a handle commits
+ * the new value through the matching update command so it can be undone.
+ */
+export default function PositionHandlesOverlay({
+    projectState,
+    selectedEffect,
+    dimensions,
+    zoom = 1,
+    canvasRef,
+    isReadOnly = false,
+    onFieldCommitted = () => {}
+}) {
+    const { commandService } = useServices();
+    const [preview, setPreview] = useState(null);
+    const dragRef = useRef(null);
+
+    const resolved = resolveSelectedEffect(projectState, selectedEffect);
+    const config = resolved?.effect?.config || null;
+
+    // While dragging, show the field being edited at its preview value
+    const handles = useMemo(() => {
+        if (!config) {
+            return [];
+        }
+        const displayConfig = preview ? { ...config, [preview.fieldName]: preview.value } : config;
+        return PositionHandleUtils.collectHandles(displayConfig);
+    }, [config, preview]);
+
+    const toPercent = useCallback((point) => ({
+        '--handle-left': `${(point.x / dimensions.w) * 100}%`,
+        '--handle-top': `${(point.y / dimensions.h) * 100}%`
+    }), [dimensions.w, dimensions.h]);
+
+    /**
+     * Commit a field value through the command for the selected effect type
+     */
+    const commitField = useCallback(async (fieldName, value) => {
+        const current = resolveSelectedEffect(projectState, selectedEffect);
+        if (!current) {
+            console.warn('⚠️ PositionHandlesOverlay: Selected effect no longer exists, drag discarded');
+            return;
+        }
+
+        const name = current.effect.name || current.effect.className;
+        console.log(`📍 PositionHandlesOverlay: Committing ${name}.${fieldName}:`, value);
+
+        let command;
+        if (current.effectType === 'primary') {
+            command = new UpdateEffectCommand(projectState, current.parentEffect.id, { config: { [fieldName]: value } }, name);
+        } else {
+            // Nested update commands replace the config, so send the full merged config
+            const mergedConfig = ConfigCloner.mergeConfigsWithCloning(current.effect.config || {}, { [fieldName]: value });
+            command = current.effectType === 'secondary'
+                ? new UpdateSecondaryEffectCommand(projectState, current.parentIndex, current.subIndex, { config: mergedConfig })
+                : new UpdateKeyframeEffectCommand(projectState, current.parentIndex, current.subIndex, { config: mergedConfig });
+        }
+
+        try {
+            await commandService.execute(command);
+            onFieldCommitted(fieldName, value);
+        } catch (error) {
+            console.error('❌ PositionHandlesOverlay: Failed to update position:', error);
+        }
+    }, [projectState, selectedEffect, commandService, onFieldCommitted]);
+
+    const handlePointerDown = useCallback((e, handle) => {
+        if (e.button !== 0 || isReadOnly) {
+            return;
+        }
+        // Keep the viewport from starting a pan
+        e.stopPropagation();
+        e.preventDefault();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = { handle, startValue: config[handle.fieldName], value: null };
+    }, [config, isReadOnly]);
+
+    const handlePointerMove = useCallback((e) => {
+        const drag = dragRef.current;
+        if (!drag || !canvasRef?.current) {
+            return;
+        }
+        const point = PositionHandleUtils.screenToProject(
+            e.clientX,
+            e.clientY,
+            canvasRef.current.getBoundingClientRect(),
+            dimensions
+        );
+        drag.value = PositionHandleUtils.applyHandleDrag(drag.startValue, drag.handle, point);
+        setPreview({ fieldName: drag.handle.fieldName, value: drag.value });
+    }, [canvasRef, dimensions]);
+
+    const handlePointerUp = useCallback(async () => {
+        const drag = dragRef.current;
+        dragRef.current = null;
+        if (!drag) {
+            return;
+        }
+        if (drag.value && JSON.stringify(drag.value) !== JSON.stringify(drag.startValue)) {
+            await commitField(drag.handle.fieldName, drag.value);
+        }
+        setPreview(null);
+    }, [commitField]);
+
+    if (handles.length === 0) {
+        return null;
+    }
+
+    const activeFieldName = preview?.fieldName || null;
+
+    return (
+        <div
+            className="position-handles"
+            style={{ '--handle-scale': 1 / (zoom || 1) }}
+        >
+            <svg
+                className="position-handles__guides"
+                viewBox={`0 0 ${dimensions.w} ${dimensions.h}`}
+                preserveAspectRatio="none"
+            >
+                {handles.filter(handle => handle.role === 'center').map(handle => (
+                    <g key={handle.id}>
+                        <path
+                            className="position-handles__arc"
+                            d={PositionHandleUtils.describeArc(handle.arc)}
+                        />
+                        <line
+                            className="position-handles__radius-line"
+                            x1={handle.arc.center.x}
+                            y1={handle.arc.center.y}
+                            x2={handle.arc.center.x + handle.arc.radius}
+                            y2={handle.arc.center.y}
+                        />
+                    </g>
+                ))}
+            </svg>
+
+            {handles.map(handle => (
+                <div
+                    key={handle.id}
+                    className={[
+                        'position-handles__handle',
+                        `position-handles__handle--${handle.role}`,
+                        activeFieldName === handle.fieldName ? 'position-handles__handle--active' : '',
+                        isReadOnly ? 'position-handles__handle--read-only' : ''
+                    ].filter(Boolean).join(' ')}
+                    style={toPercent(handle)}
+                    title={`${handle.fieldName}${handle.role === 'radius' ? ' radius' : ''}: ${
+                        handle.role === 'radius' ? Math.round(handle.arc.radius) : `${Math.round(handle.x)}, ${Math.round(handle.y)}`
+                    }`}
+                    onPointerDown={(e) => handlePointerDown(e, handle)}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                >
+                    {activeFieldName === handle.fieldName && handle.role !== 'radius' && (
+                        <span className="position-handles__label">
+                            {Math.round(handle.x)}, {Math.round(handle.y)}
+                        </span>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+PositionHandlesOverlay.propTypes = {
+    projectState: PropTypes.object,
+    selectedEffect: PropTypes.shape({
+        effectId: PropTypes.string,
+        effectType: PropTypes.string,
+        subIndex: PropTypes.number
+    }),
+    dimensions: PropTypes.shape({
+        w: PropTypes.number,
+        h: PropTypes.number
+    }).isRequired,
+    zoom: PropTypes.number,
+    canvasRef: PropTypes.object,
+    isReadOnly: PropTypes.bool,
+    onFieldCommitted: PropTypes.func
+};
@@ -567,6 +567,38 @@ export default function useEffectManagement(projectState) {
             }
         }, { component: 'useEffectManagement' });
 
+        // Seed override changes from EffectConfigurer (set, reroll, clear)
+        const unsubscribeEffectSeedChange = eventBusService.subscribe('effect:seed:change', (payload) => {
+            console.log('🎲 useEffectManagement: Effect seed change event received:', payload);
+            const currentEffects = projectState.getState().effects || [];
+            const parentIndex = currentEffects.findIndex(e => e.id === payload.effectId);
+            if (parentIndex === -1) {
+                console.error('❌ useEffectManagement: Cannot change seed - effect not found:', payload.effectId);
+                return;
+            }
+
+            const parentEffect = currentEffects[parentIndex];
+            const updates = { seed: payload.seed };
+            let command;
+            let effectName;
+
+            if (payload.effectType === 'secondary') {
+                effectName = parentEffect.secondaryEffects?.[payload.subIndex]?.name || 'secondary effect';
+                command = new UpdateSecondaryEffectCommand(projectState, parentIndex, payload.subIndex, updates);
+            } else if (payload.effectType === 'keyframe') {
+                effectName = parentEffect.keyframeEffects?.[payload.subIndex]?.name || 'keyframe effect';
+                command = new UpdateKeyframeEffectCommand(projectState, parentIndex, payload.subIndex, updates);
+            } else {
+                effectName = parentEffect.name || parentEffect.className || 'Effect';
+                command = new UpdateEffectCommand(projectState, payload.effectId, updates, effectName);
+            }
+
+            command.description = payload.seed === null
+                ? `Cleared seed of ${effectName}`
+                : `Set seed of ${effectName} to ${payload.seed}`;
+            commandService.execute(command);
+        }, { component: 'useEffectManagement' });
+
         // Listen for effects refreshed event (emitted when registry is refreshed)
         const unsubscribeEffectsRefreshed = eventBusService.subscribe('effects:refreshed', async (payload) => {
             console.log('📊 useEffectManagement: Effects refreshed event received:', payload);
@@ -590,6 +622,7 @@ export default function useEffectManagement(projectState) {
             unsubscribeKeyframeDelete();
             unsubscribeSecondaryToggleVisibility();
             unsubscribeKeyframeToggleVisibility();
+            unsubscribeEffectSeedChange();
             unsubscribeEffectsRefreshed();
         };
     }, [eventBusService]);
@@ -3,7 +3,8 @@
  * 
  * Dropdown menu for adding effects to the project.
  * Organizes effects by type (primary, secondary, final, keyframe).
- * Includes specialty effects option.
+ * Includes specialty effects option, the visual effect browser, pasting
+ * from the clipboard and the snippet library.
  * 
  * @component
  */
@@ -11,9 +12,10 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import * as DropdownMenu from '@radix-ui/react-dropdown-menu';
-import { Add } from '@mui/icons-material';
+import { Add, ContentPaste, GridView } from '@mui/icons-material';
 import { IconButton, Box } from '@mui/material';
 import EffectSubmenu from './EffectSubmenu.jsx';
+import EffectSnippetsSubmenu from './EffectSnippetsSubmenu.jsx';
 import './AddEffectDropdown.bem.css';
 import './effects-panel.bem.css';
 
@@ -28,6 +30,8 @@ import './effects-panel.bem.css';
  * @param {Object} props.currentTheme - Theme object
  * @param {Function} props.onAddEffect - (effectName, effectType) => void
  * @param {Function} props.onOpenSpecialty - () => void - Open specialty modal
+ * @param {Function} props.onOpenBrowser - () => void - Open the visual effect browser
+ * @param {Function} props.onPaste - () => void - Paste effects from the clipboard
  * @returns {React.ReactElement}
  */
 export default function AddEffectDropdown({
@@ -37,7 +41,9 @@ export default function AddEffectDropdown({
     effectsLoaded = false,
     currentTheme,
     onAddEffect,
-    onOpenSpecialty
+    onOpenSpecialty,
+    onOpenBrowser,
+    onPaste
 }) {
     // DEBUG: Log what we're receiving
     console.log('➕ AddEffectDropdown: Received props:', {
@@ -97,6 +103,31 @@ export default function AddEffectDropdown({
                                     from the context menu of primary effects */}
                             </>
                         )}
+
+                        {onOpenBrowser && (
+                            <DropdownMenu.Item
+                                onSelect={onOpenBrowser}
+                                className="effect-submenu__trigger"
+                            >
+                                <GridView fontSize="small" />
+                                Browse Effects…
+                            </DropdownMenu.Item>
+                        )}
+
+                        <DropdownMenu.Separator className="effect-submenu__separator" />
+
+                        {/* Saved effect stacks */}
+                        <EffectSnippetsSubmenu setAddEffectMenuOpen={setAddEffectMenuOpen} />
+
+                        {onPaste && (
+                            <DropdownMenu.Item
+                                onSelect={onPaste}
+                                className="effect-submenu__trigger"
+                            >
+                                <ContentPaste fontSize="small" />
+                                Paste Effects
+                            </DropdownMenu.Item>
+                        )}
                     </DropdownMenu.Content>
                 </DropdownMenu.Portal>
             </DropdownMenu.Root>
@@ -117,4 +148,6 @@ AddEffectDropdown.propTypes = {
     currentTheme: PropTypes.object.isRequired,
     onAddEffect: PropTypes.func.isRequired,
     onOpenSpecialty: PropTypes.func,
+    onOpenBrowser: PropTypes.func,
+    onPaste: PropTypes.func,
 };
\ No newline at end of file
@@ -0,0 +1,199 @@
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Box, Typography, Alert, CircularProgress } from '@mui/material';
+import EffectFormRenderer from '../forms/EffectFormRenderer.jsx';
+import { useServices } from '../../contexts/ServiceContext.js';
+import EffectConfigurationManager from '../../services/EffectConfigurationManager.js';
+import EffectSelection from '../../utils/EffectSelection.js';
+import { EVENTS, TIMING } from './EffectsPanelConstants.js';
+
+import './EffectConfigurer.bem.css';
+
+/**
+ * BulkEffectConfigurer - Edits the config fields a multi-selection shares
+ *
+ * Loads the schema of every selected effect type and shows only the fields all
+ * of them have (same name and type). Edits are batched for
+ * TIMING.BULK_EDIT_COMMIT_DELAY and emitted as one EVENTS.BULK_CONFIG, which
+ * EffectsPanel runs as a single undoable command across all selected effects.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array} props.selection - Selection entries [{ effectId, effectType, subIndex }]
+ * @param {Object} props.projectState - Project state for effects and form context
+ * @returns {React.ReactElement}
+ */
+function BulkEffectConfigurer({ selection, projectState }) {
+    const { eventBusService } = useServices();
+    const [configManager] = useState(() => new EffectConfigurationManager({ eventBus: eventBusService }));
+
+    const [schemas, setSchemas] = useState(null);
+    const [config, setConfig] = useState({});
+    const [mixedFields, setMixedFields] = useState([]);
+
+    // Bumped when a bulk command (or its undo) changes the effects
+    const [revision, setRevision] = useState(0);
+
+    const pendingChangesRef = useRef({});
+    const commitTimeoutRef = useRef(null);
+
+    const selectionKey = selection.map(entry => EffectSelection.keyOf(entry)).join('|');
+
+    // Re-resolved when the selected entries or the effects (revision) change
+    const selectedEffects = useMemo(() => {
+        const effects = projectState?.getState?.()?.effects || [];
+        return selection.map(entry => EffectSelection.resolve(effects, entry)).filter(Boolean);
+    }, [selectionKey, revision, projectState]);
+
+    // One schema per effect type; unchanged types keep their loaded schemas
+    const effectsByType = useMemo(() => {
+        const byType = new Map();
+        for (const effect of selectedEffects) {
+            const key = effect.registryKey || effect.className;
+            if (!byType.has(key)) {
+                byType.set(key, effect);
+            }
+        }
+        return byType;
+    }, [selectedEffects]);
+    const typesKey = [...effectsByType.keys()].join('|');
+
+    const sharedFields = useMemo(
+        () => (schemas ? EffectSelection.getSharedFields(schemas) : []),
+        [schemas]
+    );
+    const sharedSchema = useMemo(() => ({ fields: sharedFields }), [sharedFields]);
+
+    /**
+     * Emit the batched changes as one bulk config command
+     */
+    const commitPendingChanges = useCallback(() => {
+        if (commitTimeoutRef.current) {
+            clearTimeout(commitTimeoutRef.current);
+            commitTimeoutRef.current = null;
+        }
+
+        const changes = pendingChangesRef.current;
+        pendingChangesRef.current = {};
+        if (Object.keys(changes).length === 0) {
+            return;
+        }
+
+        console.log('🧺 BulkEffectConfigurer: Applying changes to selection:', {
+            fields: Object.keys(changes),
+            count: selection.length
+        });
+        eventBusService?.emit(EVENTS.BULK_CONFIG, { selection, changes }, {
+            component: 'BulkEffectConfigurer'
+        });
+    }, [eventBusService, selection]);
+
+    // Flush edits before the selection changes or the form closes
+    useEffect(() => () => commitPendingChanges(), [commitPendingChanges]);
+
+    useEffect(() => {
+        if (!eventBusService) return;
+        return eventBusService.subscribe('effects:bulk:changed', () => {
+            setRevision(prev => prev + 1);
+        }, { component: 'BulkEffectConfigurer' });
+    }, [eventBusService]);
+
+    // Load one schema per selected effect type
+    useEffect(() => {
+        let cancelled = false;
+
+        const loadSchemas = async () => {
+            setSchemas(null);
+            try {
+                const loaded = await Promise.all(
+                    [...effectsByType.values()].map(effect => configManager.loadConfigSchema(effect, projectState))
+                );
+                if (!cancelled) {
+                    setSchemas(loaded);
+                }
+            } catch (error) {
+                console.error('❌ BulkEffectConfigurer: Error loading schemas:', error);
+                if (!cancelled) {
+                    setSchemas([]);
+                }
+            }
+        };
+
+        loadSchemas();
+        return () => {
+            cancelled = true;
+        };
+    }, [typesKey, configManager, projectState]);
+
+    // Show the common values (or the first effect's value where they differ)
+    useEffect(() => {
+        const { config: sharedConfig, mixed } = EffectSelection.getSharedValues(selectedEffects, sharedFields);
+        setConfig(sharedConfig);
+        setMixedFields(mixed);
+    }, [selectedEffects, sharedFields]);
+
+    const handleFieldChange = useCallback((fieldName, fieldValue) => {
+        setConfig(prev => ({ ...prev, [fieldName]: fieldValue }));
+        setMixedFields(prev => prev.filter(name => name !== fieldName));
+
+        pendingChangesRef.current = { ...pendingChangesRef.current, [fieldName]: fieldValue };
+        if (commitTimeoutRef.current) {
+            clearTimeout(commitTimeoutRef.current);
+        }
+        commitTimeoutRef.current = setTimeout(commitPendingChanges, TIMING.BULK_EDIT_COMMIT_DELAY);
+    }, [commitPendingChanges]);
+
+    if (schemas === null) {
+        return (
+            <Box className="effect-configurer__empty-state" role="status" aria-label="Loading shared fields">
+                <CircularProgress size={24} />
+            </Box>
+        );
+    }
+
+    if (sharedFields.length === 0) {
+        return (
+            <Box className="effect-configurer__empty-state" role="status">
+                <Typography variant="body2" color="text.secondary">
+                    The {selection.length} selected effects have no config fields in common
+                </Typography>
+            </Box>
+        );
+    }
+
+    return (
+        <Box className="effect-configurer__container">
+            <Typography variant="body2" color="text.secondary">
+                Changes apply to all {selection.length} selected effects
+                ({sharedFields.length} shared field{sharedFields.length === 1 ? '' : 's'}).
+            </Typography>
+
+            {mixedFields.length > 0 && (
+                <Alert severity="info">
+                    Mixed values: {mixedFields.join(', ')}. The first effect's value is shown.
+                </Alert>
+            )}
+
+            <Box className="effect-configurer__form-area">
+                <EffectFormRenderer
+                    configSchema={sharedSchema}
+                    effectConfig={config}
+                    onConfigChange={handleFieldChange}
+                    projectState={projectState}
+                    validationErrors={{}}
+                />
+            </Box>
+        </Box>
+    );
+}
+
+BulkEffectConfigurer.propTypes = {
+    selection: PropTypes.arrayOf(PropTypes.shape({
+        effectId: PropTypes.string.isRequired,
+        effectType: PropTypes.string.isRequired,
+        subIndex: PropTypes.number
+    })).isRequired,
+    projectState: PropTypes.object.isRequired
+};
+
+export default BulkEffectConfigurer;
@@ -0,0 +1,168 @@
+/**
+ * BulkSelectionBar Component
+ *
+ * Action bar shown above the effects list while more than one effect is
+ * selected (shift/ctrl-click). Shows/hides, moves, groups or deletes the whole
+ * selection in one undoable step, and copies it or saves it as a snippet.
+ *
+ * Architecture:
+ * - Selection entries come from useEffectSelection (ID-based)
+ * - EventBusService for all bulk actions (handled by EffectsPanel)
+ *
+ * @component
+ */
+
+import React, { useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { IconButton } from '@mui/material';
+import {
+    Visibility,
+    VisibilityOff,
+    KeyboardArrowUp,
+    KeyboardArrowDown,
+    VerticalAlignTop,
+    VerticalAlignBottom,
+    CreateNewFolder,
+    ContentCopy,
+    BookmarkAdd,
+    Delete,
+    Close
+} from '@mui/icons-material';
+import { useServices } from '../../contexts/ServiceContext.js';
+import EffectSelection from '../../utils/EffectSelection.js';
+import { EVENTS } from './EffectsPanelConstants.js';
+
+import './BulkSelectionBar.bem.css';
+import './effects-list-icons.bem.css';
+
+/**
+ * BulkSelectionBar Component
+ *
+ * @param {Object} props
+ * @param {Array} props.selection - Selection entries [{ effectId, effectType, subIndex }]
+ * @param {Array} props.effects - Project effects (to resolve visibility)
+ * @param {Function} props.onClear - () => void - Clears the selection
+ * @returns {React.ReactElement}
+ */
+export default function BulkSelectionBar({
+    selection = [],
+    effects = [],
+    onClear = () => {}
+}) {
+    const { eventBusService } = useServices();
+
+    const allVisible = useMemo(
+        () => selection.every(entry => EffectSelection.resolve(effects, entry)?.visible !== false),
+        [selection, effects]
+    );
+    const topLevelIds = useMemo(() => EffectSelection.getTopLevelIds(selection), [selection]);
+
+    const emit = useCallback((eventName, payload = {}) => {
+        eventBusService?.emit(eventName, { selection, ...payload }, {
+            component: 'BulkSelectionBar'
+        });
+    }, [eventBusService, selection]);
+
+    const handleGroup = useCallback(() => {
+        eventBusService?.emit('effectspanel:group:create', { effectIds: topLevelIds }, {
+            component: 'BulkSelectionBar'
+        });
+    }, [eventBusService, topLevelIds]);
+
+    const canMove = topLevelIds.length > 0;
+
+    return (
+        <div className="bulk-selection-bar" role="toolbar" aria-label="Selected effects">
+            <div className="bulk-selection-bar__count">
+                {selection.length} selected
+            </div>
+
+            <IconButton
+                size="small"
+                onClick={() => emit(EVENTS.BULK_VISIBILITY, { visible: !allVisible })}
+                title={allVisible ? 'Hide selected effects' : 'Show selected effects'}
+                className="bulk-selection-bar__button"
+            >
+                {allVisible ? <Visibility className="effects-list__icon--medium" /> : <VisibilityOff className="effects-list__icon--medium" />}
+            </IconButton>
+
+            <div className="bulk-selection-bar__separator" />
+
+            {[
+                ['top', 'Move selected to top', VerticalAlignTop],
+                ['up', 'Move selected up', KeyboardArrowUp],
+                ['down', 'Move selected down', KeyboardArrowDown],
+                ['bottom', 'Move selected to bottom', VerticalAlignBottom]
+            ].map(([direction, title, Icon]) => (
+                <IconButton
+                    key={direction}
+                    size="small"
+                    disabled={!canMove}
+                    onClick={() => emit(EVENTS.BULK_MOVE, { direction })}
+                    title={canMove ? title : 'Only top-level effects can be moved'}
+                    className="bulk-selection-bar__button"
+                >
+                    <Icon className="effects-list__icon--medium" />
+                </IconButton>
+            ))}
+
+            <div className="bulk-selection-bar__separator" />
+
+            <IconButton
+                size="small"
+                disabled={topLevelIds.length < 2}
+                onClick={handleGroup}
+                title="Group selected effects"
+                className="bulk-selection-bar__button"
+            >
+                <CreateNewFolder className="effects-list__icon--medium" />
+            </IconButton>
+
+            <IconButton
+                size="small"
+                onClick={() => emit(EVENTS.CLIPBOARD_COPY)}
+                title="Copy selected effects"
+                className="bulk-selection-bar__button"
+            >
+                <ContentCopy className="effects-list__icon--medium" />
+            </IconButton>
+
+            <IconButton
+                size="small"
+                onClick={() => emit(EVENTS.SNIPPET_SAVE)}
+                title="Save selected effects as snippet"
+                className="bulk-selection-bar__button"
+            >
+                <BookmarkAdd className="effects-list__icon--medium" />
+            </IconButton>
+
+            <IconButton
+                size="small"
+                onClick={() => emit(EVENTS.BULK_DELETE)}
+                title="Delete selected effects"
+                className="bulk-selection-bar__button bulk-selection-bar__button--danger"
+            >
+                <Delete className="effects-list__icon--medium" />
+            </IconButton>
+
+            <IconButton
+                size="small"
+                onClick={onClear}
+                title="Clear selection"
+                className="bulk-selection-bar__button bulk-selection-bar__clear"
+            >
+                <Close className="effects-list__icon--medium" />
+            </IconButton>
+        </div>
+    );
+}
+
+BulkSelectionBar.propTypes = {
+    selection: PropTypes.arrayOf(PropTypes.shape({
+        effectId: PropTypes.string.isRequired,
+        effectType: PropTypes.string.isRequired,
+        subIndex: PropTypes.number
+    })).isRequired,
+    effects: PropTypes.array,
+    onClear: PropTypes.func
+};
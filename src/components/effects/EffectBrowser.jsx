@@ -0,0 +1,179 @@
+/**
+ * EffectBrowser Component
+ *
+ * Grid of every registered effect, core and plugin, each shown as a
+ * thumbnail rendered with its defaults and the current color scheme.
+ * Hovering a tile plays a short animated loop of the effect.
+ *
+ * @component
+ */
+
+import React, { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import {
+    Box,
+    Typography,
+    TextField,
+    InputAdornment,
+    ToggleButton,
+    ToggleButtonGroup,
+    CircularProgress
+} from '@mui/material';
+import { Search, BrokenImage } from '@mui/icons-material';
+import useEffectThumbnail from '../../hooks/useEffectThumbnail.js';
+import './EffectBrowser.bem.css';
+
+const CATEGORY_FILTERS = [
+    { value: 'all', label: 'All' },
+    { value: 'primary', label: 'Primary' },
+    { value: 'finalImage', label: 'Final' }
+];
+
+/**
+ * Human readable effect name
+ */
+const getDisplayName = (effect) => {
+    const effectName = effect.name || effect.className || 'Unknown';
+    return effect.displayName || effectName.replace(/Effect$/, '').replace(/([A-Z])/g, ' $1').trim();
+};
+
+/**
+ * One effect tile with its thumbnail and hover loop
+ */
+function EffectBrowserTile({ effect, palette, onSelect }) {
+    const [hovered, setHovered] = useState(false);
+    const effectName = effect.name || effect.className;
+    const { image, loading, error } = useEffectThumbnail(effectName, { palette, animate: hovered });
+    const displayName = getDisplayName(effect);
+    const isPlugin = effect.pluginSource && effect.pluginSource !== 'Core Library';
+
+    return (
+        <button
+            type="button"
+            className="effect-browser__tile"
+            onClick={() => onSelect(effect)}
+            onMouseEnter={() => setHovered(true)}
+            onMouseLeave={() => setHovered(false)}
+            onFocus={() => setHovered(true)}
+            onBlur={() => setHovered(false)}
+            title={effect.description || displayName}
+        >
+            <span className="effect-browser__thumbnail">
+                {image ? (
+                    <img className="effect-browser__image" src={image} alt={displayName} />
+                ) : loading ? (
+                    <CircularProgress size={20} />
+                ) : (
+                    <BrokenImage className="effect-browser__placeholder" titleAccess={error || undefined} />
+                )}
+            </span>
+            <span className="effect-browser__name">{displayName}</span>
+            <span className="effect-browser__meta">
+                {effect.category === 'finalImage' ? 'Final' : 'Primary'}
+                {isPlugin && ` · ${effect.pluginSource}`}
+            </span>
+        </button>
+    );
+}
+
+EffectBrowserTile.propTypes = {
+    effect: PropTypes.object.isRequired,
+    palette: PropTypes.object,
+    onSelect: PropTypes.func.isRequired
+};
+
+/**
+ * EffectBrowser Component
+ *
+ * @param {Object} props
+ * @param {Array} props.effects - Effects from discoverEffects() (primary and final)
+ * @param {Object} [props.palette] - { neutrals, backgrounds, lights } of the current color scheme
+ * @param {Function} props.onSelect - (effect) => void
+ * @returns {React.ReactElement}
+ */
+export default function EffectBrowser({ effects = [], palette = null, onSelect }) {
+    const [search, setSearch] = useState('');
+    const [category, setCategory] = useState('all');
+
+    const visibleEffects = useMemo(() => {
+        const query = search.trim().toLowerCase();
+        return effects.filter(effect => {
+            if (category !== 'all' && effect.category !== category) {
+                return false;
+            }
+            if (!query) {
+                return true;
+            }
+            return [getDisplayName(effect), effect.name, effect.description, effect.pluginSource]
+                .some(text => text && text.toLowerCase().includes(query));
+        });
+    }, [effects, search, category]);
+
+    return (
+        <Box className="effect-browser">
+            <Box className="effect-browser__toolbar">
+                <TextField
+                    size="small"
+                    placeholder="Search effects"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    className="effect-browser__search"
+                    autoFocus
+                    InputProps={{
+                        startAdornment: (
+                            <InputAdornment position="start">
+                                <Search fontSize="small" />
+                            </InputAdornment>
+                        )
+                    }}
+                />
+                <ToggleButtonGroup
+                    size="small"
+                    exclusive
+                    value={category}
+                    onChange={(e, value) => value && setCategory(value)}
+                >
+                    {CATEGORY_FILTERS.map(filter => (
+                        <ToggleButton key={filter.value} value={filter.value} className="effect-browser__filter">
+                            {filter.label}
+                        </ToggleButton>
+                    ))}
+                </ToggleButtonGroup>
+            </Box>
+
+            {visibleEffects.length === 0 ? (
+                <Typography variant="body2" className="effect-browser__empty">
+                    {effects.length === 0 ? 'No effects available' : 'No effects match your search'}
+                </Typography>
+            ) : (
+                <Box className="effect-browser__grid">
+                    {visibleEffects.map(effect => (
+                        <EffectBrowserTile
+                            key={`${effect.category}:${effect.name || effect.className}`}
+                            effect={effect}
+                            palette={palette}
+                            onSelect={onSelect}
+                        />
+                    ))}
+                </Box>
+            )}
+        </Box>
+    );
+}
+
+EffectBrowser.propTypes = {
+    effects: PropTypes.arrayOf(PropTypes.shape({
+        name: PropTypes.string,
+        className: PropTypes.string,
+        displayName: PropTypes.string,
+        description: PropTypes.string,
+        category: PropTypes.string,
+        pluginSource: PropTypes.string
+    })),
+    palette: PropTypes.shape({
+        neutrals: PropTypes.array,
+        backgrounds: PropTypes.array,
+        lights: PropTypes.array
+    }),
+    onSelect: PropTypes.func.isRequired
+};
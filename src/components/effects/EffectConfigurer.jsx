@@ -4,6 +4,7 @@ import { ConfigIntrospector } from '../../utils/configIntrospector.js';
 import EffectFormRenderer from '../forms/EffectFormRenderer.jsx';
 import AttachedEffectsDisplay from '../forms/AttachedEffectsDisplay.jsx';
 import PercentChanceControl from '../forms/PercentChanceControl.jsx';
+import SeedControl from '../forms/SeedControl.jsx';
 import PresetSelector from './PresetSelector.jsx';
 import { serializeFieldValue } from '../forms/EffectFormSubmitter.js';
 import CenterUtils from '../../utils/CenterUtils.js';
@@ -185,6 +186,40 @@ function EffectConfigurer({
         };
     }, [services.updateCoordinator]);
 
+    // Effect being edited as stored in ProjectState (nested effects resolve through their parent)
+    const findEditedEffect = () => {
+        if (!selectedEffect || typeof projectState?.getState !== 'function') {
+            return null;
+        }
+        const parent = (projectState.getState().effects || []).find(e => e.id === selectedEffect.effectId);
+        if (!parent) {
+            return null;
+        }
+        if (selectedEffect.effectType === 'secondary') {
+            return parent.secondaryEffects?.[selectedEffect.subIndex] || null;
+        }
+        if (selectedEffect.effectType === 'keyframe') {
+            return parent.keyframeEffects?.[selectedEffect.subIndex] || null;
+        }
+        return parent;
+    };
+    const editedEffect = findEditedEffect();
+    const [effectSeed, setEffectSeed] = useState(editedEffect?.seed ?? null);
+
+    useEffect(() => {
+        setEffectSeed(findEditedEffect()?.seed ?? null);
+    }, [selectedEffect?.effectId, selectedEffect?.effectType, selectedEffect?.subIndex]);
+
+    const handleSeedChange = useCallback((seed) => {
+        setEffectSeed(seed);
+        eventBusService?.emit('effect:seed:change', {
+            effectId: selectedEffect.effectId,
+            effectType: selectedEffect.effectType || 'primary',
+            subIndex: selectedEffect.subIndex ?? null,
+            seed
+        }, { source: 'EffectConfigurer', component: 'EffectConfigurer' });
+    }, [selectedEffect?.effectId, selectedEffect?.effectType, selectedEffect?.subIndex, eventBusService]);
+
     // Initialize percent chance from props
     useEffect(() => {
         if (initialPercentChance !== null && initialPercentChance !== undefined) {
@@ -714,6 +749,17 @@ function EffectConfigurer({
                                 />
                             </Box>
                         )}
+
+                        {/* Seed Override - only for effects already in the project */}
+                        {!isModal && editedEffect && (
+                            <Box className="effect-configurer__seed-wrapper">
+                                <SeedControl
+                                    value={effectSeed}
+                                    masterSeed={projectState.getState().masterSeed ?? null}
+                                    onChange={handleSeedChange}
+                                />
+                            </Box>
+                        )}
                     </Box>
                 )}
 
@@ -2,7 +2,8 @@
  * EffectContextMenu Component
  * 
  * Right-click context menu for effect actions.
- * Shows options for delete, add secondary, add keyframe, and bulk add keyframes.
+ * Shows options for delete, add secondary, add keyframe, bulk add keyframes, effect groups,
+ * clipboard (copy/cut/paste) and saving to the snippet library.
  * 
  * Architecture:
  * - ID-based access (stable effect identification)
@@ -22,10 +23,18 @@ import {
     Add,
     Schedule,
     PlaylistAdd,
-    ChevronRight
+    ChevronRight,
+    CreateNewFolder,
+    DriveFileMove,
+    FolderOff,
+    ContentCopy,
+    ContentCut,
+    ContentPaste,
+    BookmarkAdd
 } from '@mui/icons-material';
 import { useTheme } from '@mui/material';
 import { useServices } from '../../contexts/ServiceContext.js';
+import { EVENTS } from './EffectsPanelConstants.js';
 import './EffectContextMenu.bem.css';
 
 /**
@@ -44,6 +53,7 @@ import './EffectContextMenu.bem.css';
  * @param {Function} props.onBulkAddKeyframes - () => void - Trigger bulk add modal
  * @param {Array} props.secondaryEffects - Available secondary effects for submenu
  * @param {Array} props.keyframeEffects - Available keyframe effects for submenu
+ * @param {Array} props.effectGroups - Effect groups in the same section (Primary/Final)
  * @returns {React.ReactElement}
  */
 export default function EffectContextMenu({
@@ -58,11 +68,42 @@ export default function EffectContextMenu({
     onAddKeyframe = () => {},
     onBulkAddKeyframes = () => {},
     secondaryEffects = [],
-    keyframeEffects = []
+    keyframeEffects = [],
+    effectGroups = []
 }) {
     const theme = useTheme();
     const { eventBusService } = useServices();
 
+    // Groups the effect can move to (section groups other than its own)
+    const otherGroups = useMemo(
+        () => effectGroups.filter(group => group.id !== effect.groupId),
+        [effectGroups, effect.groupId]
+    );
+
+    /**
+     * Emit an effect group action for this effect
+     */
+    const emitGroupAction = useCallback((action, payload) => {
+        eventBusService?.emit(`effectspanel:group:${action}`, payload, {
+            component: 'EffectContextMenu'
+        });
+        eventBusService?.emit('effectspanel:log:action', {
+            action: `context:group:${action}`,
+            effectId,
+            component: 'EffectContextMenu'
+        });
+    }, [effectId, eventBusService]);
+
+    /**
+     * Emit a clipboard or snippet action for this effect
+     * EffectsPanel applies it to the whole selection if this effect is part of it.
+     */
+    const emitClipboardAction = useCallback((eventName, payload = {}) => {
+        eventBusService?.emit(eventName, { effectId, effectType, ...payload }, {
+            component: 'EffectContextMenu'
+        });
+    }, [effectId, effectType, eventBusService]);
+
     /**
      * Handle delete from context menu
      */
@@ -351,10 +392,95 @@ export default function EffectContextMenu({
                     </>
                 )}
 
+                {/* Clipboard and snippets */}
+                {!isReadOnly && (
+                    <>
+                        {!isFinalEffect && <div className="effect-context-menu__separator" />}
+                        <ContextMenu.Item
+                            className="effect-context-menu__item"
+                            onSelect={() => emitClipboardAction(EVENTS.CLIPBOARD_COPY)}
+                        >
+                            <ContentCopy fontSize="small" />
+                            Copy
+                        </ContextMenu.Item>
+                        <ContextMenu.Item
+                            className="effect-context-menu__item"
+                            onSelect={() => emitClipboardAction(EVENTS.CLIPBOARD_CUT)}
+                        >
+                            <ContentCut fontSize="small" />
+                            Cut
+                        </ContextMenu.Item>
+                        <ContextMenu.Item
+                            className="effect-context-menu__item"
+                            onSelect={() => emitClipboardAction(EVENTS.CLIPBOARD_PASTE, {
+                                afterEffectId: effectId,
+                                parentEffectId: effectId
+                            })}
+                        >
+                            <ContentPaste fontSize="small" />
+                            Paste After
+                        </ContextMenu.Item>
+                        <ContextMenu.Item
+                            className="effect-context-menu__item"
+                            onSelect={() => emitClipboardAction(EVENTS.SNIPPET_SAVE)}
+                        >
+                            <BookmarkAdd fontSize="small" />
+                            Save as Snippet...
+                        </ContextMenu.Item>
+                    </>
+                )}
+
+                {/* Effect groups */}
+                {!isReadOnly && (
+                    <>
+                        <div className="effect-context-menu__separator" />
+                        <ContextMenu.Item
+                            className="effect-context-menu__item"
+                            onSelect={() => emitGroupAction('create', { effectIds: [effectId] })}
+                        >
+                            <CreateNewFolder fontSize="small" />
+                            New Group from Effect
+                        </ContextMenu.Item>
+                        {otherGroups.length > 0 && (
+                            <ContextMenu.Sub>
+                                <ContextMenu.SubTrigger className="effect-context-menu__item effect-context-menu__trigger">
+                                    <div className="effect-context-menu__icon-container">
+                                        <DriveFileMove fontSize="small" />
+                                        Move to Group
+                                    </div>
+                                    <ChevronRight fontSize="small" />
+                                </ContextMenu.SubTrigger>
+                                <ContextMenu.Portal>
+                                    <ContextMenu.SubContent className="effect-context-menu__content effect-context-menu__subcontent">
+                                        {otherGroups.map(group => (
+                                            <ContextMenu.Item
+                                                key={group.id}
+                                                className="effect-context-menu__item"
+                                                onSelect={() => emitGroupAction('assign', { effectId, groupId: group.id })}
+                                            >
+                                                {group.name}
+                                            </ContextMenu.Item>
+                                        ))}
+                                    </ContextMenu.SubContent>
+                                </ContextMenu.Portal>
+                            </ContextMenu.Sub>
+                        )}
+                        {effect.groupId && (
+                            <ContextMenu.Item
+                                className="effect-context-menu__item"
+                                onSelect={() => emitGroupAction('assign', { effectId, groupId: null })}
+                            >
+                                <FolderOff fontSize="small" />
+                                Remove from Group
+                            </ContextMenu.Item>
+                        )}
+                    </>
+                )}
+
                 {/* Delete always available unless read-only */}
                 {!isReadOnly && (
                     <>
-                        {!isFinalEffect && !isReadOnly && <div className="effect-context-menu__separator" />}
+                        <div className="effect-context-menu__separator" />
                         <ContextMenu.Item className="effect-context-menu__item" onSelect={handleContextDelete}>
                             <Delete fontSize="small" />
                             Delete Effect
@@ -378,5 +504,6 @@ EffectContextMenu.propTypes = {
     onAddKeyframe: PropTypes.func,
     onBulkAddKeyframes: PropTypes.func,
     secondaryEffects: PropTypes.array,
-    keyframeEffects: PropTypes.array
+    keyframeEffects: PropTypes.array,
+    effectGroups: PropTypes.array
 };
\ No newline at end of file
@@ -0,0 +1,231 @@
+/**
+ * EffectGroupHeader Component
+ *
+ * Header row of a named effect group in the effects list.
+ * Collapses the group, renames it (double-click), toggles visibility of all
+ * members, bypasses the group for rendering and is the drag handle for moving
+ * the whole group.
+ *
+ * Architecture:
+ * - ID-based access (group ID is the stable identifier)
+ * - EventBusService for all group actions
+ * - Drag handlers are supplied by EffectsList (DragDropHandler)
+ *
+ * @component
+ */
+
+import React, { useCallback, useState } from 'react';
+import PropTypes from 'prop-types';
+import { IconButton } from '@mui/material';
+import {
+    ExpandMore,
+    ChevronRight,
+    Visibility,
+    VisibilityOff,
+    DoNotDisturbOn,
+    DragIndicator,
+    Edit,
+    SaveAlt,
+    LayersClear,
+    Delete
+} from '@mui/icons-material';
+import * as ContextMenu from '@radix-ui/react-context-menu';
+import { useServices } from '../../contexts/ServiceContext.js';
+
+import './EffectContextMenu.bem.css';
+import './EffectGroupHeader.bem.css';
+import './effects-list-icons.bem.css';
+
+/**
+ * EffectGroupHeader Component
+ *
+ * @param {Object} props
+ * @param {Object} props.group - Group record { id, name, collapsed, bypassed }
+ * @param {Array} props.members - Member effects in render order
+ * @param {boolean} props.isReadOnly - Read-only mode
+ * @param {Function} props.onDragStart - (e, groupId) => void
+ * @param {Function} props.onDragOver - (e) => void
+ * @param {Function} props.onDrop - (e, groupId) => void
+ * @param {Function} props.onDragEnd - () => void
+ * @returns {React.ReactElement}
+ */
+export default function EffectGroupHeader({
+    group,
+    members = [],
+    isReadOnly = false,
+    onDragStart = () => {},
+    onDragOver = () => {},
+    onDrop = () => {},
+    onDragEnd = () => {}
+}) {
+    const { eventBusService } = useServices();
+    const [isRenaming, setIsRenaming] = useState(false);
+    const [draftName, setDraftName] = useState(group.name);
+
+    const allVisible = members.every(effect => effect.visible !== false);
+
+    const emit = useCallback((eventName, payload) => {
+        eventBusService?.emit(eventName, { groupId: group.id, ...payload }, {
+            component: 'EffectGroupHeader'
+        });
+    }, [eventBusService, group.id]);
+
+    const handleToggleCollapse = useCallback((e) => {
+        e.stopPropagation();
+        emit('effectspanel:group:collapse', { collapsed: !group.collapsed });
+    }, [emit, group.collapsed]);
+
+    const handleToggleVisibility = useCallback((e) => {
+        e.stopPropagation();
+        emit('effectspanel:group:visibility', { visible: !allVisible });
+    }, [emit, allVisible]);
+
+    const handleToggleBypass = useCallback((e) => {
+        e.stopPropagation();
+        emit('effectspanel:group:bypass', { bypassed: !group.bypassed });
+    }, [emit, group.bypassed]);
+
+    const startRename = useCallback(() => {
+        if (isReadOnly) return;
+        setDraftName(group.name);
+        setIsRenaming(true);
+    }, [isReadOnly, group.name]);
+
+    const commitRename = useCallback(() => {
+        setIsRenaming(false);
+        const name = draftName.trim();
+        if (name && name !== group.name) {
+            emit('effectspanel:group:rename', { name });
+        }
+    }, [draftName, group.name, emit]);
+
+    const handleRenameKeyDown = useCallback((e) => {
+        if (e.key === 'Enter') {
+            commitRename();
+        } else if (e.key === 'Escape') {
+            setIsRenaming(false);
+        }
+        e.stopPropagation();
+    }, [commitRename]);
+
+    const headerClassName = [
+        'effect-group__header',
+        group.bypassed && 'effect-group__header--bypassed',
+        isReadOnly && 'effect-group__header--disabled'
+    ].filter(Boolean).join(' ');
+
+    return (
+        <ContextMenu.Root>
+            <ContextMenu.Trigger asChild>
+                <div
+                    className={headerClassName}
+                    draggable={!isReadOnly && !isRenaming}
+                    onDragStart={(e) => onDragStart(e, group.id)}
+                    onDragOver={onDragOver}
+                    onDrop={(e) => onDrop(e, group.id)}
+                    onDragEnd={onDragEnd}
+                    onDoubleClick={startRename}
+                    role="group"
+                    aria-label={`Effect group: ${group.name}`}
+                >
+                    {!isReadOnly && (
+                        <DragIndicator className="effect-group__drag-handle effects-list__icon--small" />
+                    )}
+
+                    <IconButton
+                        size="small"
+                        onClick={handleToggleCollapse}
+                        title={group.collapsed ? 'Expand group' : 'Collapse group'}
+                        className="effect-group__collapse-button"
+                    >
+                        {group.collapsed
+                            ? <ChevronRight className="effects-list__icon--medium" />
+                            : <ExpandMore className="effects-list__icon--medium" />}
+                    </IconButton>
+
+                    <IconButton
+                        size="small"
+                        disabled={isReadOnly}
+                        onClick={handleToggleVisibility}
+                        title={allVisible ? 'Hide all effects in group' : 'Show all effects in group'}
+                        className="effects-list__item__visibility-button"
+                        data-read-only={isReadOnly}
+                        data-visible={allVisible}
+                    >
+                        {allVisible ? <Visibility className="effects-list__icon--medium" /> : <VisibilityOff className="effects-list__icon--medium" />}
+                    </IconButton>
+
+                    {isRenaming ? (
+                        <input
+                            className="effect-group__name-input"
+                            value={draftName}
+                            autoFocus
+                            onChange={(e) => setDraftName(e.target.value)}
+                            onBlur={commitRename}
+                            onKeyDown={handleRenameKeyDown}
+                            onClick={(e) => e.stopPropagation()}
+                        />
+                    ) : (
+                        <div className="effect-group__name" title="Double-click to rename">
+                            {group.name}
+                        </div>
+                    )}
+
+                    <div className="effect-group__count">
+                        {members.length}
+                    </div>
+
+                    <IconButton
+                        size="small"
+                        disabled={isReadOnly}
+                        onClick={handleToggleBypass}
+                        title={group.bypassed ? 'Include group in renders' : 'Bypass group (skip when rendering)'}
+                        className="effect-group__bypass-button"
+                        data-bypassed={group.bypassed}
+                    >
+                        <DoNotDisturbOn className="effects-list__icon--medium" />
+                    </IconButton>
+                </div>
+            </ContextMenu.Trigger>
+
+            {!isReadOnly && (
+                <ContextMenu.Portal>
+                    <ContextMenu.Content className="effect-context-menu__content">
+                        <ContextMenu.Item className="effect-context-menu__item" onSelect={startRename}>
+                            <Edit fontSize="small" />
+                            Rename Group
+                        </ContextMenu.Item>
+                        <ContextMenu.Item className="effect-context-menu__item" onSelect={() => emit('effectspanel:group:save', {})}>
+                            <SaveAlt fontSize="small" />
+                            Save to Group Library
+                        </ContextMenu.Item>
+                        <div className="effect-context-menu__separator" />
+                        <ContextMenu.Item className="effect-context-menu__item" onSelect={() => emit('effectspanel:group:ungroup', {})}>
+                            <LayersClear fontSize="small" />
+                            Ungroup
+                        </ContextMenu.Item>
+                        <ContextMenu.Item className="effect-context-menu__item" onSelect={() => emit('effectspanel:group:delete', {})}>
+                            <Delete fontSize="small" />
+                            Delete Group and Effects
+                        </ContextMenu.Item>
+                    </ContextMenu.Content>
+                </ContextMenu.Portal>
+            )}
+        </ContextMenu.Root>
+    );
+}
+
+EffectGroupHeader.propTypes = {
+    group: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        name: PropTypes.string.isRequired,
+        collapsed: PropTypes.bool,
+        bypassed: PropTypes.bool
+    }).isRequired,
+    members: PropTypes.array,
+    isReadOnly: PropTypes.bool,
+    onDragStart: PropTypes.func,
+    onDragOver: PropTypes.func,
+    onDrop: PropTypes.func,
+    onDragEnd: PropTypes.func
+};
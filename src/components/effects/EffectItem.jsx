@@ -65,16 +65,18 @@ const formatEffectId = (id) => {
  * @param {boolean} props.isExpanded - Are children expanded
  * @param {boolean} props.hasChildren - Has secondary/keyframe effects
  * @param {boolean} props.isReadOnly - Read-only mode
- * @param {Function} props.onSelect - () => void - Called when effect clicked
- * @param {Function} props.onSecondarySelect - (parentIndex, secondaryIndex) => void - Called when secondary effect clicked
- * @param {Function} props.onKeyframeSelect - (parentIndex, keyframeIndex) => void - Called when keyframe effect clicked
+ * @param {Function} props.onSelect - (event) => void - Called when effect clicked (event carries shift/ctrl modifiers)
+ * @param {Function} props.onSecondarySelect - (parentIndex, secondaryIndex, event) => void - Called when secondary effect clicked
+ * @param {Function} props.onKeyframeSelect - (parentIndex, keyframeIndex, event) => void - Called when keyframe effect clicked
  * @param {Function} props.onDelete - () => void - Called when delete confirmed
  * @param {Function} props.onToggleVisibility - () => void
  * @param {Function} props.onToggleExpand - () => void
  * @param {Function} props.onContextMenu - (effectId, position) => void (optional)
  * @param {Array} props.secondaryEffects - Available secondary effects for context menu
  * @param {Array} props.keyframeEffects - Available keyframe effects for context menu
+ * @param {Array} props.effectGroups - Effect groups in this effect's section (context menu)
  * @param {Object} props.selectedEffect - Current selection state for highlighting nested effects
+ * @param {Array} props.selectedEffects - Multi-selection entries for highlighting nested effects
  * @param {Function} props.onDragStart - (e, index) => void - Drag start handler
  * @param {Function} props.onDragOver - (e) => void - Drag over handler
  * @param {Function} props.onDrop - (e, index) => void - Drop handler
@@ -98,7 +100,9 @@ export default function EffectItem({
     onContextMenu = () => {},
     secondaryEffects = [],
     keyframeEffects = [],
+    effectGroups = [],
     selectedEffect = null,
+    selectedEffects = [],
     onDragStart = () => {},
     onDragOver = () => {},
     onDrop = () => {}
@@ -116,7 +120,7 @@ export default function EffectItem({
                 e.preventDefault();
             }
 
-            onSelect();
+            onSelect(e);
 
             eventBusService?.emit('effectspanel:log:action', {
                 action: 'effect:selected',
@@ -588,6 +592,7 @@ export default function EffectItem({
                                         parentIndex={effectIndex}
                                         parentEffectId={effectId}
                                         selectedEffect={selectedEffect}
+                                        selectedEffects={selectedEffects}
                                         isReadOnly={isReadOnly}
                                         onSecondarySelect={onSecondarySelect}
                                         onSecondaryDelete={handleSecondaryDelete}
@@ -601,6 +606,7 @@ export default function EffectItem({
                                         parentIndex={effectIndex}
                                         parentEffectId={effectId}
                                         selectedEffect={selectedEffect}
+                                        selectedEffects={selectedEffects}
                                         isReadOnly={isReadOnly}
                                         onKeyframeSelect={onKeyframeSelect}
                                         onKeyframeDelete={handleKeyframeDelete}
@@ -627,6 +633,7 @@ export default function EffectItem({
                     onBulkAddKeyframes={handleBulkAddKeyframes}
                     secondaryEffects={secondaryEffects}
                     keyframeEffects={keyframeEffects}
+                    effectGroups={effectGroups}
                 />
             </ContextMenu.Root>
         </div>
@@ -663,7 +670,9 @@ EffectItem.propTypes = {
     onContextMenu: PropTypes.func,
     secondaryEffects: PropTypes.array,
     keyframeEffects: PropTypes.array,
+    effectGroups: PropTypes.array,
     selectedEffect: PropTypes.object,
+    selectedEffects: PropTypes.array,
     onDragStart: PropTypes.func,
     onDragOver: PropTypes.func,
     onDrop: PropTypes.func
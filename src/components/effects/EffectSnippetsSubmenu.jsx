@@ -0,0 +1,102 @@
+/**
+ * EffectSnippetsSubmenu Component
+ *
+ * "Snippets" submenu of the Add Effect dropdown. Lists the saved effect
+ * stacks from the snippet library; selecting one inserts it into the project
+ * (fresh IDs, positions scaled to the project resolution). Entries can be
+ * removed from the library from the same menu.
+ *
+ * @component
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import * as DropdownMenu from '@radix-ui/react-dropdown-menu';
+import { IconButton } from '@mui/material';
+import { Close } from '@mui/icons-material';
+import { useServices } from '../../contexts/ServiceContext.js';
+import EffectSnippetLibraryService from '../../services/EffectSnippetLibraryService.js';
+import { EVENTS } from './EffectsPanelConstants.js';
+import './EffectSubmenu.bem.css';
+import './EffectContextMenu.bem.css';
+import './EffectGroupHeader.bem.css';
+
+/**
+ * EffectSnippetsSubmenu Component
+ *
+ * @param {Object} props
+ * @param {Function} props.setAddEffectMenuOpen - Close parent dropdown
+ * @returns {React.ReactElement}
+ */
+export default function EffectSnippetsSubmenu({ setAddEffectMenuOpen }) {
+    const { eventBusService } = useServices();
+    const [snippets, setSnippets] = useState([]);
+
+    const loadSnippets = useCallback(async () => {
+        setSnippets(await EffectSnippetLibraryService.getSnippets());
+    }, []);
+
+    // Mounted while the dropdown is open; reload if a snippet is saved meanwhile
+    useEffect(() => {
+        loadSnippets();
+    }, [loadSnippets]);
+
+    useEffect(() => {
+        if (!eventBusService) return undefined;
+        return eventBusService.subscribe(EVENTS.SNIPPET_LIBRARY_CHANGED, loadSnippets, {
+            component: 'EffectSnippetsSubmenu'
+        });
+    }, [eventBusService, loadSnippets]);
+
+    const handleInsert = useCallback((snippet) => {
+        eventBusService?.emit(EVENTS.SNIPPET_INSERT, { snippet }, {
+            component: 'EffectSnippetsSubmenu'
+        });
+        setAddEffectMenuOpen(false);
+    }, [eventBusService, setAddEffectMenuOpen]);
+
+    const handleRemove = useCallback(async (e, snippet) => {
+        e.preventDefault();
+        e.stopPropagation();
+        await EffectSnippetLibraryService.deleteSnippet(snippet.id);
+        loadSnippets();
+    }, [loadSnippets]);
+
+    return (
+        <DropdownMenu.Sub>
+            <DropdownMenu.SubTrigger className="effect-submenu__trigger">
+                {`Snippets (${snippets.length})`}
+            </DropdownMenu.SubTrigger>
+
+            <DropdownMenu.Portal>
+                <DropdownMenu.SubContent className="effect-submenu__content">
+                    {snippets.length === 0 ? (
+                        <DropdownMenu.Item disabled className="effect-context-menu__disabled-item">
+                            No snippets - right-click effects and choose Save as Snippet
+                        </DropdownMenu.Item>
+                    ) : snippets.map(snippet => (
+                        <DropdownMenu.Item
+                            key={snippet.id}
+                            className="effect-context-menu__item saved-effect-groups__item"
+                            onSelect={() => handleInsert(snippet)}
+                        >
+                            <span className="saved-effect-groups__name">{snippet.name}</span>
+                            <span className="effect-group__count">{snippet.effects.length}</span>
+                            <IconButton
+                                size="small"
+                                title="Remove from snippets"
+                                onClick={(e) => handleRemove(e, snippet)}
+                            >
+                                <Close className="effects-list__icon--small" />
+                            </IconButton>
+                        </DropdownMenu.Item>
+                    ))}
+                </DropdownMenu.SubContent>
+            </DropdownMenu.Portal>
+        </DropdownMenu.Sub>
+    );
+}
+
+EffectSnippetsSubmenu.propTypes = {
+    setAddEffectMenuOpen: PropTypes.func.isRequired
+};
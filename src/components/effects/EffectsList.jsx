@@ -8,15 +8,20 @@
  * - Receives all effects and organizes them into Primary/Final sections
  * - Uses ID-based access pattern (NEVER index-based)
  * - Delegates to EffectItem for individual effect rendering
+ * - Renders named effect groups (contiguous members) under an EffectGroupHeader
+ * - Group drags go through DragDropHandler
  * - Emits events through EventBusService (NO direct callbacks)
  * 
  * @component
  */
 
-import React, { useCallback, useMemo } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
 import { useServices } from '../../contexts/ServiceContext.js';
+import DragDropHandler from '../../services/DragDropHandler.js';
 import EffectItem from './EffectItem.jsx';
+import EffectGroupHeader from './EffectGroupHeader.jsx';
+import EffectSelection from '../../utils/EffectSelection.js';
 
 // CSS Import - Phase 6: CSS Organization
 import './EffectsPanel.bem.css';
@@ -40,11 +45,13 @@ const isFinalEffect = (effect) => {
  * 
  * @param {Object} props - Component props
  * @param {Array} props.effects - All effects from ProjectState
+ * @param {Array} props.effectGroups - Effect groups from ProjectState
  * @param {Set} props.expandedEffects - Expanded state: new Set(['primary-0', 'final-1'])
  * @param {Object} props.selectedEffect - Current selection: { effectId, effectIndex, effectType, subIndex }
- * @param {Function} props.onEffectSelect - (index, type) => void
- * @param {Function} props.onSecondarySelect - (parentIndex, secondaryIndex) => void
- * @param {Function} props.onKeyframeSelect - (parentIndex, keyframeIndex) => void
+ * @param {Array} props.selectedEffects - Multi-selection entries: [{ effectId, effectType, subIndex }]
+ * @param {Function} props.onEffectSelect - (index, type, event) => void
+ * @param {Function} props.onSecondarySelect - (parentIndex, secondaryIndex, event) => void
+ * @param {Function} props.onKeyframeSelect - (parentIndex, keyframeIndex, event) => void
  * @param {Function} props.onEffectDelete - (effectId) => void
  * @param {Function} props.onToggleExpand - (sectionKey) => void
  * @param {Function} props.onToggleVisibility - (effectId) => void
@@ -56,8 +63,10 @@ const isFinalEffect = (effect) => {
  */
 export default function EffectsList({
     effects = [],
+    effectGroups = [],
     expandedEffects = new Set(),
     selectedEffect = null,
+    selectedEffects = [],
     onEffectSelect = () => {},
     onSecondarySelect = () => {},
     onKeyframeSelect = () => {},
@@ -70,6 +79,23 @@ export default function EffectsList({
     isReadOnly = false
 }) {
     const { eventBusService, projectState } = useServices();
+    const [dragDropHandler] = useState(() => new DragDropHandler(eventBusService));
+
+    useEffect(() => () => dragDropHandler.resetDragState(), [dragDropHandler]);
+
+    const groupsById = useMemo(
+        () => new Map(effectGroups.map(group => [group.id, group])),
+        [effectGroups]
+    );
+
+    // Groups per section, offered as "Move to Group" targets in the context menu
+    const sectionGroups = useMemo(() => {
+        const collect = (final) => effectGroups.filter(group => {
+            const firstMember = effects.find(effect => effect.groupId === group.id);
+            return firstMember && isFinalEffect(firstMember) === final;
+        });
+        return { primary: collect(false), final: collect(true) };
+    }, [effects, effectGroups]);
 
     /**
      * 🔒 CRITICAL: Resolve effect index from ID
@@ -112,7 +138,7 @@ export default function EffectsList({
     /**
      * Handle effect selection with ID-based comparison
      */
-    const handleEffectSelect = useCallback((index, effectType = 'primary') => {
+    const handleEffectSelect = useCallback((index, effectType = 'primary', event = null) => {
         try {
             if (index < 0 || index >= effects.length) {
                 console.warn('⚠️ EffectsList: Invalid effect index:', index);
@@ -128,7 +154,7 @@ export default function EffectsList({
                 return;
             }
 
-            onEffectSelect(index, effectType);
+            onEffectSelect(index, effectType, event);
 
             // Emit logging event
             eventBusService?.emit('effectspanel:log:action', {
@@ -208,6 +234,9 @@ export default function EffectsList({
      * 🔒 CRITICAL: Compare by ID, not index (index changes on reorder)
      */
     const isEffectSelected = useCallback((effectId, effectType = 'primary') => {
+        if (selectedEffects.length > 0) {
+            return EffectSelection.contains(selectedEffects, EffectSelection.createEntry(effectId, effectType));
+        }
         if (!selectedEffect) return false;
 
         try {
@@ -220,7 +249,7 @@ export default function EffectsList({
             console.error('❌ EffectsList: Error checking selection:', error);
             return false;
         }
-    }, [selectedEffect]);
+    }, [selectedEffect, selectedEffects]);
 
     /**
      * Handle primary/final effect drag start
@@ -267,21 +296,41 @@ export default function EffectsList({
         }
     }, []);
 
+    /**
+     * Emit a whole-group move (DragDropHandler drop callback)
+     */
+    const handleMoveGroup = useCallback((groupId, targetEffectId) => {
+        eventBusService?.emit('effectspanel:group:move', {
+            groupId,
+            targetEffectId
+        }, { component: 'EffectsList' });
+    }, [eventBusService]);
+
     /**
      * Handle drop to reorder primary/final effects
+     * Dropped groups move as a block; effects crossing a group boundary join the target's group.
      */
     const handleDrop = useCallback((e, targetIndex) => {
         try {
+            const freshEffects = projectState?.getState()?.effects || effects;
+            const targetEffect = freshEffects[targetIndex];
+            if (dragDropHandler.handleGroupDrop(e, targetEffect?.id, handleMoveGroup)) {
+                return;
+            }
+
             e.preventDefault();
             const dragData = JSON.parse(e.dataTransfer.getData('text/plain'));
 
             // Handle both primary and final effect drops
             if ((dragData.type === 'primary' || dragData.type === 'final') && dragData.sourceIndex !== targetIndex) {
-                const freshEffects = projectState?.getState()?.effects || effects;
                 const sourceEffect = freshEffects[dragData.sourceIndex];
-                const targetEffect = freshEffects[targetIndex];
 
-                if (sourceEffect?.id && targetEffect?.id) {
+                if (sourceEffect?.id && targetEffect?.id && (sourceEffect.groupId ?? null) !== (targetEffect.groupId ?? null)) {
+                    eventBusService?.emit('effectspanel:group:move-effect', {
+                        effectId: sourceEffect.id,
+                        targetEffectId: targetEffect.id
+                    }, { component: 'EffectsList' });
+                } else if (sourceEffect?.id && targetEffect?.id) {
                     eventBusService?.emit('effectspanel:effect:reorder', {
                         fromId: sourceEffect.id,
                         toId: targetEffect.id,
@@ -307,7 +356,131 @@ export default function EffectsList({
                 error: error.message
             });
         }
-    }, [effects, projectState, eventBusService]);
+    }, [effects, projectState, eventBusService, dragDropHandler, handleMoveGroup]);
+
+    /**
+     * Handle drop on a group header
+     * A dragged group moves before/after this group, a dragged effect joins it.
+     */
+    const handleGroupDrop = useCallback((e, groupId) => {
+        try {
+            const freshEffects = projectState?.getState()?.effects || effects;
+            const firstMember = freshEffects.find(effect => effect.groupId === groupId);
+            if (dragDropHandler.handleGroupDrop(e, firstMember?.id, handleMoveGroup)) {
+                return;
+            }
+
+            e.preventDefault();
+            const dragData = JSON.parse(e.dataTransfer.getData('text/plain'));
+            const sourceEffect = freshEffects[dragData.sourceIndex];
+
+            if ((dragData.type === 'primary' || dragData.type === 'final') && sourceEffect?.id && sourceEffect.groupId !== groupId) {
+                eventBusService?.emit('effectspanel:group:assign', {
+                    effectId: sourceEffect.id,
+                    groupId
+                }, { component: 'EffectsList' });
+            }
+        } catch (error) {
+            console.error('❌ EffectsList: Error in group drop:', error);
+            eventBusService?.emit('effectspanel:log:error', {
+                component: 'EffectsList',
+                action: 'group_drop',
+                error: error.message
+            });
+        }
+    }, [effects, projectState, eventBusService, dragDropHandler, handleMoveGroup]);
+
+    /**
+     * Split a section into ungrouped effects and contiguous group blocks
+     * Each entry keeps its position in the section so expanded-state keys stay stable.
+     */
+    const buildSegments = (effectList) => {
+        const segments = [];
+        effectList.forEach((effectData, sortedIndex) => {
+            const group = effectData.effect.groupId ? groupsById.get(effectData.effect.groupId) : null;
+            const entry = { ...effectData, sortedIndex };
+            const last = segments[segments.length - 1];
+
+            if (!group) {
+                segments.push({ type: 'effect', entry });
+            } else if (last?.type === 'group' && last.group.id === group.id) {
+                last.entries.push(entry);
+            } else {
+                segments.push({ type: 'group', group, entries: [entry] });
+            }
+        });
+        return segments;
+    };
+
+    /**
+     * Render a single effect row
+     */
+    const renderEffectItem = ({ effect, effectId, sortedIndex }, sectionType) => {
+        // 🔒 CRITICAL: Resolve current index from effect ID
+        const currentIndex = resolveEffectIndex(effectId);
+
+        if (currentIndex === -1) {
+            console.warn('⚠️ EffectsList: Effect ID not found in effects array:', effectId);
+            return null;
+        }
+
+        const effectType = effect.type === 'finalImage' ? 'final' : 'primary';
+        const isSelected = isEffectSelected(effectId, effectType);
+        const isExpanded = expandedEffects.has(`${sectionType}-${sortedIndex}`);
+        const hasChildren = (effect.secondaryEffects?.length > 0) ||
+                          (effect.keyframeEffects?.length > 0);
+
+        return (
+            <EffectItem
+                key={effectId}
+                effect={effect}
+                effectId={effectId}
+                effectIndex={currentIndex}
+                effectType={effectType}
+                isSelected={isSelected}
+                isExpanded={isExpanded}
+                hasChildren={hasChildren}
+                isReadOnly={isReadOnly}
+                onSelect={(event) => handleEffectSelect(currentIndex, effectType, event)}
+                onSecondarySelect={onSecondarySelect}
+                onKeyframeSelect={onKeyframeSelect}
+                onDelete={() => handleEffectDelete(effectId)}
+                onToggleVisibility={() => handleToggleVisibility(effectId)}
+                onToggleExpand={() => onToggleExpand(`${sectionType}-${sortedIndex}`)}
+                onContextMenu={onContextMenu}
+                secondaryEffects={secondaryEffects}
+                keyframeEffects={keyframeEffects}
+                effectGroups={sectionGroups[sectionType]}
+                selectedEffect={selectedEffect}
+                selectedEffects={selectedEffects}
+                onDragStart={handleDragStart}
+                onDragOver={handleDragOver}
+                onDrop={handleDrop}
+            />
+        );
+    };
+
+    /**
+     * Render a group header and (unless collapsed) its members
+     */
+    const renderGroup = ({ group, entries }, sectionType) => (
+        <div key={group.id} className="effect-group">
+            <EffectGroupHeader
+                group={group}
+                members={entries.map(entry => entry.effect)}
+                isReadOnly={isReadOnly}
+                onDragStart={dragDropHandler.handleGroupDragStart}
+                onDragOver={dragDropHandler.handleGroupDragOver}
+                onDrop={handleGroupDrop}
+                onDragEnd={dragDropHandler.resetDragState}
+            />
+            {!group.collapsed && (
+                <div className={`effect-group__members${group.bypassed ? ' effect-group__members--bypassed' : ''}`}>
+                    {entries.map(entry => renderEffectItem(entry, sectionType))}
+                </div>
+            )}
+        </div>
+    );
 
     /**
      * Render effect section (Primary or Final)
@@ -324,49 +497,11 @@ export default function EffectsList({
                     {title}
                 </div>
                 <div className="effects-list__items-container">
-                    {effectList.map((effectData, sortedIndex) => {
-                        const { effect, effectId } = effectData;
-                        // 🔒 CRITICAL: Resolve current index from effect ID
-                        const currentIndex = resolveEffectIndex(effectId);
-
-                        if (currentIndex === -1) {
-                            console.warn('⚠️ EffectsList: Effect ID not found in effects array:', effectId);
-                            return null;
-                        }
-
-                        const effectType = effect.type === 'finalImage' ? 'final' : 'primary';
-                        const isSelected = isEffectSelected(effectId, effectType);
-                        const isExpanded = expandedEffects.has(`${sectionType}-${sortedIndex}`);
-                        const hasChildren = (effect.secondaryEffects?.length > 0) ||
-                                          (effect.keyframeEffects?.length > 0);
-
-                        return (
-                            <EffectItem
-                                key={effectId}
-                                effect={effect}
-                                effectId={effectId}
-                                effectIndex={currentIndex}
-                                effectType={effectType}
-                                isSelected={isSelected}
-                                isExpanded={isExpanded}
-                                hasChildren={hasChildren}
-                                isReadOnly={isReadOnly}
-                                onSelect={() => handleEffectSelect(currentIndex, effectType)}
-                                onSecondarySelect={onSecondarySelect}
-                                onKeyframeSelect={onKeyframeSelect}
-                                onDelete={() => handleEffectDelete(effectId)}
-                                onToggleVisibility={() => handleToggleVisibility(effectId)}
-                                onToggleExpand={() => onToggleExpand(`${sectionType}-${sortedIndex}`)}
-                                onContextMenu={onContextMenu}
-                                secondaryEffects={secondaryEffects}
-                                keyframeEffects={keyframeEffects}
-                                selectedEffect={selectedEffect}
-                                onDragStart={handleDragStart}
-                                onDragOver={handleDragOver}
-                                onDrop={handleDrop}
-                            />
-                        );
-                    })}
+                    {buildSegments(effectList).map(segment => (
+                        segment.type === 'group'
+                            ? renderGroup(segment, sectionType)
+                            : renderEffectItem(segment.entry, sectionType)
+                    ))}
                 </div>
             </div>
         );
@@ -400,8 +535,15 @@ EffectsList.propTypes = {
         type: PropTypes.string,
         visible: PropTypes.bool,
         secondaryEffects: PropTypes.array,
-        keyframeEffects: PropTypes.array
+        keyframeEffects: PropTypes.array,
+        groupId: PropTypes.string
     })).isRequired,
+    effectGroups: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        name: PropTypes.string.isRequired,
+        collapsed: PropTypes.bool,
+        bypassed: PropTypes.bool
+    })),
     expandedEffects: PropTypes.instanceOf(Set).isRequired,
     selectedEffect: PropTypes.shape({
         effectId: PropTypes.string,
@@ -409,6 +551,11 @@ EffectsList.propTypes = {
         effectType: PropTypes.string,
         subIndex: PropTypes.number
     }),
+    selectedEffects: PropTypes.arrayOf(PropTypes.shape({
+        effectId: PropTypes.string.isRequired,
+        effectType: PropTypes.string.isRequired,
+        subIndex: PropTypes.number
+    })),
     onEffectSelect: PropTypes.func,
     onSecondarySelect: PropTypes.func,
     onKeyframeSelect: PropTypes.func,
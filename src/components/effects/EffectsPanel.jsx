@@ -21,24 +21,27 @@
  * @component
  */
 
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { useServices } from '../../contexts/ServiceContext.js';
-import { Box, CircularProgress } from '@mui/material';
+import { Box, CircularProgress, Snackbar, Alert } from '@mui/material';
 
 // CSS Import - Phase 6: CSS Organization (BEM)
 import './EffectsPanel.bem.css';
 
 // Phase 1: Hooks
-import { useEffectSelection } from '../hooks/useEffectSelection.js';
+import { useEffectSelection, getSelectionModifiers } from '../hooks/useEffectSelection.js';
 import { useEffectDragDrop } from '../hooks/useEffectDragDrop.js';
 import { useEffectPanelModals } from '../hooks/useEffectPanelModals.js';
 
 // Phase 2: List Components
 import EffectsList from './EffectsList.jsx';
 import AddEffectDropdown from './AddEffectDropdown.jsx';
+import SavedEffectGroupsMenu from './SavedEffectGroupsMenu.jsx';
 import SpecialtyEffectsModal from './SpecialtyEffectsModal.jsx';
 import BulkAddKeyframeModal from './BulkAddKeyframeModal.jsx';
+import BulkSelectionBar from './BulkSelectionBar.jsx';
+import SaveSnippetDialog from './SaveSnippetDialog.jsx';
 
 // Phase 3: Effect Addition UI
 import EffectSubmenu from './EffectSubmenu.jsx';
@@ -53,9 +56,17 @@ import EffectCommandService from '../../services/EffectCommandService.js';
 import { AddKeyframeEffectCommand } from '../../services/KeyframeEffectCommandService.js';
 import SecondaryEffectCommandService from '../../services/SecondaryEffectCommandService.js';
 import KeyframeEffectCommandService from '../../services/KeyframeEffectCommandService.js';
+import EffectGroupCommandService from '../../services/EffectGroupCommandService.js';
+import EffectGroupLibraryService from '../../services/EffectGroupLibraryService.js';
+import BulkEffectCommandService from '../../services/BulkEffectCommandService.js';
+import effectClipboardService, { EffectClipboardService } from '../../services/EffectClipboardService.js';
+import EffectSnippetLibraryService from '../../services/EffectSnippetLibraryService.js';
 
 // Utilities
 import ConfigCloner from '../../utils/ConfigCloner.js';
+import EffectGroups from '../../utils/EffectGroups.js';
+import EffectSelection from '../../utils/EffectSelection.js';
+import EffectClipboard from '../../utils/EffectClipboard.js';
 
 // Constants
 import EFFECTS_PANEL_CONSTANTS from './EffectsPanelConstants.js';
@@ -95,9 +106,11 @@ export default function EffectsPanel({
     // Phase 1 Hooks: State management
     const {
         selectedEffect: selectedEffectState,
+        selectedEffects,
         selectEffect,
         isEffectSelected,
         clearSelection,
+        pruneSelection,
     } = useEffectSelection(projectState, isReadOnly);
 
     const {
@@ -123,6 +136,14 @@ export default function EffectsPanel({
     // Add effect menu state
     const [addEffectMenuOpen, setAddEffectMenuOpen] = useState(false);
 
+    // Clipboard / snippet UI state
+    const [snippetSelection, setSnippetSelection] = useState(null);
+    const [clipboardNotice, setClipboardNotice] = useState(null);
+
+    // Latest selection for event handlers (avoids resubscribing on every click)
+    const selectionRef = useRef({ selectedEffects, selectedEffectState });
+    selectionRef.current = { selectedEffects, selectedEffectState };
+
     /**
      * 🔒 CRITICAL: Enrich selectedEffect with full effect data from ProjectState
      * The hook returns { effectId, effectIndex, effectType, subIndex }
@@ -278,6 +299,8 @@ export default function EffectsPanel({
     const [effectCommandService] = useState(() => EffectCommandService);
     const [secondaryEffectCommandService] = useState(() => SecondaryEffectCommandService);
     const [keyframeEffectCommandService] = useState(() => KeyframeEffectCommandService);
+    const [effectGroupCommandService] = useState(() => EffectGroupCommandService);
+    const [bulkEffectCommandService] = useState(() => BulkEffectCommandService);
 
     // Log initialization
     useEffect(() => {
@@ -627,6 +650,287 @@ export default function EffectsPanel({
         };
     }, [eventBusService, logger, clearSelection, onEffectDelete, onEffectReorder, onEffectToggleVisibility, commandService, effectCommandService, secondaryEffectCommandService, keyframeEffectCommandService, projectState, openBulkAddModal]);
 
+    // Effect group events (EffectGroupHeader, EffectsList drops, EffectContextMenu)
+    useEffect(() => {
+        if (!eventBusService || !projectState) return;
+
+        const execute = (action, createCommand) => (payload) => {
+            try {
+                logger.logAction(`group:${action}`, `Effect group ${action}`, payload);
+                if (!commandService) {
+                    logger.logDebug('No command service for group action', { action });
+                    return;
+                }
+                commandService.execute(createCommand(payload || {})).catch(error => {
+                    logger.logError(`Error executing group ${action} command`, error);
+                });
+            } catch (error) {
+                logger.logError(`Error handling effectspanel:group:${action} event`, error);
+            }
+        };
+
+        const subscriptions = [
+            ['create', ({ effectIds, name }) => effectGroupCommandService.createGroupCommand(
+                projectState,
+                effectIds,
+                name || `Group ${(projectState.getState().effectGroups || []).length + 1}`
+            )],
+            ['ungroup', ({ groupId }) => effectGroupCommandService.createUngroupCommand(projectState, groupId)],
+            ['delete', ({ groupId }) => effectGroupCommandService.createDeleteCommand(projectState, groupId)],
+            ['rename', ({ groupId, name }) => effectGroupCommandService.createRenameCommand(projectState, groupId, name)],
+            ['visibility', ({ groupId, visible }) => effectGroupCommandService.createVisibilityCommand(projectState, groupId, visible)],
+            ['bypass', ({ groupId, bypassed }) => effectGroupCommandService.createBypassCommand(projectState, groupId, bypassed)],
+            ['move', ({ groupId, targetEffectId }) => effectGroupCommandService.createMoveGroupCommand(projectState, groupId, targetEffectId)],
+            ['move-effect', ({ effectId, targetEffectId }) => effectGroupCommandService.createMoveEffectCommand(projectState, effectId, targetEffectId)],
+            ['assign', ({ effectId, groupId }) => effectGroupCommandService.createAssignCommand(projectState, effectId, groupId)],
+            ['restore', ({ snapshot }) => effectGroupCommandService.createRestoreCommand(projectState, snapshot)]
+        ].map(([action, createCommand]) => eventBusService.subscribe(
+            `effectspanel:group:${action}`,
+            execute(action, createCommand),
+            { component: 'EffectsPanel' }
+        ));
+
+        // Collapsing is view state - persisted with the project but not undoable
+        const unsubscribeCollapse = eventBusService.subscribe('effectspanel:group:collapse', ({ groupId, collapsed } = {}) => {
+            try {
+                const state = projectState.getState();
+                const layout = EffectGroups.updateGroup(
+                    { effects: state.effects || [], effectGroups: state.effectGroups || [] },
+                    groupId,
+                    { collapsed }
+                );
+                projectState.setEffectGroups(layout.effectGroups);
+            } catch (error) {
+                logger.logError('Error handling effectspanel:group:collapse event', error);
+            }
+        }, { component: 'EffectsPanel' });
+
+        const unsubscribeSave = eventBusService.subscribe('effectspanel:group:save', async ({ groupId } = {}) => {
+            try {
+                const state = projectState.getState();
+                const snapshot = EffectGroups.snapshot(
+                    { effects: state.effects || [], effectGroups: state.effectGroups || [] },
+                    groupId
+                );
+                const saved = await EffectGroupLibraryService.saveGroup(snapshot);
+                eventBusService.emit('effectgroups:library:changed', { saved, name: snapshot.name }, {
+                    component: 'EffectsPanel'
+                });
+            } catch (error) {
+                logger.logError('Error handling effectspanel:group:save event', error);
+            }
+        }, { component: 'EffectsPanel' });
+
+        return () => {
+            subscriptions.forEach(unsubscribe => unsubscribe?.());
+            unsubscribeCollapse?.();
+            unsubscribeSave?.();
+        };
+    }, [eventBusService, projectState, commandService, effectGroupCommandService, logger]);
+
+    // Bulk selection events (BulkSelectionBar, BulkEffectConfigurer)
+    useEffect(() => {
+        if (!eventBusService || !projectState) return;
+
+        const execute = (action, createCommand, afterExecute = null) => (payload) => {
+            try {
+                const { selection = [] } = payload || {};
+                logger.logAction(`bulk:${action}`, `Bulk ${action}`, { count: selection.length });
+                if (!commandService || selection.length === 0) {
+                    return;
+                }
+                commandService.execute(createCommand(payload)).then(() => {
+                    afterExecute?.();
+                }).catch(error => {
+                    logger.logError(`Error executing bulk ${action} command`, error);
+                });
+            } catch (error) {
+                logger.logError(`Error handling bulk ${action} event`, error);
+            }
+        };
+
+        const { EVENTS } = EFFECTS_PANEL_CONSTANTS;
+        const subscriptions = [
+            [EVENTS.BULK_DELETE, execute('delete',
+                ({ selection }) => bulkEffectCommandService.createDeleteCommand(projectState, selection),
+                clearSelection)],
+            [EVENTS.BULK_VISIBILITY, execute('visibility',
+                ({ selection, visible }) => bulkEffectCommandService.createVisibilityCommand(projectState, selection, visible))],
+            [EVENTS.BULK_MOVE, execute('move',
+                ({ selection, direction }) => bulkEffectCommandService.createMoveCommand(projectState, selection, direction))],
+            [EVENTS.BULK_CONFIG, execute('config',
+                ({ selection, changes }) => bulkEffectCommandService.createConfigCommand(projectState, selection, changes))]
+        ].map(([eventName, handler]) => eventBusService.subscribe(eventName, handler, { component: 'EffectsPanel' }));
+
+        return () => {
+            subscriptions.forEach(unsubscribe => unsubscribe?.());
+        };
+    }, [eventBusService, projectState, commandService, bulkEffectCommandService, clearSelection, logger]);
+
+    // Clipboard and snippet events (EffectContextMenu, BulkSelectionBar, AddEffectDropdown, keyboard)
+    useEffect(() => {
+        if (!eventBusService || !projectState) return;
+
+        const { EVENTS } = EFFECTS_PANEL_CONSTANTS;
+        const notify = (severity, message) => setClipboardNotice({ severity, message });
+
+        // An explicit selection wins; a right-clicked effect outside the selection acts alone
+        const resolveSelection = (payload = {}) => {
+            const { selectedEffects: current } = selectionRef.current;
+            if (payload.selection) return payload.selection;
+            if (!payload.effectId) return current;
+
+            const entry = EffectSelection.createEntry(payload.effectId, payload.effectType || 'primary', payload.subIndex);
+            return EffectSelection.contains(current, entry) ? current : [entry];
+        };
+
+        // Paste after the focused effect (nested effects go onto it)
+        const resolvePasteTarget = (payload = {}) => {
+            if (payload.afterEffectId || payload.parentEffectId) {
+                return { afterEffectId: payload.afterEffectId, parentEffectId: payload.parentEffectId };
+            }
+            const focusedId = selectionRef.current.selectedEffectState?.effectId || null;
+            return { afterEffectId: focusedId, parentEffectId: focusedId };
+        };
+
+        const executeInsert = (createCommand, action) => {
+            try {
+                commandService.execute(createCommand()).catch(error => {
+                    logger.logError(`Error executing ${action} command`, error);
+                    notify('error', error.message);
+                });
+            } catch (error) {
+                notify('error', error.message);
+            }
+        };
+
+        const copySelection = async (selection) => {
+            if (selection.length === 0) {
+                notify('info', 'Select effects to copy');
+                return false;
+            }
+            const result = await effectClipboardService.copy(projectState, selection);
+            if (!result.success) {
+                notify('error', result.error || 'Failed to copy effects');
+                return false;
+            }
+            return true;
+        };
+
+        const unsubscribers = [
+            eventBusService.subscribe(EVENTS.CLIPBOARD_COPY, async (payload) => {
+                const selection = resolveSelection(payload);
+                if (await copySelection(selection)) {
+                    logger.logAction('clipboard:copy', 'Effects copied', { count: selection.length });
+                    notify('success', `Copied ${selection.length} effect${selection.length === 1 ? '' : 's'}`);
+                }
+            }, { component: 'EffectsPanel' }),
+
+            eventBusService.subscribe(EVENTS.CLIPBOARD_CUT, async (payload) => {
+                const selection = resolveSelection(payload);
+                if (!commandService || !(await copySelection(selection))) return;
+
+                logger.logAction('clipboard:cut', 'Effects cut', { count: selection.length });
+                commandService.execute(effectClipboardService.createCutCommand(projectState, selection))
+                    .then(() => clearSelection())
+                    .catch(error => logger.logError('Error executing cut command', error));
+            }, { component: 'EffectsPanel' }),
+
+            eventBusService.subscribe(EVENTS.CLIPBOARD_PASTE, async (payload) => {
+                if (!commandService) return;
+                const result = await effectClipboardService.read();
+                if (!result.success) {
+                    notify('warning', result.error);
+                    return;
+                }
+                logger.logAction('clipboard:paste', 'Effects pasted', { count: result.payload.effects.length });
+                executeInsert(
+                    () => effectClipboardService.createPasteCommand(projectState, result.payload, resolvePasteTarget(payload)),
+                    'paste'
+                );
+            }, { component: 'EffectsPanel' }),
+
+            eventBusService.subscribe(EVENTS.SNIPPET_SAVE, (payload) => {
+                const selection = resolveSelection(payload);
+                if (selection.length > 0) {
+                    setSnippetSelection(selection);
+                }
+            }, { component: 'EffectsPanel' }),
+
+            eventBusService.subscribe(EVENTS.SNIPPET_INSERT, ({ snippet } = {}) => {
+                if (!commandService || !snippet) return;
+                logger.logAction('snippet:insert', 'Snippet inserted', { name: snippet.name });
+                executeInsert(
+                    () => effectClipboardService.createPasteCommand(projectState, snippet, resolvePasteTarget(), snippet.name),
+                    'snippet insert'
+                );
+            }, { component: 'EffectsPanel' })
+        ];
+
+        return () => {
+            unsubscribers.forEach(unsubscribe => unsubscribe?.());
+        };
+    }, [eventBusService, projectState, commandService, clearSelection, logger]);
+
+    const handleSaveSnippet = useCallback(async (name) => {
+        const selection = snippetSelection;
+        setSnippetSelection(null);
+
+        try {
+            const payload = EffectClipboard.fromSelection(
+                projectState.getState().effects || [],
+                selection,
+                EffectClipboardService.getCanvasSize(projectState)
+            );
+            const saved = await EffectSnippetLibraryService.saveSnippet(name, payload);
+            eventBusService?.emit(EFFECTS_PANEL_CONSTANTS.EVENTS.SNIPPET_LIBRARY_CHANGED, { saved, name }, {
+                component: 'EffectsPanel'
+            });
+            setClipboardNotice(saved
+                ? { severity: 'success', message: `Saved snippet "${name}"` }
+                : { severity: 'error', message: 'Failed to save snippet' });
+        } catch (error) {
+            logger.logError('Error saving snippet', error);
+            setClipboardNotice({ severity: 'error', message: error.message });
+        }
+    }, [snippetSelection, projectState, eventBusService, logger]);
+
+    /**
+     * Ctrl/Cmd + C, X, V on the panel (not while typing in an input)
+     */
+    const handlePanelKeyDown = useCallback((e) => {
+        if (isReadOnly || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const tagName = e.target?.tagName;
+        if (tagName === 'INPUT' || tagName === 'TEXTAREA' || e.target?.isContentEditable) return;
+
+        const { KEYBOARD, EVENTS } = EFFECTS_PANEL_CONSTANTS;
+        const eventName = {
+            [KEYBOARD.KEY_COPY]: EVENTS.CLIPBOARD_COPY,
+            [KEYBOARD.KEY_CUT]: EVENTS.CLIPBOARD_CUT,
+            [KEYBOARD.KEY_PASTE]: EVENTS.CLIPBOARD_PASTE
+        }[e.key.toLowerCase()];
+
+        if (eventName) {
+            e.preventDefault();
+            eventBusService?.emit(eventName, {}, { component: 'EffectsPanel' });
+        }
+    }, [isReadOnly, eventBusService]);
+
+    const handlePaste = useCallback(() => {
+        eventBusService?.emit(EFFECTS_PANEL_CONSTANTS.EVENTS.CLIPBOARD_PASTE, {}, { component: 'EffectsPanel' });
+    }, [eventBusService]);
+
+    // The effect browser is a canvas-level dialog
+    const handleOpenBrowser = useCallback(() => {
+        eventBusService?.emit(EFFECTS_PANEL_CONSTANTS.EVENTS.EFFECT_BROWSER_OPEN, {}, { component: 'EffectsPanel' });
+    }, [eventBusService]);
+
+    // Drop deleted effects from the selection whenever the effects change
+    const currentEffects = projectState?.getState?.()?.effects;
+    useEffect(() => {
+        pruneSelection(currentEffects || []);
+    }, [currentEffects, pruneSelection]);
+
     // Close config panel when entering read-only mode
     useEffect(() => {
         if (isReadOnly) {
@@ -772,13 +1076,19 @@ export default function EffectsPanel({
     /**
      * EffectsList callbacks - wired to state and events
      */
-    const handleEffectSelect = useCallback((index, effectType = 'primary') => {
+    const handleEffectSelect = useCallback((index, effectType = 'primary', event = null) => {
         const state = projectState?.getState?.();
         const effects = state?.effects || [];
         const effect = effects[index];
         if (effect?.id) {
+            const modifiers = getSelectionModifiers(event);
             // Pass effect ID to hook - it handles ID-to-index conversion internally
-            selectEffect(effect.id, effectType);
+            selectEffect(effect.id, effectType, null, modifiers);
+            if (modifiers.toggle || modifiers.range) {
+                // Multi-select: Canvas follows effects:selection:changed instead
+                logger.logAction('effect:selection:extended', 'Effect selection extended', { effectId: effect.id, effectType });
+                return;
+            }
             // 🔒 CRITICAL: Include effectIndex in the event payload
             // This is needed for EffectConfigurer to have the correct context
             eventBusService?.emit('effect:selected', {
@@ -793,7 +1103,7 @@ export default function EffectsPanel({
     /**
      * Handle secondary effect selection
      */
-    const handleSecondarySelect = useCallback((parentIndex, secondaryIndex) => {
+    const handleSecondarySelect = useCallback((parentIndex, secondaryIndex, event = null) => {
         try {
             console.log('🎯 EffectsPanel: handleSecondarySelect called:', { parentIndex, secondaryIndex });
             const state = projectState?.getState?.();
@@ -819,7 +1129,11 @@ export default function EffectsPanel({
                 
                 // Select the secondary effect with the parent ID and subIndex
                 // This updates the selection state in useEffectSelection hook
-                selectEffect(parentEffect.id, 'secondary', secondaryIndex);
+                const modifiers = getSelectionModifiers(event);
+                selectEffect(parentEffect.id, 'secondary', secondaryIndex, modifiers);
+                if (modifiers.toggle || modifiers.range) {
+                    return;
+                }
                 
                 // Emit effect:selected event with complete nested effect data
                 // This ensures Canvas and other components receive the full context
@@ -853,7 +1167,7 @@ export default function EffectsPanel({
     /**
      * Handle keyframe effect selection
      */
-    const handleKeyframeSelect = useCallback((parentIndex, keyframeIndex) => {
+    const handleKeyframeSelect = useCallback((parentIndex, keyframeIndex, event = null) => {
         try {
             console.log('🎯 EffectsPanel: handleKeyframeSelect called:', { parentIndex, keyframeIndex });
             const state = projectState?.getState?.();
@@ -879,7 +1193,11 @@ export default function EffectsPanel({
                 
                 // Select the keyframe effect with the parent ID and subIndex
                 // This updates the selection state in useEffectSelection hook
-                selectEffect(parentEffect.id, 'keyframe', keyframeIndex);
+                const modifiers = getSelectionModifiers(event);
+                selectEffect(parentEffect.id, 'keyframe', keyframeIndex, modifiers);
+                if (modifiers.toggle || modifiers.range) {
+                    return;
+                }
                 
                 // Emit effect:selected event with complete nested effect data
                 // This ensures Canvas and other components receive the full context
@@ -945,7 +1263,7 @@ export default function EffectsPanel({
     }
 
     return (
-        <div className="effects-panel">
+        <div className="effects-panel" onKeyDown={handlePanelKeyDown} tabIndex={-1}>
             {/* Header */}
             <div className="effects-panel__header">
                 <h3 className="effects-panel__title">Effects</h3>
@@ -959,17 +1277,31 @@ export default function EffectsPanel({
                             currentTheme={currentTheme}
                             onAddEffect={handleAddEffect}
                             onOpenSpecialty={handleOpenSpecialty}
+                            onOpenBrowser={handleOpenBrowser}
+                            onPaste={handlePaste}
                         />
+                        <SavedEffectGroupsMenu isReadOnly={isReadOnly} />
                     </div>
                 )}
             </div>
 
+            {/* Bulk actions for a multi-selection */}
+            {!isReadOnly && selectedEffects.length > 1 && (
+                <BulkSelectionBar
+                    selection={selectedEffects}
+                    effects={projectState?.getState?.()?.effects || []}
+                    onClear={clearSelection}
+                />
+            )}
+
             {/* Effects List - Phase 2 Component */}
             <div className="effects-panel__list">
                 <EffectsList
                     effects={projectState?.getState?.()?.effects || []}
+                    effectGroups={projectState?.getState?.()?.effectGroups || []}
                     expandedEffects={expandedEffects}
                     selectedEffect={selectedEffect}
+                    selectedEffects={selectedEffects}
                     onEffectSelect={handleEffectSelect}
                     onSecondarySelect={handleSecondarySelect}
                     onKeyframeSelect={handleKeyframeSelect}
@@ -992,6 +1324,26 @@ export default function EffectsPanel({
                 />
             )}
 
+            <SaveSnippetDialog
+                open={snippetSelection !== null}
+                effectCount={snippetSelection?.length || 0}
+                onSave={handleSaveSnippet}
+                onClose={() => setSnippetSelection(null)}
+            />
+
+            <Snackbar
+                open={clipboardNotice !== null}
+                autoHideDuration={3000}
+                onClose={() => setClipboardNotice(null)}
+                anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+            >
+                {clipboardNotice ? (
+                    <Alert severity={clipboardNotice.severity} onClose={() => setClipboardNotice(null)}>
+                        {clipboardNotice.message}
+                    </Alert>
+                ) : <span />}
+            </Snackbar>
+
             {bulkAddModalOpen && (
                 <BulkAddKeyframeModal
                     isOpen={bulkAddModalOpen}
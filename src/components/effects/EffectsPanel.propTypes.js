@@ -89,9 +89,15 @@ export const UseEffectSelectionReturn = PropTypes.shape({
     effectType: PropTypes.oneOf(['primary', 'secondary', 'keyframe']),
     subIndex: PropTypes.number
   }),
+  selectedEffects: PropTypes.arrayOf(PropTypes.shape({
+    effectId: PropTypes.string.isRequired,
+    effectType: PropTypes.oneOf(['primary', 'final', 'secondary', 'keyframe']).isRequired,
+    subIndex: PropTypes.number
+  })).isRequired,
   selectEffect: PropTypes.func.isRequired,
   isEffectSelected: PropTypes.func.isRequired,
-  clearSelection: PropTypes.func.isRequired
+  clearSelection: PropTypes.func.isRequired,
+  pruneSelection: PropTypes.func.isRequired
 });
 
 /**
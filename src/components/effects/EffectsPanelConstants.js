@@ -20,6 +20,21 @@ export const EVENTS = {
   // Effect selection
   EFFECT_SELECTED: 'effect:selected',
   EFFECT_DESELECTED: 'effect:deselected',
+  SELECTION_CHANGED: 'effects:selection:changed',
+  
+  // Bulk operations on a multi-selection
+  BULK_DELETE: 'effectspanel:bulk:delete',
+  BULK_VISIBILITY: 'effectspanel:bulk:visibility',
+  BULK_MOVE: 'effectspanel:bulk:move',
+  BULK_CONFIG: 'effectspanel:bulk:config',
+  
+  // Clipboard and snippet library
+  CLIPBOARD_COPY: 'effectspanel:clipboard:copy',
+  CLIPBOARD_CUT: 'effectspanel:clipboard:cut',
+  CLIPBOARD_PASTE: 'effectspanel:clipboard:paste',
+  SNIPPET_SAVE: 'effectspanel:snippet:save',
+  SNIPPET_INSERT: 'effectspanel:snippet:insert',
+  SNIPPET_LIBRARY_CHANGED: 'effectsnippets:library:changed',
   
   // Effect mutations
   EFFECT_ADDED: 'effect:added',
@@ -55,6 +70,7 @@ export const EVENTS = {
   SPECIALTY_MODAL_CLOSE: 'effectspanel:specialty:modal:close',
   BULK_ADD_MODAL_OPEN: 'effectspanel:bulk:add:modal:open',
   BULK_ADD_MODAL_CLOSE: 'effectspanel:bulk:add:modal:close',
+  EFFECT_BROWSER_OPEN: 'effectspanel:browser:open',
   
   // Logging events
   LOG_ACTION: 'effectspanel:log:action',
@@ -82,6 +98,9 @@ export const TIMING = {
   // Keyboard
   KEYBOARD_REPEAT_DELAY: 100,    // ms, arrow key repeat rate
   
+  // Bulk edit
+  BULK_EDIT_COMMIT_DELAY: 400,   // ms, idle time before bulk config edits become one command
+  
   // Performance thresholds
   SLOW_RENDER_THRESHOLD: 16,     // ms, 60fps = 16.67ms per frame
   WARNING_RENDER_THRESHOLD: 50,  // ms, flag if render takes longer
@@ -169,6 +188,11 @@ export const KEYBOARD = {
   KEY_UNDO: 'z',   // Ctrl+Z or Cmd+Z
   KEY_REDO: 'y',   // Ctrl+Y or Cmd+Y
   
+  // Clipboard (platform-dependent)
+  KEY_COPY: 'c',   // Ctrl+C or Cmd+C
+  KEY_CUT: 'x',    // Ctrl+X or Cmd+X
+  KEY_PASTE: 'v',  // Ctrl+V or Cmd+V
+  
   // Modifiers
   MODIFIER_CTRL: 'Control',
   MODIFIER_CMD: 'Meta',
@@ -16,10 +16,13 @@ import {
     Visibility,
     VisibilityOff,
     Delete,
+    ContentCopy,
     ArrowForward
 } from '@mui/icons-material';
 import * as ContextMenu from '@radix-ui/react-context-menu';
 import { useServices } from '../../contexts/ServiceContext.js';
+import EffectSelection from '../../utils/EffectSelection.js';
+import { EVENTS } from './EffectsPanelConstants.js';
 import './EffectsPanel.bem.css';
 import './effects-list-icons.bem.css';
 
@@ -62,8 +65,9 @@ const formatKeyframeDisplay = (keyframe) => {
  * @param {string} props.parentEffectId - Parent effect ID
  * @param {Array} props.keyframeEffects - Keyframe effects array (from parent)
  * @param {Object} props.selectedEffect - Current selection
+ * @param {Array} props.selectedEffects - Multi-selection entries
  * @param {boolean} props.isReadOnly - Read-only mode
- * @param {Function} props.onKeyframeSelect - (parentIndex, keyframeIndex) => void
+ * @param {Function} props.onKeyframeSelect - (parentIndex, keyframeIndex, event) => void
  * @param {Function} props.onKeyframeDelete - (parentIndex, keyframeIndex) => void
  * @param {Function} props.onToggleVisibility - (parentIndex, keyframeIndex) => void
  * @param {Function} props.onReorder - (parentIndex, sourceIndex, targetIndex) => void
@@ -75,6 +79,7 @@ export default function KeyframeEffectsList({
     parentEffectId = '',
     keyframeEffects = null,
     selectedEffect = null,
+    selectedEffects = [],
     isReadOnly = false,
     onKeyframeSelect = () => {},
     onKeyframeDelete = () => {},
@@ -94,11 +99,17 @@ export default function KeyframeEffectsList({
      * Check if a keyframe effect is selected
      */
     const isKeyframeSelected = useCallback((keyframeIndex) => {
+        if (selectedEffects.length > 0) {
+            return EffectSelection.contains(
+                selectedEffects,
+                EffectSelection.createEntry(parentEffectId, 'keyframe', keyframeIndex)
+            );
+        }
         if (!selectedEffect) return false;
 
         return selectedEffect.effectType === 'keyframe' &&
                selectedEffect.subIndex === keyframeIndex;
-    }, [selectedEffect]);
+    }, [selectedEffect, selectedEffects, parentEffectId]);
 
     /**
      * Handle keyframe effect selection
@@ -112,7 +123,8 @@ export default function KeyframeEffectsList({
                 e.preventDefault();
             }
 
-            onKeyframeSelect(parentIndex, keyframeIndex);
+            // Context-menu clicks select without extending a multi-selection
+            onKeyframeSelect(parentIndex, keyframeIndex, e?.type === 'click' ? e : null);
 
             eventBusService?.emit('effectspanel:log:action', {
                 action: 'keyframe:effect:selected',
@@ -375,6 +387,17 @@ export default function KeyframeEffectsList({
                             <ContextMenu.Content
                                 className="keyframe-effects-list__context-menu"
                             >
+                                <ContextMenu.Item
+                                    className="keyframe-effects-list__context-item"
+                                    onSelect={() => eventBusService?.emit(EVENTS.CLIPBOARD_COPY, {
+                                        effectId: parentEffectId,
+                                        effectType: 'keyframe',
+                                        subIndex: idx
+                                    }, { component: 'KeyframeEffectsList' })}
+                                >
+                                    <ContentCopy fontSize="small" className="effects-list__icon--with-margin-right" />
+                                    Copy Keyframe Effect
+                                </ContextMenu.Item>
                                 <ContextMenu.Item
                                     disabled={isReadOnly}
                                     className="keyframe-effects-list__context-item"
@@ -404,6 +427,7 @@ KeyframeEffectsList.propTypes = {
     parentEffectId: PropTypes.string,
     keyframeEffects: PropTypes.array,
     selectedEffect: PropTypes.object,
+    selectedEffects: PropTypes.array,
     isReadOnly: PropTypes.bool,
     onKeyframeSelect: PropTypes.func,
     onKeyframeDelete: PropTypes.func,
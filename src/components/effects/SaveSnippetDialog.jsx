@@ -0,0 +1,83 @@
+/**
+ * SaveSnippetDialog Component
+ *
+ * Asks for a name before saving selected effects to the snippet library.
+ *
+ * @component
+ */
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Dialog, DialogTitle, DialogContent, DialogActions, TextField, Button } from '@mui/material';
+
+/**
+ * SaveSnippetDialog Component
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Dialog open state
+ * @param {number} props.effectCount - Number of effects being saved
+ * @param {Function} props.onSave - (name) => void
+ * @param {Function} props.onClose - () => void
+ * @returns {React.ReactElement}
+ */
+export default function SaveSnippetDialog({ open, effectCount = 0, onSave, onClose }) {
+    const [name, setName] = useState('');
+
+    useEffect(() => {
+        if (open) {
+            setName('');
+        }
+    }, [open]);
+
+    const handleSave = () => {
+        const trimmed = name.trim();
+        if (trimmed) {
+            onSave(trimmed);
+        }
+    };
+
+    return (
+        <Dialog
+            open={open}
+            onClose={onClose}
+            maxWidth="xs"
+            fullWidth
+            aria-labelledby="save-snippet-dialog"
+        >
+            <DialogTitle id="save-snippet-dialog">
+                Save {effectCount} Effect{effectCount === 1 ? '' : 's'} as Snippet
+            </DialogTitle>
+            <DialogContent>
+                <TextField
+                    autoFocus
+                    fullWidth
+                    label="Snippet name"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') handleSave();
+                    }}
+                    helperText="A snippet with the same name is replaced"
+                    inputProps={{ maxLength: 64 }}
+                    size="small"
+                    margin="dense"
+                />
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose} variant="outlined">
+                    Cancel
+                </Button>
+                <Button variant="contained" onClick={handleSave} disabled={!name.trim()}>
+                    Save
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
+
+SaveSnippetDialog.propTypes = {
+    open: PropTypes.bool.isRequired,
+    effectCount: PropTypes.number,
+    onSave: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired
+};
@@ -0,0 +1,111 @@
+/**
+ * SavedEffectGroupsMenu Component
+ *
+ * Dropdown listing the saved effect group library.
+ * Selecting an entry inserts the group (with fresh IDs) into the project;
+ * entries can be removed from the library from the same menu.
+ *
+ * @component
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import * as DropdownMenu from '@radix-ui/react-dropdown-menu';
+import { FolderCopy, Close } from '@mui/icons-material';
+import { IconButton, Box } from '@mui/material';
+import { useServices } from '../../contexts/ServiceContext.js';
+import EffectGroupLibraryService from '../../services/EffectGroupLibraryService.js';
+import './AddEffectDropdown.bem.css';
+import './EffectContextMenu.bem.css';
+import './EffectGroupHeader.bem.css';
+
+/**
+ * SavedEffectGroupsMenu Component
+ *
+ * @param {Object} props
+ * @param {boolean} props.isReadOnly - Read-only mode
+ * @returns {React.ReactElement}
+ */
+export default function SavedEffectGroupsMenu({ isReadOnly = false }) {
+    const { eventBusService } = useServices();
+    const [open, setOpen] = useState(false);
+    const [savedGroups, setSavedGroups] = useState([]);
+
+    const loadSavedGroups = useCallback(async () => {
+        setSavedGroups(await EffectGroupLibraryService.getSavedGroups());
+    }, []);
+
+    // Reload when the menu opens or a group was saved elsewhere
+    useEffect(() => {
+        if (open) {
+            loadSavedGroups();
+        }
+    }, [open, loadSavedGroups]);
+
+    useEffect(() => {
+        if (!eventBusService) return undefined;
+        return eventBusService.subscribe('effectgroups:library:changed', loadSavedGroups, {
+            component: 'SavedEffectGroupsMenu'
+        });
+    }, [eventBusService, loadSavedGroups]);
+
+    const handleInsert = useCallback((savedGroup) => {
+        eventBusService?.emit('effectspanel:group:restore', { snapshot: savedGroup }, {
+            component: 'SavedEffectGroupsMenu'
+        });
+        setOpen(false);
+    }, [eventBusService]);
+
+    const handleRemove = useCallback(async (e, savedGroup) => {
+        e.preventDefault();
+        e.stopPropagation();
+        await EffectGroupLibraryService.deleteGroup(savedGroup.id);
+        loadSavedGroups();
+    }, [loadSavedGroups]);
+
+    return (
+        <Box className="add-effect-dropdown__wrapper">
+            <DropdownMenu.Root open={open} onOpenChange={setOpen}>
+                <DropdownMenu.Trigger asChild>
+                    <IconButton
+                        size="small"
+                        disabled={isReadOnly}
+                        className="add-effect-dropdown__trigger-button"
+                        title="Insert saved group"
+                    >
+                        <FolderCopy />
+                    </IconButton>
+                </DropdownMenu.Trigger>
+                <DropdownMenu.Portal>
+                    <DropdownMenu.Content className="add-effect-dropdown__content">
+                        {savedGroups.length === 0 ? (
+                            <DropdownMenu.Item disabled className="effect-context-menu__disabled-item">
+                                No saved groups - right-click a group header to save it
+                            </DropdownMenu.Item>
+                        ) : savedGroups.map(savedGroup => (
+                            <DropdownMenu.Item
+                                key={savedGroup.id}
+                                className="effect-context-menu__item saved-effect-groups__item"
+                                onSelect={() => handleInsert(savedGroup)}
+                            >
+                                <span className="saved-effect-groups__name">{savedGroup.name}</span>
+                                <span className="effect-group__count">{savedGroup.effects.length}</span>
+                                <IconButton
+                                    size="small"
+                                    title="Remove from library"
+                                    onClick={(e) => handleRemove(e, savedGroup)}
+                                >
+                                    <Close className="effects-list__icon--small" />
+                                </IconButton>
+                            </DropdownMenu.Item>
+                        ))}
+                    </DropdownMenu.Content>
+                </DropdownMenu.Portal>
+            </DropdownMenu.Root>
+        </Box>
+    );
+}
+
+SavedEffectGroupsMenu.propTypes = {
+    isReadOnly: PropTypes.bool
+};
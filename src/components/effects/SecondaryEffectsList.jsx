@@ -18,10 +18,13 @@ import {
     Visibility,
     VisibilityOff,
     Delete,
+    ContentCopy,
     SubdirectoryArrowRight
 } from '@mui/icons-material';
 import * as ContextMenu from '@radix-ui/react-context-menu';
 import { useServices } from '../../contexts/ServiceContext.js';
+import EffectSelection from '../../utils/EffectSelection.js';
+import { EVENTS } from './EffectsPanelConstants.js';
 
 /**
  * Format effect name for display
@@ -49,8 +52,9 @@ const formatEffectId = (id) => {
  * @param {string} props.parentEffectId - Parent effect ID
  * @param {Array} props.secondaryEffects - Secondary effects array (from parent)
  * @param {Object} props.selectedEffect - Current selection
+ * @param {Array} props.selectedEffects - Multi-selection entries
  * @param {boolean} props.isReadOnly - Read-only mode
- * @param {Function} props.onSecondarySelect - (parentIndex, secondaryIndex) => void
+ * @param {Function} props.onSecondarySelect - (parentIndex, secondaryIndex, event) => void
  * @param {Function} props.onSecondaryDelete - (parentIndex, secondaryIndex) => void
  * @param {Function} props.onToggleVisibility - (parentIndex, secondaryIndex) => void
  * @param {Function} props.onReorder - (parentIndex, sourceIndex, targetIndex) => void
@@ -62,6 +66,7 @@ export default function SecondaryEffectsList({
     parentEffectId = '',
     secondaryEffects = null,
     selectedEffect = null,
+    selectedEffects = [],
     isReadOnly = false,
     onSecondarySelect = () => {},
     onSecondaryDelete = () => {},
@@ -81,11 +86,17 @@ export default function SecondaryEffectsList({
      * Check if a secondary effect is selected
      */
     const isSecondarySelected = useCallback((secondaryIndex) => {
+        if (selectedEffects.length > 0) {
+            return EffectSelection.contains(
+                selectedEffects,
+                EffectSelection.createEntry(parentEffectId, 'secondary', secondaryIndex)
+            );
+        }
         if (!selectedEffect) return false;
 
         return selectedEffect.effectType === 'secondary' &&
                selectedEffect.subIndex === secondaryIndex;
-    }, [selectedEffect]);
+    }, [selectedEffect, selectedEffects, parentEffectId]);
 
     /**
      * Handle secondary effect selection
@@ -99,7 +110,8 @@ export default function SecondaryEffectsList({
                 e.preventDefault();
             }
 
-            onSecondarySelect(parentIndex, secondaryIndex);
+            // Context-menu clicks select without extending a multi-selection
+            onSecondarySelect(parentIndex, secondaryIndex, e?.type === 'click' ? e : null);
 
             eventBusService?.emit('effectspanel:log:action', {
                 action: 'secondary:effect:selected',
@@ -314,6 +326,17 @@ export default function SecondaryEffectsList({
                         {/* Context Menu */}
                         <ContextMenu.Portal>
                             <ContextMenu.Content className="secondary-effects-list__context-menu">
+                                <ContextMenu.Item
+                                    className="secondary-effects-list__context-item"
+                                    onSelect={() => eventBusService?.emit(EVENTS.CLIPBOARD_COPY, {
+                                        effectId: parentEffectId,
+                                        effectType: 'secondary',
+                                        subIndex: idx
+                                    }, { component: 'SecondaryEffectsList' })}
+                                >
+                                    <ContentCopy fontSize="small" className="effects-list__icon--with-margin-right" />
+                                    Copy Secondary Effect
+                                </ContextMenu.Item>
                                 <ContextMenu.Item
                                     disabled={isReadOnly}
                                     className="secondary-effects-list__context-item"
@@ -343,6 +366,7 @@ SecondaryEffectsList.propTypes = {
     parentEffectId: PropTypes.string,
     secondaryEffects: PropTypes.array,
     selectedEffect: PropTypes.object,
+    selectedEffects: PropTypes.array,
     isReadOnly: PropTypes.bool,
     onSecondarySelect: PropTypes.func,
     onSecondaryDelete: PropTypes.func,
@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Box, Paper, Typography, TextField, IconButton, Tooltip } from '@mui/material';
+import { Casino, Clear } from '@mui/icons-material';
+import SeededRandom from '../../utils/SeededRandom.js';
+import './SeedControl.bem.css';
+
+/**
+ * SeedControl Component
+ *
+ * Per-effect seed override. With a seed, the effect's random choices are fixed
+ * regardless of the project master seed; rerolling picks a new seed for this
+ * effect only, leaving every other effect's choices untouched.
+ *
+ * @param {Object} props
+ * @param {number|null} props.value - Current seed override (null = derived from the master seed)
+ * @param {number|null} props.masterSeed - Project master seed, used for the hint text
+ * @param {Function} props.onChange - Callback with the new seed or null
+ */
+const SeedControl = ({ value, masterSeed, onChange }) => {
+    const [displayValue, setDisplayValue] = useState(value === null ? '' : String(value));
+
+    useEffect(() => {
+        setDisplayValue(value === null ? '' : String(value));
+    }, [value]);
+
+    const commit = () => {
+        const parsed = SeededRandom.parseSeed(displayValue);
+        if (parsed !== value) {
+            onChange(parsed);
+        }
+        setDisplayValue(parsed === null ? '' : String(parsed));
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            commit();
+        }
+    };
+
+    const placeholder = masterSeed === null ? 'Random every render' : 'From project seed';
+
+    return (
+        <Paper elevation={2} className="seed-control__container">
+            <Typography variant="h6" className="seed-control__title">
+                Random Seed
+            </Typography>
+            <Box className="seed-control__controls">
+                <TextField
+                    size="small"
+                    value={displayValue}
+                    placeholder={placeholder}
+                    onChange={(e) => setDisplayValue(e.target.value)}
+                    onBlur={commit}
+                    onKeyDown={handleKeyDown}
+                    className="seed-control__input"
+                    fullWidth
+                />
+                <Tooltip title="Reroll this effect">
+                    <IconButton
+                        size="small"
+                        onClick={() => onChange(SeededRandom.randomSeed())}
+                        className="seed-control__button"
+                    >
+                        <Casino fontSize="small" />
+                    </IconButton>
+                </Tooltip>
+                <Tooltip title="Use project seed">
+                    <span>
+                        <IconButton
+                            size="small"
+                            onClick={() => onChange(null)}
+                            disabled={value === null}
+                            className="seed-control__button"
+                        >
+                            <Clear fontSize="small" />
+                        </IconButton>
+                    </span>
+                </Tooltip>
+            </Box>
+        </Paper>
+    );
+};
+
+SeedControl.propTypes = {
+    value: PropTypes.number,
+    masterSeed: PropTypes.number,
+    onChange: PropTypes.func.isRequired
+};
+
+SeedControl.defaultProps = {
+    value: null,
+    masterSeed: null
+};
+
+export default SeedControl;
@@ -6,18 +6,37 @@
  * CRITICAL PATTERN: Uses effect IDs (never indices) as the source of truth.
  * Index is stored as a hint for optimization but is always recalculated from ID.
  * 
+ * Multi-select: ctrl/cmd-click toggles an effect, shift-click selects the range
+ * from the last plain click (the anchor) in display order. The selection can mix
+ * primary, final, secondary and keyframe effects (see EffectSelection).
+ * 
  * @returns {Object} Selection state and handlers
- *   - selectedEffect: { effectId, effectIndex, effectType, subIndex } or null
+ *   - selectedEffect: { effectId, effectIndex, effectType, subIndex } or null (focused effect)
+ *   - selectedEffects: Array of { effectId, effectType, subIndex } (whole selection)
  *   - selectEffect: Function to select an effect
  *   - isEffectSelected: Function to check if effect is selected
  *   - clearSelection: Function to clear selection
+ *   - pruneSelection: Function to drop selected effects that no longer exist
  */
 
 import { useState, useCallback, useEffect } from 'react';
 import { useServices } from '../../contexts/ServiceContext.js';
 import { EVENTS } from '../effects/EffectsPanelConstants.js';
+import EffectSelection from '../../utils/EffectSelection.js';
 import PropTypes from 'prop-types';
 
+/**
+ * Read multi-select modifiers from a click event
+ * @param {Event} [event] - Mouse or keyboard event
+ * @returns {Object} { toggle, range }
+ */
+export function getSelectionModifiers(event) {
+  return {
+    toggle: Boolean(event?.ctrlKey || event?.metaKey),
+    range: Boolean(event?.shiftKey)
+  };
+}
+
 export function useEffectSelection(projectState, isReadOnly = false) {
   const { eventBusService } = useServices();
   
@@ -25,6 +44,25 @@ export function useEffectSelection(projectState, isReadOnly = false) {
   // 🔒 CRITICAL: effectId is the only stable identifier across reorders
   const [selectedEffect, setSelectedEffect] = useState(null);
 
+  // Whole selection (includes selectedEffect) and the shift-click anchor
+  const [selectedEffects, setSelectedEffects] = useState([]);
+  const [anchor, setAnchor] = useState(null);
+
+  /**
+   * Store a new selection and tell other components about it
+   * @private
+   */
+  const applySelection = useCallback((selection) => {
+    setSelectedEffects(selection);
+
+    if (eventBusService) {
+      eventBusService.emit(EVENTS.SELECTION_CHANGED, { selection }, {
+        source: 'useEffectSelection',
+        component: 'EffectsPanel'
+      });
+    }
+  }, [eventBusService]);
+
   /**
    * Validates that an effect exists and has a valid ID
    * @private
@@ -40,6 +78,23 @@ export function useEffectSelection(projectState, isReadOnly = false) {
     return true;
   }, []);
 
+  /**
+   * Clear the current selection
+   */
+  const clearSelection = useCallback(() => {
+    console.log('🎯 useEffectSelection: Clearing selection');
+    setSelectedEffect(null);
+    setAnchor(null);
+    applySelection([]);
+
+    if (eventBusService) {
+      eventBusService.emit(EVENTS.EFFECT_DESELECTED, null, {
+        source: 'useEffectSelection',
+        component: 'EffectsPanel'
+      });
+    }
+  }, [eventBusService, applySelection]);
+
   /**
    * Select an effect by ID (primary identifier)
    * 
@@ -50,8 +105,9 @@ export function useEffectSelection(projectState, isReadOnly = false) {
    * @param {string} effectId - Unique ID of effect
    * @param {string} [effectType='primary'] - Type of effect (primary|secondary|keyframe)
    * @param {number} [subIndex=null] - Index for secondary/keyframe effects
+   * @param {Object} [modifiers] - { toggle, range } from getSelectionModifiers
    */
-  const selectEffect = useCallback((effectId, effectType = 'primary', subIndex = null) => {
+  const selectEffect = useCallback((effectId, effectType = 'primary', subIndex = null, modifiers = {}) => {
     try {
       // Get fresh effects from ProjectState
       const freshEffects = projectState?.getState?.()?.effects || [];
@@ -75,6 +131,46 @@ export function useEffectSelection(projectState, isReadOnly = false) {
         subIndex
       };
 
+      const entry = EffectSelection.createEntry(effect.id, effectType, subIndex);
+
+      // Back to a single effect: open its config like a plain click would
+      const emitSingle = (selection, focusedData) => {
+        if (selection.length === 1 && eventBusService) {
+          eventBusService.emit(EVENTS.EFFECT_SELECTED, focusedData, {
+            source: 'useEffectSelection',
+            component: 'EffectsPanel'
+          });
+        }
+      };
+
+      if (modifiers.range && anchor) {
+        const selection = EffectSelection.range(freshEffects, anchor, entry);
+        applySelection(selection);
+        setSelectedEffect(selectionData);
+        emitSingle(selection, selectionData);
+        return;
+      }
+
+      if (modifiers.toggle) {
+        const selection = EffectSelection.toggle(selectedEffects, entry);
+        if (selection.length === 0) {
+          clearSelection();
+          return;
+        }
+
+        const added = selection.length > selectedEffects.length;
+        const focused = added ? entry : selection[selection.length - 1];
+        const focusedData = {
+          ...focused,
+          effectIndex: freshEffects.findIndex(e => e.id === focused.effectId)
+        };
+        applySelection(selection);
+        setAnchor(focused);
+        setSelectedEffect(focusedData);
+        emitSingle(selection, focusedData);
+        return;
+      }
+
       console.log('🎯 useEffectSelection: Effect selected:', {
         effectId: effect.id,
         effectIndex,
@@ -84,6 +180,8 @@ export function useEffectSelection(projectState, isReadOnly = false) {
       });
 
       setSelectedEffect(selectionData);
+      setAnchor(entry);
+      applySelection([entry]);
 
       // Emit selection event for other components
       if (eventBusService) {
@@ -95,12 +193,13 @@ export function useEffectSelection(projectState, isReadOnly = false) {
     } catch (error) {
       console.error('useEffectSelection: Error selecting effect:', error);
     }
-  }, [projectState, eventBusService, validateEffect]);
+  }, [projectState, eventBusService, validateEffect, anchor, selectedEffects, applySelection, clearSelection]);
 
   /**
    * Check if a specific effect is currently selected
    * 
    * Always compares using stable effect ID, never index.
+   * Checks the whole multi-selection, not just the focused effect.
    * 
    * @param {string} effectId - Unique ID of effect to check
    * @param {string} [effectType='primary'] - Type of effect
@@ -109,38 +208,43 @@ export function useEffectSelection(projectState, isReadOnly = false) {
    */
   const isEffectSelected = useCallback(
     (effectId, effectType = 'primary', subIndex = null) => {
-      if (!selectedEffect) return false;
+      if (selectedEffects.length === 0) return false;
 
       try {
         // Compare using stable effect ID
-        const isSelected =
-          selectedEffect.effectId === effectId &&
-          selectedEffect.effectType === effectType &&
-          selectedEffect.subIndex === subIndex;
-
-        return isSelected;
+        return EffectSelection.contains(
+          selectedEffects,
+          EffectSelection.createEntry(effectId, effectType, subIndex)
+        );
       } catch (error) {
         console.error('useEffectSelection: Error checking selection:', error);
         return false;
       }
     },
-    [selectedEffect]
+    [selectedEffects]
   );
 
   /**
-   * Clear the current selection
+   * Drop selected effects that were deleted or moved out from under the selection
+   * Clears the selection entirely if nothing is left.
+   * @param {Array} effects - Current project effects
    */
-  const clearSelection = useCallback(() => {
-    console.log('🎯 useEffectSelection: Clearing selection');
-    setSelectedEffect(null);
+  const pruneSelection = useCallback((effects) => {
+    if (selectedEffects.length === 0) return;
 
-    if (eventBusService) {
-      eventBusService.emit(EVENTS.EFFECT_DESELECTED, null, {
-        source: 'useEffectSelection',
-        component: 'EffectsPanel'
-      });
+    const pruned = EffectSelection.prune(effects, selectedEffects);
+    if (pruned.length === selectedEffects.length) return;
+
+    if (pruned.length === 0) {
+      clearSelection();
+      return;
     }
-  }, [eventBusService]);
+
+    applySelection(pruned);
+    if (anchor && !EffectSelection.contains(pruned, anchor)) {
+      setAnchor(pruned[0]);
+    }
+  }, [selectedEffects, anchor, applySelection, clearSelection]);
 
   /**
    * 🔒 CRITICAL: Update selectedEffect when effects are reordered
@@ -193,9 +297,11 @@ export function useEffectSelection(projectState, isReadOnly = false) {
 
   return {
     selectedEffect,
+    selectedEffects,
     selectEffect,
     isEffectSelected,
-    clearSelection
+    clearSelection,
+    pruneSelection
   };
 }
 
@@ -0,0 +1,43 @@
+import { useState, useEffect, useCallback } from 'react';
+import PreferencesService from '../services/PreferencesService.js';
+
+/**
+ * Hook for the user's saved custom resolution presets
+ *
+ * @returns {Object} { presets, savePreset, deletePreset }
+ */
+export function useCustomResolutions() {
+    const [presets, setPresets] = useState([]);
+
+    const reload = useCallback(async () => {
+        setPresets(await PreferencesService.getCustomResolutions());
+    }, []);
+
+    useEffect(() => {
+        reload();
+    }, [reload]);
+
+    const savePreset = useCallback(async (name, resolution) => {
+        const result = await PreferencesService.saveCustomResolution(name, resolution);
+        if (result.success) {
+            await reload();
+        } else {
+            console.error('❌ useCustomResolutions: Failed to save preset:', result.error);
+        }
+        return result;
+    }, [reload]);
+
+    const deletePreset = useCallback(async (name) => {
+        const deleted = await PreferencesService.deleteCustomResolution(name);
+        await reload();
+        return deleted;
+    }, [reload]);
+
+    return {
+        presets,
+        savePreset,
+        deletePreset
+    };
+}
+
+export default useCustomResolutions;
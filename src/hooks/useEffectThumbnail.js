@@ -0,0 +1,98 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Interval between hover loop frames (milliseconds)
+ */
+export const THUMBNAIL_LOOP_INTERVAL_MS = 120;
+
+/**
+ * Hook for one effect browser tile
+ * Loads the effect's cached thumbnail and, while animating, its hover loop.
+ * Thumbnails are rendered in the main process with the effect's defaults and
+ * the given palette, and cached on disk per effect version and palette.
+ *
+ * @param {string} effectName - Registry name of the effect
+ * @param {Object} options
+ * @param {Object} [options.palette] - { neutrals, backgrounds, lights } of the current color scheme
+ * @param {boolean} [options.animate=false] - Play the hover loop
+ * @param {number} [options.size] - Thumbnail edge length in pixels
+ * @returns {Object} { image, loading, error }
+ */
+export function useEffectThumbnail(effectName, { palette = null, animate = false, size } = {}) {
+    const [thumbnail, setThumbnail] = useState(null);
+    const [frames, setFrames] = useState(null);
+    const [frameIndex, setFrameIndex] = useState(0);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Compare palettes by value so a re-created color scheme object doesn't reload
+    const paletteKey = JSON.stringify({
+        neutrals: palette?.neutrals || [],
+        backgrounds: palette?.backgrounds || [],
+        lights: palette?.lights || []
+    });
+
+    useEffect(() => {
+        if (!effectName || !window.api?.getEffectThumbnail) {
+            return undefined;
+        }
+
+        let cancelled = false;
+        setLoading(true);
+        setError(null);
+        setFrames(null);
+
+        window.api.getEffectThumbnail({ effectName, palette: JSON.parse(paletteKey), size }).then(result => {
+            if (cancelled) return;
+            if (result?.success) {
+                setThumbnail(result.thumbnail);
+            } else {
+                setError(result?.error || 'Thumbnail unavailable');
+            }
+            setLoading(false);
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [effectName, paletteKey, size]);
+
+    // The loop is loaded on first hover and kept for later hovers
+    useEffect(() => {
+        if (!animate || frames || error || !window.api?.getEffectThumbnailLoop) {
+            return undefined;
+        }
+
+        let cancelled = false;
+        window.api.getEffectThumbnailLoop({ effectName, palette: JSON.parse(paletteKey), size }).then(result => {
+            if (!cancelled && result?.success) {
+                setFrames(result.frames);
+            }
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [animate, frames, error, effectName, paletteKey, size]);
+
+    useEffect(() => {
+        if (!animate || !frames?.length) {
+            setFrameIndex(0);
+            return undefined;
+        }
+
+        const interval = setInterval(() => {
+            setFrameIndex(index => (index + 1) % frames.length);
+        }, THUMBNAIL_LOOP_INTERVAL_MS);
+
+        return () => clearInterval(interval);
+    }, [animate, frames]);
+
+    return {
+        image: animate && frames?.length ? frames[frameIndex] : thumbnail,
+        loading,
+        error
+    };
+}
+
+export default useEffectThumbnail;
@@ -0,0 +1,136 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Hook for comparing two frames in the canvas viewport
+ *
+ * Sources:
+ * - snapshot: the current preview against a snapshot taken earlier
+ * - frames: two frames of the same render output directory
+ * - directories: the same frame from two render output directories
+ *
+ * @param {Object} options
+ * @param {string|null} options.renderResult - Current preview (data URL)
+ * @param {string} [options.outputDirectory] - Default render output directory
+ * @returns {Object} Comparison settings, resolved images and setters
+ */
+export function useFrameComparison({ renderResult, outputDirectory = '' }) {
+    const [mode, setMode] = useState('split');
+    const [source, setSource] = useState('snapshot');
+    const [snapshot, setSnapshot] = useState(null);
+    const [directory, setDirectory] = useState(outputDirectory);
+    const [frameA, setFrameA] = useState(0);
+    const [frameB, setFrameB] = useState(1);
+    const [directoryA, setDirectoryA] = useState(outputDirectory);
+    const [directoryB, setDirectoryB] = useState('');
+    const [frame, setFrame] = useState(0);
+    const [split, setSplit] = useState(0.5);
+    const [opacity, setOpacity] = useState(0.5);
+    const [images, setImages] = useState({ base: null, compare: null });
+    const [error, setError] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [differenceStats, setDifferenceStats] = useState(null);
+
+    // Follow the project's output directory until the user picks another one
+    useEffect(() => {
+        setDirectory(prev => prev || outputDirectory);
+        setDirectoryA(prev => prev || outputDirectory);
+    }, [outputDirectory]);
+
+    const takeSnapshot = useCallback(() => {
+        if (renderResult) {
+            setSnapshot({ image: renderResult, takenAt: new Date() });
+        }
+    }, [renderResult]);
+
+    // Resolve the two images for the selected source
+    useEffect(() => {
+        if (source === 'snapshot') {
+            setError(null);
+            setImages({
+                base: renderResult ? { src: renderResult, label: 'Current preview' } : null,
+                compare: snapshot ? { src: snapshot.image, label: `Snapshot ${snapshot.takenAt.toLocaleTimeString()}` } : null
+            });
+            return undefined;
+        }
+
+        const requests = source === 'frames'
+            ? [
+                { directory, frameNumber: frameA, label: `Frame ${frameA}` },
+                { directory, frameNumber: frameB, label: `Frame ${frameB}` }
+            ]
+            : [
+                { directory: directoryA, frameNumber: frame, label: `A · frame ${frame}` },
+                { directory: directoryB, frameNumber: frame, label: `B · frame ${frame}` }
+            ];
+
+        if (requests.some(request => !request.directory)) {
+            setImages({ base: null, compare: null });
+            setError(null);
+            return undefined;
+        }
+
+        let cancelled = false;
+        setLoading(true);
+        Promise.all(requests.map(request => window.api.readFrameByNumber(request.directory, request.frameNumber)))
+            .then(results => {
+                if (cancelled) {
+                    return;
+                }
+                const failed = results.find(result => !result?.success);
+                setError(failed ? failed.error || 'Failed to read frame' : null);
+                setImages({
+                    base: results[0]?.success ? { src: results[0].data, label: requests[0].label, path: results[0].path } : null,
+                    compare: results[1]?.success ? { src: results[1].data, label: requests[1].label, path: results[1].path } : null
+                });
+            })
+            .catch(err => {
+                if (!cancelled) {
+                    setError(err.message);
+                    setImages({ base: null, compare: null });
+                }
+            })
+            .finally(() => {
+                if (!cancelled) {
+                    setLoading(false);
+                }
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [source, renderResult, snapshot, directory, frameA, frameB, directoryA, directoryB, frame]);
+
+    return {
+        mode,
+        setMode,
+        source,
+        setSource,
+        snapshot,
+        takeSnapshot,
+        clearSnapshot: () => setSnapshot(null),
+        directory,
+        setDirectory,
+        frameA,
+        setFrameA,
+        frameB,
+        setFrameB,
+        directoryA,
+        setDirectoryA,
+        directoryB,
+        setDirectoryB,
+        frame,
+        setFrame,
+        split,
+        setSplit,
+        opacity,
+        setOpacity,
+        images,
+        error,
+        loading,
+        differenceStats,
+        setDifferenceStats,
+        isReady: Boolean(images.base && images.compare)
+    };
+}
+
+export default useFrameComparison;
@@ -26,7 +26,10 @@ export function useInitialResolution(projectConfig) {
 
                 let targetResolution;
                 if (savedResolution) {
-                    const parsed = parseInt(savedResolution);
+                    // Custom "WIDTHxHEIGHT" resolutions are kept as strings
+                    const parsed = ResolutionMapper.isCustomResolution(savedResolution)
+                        ? savedResolution
+                        : parseInt(savedResolution);
                     targetResolution = ResolutionMapper.isValidResolution(parsed)
                         ? parsed
                         : ResolutionMapper.getDefaultResolution();
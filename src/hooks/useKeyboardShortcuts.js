@@ -0,0 +1,87 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useServices } from '../contexts/ServiceContext.js';
+
+/**
+ * Hook that installs the global keyboard shortcuts
+ * Loads the saved keymap, listens for keys and menu clicks, keeps the native
+ * menu in sync and tracks the cheat sheet / keymap editor dialogs.
+ *
+ * @returns {Object} { shortcuts, cheatSheetOpen, keymapEditorOpen, closeCheatSheet, openKeymapEditor,
+ *                     closeKeymapEditor, setBinding, resetBinding, resetAll }
+ */
+export function useKeyboardShortcuts() {
+    const { keyboardShortcutService, eventBusService } = useServices();
+    const [shortcuts, setShortcuts] = useState(() => keyboardShortcutService.getShortcuts());
+    const [cheatSheetOpen, setCheatSheetOpen] = useState(false);
+    const [keymapEditorOpen, setKeymapEditorOpen] = useState(false);
+
+    useEffect(() => {
+        const unsubscribeChange = keyboardShortcutService.onChange((updated) => {
+            setShortcuts(updated);
+            keyboardShortcutService.syncMenu();
+        });
+
+        keyboardShortcutService.load().catch(error => {
+            console.error('❌ useKeyboardShortcuts: Failed to load keymap:', error);
+        });
+
+        const detach = keyboardShortcutService.attach(window);
+
+        const unsubscribeCheatSheet = eventBusService.subscribe('shortcuts:cheatsheet:open', () => {
+            setCheatSheetOpen(true);
+        }, { component: 'useKeyboardShortcuts' });
+
+        const unsubscribeEditor = eventBusService.subscribe('shortcuts:editor:open', () => {
+            setCheatSheetOpen(false);
+            setKeymapEditorOpen(true);
+        }, { component: 'useKeyboardShortcuts' });
+
+        return () => {
+            unsubscribeChange();
+            detach();
+            unsubscribeCheatSheet();
+            unsubscribeEditor();
+        };
+    }, [keyboardShortcutService, eventBusService]);
+
+    // Every keymap change is saved right away
+    const persist = useCallback(async (result) => {
+        if (result.success) {
+            const saved = await keyboardShortcutService.save();
+            if (!saved.success) {
+                console.error('❌ useKeyboardShortcuts: Failed to save keymap:', saved.error);
+            }
+        }
+        return result;
+    }, [keyboardShortcutService]);
+
+    const setBinding = useCallback((id, accelerator) => {
+        return persist(keyboardShortcutService.setBinding(id, accelerator));
+    }, [keyboardShortcutService, persist]);
+
+    const resetBinding = useCallback((id) => {
+        return persist(keyboardShortcutService.resetBinding(id));
+    }, [keyboardShortcutService, persist]);
+
+    const resetAll = useCallback(() => {
+        keyboardShortcutService.resetAll();
+        return persist({ success: true });
+    }, [keyboardShortcutService, persist]);
+
+    return {
+        shortcuts,
+        cheatSheetOpen,
+        keymapEditorOpen,
+        closeCheatSheet: useCallback(() => setCheatSheetOpen(false), []),
+        openKeymapEditor: useCallback(() => {
+            setCheatSheetOpen(false);
+            setKeymapEditorOpen(true);
+        }, []),
+        closeKeymapEditor: useCallback(() => setKeymapEditorOpen(false), []),
+        setBinding,
+        resetBinding,
+        resetAll
+    };
+}
+
+export default useKeyboardShortcuts;
@@ -0,0 +1,61 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Size caps offered for the preview frame cache
+ */
+export const PREVIEW_CACHE_SIZE_OPTIONS = [
+    { label: '256 MB', bytes: 256 * 1024 * 1024 },
+    { label: '512 MB', bytes: 512 * 1024 * 1024 },
+    { label: '1 GB', bytes: 1024 * 1024 * 1024 },
+    { label: '2 GB', bytes: 2 * 1024 * 1024 * 1024 },
+    { label: '4 GB', bytes: 4 * 1024 * 1024 * 1024 }
+];
+
+/**
+ * Hook for the preview frame cache in the main process
+ * Loads the stats once and follows 'preview-cache:updated' broadcasts.
+ *
+ * @returns {Object} Cache stats and cache actions
+ */
+export function usePreviewCache() {
+    const [stats, setStats] = useState(null);
+
+    useEffect(() => {
+        if (!window.api?.previewCache) {
+            return undefined;
+        }
+
+        window.api.previewCache.getStats().then(result => {
+            if (result?.success) {
+                setStats(result.stats);
+            }
+        });
+
+        const unsubscribe = window.api.on('preview-cache:updated', (nextStats) => {
+            setStats(nextStats);
+        });
+
+        return () => unsubscribe();
+    }, []);
+
+    const run = useCallback(async (operation) => {
+        const result = await operation();
+        if (result?.success) {
+            setStats(result.stats);
+        } else {
+            console.error('❌ usePreviewCache: Cache operation failed:', result?.error);
+        }
+        return result;
+    }, []);
+
+    const clear = useCallback(() => run(() => window.api.previewCache.clear()), [run]);
+    const setMaxSize = useCallback((bytes) => run(() => window.api.previewCache.setMaxSize(bytes)), [run]);
+
+    return {
+        stats,
+        clear,
+        setMaxSize
+    };
+}
+
+export default usePreviewCache;
@@ -0,0 +1,81 @@
+import { useState, useEffect, useCallback } from 'react';
+import PreferencesService from '../services/PreferencesService.js';
+
+/**
+ * Hook for the start screen's recent projects
+ * Combines the saved list (pinned state, last opened) with details read from
+ * each project file (thumbnail, resolution, frame and effect counts).
+ *
+ * @returns {Object} { projects, loading, togglePin, removeProject, revealProject }
+ */
+export function useRecentProjects() {
+    const [entries, setEntries] = useState([]);
+    const [details, setDetails] = useState({});
+    const [loading, setLoading] = useState(true);
+
+    const reloadEntries = useCallback(async () => {
+        const recentProjects = await PreferencesService.getRecentProjects();
+        setEntries(recentProjects);
+        return recentProjects;
+    }, []);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const load = async () => {
+            const recentProjects = await reloadEntries();
+            if (recentProjects.length > 0 && window.api?.recentProjects) {
+                const result = await window.api.recentProjects.getDetails(recentProjects.map(entry => entry.filePath));
+                if (!cancelled && result.success) {
+                    setDetails(Object.fromEntries(result.projects.map(project => [project.filePath, project])));
+                } else if (!result.success) {
+                    console.error('❌ useRecentProjects: Failed to read project details:', result.error);
+                }
+            }
+            if (!cancelled) {
+                setLoading(false);
+            }
+        };
+        load();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [reloadEntries]);
+
+    const togglePin = useCallback(async (filePath) => {
+        const entry = entries.find(project => project.filePath === filePath);
+        const result = await PreferencesService.setRecentProjectPinned(filePath, !entry?.pinned);
+        await reloadEntries();
+        return result;
+    }, [entries, reloadEntries]);
+
+    const removeProject = useCallback(async (filePath) => {
+        const result = await PreferencesService.removeRecentProject(filePath);
+        await reloadEntries();
+        return result;
+    }, [reloadEntries]);
+
+    const revealProject = useCallback(async (filePath) => {
+        const result = await window.api.recentProjects.reveal(filePath);
+        if (!result.success) {
+            console.error('❌ useRecentProjects: Failed to reveal project:', result.error);
+        }
+        return result;
+    }, []);
+
+    return {
+        projects: entries.map(entry => ({
+            // File name until the project's own name has been read
+            name: entry.filePath.split(/[\\/]/).pop().replace(/\.nftproject$/i, ''),
+            ...details[entry.filePath],
+            ...entry
+        })),
+        loading,
+        togglePin,
+        removeProject,
+        revealProject
+    };
+}
+
+export default useRecentProjects;
@@ -12,6 +12,8 @@ export function useRenderPipeline() {
     const [isRendering, setIsRendering] = useState(false);
     const [renderError, setRenderError] = useState(null);
     const [renderTimer, setRenderTimer] = useState(0);
+    const [renderPhase, setRenderPhase] = useState(null);
+    const [isLivePreview, setIsLivePreview] = useState(false);
 
     // Timer effect for render progress
     useEffect(() => {
@@ -42,13 +44,19 @@ export function useRenderPipeline() {
         // Get initial state
         setRenderResult(renderPipelineService.getCurrentRenderResult());
         setIsRendering(renderPipelineService.getIsRendering());
+        setIsLivePreview(renderPipelineService.getLivePreviewSettings().enabled);
 
         // Poll for render state changes since service doesn't emit state change events
         const pollInterval = setInterval(() => {
             const serviceIsRendering = renderPipelineService.getIsRendering();
             setIsRendering(serviceIsRendering);
+            setRenderPhase(renderPipelineService.getRenderPhase());
         }, 100); // Poll every 100ms
 
+        const unsubscribeLivePreview = renderPipelineService.onLivePreviewChange(settings => {
+            setIsLivePreview(settings.enabled);
+        });
+
         // Subscribe to render completion/errors
         const unsubscribe = renderPipelineService.onRenderComplete((result, error) => {
             if (error) {
@@ -77,6 +85,7 @@ export function useRenderPipeline() {
         return () => {
             clearInterval(pollInterval);
             unsubscribe();
+            unsubscribeLivePreview();
         };
     }, [renderPipelineService]);
 
@@ -98,6 +107,8 @@ export function useRenderPipeline() {
         isRendering,
         renderError,
         renderTimer,
+        renderPhase,
+        isLivePreview,
         triggerRender
     };
 }
@@ -0,0 +1,94 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const EMPTY_QUEUE = { paused: false, processing: false, activeJobId: null, jobs: [] };
+
+/**
+ * Hook for the persistent render queue in the main process
+ * Loads the queue once and follows 'render-queue:updated' broadcasts.
+ *
+ * @returns {Object} Queue state, render progress of the active job and queue actions
+ */
+export function useRenderQueue() {
+    const [queue, setQueue] = useState(EMPTY_QUEUE);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!window.api?.renderQueue) {
+            return undefined;
+        }
+
+        window.api.renderQueue.get().then(result => {
+            if (result?.success) {
+                setQueue(result.queue);
+            }
+        });
+
+        const unsubscribe = window.api.on('render-queue:updated', (state) => {
+            setQueue(state || EMPTY_QUEUE);
+        });
+
+        return () => unsubscribe();
+    }, []);
+
+    /**
+     * Run a queue API call and surface its error
+     */
+    const run = useCallback(async (operation) => {
+        try {
+            const result = await operation();
+            if (result && !result.success) {
+                console.error('❌ useRenderQueue: Queue operation failed:', result.error);
+                setError(result.error);
+            } else {
+                setError(null);
+            }
+            return result;
+        } catch (err) {
+            console.error('❌ useRenderQueue: Queue operation failed:', err);
+            setError(err.message);
+            return { success: false, error: err.message };
+        }
+    }, []);
+
+    const addJob = useCallback((renderJob) => run(() => window.api.renderQueue.add(renderJob)), [run]);
+    const removeJob = useCallback((jobId) => run(() => window.api.renderQueue.remove(jobId)), [run]);
+    const moveJob = useCallback((jobId, newIndex) => run(() => window.api.renderQueue.reorder(jobId, newIndex)), [run]);
+    const pauseJob = useCallback((jobId) => run(() => window.api.renderQueue.pauseJob(jobId)), [run]);
+    const resumeJob = useCallback((jobId) => run(() => window.api.renderQueue.resumeJob(jobId)), [run]);
+    const cancelJob = useCallback((jobId) => run(() => window.api.renderQueue.cancelJob(jobId)), [run]);
+    const startQueue = useCallback(() => run(() => window.api.renderQueue.start()), [run]);
+    const pauseQueue = useCallback(() => run(() => window.api.renderQueue.pause()), [run]);
+    const clearFinished = useCallback(() => run(() => window.api.renderQueue.clearFinished()), [run]);
+
+    // Progress of the running job in the shape RenderProgressWidget expects
+    const activeJob = queue.jobs.find(job => job.id === queue.activeJobId) || null;
+    const rangeSize = activeJob && activeJob.endFrame !== null
+        ? activeJob.endFrame - activeJob.startFrame + 1
+        : activeJob?.totalFrames || 0;
+    const renderProgress = {
+        isRendering: !!activeJob && rangeSize > 0,
+        projectName: activeJob?.name || '',
+        currentFrame: activeJob ? activeJob.completedFrames - 1 : 0,
+        totalFrames: rangeSize,
+        progress: rangeSize > 0 ? Math.round((activeJob.completedFrames / rangeSize) * 100) : 0,
+        eta: null
+    };
+
+    return {
+        queue,
+        activeJob,
+        renderProgress,
+        error,
+        addJob,
+        removeJob,
+        moveJob,
+        pauseJob,
+        resumeJob,
+        cancelJob,
+        startQueue,
+        pauseQueue,
+        clearFinished
+    };
+}
+
+export default useRenderQueue;
@@ -8,6 +8,11 @@ import FrameService from '../services/FrameService.js';
 import EffectRegistryService from '../services/EffectRegistryService.js';
 import ConfigProcessingService from '../services/ConfigProcessingService.js';
 import RegistryCacheService from '../services/RegistryCacheService.js';
+import VideoExportService from '../services/VideoExportService.js';
+import MetadataExportService from '../services/MetadataExportService.js';
+import PaletteFormatService from '../services/PaletteFormatService.js';
+import PaletteExtractionService from '../services/PaletteExtractionService.js';
+import RecentProjectsService from '../services/RecentProjectsService.js';
 import PluginLoaderOrchestrator from '../../services/PluginLoaderOrchestrator.js';
 
 // Implementations
@@ -94,6 +99,14 @@ class ServiceFactory {
             );
         });
 
+        this.container.registerSingleton('videoExportService', (container) => {
+            return new VideoExportService(container.resolve('frameService'));
+        });
+        this.container.registerSingleton('metadataExportService', () => new MetadataExportService());
+        this.container.registerSingleton('paletteFormatService', () => new PaletteFormatService());
+        this.container.registerSingleton('paletteExtractionService', () => new PaletteExtractionService());
+        this.container.registerSingleton('recentProjectsService', (container) => new RecentProjectsService(container.resolve('frameService')));
+
         // Register implementations with dependencies
         this.container.registerSingleton('fileOperations', (container) => {
             return new ElectronFileOperations(
@@ -138,6 +151,46 @@ class ServiceFactory {
         return this.container.resolve('effectsManager');
     }
 
+    /**
+     * Get video export service
+     * @returns {VideoExportService} Video export service
+     */
+    getVideoExportService() {
+        return this.container.resolve('videoExportService');
+    }
+
+    /**
+     * Get metadata export service
+     * @returns {MetadataExportService} Metadata export service
+     */
+    getMetadataExportService() {
+        return this.container.resolve('metadataExportService');
+    }
+
+    /**
+     * Get palette format service
+     * @returns {PaletteFormatService} Palette import/export service
+     */
+    getPaletteFormatService() {
+        return this.container.resolve('paletteFormatService');
+    }
+
+    /**
+     * Get palette extraction service
+     * @returns {PaletteExtractionService} Image palette extraction service
+     */
+    getPaletteExtractionService() {
+        return this.container.resolve('paletteExtractionService');
+    }
+
+    /**
+     * Get recent projects service
+     * @returns {RecentProjectsService} Project details for the start screen's project browser
+     */
+    getRecentProjectsService() {
+        return this.container.resolve('recentProjectsService');
+    }
+
     /**
      * Wait for effects to be initialized
      * @returns {Promise<void>} Resolves when effects are initialized
@@ -0,0 +1,64 @@
+import { ipcMain } from 'electron';
+
+/**
+ * Video/GIF export IPC handlers
+ * Follows Interface Segregation Principle - only export-related operations
+ */
+class ExportHandlers {
+    constructor(videoExportService, dialogService) {
+        this.videoExportService = videoExportService;
+        this.dialogService = dialogService;
+    }
+
+    /**
+     * Register all export-related IPC handlers
+     */
+    register() {
+        ipcMain.handle('export:select-output', async (event, { defaultPath, format } = {}) => {
+            const extension = format || 'mp4';
+            const result = await this.dialogService.showSaveDialog({
+                title: 'Export Animation',
+                defaultPath,
+                filters: [{ name: extension.toUpperCase(), extensions: [extension] }]
+            });
+
+            if (result.canceled || !result.filePath) {
+                return { success: false, canceled: true };
+            }
+            return { success: true, filePath: result.filePath };
+        });
+
+        ipcMain.handle('export:start', async (event, request) => {
+            const progressCallback = (progress) => {
+                try {
+                    event.sender.send('export:progress', progress);
+                } catch (err) {
+                    console.error('Failed to send export progress:', err);
+                }
+            };
+
+            return await this.videoExportService.exportFrames(request, progressCallback);
+        });
+
+        ipcMain.handle('export:cancel', async (event, exportId) => {
+            return { success: this.videoExportService.cancelExport(exportId) };
+        });
+    }
+
+    /**
+     * Unregister all export-related IPC handlers
+     */
+    unregister() {
+        const handlers = [
+            'export:select-output',
+            'export:start',
+            'export:cancel'
+        ];
+
+        handlers.forEach(handler => {
+            ipcMain.removeHandler(handler);
+        });
+    }
+}
+
+export default ExportHandlers;
@@ -41,6 +41,10 @@ class FileHandlers {
         ipcMain.handle('list-completed-frames', async (event, projectDirectory) => {
             return await this.fileOperations.listCompletedFrames(projectDirectory);
         });
+
+        ipcMain.handle('read-frame-by-number', async (event, projectDirectory, frameNumber) => {
+            return await this.fileOperations.readFrameByNumber(projectDirectory, frameNumber);
+        });
     }
 
     /**
@@ -54,7 +58,8 @@ class FileHandlers {
             'read-file',
             'write-file',
             'read-frame-image',
-            'list-completed-frames'
+            'list-completed-frames',
+            'read-frame-by-number'
         ];
 
         handlers.forEach(handler => {
@@ -0,0 +1,40 @@
+import { ipcMain } from 'electron';
+
+/**
+ * Token metadata IPC handlers
+ * Follows Interface Segregation Principle - only metadata-related operations
+ */
+class MetadataHandlers {
+    constructor(metadataExportService) {
+        this.metadataExportService = metadataExportService;
+    }
+
+    /**
+     * Register all metadata-related IPC handlers
+     */
+    register() {
+        ipcMain.handle('metadata:preview', async (event, request) => {
+            return await this.metadataExportService.previewMetadata(request);
+        });
+
+        ipcMain.handle('metadata:generate', async (event, request) => {
+            return await this.metadataExportService.generateMetadata(request);
+        });
+    }
+
+    /**
+     * Unregister all metadata-related IPC handlers
+     */
+    unregister() {
+        const handlers = [
+            'metadata:preview',
+            'metadata:generate'
+        ];
+
+        handlers.forEach(handler => {
+            ipcMain.removeHandler(handler);
+        });
+    }
+}
+
+export default MetadataHandlers;
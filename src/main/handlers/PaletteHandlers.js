@@ -0,0 +1,82 @@
+import { ipcMain } from 'electron';
+import PaletteFormatService from '../services/PaletteFormatService.js';
+
+/**
+ * Palette import/export and image extraction IPC handlers
+ * Follows Interface Segregation Principle - only palette-related operations
+ */
+class PaletteHandlers {
+    constructor(paletteFormatService, paletteExtractionService, dialogService) {
+        this.paletteFormatService = paletteFormatService;
+        this.paletteExtractionService = paletteExtractionService;
+        this.dialogService = dialogService;
+    }
+
+    /**
+     * Register all palette-related IPC handlers
+     */
+    register() {
+        ipcMain.handle('palette:import', async () => {
+            const result = await this.dialogService.showFileDialog({
+                title: 'Import Palette',
+                filters: PaletteFormatService.getDialogFilters()
+            });
+
+            if (result.canceled || !result.filePaths?.length) {
+                return { success: false, canceled: true };
+            }
+            return await this.paletteFormatService.importPalette(result.filePaths[0]);
+        });
+
+        ipcMain.handle('palette:export', async (event, { scheme, format = 'json' } = {}) => {
+            const { name, extension } = PaletteFormatService.FORMATS[format] || {};
+            if (!extension) {
+                return { success: false, error: `Unsupported palette format: ${format}` };
+            }
+
+            const baseName = (scheme?.name || 'palette').replace(/[\\/:*?"<>|]/g, '').trim() || 'palette';
+            const result = await this.dialogService.showSaveDialog({
+                title: 'Export Palette',
+                defaultPath: `${baseName}.${extension}`,
+                filters: [{ name, extensions: [extension] }]
+            });
+
+            if (result.canceled || !result.filePath) {
+                return { success: false, canceled: true };
+            }
+            return await this.paletteFormatService.exportPalette(result.filePath, scheme, format);
+        });
+
+        ipcMain.handle('palette:extract-from-image', async (event, options = {}) => {
+            const result = await this.dialogService.showFileDialog({
+                title: 'Extract Palette from Image',
+                filters: [
+                    { name: 'Images', extensions: ['png', 'jpg', 'jpeg', 'webp', 'gif', 'tif', 'tiff'] },
+                    { name: 'All Files', extensions: ['*'] }
+                ]
+            });
+
+            if (result.canceled || !result.filePaths?.length) {
+                return { success: false, canceled: true };
+            }
+            return await this.paletteExtractionService.extractPalette(result.filePaths[0], options);
+        });
+    }
+
+    /**
+     * Unregister all palette-related IPC handlers
+     */
+    unregister() {
+        const handlers = [
+            'palette:import',
+            'palette:export',
+            'palette:extract-from-image'
+        ];
+
+        handlers.forEach(handler => {
+            ipcMain.removeHandler(handler);
+        });
+    }
+}
+
+export default PaletteHandlers;
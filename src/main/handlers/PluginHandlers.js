@@ -1,6 +1,7 @@
-import { ipcMain, dialog, app } from 'electron';
+import { ipcMain, dialog, app, BrowserWindow } from 'electron';
 import path from 'path';
 import { PluginManagerService } from '../../services/PluginManagerService.js';
+import PluginDevModeService from '../services/PluginDevModeService.js';
 
 /**
  * Handles plugin management IPC operations
@@ -16,6 +17,7 @@ class PluginHandlers {
         this.pluginManager = new PluginManagerService(appDataPath);
         this.applicationFactory = applicationFactory;
         this.orchestrator = null;
+        this.devMode = null;
         this.initialized = false;
     }
 
@@ -72,6 +74,9 @@ class PluginHandlers {
         ipcMain.handle('plugins:remove', async (event, pluginName) => {
             try {
                 await this.ensureInitialized();
+                if (this.devMode) {
+                    this.devMode.unwatch(pluginName);
+                }
                 return await this.pluginManager.removePlugin(pluginName);
             } catch (error) {
                 console.error('Failed to remove plugin:', error);
@@ -99,7 +104,7 @@ class PluginHandlers {
             }
         });
 
-        ipcMain.handle('plugins:install-npm', async (event, packageName) => {
+        ipcMain.handle('plugins:install-npm', async (event, packageName, approvedCapabilities = []) => {
             try {
                 await this.ensureInitialized();
                 
@@ -133,7 +138,8 @@ class PluginHandlers {
                     {
                         name: packageName,
                         path: packageName,
-                        type: 'npm'
+                        type: 'npm',
+                        approvedCapabilities
                     },
                     progressCallback
                 );
@@ -199,7 +205,10 @@ class PluginHandlers {
                 return {
                     success: true,
                     path: pluginPath,
-                    info: validation.info
+                    info: validation.info,
+                    manifest: validation.manifest,
+                    capabilities: validation.capabilities,
+                    manifestError: validation.manifestError
                 };
             } catch (error) {
                 console.error('Failed to select local plugin:', error);
@@ -301,6 +310,11 @@ class PluginHandlers {
                     return { success: false, error: 'Orchestrator not available' };
                 }
 
+                // Stop hot reloading a plugin that is going away
+                if (this.devMode) {
+                    this.devMode.unwatch(pluginName);
+                }
+
                 // Create progress callback
                 const progressCallback = (progress) => {
                     try {
@@ -385,6 +399,72 @@ class PluginHandlers {
             }
         });
 
+        ipcMain.handle('plugins:check-updates', async () => {
+            try {
+                await this.ensureInitialized();
+                await this.pluginManager.loadPluginConfigs();
+                const updates = await this.pluginManager.checkForUpdates();
+                return { success: true, updates };
+            } catch (error) {
+                console.error('Failed to check plugin updates:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('plugins:update', async (event, pluginName, options = {}) => {
+            return this.switchPluginVersion(event, 'update', pluginName, () =>
+                this.orchestrator.updatePlugin(pluginName, options, this.createProgressCallback(event, 'update', pluginName))
+            );
+        });
+
+        ipcMain.handle('plugins:rollback', async (event, pluginName, options = {}) => {
+            return this.switchPluginVersion(event, 'rollback', pluginName, () =>
+                this.orchestrator.rollbackPlugin(pluginName, options, this.createProgressCallback(event, 'rollback', pluginName))
+            );
+        });
+
+        ipcMain.handle('plugins:get-pending-approvals', async () => {
+            try {
+                await this.ensureInitialized();
+                await this.pluginManager.loadPluginConfigs();
+                const pending = await this.pluginManager.getPendingApprovals();
+                return { success: true, pending };
+            } catch (error) {
+                console.error('Failed to get pending plugin approvals:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('plugins:approve-capabilities', async (event, pluginName, approvedCapabilities = []) => {
+            return this.switchPluginVersion(event, 'reload', pluginName, () =>
+                this.orchestrator.approvePluginCapabilities(
+                    pluginName,
+                    approvedCapabilities,
+                    this.createProgressCallback(event, 'reload', pluginName)
+                )
+            );
+        });
+
+        ipcMain.handle('plugins:get-registry', async () => {
+            try {
+                await this.ensureInitialized();
+                return { success: true, registry: await this.pluginManager.getRegistry() };
+            } catch (error) {
+                console.error('Failed to get plugin registry:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('plugins:set-registry', async (event, registryUrl) => {
+            try {
+                await this.ensureInitialized();
+                return { success: true, registry: await this.pluginManager.setRegistry(registryUrl) };
+            } catch (error) {
+                console.error('Failed to set plugin registry:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
         ipcMain.handle('plugins:cleanup-orphaned', async () => {
             try {
                 await this.ensureInitialized();
@@ -429,13 +509,161 @@ class PluginHandlers {
             }
         });
 
+        // Plugin developer mode: watch a local plugin and hot reload it on change
+        ipcMain.handle('plugins:dev-mode-start', async (event, pluginName) => {
+            try {
+                await this.ensureInitialized();
+
+                if (!this.orchestrator) {
+                    return { success: false, error: 'Orchestrator not available' };
+                }
+
+                await this.pluginManager.loadPluginConfigs();
+                const plugin = await this.pluginManager.getPluginByName(pluginName);
+                if (!plugin) {
+                    return { success: false, error: `Plugin not found: ${pluginName}` };
+                }
+                if (plugin.type === 'npm') {
+                    return { success: false, error: 'Developer mode is only available for local plugins' };
+                }
+
+                const result = await this.getDevMode().watch(pluginName, plugin.path);
+                return { ...result, status: this.getDevMode().getStatus() };
+            } catch (error) {
+                console.error('Failed to start plugin developer mode:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('plugins:dev-mode-stop', async (event, pluginName) => {
+            const stopped = this.getDevMode().unwatch(pluginName);
+            return { success: true, stopped, status: this.getDevMode().getStatus() };
+        });
+
+        ipcMain.handle('plugins:dev-mode-status', async () => {
+            return { success: true, status: this.getDevMode().getStatus() };
+        });
+
+        ipcMain.handle('plugins:dev-reload', async (event, pluginName) => {
+            try {
+                await this.ensureInitialized();
+
+                if (!this.getDevMode().isWatching(pluginName)) {
+                    return { success: false, error: `Developer mode is not enabled for ${pluginName}` };
+                }
+                return await this.getDevMode().reload(pluginName);
+            } catch (error) {
+                console.error('Failed to hot reload plugin:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
         console.log('✅ Plugin IPC handlers registered (with orchestrator support)');
     }
 
+    /**
+     * Progress callback forwarding orchestrator progress to the renderer
+     * @param {Object} event - IPC event
+     * @param {string} operation - Operation name
+     * @param {string} pluginName - Plugin name
+     * @returns {Function}
+     */
+    createProgressCallback(event, operation, pluginName) {
+        return (progress) => {
+            try {
+                event.sender.send('plugins:operation-progress', {
+                    operation,
+                    plugin: pluginName,
+                    ...progress
+                });
+            } catch (err) {
+                console.error('Failed to send progress:', err);
+            }
+        };
+    }
+
+    /**
+     * Run an update, rollback or approval reload and notify the renderer when it completes
+     * @param {Object} event - IPC event
+     * @param {string} operation - 'update', 'rollback' or 'reload'
+     * @param {string} pluginName - Plugin name
+     * @param {Function} run - () => Promise<Object> orchestrator call
+     * @returns {Promise<Object>} Orchestrator result
+     */
+    async switchPluginVersion(event, operation, pluginName, run) {
+        try {
+            await this.ensureInitialized();
+
+            if (!this.orchestrator) {
+                return { success: false, error: 'Orchestrator not available' };
+            }
+
+            const result = await run();
+
+            if (result.success) {
+                try {
+                    await this.pluginManager.loadPluginConfigs();
+                    event.sender.send('plugins:operation-complete', {
+                        operation,
+                        success: true,
+                        plugin: pluginName,
+                        effects: result.effects || []
+                    });
+                } catch (err) {
+                    console.error(`❌ Failed to send ${operation} complete event:`, err);
+                }
+            }
+
+            return result;
+        } catch (error) {
+            console.error(`Failed to ${operation} plugin:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Developer mode watcher, hot reloading through the orchestrator
+     * @returns {PluginDevModeService}
+     */
+    getDevMode() {
+        if (!this.devMode) {
+            this.devMode = new PluginDevModeService({
+                reloadPlugin: (pluginName) => this.orchestrator.hotReloadPlugin(pluginName),
+                onReload: (result) => this.broadcastDevReload(result)
+            });
+        }
+        return this.devMode;
+    }
+
+    /**
+     * Send a developer mode reload result to every window's EventBus
+     * @param {Object} result - Hot reload result ({ success, plugin, effects?, error?, stack? })
+     */
+    broadcastDevReload(result) {
+        const event = {
+            type: 'plugins:dev-reloaded',
+            data: result,
+            timestamp: Date.now(),
+            source: 'PluginDevModeService'
+        };
+
+        BrowserWindow.getAllWindows().forEach(window => {
+            try {
+                window.webContents.send('eventbus-message', event);
+            } catch (err) {
+                console.error('Failed to send dev reload event:', err);
+            }
+        });
+    }
+
     /**
      * Unregister all plugin-related IPC handlers
      */
     unregister() {
+        if (this.devMode) {
+            this.devMode.unwatchAll();
+        }
+
         const handlers = [
             // Legacy handlers
             'plugins:get-all',
@@ -453,7 +681,19 @@ class PluginHandlers {
             'plugins:uninstall',
             'plugins:reload',
             'plugins:cleanup-orphaned',
-            'plugins:load-installed'
+            'plugins:load-installed',
+            'plugins:check-updates',
+            'plugins:update',
+            'plugins:rollback',
+            'plugins:get-pending-approvals',
+            'plugins:approve-capabilities',
+            'plugins:get-registry',
+            'plugins:set-registry',
+            // Developer mode
+            'plugins:dev-mode-start',
+            'plugins:dev-mode-stop',
+            'plugins:dev-mode-status',
+            'plugins:dev-reload'
         ];
 
         handlers.forEach(channel => {
@@ -1,7 +1,8 @@
-import { ipcMain } from 'electron';
+import { ipcMain, app } from 'electron';
 import path from 'path';
 import { pathToFileURL } from 'url';
 import AsarFFmpegResolver from '../../utils/AsarFFmpegResolver.js';
+import EffectThumbnailService from '../services/EffectThumbnailService.js';
 
 /**
  * Preview-specific IPC handlers
@@ -10,6 +11,34 @@ import AsarFFmpegResolver from '../../utils/AsarFFmpegResolver.js';
 class PreviewHandlers {
     constructor(effectsManager) {
         this.effectsManager = effectsManager;
+        this.thumbnailService = null;
+        this.unsubscribeEffectsRefreshed = null;
+    }
+
+    /**
+     * Get the effect browser's thumbnail cache, creating it on first use
+     * Cached thumbnails of reloaded plugin effects are dropped, since developer
+     * mode changes effect code without bumping the plugin version.
+     * @returns {EffectThumbnailService}
+     */
+    getThumbnailService() {
+        if (!this.thumbnailService) {
+            const registryService = this.effectsManager.effectRegistryService;
+
+            this.thumbnailService = new EffectThumbnailService({
+                cacheDirectory: path.join(app.getPath('userData'), 'effect-thumbnails'),
+                renderFrame: (request) => this.renderDefaultsFrame(request),
+                getEffectVersion: (effectName) => registryService.getEffectVersion(effectName)
+            });
+
+            this.unsubscribeEffectsRefreshed = registryService.onEffectsRefreshed((details) => {
+                const effectNames = [...(details?.effects || []), ...(details?.removed || [])];
+                if (effectNames.length > 0) {
+                    this.thumbnailService.invalidateEffects(effectNames);
+                }
+            });
+        }
+        return this.thumbnailService;
     }
 
     /**
@@ -53,6 +82,42 @@ class PreviewHandlers {
                 thumbnailSize
             });
         });
+
+        // Effect browser thumbnails, cached on disk per effect version and palette
+        ipcMain.handle('effect-thumbnails:get', async (event, request) => {
+            return await this.getThumbnailService().getThumbnail(request);
+        });
+
+        ipcMain.handle('effect-thumbnails:get-loop', async (event, request) => {
+            return await this.getThumbnailService().getLoop(request);
+        });
+    }
+
+    /**
+     * Render one frame of an effect with its default config
+     * @param {Object} params
+     * @param {string} params.effectName - Registry name of the effect
+     * @param {Object} params.palette - { neutrals, backgrounds, lights }
+     * @param {number} params.frameNumber - Frame to render
+     * @param {number} params.totalFrames - Length of the preview animation
+     * @returns {Promise<Buffer>} PNG frame
+     */
+    async renderDefaultsFrame({ effectName, palette, frameNumber, totalFrames }) {
+        const effectConfig = await this.effectsManager.getEffectDefaults(effectName);
+        const result = await this.handleEffectPreview({
+            effectClass: effectName,
+            effectConfig,
+            attachedEffects: null,
+            completeEffectData: null,
+            frameNumber,
+            totalFrames,
+            projectSettings: palette || {}
+        });
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return Buffer.from(result.preview.split(',')[1], 'base64');
     }
 
     /**
@@ -206,12 +271,19 @@ class PreviewHandlers {
     unregister() {
         const handlers = [
             'preview-effect',
-            'preview-effect-thumbnail'
+            'preview-effect-thumbnail',
+            'effect-thumbnails:get',
+            'effect-thumbnails:get-loop'
         ];
 
         handlers.forEach(handler => {
             ipcMain.removeAllListeners(handler);
         });
+
+        if (this.unsubscribeEffectsRefreshed) {
+            this.unsubscribeEffectsRefreshed();
+            this.unsubscribeEffectsRefreshed = null;
+        }
     }
 }
 
@@ -1,4 +1,4 @@
-import { ipcMain } from 'electron';
+import { ipcMain, BrowserWindow } from 'electron';
 import ProjectState from '../../models/ProjectState.js';
 
 /**
@@ -28,10 +28,14 @@ class ProjectHandlers {
             return await this.projectManager.importFromSettings(settingsPath);
         });
 
-        ipcMain.handle('render-frame', async (event, configInput, frameNumber, settingsFile = null) => {
+        ipcMain.handle('render-frame', async (event, configInput, frameNumber, settingsFile = null, requestId = null) => {
             // Convert to ProjectState if needed
             const projectState = await this.ensureProjectState(configInput);
-            return await this.projectManager.renderFrame(projectState, frameNumber, settingsFile);
+            return await this.projectManager.renderFrame(projectState, frameNumber, settingsFile, requestId);
+        });
+
+        ipcMain.handle('cancel-frame-render', async (event, requestId) => {
+            return this.projectManager.cancelFrameRender(requestId);
         });
 
         ipcMain.handle('start-render-loop', async (event, configInput) => {
@@ -49,6 +53,87 @@ class ProjectHandlers {
         ipcMain.handle('stop-render-loop', async () => {
             return await this.projectManager.stopRenderLoop();
         });
+
+        // Collection generation
+        ipcMain.handle('generate-collection', async (event, configInput, options) => {
+            const projectState = await this.ensureProjectState(configInput);
+            return await this.projectManager.generateCollection(projectState, options, (progress) => {
+                try {
+                    event.sender.send('collection:progress', progress);
+                } catch (err) {
+                    console.error('Failed to send collection progress:', err);
+                }
+            });
+        });
+
+        ipcMain.handle('cancel-collection', async () => {
+            return this.projectManager.cancelCollectionGeneration();
+        });
+
+        // Render queue
+        const coordinator = this.projectManager.renderCoordinator;
+
+        ipcMain.handle('render-queue:add', async (event, renderJob) => {
+            return await this.projectManager.queueRender(renderJob);
+        });
+
+        ipcMain.handle('render-queue:get', async () => {
+            return { success: true, queue: this.projectManager.getRenderQueue() };
+        });
+
+        ipcMain.handle('render-queue:remove', async (event, jobId) => {
+            return await coordinator.removeFromQueue(jobId);
+        });
+
+        ipcMain.handle('render-queue:reorder', async (event, jobId, newIndex) => {
+            return await coordinator.reorderQueue(jobId, newIndex);
+        });
+
+        ipcMain.handle('render-queue:pause-job', async (event, jobId) => {
+            return await coordinator.pauseQueuedJob(jobId);
+        });
+
+        ipcMain.handle('render-queue:resume-job', async (event, jobId) => {
+            return await coordinator.resumeQueuedJob(jobId);
+        });
+
+        ipcMain.handle('render-queue:cancel-job', async (event, jobId) => {
+            return await coordinator.cancelQueuedJob(jobId);
+        });
+
+        ipcMain.handle('render-queue:start', async () => {
+            return await coordinator.startQueue();
+        });
+
+        ipcMain.handle('render-queue:pause', async () => {
+            return await coordinator.pauseQueue();
+        });
+
+        ipcMain.handle('render-queue:clear-finished', async () => {
+            return await coordinator.clearFinishedJobs();
+        });
+
+        // Preview frame cache
+        ipcMain.handle('preview-cache:get-stats', async () => {
+            return await this.projectManager.getPreviewCacheStats();
+        });
+
+        ipcMain.handle('preview-cache:clear', async () => {
+            return await this.projectManager.clearPreviewCache();
+        });
+
+        ipcMain.handle('preview-cache:set-max-size', async (event, maxSizeBytes) => {
+            return await this.projectManager.setPreviewCacheMaxSize(maxSizeBytes);
+        });
+
+        this.unsubscribePreviewCache = this.projectManager.previewFrameCache.onChange((stats) => {
+            BrowserWindow.getAllWindows().forEach(window => {
+                window.webContents.send('preview-cache:updated', stats);
+            });
+        });
+
+        // Restore the persisted queue now that its channels are available
+        this.projectManager.initializeRenderQueue();
     }
 
     /**
@@ -79,14 +164,35 @@ class ProjectHandlers {
             'resume-project',
             'import-from-settings',
             'render-frame',
+            'cancel-frame-render',
             'start-render-loop',
             'start-resume-loop',
-            'stop-render-loop'
+            'stop-render-loop',
+            'generate-collection',
+            'cancel-collection',
+            'render-queue:add',
+            'render-queue:get',
+            'render-queue:remove',
+            'render-queue:reorder',
+            'render-queue:pause-job',
+            'render-queue:resume-job',
+            'render-queue:cancel-job',
+            'render-queue:start',
+            'render-queue:pause',
+            'render-queue:clear-finished',
+            'preview-cache:get-stats',
+            'preview-cache:clear',
+            'preview-cache:set-max-size'
         ];
 
         handlers.forEach(handler => {
             ipcMain.removeAllListeners(handler);
         });
+
+        if (this.unsubscribePreviewCache) {
+            this.unsubscribePreviewCache();
+            this.unsubscribePreviewCache = null;
+        }
     }
 }
 
@@ -0,0 +1,48 @@
+import { ipcMain, shell } from 'electron';
+import { promises as fs } from 'fs';
+
+/**
+ * Recent projects IPC handlers
+ * Follows Interface Segregation Principle - only start screen project browser operations
+ */
+class RecentProjectsHandlers {
+    constructor(recentProjectsService) {
+        this.recentProjectsService = recentProjectsService;
+    }
+
+    /**
+     * Register all recent project IPC handlers
+     */
+    register() {
+        ipcMain.handle('recent-projects:get-details', async (event, filePaths, options = {}) => {
+            return await this.recentProjectsService.getProjectsDetails(filePaths, options);
+        });
+
+        // Reveal the project file in the system file manager
+        ipcMain.handle('recent-projects:reveal', async (event, filePath) => {
+            try {
+                await fs.access(filePath);
+                shell.showItemInFolder(filePath);
+                return { success: true };
+            } catch (error) {
+                return { success: false, error: `Project file not found: ${filePath}` };
+            }
+        });
+    }
+
+    /**
+     * Unregister all recent project IPC handlers
+     */
+    unregister() {
+        const handlers = [
+            'recent-projects:get-details',
+            'recent-projects:reveal'
+        ];
+
+        handlers.forEach(handler => {
+            ipcMain.removeHandler(handler);
+        });
+    }
+}
+
+export default RecentProjectsHandlers;
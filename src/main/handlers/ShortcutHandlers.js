@@ -0,0 +1,40 @@
+import { ipcMain } from 'electron';
+
+/**
+ * Keyboard shortcut IPC handlers
+ * Follows Interface Segregation Principle - only shortcut-related operations
+ */
+class ShortcutHandlers {
+    constructor(applicationMenuService) {
+        this.applicationMenuService = applicationMenuService;
+    }
+
+    /**
+     * Register all shortcut-related IPC handlers
+     */
+    register() {
+        ipcMain.handle('shortcuts:update-menu', async (event, keymap) => {
+            try {
+                this.applicationMenuService.setKeymap(keymap);
+                return { success: true };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+    }
+
+    /**
+     * Unregister all shortcut-related IPC handlers
+     */
+    unregister() {
+        const handlers = [
+            'shortcuts:update-menu'
+        ];
+
+        handlers.forEach(handler => {
+            ipcMain.removeHandler(handler);
+        });
+    }
+}
+
+export default ShortcutHandlers;
@@ -75,6 +75,16 @@ class ElectronFileOperations {
     async listCompletedFrames(projectDirectory) {
         return await this.frameService.listCompletedFrames(projectDirectory);
     }
+
+    /**
+     * Read a frame of a render output directory by frame number
+     * @param {string} projectDirectory - Render output directory
+     * @param {number} frameNumber - Frame number
+     * @returns {Promise<Object>} Frame image result
+     */
+    async readFrameByNumber(projectDirectory, frameNumber) {
+        return await this.frameService.readFrameByNumber(projectDirectory, frameNumber);
+    }
 }
 
 export default ElectronFileOperations;
\ No newline at end of file
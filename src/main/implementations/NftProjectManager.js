@@ -1,6 +1,5 @@
 import electron from 'electron';
 const { app } = electron;
-import path from 'path';
 import FileSystemRenderer from './FileSystemRenderer.js';
 import defaultLogger from '../utils/logger.js';
 import ProjectState from '../../models/ProjectState.js';
@@ -8,6 +7,11 @@ import { PluginLifecycleManager } from '../../services/PluginLifecycleManager.js
 import { ProjectLifecycleManager } from '../../services/ProjectLifecycleManager.js';
 import { RenderCoordinator } from '../../services/RenderCoordinator.js';
 import { PluginManagerService } from '../../services/PluginManagerService.js';
+import { RenderQueueManager } from '../../services/RenderQueueManager.js';
+import { PreviewFrameCache } from '../../services/PreviewFrameCache.js';
+import rarityReportService from '../../services/RarityReportService.js';
+import SeededRandom from '../../utils/SeededRandom.js';
+import { promises as fs } from 'fs';
 
 /**
  * NFT-specific implementation of project management
@@ -58,10 +62,30 @@ class NftProjectManager {
         
         this.renderCoordinator = new RenderCoordinator(
             null, // renderEngine - for future abstraction
-            null, // queueManager - for future abstraction
+            new RenderQueueManager(appDataPath),
             eventBus,
             this.logger
         );
+        this.renderCoordinator.setQueueJobPreparer(job => this.prepareQueuedJob(job));
+
+        // Previously rendered preview frames, keyed by config, frame and resolution
+        this.previewFrameCache = new PreviewFrameCache(appDataPath);
+        if (this.effectRegistryService && typeof this.effectRegistryService.onEffectsRefreshed === 'function') {
+            // Effect code changed while configs stayed the same - drop frames rendered with the old code
+            this.effectRegistryService.onEffectsRefreshed(async (details = {}) => {
+                if (Array.isArray(details.effects)) {
+                    await this.previewFrameCache.invalidateEffectNames([...details.effects, ...(details.removed || [])]);
+                } else {
+                    await this.previewFrameCache.clear();
+                }
+            });
+        }
+
+        // Set by cancelCollectionGeneration, checked between variants
+        this.collectionCancelRequested = false;
+
+        // Frame renders started with a request id, so cancelFrameRender can find them
+        this.activeFrameRenders = new Map();
     }
 
     /**
@@ -183,9 +207,20 @@ class NftProjectManager {
      * @param {Object|ProjectState} configInput - Project configuration or ProjectState instance
      * @param {number} frameNumber - Frame to render
      * @param {string|null} settingsFile - Optional settings file path for pinned rendering
+     * @param {string|null} [requestId=null] - Id the caller can pass to cancelFrameRender
      * @returns {Promise<Object>} Render result with buffer and settings file
+     *   ({ success: false, cancelled: true } when cancelled before the frame was generated)
      */
-    async renderFrame(configInput, frameNumber, settingsFile = null) {
+    async renderFrame(configInput, frameNumber, settingsFile = null, requestId = null) {
+        const request = { cancelled: false };
+        if (requestId) {
+            this.activeFrameRenders.set(requestId, request);
+        }
+        const cancelledResult = () => {
+            this.logger.info('Frame render cancelled', { frameNumber, requestId });
+            return { success: false, cancelled: true, error: 'Render cancelled', frameNumber };
+        };
+
         try {
             // Ensure plugins are loaded
             await this.pluginLifecycleManager.ensurePluginsLoaded();
@@ -193,6 +228,9 @@ class NftProjectManager {
             // Convert input to ProjectState if needed
             const projectState = await this.projectLifecycleManager.ensureProjectState(configInput);
             const config = projectState.getState();
+            if (request.cancelled) {
+                return cancelledResult();
+            }
 
             this.logger.info('Starting frame render', { 
                 frameNumber, 
@@ -201,6 +239,25 @@ class NftProjectManager {
                 isPinned: !!settingsFile
             });
 
+            // Unpinned, seeded frames are served from the preview cache when nothing changed
+            // (pinned frames render from their settings file, which the key does not cover;
+            // unseeded frames have no key, so each render is a new variant)
+            const cacheDescriptor = settingsFile
+                ? null
+                : PreviewFrameCache.describe(projectState.exportForBackend(), frameNumber);
+            if (cacheDescriptor) {
+                const cached = await this.previewFrameCache.get(cacheDescriptor);
+                if (cached) {
+                    return await this.renderCoordinator.serveCachedFrame(
+                        cached,
+                        frameNumber,
+                        config.numFrames || 100,
+                        config.projectName,
+                        config.outputDirectory
+                    );
+                }
+            }
+
             // Create project using ProjectLifecycleManager
             const projectResult = await this.projectLifecycleManager.createProject(projectState);
             if (!projectResult.success) {
@@ -210,6 +267,11 @@ class NftProjectManager {
             // Configure the project based on UI parameters
             await this.configureProjectFromProjectState(projectResult.project, projectState);
 
+            // Last point before the frame is generated, which can't be interrupted
+            if (request.cancelled) {
+                return cancelledResult();
+            }
+
             // Use RenderCoordinator for frame rendering (pass settings file for pin mode)
             const renderResult = await this.renderCoordinator.renderFrame(
                 projectResult.project,
@@ -220,6 +282,10 @@ class NftProjectManager {
                 config.outputDirectory  // Pass output directory for settings files
             );
 
+            if (cacheDescriptor && renderResult.success && renderResult.frameBuffer) {
+                await this.storePreviewFrame(cacheDescriptor, renderResult);
+            }
+
             return renderResult;
 
         } catch (error) {
@@ -229,6 +295,80 @@ class NftProjectManager {
                 error: error.message,
                 frameNumber: frameNumber
             };
+        } finally {
+            if (requestId) {
+                this.activeFrameRenders.delete(requestId);
+            }
+        }
+    }
+
+    /**
+     * Cancel a frame render started with a request id
+     * The render stops at its next check. A frame my-nft-gen is already generating
+     * can't be interrupted, so that last step still finishes.
+     * @param {string} requestId - Id passed to renderFrame
+     * @returns {Object} { success, cancelled } - cancelled is false when the render already finished
+     */
+    cancelFrameRender(requestId) {
+        const request = this.activeFrameRenders.get(requestId);
+        if (request) {
+            request.cancelled = true;
+        }
+        return { success: true, cancelled: !!request };
+    }
+
+    /**
+     * Add a rendered frame (and the settings it was rendered with) to the preview cache
+     * A failure only costs a future cache hit, so it never fails the render.
+     * @param {Object} cacheDescriptor - Result of PreviewFrameCache.describe()
+     * @param {Object} renderResult - Successful RenderCoordinator.renderFrame() result
+     * @returns {Promise<void>}
+     */
+    async storePreviewFrame(cacheDescriptor, renderResult) {
+        try {
+            const settings = renderResult.settingsFile
+                ? await fs.readFile(renderResult.settingsFile, 'utf8')
+                : null;
+            await this.previewFrameCache.set(cacheDescriptor, renderResult.frameBuffer, settings);
+        } catch (error) {
+            this.logger.warn('Failed to cache preview frame', error);
+        }
+    }
+
+    /**
+     * @returns {Promise<Object>} Preview cache hit/miss statistics and disk usage
+     */
+    async getPreviewCacheStats() {
+        await this.previewFrameCache.initialize();
+        return { success: true, stats: this.previewFrameCache.getStats() };
+    }
+
+    /**
+     * Remove every cached preview frame
+     * @returns {Promise<Object>} Result with the updated statistics
+     */
+    async clearPreviewCache() {
+        try {
+            await this.previewFrameCache.clear();
+            return { success: true, stats: this.previewFrameCache.getStats() };
+        } catch (error) {
+            this.logger.error('Failed to clear preview cache', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Change the preview cache size cap (least recently used frames are evicted to fit)
+     * @param {number} maxSizeBytes - New cap in bytes
+     * @returns {Promise<Object>} Result with the updated statistics
+     */
+    async setPreviewCacheMaxSize(maxSizeBytes) {
+        try {
+            await this.previewFrameCache.setMaxSize(maxSizeBytes);
+            return { success: true, stats: this.previewFrameCache.getStats() };
+        } catch (error) {
+            this.logger.error('Failed to set preview cache size', error);
+            return { success: false, error: error.message };
         }
     }
 
@@ -265,6 +405,117 @@ class NftProjectManager {
         }
     }
 
+    /**
+     * Generate a collection of seeded variants with a rarity report
+     * Writes <collection>/settings/token-<id>.json per variant, collection.json with the
+     * seeds and rarity-report.json. Variants can optionally be queued for rendering.
+     * @param {Object|ProjectState} configInput - Project configuration or ProjectState instance
+     * @param {Object} options - Collection options
+     * @param {number} options.count - Number of variants (1-1000)
+     * @param {number|string|null} [options.masterSeed] - Master seed, parsed with SeededRandom.parseSeed (random when blank)
+     * @param {number} [options.startTokenId=1] - ID of the first token
+     * @param {string} [options.outputDirectory] - Parent directory (defaults to the project output directory)
+     * @param {boolean} [options.queueRenders=false] - Add every variant to the render queue
+     * @param {Function} [onProgress] - Receives per-variant progress
+     * @returns {Promise<Object>} Collection result with the rarity report
+     */
+    async generateCollection(configInput, options = {}, onProgress = null) {
+        const count = Number(options.count);
+        if (!Number.isInteger(count) || count < 1 || count > 1000) {
+            return { success: false, error: 'Collection size must be between 1 and 1000' };
+        }
+
+        try {
+            await this.pluginLifecycleManager.ensurePluginsLoaded();
+
+            const projectState = await this.projectLifecycleManager.ensureProjectState(configInput);
+            const config = projectState.getState();
+            const parentDirectory = options.outputDirectory || config.outputDirectory;
+            if (!parentDirectory) {
+                return { success: false, error: 'Choose an output directory for the collection' };
+            }
+
+            const projectResult = await this.projectLifecycleManager.createProject(projectState);
+            if (!projectResult.success) {
+                throw new Error('Failed to create project for collection generation');
+            }
+            await this.configureProjectFromProjectState(projectResult.project, projectState);
+
+            // Parsed like the project seed, so the seed recorded in collection.json reproduces the collection
+            const masterSeed = SeededRandom.parseSeed(options.masterSeed) ?? SeededRandom.randomSeed();
+            const startTokenId = Number.isInteger(options.startTokenId) ? options.startTokenId : 1;
+            const projectName = config.projectName || 'collection';
+            const collectionDirectory = `${parentDirectory}/collection-${projectName}-${masterSeed}`;
+
+            this.logger.header(`Generating Collection (${count} variants, seed ${masterSeed})`);
+            this.collectionCancelRequested = false;
+
+            const { variants, stoppedAt } = await this.renderCoordinator.generateCollectionSettings({
+                project: projectResult.project,
+                projectName,
+                totalFrames: config.numFrames || 100,
+                collectionDirectory,
+                count,
+                masterSeed,
+                startTokenId,
+                shouldContinue: () => !this.collectionCancelRequested,
+                onVariantGenerated: onProgress
+            });
+
+            const report = rarityReportService.buildReport(
+                variants.map(variant => ({ tokenId: variant.tokenId, settings: variant.settings }))
+            );
+            const manifest = {
+                projectName,
+                masterSeed,
+                startTokenId,
+                numFrames: config.numFrames || 100,
+                createdAt: new Date().toISOString(),
+                tokens: variants.map(({ tokenId, seed, settingsFile, workingDirectory }) => ({
+                    tokenId, seed, settingsFile, workingDirectory
+                }))
+            };
+            await fs.writeFile(`${collectionDirectory}/collection.json`, JSON.stringify(manifest, null, 2));
+            await fs.writeFile(`${collectionDirectory}/rarity-report.json`, JSON.stringify(report, null, 2));
+
+            if (options.queueRenders) {
+                for (const variant of variants) {
+                    await this.queueRender({
+                        settingsFile: variant.settingsFile,
+                        outputDirectory: variant.workingDirectory.replace(/\/$/, ''),
+                        name: `${projectName} #${variant.tokenId}`
+                    });
+                }
+            }
+
+            this.logger.success(`Collection generated: ${variants.length} variants in ${collectionDirectory}`);
+            return {
+                success: true,
+                cancelled: stoppedAt !== null,
+                collectionDirectory,
+                masterSeed,
+                tokenCount: variants.length,
+                queued: !!options.queueRenders,
+                report
+            };
+
+        } catch (error) {
+            this.logger.error('Collection generation failed', error);
+            return { success: false, error: error.message };
+        } finally {
+            this.collectionCancelRequested = false;
+        }
+    }
+
+    /**
+     * Stop collection generation after the current variant
+     * @returns {Object} Cancel result
+     */
+    cancelCollectionGeneration() {
+        this.collectionCancelRequested = true;
+        return { success: true };
+    }
+
     /**
      * Start resume loop - resumes an existing project from settings
      * @param {Object|ProjectState} configInput - Project configuration or ProjectState instance
@@ -322,6 +573,66 @@ class NftProjectManager {
         return this.renderCoordinator.getRenderStatus();
     }
 
+    // Render queue methods (delegate to RenderCoordinator)
+
+    /**
+     * Load the persisted render queue and continue any pending jobs
+     * @returns {Promise<Object>} Initialization result
+     */
+    async initializeRenderQueue() {
+        const result = await this.renderCoordinator.initializeQueue();
+        if (result.success && result.pendingJobs > 0 && !this.renderCoordinator.queueManager.isPaused()) {
+            this.renderCoordinator.startQueueProcessing();
+        }
+        return result;
+    }
+
+    /**
+     * Add a job to the render queue and start processing it
+     * @param {Object} renderJob - Job definition (projectFilePath or settingsFile, outputDirectory, startFrame, endFrame)
+     * @returns {Promise<Object>} Queue result
+     */
+    async queueRender(renderJob) {
+        const result = await this.renderCoordinator.queueRender(renderJob);
+        if (result.success && !this.renderCoordinator.queueManager.isPaused()) {
+            this.renderCoordinator.startQueueProcessing();
+        }
+        return result;
+    }
+
+    /**
+     * Get the render queue state
+     * @returns {Object} Queue state
+     */
+    getRenderQueue() {
+        return this.renderCoordinator.getQueueState();
+    }
+
+    /**
+     * Turn a queued job into a configured project ready for frame rendering
+     * Project jobs load the .nftproject file, settings jobs convert the settings file.
+     * @param {Object} job - Queued job
+     * @returns {Promise<Object>} { project, totalFrames, projectName, outputDirectory }
+     */
+    async prepareQueuedJob(job) {
+        await this.pluginLifecycleManager.ensurePluginsLoaded();
+
+        const { projectState, totalFrames } = await this.projectLifecycleManager.loadRenderSource(job);
+
+        const projectResult = await this.projectLifecycleManager.createProject(projectState);
+        if (!projectResult.success) {
+            throw new Error('Failed to create project for queued render');
+        }
+        await this.configureProjectFromProjectState(projectResult.project, projectState);
+
+        return {
+            project: projectResult.project,
+            totalFrames,
+            projectName: projectState.getProjectName(),
+            outputDirectory: projectState.getOutputDirectory()
+        };
+    }
+
     /**
      * Get plugin status
      * @returns {Object} Current plugin status
@@ -343,64 +654,7 @@ class NftProjectManager {
      * @returns {Promise<void>}
      */
     async configureProjectFromProjectState(project, projectState) {
-        const config = projectState.getState();
-        if (!config.effects || !Array.isArray(config.effects) || config.effects.length === 0) {
-            console.log('⚠️  No effects configured for project');
-            return;
-        }
-
-        // Filter visible effects - consistent with RenderPipelineService
-        const visibleEffects = config.effects.filter(effect => effect.visible !== false);
-        
-        if (visibleEffects.length === 0) {
-            console.log('⚠️  No visible effects configured for project');
-            return;
-        }
-
-        const myNftGenPath = path.resolve(process.cwd(), '../my-nft-gen');
-        const { default: effectProcessor } = await import('../services/EffectProcessingService.js');
-
-        // Process effects in their original panel order (top to bottom)
-        // This ensures effects are added to the Project class in the exact order
-        // they appear in the effects panel, regardless of type
-        for (const effect of visibleEffects) {
-            const effectType = effect.type || 'primary';
-            
-            // DEBUG: Log effect structure before processing
-            console.log('🔍 NftProjectManager - Effect before processing:', {
-                name: effect.name || effect.registryKey,
-                type: effectType,
-                id: effect.id,
-                visible: effect.visible,
-                hasSecondaryEffects: !!effect.secondaryEffects,
-                secondaryEffectsCount: effect.secondaryEffects?.length || 0,
-                hasKeyframeEffects: !!effect.keyframeEffects,
-                keyframeEffectsCount: effect.keyframeEffects?.length || 0,
-                keyframeDetails: effect.keyframeEffects?.map(k => ({ id: k.id, name: k.name, registryKey: k.registryKey, visible: k.visible, hasConfig: !!k.config })) || [],
-                effectKeys: Object.keys(effect)
-            });
-            
-            // Process each effect individually to maintain panel order
-            const processedEffects = await effectProcessor.processEffects(
-                [effect],
-                myNftGenPath,
-                this.effectRegistryService // Pass shared registry to avoid creating temp directories on each render
-            );
-
-            // Add the processed effect to the appropriate array based on type
-            for (const layerConfig of processedEffects) {
-                switch (effectType) {
-                    case 'final':
-                    case 'finalImage':
-                        project.addFinalEffect({layerConfig});
-                        break;
-                    case 'primary':
-                    default:
-                        project.addPrimaryEffect({layerConfig});
-                        break;
-                }
-            }
-        }
+        return await this.projectLifecycleManager.configureProjectEffects(project, projectState, this.effectRegistryService);
     }
 
     // Legacy compatibility methods (delegate to appropriate services)
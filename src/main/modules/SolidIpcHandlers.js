@@ -6,6 +6,10 @@ import PreviewHandlers from '../handlers/PreviewHandlers.js';
 import EventBusHandlers from '../handlers/EventBusHandlers.js';
 import ProjectPersistenceHandlers from '../handlers/ProjectPersistenceHandlers.js';
 import PluginHandlers from '../handlers/PluginHandlers.js';
+import ExportHandlers from '../handlers/ExportHandlers.js';
+import MetadataHandlers from '../handlers/MetadataHandlers.js';
+import PaletteHandlers from '../handlers/PaletteHandlers.js';
+import RecentProjectsHandlers from '../handlers/RecentProjectsHandlers.js';
 import SafeConsole from '../utils/SafeConsole.js';
 
 /**
@@ -39,6 +43,8 @@ class SolidIpcHandlers {
         const fileOperations = this.serviceFactory.getFileOperations();
         const projectManager = this.serviceFactory.getProjectManager();
         const effectsManager = this.serviceFactory.getEffectsManager();
+        const videoExportService = this.serviceFactory.getVideoExportService();
+        const dialogService = this.serviceFactory.getService('dialogService');
 
         // Create handlers with injected dependencies (Interface Segregation)
         this.handlers = [
@@ -48,7 +54,15 @@ class SolidIpcHandlers {
             new PreviewHandlers(effectsManager),
             new EventBusHandlers(),
             new ProjectPersistenceHandlers(),
-            new PluginHandlers(this.serviceFactory) // Phase 4: Pass factory for orchestrator access
+            new PluginHandlers(this.serviceFactory), // Phase 4: Pass factory for orchestrator access
+            new ExportHandlers(videoExportService, dialogService),
+            new MetadataHandlers(this.serviceFactory.getMetadataExportService()),
+            new PaletteHandlers(
+                this.serviceFactory.getPaletteFormatService(),
+                this.serviceFactory.getPaletteExtractionService(),
+                dialogService
+            ),
+            new RecentProjectsHandlers(this.serviceFactory.getRecentProjectsService())
         ];
 
         // Register all handlers
@@ -0,0 +1,96 @@
+import { app, Menu, BrowserWindow } from 'electron';
+import SafeConsole from '../utils/SafeConsole.js';
+import { SHORTCUT_CATEGORIES, resolveShortcuts } from '../../utils/KeyboardShortcuts.js';
+
+/**
+ * Service responsible for the native application menu only
+ * Follows Single Responsibility Principle
+ *
+ * Menu items show the user's shortcut bindings but don't register them as
+ * accelerators: the renderer's KeyboardShortcutService handles the keys, so a
+ * chord never fires twice. Clicking an item sends the shortcut to the renderer
+ * as a `shortcut:triggered` EventBus message.
+ */
+class ApplicationMenuService {
+    constructor() {
+        this.keymap = {};
+    }
+
+    /**
+     * Build and install the application menu
+     * @param {Object} [keymap] - Shortcut id -> accelerator overrides (null = unbound)
+     */
+    setKeymap(keymap = {}) {
+        this.keymap = keymap || {};
+        Menu.setApplicationMenu(Menu.buildFromTemplate(this.buildTemplate()));
+        SafeConsole.log('✅ [ApplicationMenuService] Application menu updated');
+    }
+
+    /**
+     * Build the menu template from the effective shortcuts
+     * @returns {Array<Object>} Electron menu template
+     */
+    buildTemplate() {
+        const isMac = process.platform === 'darwin';
+        const shortcuts = resolveShortcuts(this.keymap);
+
+        // Native items each category ends with. On macOS text fields only get
+        // undo/redo from menu roles; the renderer claims the chord everywhere else
+        const nativeItems = {
+            File: [isMac ? { role: 'close' } : { role: 'quit' }],
+            Edit: [
+                ...(isMac ? [{ role: 'undo', visible: false }, { role: 'redo', visible: false }] : []),
+                { role: 'cut' },
+                { role: 'copy' },
+                { role: 'paste' },
+                { role: 'selectAll' }
+            ],
+            View: [{ role: 'togglefullscreen' }, { role: 'toggleDevTools' }]
+        };
+
+        const template = SHORTCUT_CATEGORIES.map(category => {
+            const items = shortcuts
+                .filter(shortcut => shortcut.category === category)
+                .map(shortcut => ({
+                    label: shortcut.label,
+                    accelerator: shortcut.accelerator || undefined,
+                    registerAccelerator: false,
+                    click: () => this.sendShortcut(shortcut.id)
+                }));
+
+            if (nativeItems[category]) {
+                items.push({ type: 'separator' }, ...nativeItems[category]);
+            }
+
+            return category === 'Help'
+                ? { role: 'help', submenu: items }
+                : { label: category, submenu: items };
+        });
+
+        if (isMac) {
+            template.unshift({ label: app.name, role: 'appMenu' });
+        }
+
+        return template;
+    }
+
+    /**
+     * Forward a menu click to the renderer's EventBus
+     * @param {string} id - Shortcut id
+     */
+    sendShortcut(id) {
+        const window = BrowserWindow.getFocusedWindow() || BrowserWindow.getAllWindows()[0];
+        if (!window) {
+            return;
+        }
+
+        window.webContents.send('eventbus-message', {
+            type: 'shortcut:triggered',
+            data: { id },
+            timestamp: Date.now(),
+            source: 'ApplicationMenu'
+        });
+    }
+}
+
+export default ApplicationMenuService;
@@ -6,6 +6,8 @@
 import SafeConsole from '../utils/SafeConsole.js';
 import EffectRegistryService from './EffectRegistryService.js';
 import PreferencesService from '../../services/PreferencesService.js';
+import SeededRandom from '../../utils/SeededRandom.js';
+import SeededRandomScope from '../../utils/SeededRandomScope.js';
 
 // Cache for dynamically imported modules
 let _moduleCache = null;
@@ -46,10 +48,11 @@ class EffectProcessingService {
      * @param {Array} effects - Array of effect configurations
      * @param {string} myNftGenPath - Path to my-nft-gen module
      * @param {EffectRegistryService} effectRegistryService - Optional shared registry service instance
+     * @param {number|null} [masterSeed=null] - Project master seed; effects without their own seed derive one from it
      * @returns {Promise<Array>} Array of LayerConfig instances
      */
 
-    static async processEffects(effects, myNftGenPath, effectRegistryService) {
+    static async processEffects(effects, myNftGenPath, effectRegistryService, masterSeed = null) {
         const { LayerConfig } = await _loadModules();
         // CRITICAL: effectRegistryService is REQUIRED - no fallback allowed
         // Creating a new instance would trigger duplicate initialization cycles
@@ -122,7 +125,7 @@ class EffectProcessingService {
 
                             const secondaryLayerConfig = new LayerConfig({
                                 name: secondaryEffectName,
-                                effect: SecondaryEffectClass,
+                                effect: this.seedEffectClass(SecondaryEffectClass, secondaryEffect, masterSeed),
                                 percentChance: 100,
                                 currentEffectConfig: secondaryConfigInstance,
                             });
@@ -151,7 +154,7 @@ class EffectProcessingService {
 
                             const keyframeLayerConfig = new LayerConfig({
                                 name: keyframeEffectName,
-                                effect: KeyframeEffectClass,
+                                effect: this.seedEffectClass(KeyframeEffectClass, keyframeEffect, masterSeed),
                                 percentChance: 100,
                                 currentEffectConfig: keyframeConfigInstance,
                             });
@@ -165,7 +168,7 @@ class EffectProcessingService {
 
                 const layerConfig = new LayerConfig({
                     name: effectName,
-                    effect: EffectClass,
+                    effect: this.seedEffectClass(EffectClass, effect, masterSeed),
                     percentChance: 100,
                     currentEffectConfig: configInstance,
                     possibleSecondaryEffects: possibleSecondaryEffects
@@ -181,6 +184,25 @@ class EffectProcessingService {
         return allPrimaryEffects;
     }
 
+    /**
+     * Give an effect class its own random stream
+     * The seed is resolved per construction, so collection variants (running inside
+     * SeededRandomScope.run) and unseeded projects keep working with the same classes.
+     * @param {Function} EffectClass - my-nft-gen effect class
+     * @param {Object} effect - Effect configuration (id, seed)
+     * @param {number|null} masterSeed - Project master seed
+     * @returns {Function} Effect class to hand to LayerConfig
+     */
+    static seedEffectClass(EffectClass, effect, masterSeed) {
+        if (typeof EffectClass !== 'function' || !effect.id) {
+            return EffectClass;
+        }
+        return SeededRandom.seedClass(
+            EffectClass,
+            () => SeededRandom.resolveEffectSeed(effect, SeededRandomScope.getSeed() ?? masterSeed)
+        );
+    }
+
     /**
      * Create configuration instance for an effect
      * @param {Object} effect - Effect configuration
@@ -1,12 +1,29 @@
 
 // Static imports for core modules
-import { app, BrowserWindow } from 'electron';
+import { createRequire } from 'module';
 import { PluginManagerService } from '../../services/PluginManagerService.js';
 import SecurePluginLoader from './SecurePluginLoader.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { pathToFileURL } from 'url';
 import SafeConsole from "../utils/SafeConsole.js";
+
+const require = createRequire(import.meta.url);
+
+// Lazy-load electron so the registry also works headless (CLI, tests) where it's not available
+let electronModule = null;
+const getElectron = () => {
+    if (electronModule === null) {
+        try {
+            const loaded = require('electron');
+            // Under plain Node the package resolves to the binary path instead of the API
+            electronModule = typeof loaded === 'object' ? loaded : false;
+        } catch (error) {
+            electronModule = false; // Mark as attempted
+        }
+    }
+    return electronModule || {};
+};
 // Note: my-nft-gen modules are dynamically imported in _loadModules() to avoid path resolution issues in production
 
 /**
@@ -16,6 +33,10 @@ import SafeConsole from "../utils/SafeConsole.js";
  */
 function sendToRenderer(channel, data) {
     try {
+        const { BrowserWindow } = getElectron();
+        if (!BrowserWindow) {
+            return;
+        }
         const windows = BrowserWindow.getAllWindows();
         if (windows.length > 0) {
             windows.forEach(window => {
@@ -44,6 +65,12 @@ class EffectRegistryService {
         this._moduleCache = {};
         // Track initialization promise to prevent concurrent executions
         this._initializationPromise = null;
+        // Effect names registered by each plugin: pluginName -> Set<effectName>
+        this.pluginEffects = new Map();
+        // Version of each loaded plugin: pluginName -> version (or last update time for local plugins)
+        this.pluginVersions = new Map();
+        // Main-process listeners for registry refreshes (e.g. the preview frame cache)
+        this.refreshListeners = new Set();
     }
     
     /**
@@ -700,7 +727,7 @@ class EffectRegistryService {
     // Internal: read user presets map from user-preferences.json
     async _readUserPresetsMap() {
         try {
-            const userDataPath = app.getPath('userData');
+            const userDataPath = getElectron().app.getPath('userData');
             const prefsPath = path.join(userDataPath, 'user-preferences.json');
             const content = await fs.readFile(prefsPath, 'utf8');
             const json = JSON.parse(content || '{}');
@@ -714,7 +741,7 @@ class EffectRegistryService {
     // Internal: write user presets map back to user-preferences.json
     async _writeUserPresetsMap(updatedMap) {
         try {
-            const userDataPath = app.getPath('userData');
+            const userDataPath = getElectron().app.getPath('userData');
             const prefsPath = path.join(userDataPath, 'user-preferences.json');
             let base = {};
             try {
@@ -1074,15 +1101,146 @@ class EffectRegistryService {
     }
 
     /**
-     * Emit effects refreshed event to the renderer process
+     * Register effects captured from a plugin and remember which plugin they belong to
+     * @param {string} pluginName - Plugin name
+     * @param {Array<Object>} capturedEffects - Effects captured by SecurePluginLoader ({ name, category, metadata, effectClass })
+     * @param {string|null} [pluginVersion=null] - Plugin version, used to key caches of the plugin's output
+     * @returns {Promise<Array<string>>} Names of the effects that were registered
+     */
+    async registerPluginEffects(pluginName, capturedEffects, pluginVersion = null) {
+        await this.ensureCoreEffectsRegistered();
+        const { EffectRegistry, ConfigLinker } = await this._loadModules();
+
+        const registered = this.pluginEffects.get(pluginName) || new Set();
+        for (const effect of capturedEffects) {
+            if (!effect.effectClass) {
+                continue;
+            }
+            try {
+                EffectRegistry.registerGlobal(effect.effectClass, effect.category, effect.metadata);
+                registered.add(effect.name);
+                SafeConsole.log(`✅ [EffectRegistryService] Registered effect: ${effect.name} (Plugin: ${pluginName})`);
+            } catch (effectError) {
+                SafeConsole.error(`⚠️ [EffectRegistryService] Failed to register effect ${effect.name}:`, effectError.message);
+            }
+        }
+        this.pluginEffects.set(pluginName, registered);
+        if (pluginVersion) {
+            this.pluginVersions.set(pluginName, pluginVersion);
+        }
+
+        // Link effects with their config classes so the UI can configure them
+        await ConfigLinker.linkEffectsWithConfigs();
+
+        return [...registered];
+    }
+
+    /**
+     * Remove the effects a plugin registered from the effect registry
+     * @param {string} pluginName - Plugin name
+     * @returns {Promise<Array<string>>} Names of the effects that were removed
+     */
+    async unregisterPluginEffects(pluginName) {
+        const names = [...(this.pluginEffects.get(pluginName) || [])];
+        this.pluginEffects.delete(pluginName);
+        if (names.length === 0) {
+            return [];
+        }
+
+        const { EffectRegistry } = await this._loadModules();
+        if (typeof EffectRegistry.unregisterGlobal !== 'function') {
+            // Older my-nft-gen registries cannot remove entries; re-registering replaces them instead
+            SafeConsole.log(`⚠️ [EffectRegistryService] EffectRegistry cannot unregister, ${names.length} effects of ${pluginName} stay registered`);
+            return [];
+        }
+
+        names.forEach(name => EffectRegistry.unregisterGlobal(name));
+        SafeConsole.log(`🗑️ [EffectRegistryService] Unregistered ${names.length} effects from plugin: ${pluginName}`);
+        return names;
+    }
+
+    /**
+     * Replace one plugin's effects without touching other plugins or the registry cache
+     * Used by plugin developer mode after the plugin's source changed.
+     * @param {string} pluginName - Plugin name
+     * @param {Array<Object>} capturedEffects - Freshly captured effects
+     * @returns {Promise<Object>} { registered, removed } effect names
+     */
+    async reloadPluginEffects(pluginName, capturedEffects) {
+        const previous = await this.unregisterPluginEffects(pluginName);
+        const registered = await this.registerPluginEffects(pluginName, capturedEffects);
+        const removed = previous.filter(name => !registered.includes(name));
+
+        await this.emitEffectsRefreshedEvent({ plugin: pluginName, effects: registered, removed });
+
+        return { registered, removed };
+    }
+
+    /**
+     * @param {string} pluginName - Plugin name
+     * @returns {Array<string>} Names of the effects registered by the plugin
+     */
+    getPluginEffectNames(pluginName) {
+        return [...(this.pluginEffects.get(pluginName) || [])];
+    }
+
+    /**
+     * Version token of the code an effect renders with
+     * Plugin effects use their plugin's version, core effects the my-nft-gen version.
+     * @param {string} effectName - Registry name of the effect
+     * @returns {string} e.g. 'plugin:glow-pack@1.2.0' or 'core@1.7.0'
+     */
+    getEffectVersion(effectName) {
+        for (const [pluginName, names] of this.pluginEffects) {
+            if (names.has(effectName)) {
+                return `plugin:${pluginName}@${this.pluginVersions.get(pluginName) || 'unversioned'}`;
+            }
+        }
+
+        if (this.coreVersion === undefined) {
+            try {
+                this.coreVersion = require('my-nft-gen/package.json').version;
+            } catch (error) {
+                this.coreVersion = null;
+            }
+        }
+        return `core@${this.coreVersion || 'unknown'}`;
+    }
+
+    /**
+     * Subscribe to registry refreshes in the main process
+     * @param {Function} listener - Called with the refresh details (plugin reloads carry { plugin, effects, removed })
+     * @returns {Function} Unsubscribe function
      */
-    async emitEffectsRefreshedEvent() {
+    onEffectsRefreshed(listener) {
+        this.refreshListeners.add(listener);
+        return () => this.refreshListeners.delete(listener);
+    }
+
+    /**
+     * Emit effects refreshed event to main-process listeners and the renderer process
+     * @param {Object} [details] - Extra event data (e.g. the plugin that was reloaded)
+     */
+    async emitEffectsRefreshedEvent(details = {}) {
+        for (const listener of this.refreshListeners) {
+            try {
+                await listener(details);
+            } catch (error) {
+                SafeConsole.error('Effects refreshed listener failed:', error);
+            }
+        }
+
         try {
+            const { BrowserWindow } = getElectron();
+            if (!BrowserWindow) {
+                return;
+            }
             const windows = BrowserWindow.getAllWindows();
 
             const event = {
                 type: 'effects:refreshed',
                 data: {
+                    ...details,
                     timestamp: new Date().toISOString()
                 },
                 timestamp: Date.now(),
@@ -1504,7 +1662,7 @@ class EffectRegistryService {
             }
 
             // Get current plugins to validate cache
-            const appDataPath = app.getPath('userData');
+            const appDataPath = getElectron().app.getPath('userData');
             const pluginManager = new PluginManagerService(appDataPath);
             await pluginManager.initialize();
             const currentPlugins = await pluginManager.getPlugins();
@@ -1573,7 +1731,7 @@ class EffectRegistryService {
                 const finalImageEffects = EffectRegistry.getByCategoryGlobal(EffectCategories.FINAL_IMAGE);
 
                 // Get plugin data - WITH TIMEOUT to prevent hangs
-                const appDataPath = app.getPath('userData');
+                const appDataPath = getElectron().app.getPath('userData');
                 const pluginManager = new PluginManagerService(appDataPath);
                 
                 // Add timeout to plugin manager initialization (max 2 seconds)
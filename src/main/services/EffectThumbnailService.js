@@ -0,0 +1,227 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import SafeConsole from '../utils/SafeConsole.js';
+
+/**
+ * Default thumbnail edge length in pixels
+ */
+export const DEFAULT_THUMBNAIL_SIZE = 200;
+
+/**
+ * Frames of the hover loop, spread evenly over the preview animation
+ */
+export const DEFAULT_LOOP_FRAME_COUNT = 8;
+
+/**
+ * Length of the preview animation the thumbnail frames are taken from
+ */
+export const THUMBNAIL_TOTAL_FRAMES = 60;
+
+/**
+ * Service responsible for effect browser thumbnails on disk only
+ * Follows Single Responsibility Principle
+ *
+ * Thumbnails are rendered by an injected function (effect defaults over the
+ * current color scheme), resized to WebP and cached as
+ * <cacheDirectory>/<effect>__<hash>.webp where the hash covers the effect's
+ * version (plugin version or my-nft-gen version), the palette, the frame and
+ * the size. A new plugin version or palette therefore never sees stale
+ * thumbnails, and invalidating an effect only deletes its own files.
+ */
+class EffectThumbnailService {
+    /**
+     * @param {Object} options
+     * @param {string} options.cacheDirectory - Directory thumbnails are stored in
+     * @param {Function} options.renderFrame - async ({ effectName, palette, frameNumber, totalFrames }) => PNG Buffer
+     * @param {Function} [options.getEffectVersion] - (effectName) => version token of the effect's code
+     */
+    constructor({ cacheDirectory, renderFrame, getEffectVersion = () => 'unversioned' }) {
+        this.cacheDirectory = cacheDirectory;
+        this.renderFrame = renderFrame;
+        this.getEffectVersion = getEffectVersion;
+        // Renders run one at a time so opening the browser never floods the main process
+        this.renderChain = Promise.resolve();
+        // In-flight thumbnails by file name, so concurrent requests share one render
+        this.pending = new Map();
+    }
+
+    /**
+     * Cache file name for a thumbnail
+     * @param {Object} request
+     * @param {string} request.effectName - Registry name of the effect
+     * @param {string} request.effectVersion - Version token of the effect's code
+     * @param {Object} [request.palette] - { neutrals, backgrounds, lights }
+     * @param {number} request.frameNumber - Frame of the preview animation
+     * @param {number} request.size - Edge length in pixels
+     * @returns {string} File name
+     */
+    static getCacheFileName({ effectName, effectVersion, palette = {}, frameNumber, size }) {
+        const paletteKey = ['neutrals', 'backgrounds', 'lights']
+            .map(key => (palette?.[key] || []).map(color => String(color).toLowerCase()).join(','))
+            .join('|');
+        const hash = crypto.createHash('sha256')
+            .update(JSON.stringify([effectVersion, paletteKey, frameNumber, size]))
+            .digest('hex')
+            .slice(0, 32);
+        return `${encodeURIComponent(effectName)}__${hash}.webp`;
+    }
+
+    /**
+     * Get one thumbnail, rendering it on a cache miss
+     * @param {Object} request
+     * @param {string} request.effectName - Registry name of the effect
+     * @param {Object} [request.palette] - Color scheme the thumbnail is rendered with
+     * @param {number} [request.frameNumber=0] - Frame of the preview animation
+     * @param {number} [request.size=DEFAULT_THUMBNAIL_SIZE] - Edge length in pixels
+     * @returns {Promise<Object>} { success, thumbnail, cached } or { success: false, error }
+     */
+    async getThumbnail({ effectName, palette = {}, frameNumber = 0, size = DEFAULT_THUMBNAIL_SIZE }) {
+        try {
+            if (!effectName) {
+                throw new Error('Effect name is required');
+            }
+
+            const fileName = EffectThumbnailService.getCacheFileName({
+                effectName,
+                effectVersion: this.getEffectVersion(effectName),
+                palette,
+                frameNumber,
+                size
+            });
+            const filePath = path.join(this.cacheDirectory, fileName);
+
+            try {
+                const cachedImage = await fs.readFile(filePath);
+                return { success: true, thumbnail: this.toDataUrl(cachedImage), cached: true };
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+
+            if (!this.pending.has(fileName)) {
+                const render = this.enqueueRender(() => this.renderToCache({ effectName, palette, frameNumber, size, filePath }))
+                    .finally(() => this.pending.delete(fileName));
+                this.pending.set(fileName, render);
+            }
+
+            const image = await this.pending.get(fileName);
+            return { success: true, thumbnail: this.toDataUrl(image), cached: false };
+        } catch (error) {
+            SafeConsole.error(`❌ [EffectThumbnailService] Thumbnail failed for ${effectName}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get the frames of an effect's hover loop
+     * @param {Object} request
+     * @param {string} request.effectName - Registry name of the effect
+     * @param {Object} [request.palette] - Color scheme the frames are rendered with
+     * @param {number} [request.frameCount=DEFAULT_LOOP_FRAME_COUNT] - Number of frames
+     * @param {number} [request.size=DEFAULT_THUMBNAIL_SIZE] - Edge length in pixels
+     * @returns {Promise<Object>} { success, frames, cached } or { success: false, error }
+     */
+    async getLoop({ effectName, palette = {}, frameCount = DEFAULT_LOOP_FRAME_COUNT, size = DEFAULT_THUMBNAIL_SIZE }) {
+        const frameNumbers = EffectThumbnailService.getLoopFrameNumbers(frameCount);
+        const results = await Promise.all(
+            frameNumbers.map(frameNumber => this.getThumbnail({ effectName, palette, frameNumber, size }))
+        );
+
+        const failed = results.find(result => !result.success);
+        if (failed) {
+            return { success: false, error: failed.error };
+        }
+
+        return {
+            success: true,
+            frames: results.map(result => result.thumbnail),
+            cached: results.every(result => result.cached)
+        };
+    }
+
+    /**
+     * Frame numbers of a hover loop, evenly spread and starting at frame 0
+     * @param {number} frameCount - Number of frames
+     * @returns {Array<number>}
+     */
+    static getLoopFrameNumbers(frameCount) {
+        const count = Math.max(1, Math.min(THUMBNAIL_TOTAL_FRAMES, Math.floor(frameCount)));
+        return Array.from({ length: count }, (_, index) => Math.floor((index * THUMBNAIL_TOTAL_FRAMES) / count));
+    }
+
+    /**
+     * Delete the cached thumbnails of the given effects
+     * Used when effect code changes without a version bump (plugin developer mode).
+     * @param {Array<string>} effectNames - Registry names of the effects
+     * @returns {Promise<number>} Number of deleted files
+     */
+    async invalidateEffects(effectNames) {
+        const prefixes = effectNames.map(name => `${encodeURIComponent(name)}__`);
+        return await this.removeFiles(fileName => prefixes.some(prefix => fileName.startsWith(prefix)));
+    }
+
+    /**
+     * Delete every cached thumbnail
+     * @returns {Promise<number>} Number of deleted files
+     */
+    async clear() {
+        return await this.removeFiles(() => true);
+    }
+
+    /**
+     * Run a render after the ones already queued
+     * @private
+     */
+    enqueueRender(task) {
+        const run = this.renderChain.then(task, task);
+        this.renderChain = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Render a frame, resize it and write it to the cache
+     * @private
+     */
+    async renderToCache({ effectName, palette, frameNumber, size, filePath }) {
+        const png = await this.renderFrame({ effectName, palette, frameNumber, totalFrames: THUMBNAIL_TOTAL_FRAMES });
+        const image = await sharp(png)
+            .resize(size, size, { fit: 'cover' })
+            .webp({ quality: 80 })
+            .toBuffer();
+
+        await fs.mkdir(this.cacheDirectory, { recursive: true });
+        await fs.writeFile(filePath, image);
+        return image;
+    }
+
+    /**
+     * @private
+     */
+    async removeFiles(shouldRemove) {
+        let fileNames;
+        try {
+            fileNames = await fs.readdir(this.cacheDirectory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return 0;
+            }
+            throw error;
+        }
+
+        const removed = fileNames.filter(fileName => fileName.endsWith('.webp') && shouldRemove(fileName));
+        await Promise.all(removed.map(fileName => fs.rm(path.join(this.cacheDirectory, fileName), { force: true })));
+        return removed.length;
+    }
+
+    /**
+     * @private
+     */
+    toDataUrl(image) {
+        return `data:image/webp;base64,${image.toString('base64')}`;
+    }
+}
+
+export default EffectThumbnailService;
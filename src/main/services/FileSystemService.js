@@ -1,8 +1,26 @@
 import { promises as fs } from 'fs';
 import path from 'path';
-import { app } from 'electron';
+import { createRequire } from 'module';
 import SafeConsole from '../utils/SafeConsole.js';
 
+// Create require function for ES modules
+const require = createRequire(import.meta.url);
+
+// Lazy-load electron app so this also works headless (CLI, tests) where it's not available
+let app = null;
+const getElectronApp = () => {
+    if (app === null) {
+        try {
+            const electronModule = require('electron');
+            app = electronModule.app;
+        } catch (error) {
+            // Electron not available (ok for headless usage)
+            app = false; // Mark as attempted
+        }
+    }
+    return app || null;
+};
+
 /**
  * Service responsible for file system operations only
  * Follows Single Responsibility Principle
@@ -16,8 +34,8 @@ class FileSystemService {
     async readFile(filePath) {
         try {
             // If it's just a filename (like user-preferences.json), use app data directory
-            if (!path.isAbsolute(filePath) && !filePath.includes(path.sep)) {
-                filePath = path.join(app.getPath('userData'), filePath);
+            if (!path.isAbsolute(filePath) && !filePath.includes(path.sep) && getElectronApp()) {
+                filePath = path.join(getElectronApp().getPath('userData'), filePath);
                 SafeConsole.log('📁 Reading file from userData:', filePath);
             }
 
@@ -38,8 +56,8 @@ class FileSystemService {
     async writeFile(filePath, content) {
         try {
             // If it's just a filename (like user-preferences.json), use app data directory
-            if (!path.isAbsolute(filePath) && !filePath.includes(path.sep)) {
-                filePath = path.join(app.getPath('userData'), filePath);
+            if (!path.isAbsolute(filePath) && !filePath.includes(path.sep) && getElectronApp()) {
+                filePath = path.join(getElectronApp().getPath('userData'), filePath);
                 SafeConsole.log('📁 Writing file to userData:', filePath);
             }
 
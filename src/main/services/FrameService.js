@@ -83,6 +83,39 @@ class FrameService {
         return await this.imageService.readImageAsBase64(framePath);
     }
 
+    /**
+     * Read one frame of a render output directory by its frame number
+     * @param {string} projectDirectory - Render output directory (containing frames/)
+     * @param {number} frameNumber - Frame number as found in the file name
+     * @returns {Promise<Object>} { success, data, path, frameNumber } or { success: false, error }
+     */
+    async readFrameByNumber(projectDirectory, frameNumber) {
+        const listResult = await this.listCompletedFrames(projectDirectory);
+        if (!listResult.success) {
+            return { success: false, error: listResult.error };
+        }
+
+        const frame = listResult.frames.find(item => item.frameNumber === Number(frameNumber));
+        if (!frame) {
+            return {
+                success: false,
+                error: `Frame ${frameNumber} not found in ${path.join(projectDirectory, 'frames')}`
+            };
+        }
+
+        const imageResult = await this.readFrameImage(frame.path);
+        if (!imageResult.success) {
+            return imageResult;
+        }
+
+        return {
+            success: true,
+            data: imageResult.data,
+            path: frame.path,
+            frameNumber: frame.frameNumber
+        };
+    }
+
     /**
      * Validate frame directory structure
      * @param {string} projectDirectory - Project directory path
@@ -0,0 +1,141 @@
+import path from 'path';
+import fs from 'fs/promises';
+import tokenMetadataService from '../../services/TokenMetadataService.js';
+import SafeConsole from '../utils/SafeConsole.js';
+
+/**
+ * Service responsible for writing token metadata files for rendered outputs
+ * Follows Single Responsibility Principle
+ *
+ * Every settings file in the chosen directory is one token. Files are ordered
+ * by the number in their name so token IDs follow render order.
+ */
+class MetadataExportService {
+    constructor(metadataBuilder = null) {
+        // Dependency injection following Dependency Inversion Principle
+        this.metadataBuilder = metadataBuilder || tokenMetadataService;
+    }
+
+    /**
+     * List settings files in a directory, in natural order
+     * @param {string} settingsDirectory - Directory containing settings JSON files
+     * @returns {Promise<Array<string>>} Absolute file paths
+     */
+    async listSettingsFiles(settingsDirectory) {
+        const entries = await fs.readdir(settingsDirectory, { withFileTypes: true });
+        return entries
+            .filter(entry => entry.isFile() && entry.name.toLowerCase().endsWith('.json'))
+            .map(entry => entry.name)
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+            .map(name => path.join(settingsDirectory, name));
+    }
+
+    /**
+     * Read and parse a settings file
+     * @param {string} settingsFile - Settings file path
+     * @returns {Promise<Object>} Parsed settings
+     */
+    async readSettings(settingsFile) {
+        const content = await fs.readFile(settingsFile, 'utf8');
+        return JSON.parse(content);
+    }
+
+    /**
+     * Build metadata for the first settings file without writing anything
+     * @param {Object} request - Preview request
+     * @param {string} request.settingsDirectory - Directory containing settings files
+     * @param {Object} request.options - Metadata settings and artist
+     * @returns {Promise<Object>} Preview result
+     */
+    async previewMetadata({ settingsDirectory, options = {} }) {
+        try {
+            const settingsFiles = await this.listSettingsFiles(settingsDirectory);
+            if (settingsFiles.length === 0) {
+                return { success: false, error: 'No settings files found in the selected folder' };
+            }
+
+            const settings = await this.readSettings(settingsFiles[0]);
+            const tokenId = Number(options.startTokenId ?? 1);
+            return {
+                success: true,
+                tokenCount: settingsFiles.length,
+                metadata: this.metadataBuilder.buildTokenMetadata(settings, {
+                    ...options,
+                    tokenId,
+                    totalTokens: settingsFiles.length
+                })
+            };
+        } catch (error) {
+            SafeConsole.error('❌ [MetadataExportService] Preview failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Write one metadata file per settings file, plus a combined _metadata.json
+     * @param {Object} request - Generation request
+     * @param {string} request.settingsDirectory - Directory containing settings files
+     * @param {string} request.outputDirectory - Directory receiving <tokenId>.json files
+     * @param {Object} request.options - Metadata settings and artist
+     * @param {boolean} [request.options.omitFileExtension] - Write <tokenId> instead of <tokenId>.json
+     * @returns {Promise<Object>} Generation result
+     */
+    async generateMetadata({ settingsDirectory, outputDirectory, options = {} }) {
+        if (!settingsDirectory || !outputDirectory) {
+            return { success: false, error: 'Both a settings folder and an output folder are required' };
+        }
+
+        try {
+            const settingsFiles = await this.listSettingsFiles(settingsDirectory);
+            if (settingsFiles.length === 0) {
+                return { success: false, error: 'No settings files found in the selected folder' };
+            }
+
+            await fs.mkdir(outputDirectory, { recursive: true });
+
+            const startTokenId = Number(options.startTokenId ?? 1);
+            const collection = [];
+            const failures = [];
+
+            for (let index = 0; index < settingsFiles.length; index++) {
+                const settingsFile = settingsFiles[index];
+                const tokenId = startTokenId + index;
+                try {
+                    const settings = await this.readSettings(settingsFile);
+                    const metadata = this.metadataBuilder.buildTokenMetadata(settings, {
+                        ...options,
+                        tokenId,
+                        totalTokens: settingsFiles.length
+                    });
+
+                    const fileName = options.omitFileExtension ? String(tokenId) : `${tokenId}.json`;
+                    await fs.writeFile(path.join(outputDirectory, fileName), JSON.stringify(metadata, null, 2), 'utf8');
+                    collection.push({ tokenId, settingsFile: path.basename(settingsFile), ...metadata });
+                } catch (error) {
+                    SafeConsole.error(`⚠️ [MetadataExportService] Skipped ${settingsFile}:`, error);
+                    failures.push({ settingsFile: path.basename(settingsFile), error: error.message });
+                }
+            }
+
+            await fs.writeFile(
+                path.join(outputDirectory, '_metadata.json'),
+                JSON.stringify(collection, null, 2),
+                'utf8'
+            );
+
+            SafeConsole.log(`✅ [MetadataExportService] Wrote metadata for ${collection.length} tokens to ${outputDirectory}`);
+            return {
+                success: failures.length === 0,
+                tokenCount: collection.length,
+                outputDirectory,
+                failures,
+                error: failures.length > 0 ? `${failures.length} settings file(s) could not be read` : undefined
+            };
+        } catch (error) {
+            SafeConsole.error('❌ [MetadataExportService] Generation failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+export default MetadataExportService;
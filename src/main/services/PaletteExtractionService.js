@@ -0,0 +1,163 @@
+import sharp from 'sharp';
+import PaletteBuckets from '../../utils/PaletteBuckets.js';
+import SeededRandom from '../../utils/SeededRandom.js';
+import SafeConsole from '../utils/SafeConsole.js';
+
+/**
+ * Service responsible for extracting palettes from reference images only
+ * Follows Single Responsibility Principle
+ *
+ * The image is downsampled with sharp and its pixels are quantized with
+ * k-means (k-means++ seeding from a fixed seed, so the same image always
+ * proposes the same palette). Cluster centers are then sorted into the
+ * neutrals/backgrounds/lights buckets of a color scheme.
+ */
+class PaletteExtractionService {
+    // Longest side of the downsampled image (64x64 = 4096 samples at most)
+    static SAMPLE_SIZE = 64;
+
+    static DEFAULT_COLOR_COUNT = 8;
+    static MAX_ITERATIONS = 20;
+
+    constructor(imageLoader = null) {
+        // Dependency injection following Dependency Inversion Principle
+        this.imageLoader = imageLoader || sharp;
+    }
+
+    /**
+     * Extract a color scheme proposal from an image
+     * @param {string} imagePath - Reference image path
+     * @param {Object} [options]
+     * @param {number} [options.colorCount=8] - Number of clusters (2-16)
+     * @param {number|string} [options.seed] - Seed for cluster initialization
+     * @returns {Promise<Object>} { success, scheme, swatches } or { success: false, error }
+     */
+    async extractPalette(imagePath, { colorCount = PaletteExtractionService.DEFAULT_COLOR_COUNT, seed = 'palette' } = {}) {
+        try {
+            const pixels = await this.readPixels(imagePath);
+            const k = Math.min(16, Math.max(2, Math.round(colorCount)));
+            const clusters = PaletteExtractionService.kMeans(pixels, k, SeededRandom.createGenerator(seed));
+
+            const swatches = clusters.map(cluster => ({
+                color: PaletteBuckets.rgbToHex(cluster.center),
+                weight: cluster.count / pixels.length
+            }));
+
+            SafeConsole.log(`🎨 [PaletteExtractionService] Extracted ${swatches.length} colors from ${imagePath}`);
+            return {
+                success: true,
+                scheme: PaletteBuckets.classify(swatches.map(swatch => swatch.color)),
+                swatches
+            };
+        } catch (error) {
+            SafeConsole.error('Error extracting palette:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Downsampled RGB pixels of an image
+     * @param {string} imagePath - Image path
+     * @returns {Promise<Array<Object>>} [{ r, g, b }]
+     */
+    async readPixels(imagePath) {
+        const size = PaletteExtractionService.SAMPLE_SIZE;
+        const { data, info } = await this.imageLoader(imagePath)
+            .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+            .removeAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const pixels = [];
+        for (let i = 0; i < data.length; i += info.channels) {
+            pixels.push({ r: data[i], g: data[i + 1], b: data[i + 2] });
+        }
+        if (pixels.length === 0) {
+            throw new Error('Image has no pixels');
+        }
+        return pixels;
+    }
+
+    /**
+     * k-means clustering of RGB pixels
+     * @param {Array<Object>} pixels - [{ r, g, b }]
+     * @param {number} k - Cluster count
+     * @param {Function} random - () => number in [0, 1)
+     * @returns {Array<Object>} [{ center: { r, g, b }, count }] largest first, empty clusters dropped
+     */
+    static kMeans(pixels, k, random) {
+        const centers = this.seedCenters(pixels, Math.min(k, pixels.length), random);
+        const assignments = new Array(pixels.length).fill(-1);
+
+        for (let iteration = 0; iteration < this.MAX_ITERATIONS; iteration++) {
+            let changed = false;
+            pixels.forEach((pixel, index) => {
+                const nearest = this.nearest(pixel, centers).index;
+                if (assignments[index] !== nearest) {
+                    assignments[index] = nearest;
+                    changed = true;
+                }
+            });
+            if (!changed) break;
+
+            const sums = centers.map(() => ({ r: 0, g: 0, b: 0, count: 0 }));
+            pixels.forEach((pixel, index) => {
+                const sum = sums[assignments[index]];
+                sum.r += pixel.r;
+                sum.g += pixel.g;
+                sum.b += pixel.b;
+                sum.count++;
+            });
+            sums.forEach((sum, index) => {
+                if (sum.count > 0) {
+                    centers[index] = { r: sum.r / sum.count, g: sum.g / sum.count, b: sum.b / sum.count };
+                }
+            });
+        }
+
+        const counts = centers.map(() => 0);
+        assignments.forEach(index => counts[index]++);
+
+        return centers
+            .map((center, index) => ({ center, count: counts[index] }))
+            .filter(cluster => cluster.count > 0)
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * k-means++ initialization: spread initial centers by squared distance
+     * @private
+     */
+    static seedCenters(pixels, k, random) {
+        const centers = [{ ...pixels[Math.floor(random() * pixels.length)] }];
+
+        while (centers.length < k) {
+            const distances = pixels.map(pixel => this.nearest(pixel, centers).distance);
+            const total = distances.reduce((sum, distance) => sum + distance, 0);
+            if (total === 0) break; // fewer distinct colors than clusters
+
+            let target = random() * total;
+            let chosen = distances.findIndex(distance => (target -= distance) <= 0);
+            if (chosen === -1) chosen = pixels.length - 1;
+            centers.push({ ...pixels[chosen] });
+        }
+
+        return centers;
+    }
+
+    /**
+     * @private
+     */
+    static nearest(pixel, centers) {
+        let best = { index: 0, distance: Infinity };
+        centers.forEach((center, index) => {
+            const distance = (pixel.r - center.r) ** 2 + (pixel.g - center.g) ** 2 + (pixel.b - center.b) ** 2;
+            if (distance < best.distance) {
+                best = { index, distance };
+            }
+        });
+        return best;
+    }
+}
+
+export default PaletteExtractionService;
@@ -0,0 +1,613 @@
+import path from 'path';
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import PaletteBuckets from '../../utils/PaletteBuckets.js';
+import SafeConsole from '../utils/SafeConsole.js';
+
+/**
+ * Service responsible for reading and writing palette files only
+ * Follows Single Responsibility Principle
+ *
+ * Supported formats: Adobe Swatch Exchange (.ase), GIMP palette (.gpl),
+ * Procreate swatches (.swatches, a zip holding Swatches.json), CSS custom
+ * properties (.css) and the color scheme JSON (.json). Imported colors are
+ * mapped onto neutrals/backgrounds/lights by PaletteBuckets.
+ */
+class PaletteFormatService {
+    static FORMATS = {
+        ase: { name: 'Adobe Swatch Exchange', extension: 'ase' },
+        gpl: { name: 'GIMP Palette', extension: 'gpl' },
+        swatches: { name: 'Procreate Swatches', extension: 'swatches' },
+        css: { name: 'CSS Variables', extension: 'css' },
+        json: { name: 'Color Scheme JSON', extension: 'json' }
+    };
+
+    // Procreate palettes hold at most 30 swatches
+    static PROCREATE_MAX_SWATCHES = 30;
+
+    /**
+     * Format key for a file path
+     * @param {string} filePath - Palette file path
+     * @returns {string} Format key
+     * @throws {Error} If the extension is not supported
+     */
+    static getFormatForPath(filePath) {
+        const extension = path.extname(filePath).slice(1).toLowerCase();
+        if (!this.FORMATS[extension]) {
+            throw new Error(`Unsupported palette format: .${extension}`);
+        }
+        return extension;
+    }
+
+    /**
+     * File dialog filters for all supported formats
+     * @returns {Array<Object>} Electron dialog filters
+     */
+    static getDialogFilters() {
+        const formats = Object.values(this.FORMATS);
+        return [
+            { name: 'Palettes', extensions: formats.map(format => format.extension) },
+            ...formats.map(format => ({ name: format.name, extensions: [format.extension] }))
+        ];
+    }
+
+    /**
+     * Encode a color scheme
+     * @param {Object} scheme - { name, description, neutrals, backgrounds, lights }
+     * @param {string} format - Format key
+     * @returns {Buffer} File contents
+     */
+    static encode(scheme, format) {
+        const name = scheme.name || 'Palette';
+        const swatches = PaletteBuckets.toSwatches(scheme);
+
+        switch (format) {
+            case 'ase':
+                return this.encodeAse(name, swatches);
+            case 'gpl':
+                return Buffer.from(this.encodeGpl(name, swatches), 'utf8');
+            case 'swatches':
+                return this.encodeProcreate(name, swatches);
+            case 'css':
+                return Buffer.from(this.encodeCss(name, swatches), 'utf8');
+            case 'json':
+                return Buffer.from(JSON.stringify({
+                    name,
+                    description: scheme.description || '',
+                    ...PaletteBuckets.classify(swatches)
+                }, null, 2), 'utf8');
+            default:
+                throw new Error(`Unsupported palette format: ${format}`);
+        }
+    }
+
+    /**
+     * Decode a palette into a color scheme
+     * @param {Buffer} buffer - File contents
+     * @param {string} format - Format key
+     * @param {string} [fallbackName] - Name used when the file has none
+     * @returns {Object} { name, description, neutrals, backgrounds, lights }
+     */
+    static decode(buffer, format, fallbackName = 'Imported Palette') {
+        let decoded;
+        switch (format) {
+            case 'ase':
+                decoded = this.decodeAse(buffer);
+                break;
+            case 'gpl':
+                decoded = this.decodeGpl(buffer.toString('utf8'));
+                break;
+            case 'swatches':
+                decoded = this.decodeProcreate(buffer);
+                break;
+            case 'css':
+                decoded = this.decodeCss(buffer.toString('utf8'));
+                break;
+            case 'json':
+                decoded = this.decodeJson(buffer.toString('utf8'));
+                break;
+            default:
+                throw new Error(`Unsupported palette format: ${format}`);
+        }
+
+        return {
+            name: decoded.name || fallbackName,
+            description: decoded.description || `Imported from ${this.FORMATS[format].name}`,
+            ...PaletteBuckets.classify(decoded.swatches)
+        };
+    }
+
+    // ---- Adobe Swatch Exchange -------------------------------------------------
+
+    /**
+     * ASE: one group per bucket, RGB float colors
+     * @private
+     */
+    static encodeAse(name, swatches) {
+        const blocks = [];
+        const groups = ['lights', 'neutrals', 'backgrounds'];
+
+        groups.forEach(bucket => {
+            const members = swatches.filter(swatch => swatch.bucket === bucket);
+            if (members.length === 0) return;
+
+            blocks.push(this.aseBlock(0xC001, this.aseString(`${name} ${bucket[0].toUpperCase()}${bucket.slice(1)}`)));
+            members.forEach(swatch => {
+                const { r, g, b } = PaletteBuckets.hexToRgb(swatch.color);
+                const values = Buffer.alloc(4 + 12 + 2);
+                values.write('RGB ', 0, 'ascii');
+                values.writeFloatBE(r / 255, 4);
+                values.writeFloatBE(g / 255, 8);
+                values.writeFloatBE(b / 255, 12);
+                values.writeUInt16BE(2, 16); // normal (non-global, non-spot) color
+                blocks.push(this.aseBlock(0x0001, Buffer.concat([this.aseString(swatch.label), values])));
+            });
+            blocks.push(this.aseBlock(0xC002, Buffer.alloc(0)));
+        });
+
+        const header = Buffer.alloc(12);
+        header.write('ASEF', 0, 'ascii');
+        header.writeUInt16BE(1, 4);
+        header.writeUInt16BE(0, 6);
+        header.writeUInt32BE(blocks.length, 8);
+        return Buffer.concat([header, ...blocks]);
+    }
+
+    /**
+     * @private
+     */
+    static aseBlock(type, data) {
+        const header = Buffer.alloc(6);
+        header.writeUInt16BE(type, 0);
+        header.writeUInt32BE(data.length, 2);
+        return Buffer.concat([header, data]);
+    }
+
+    /**
+     * Length-prefixed, null-terminated UTF-16BE string
+     * @private
+     */
+    static aseString(text) {
+        const value = `${text}\0`;
+        const buffer = Buffer.alloc(2 + value.length * 2);
+        buffer.writeUInt16BE(value.length, 0);
+        for (let i = 0; i < value.length; i++) {
+            buffer.writeUInt16BE(value.charCodeAt(i), 2 + i * 2);
+        }
+        return buffer;
+    }
+
+    /**
+     * @private
+     */
+    static decodeAse(buffer) {
+        if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'ASEF') {
+            throw new Error('Not an Adobe Swatch Exchange file');
+        }
+
+        const blockCount = buffer.readUInt32BE(8);
+        const swatches = [];
+        let offset = 12;
+        let group = null;
+        let name = null;
+
+        const readString = (position) => {
+            const length = buffer.readUInt16BE(position);
+            let text = '';
+            for (let i = 0; i < length; i++) {
+                const code = buffer.readUInt16BE(position + 2 + i * 2);
+                if (code !== 0) text += String.fromCharCode(code);
+            }
+            return { text, end: position + 2 + length * 2 };
+        };
+
+        for (let block = 0; block < blockCount && offset + 6 <= buffer.length; block++) {
+            const type = buffer.readUInt16BE(offset);
+            const length = buffer.readUInt32BE(offset + 2);
+            const start = offset + 6;
+
+            if (type === 0xC001) {
+                group = readString(start).text;
+                // ASE has no palette name; exported groups are "<name> <Bucket>"
+                name = name || group.replace(/\s*(neutrals|backgrounds|lights)$/i, '') || null;
+            } else if (type === 0xC002) {
+                group = null;
+            } else if (type === 0x0001) {
+                const { text, end } = readString(start);
+                const model = buffer.toString('ascii', end, end + 4).trim();
+                const values = [];
+                const valueCount = { RGB: 3, CMYK: 4, LAB: 3, Gray: 1 }[model] || 0;
+                for (let i = 0; i < valueCount; i++) {
+                    values.push(buffer.readFloatBE(end + 4 + i * 4));
+                }
+
+                const rgb = this.aseValuesToRgb(model, values);
+                if (rgb) {
+                    swatches.push({ color: PaletteBuckets.rgbToHex(rgb), label: `${group || ''} ${text}`.trim() });
+                }
+            }
+
+            offset = start + length;
+        }
+
+        return { name, swatches };
+    }
+
+    /**
+     * @private
+     */
+    static aseValuesToRgb(model, values) {
+        switch (model) {
+            case 'RGB':
+                return { r: values[0] * 255, g: values[1] * 255, b: values[2] * 255 };
+            case 'Gray':
+                return { r: values[0] * 255, g: values[0] * 255, b: values[0] * 255 };
+            case 'CMYK': {
+                const [c, m, y, k] = values;
+                return { r: 255 * (1 - c) * (1 - k), g: 255 * (1 - m) * (1 - k), b: 255 * (1 - y) * (1 - k) };
+            }
+            case 'LAB':
+                return this.labToRgb(values[0] * 100, values[1], values[2]);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * CIE L*a*b* (D50) to sRGB
+     * @private
+     */
+    static labToRgb(l, a, b) {
+        const fy = (l + 16) / 116;
+        const fx = fy + a / 500;
+        const fz = fy - b / 200;
+        const pivot = (t) => (t ** 3 > 0.008856 ? t ** 3 : (t - 16 / 116) / 7.787);
+
+        const x = 0.9642 * pivot(fx);
+        const y = 1.0 * pivot(fy);
+        const z = 0.8251 * pivot(fz);
+
+        // Bradford-adapted D50 XYZ to linear sRGB
+        const linear = [
+            3.1338561 * x - 1.6168667 * y - 0.4906146 * z,
+            -0.9787684 * x + 1.9161415 * y + 0.0334540 * z,
+            0.0719453 * x - 0.2289914 * y + 1.4052427 * z
+        ];
+        const [r, g, bl] = linear.map(channel => {
+            const value = Math.min(1, Math.max(0, channel));
+            return 255 * (value <= 0.0031308 ? 12.92 * value : 1.055 * value ** (1 / 2.4) - 0.055);
+        });
+        return { r, g, b: bl };
+    }
+
+    // ---- GIMP palette ----------------------------------------------------------
+
+    /**
+     * @private
+     */
+    static encodeGpl(name, swatches) {
+        const lines = ['GIMP Palette', `Name: ${name}`, 'Columns: 6', '#'];
+        swatches.forEach(swatch => {
+            const { r, g, b } = PaletteBuckets.hexToRgb(swatch.color);
+            lines.push(`${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${swatch.label}`);
+        });
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * @private
+     */
+    static decodeGpl(text) {
+        const lines = text.split(/\r?\n/);
+        if (!lines[0]?.trim().startsWith('GIMP Palette')) {
+            throw new Error('Not a GIMP palette file');
+        }
+
+        let name = null;
+        const swatches = [];
+        lines.slice(1).forEach(line => {
+            const nameMatch = line.match(/^Name:\s*(.+)$/);
+            if (nameMatch) {
+                name = nameMatch[1].trim();
+                return;
+            }
+
+            const colorMatch = line.match(/^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})\s*(.*)$/);
+            if (colorMatch) {
+                const [, r, g, b, label] = colorMatch;
+                swatches.push({ color: PaletteBuckets.rgbToHex({ r: +r, g: +g, b: +b }), label: label.trim() });
+            }
+        });
+
+        return { name, swatches };
+    }
+
+    // ---- Procreate swatches ----------------------------------------------------
+
+    /**
+     * @private
+     */
+    static encodeProcreate(name, swatches) {
+        const entries = swatches.slice(0, this.PROCREATE_MAX_SWATCHES).map(swatch => {
+            const { r, g, b } = PaletteBuckets.hexToRgb(swatch.color);
+            return { ...this.rgbToHsb(r, g, b), alpha: 1, colorSpace: 0 };
+        });
+
+        const json = JSON.stringify([{ name, swatches: entries }]);
+        return this.createZip([{ name: 'Swatches.json', data: Buffer.from(json, 'utf8') }]);
+    }
+
+    /**
+     * @private
+     */
+    static decodeProcreate(buffer) {
+        const files = this.readZip(buffer);
+        const swatchesFile = files['Swatches.json'];
+        if (!swatchesFile) {
+            throw new Error('Procreate swatches file has no Swatches.json');
+        }
+
+        const parsed = JSON.parse(swatchesFile.toString('utf8'));
+        const palette = Array.isArray(parsed) ? parsed[0] : parsed;
+        const swatches = (palette?.swatches || [])
+            .filter(Boolean)
+            .map(swatch => ({ color: PaletteBuckets.rgbToHex(this.hsbToRgb(swatch.hue, swatch.saturation, swatch.brightness)) }));
+
+        return { name: palette?.name || null, swatches };
+    }
+
+    /**
+     * @private
+     */
+    static rgbToHsb(r, g, b) {
+        const max = Math.max(r, g, b) / 255;
+        const min = Math.min(r, g, b) / 255;
+        const delta = max - min;
+        let hue = 0;
+
+        if (delta > 0) {
+            const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+            if (max === rn) hue = ((gn - bn) / delta) % 6;
+            else if (max === gn) hue = (bn - rn) / delta + 2;
+            else hue = (rn - gn) / delta + 4;
+            hue = ((hue * 60) + 360) % 360 / 360;
+        }
+
+        return { hue, saturation: max === 0 ? 0 : delta / max, brightness: max };
+    }
+
+    /**
+     * @private
+     */
+    static hsbToRgb(hue = 0, saturation = 0, brightness = 0) {
+        const h = (hue % 1) * 6;
+        const chroma = brightness * saturation;
+        const x = chroma * (1 - Math.abs((h % 2) - 1));
+        const m = brightness - chroma;
+        const [r, g, b] = [
+            [chroma, x, 0], [x, chroma, 0], [0, chroma, x],
+            [0, x, chroma], [x, 0, chroma], [chroma, 0, x]
+        ][Math.floor(h) % 6];
+        return { r: (r + m) * 255, g: (g + m) * 255, b: (b + m) * 255 };
+    }
+
+    // ---- CSS variables ---------------------------------------------------------
+
+    /**
+     * @private
+     */
+    static encodeCss(name, swatches) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'palette';
+        const lines = swatches.map(swatch =>
+            `  --${slug}-${swatch.label.toLowerCase().replace(/\s+/g, '-')}: ${swatch.color};`
+        );
+        return `/* ${name} */\n:root {\n${lines.join('\n')}\n}\n`;
+    }
+
+    /**
+     * @private
+     */
+    static decodeCss(text) {
+        const swatches = [];
+        const pattern = /--([\w-]+)\s*:\s*(#[0-9a-f]{3,8}\b|rgba?\(\s*[\d.]+\s*,\s*[\d.]+\s*,\s*[\d.]+[^)]*\))/gi;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const [, label, value] = match;
+            const rgbMatch = value.match(/rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)/i);
+            const color = rgbMatch
+                ? PaletteBuckets.rgbToHex({ r: +rgbMatch[1], g: +rgbMatch[2], b: +rgbMatch[3] })
+                : PaletteBuckets.normalizeHex(value);
+            if (color) {
+                swatches.push({ color, label });
+            }
+        }
+
+        const comment = text.match(/^\s*\/\*\s*(.+?)\s*\*\//);
+        return { name: comment ? comment[1] : null, swatches };
+    }
+
+    // ---- Color scheme JSON -----------------------------------------------------
+
+    /**
+     * Accepts a color scheme, { colors: [...] } or a plain array of hex colors
+     * @private
+     */
+    static decodeJson(text) {
+        const parsed = JSON.parse(text);
+
+        if (Array.isArray(parsed)) {
+            return { swatches: parsed };
+        }
+        if (Array.isArray(parsed.colors) && !parsed.lights) {
+            return { name: parsed.name, description: parsed.description, swatches: parsed.colors };
+        }
+        return {
+            name: parsed.name,
+            description: parsed.description,
+            swatches: PaletteBuckets.toSwatches(parsed)
+        };
+    }
+
+    // ---- Zip (Procreate container) ---------------------------------------------
+
+    /**
+     * Minimal zip writer (deflate, no comments)
+     * @param {Array<Object>} entries - [{ name, data: Buffer }]
+     * @returns {Buffer} Zip archive
+     * @private
+     */
+    static createZip(entries) {
+        const locals = [];
+        const centrals = [];
+        let offset = 0;
+
+        entries.forEach(({ name, data }) => {
+            const nameBuffer = Buffer.from(name, 'utf8');
+            const compressed = zlib.deflateRawSync(data);
+            const crc = crc32(data);
+
+            const local = Buffer.alloc(30);
+            local.writeUInt32LE(0x04034b50, 0);
+            local.writeUInt16LE(20, 4);
+            local.writeUInt16LE(8, 8);
+            local.writeUInt16LE(0x21, 12); // 1980-01-01
+            local.writeUInt32LE(crc, 14);
+            local.writeUInt32LE(compressed.length, 18);
+            local.writeUInt32LE(data.length, 22);
+            local.writeUInt16LE(nameBuffer.length, 26);
+            locals.push(local, nameBuffer, compressed);
+
+            const central = Buffer.alloc(46);
+            central.writeUInt32LE(0x02014b50, 0);
+            central.writeUInt16LE(20, 4);
+            central.writeUInt16LE(20, 6);
+            central.writeUInt16LE(8, 10);
+            central.writeUInt16LE(0x21, 14);
+            central.writeUInt32LE(crc, 16);
+            central.writeUInt32LE(compressed.length, 20);
+            central.writeUInt32LE(data.length, 24);
+            central.writeUInt16LE(nameBuffer.length, 28);
+            central.writeUInt32LE(offset, 42);
+            centrals.push(central, nameBuffer);
+
+            offset += local.length + nameBuffer.length + compressed.length;
+        });
+
+        const centralDirectory = Buffer.concat(centrals);
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(entries.length, 8);
+        end.writeUInt16LE(entries.length, 10);
+        end.writeUInt32LE(centralDirectory.length, 12);
+        end.writeUInt32LE(offset, 16);
+
+        return Buffer.concat([...locals, centralDirectory, end]);
+    }
+
+    /**
+     * Minimal zip reader (stored and deflate entries)
+     * @param {Buffer} buffer - Zip archive
+     * @returns {Object} File contents by name
+     * @private
+     */
+    static readZip(buffer) {
+        let end = buffer.length - 22;
+        while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054b50) {
+            end--;
+        }
+        if (end < 0) {
+            throw new Error('Not a zip archive');
+        }
+
+        const files = {};
+        const count = buffer.readUInt16LE(end + 10);
+        let offset = buffer.readUInt32LE(end + 16);
+
+        for (let i = 0; i < count; i++) {
+            const method = buffer.readUInt16LE(offset + 10);
+            const compressedSize = buffer.readUInt32LE(offset + 20);
+            const nameLength = buffer.readUInt16LE(offset + 28);
+            const extraLength = buffer.readUInt16LE(offset + 30);
+            const commentLength = buffer.readUInt16LE(offset + 32);
+            const localOffset = buffer.readUInt32LE(offset + 42);
+            const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+            const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+            const data = buffer.subarray(dataStart, dataStart + compressedSize);
+            if (method === 0) {
+                files[name] = data;
+            } else if (method === 8) {
+                files[name] = zlib.inflateRawSync(data);
+            }
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return files;
+    }
+
+    // ---- Files -----------------------------------------------------------------
+
+    /**
+     * Import a palette file
+     * @param {string} filePath - Palette file path
+     * @returns {Promise<Object>} { success, scheme } or { success: false, error }
+     */
+    async importPalette(filePath) {
+        try {
+            const format = PaletteFormatService.getFormatForPath(filePath);
+            const buffer = await fs.readFile(filePath);
+            const scheme = PaletteFormatService.decode(buffer, format, path.basename(filePath, path.extname(filePath)));
+
+            SafeConsole.log(`🎨 [PaletteFormatService] Imported ${format} palette "${scheme.name}"`);
+            return { success: true, scheme, format };
+        } catch (error) {
+            SafeConsole.error('Error importing palette:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Export a color scheme as a palette file
+     * @param {string} filePath - Output path
+     * @param {Object} scheme - Color scheme
+     * @param {string} [format] - Format key (defaults to the path's extension)
+     * @returns {Promise<Object>} { success, filePath } or { success: false, error }
+     */
+    async exportPalette(filePath, scheme, format = null) {
+        try {
+            const resolvedFormat = format || PaletteFormatService.getFormatForPath(filePath);
+            await fs.writeFile(filePath, PaletteFormatService.encode(scheme, resolvedFormat));
+
+            SafeConsole.log(`🎨 [PaletteFormatService] Exported ${resolvedFormat} palette to ${filePath}`);
+            return { success: true, filePath };
+        } catch (error) {
+            SafeConsole.error('Error exporting palette:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer (zip entries)
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC
+ */
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+export default PaletteFormatService;
@@ -0,0 +1,223 @@
+import fs from 'fs';
+import path from 'path';
+import SafeConsole from '../utils/SafeConsole.js';
+
+// Editors save in bursts (temp file, rename, chmod); wait for the burst to end
+export const DEV_RELOAD_DEBOUNCE_MS = 300;
+
+// Written by the plugin loader itself or by tooling, never plugin source
+const IGNORED_DIRECTORIES = ['node_modules', '.git'];
+const IGNORED_FILE_PATTERN = /(~|\.swp|\.swx|\.tmp)$|^\.#/;
+
+/**
+ * Service responsible for plugin developer mode only
+ * Follows Single Responsibility Principle
+ *
+ * Watches the source directory of local plugins and hot reloads a plugin
+ * when one of its files changes. The reload itself is delegated (in the app
+ * to PluginLoaderOrchestrator.hotReloadPlugin), results are reported through
+ * onReload so load errors reach the UI instead of the console.
+ *
+ * Reloads of one plugin never overlap: changes made while a reload runs
+ * trigger exactly one more reload once it finishes.
+ */
+class PluginDevModeService {
+    /**
+     * @param {Object} options
+     * @param {Function} options.reloadPlugin - async (pluginName) => result ({ success, error?, stack? })
+     * @param {Function} [options.onReload] - (result) => void, called after every reload
+     * @param {number} [options.debounceMs] - Quiet period before reloading
+     */
+    constructor({ reloadPlugin, onReload = null, debounceMs = DEV_RELOAD_DEBOUNCE_MS }) {
+        this.reloadPlugin = reloadPlugin;
+        this.onReload = onReload;
+        this.debounceMs = debounceMs;
+        // pluginName -> { watcher, watchPath, timer, running, pending, lastResult, changedFiles }
+        this.watched = new Map();
+    }
+
+    /**
+     * Start watching a plugin's source
+     * @param {string} pluginName - Plugin name
+     * @param {string} pluginPath - Plugin directory or entry file
+     * @returns {Promise<Object>} { success, watchPath } or { success: false, error }
+     */
+    async watch(pluginName, pluginPath) {
+        try {
+            if (this.watched.has(pluginName)) {
+                return { success: true, watchPath: this.watched.get(pluginName).watchPath };
+            }
+
+            const stats = await fs.promises.stat(pluginPath);
+            const watchPath = stats.isDirectory() ? pluginPath : path.dirname(pluginPath);
+
+            const entry = {
+                watcher: null,
+                watchPath,
+                timer: null,
+                running: null,
+                pending: false,
+                lastResult: null,
+                changedFiles: new Set()
+            };
+
+            entry.watcher = fs.watch(watchPath, { recursive: true }, (eventType, filename) => {
+                this.handleChange(pluginName, filename);
+            });
+            entry.watcher.on('error', (error) => {
+                SafeConsole.error(`❌ [PluginDevModeService] Watcher failed for ${pluginName}:`, error);
+                this.unwatch(pluginName);
+                this._report({
+                    success: false,
+                    plugin: pluginName,
+                    error: `Stopped watching ${watchPath}: ${error.message}`,
+                    stack: error.stack || null
+                });
+            });
+
+            this.watched.set(pluginName, entry);
+            SafeConsole.log(`👀 [PluginDevModeService] Watching ${pluginName}: ${watchPath}`);
+
+            return { success: true, watchPath };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Stop watching a plugin
+     * @param {string} pluginName - Plugin name
+     * @returns {boolean} True if the plugin was being watched
+     */
+    unwatch(pluginName) {
+        const entry = this.watched.get(pluginName);
+        if (!entry) {
+            return false;
+        }
+
+        clearTimeout(entry.timer);
+        entry.watcher.close();
+        this.watched.delete(pluginName);
+        SafeConsole.log(`🛑 [PluginDevModeService] Stopped watching ${pluginName}`);
+        return true;
+    }
+
+    /**
+     * Stop watching all plugins
+     */
+    unwatchAll() {
+        [...this.watched.keys()].forEach(pluginName => this.unwatch(pluginName));
+    }
+
+    /**
+     * @param {string} pluginName - Plugin name
+     * @returns {boolean}
+     */
+    isWatching(pluginName) {
+        return this.watched.has(pluginName);
+    }
+
+    /**
+     * @returns {Array<Object>} [{ plugin, watchPath, reloading, lastResult }]
+     */
+    getStatus() {
+        return [...this.watched.entries()].map(([pluginName, entry]) => ({
+            plugin: pluginName,
+            watchPath: entry.watchPath,
+            reloading: Boolean(entry.running),
+            lastResult: entry.lastResult
+        }));
+    }
+
+    /**
+     * Schedule a reload for a changed file
+     * @param {string} pluginName - Plugin name
+     * @param {string|null} filename - Changed path relative to the watched directory
+     */
+    handleChange(pluginName, filename) {
+        const entry = this.watched.get(pluginName);
+        if (!entry || PluginDevModeService.isIgnored(filename)) {
+            return;
+        }
+
+        if (filename) {
+            entry.changedFiles.add(filename);
+        }
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => {
+            entry.timer = null;
+            this.reload(pluginName);
+        }, this.debounceMs);
+    }
+
+    /**
+     * Reload a watched plugin now
+     * When a reload is already running another one is queued after it.
+     * @param {string} pluginName - Plugin name
+     * @returns {Promise<Object|null>} Reload result, null when the plugin is not watched
+     */
+    async reload(pluginName) {
+        const entry = this.watched.get(pluginName);
+        if (!entry) {
+            return null;
+        }
+        if (entry.running) {
+            entry.pending = true;
+            return entry.running;
+        }
+
+        const changedFiles = [...entry.changedFiles];
+        entry.changedFiles.clear();
+
+        entry.running = (async () => {
+            let result;
+            try {
+                result = await this.reloadPlugin(pluginName);
+            } catch (error) {
+                result = { success: false, plugin: pluginName, error: error.message, stack: error.stack || null };
+            }
+            return { ...result, plugin: pluginName, changedFiles, timestamp: new Date().toISOString() };
+        })();
+
+        const result = await entry.running;
+        entry.running = null;
+        entry.lastResult = result;
+        this._report(result);
+
+        if (entry.pending && this.watched.get(pluginName) === entry) {
+            entry.pending = false;
+            return this.reload(pluginName);
+        }
+        return result;
+    }
+
+    /**
+     * @param {Object} result - Reload result
+     * @private
+     */
+    _report(result) {
+        if (!this.onReload) {
+            return;
+        }
+        try {
+            this.onReload(result);
+        } catch (error) {
+            SafeConsole.error('⚠️ [PluginDevModeService] Reload listener failed:', error);
+        }
+    }
+
+    /**
+     * @param {string|null} filename - Path relative to the watched directory
+     * @returns {boolean} True for files that never affect the plugin
+     */
+    static isIgnored(filename) {
+        if (!filename) {
+            return false;
+        }
+        const segments = filename.split(/[\\/]/);
+        return segments.some(segment => IGNORED_DIRECTORIES.includes(segment))
+            || IGNORED_FILE_PATTERN.test(segments[segments.length - 1]);
+    }
+}
+
+export default PluginDevModeService;
@@ -0,0 +1,547 @@
+import fs from 'fs/promises';
+import path from 'path';
+import SafeConsole from '../utils/SafeConsole.js';
+
+/**
+ * Capabilities a plugin can request in its manifest
+ * Anything not listed here (child processes, writing files, ...) is never granted.
+ */
+export const PLUGIN_CAPABILITIES = {
+    'fs-read': {
+        label: 'Read files',
+        description: 'Read files and folders on this computer'
+    },
+    network: {
+        label: 'Network access',
+        description: 'Send and receive data over the internet'
+    },
+    'native-modules': {
+        label: 'Native modules',
+        description: 'Load compiled native code that runs outside the JavaScript engine'
+    },
+    'unrestricted-dependencies': {
+        label: 'Unrestricted dependencies',
+        description: 'Ship packages that start processes, write files or load code the audit cannot check'
+    }
+};
+
+export const MANIFEST_FILE = 'nft-plugin.json';
+
+// Node built-ins (and app packages) that need a capability
+const MODULE_CAPABILITIES = {
+    fs: 'fs-read',
+    http: 'network',
+    https: 'network',
+    http2: 'network',
+    net: 'network',
+    tls: 'network',
+    dgram: 'network',
+    dns: 'network',
+    undici: 'network',
+    bindings: 'native-modules',
+    'node-gyp-build': 'native-modules'
+};
+
+// Modules no capability grants (module's createRequire would hide what gets loaded)
+const FORBIDDEN_MODULES = ['child_process', 'cluster', 'vm', 'worker_threads', 'inspector', 'module'];
+
+const SOURCE_CAPABILITIES = [
+    { capability: 'network', pattern: /\bfetch\s*\(|\bnew\s+WebSocket\b|\bXMLHttpRequest\b/ },
+    { capability: 'native-modules', pattern: /\bprocess\.dlopen\b|\.node['"]\s*\)/ }
+];
+
+// Ways around the import audit that no capability allows
+const FORBIDDEN_SOURCE_PATTERNS = [
+    { reason: 'process internals', pattern: /\bprocess\s*\.\s*(?:binding|_linkedBinding|mainModule)\b/ },
+    // require(x) / import(x) whose specifier is not a plain string literal
+    {
+        reason: 'computed module specifiers',
+        pattern: /(?<![\w$.]|function\s+)(?:require|import)\s*\(\s*(?!['"][^'"\n]*['"]\s*\))/
+    }
+];
+
+// Write calls refused even with fs-read (only checked in files that import fs)
+const FS_WRITE_PATTERN = /\b(writeFile|writeFileSync|appendFile|appendFileSync|createWriteStream|mkdir|mkdirSync|rm|rmSync|rmdir|rmdirSync|unlink|unlinkSync|rename|renameSync|copyFile|copyFileSync|chmod|chmodSync)\s*\(/;
+
+// Keywords a regular expression literal can follow (after them "/" is not a division)
+const REGEX_KEYWORD_PATTERN = /(?:^|[^\w$])(?:return|typeof|case|do|else|in|of|new|delete|void|throw|yield|await)\s*$/;
+
+const IMPORT_PATTERN = /(?:\bfrom\s*|\bimport\s*\(\s*|\brequire\s*\(\s*|\bimport\s+)['"]([^'"]+)['"]/g;
+
+// Directories that never hold loadable code; dist and build ship with the plugin and are audited
+const SKIPPED_DIRECTORIES = ['.git'];
+
+// Packages whose imports SecurePluginLoader rewrites to the app's own copies, so a plugin's copies never run
+const APP_PACKAGES = ['my-nft-gen', 'sharp', '@img'];
+
+/**
+ * Service responsible for plugin manifests only
+ * Follows Single Responsibility Principle
+ *
+ * A plugin declares itself in nft-plugin.json (or the "nftPlugin" field of
+ * its package.json):
+ *   {
+ *     "name": "my-effects",
+ *     "version": "1.2.0",
+ *     "myNftGen": "^1.7.0",
+ *     "effects": ["glow-ring", "pixel-rain"],
+ *     "capabilities": ["fs-read"]
+ *   }
+ *
+ * Capabilities are approved by the user at install time. Before a plugin is
+ * loaded its source is audited statically: imports and calls that need an
+ * undeclared capability, or that no capability allows (including computed
+ * module specifiers), refuse the load. In shipped dependencies, what the
+ * plugin's own code may not do is instead reported as the
+ * "unrestricted-dependencies" capability for the user to approve.
+ *
+ * The audit is a best-effort check of what a plugin declares, not a sandbox:
+ * plugins loaded in the main process run with the app's permissions, and
+ * code that hides what it calls can still get past a static scan.
+ */
+class PluginManifestService {
+    /**
+     * Read a plugin's manifest
+     * Plugins written before manifests existed get a legacy manifest instead,
+     * see createLegacyManifest.
+     * @param {string} pluginDir - Plugin root directory
+     * @returns {Promise<Object>} { success, manifest } or { success: false, error }
+     */
+    async readManifest(pluginDir) {
+        try {
+            const packageJson = await this.readJson(path.join(pluginDir, 'package.json'));
+            const manifestJson = await this.readJson(path.join(pluginDir, MANIFEST_FILE));
+            const raw = manifestJson || packageJson?.nftPlugin;
+
+            if (!raw) {
+                return { success: true, manifest: await this.createLegacyManifest(pluginDir, packageJson) };
+            }
+
+            return {
+                success: true,
+                manifest: this.validateManifest({
+                    ...raw,
+                    name: raw.name || packageJson?.name,
+                    version: raw.version || packageJson?.version
+                })
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Manifest for a plugin without nft-plugin.json or "nftPlugin"
+     * The capabilities are the ones its code is found to use, so a plugin that
+     * was installed before manifests existed asks for approval of exactly those
+     * instead of failing to load. Its effects are not declared, so they are not checked.
+     * @param {string} pluginDir - Plugin root directory
+     * @param {Object|null} packageJson - The plugin's package.json, if any
+     * @returns {Promise<Object>} Validated manifest with legacy: true
+     */
+    async createLegacyManifest(pluginDir, packageJson) {
+        const audit = await this.auditDirectory(pluginDir);
+        const manifest = this.validateManifest({
+            name: packageJson?.name || path.basename(pluginDir),
+            version: this.parseVersion(packageJson?.version) ? packageJson.version : '0.0.0',
+            myNftGen: '*',
+            capabilities: [...new Set(audit.required.map(usage => usage.capability))]
+        });
+        return { ...manifest, legacy: true };
+    }
+
+    /**
+     * Validate and normalize a manifest
+     * @param {Object} raw - Manifest JSON
+     * @returns {Object} { name, version, myNftGen, effects, capabilities }
+     * @throws {Error} When a field is missing or invalid
+     */
+    validateManifest(raw) {
+        if (!raw || typeof raw !== 'object') {
+            throw new Error('Plugin manifest must be an object');
+        }
+        if (typeof raw.name !== 'string' || !raw.name.trim()) {
+            throw new Error('Plugin manifest is missing "name"');
+        }
+        if (typeof raw.version !== 'string' || !this.parseVersion(raw.version)) {
+            throw new Error('Plugin manifest needs a semantic "version" (e.g. 1.0.0)');
+        }
+        if (typeof raw.myNftGen !== 'string' || !raw.myNftGen.trim()) {
+            throw new Error('Plugin manifest is missing the compatible "myNftGen" version range');
+        }
+        this.parseRange(raw.myNftGen);
+
+        const effects = raw.effects ?? [];
+        if (!Array.isArray(effects) || effects.some(effect => typeof effect !== 'string' || !effect)) {
+            throw new Error('Plugin manifest "effects" must be a list of effect names');
+        }
+
+        const capabilities = raw.capabilities ?? [];
+        if (!Array.isArray(capabilities)) {
+            throw new Error('Plugin manifest "capabilities" must be a list');
+        }
+        const unknown = capabilities.filter(capability => !PLUGIN_CAPABILITIES[capability]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown plugin capabilities: ${unknown.join(', ')}`);
+        }
+
+        return {
+            name: raw.name.trim(),
+            version: raw.version,
+            myNftGen: raw.myNftGen.trim(),
+            effects: [...new Set(effects)],
+            capabilities: [...new Set(capabilities)]
+        };
+    }
+
+    /**
+     * Capabilities with their labels, for approval prompts
+     * @param {Array<string>} capabilities - Capability keys
+     * @returns {Array<Object>} [{ id, label, description }]
+     */
+    describeCapabilities(capabilities = []) {
+        return capabilities
+            .filter(capability => PLUGIN_CAPABILITIES[capability])
+            .map(capability => ({ id: capability, ...PLUGIN_CAPABILITIES[capability] }));
+    }
+
+    /**
+     * Requested capabilities the user has not approved
+     * @param {Object} manifest - Validated manifest
+     * @param {Array<string>} approvedCapabilities - Approved capability keys
+     * @returns {Array<string>}
+     */
+    getUnapprovedCapabilities(manifest, approvedCapabilities = []) {
+        return manifest.capabilities.filter(capability => !approvedCapabilities.includes(capability));
+    }
+
+    /**
+     * Check a manifest, its approvals and the plugin source before loading
+     * @param {string} pluginDir - Plugin root directory
+     * @param {Object} options
+     * @param {Array<string>} [options.approvedCapabilities] - Capabilities approved at install
+     * @param {string|null} [options.myNftGenVersion] - Installed my-nft-gen version
+     * @returns {Promise<Object>} { success, manifest } or { success: false, error, manifest? }
+     */
+    async verifyPlugin(pluginDir, { approvedCapabilities = [], myNftGenVersion = null } = {}) {
+        const read = await this.readManifest(pluginDir);
+        if (!read.success) {
+            return read;
+        }
+        const { manifest } = read;
+
+        if (myNftGenVersion && !this.satisfies(myNftGenVersion, manifest.myNftGen)) {
+            return {
+                success: false,
+                manifest,
+                error: `${manifest.name} requires my-nft-gen ${manifest.myNftGen} (installed: ${myNftGenVersion})`
+            };
+        }
+        if (!myNftGenVersion) {
+            SafeConsole.log(`⚠️ [PluginManifestService] my-nft-gen version unknown, skipping compatibility check for ${manifest.name}`);
+        }
+
+        const unapproved = this.getUnapprovedCapabilities(manifest, approvedCapabilities);
+        if (unapproved.length > 0) {
+            return {
+                success: false,
+                manifest,
+                requiresApproval: true,
+                error: `${manifest.name} requests capabilities that were not approved: ${unapproved.join(', ')}`
+            };
+        }
+
+        const audit = await this.auditDirectory(pluginDir);
+        if (audit.forbidden.length > 0) {
+            const [first] = audit.forbidden;
+            return { success: false, manifest, error: `${manifest.name} uses ${first.reason} in ${first.file}, which plugins may not do` };
+        }
+
+        const undeclared = audit.required.filter(usage => !manifest.capabilities.includes(usage.capability));
+        if (undeclared.length > 0) {
+            const [first] = undeclared;
+            return {
+                success: false,
+                manifest,
+                error: `${manifest.name} uses the undeclared capability "${first.capability}" in ${first.file}`
+            };
+        }
+
+        SafeConsole.log(`✅ [PluginManifestService] Manifest verified: ${manifest.name}@${manifest.version}`);
+        return { success: true, manifest };
+    }
+
+    /**
+     * Effects a plugin registered without declaring them
+     * @param {Object} manifest - Validated manifest
+     * @param {Array<string>} registeredNames - Names passed to the registry
+     * @returns {Array<string>}
+     */
+    getUndeclaredEffects(manifest, registeredNames) {
+        if (manifest.legacy) {
+            return [];
+        }
+        return registeredNames.filter(name => !manifest.effects.includes(name));
+    }
+
+    /**
+     * Statically audit a plugin's sources for capability use
+     * Covers the plugin's own files and its node_modules, except the app
+     * packages in APP_PACKAGES. Findings in dependencies that no capability
+     * allows are required as "unrestricted-dependencies" instead of forbidden.
+     * Symlinks are not followed: the only ones a loaded plugin has are the app
+     * packages the loader links into its node_modules.
+     * @param {string} pluginDir - Plugin root directory
+     * @returns {Promise<Object>} { required: [{ capability, file }], forbidden: [{ reason, file }] }
+     */
+    async auditDirectory(pluginDir) {
+        const required = [];
+        const forbidden = [];
+
+        const walk = async (dir, inDependency) => {
+            const entries = await fs.readdir(dir, { withFileTypes: true });
+            for (const entry of entries) {
+                const fullPath = path.join(dir, entry.name);
+                const file = path.relative(pluginDir, fullPath);
+
+                if (entry.isDirectory()) {
+                    const isAppPackage = path.basename(dir) === 'node_modules' && APP_PACKAGES.includes(entry.name);
+                    if (!SKIPPED_DIRECTORIES.includes(entry.name) && !isAppPackage) {
+                        await walk(fullPath, inDependency || entry.name === 'node_modules');
+                    }
+                } else if (entry.name.endsWith('.node')) {
+                    required.push({ capability: 'native-modules', file });
+                } else if (/\.(m|c)?js$/.test(entry.name)) {
+                    const result = this.auditSource(await fs.readFile(fullPath, 'utf8'));
+                    result.capabilities.forEach(capability => required.push({ capability, file }));
+                    result.forbidden.forEach(reason => {
+                        if (inDependency) {
+                            required.push({ capability: 'unrestricted-dependencies', file, reason });
+                        } else {
+                            forbidden.push({ reason, file });
+                        }
+                    });
+                }
+            }
+        };
+
+        await walk(pluginDir, false);
+        return { required, forbidden };
+    }
+
+    /**
+     * Capabilities a source file needs and what it uses that is never allowed
+     * @param {string} source - JavaScript source
+     * @returns {Object} { capabilities: Array<string>, forbidden: Array<string> }
+     */
+    auditSource(source) {
+        const code = this.stripComments(source);
+        const capabilities = new Set();
+        const forbidden = new Set();
+
+        for (const [, specifier] of code.matchAll(IMPORT_PATTERN)) {
+            const moduleName = specifier.replace(/^node:/, '').split('/')[0];
+            if (FORBIDDEN_MODULES.includes(moduleName)) {
+                forbidden.add(`the "${moduleName}" module`);
+            } else if (MODULE_CAPABILITIES[moduleName]) {
+                capabilities.add(MODULE_CAPABILITIES[moduleName]);
+            }
+        }
+
+        SOURCE_CAPABILITIES.forEach(({ capability, pattern }) => {
+            if (pattern.test(code)) capabilities.add(capability);
+        });
+        FORBIDDEN_SOURCE_PATTERNS.forEach(({ reason, pattern }) => {
+            if (pattern.test(code)) forbidden.add(reason);
+        });
+
+        if (capabilities.has('fs-read') && FS_WRITE_PATTERN.test(code)) {
+            forbidden.add('file system writes');
+        }
+
+        return { capabilities: [...capabilities], forbidden: [...forbidden] };
+    }
+
+    /**
+     * Source with its comments blanked out, so text in them is not audited
+     * String, template and regular expression literals are kept as they are;
+     * newlines inside block comments are kept.
+     * @param {string} code - JavaScript source
+     * @returns {string}
+     */
+    stripComments(code) {
+        let result = '';
+        let index = 0;
+        // Last significant character, to tell a regular expression from a division
+        let previous = '';
+
+        while (index < code.length) {
+            const char = code[index];
+            const next = code[index + 1];
+
+            if (char === '/' && next === '/') {
+                const end = code.indexOf('\n', index);
+                index = end === -1 ? code.length : end;
+                continue;
+            }
+            if (char === '/' && next === '*') {
+                const end = code.indexOf('*/', index + 2);
+                const comment = code.slice(index, end === -1 ? code.length : end + 2);
+                result += comment.replace(/[^\n]/g, ' ');
+                index += comment.length;
+                continue;
+            }
+
+            const isRegex = char === '/' && (previous === ''
+                || /[(,=:[!&|?{};+\-*%<>~^]/.test(previous)
+                || REGEX_KEYWORD_PATTERN.test(result));
+            if (char === '"' || char === "'" || char === '`' || isRegex) {
+                let end = index + 1;
+                let inClass = false;
+                while (end < code.length) {
+                    const current = code[end];
+                    if (current === '\\') {
+                        end += 2;
+                        continue;
+                    }
+                    if (isRegex && current === '[') inClass = true;
+                    if (isRegex && current === ']') inClass = false;
+                    if (current === char && !inClass) break;
+                    if (current === '\n' && char !== '`') break;
+                    end++;
+                }
+                result += code.slice(index, end + 1);
+                index = end + 1;
+                previous = char;
+                continue;
+            }
+
+            result += char;
+            if (!/\s/.test(char)) previous = char;
+            index++;
+        }
+
+        return result;
+    }
+
+    /**
+     * @param {string} version - Version such as 1.7.0 or v1.7.0-beta.1
+     * @returns {Array<number>|null} [major, minor, patch]
+     */
+    parseVersion(version) {
+        const match = /^v?(\d+)\.(\d+)\.(\d+)(?:[-+].*)?$/.exec(String(version).trim());
+        return match ? match.slice(1, 4).map(Number) : null;
+    }
+
+    /**
+     * Order two versions
+     * @param {string} a - Version
+     * @param {string} b - Version
+     * @returns {number} Negative when a < b, 0 when equal, positive when a > b
+     */
+    compareVersions(a, b) {
+        return this.compareParsed(this.parseVersion(a) || [0, 0, 0], this.parseVersion(b) || [0, 0, 0]);
+    }
+
+    /**
+     * Parse a semver range into OR-ed sets of AND-ed comparators
+     * Supports exact versions, x-ranges, ^, ~, comparison operators and ||.
+     * @param {string} range - Range such as "^1.7.0" or ">=1.6.0 <2.0.0 || 3.x"
+     * @returns {Array<Array<Object>>} [[{ operator, version }]]
+     * @throws {Error} On an unparseable range
+     */
+    parseRange(range) {
+        return range.split('||').map(set => {
+            const parts = set.trim().split(/\s+/).filter(Boolean);
+            if (parts.length === 0 || parts[0] === '*' || parts[0] === 'x') {
+                return [];
+            }
+            return parts.flatMap(part => this.parseComparator(part, range));
+        });
+    }
+
+    /**
+     * @private
+     */
+    parseComparator(part, range) {
+        const match = /^(\^|~|>=|<=|>|<|=)?v?(\d+|x|\*)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?(?:-[\w.]+)?$/i.exec(part);
+        if (!match) {
+            throw new Error(`Invalid version range: ${range}`);
+        }
+
+        const [, operator = '', ...rawParts] = match;
+        const numbers = [];
+        for (const value of rawParts) {
+            if (value === undefined || /^[x*]$/i.test(value)) break;
+            numbers.push(Number(value));
+        }
+        const [major, minor = 0, patch = 0] = numbers;
+        const lower = [major, minor, patch];
+
+        if (numbers.length === 0) {
+            return [];
+        }
+
+        // Upper bound that bumps the first wildcard (or, for ^, the first non-zero) position
+        const bump = (index) => lower.map((value, i) => (i < index ? value : i === index ? value + 1 : 0));
+
+        if (operator === '^') {
+            const index = major > 0 || numbers.length === 1 ? 0 : (minor > 0 || numbers.length === 2 ? 1 : 2);
+            return [{ operator: '>=', version: lower }, { operator: '<', version: bump(index) }];
+        }
+        if (operator === '~') {
+            return [{ operator: '>=', version: lower }, { operator: '<', version: bump(numbers.length === 1 ? 0 : 1) }];
+        }
+        if (operator === '' || operator === '=') {
+            if (numbers.length === 3) {
+                return [{ operator: '=', version: lower }];
+            }
+            return [{ operator: '>=', version: lower }, { operator: '<', version: bump(numbers.length - 1) }];
+        }
+        return [{ operator, version: lower }];
+    }
+
+    /**
+     * Whether a version is in a semver range
+     * @param {string} version - Version such as 1.7.0
+     * @param {string} range - Range such as ^1.7.0
+     * @returns {boolean}
+     */
+    satisfies(version, range) {
+        const parsed = this.parseVersion(version);
+        if (!parsed) return false;
+
+        const checks = {
+            '=': (diff) => diff === 0,
+            '>': (diff) => diff > 0,
+            '>=': (diff) => diff >= 0,
+            '<': (diff) => diff < 0,
+            '<=': (diff) => diff <= 0
+        };
+
+        return this.parseRange(range).some(set =>
+            set.every(({ operator, version: bound }) => checks[operator](this.compareParsed(parsed, bound)))
+        );
+    }
+
+    /**
+     * @private
+     */
+    compareParsed(a, b) {
+        return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+    }
+
+    /**
+     * @private
+     */
+    async readJson(filePath) {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw new Error(`Could not read ${path.basename(filePath)}: ${error.message}`);
+        }
+    }
+}
+
+export default PluginManifestService;
@@ -2,6 +2,7 @@ import { VM } from 'vm2';
 import fs from 'fs/promises';
 import path from 'path';
 import SafeConsole from '../utils/SafeConsole.js';
+import PluginManifestService from './PluginManifestService.js';
 
 /**
  * Secure plugin sandbox for executing untrusted plugin code
@@ -10,14 +11,21 @@ import SafeConsole from '../utils/SafeConsole.js';
 export class PluginSandbox {
     constructor() {
         this.loadedPlugins = new Map();
+        this.manifestService = new PluginManifestService();
     }
 
     /**
      * Create a sandboxed environment with limited API
+     * Granted capabilities add their API on top of the safe globals:
+     * - fs-read: read-only `fs` (readFile, readdir, stat)
+     * - network: `fetch`
+     * - native-modules: nothing, native code cannot run inside the VM
+     * - unrestricted-dependencies: nothing, dependencies are not loaded inside the VM
+     * @param {Array<string>} [capabilities] - Capabilities granted to the plugin
      * @returns {Object} Sandbox context with safe APIs
      */
-    createSandboxContext() {
-        return {
+    createSandboxContext(capabilities = []) {
+        const context = {
             // Console for debugging
             console: {
                 log: (...args) => SafeConsole.log('[Plugin]', ...args),
@@ -45,27 +53,58 @@ export class PluginSandbox {
             // - __dirname/__filename
             // - fs/path/crypto
             // - child_process
-            // - network modules
+            // - network modules (unless granted below)
         };
+
+        if (capabilities.includes('fs-read')) {
+            context.fs = {
+                readFile: (filePath, encoding = 'utf8') => fs.readFile(filePath, encoding),
+                readdir: (dirPath) => fs.readdir(dirPath),
+                stat: async (filePath) => {
+                    const stats = await fs.stat(filePath);
+                    return { size: stats.size, isFile: stats.isFile(), isDirectory: stats.isDirectory(), mtimeMs: stats.mtimeMs };
+                }
+            };
+        }
+
+        if (capabilities.includes('network')) {
+            context.fetch = (...args) => globalThis.fetch(...args);
+        }
+
+        return context;
     }
 
     /**
      * Load and execute a plugin in a sandboxed environment
+     * The manifest next to the plugin decides which capabilities the sandbox
+     * exposes; unapproved or incompatible plugins and undeclared effects are refused.
      * @param {string} pluginPath - Path to the plugin file
      * @param {Object} registries - Effect and Plugin registries
+     * @param {Object} [options]
+     * @param {Array<string>} [options.approvedCapabilities] - Capabilities approved at install
+     * @param {string|null} [options.myNftGenVersion] - Installed my-nft-gen version
      * @returns {Promise<Object>} Plugin execution result
      */
-    async loadPlugin(pluginPath, registries) {
+    async loadPlugin(pluginPath, registries, { approvedCapabilities = [], myNftGenVersion = null } = {}) {
         try {
             SafeConsole.log(`🔒 [PluginSandbox] Loading plugin in sandbox: ${pluginPath}`);
 
+            const verification = await this.manifestService.verifyPlugin(path.dirname(pluginPath), {
+                approvedCapabilities,
+                myNftGenVersion
+            });
+            if (!verification.success) {
+                throw new Error(verification.error);
+            }
+            const { manifest } = verification;
+
             // Read plugin code
             const pluginCode = await fs.readFile(pluginPath, 'utf8');
 
             // Create VM with timeout and memory limits
             const vm = new VM({
                 timeout: 5000, // 5 second timeout
-                sandbox: this.createSandboxContext(),
+                sandbox: this.createSandboxContext(manifest.capabilities),
                 eval: false, // Disable eval
                 wasm: false, // Disable WebAssembly
                 fixAsync: true // Fix async functions
@@ -118,6 +157,14 @@ export class PluginSandbox {
 
             SafeConsole.log(`✅ [PluginSandbox] Plugin executed successfully, ${registrations.length} registrations found`);
 
+            const undeclaredEffects = this.manifestService.getUndeclaredEffects(
+                manifest,
+                registrations.filter(reg => reg.type === 'effect').map(reg => reg.name)
+            );
+            if (undeclaredEffects.length > 0) {
+                throw new Error(`${manifest.name} registered effects missing from its manifest: ${undeclaredEffects.join(', ')}`);
+            }
+
             // Process registrations outside the sandbox
             for (const reg of registrations) {
                 if (reg.type === 'effect') {
@@ -213,13 +260,14 @@ export class PluginSandbox {
      * Load multiple plugins
      * @param {Array} pluginPaths - Array of plugin paths
      * @param {Object} registries - Effect and Plugin registries
+     * @param {Object} [options] - Passed to loadPlugin
      * @returns {Promise<Array>} Results for each plugin
      */
-    async loadPlugins(pluginPaths, registries) {
+    async loadPlugins(pluginPaths, registries, options = {}) {
         const results = [];
 
         for (const pluginPath of pluginPaths) {
-            const result = await this.loadPlugin(pluginPath, registries);
+            const result = await this.loadPlugin(pluginPath, registries, options);
             results.push(result);
         }
 
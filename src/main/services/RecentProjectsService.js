@@ -0,0 +1,167 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import SafeConsole from '../utils/SafeConsole.js';
+import FrameService from './FrameService.js';
+import ResolutionMapper from '../../utils/ResolutionMapper.js';
+
+/**
+ * Default edge length of recent project thumbnails in pixels
+ */
+export const DEFAULT_PROJECT_THUMBNAIL_SIZE = 240;
+
+/**
+ * Service responsible for recent project details only
+ * Follows Single Responsibility Principle
+ *
+ * Reads each .nftproject file for the start screen's project browser: name,
+ * resolution, frame count, effect count and last-modified time, plus a
+ * thumbnail of frame 0 from the project's output directory when one has been
+ * rendered (found through FrameService, whatever the frame files are named). Thumbnails are kept in memory keyed by the frame's modification
+ * time, so reopening the start screen doesn't resize the same frames again.
+ */
+class RecentProjectsService {
+    constructor(frameService = null) {
+        // Dependency injection following Dependency Inversion Principle
+        this.frameService = frameService || new FrameService();
+        this.thumbnailCache = new Map();
+    }
+
+    /**
+     * Get details of several projects, in the order given
+     * @param {Array<string>} filePaths - .nftproject file paths
+     * @param {Object} [options]
+     * @param {number} [options.thumbnailSize=DEFAULT_PROJECT_THUMBNAIL_SIZE] - Thumbnail edge length
+     * @returns {Promise<Object>} { success, projects } or { success: false, error }
+     */
+    async getProjectsDetails(filePaths, options = {}) {
+        try {
+            if (!Array.isArray(filePaths)) {
+                throw new Error('File paths must be an array');
+            }
+            const projects = await Promise.all(filePaths.map(filePath => this.getProjectDetails(filePath, options)));
+            return { success: true, projects };
+        } catch (error) {
+            SafeConsole.error('❌ [RecentProjectsService] Failed to read recent projects:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get details of one project
+     * Missing or unreadable files are reported on the entry instead of failing
+     * the whole list, so the start screen can offer to remove them.
+     * @param {string} filePath - .nftproject file path
+     * @param {Object} [options]
+     * @param {number} [options.thumbnailSize=DEFAULT_PROJECT_THUMBNAIL_SIZE] - Thumbnail edge length
+     * @returns {Promise<Object>} { filePath, name, exists, error?, resolution, numFrames, effectCount, modifiedAt, outputDirectory, thumbnail }
+     */
+    async getProjectDetails(filePath, { thumbnailSize = DEFAULT_PROJECT_THUMBNAIL_SIZE } = {}) {
+        const details = {
+            filePath,
+            name: path.basename(filePath, path.extname(filePath)),
+            exists: false,
+            resolution: null,
+            numFrames: null,
+            effectCount: null,
+            modifiedAt: null,
+            outputDirectory: null,
+            thumbnail: null
+        };
+
+        let stats;
+        try {
+            stats = await fs.stat(filePath);
+        } catch (error) {
+            return details;
+        }
+        details.exists = true;
+        details.modifiedAt = stats.mtime.toISOString();
+
+        try {
+            const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            const state = data.state || data;
+
+            details.name = state.projectName || details.name;
+            details.numFrames = Number.isFinite(state.numFrames) ? state.numFrames : null;
+            details.effectCount = Array.isArray(state.effects) ? state.effects.length : 0;
+            details.resolution = RecentProjectsService.getResolutionDetails(state);
+
+            // Relative output directories are relative to the project file, as when loading
+            const outputDirectory = state.outputDirectory || path.dirname(filePath);
+            details.outputDirectory = path.resolve(path.dirname(filePath), outputDirectory);
+        } catch (error) {
+            details.error = `Could not read project: ${error.message}`;
+            return details;
+        }
+
+        details.thumbnail = await this.getThumbnail(details.outputDirectory, thumbnailSize);
+        return details;
+    }
+
+    /**
+     * Describe a project's resolution
+     * @param {Object} state - Saved project state
+     * @returns {Object|null} { w, h, label }, or null if the resolution is unknown
+     */
+    static getResolutionDetails(state) {
+        if (state.targetResolution === undefined || state.targetResolution === null) {
+            return null;
+        }
+        try {
+            const { w, h } = ResolutionMapper.getDimensions(state.targetResolution, state.isHorizontal !== false);
+            return { w, h, label: `${w}×${h}` };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the frame 0 thumbnail of an output directory
+     * @param {string} outputDirectory - Project output directory
+     * @param {number} size - Thumbnail edge length
+     * @returns {Promise<string|null>} WebP data URL, or null if frame 0 hasn't been rendered
+     */
+    async getThumbnail(outputDirectory, size) {
+        const framesResult = await this.frameService.listCompletedFrames(outputDirectory);
+        const frameZero = framesResult.frames.find(frame => frame.frameNumber === 0);
+        if (!frameZero) {
+            return null;
+        }
+        const framePath = frameZero.path;
+
+        let stats;
+        try {
+            stats = await fs.stat(framePath);
+        } catch (error) {
+            return null;
+        }
+
+        const cacheKey = `${framePath}|${stats.mtimeMs}|${size}`;
+        if (this.thumbnailCache.has(cacheKey)) {
+            return this.thumbnailCache.get(cacheKey);
+        }
+
+        try {
+            const image = await sharp(framePath)
+                .resize(size, size, { fit: 'inside' })
+                .webp()
+                .toBuffer();
+            const thumbnail = `data:image/webp;base64,${image.toString('base64')}`;
+
+            // One entry per frame: a re-render replaces the old thumbnail
+            for (const key of this.thumbnailCache.keys()) {
+                if (key.startsWith(`${framePath}|`)) {
+                    this.thumbnailCache.delete(key);
+                }
+            }
+            this.thumbnailCache.set(cacheKey, thumbnail);
+            return thumbnail;
+        } catch (error) {
+            SafeConsole.log(`⚠️ [RecentProjectsService] Could not create thumbnail from ${framePath}:`, error.message);
+            return null;
+        }
+    }
+}
+
+export default RecentProjectsService;
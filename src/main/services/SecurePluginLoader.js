@@ -1,12 +1,30 @@
-import electronPkg from 'electron';
-const { app, BrowserWindow, ipcMain } = electronPkg;
 import fs from 'fs/promises';
 import fsSync from 'fs';
+import os from 'os';
 import path from 'path';
 import { pathToFileURL, fileURLToPath } from 'url';
 import SafeConsole from '../utils/SafeConsole.js';
-import Module from 'module';
+import Module, { createRequire } from 'module';
 import { ProcessedPluginDirCacheService } from './ProcessedPluginDirCacheService.js';
+import PluginManifestService from './PluginManifestService.js';
+
+const require = createRequire(import.meta.url);
+
+// Lazy-load electron app so this also works headless (CLI, tests) where it's not available
+let app = null;
+const getElectronApp = () => {
+    if (app === null) {
+        try {
+            const electronModule = require('electron');
+            // Under plain Node the package resolves to the binary path instead of the API
+            app = typeof electronModule === 'object' ? electronModule.app || false : false;
+        } catch (error) {
+            // Electron not available (ok for headless rendering)
+            app = false; // Mark as attempted
+        }
+    }
+    return app || null;
+};
 
 // Define __filename and __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -32,6 +50,7 @@ export class SecurePluginLoader {
         this.processedPluginDirs = new Map(); // In-memory cache: pluginPath -> temp directory path
         this.importedPlugins = new Map(); // Cache: pluginUrl -> module (prevents re-registration)
         this.dirCacheService = new ProcessedPluginDirCacheService(appDataPath); // Persistent cache
+        this.manifestService = new PluginManifestService();
     }
 
     /**
@@ -85,8 +104,10 @@ export class SecurePluginLoader {
                 return fsSync.realpathSync(nodeModulesPath);
             }
             
-            // Try from app path node_modules (production)
-            const appPath = app.getAppPath();
+            // Try from app path node_modules (production); headless there is no app,
+            // so use the install this file belongs to (the CLI can run from any directory)
+            const appPath = getElectronApp()?.getAppPath()
+                || path.dirname(path.dirname(path.dirname(__dirname)));
             const altPath = path.join(appPath, 'node_modules', packageName);
             if (fsSync.existsSync(altPath)) {
                 SafeConsole.log(`✅ [SecurePluginLoader] Found ${packageName} in app path: ${altPath}`);
@@ -155,6 +176,20 @@ export class SecurePluginLoader {
         return this.resolvePackagePath('my-nft-gen');
     }
 
+    /**
+     * Installed my-nft-gen version, for manifest compatibility checks
+     * @returns {string|null} Version or null if my-nft-gen cannot be found
+     */
+    getMyNftGenVersion() {
+        const myNftGenPath = this.resolveMyNftGenPath();
+        if (!myNftGenPath) return null;
+        try {
+            return JSON.parse(fsSync.readFileSync(path.join(myNftGenPath, 'package.json'), 'utf8')).version || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Resolve the entry point file for a package
      * For bare imports like 'from "my-nft-gen"', we need to resolve to the actual entry file
@@ -302,7 +337,7 @@ export class SecurePluginLoader {
             SafeConsole.log(`     - process.resourcesPath/app.asar.unpacked/node_modules (production)`);
             SafeConsole.log(`     - process.mainModule ASAR unpacked path (fallback)`);
             SafeConsole.log(`   process.cwd() = ${process.cwd()}`);
-            SafeConsole.log(`   app.getAppPath() = ${app.getAppPath()}`);
+            SafeConsole.log(`   app.getAppPath() = ${getElectronApp()?.getAppPath() || 'N/A'}`);
             SafeConsole.log(`   process.resourcesPath = ${process.resourcesPath}`);
             return code;
         }
@@ -724,11 +759,11 @@ export class SecurePluginLoader {
                 SafeConsole.log(`⚠️ [SecurePluginLoader] Error checking ASAR resources: ${e.message}`);
             }
             
-            // Last resort: app.getAppPath()
+            // Last resort: app.getAppPath() (not available headless)
             try {
-                const appPath = app.getAppPath();
-                const appPathNodeModules = path.join(appPath, 'node_modules');
-                if (fsSync.existsSync(appPathNodeModules)) {
+                const appPath = getElectronApp()?.getAppPath();
+                const appPathNodeModules = appPath ? path.join(appPath, 'node_modules') : null;
+                if (appPathNodeModules && fsSync.existsSync(appPathNodeModules)) {
                     SafeConsole.log(`✅ [SecurePluginLoader] Found node_modules at app path: ${appPathNodeModules}`);
                     return appPathNodeModules;
                 }
@@ -747,10 +782,17 @@ export class SecurePluginLoader {
     /**
      * Load a plugin directly in the main process (Node.js context)
      * This allows plugins to use Node.js modules like my-nft-gen with native dependencies (sharp, etc.)
+     * The plugin's manifest is verified first: an incompatible my-nft-gen range,
+     * unapproved capabilities, undeclared capability use or undeclared effects
+     * refuse the load.
      * @param {string} pluginPath - Path to plugin file
+     * @param {Function} [progressCallback] - (phase, message, percent)
+     * @param {Object} [options]
+     * @param {Array<string>} [options.approvedCapabilities] - Capabilities approved at install
+     * @param {string} [options.manifestDir] - Plugin root holding the manifest (defaults to the plugin directory)
      * @returns {Promise<Object>} Plugin load result
      */
-    async loadPluginInMainProcess(pluginPath, progressCallback = null) {
+    async loadPluginInMainProcess(pluginPath, progressCallback = null, { approvedCapabilities = [], manifestDir = null } = {}) {
         try {
             SafeConsole.log(`🔒 [SecurePluginLoader] Loading plugin in main process: ${pluginPath}`);
             
@@ -769,6 +811,23 @@ export class SecurePluginLoader {
             const pluginNodeModules = path.join(pluginDir, 'node_modules');
             
             SafeConsole.log(`🔒 [SecurePluginLoader] Plugin directory: ${pluginDir}`);
+
+            reportProgress('manifest', 'Checking plugin manifest...', 2);
+            const verification = await this.manifestService.verifyPlugin(manifestDir || pluginDir, {
+                approvedCapabilities,
+                myNftGenVersion: this.getMyNftGenVersion()
+            });
+            if (!verification.success) {
+                return {
+                    success: false,
+                    error: verification.error,
+                    requiresApproval: verification.requiresApproval || false,
+                    manifest: verification.manifest || null,
+                    effects: [],
+                    configs: []
+                };
+            }
+            const { manifest } = verification;
             
             reportProgress('setup-node-modules', 'Setting up plugin node_modules...', 5);
             
@@ -941,7 +1000,8 @@ export class SecurePluginLoader {
                 reportProgress('process-directory', 'Using cached processed plugin...', 35);
             } else {
                 reportProgress('process-directory', 'Processing plugin directory with import rewrites...', 25);
-                tempPluginDir = path.join(app.getPath('userData'), `plugin-processed-${pluginTimestamp}`);
+                const userDataPath = getElectronApp()?.getPath('userData') || os.tmpdir();
+                tempPluginDir = path.join(userDataPath, `plugin-processed-${pluginTimestamp}`);
 
                 SafeConsole.log(`🔒 [SecurePluginLoader] Creating temporary processed plugin directory: ${tempPluginDir}`);
                 await fs.mkdir(tempPluginDir, { recursive: true });
@@ -1221,6 +1281,14 @@ export class SecurePluginLoader {
                     await pluginModule.register(mockEffectRegistry, mockConfigRegistry, mockPositionRegistry);
                     SafeConsole.log(`🔒 [SecurePluginLoader] Plugin register() function completed successfully`);
                     SafeConsole.log(`🔒 [SecurePluginLoader] Total effects captured: ${registeredEffects.length}`);
+
+                    const undeclaredEffects = this.manifestService.getUndeclaredEffects(
+                        manifest,
+                        registeredEffects.map(effect => effect.name)
+                    );
+                    if (undeclaredEffects.length > 0) {
+                        throw new Error(`${manifest.name} registered effects missing from its manifest: ${undeclaredEffects.join(', ')}`);
+                    }
                     
                     reportProgress('import', `Successfully registered ${registeredEffects.length} effects`, 80);
                     reportProgress('import', `Finalizing file system operations...`, 85);
@@ -1237,6 +1305,7 @@ export class SecurePluginLoader {
                         success: true,
                         effects: registeredEffects,
                         configs: registeredConfigs,
+                        manifest,
                         error: null
                     };
                 } catch (registerError) {
@@ -1262,11 +1331,46 @@ export class SecurePluginLoader {
             return {
                 success: false,
                 error: error.message,
+                stack: error.stack || null,
                 effects: [],
                 configs: []
             };
         }
     }
+
+    /**
+     * Forget the processed copy of a plugin so the next load re-processes and re-imports its source
+     * The processed directory gets a new name on the next load, which gives its modules new URLs
+     * and bypasses Node's ES module cache.
+     * @param {string} pluginPath - Plugin directory or entry file
+     * @param {Object} [options]
+     * @param {boolean} [options.removeFiles=true] - Also delete the processed directory
+     * @returns {Promise<string|null>} The processed directory that was forgotten
+     */
+    async evictProcessedPlugin(pluginPath, { removeFiles = true } = {}) {
+        const pluginStats = await fs.lstat(pluginPath).catch(() => null);
+        const pluginDir = pluginStats && pluginStats.isDirectory() ? pluginPath : path.dirname(pluginPath);
+        const processedDir = this.processedPluginDirs.get(pluginDir);
+        if (!processedDir) {
+            return null;
+        }
+
+        this.processedPluginDirs.delete(pluginDir);
+        await this.dirCacheService.removeMapping(pluginDir);
+
+        const processedUrl = pathToFileURL(processedDir).href + '/';
+        for (const pluginUrl of [...this.importedPlugins.keys()]) {
+            if (pluginUrl.startsWith(processedUrl)) {
+                this.importedPlugins.delete(pluginUrl);
+            }
+        }
+
+        if (removeFiles) {
+            await fs.rm(processedDir, { recursive: true, force: true });
+        }
+        SafeConsole.log(`🗑️ [SecurePluginLoader] Evicted processed plugin directory: ${processedDir}`);
+        return processedDir;
+    }
 }
 
 export default SecurePluginLoader;
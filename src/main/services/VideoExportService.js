@@ -0,0 +1,372 @@
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+import { spawn } from 'child_process';
+import FrameService from './FrameService.js';
+import AsarFFmpegResolver from '../../utils/AsarFFmpegResolver.js';
+import SafeConsole from '../utils/SafeConsole.js';
+
+/**
+ * Supported export formats
+ */
+export const EXPORT_FORMATS = Object.freeze({
+    MP4: 'mp4',
+    WEBM: 'webm',
+    GIF: 'gif'
+});
+
+// Quality presets per format (lower CRF = better quality)
+const QUALITY_PRESETS = {
+    low: { mp4Crf: 28, webmCrf: 40, gifColors: 64 },
+    medium: { mp4Crf: 23, webmCrf: 32, gifColors: 128 },
+    high: { mp4Crf: 18, webmCrf: 24, gifColors: 256 }
+};
+
+const DEFAULT_OPTIONS = {
+    format: EXPORT_FORMATS.MP4,
+    frameRate: 30,
+    quality: 'medium',
+    loopCount: 0,
+    pingPong: false,
+    maxWidth: null
+};
+
+/**
+ * Service responsible for encoding rendered frame sequences into video and GIF files
+ * Follows Single Responsibility Principle
+ *
+ * Frames come from FrameService.listCompletedFrames and are fed to the bundled
+ * ffmpeg (resolved through AsarFFmpegResolver) via a concat list, so gaps in
+ * frame numbering and ping-pong ordering need no intermediate copies.
+ */
+class VideoExportService {
+    constructor(frameService = null, ffmpegResolver = null, spawnProcess = null) {
+        // Dependency injection following Dependency Inversion Principle
+        this.frameService = frameService || new FrameService();
+        this.ffmpegResolver = ffmpegResolver || AsarFFmpegResolver;
+        this.spawnProcess = spawnProcess || spawn;
+        this.activeExports = new Map();
+    }
+
+    /**
+     * Normalize export options and apply defaults
+     * @param {Object} options - Raw options from the renderer
+     * @returns {Object} Normalized options
+     */
+    static normalizeOptions(options = {}) {
+        const merged = { ...DEFAULT_OPTIONS, ...options };
+        const format = String(merged.format).toLowerCase();
+
+        if (!Object.values(EXPORT_FORMATS).includes(format)) {
+            throw new Error(`Unsupported export format: ${merged.format}`);
+        }
+
+        const frameRate = Number(merged.frameRate);
+        if (!Number.isFinite(frameRate) || frameRate <= 0 || frameRate > 120) {
+            throw new Error(`Frame rate must be between 1 and 120, got ${merged.frameRate}`);
+        }
+
+        if (!QUALITY_PRESETS[merged.quality]) {
+            throw new Error(`Unknown quality preset: ${merged.quality}`);
+        }
+
+        const loopCount = Number(merged.loopCount);
+        if (!Number.isInteger(loopCount) || loopCount < 0) {
+            throw new Error('Loop count must be a whole number (0 loops forever)');
+        }
+
+        const maxWidth = merged.maxWidth ? Number(merged.maxWidth) : null;
+        if (maxWidth !== null && (!Number.isInteger(maxWidth) || maxWidth < 16)) {
+            throw new Error('Maximum width must be a whole number of at least 16 pixels');
+        }
+
+        return { ...merged, format, frameRate, loopCount, maxWidth, pingPong: !!merged.pingPong };
+    }
+
+    /**
+     * Order frame paths for playback
+     * Ping-pong plays forward then backward without repeating the end frames.
+     * @param {Array<string>} framePaths - Frame paths in frame order
+     * @param {boolean} pingPong - Append the reversed sequence
+     * @returns {Array<string>} Playback order
+     */
+    static buildPlaybackSequence(framePaths, pingPong) {
+        if (!pingPong || framePaths.length < 3) {
+            return [...framePaths];
+        }
+        return [...framePaths, ...framePaths.slice(1, -1).reverse()];
+    }
+
+    /**
+     * Build an ffmpeg concat demuxer list
+     * The last entry is repeated because concat ignores the final duration.
+     * @param {Array<string>} framePaths - Frames in playback order
+     * @param {number} frameRate - Frames per second
+     * @returns {string} Concat list contents
+     */
+    static buildConcatList(framePaths, frameRate) {
+        const duration = (1 / frameRate).toFixed(6);
+        const escape = (filePath) => filePath.replace(/\\/g, '/').replace(/'/g, "'\\''");
+        const lines = ['ffconcat version 1.0'];
+
+        framePaths.forEach(framePath => {
+            lines.push(`file '${escape(framePath)}'`);
+            lines.push(`duration ${duration}`);
+        });
+        if (framePaths.length > 0) {
+            lines.push(`file '${escape(framePaths[framePaths.length - 1])}'`);
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Build ffmpeg arguments for an export
+     * @param {string} listPath - Concat list path
+     * @param {string} outputPath - Output file path
+     * @param {Object} options - Normalized options
+     * @returns {Array<string>} ffmpeg arguments
+     */
+    static buildFfmpegArgs(listPath, outputPath, options) {
+        const preset = QUALITY_PRESETS[options.quality];
+        const scale = options.maxWidth
+            ? `scale='min(${options.maxWidth},iw)':-2:flags=lanczos`
+            : null;
+        const args = [
+            '-hide_banner',
+            '-y',
+            '-f', 'concat',
+            '-safe', '0',
+            '-i', listPath,
+            '-progress', 'pipe:1',
+            '-nostats'
+        ];
+
+        switch (options.format) {
+            case EXPORT_FORMATS.MP4: {
+                // H.264 with yuv420p needs even dimensions
+                const filters = [`fps=${options.frameRate}`, scale, 'scale=trunc(iw/2)*2:trunc(ih/2)*2'].filter(Boolean);
+                args.push(
+                    '-vf', filters.join(','),
+                    '-c:v', 'libx264',
+                    '-preset', 'medium',
+                    '-crf', String(preset.mp4Crf),
+                    '-pix_fmt', 'yuv420p',
+                    '-movflags', '+faststart'
+                );
+                break;
+            }
+            case EXPORT_FORMATS.WEBM: {
+                const filters = [`fps=${options.frameRate}`, scale].filter(Boolean);
+                args.push(
+                    '-vf', filters.join(','),
+                    '-c:v', 'libvpx-vp9',
+                    '-crf', String(preset.webmCrf),
+                    '-b:v', '0',
+                    '-row-mt', '1',
+                    '-pix_fmt', 'yuv420p'
+                );
+                break;
+            }
+            case EXPORT_FORMATS.GIF: {
+                // Single pass palette generation keeps colours faithful without a temp palette file
+                const filters = [`fps=${options.frameRate}`, scale].filter(Boolean).join(',');
+                args.push(
+                    '-filter_complex',
+                    `[0:v]${filters},split[a][b];[a]palettegen=max_colors=${preset.gifColors}:stats_mode=diff[p];[b][p]paletteuse=dither=sierra2_4a`,
+                    '-loop', String(options.loopCount)
+                );
+                break;
+            }
+            default:
+                throw new Error(`Unsupported export format: ${options.format}`);
+        }
+
+        args.push(outputPath);
+        return args;
+    }
+
+    /**
+     * Encode the completed frames of a project
+     * @param {Object} request - Export request
+     * @param {string} request.exportId - Caller supplied ID used for progress and cancellation
+     * @param {string} request.projectDirectory - Directory containing the frames/ folder
+     * @param {string} request.outputPath - Destination file
+     * @param {Object} request.options - Format, frameRate, quality, loopCount, pingPong, maxWidth
+     * @param {Function} [onProgress] - Receives { exportId, frame, totalFrames, progress }
+     * @returns {Promise<Object>} Export result
+     */
+    async exportFrames({ exportId, projectDirectory, outputPath, options = {} }, onProgress = () => {}) {
+        if (!exportId) {
+            return { success: false, error: 'An export ID is required' };
+        }
+        if (this.activeExports.has(exportId)) {
+            return { success: false, error: `Export ${exportId} is already running` };
+        }
+
+        let normalized;
+        try {
+            normalized = VideoExportService.normalizeOptions(options);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+
+        if (!outputPath) {
+            return { success: false, error: 'An output file is required' };
+        }
+
+        // Registered before the first await so a cancel during setup is never lost
+        const exportState = { child: null, cancelled: false };
+        this.activeExports.set(exportId, exportState);
+        let workDir = null;
+
+        try {
+            const framesResult = await this.frameService.listCompletedFrames(projectDirectory);
+            if (!framesResult.success) {
+                return { success: false, error: framesResult.error };
+            }
+            if (framesResult.frames.length === 0) {
+                return { success: false, error: 'No rendered frames found - render the project first' };
+            }
+
+            const sequence = VideoExportService.buildPlaybackSequence(
+                framesResult.frames.map(frame => frame.path),
+                normalized.pingPong
+            );
+
+            workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nft-studio-export-'));
+            const listPath = path.join(workDir, 'frames.ffconcat');
+            await fs.mkdir(path.dirname(outputPath), { recursive: true });
+            await fs.writeFile(listPath, VideoExportService.buildConcatList(sequence, normalized.frameRate), 'utf8');
+
+            const ffmpegPath = this.ffmpegResolver.getFfmpegPath();
+            const args = VideoExportService.buildFfmpegArgs(listPath, outputPath, normalized);
+            if (exportState.cancelled) {
+                throw new Error('Export cancelled');
+            }
+            SafeConsole.log(`🎞️ [VideoExportService] Exporting ${sequence.length} frames to ${outputPath} (${normalized.format})`);
+
+            onProgress({ exportId, frame: 0, totalFrames: sequence.length, progress: 0 });
+            await this.runFfmpeg(ffmpegPath, args, exportState, (frame) => {
+                onProgress({
+                    exportId,
+                    frame,
+                    totalFrames: sequence.length,
+                    progress: Math.min(100, Math.round((frame / sequence.length) * 100))
+                });
+            });
+
+            const stats = await fs.stat(outputPath);
+            SafeConsole.log(`✅ [VideoExportService] Export complete: ${outputPath}`);
+            return {
+                success: true,
+                outputPath,
+                format: normalized.format,
+                frameCount: sequence.length,
+                fileSize: stats.size
+            };
+        } catch (error) {
+            // Never leave a truncated file behind (only ffmpeg writes the output)
+            if (exportState.child) {
+                await fs.rm(outputPath, { force: true }).catch(() => {});
+            }
+
+            if (exportState.cancelled) {
+                SafeConsole.log(`⏹️ [VideoExportService] Export ${exportId} cancelled`);
+                return { success: false, cancelled: true, error: 'Export cancelled' };
+            }
+            SafeConsole.error('❌ [VideoExportService] Export failed:', error);
+            return { success: false, error: error.message };
+        } finally {
+            this.activeExports.delete(exportId);
+            if (workDir) {
+                await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Cancel a running export
+     * Before ffmpeg starts the export stops at its pre-spawn check; once it
+     * has started, ffmpeg is killed right away.
+     * @param {string} exportId - Export ID
+     * @returns {boolean} True if an export was cancelled
+     */
+    cancelExport(exportId) {
+        const exportState = this.activeExports.get(exportId);
+        if (!exportState) {
+            return false;
+        }
+
+        exportState.cancelled = true;
+        if (exportState.child && exportState.child.exitCode === null) {
+            exportState.child.kill('SIGKILL');
+        }
+        return true;
+    }
+
+    /**
+     * Check if an export is running
+     * @param {string} exportId - Export ID
+     * @returns {boolean}
+     */
+    isExporting(exportId) {
+        return this.activeExports.has(exportId);
+    }
+
+    /**
+     * Spawn ffmpeg and follow its -progress output
+     * @param {string} ffmpegPath - ffmpeg binary
+     * @param {Array<string>} args - ffmpeg arguments
+     * @param {Object} exportState - Holds the child process for cancellation
+     * @param {Function} onFrame - Receives the number of encoded frames
+     * @returns {Promise<void>}
+     * @private
+     */
+    runFfmpeg(ffmpegPath, args, exportState, onFrame) {
+        return new Promise((resolve, reject) => {
+            const child = this.spawnProcess(ffmpegPath, args, { windowsHide: true });
+            exportState.child = child;
+            if (exportState.cancelled) {
+                child.kill('SIGKILL');
+            }
+
+            let stderrTail = '';
+            let stdoutBuffer = '';
+
+            child.stdout.on('data', (chunk) => {
+                stdoutBuffer += chunk.toString();
+                const lines = stdoutBuffer.split('\n');
+                stdoutBuffer = lines.pop();
+                lines.forEach(line => {
+                    const match = /^frame=(\d+)/.exec(line.trim());
+                    if (match) {
+                        onFrame(parseInt(match[1], 10));
+                    }
+                });
+            });
+
+            child.stderr.on('data', (chunk) => {
+                // Keep only the end of the log for error messages
+                stderrTail = (stderrTail + chunk.toString()).slice(-2000);
+            });
+
+            child.on('error', (error) => {
+                reject(new Error(`Failed to start ffmpeg at ${ffmpegPath}: ${error.message}`));
+            });
+
+            child.on('close', (code) => {
+                if (exportState.cancelled) {
+                    reject(new Error('Export cancelled'));
+                } else if (code === 0) {
+                    resolve();
+                } else {
+                    const lastLine = stderrTail.trim().split('\n').pop() || '';
+                    reject(new Error(`ffmpeg exited with code ${code}${lastLine ? `: ${lastLine}` : ''}`));
+                }
+            });
+        });
+    }
+}
+
+export default VideoExportService;
@@ -22,6 +22,8 @@ export class Effect {
      * @param {Array<Effect>} [params.secondaryEffects=[]] - Nested secondary effects
      * @param {Array<Effect>} [params.keyframeEffects=[]] - Animation keyframe effects
      * @param {number} [params.frame] - Frame number (for keyframe effects)
+     * @param {number|null} [params.seed=null] - Seed override for this effect's random choices
+     * @param {string|null} [params.groupId=null] - Effect group this effect belongs to
      * 
      * @throws {Error} If required parameters are missing or invalid
      */
@@ -36,7 +38,9 @@ export class Effect {
         visible = true,
         secondaryEffects = [],
         keyframeEffects = [],
-        frame
+        frame,
+        seed = null,
+        groupId = null
     }) {
         // Validate required parameters
         if (!id) {
@@ -76,6 +80,16 @@ export class Effect {
             throw new Error('keyframeEffects must be an array');
         }
 
+        // Validate seed
+        if (seed !== null && (!Number.isInteger(seed) || seed < 0)) {
+            throw new Error('seed must be a non-negative integer or null');
+        }
+
+        // Validate groupId
+        if (groupId !== null && typeof groupId !== 'string') {
+            throw new Error('groupId must be a string or null');
+        }
+
         // Assign properties
         this.id = id;
         this.name = name;
@@ -87,6 +101,8 @@ export class Effect {
         this.visible = visible;
         this.secondaryEffects = secondaryEffects;
         this.keyframeEffects = keyframeEffects;
+        this.seed = seed;
+        this.groupId = groupId;
         
         // Optional frame property for keyframe effects
         if (frame !== undefined) {
@@ -135,7 +151,9 @@ export class Effect {
             visible: pojo.visible,
             secondaryEffects,
             keyframeEffects,
-            frame: pojo.frame
+            frame: pojo.frame,
+            seed: pojo.seed ?? null,
+            groupId: pojo.groupId ?? null
         });
     }
 
@@ -175,6 +193,16 @@ export class Effect {
         if (this.frame !== undefined) {
             pojo.frame = this.frame;
         }
+
+        // Include seed override only when set
+        if (this.seed !== null) {
+            pojo.seed = this.seed;
+        }
+
+        // Include group membership only when grouped
+        if (this.groupId !== null) {
+            pojo.groupId = this.groupId;
+        }
         
         return pojo;
     }
@@ -242,6 +270,16 @@ export class Effect {
             errors.push('visible must be a boolean');
         }
 
+        // Validate seed
+        if (this.seed !== null && this.seed !== undefined && (!Number.isInteger(this.seed) || this.seed < 0)) {
+            errors.push('seed must be a non-negative integer or null');
+        }
+
+        // Validate groupId
+        if (this.groupId !== null && this.groupId !== undefined && typeof this.groupId !== 'string') {
+            errors.push('groupId must be a string or null');
+        }
+
         // Validate nested effects
         if (!Array.isArray(this.secondaryEffects)) {
             errors.push('secondaryEffects must be an array');
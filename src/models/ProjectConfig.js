@@ -17,7 +17,7 @@ export class ProjectConfig {
      * @param {Object} params - Project configuration parameters
      * @param {string} [params.projectName=''] - Project name
      * @param {string} [params.artist=''] - Artist name
-     * @param {number} [params.targetResolution] - Target resolution (height in pixels)
+     * @param {number|string} [params.targetResolution] - Target resolution (table width or custom "WIDTHxHEIGHT")
      * @param {boolean} [params.isHorizontal=false] - Orientation flag
      * @param {number} [params.numFrames=100] - Number of frames
      * @param {Array<Effect>} [params.effects=[]] - Effects array
@@ -156,9 +156,10 @@ export class ProjectConfig {
             errors.push('artist must be a string');
         }
 
-        // Validate targetResolution
-        if (typeof this.targetResolution !== 'number' || this.targetResolution < 1) {
-            errors.push('targetResolution must be a positive number');
+        // Validate targetResolution (table width or custom "WIDTHxHEIGHT")
+        const isCustomResolution = ResolutionMapper.isCustomResolution(this.targetResolution);
+        if (!isCustomResolution && (typeof this.targetResolution !== 'number' || this.targetResolution < 1)) {
+            errors.push('targetResolution must be a positive number or a custom WIDTHxHEIGHT resolution');
         }
 
         // Validate isHorizontal
@@ -55,13 +55,12 @@ export default class ProjectState {
             this.core.update(coreUpdates);
         }
         
-        // Handle resolution changes (triggers auto-scaling)
-        if (targetResolution !== undefined) {
+        // Handle resolution and orientation changes (triggers auto-scaling once)
+        if (targetResolution !== undefined && isHorizontal !== undefined) {
+            this.resolution.setResolution(targetResolution, isHorizontal);
+        } else if (targetResolution !== undefined) {
             this.resolution.setTargetResolution(targetResolution);
-        }
-        
-        // Handle orientation changes (triggers auto-scaling)
-        if (isHorizontal !== undefined) {
+        } else if (isHorizontal !== undefined) {
             this.resolution.setIsHorizontal(isHorizontal);
         }
         
@@ -227,6 +226,54 @@ export default class ProjectState {
         this.core.setProperty('renderJumpFrames', renderJumpFrames);
     }
 
+    /**
+     * Get token metadata settings (name template, URI prefixes, ...)
+     * @returns {Object|null}
+     */
+    getMetadataSettings() {
+        return this.core.getProperty('metadataSettings') || null;
+    }
+
+    /**
+     * Set token metadata settings
+     * @param {Object} metadataSettings
+     */
+    setMetadataSettings(metadataSettings) {
+        this.core.setProperty('metadataSettings', metadataSettings);
+    }
+
+    /**
+     * Get master seed for reproducible renders (null = unseeded)
+     * @returns {number|null}
+     */
+    getMasterSeed() {
+        return this.core.getProperty('masterSeed') ?? null;
+    }
+
+    /**
+     * Set master seed for reproducible renders
+     * @param {number|null} masterSeed
+     */
+    setMasterSeed(masterSeed) {
+        this.core.setProperty('masterSeed', masterSeed);
+    }
+
+    /**
+     * Get effect groups ({ id, name, collapsed, bypassed }); members reference them via groupId
+     * @returns {Array}
+     */
+    getEffectGroups() {
+        return this.core.getProperty('effectGroups') || [];
+    }
+
+    /**
+     * Set effect groups
+     * @param {Array} effectGroups
+     */
+    setEffectGroups(effectGroups) {
+        this.core.setProperty('effectGroups', effectGroups);
+    }
+
     // ========================================
     // Effect Operations (Delegated)
     // ========================================
@@ -338,6 +385,15 @@ export default class ProjectState {
         this.resolution.setTargetResolution(resolution);
     }
 
+    /**
+     * Set resolution and orientation together and trigger auto-scaling once
+     * @param {number|string} resolution
+     * @param {boolean} isHorizontal
+     */
+    setResolution(resolution, isHorizontal) {
+        this.resolution.setResolution(resolution, isHorizontal);
+    }
+
     /**
      * Get resolution dimensions
      * @returns {Object} Object with width and height
@@ -438,10 +494,11 @@ export default class ProjectState {
      * Create ProjectState from JSON string
      * @param {string} jsonString - JSON serialized project state
      * @param {Function} onUpdate - Update callback
+     * @param {Object} options - Migration options (forwardCompatible, onMigrationReport)
      * @returns {Promise<ProjectState>} New ProjectState instance
      */
-    static async fromJSON(jsonString, onUpdate = null) {
-        const stateData = await ProjectStatePersistence.fromJSON(jsonString, onUpdate);
+    static async fromJSON(jsonString, onUpdate = null, options = {}) {
+        const stateData = await ProjectStatePersistence.fromJSON(jsonString, onUpdate, options);
         return new ProjectState(stateData, onUpdate);
     }
 
@@ -449,10 +506,11 @@ export default class ProjectState {
      * Create ProjectState from plain object
      * @param {Object} data - Plain object with version, timestamp, and state
      * @param {Function} onUpdate - Update callback
+     * @param {Object} options - Migration options (forwardCompatible, onMigrationReport)
      * @returns {Promise<ProjectState>} New ProjectState instance
      */
-    static async fromObject(data, onUpdate = null) {
-        const stateData = await ProjectStatePersistence.fromObject(data, onUpdate);
+    static async fromObject(data, onUpdate = null, options = {}) {
+        const stateData = await ProjectStatePersistence.fromObject(data, onUpdate, options);
         return new ProjectState(stateData, onUpdate);
     }
 
@@ -469,10 +527,11 @@ export default class ProjectState {
      * Create ProjectState from legacy config object
      * @param {Object} legacyConfig - Legacy project configuration
      * @param {Function} onUpdate - Update callback
+     * @param {Object} options - Migration options (forwardCompatible, onMigrationReport)
      * @returns {ProjectState} New ProjectState instance
      */
-    static fromLegacyConfig(legacyConfig, onUpdate = null) {
-        const stateData = ProjectStatePersistence.fromLegacyConfig(legacyConfig);
+    static fromLegacyConfig(legacyConfig, onUpdate = null, options = {}) {
+        const stateData = ProjectStatePersistence.fromLegacyConfig(legacyConfig, options);
         return new ProjectState(stateData, onUpdate);
     }
 
@@ -480,13 +539,23 @@ export default class ProjectState {
      * Load project state from file (frontend only)
      * @param {string} filePath - Path to load the file from
      * @param {Function} onUpdate - Update callback
+     * @param {Object} options - Migration options (forwardCompatible, onMigrationReport, confirmNewerVersion)
      * @returns {Promise<ProjectState>} Loaded ProjectState instance
      */
-    static async loadFromFile(filePath, onUpdate = null) {
-        const stateData = await ProjectStatePersistence.loadFromFile(filePath);
+    static async loadFromFile(filePath, onUpdate = null, options = {}) {
+        const stateData = await ProjectStatePersistence.loadFromFile(filePath, options);
         return new ProjectState(stateData, onUpdate);
     }
 
+    /**
+     * Describe a migration report for the user
+     * @param {Object} report - Report passed to onMigrationReport
+     * @returns {string|null} Summary, or null when the file was already current
+     */
+    static describeMigrationReport(report) {
+        return ProjectStatePersistence.describeMigrationReport(report);
+    }
+
     /**
      * Check if running in browser/frontend environment
      * @returns {boolean} True if in browser
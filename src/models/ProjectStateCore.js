@@ -9,6 +9,7 @@
  */
 
 import ResolutionMapper from '../utils/ResolutionMapper.js';
+import EffectGroups from '../utils/EffectGroups.js';
 
 export default class ProjectStateCore {
     constructor(initialConfig = null, onUpdate = null) {
@@ -32,7 +33,15 @@ export default class ProjectStateCore {
             return config;
         }
 
-        // Default project state
+        return ProjectStateCore.getDefaultState();
+    }
+
+    /**
+     * Default state of a new project
+     * Also the list of top-level fields the current schema knows (see ProjectStateMigrations).
+     * @returns {Object} Default state
+     */
+    static getDefaultState() {
         return {
             projectName: '',
             artist: '',
@@ -45,7 +54,10 @@ export default class ProjectStateCore {
             backgroundColor: '#000000', // Default background color for Sharp rendering
             outputDirectory: null,
             renderStartFrame: 0,
-            renderJumpFrames: 1
+            renderJumpFrames: 1,
+            metadataSettings: null,
+            masterSeed: null,
+            effectGroups: []
         };
     }
 
@@ -203,6 +215,8 @@ export default class ProjectStateCore {
     exportForBackend() {
         return {
             ...this.state,
+            // Groups are an editing concept - the backend gets a flat effects list
+            effects: EffectGroups.flattenForBackend(this.state.effects, this.state.effectGroups),
             // Ensure backend compatibility
             resolution: this.state.targetResolution,
             numberOfFrames: this.state.numFrames
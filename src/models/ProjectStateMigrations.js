@@ -0,0 +1,344 @@
+/**
+ * ProjectStateMigrations - Schema Versioning and Migration Pipeline
+ *
+ * Single Responsibility: Upgrade persisted project state to the current schema
+ * - Registry of versioned migration steps
+ * - Step-by-step execution with a per-step change report
+ * - Unknown field handling after an upgrade (strict vs forward-compatible)
+ */
+
+import ProjectStateCore from './ProjectStateCore.js';
+
+/**
+ * Schema version written by the current build
+ * @type {string}
+ */
+export const CURRENT_SCHEMA_VERSION = '1.1.0';
+
+/**
+ * Pseudo-version assigned to unversioned legacy configs
+ * @type {string}
+ */
+export const LEGACY_SCHEMA_VERSION = '0.0.0';
+
+/**
+ * Top-level state fields understood by the current schema: every field a new
+ * project starts with, plus the legacy frameCount alias.
+ * Unknown fields are dropped when a migration step rewrites the state (unless
+ * forward-compatible); files already at the current version keep them.
+ * @type {string[]}
+ */
+export const KNOWN_STATE_FIELDS = [...Object.keys(ProjectStateCore.getDefaultState()), 'frameCount'];
+
+export default class ProjectStateMigrations {
+    constructor() {
+        // Keyed by source version, one step per version
+        this.migrations = new Map();
+    }
+
+    /**
+     * Register a migration step
+     * @param {Object} migration - Migration definition
+     * @param {string} migration.from - Source schema version
+     * @param {string} migration.to - Target schema version
+     * @param {string} migration.description - Human readable summary of the step
+     * @param {Function} migration.migrate - (state, context) => { state, changes }
+     * @returns {ProjectStateMigrations} This registry (for chaining)
+     */
+    register({ from, to, description, migrate }) {
+        if (!from || !to) {
+            throw new Error('Migration requires both a from and a to version');
+        }
+        if (typeof migrate !== 'function') {
+            throw new Error(`Migration ${from} -> ${to} requires a migrate function`);
+        }
+        if (ProjectStateMigrations.compareVersions(to, from) <= 0) {
+            throw new Error(`Migration ${from} -> ${to} must move to a newer version`);
+        }
+        if (this.migrations.has(from)) {
+            throw new Error(`A migration from version ${from} is already registered`);
+        }
+
+        this.migrations.set(from, { from, to, description: description || `${from} -> ${to}`, migrate });
+        return this;
+    }
+
+    /**
+     * Check if a migration is registered for a source version
+     * @param {string} version - Source schema version
+     * @returns {boolean} True if a step exists
+     */
+    hasMigration(version) {
+        return this.migrations.has(version);
+    }
+
+    /**
+     * Get every version the pipeline can load
+     * @returns {string[]} Sorted list of supported versions (including current)
+     */
+    getSupportedVersions() {
+        const versions = new Set([CURRENT_SCHEMA_VERSION]);
+        for (const version of this.migrations.keys()) {
+            if (this.getMigrationPath(version)) {
+                versions.add(version);
+            }
+        }
+        return [...versions].sort(ProjectStateMigrations.compareVersions);
+    }
+
+    /**
+     * Resolve the ordered chain of steps from a version to the target version
+     * @param {string} fromVersion - Source schema version
+     * @param {string} toVersion - Target schema version
+     * @returns {Array|null} Ordered migration steps, or null if no path exists
+     */
+    getMigrationPath(fromVersion, toVersion = CURRENT_SCHEMA_VERSION) {
+        const path = [];
+        let version = fromVersion;
+
+        while (version !== toVersion) {
+            const step = this.migrations.get(version);
+            if (!step || ProjectStateMigrations.compareVersions(step.to, toVersion) > 0) {
+                return null;
+            }
+            path.push(step);
+            version = step.to;
+        }
+
+        return path;
+    }
+
+    /**
+     * Run the migration pipeline on a state object
+     * @param {Object} state - State as stored on disk
+     * @param {string} fromVersion - Schema version the state was written with
+     * @param {Object} options - Migration options
+     * @param {boolean} options.forwardCompatible - Keep unknown fields after an upgrade and accept newer versions
+     * @returns {Object} { state, version, report }
+     */
+    migrate(state, fromVersion, { forwardCompatible = false } = {}) {
+        const report = {
+            fromVersion,
+            toVersion: CURRENT_SCHEMA_VERSION,
+            forwardCompatible,
+            newerThanCurrent: false,
+            steps: [],
+            droppedFields: [],
+            preservedUnknownFields: []
+        };
+
+        let migratedState = { ...state };
+
+        if (ProjectStateMigrations.compareVersions(fromVersion, CURRENT_SCHEMA_VERSION) > 0) {
+            if (!forwardCompatible) {
+                throw new Error(`Incompatible ProjectState version: ${fromVersion}`);
+            }
+            // Written by a newer build - load as-is and keep everything we do not understand
+            report.toVersion = fromVersion;
+            report.newerThanCurrent = true;
+        } else {
+            const path = this.getMigrationPath(fromVersion);
+            if (!path) {
+                throw new Error(`Incompatible ProjectState version: ${fromVersion}`);
+            }
+
+            for (const step of path) {
+                const result = step.migrate({ ...migratedState }, { forwardCompatible });
+                migratedState = result.state;
+                report.steps.push({
+                    from: step.from,
+                    to: step.to,
+                    description: step.description,
+                    changes: result.changes || []
+                });
+            }
+        }
+
+        const unknownFields = Object.keys(migratedState).filter(key => !KNOWN_STATE_FIELDS.includes(key));
+        // Only an upgrade decides what the old fields became; current files lose nothing on load
+        if (forwardCompatible || report.steps.length === 0) {
+            report.preservedUnknownFields = unknownFields;
+        } else {
+            unknownFields.forEach(key => delete migratedState[key]);
+            report.droppedFields = unknownFields;
+        }
+
+        return { state: migratedState, version: report.toVersion, report };
+    }
+
+    /**
+     * Compare two dotted version strings
+     * @param {string} a - First version
+     * @param {string} b - Second version
+     * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+     */
+    static compareVersions(a, b) {
+        const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+        const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+        const length = Math.max(partsA.length, partsB.length);
+
+        for (let i = 0; i < length; i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) {
+                return diff;
+            }
+        }
+        return 0;
+    }
+}
+
+/**
+ * Legacy field mapping shared by the 0.0.0 step
+ * @type {Object<string, string[]>}
+ */
+const LEGACY_FIELD_MAP = {
+    projectName: ['projectName'],
+    artist: ['artist'],
+    targetResolution: ['targetResolution', 'resolution'],
+    isHorizontal: ['isHorizontal'],
+    numFrames: ['numFrames', 'numberOfFrames'],
+    effects: ['effects'],
+    colorScheme: ['colorScheme'],
+    colorSchemeData: ['colorSchemeData'],
+    outputDirectory: ['outputDirectory'],
+    renderStartFrame: ['renderStartFrame'],
+    renderJumpFrames: ['renderJumpFrames']
+};
+
+const LEGACY_DEFAULTS = {
+    projectName: '',
+    artist: '',
+    targetResolution: 1080,
+    isHorizontal: false,
+    numFrames: 100,
+    effects: [],
+    colorScheme: 'vapor-dreams',
+    colorSchemeData: null,
+    outputDirectory: null,
+    renderStartFrame: 0,
+    renderJumpFrames: 1
+};
+
+/**
+ * 0.0.0 -> 1.0.0: map an unversioned legacy config onto the versioned state shape
+ */
+function migrateLegacyConfig(legacyConfig, { forwardCompatible }) {
+    const state = {};
+    const changes = [];
+    const consumed = new Set();
+
+    for (const [field, sources] of Object.entries(LEGACY_FIELD_MAP)) {
+        const source = sources.find(key => legacyConfig[key] !== undefined && legacyConfig[key] !== null);
+        sources.forEach(key => consumed.add(key));
+
+        if (source) {
+            state[field] = legacyConfig[source];
+            if (source !== field) {
+                changes.push(`Renamed ${source} to ${field}`);
+            }
+        } else {
+            state[field] = LEGACY_DEFAULTS[field];
+            changes.push(`Defaulted ${field}`);
+        }
+    }
+
+    // Unmapped legacy fields only survive in forward-compatible mode
+    if (forwardCompatible) {
+        for (const key of Object.keys(legacyConfig)) {
+            if (!consumed.has(key)) {
+                state[key] = legacyConfig[key];
+            }
+        }
+    }
+
+    return { state, changes };
+}
+
+/**
+ * Normalize one effect to the 1.1.0 nested-effects shape
+ */
+function normalizeEffect(effect, path, changes) {
+    const normalized = { ...effect };
+
+    if (normalized.attachedEffects) {
+        const { secondary, keyFrame } = normalized.attachedEffects;
+        if (!normalized.secondaryEffects && Array.isArray(secondary)) {
+            normalized.secondaryEffects = secondary;
+        }
+        if (!normalized.keyframeEffects && Array.isArray(keyFrame)) {
+            normalized.keyframeEffects = keyFrame;
+        }
+        delete normalized.attachedEffects;
+        changes.push(`${path}: converted attachedEffects to secondaryEffects/keyframeEffects`);
+    }
+
+    if (typeof normalized.visible !== 'boolean') {
+        normalized.visible = true;
+        changes.push(`${path}: defaulted visible to true`);
+    }
+
+    ['secondaryEffects', 'keyframeEffects'].forEach(key => {
+        if (normalized[key] === undefined) {
+            return;
+        }
+        if (!Array.isArray(normalized[key])) {
+            normalized[key] = [];
+            changes.push(`${path}: reset invalid ${key} to an empty array`);
+            return;
+        }
+        normalized[key] = normalized[key].map((child, index) =>
+            normalizeEffect(child, `${path}.${key}[${index}]`, changes)
+        );
+    });
+
+    return normalized;
+}
+
+/**
+ * 1.0.0 -> 1.1.0: flatten the old attachedEffects format and drop the frameCount alias
+ */
+function migrateNestedEffects(state) {
+    const changes = [];
+
+    if ('frameCount' in state) {
+        if (!('numFrames' in state)) {
+            state.numFrames = state.frameCount;
+            changes.push('Moved frameCount to numFrames');
+        }
+        delete state.frameCount;
+    }
+
+    if (Array.isArray(state.effects)) {
+        state.effects = state.effects.map((effect, index) =>
+            normalizeEffect(effect, `effects[${index}]`, changes)
+        );
+    }
+
+    return { state, changes };
+}
+
+/**
+ * Create a registry pre-loaded with the built-in migration chain
+ * @returns {ProjectStateMigrations} Registry
+ */
+export function createDefaultMigrations() {
+    return new ProjectStateMigrations()
+        .register({
+            from: LEGACY_SCHEMA_VERSION,
+            to: '1.0.0',
+            description: 'Map legacy project config to versioned state',
+            migrate: migrateLegacyConfig
+        })
+        .register({
+            from: '1.0.0',
+            to: '1.1.0',
+            description: 'Normalize nested effects and frame count alias',
+            migrate: migrateNestedEffects
+        });
+}
+
+/**
+ * Shared registry used by ProjectStatePersistence
+ * @type {ProjectStateMigrations}
+ */
+export const projectStateMigrations = createDefaultMigrations();
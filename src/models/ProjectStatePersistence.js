@@ -5,9 +5,16 @@
  * - Serialization and deserialization
  * - File I/O operations
  * - Legacy format support
- * - Version compatibility
+ * - Version compatibility (via ProjectStateMigrations)
  */
 
+import ProjectStateMigrations, {
+    CURRENT_SCHEMA_VERSION,
+    LEGACY_SCHEMA_VERSION,
+    projectStateMigrations
+} from './ProjectStateMigrations.js';
+import EffectGroups from '../utils/EffectGroups.js';
+
 export default class ProjectStatePersistence {
     constructor(stateCore, effectsManager) {
         this.stateCore = stateCore;
@@ -20,7 +27,7 @@ export default class ProjectStatePersistence {
      */
     serialize() {
         return JSON.stringify({
-            version: '1.0.0',
+            version: CURRENT_SCHEMA_VERSION,
             timestamp: Date.now(),
             state: this.stateCore.getState()
         });
@@ -32,7 +39,7 @@ export default class ProjectStatePersistence {
      */
     toJSON() {
         return {
-            version: '1.0.0',
+            version: CURRENT_SCHEMA_VERSION,
             timestamp: Date.now(),
             state: { ...this.stateCore.getState() }
         };
@@ -42,12 +49,13 @@ export default class ProjectStatePersistence {
      * Create ProjectState from JSON string
      * @param {string} jsonString - JSON serialized project state
      * @param {Function} onUpdate - Update callback
+     * @param {Object} options - Migration options (see migrate)
      * @returns {Promise<Object>} Deserialized state data
      */
-    static async fromJSON(jsonString, onUpdate = null) {
+    static async fromJSON(jsonString, onUpdate = null, options = {}) {
         try {
             const data = JSON.parse(jsonString);
-            return await ProjectStatePersistence.fromObject(data, onUpdate);
+            return await ProjectStatePersistence.fromObject(data, onUpdate, options);
         } catch (error) {
             throw new Error(`Failed to deserialize ProjectState: ${error.message}`);
         }
@@ -57,9 +65,10 @@ export default class ProjectStatePersistence {
      * Create ProjectState from plain object
      * @param {Object} data - Plain object with version, timestamp, and state
      * @param {Function} onUpdate - Update callback
+     * @param {Object} options - Migration options (see migrate)
      * @returns {Promise<Object>} Deserialized state data
      */
-    static async fromObject(data, onUpdate = null) {
+    static async fromObject(data, onUpdate = null, options = {}) {
         if (!data || typeof data !== 'object') {
             throw new Error('Invalid data provided for ProjectState deserialization');
         }
@@ -68,14 +77,8 @@ export default class ProjectStatePersistence {
             throw new Error('Missing state property in ProjectState data');
         }
 
-        // Version compatibility check
-        const version = data.version || '1.0.0';
-        if (!ProjectStatePersistence.isVersionCompatible(version)) {
-            throw new Error(`Incompatible ProjectState version: ${version}`);
-        }
-
-        // Return the state data for reconstruction
-        let stateData = { ...data.state };
+        // Upgrade to the current schema step by step
+        let stateData = ProjectStatePersistence.migrate(data.state, data.version || '1.0.0', options);
 
         // Ensure all effects have IDs (for backward compatibility)
         if (stateData.effects && Array.isArray(stateData.effects)) {
@@ -91,40 +94,101 @@ export default class ProjectStatePersistence {
         return stateData;
     }
 
+    /**
+     * Run persisted state through the migration pipeline
+     * @param {Object} state - State as stored on disk
+     * @param {string} version - Schema version the state was written with
+     * @param {Object} options - Migration options
+     * @param {boolean} options.forwardCompatible - Keep unknown fields and accept newer versions
+     * @param {Function} options.onMigrationReport - Receives the report of what each step changed
+     * @returns {Object} Migrated state data
+     */
+    static migrate(state, version, { forwardCompatible = false, onMigrationReport = null } = {}) {
+        const result = projectStateMigrations.migrate(state, version, { forwardCompatible });
+
+        if (result.report.steps.length > 0 || result.report.droppedFields.length > 0) {
+            console.log(`🔄 ProjectStatePersistence: Migrated state ${result.report.fromVersion} -> ${result.report.toVersion}`, result.report);
+        }
+
+        if (onMigrationReport) {
+            onMigrationReport(result.report);
+        }
+
+        return result.state;
+    }
+
+    /**
+     * Describe a migration report for the user
+     * @param {Object} report - Report passed to onMigrationReport
+     * @returns {string|null} Summary, or null when the file was already current
+     */
+    static describeMigrationReport(report) {
+        if (!report) {
+            return null;
+        }
+        if (report.newerThanCurrent) {
+            const kept = report.preservedUnknownFields.length > 0
+                ? ` Settings this version does not know were kept: ${report.preservedUnknownFields.join(', ')}.`
+                : '';
+            return `Opened a project saved by a newer version (format ${report.fromVersion}).${kept}`;
+        }
+        if (report.steps.length === 0 && report.droppedFields.length === 0) {
+            return null;
+        }
+
+        const changeCount = report.steps.reduce((count, step) => count + step.changes.length, 0);
+        const parts = [`Project upgraded from format ${report.fromVersion} to ${report.toVersion}`];
+        if (changeCount > 0) {
+            parts[0] += ` (${changeCount} change${changeCount === 1 ? '' : 's'})`;
+        }
+        if (report.droppedFields.length > 0) {
+            parts.push(`Removed settings this version does not use: ${report.droppedFields.join(', ')}`);
+        }
+        parts.push('Save to keep the upgraded file');
+        return `${parts.join('. ')}.`;
+    }
+
     /**
      * Check if a version is compatible with current ProjectState
      * @param {string} version - Version string to check
      * @returns {boolean} True if compatible
      */
     static isVersionCompatible(version) {
-        const supportedVersions = ['1.0.0'];
-        return supportedVersions.includes(version);
+        return ProjectStatePersistence.getSupportedVersions().includes(version);
+    }
+
+    /**
+     * Get every schema version that can be migrated to the current one
+     * @returns {string[]} Supported versions
+     */
+    static getSupportedVersions() {
+        return projectStateMigrations
+            .getSupportedVersions()
+            .filter(version => version !== LEGACY_SCHEMA_VERSION);
+    }
+
+    /**
+     * Check if a version was written by a newer build
+     * @param {string} version - Version string to check
+     * @returns {boolean} True if newer than the current schema
+     */
+    static isNewerVersion(version) {
+        return ProjectStateMigrations.compareVersions(version, CURRENT_SCHEMA_VERSION) > 0;
     }
 
     /**
      * Create ProjectState from legacy config object
      * @param {Object} legacyConfig - Legacy project configuration
+     * @param {Object} options - Migration options (see migrate)
      * @returns {Object} Converted state data
      */
-    static fromLegacyConfig(legacyConfig) {
+    static fromLegacyConfig(legacyConfig, options = {}) {
         if (!legacyConfig || typeof legacyConfig !== 'object') {
             return null;
         }
 
-        // Map legacy properties to new state structure
-        return {
-            projectName: legacyConfig.projectName || '',
-            artist: legacyConfig.artist || '',
-            targetResolution: legacyConfig.targetResolution || legacyConfig.resolution || 1080,
-            isHorizontal: legacyConfig.isHorizontal || false,
-            numFrames: legacyConfig.numFrames || legacyConfig.numberOfFrames || 100,
-            effects: legacyConfig.effects || [],
-            colorScheme: legacyConfig.colorScheme || 'vapor-dreams',
-            colorSchemeData: legacyConfig.colorSchemeData || null,
-            outputDirectory: legacyConfig.outputDirectory || null,
-            renderStartFrame: legacyConfig.renderStartFrame || 0,
-            renderJumpFrames: legacyConfig.renderJumpFrames || 1
-        };
+        // Legacy configs enter the pipeline at the pseudo-version and walk every step
+        return ProjectStatePersistence.migrate(legacyConfig, LEGACY_SCHEMA_VERSION, options);
     }
 
     /**
@@ -148,9 +212,12 @@ export default class ProjectStatePersistence {
     /**
      * Load project state from file (frontend only)
      * @param {string} filePath - Path to load the file from
+     * @param {Object} options - Migration options (see migrate)
+     * @param {Function} options.confirmNewerVersion - async (version) => boolean, asked before
+     *   opening a file written by a newer build forward-compatibly (unless forwardCompatible is set)
      * @returns {Promise<Object>} Loaded state data
      */
-    static async loadFromFile(filePath) {
+    static async loadFromFile(filePath, { confirmNewerVersion = null, ...options } = {}) {
         try {
             if (!ProjectStatePersistence.isBrowser()) {
                 throw new Error('File operations are only available in browser environment');
@@ -158,7 +225,11 @@ export default class ProjectStatePersistence {
 
             const result = await window.api.loadProjectFile(filePath);
             if (result.success) {
-                return await ProjectStatePersistence.fromJSON(JSON.stringify(result.projectData));
+                const version = result.projectData?.version;
+                if (!options.forwardCompatible && confirmNewerVersion && version && ProjectStatePersistence.isNewerVersion(version)) {
+                    options.forwardCompatible = await confirmNewerVersion(version);
+                }
+                return await ProjectStatePersistence.fromJSON(JSON.stringify(result.projectData), null, options);
             } else {
                 throw new Error(result.error);
             }
@@ -175,6 +246,8 @@ export default class ProjectStatePersistence {
         const state = this.stateCore.getState();
         return {
             ...state,
+            // Groups are an editing concept - the backend gets a flat effects list
+            effects: EffectGroups.flattenForBackend(state.effects, state.effectGroups),
             // Ensure backend compatibility
             resolution: state.targetResolution,
             numberOfFrames: state.numFrames
@@ -187,7 +260,7 @@ export default class ProjectStatePersistence {
      */
     createBackup() {
         return {
-            version: '1.0.0',
+            version: CURRENT_SCHEMA_VERSION,
             timestamp: Date.now(),
             backupType: 'manual',
             state: this.stateCore.getState(),
@@ -202,19 +275,22 @@ export default class ProjectStatePersistence {
     /**
      * Restore state from backup
      * @param {Object} backup - Backup data
+     * @param {Object} options - Migration options (see migrate)
      * @returns {Object} Restored state data
      */
-    static restoreFromBackup(backup) {
+    static restoreFromBackup(backup, options = {}) {
         if (!backup || !backup.state) {
             throw new Error('Invalid backup data');
         }
 
         // Version compatibility check
-        if (!ProjectStatePersistence.isVersionCompatible(backup.version)) {
+        const compatible = ProjectStatePersistence.isVersionCompatible(backup.version) ||
+            (options.forwardCompatible && ProjectStatePersistence.isNewerVersion(backup.version));
+        if (!compatible) {
             throw new Error(`Incompatible backup version: ${backup.version}`);
         }
 
-        return backup.state;
+        return ProjectStatePersistence.migrate(backup.state, backup.version, options);
     }
 
     /**
@@ -247,18 +323,19 @@ export default class ProjectStatePersistence {
      * Import from specific format
      * @param {string|Object} data - Import data
      * @param {string} format - Import format
+     * @param {Object} options - Migration options (see migrate)
      * @returns {Object} Imported state data
      */
-    static async importFrom(data, format) {
+    static async importFrom(data, format, options = {}) {
         switch (format.toLowerCase()) {
             case 'json':
-                return await ProjectStatePersistence.fromJSON(data);
+                return await ProjectStatePersistence.fromJSON(data, null, options);
             case 'nftproject':
-                return await ProjectStatePersistence.fromObject(data);
+                return await ProjectStatePersistence.fromObject(data, null, options);
             case 'backup':
-                return ProjectStatePersistence.restoreFromBackup(data);
+                return ProjectStatePersistence.restoreFromBackup(data, options);
             case 'legacy':
-                return ProjectStatePersistence.fromLegacyConfig(data);
+                return ProjectStatePersistence.fromLegacyConfig(data, options);
             default:
                 throw new Error(`Unsupported import format: ${format}`);
         }
@@ -291,7 +368,9 @@ export default class ProjectStatePersistence {
             legacySupport: true,
             backupRestore: true,
             versionCompatibility: true,
-            supportedVersions: ['1.0.0'],
+            forwardCompatibility: true,
+            currentVersion: CURRENT_SCHEMA_VERSION,
+            supportedVersions: ProjectStatePersistence.getSupportedVersions(),
             exportFormats: ['json', 'nftproject', 'backup'],
             importFormats: ['json', 'nftproject', 'backup', 'legacy']
         };
@@ -27,14 +27,32 @@ export default class ProjectStateResolution {
 
     /**
      * Set target resolution and trigger auto-scaling
+     * Custom "WIDTHxHEIGHT" resolutions also set the orientation, so the canvas
+     * gets exactly the width and height that were entered.
      * @param {number|string} resolution - New resolution
      */
     setTargetResolution(resolution) {
+        const custom = ResolutionMapper.parseCustomResolution(resolution);
+        const isHorizontal = custom ? custom.w >= custom.h : this.getIsHorizontal();
+        this.setResolution(resolution, isHorizontal);
+    }
+
+    /**
+     * Set resolution and orientation together, scaling positions once
+     * Scaling in one step keeps positions exact when both the aspect ratio and
+     * the orientation change (e.g. 1920x1080 to a custom 1080x1350).
+     * @param {number|string} resolution - New resolution
+     * @param {boolean} isHorizontal - New orientation
+     */
+    setResolution(resolution, isHorizontal) {
         // Get current dimensions before changing resolution
         const oldDimensions = this.getResolutionDimensions();
 
-        // Update the resolution
+        // Update the resolution and orientation
         this.stateCore.setProperty('targetResolution', resolution);
+        if (isHorizontal !== this.getIsHorizontal()) {
+            this.stateCore.setProperty('isHorizontal', isHorizontal);
+        }
 
         // Get new dimensions after resolution change
         const newDimensions = this.getResolutionDimensions();
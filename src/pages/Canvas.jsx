@@ -4,17 +4,28 @@ import EventDrivenEffectsPanel from '../components/EventDrivenEffectsPanel.jsx';
 import EventBusMonitor from '../components/EventBusMonitor.jsx';
 import ImportProjectWizard from '../components/ImportProjectWizard.jsx';
 import ProjectSettingsDialog from '../components/ProjectSettingsDialog.jsx';
+import ExportAnimationDialog from '../components/ExportAnimationDialog.jsx';
+import CollectionMetadataDialog from '../components/CollectionMetadataDialog.jsx';
+import GenerateCollectionDialog from '../components/GenerateCollectionDialog.jsx';
 import PluginManagerDialog from '../components/PluginManagerDialog.jsx';
+import RenderProgressWidget from '../components/RenderProgressWidget.jsx';
+import PluginDevErrorPanel from '../components/PluginDevErrorPanel.jsx';
 
 // Canvas components and hooks
 import { createAppTheme, appThemes } from '../components/canvas/theme.js';
 import CanvasToolbar from '../components/canvas/CanvasToolbar.jsx';
 import CanvasViewport from '../components/canvas/CanvasViewport.jsx';
+import KeyframeTimeline from '../components/canvas/KeyframeTimeline.jsx';
+import PositionHandlesOverlay from '../components/canvas/PositionHandlesOverlay.jsx';
+import FrameComparisonPanel from '../components/canvas/FrameComparisonPanel.jsx';
 import useZoomPan from '../components/canvas/useZoomPan.js';
 import useEffectManagement from '../components/canvas/useEffectManagement.js';
 
 // New clean hooks
 import useRenderPipeline from '../hooks/useRenderPipeline.js';
+import useRenderQueue from '../hooks/useRenderQueue.js';
+import useFrameComparison from '../hooks/useFrameComparison.js';
+import usePreviewCache from '../hooks/usePreviewCache.js';
 import { useNavigation } from '../hooks/useNavigation.js';
 import { useServices } from '../contexts/ServiceContext.js';
 import PreferencesService from '../services/PreferencesService.js';
@@ -43,6 +54,7 @@ import EventDrivenCanvasToolbar from '../components/EventDrivenCanvasToolbar.jsx
 
 // Effects components
 import EffectConfigPanel from '../components/effects/EffectConfigPanel.jsx';
+import BulkEffectConfigurer from '../components/effects/BulkEffectConfigurer.jsx';
 
 
 /**
@@ -116,7 +128,13 @@ export default function Canvas({ projectStateManager, projectData, onUpdateConfi
     // when setTargetResolution() or setIsHorizontal() are called
 
     // Render pipeline (automatic rendering, no manual triggers)
-    const { renderResult, isRendering, renderError, renderTimer, triggerRender } = useRenderPipeline();
+    const { renderResult, isRendering, renderError, renderTimer, renderPhase, isLivePreview, triggerRender } = useRenderPipeline();
+
+    // Persistent render queue (main process)
+    const renderQueue = useRenderQueue();
+
+    // Preview frame cache stats (main process)
+    const previewCache = usePreviewCache();
 
     // UI state only
     const [selectedFrame, setSelectedFrame] = useState(0);
@@ -127,13 +145,19 @@ export default function Canvas({ projectStateManager, projectData, onUpdateConfi
     const [isEventMonitorMinimized, setIsEventMonitorMinimized] = useState(false);
     const [isProjectResuming, setIsProjectResuming] = useState(false);
     const [showPluginManager, setShowPluginManager] = useState(false);
+    const [showComparison, setShowComparison] = useState(false);
     const [isEventMonitorForResumedProject, setIsEventMonitorForResumedProject] = useState(false);
     const [showImportWizard, setShowImportWizard] = useState(false);
     const [showProjectSettings, setShowProjectSettings] = useState(false);
+    const [showExportDialog, setShowExportDialog] = useState(false);
+    const [showMetadataDialog, setShowMetadataDialog] = useState(false);
+    const [showCollectionDialog, setShowCollectionDialog] = useState(false);
     
     // Config panel state (docked on right side)
     const [configPanelExpanded, setConfigPanelExpanded] = useState(false);
     const [selectedEffect, setSelectedEffect] = useState(null);
+    // Multi-selection from the effects panel (only set for 2+ effects)
+    const [bulkSelection, setBulkSelection] = useState(null);
 
 
     // UI refs
@@ -225,6 +249,32 @@ export default function Canvas({ projectStateManager, projectData, onUpdateConfi
         triggerRender(selectedFrame);
     }, [triggerRender, selectedFrame]);
 
+    // Frame comparison (preview vs snapshot, two frames, or two renders)
+    const comparison = useFrameComparison({
+        renderResult,
+        outputDirectory: projectState ? projectState.getOutputDirectory() || '' : ''
+    });
+
+    // Plugin developer mode: show the hot reloaded plugin's effects in the current preview frame
+    useEffect(() => {
+        const unsubscribe = eventBusService.subscribe('plugins:dev-reloaded', (result) => {
+            if (result?.success && renderResult) {
+                console.log('♻️ Canvas: Plugin hot reloaded, re-rendering frame', selectedFrame);
+                triggerRender(selectedFrame);
+            }
+        }, { component: 'Canvas' });
+
+        return unsubscribe;
+    }, [eventBusService, triggerRender, selectedFrame, renderResult]);
+
+    // Keep the config panel in sync with values dragged on the canvas
+    const handlePositionHandleCommitted = useCallback((fieldName, value) => {
+        setSelectedEffect(prev => prev ? {
+            ...prev,
+            config: { ...prev.config, [fieldName]: ConfigCloner.deepClone(value) }
+        } : prev);
+    }, []);
+
     // Wrapper for mouse down with refs
     const handleCanvasMouseDown = useCallback((e) => {
         handleMouseDown(e, canvasRef, frameHolderRef);
@@ -382,6 +432,11 @@ export default function Canvas({ projectStateManager, projectData, onUpdateConfi
             setConfigPanelExpanded(false);
         }, { component: 'Canvas' });
 
+        // Multi-selection - bulk config replaces the single-effect config
+        const unsubscribeSelectionChanged = eventBusService.subscribe('effects:selection:changed', ({ selection = [] } = {}) => {
+            setBulkSelection(selection.length > 1 ? selection : null);
+        }, { component: 'Canvas' });
+
         // Resolution and orientation events - trigger re-render
         const unsubscribeResolution = eventBusService.subscribe('resolution:changed', (payload) => {
             console.log('🎨 Canvas: Resolution change event received:', payload);
@@ -463,7 +518,10 @@ export default function Canvas({ projectStateManager, projectData, onUpdateConfi
                     if (filePath.endsWith('.nftproject')) {
                         // Load as ProjectState using the same approach as intro wizard
                         const ProjectState = (await import('../models/ProjectState.js')).default;
-                        const loadedProjectState = await ProjectState.loadFromFile(filePath);
+                        const ProjectPersistenceService = (await import('../services/ProjectPersistenceService.js')).default;
+                        const loadedProjectState = await ProjectState.loadFromFile(filePath, null, ProjectPersistenceService.createOpenOptions(
+                            (summary) => eventBusService.emit('project:migrated', { summary, filePath }, { source: 'Canvas', component: 'Canvas' })
+                        ));
 
                         if (loadedProjectState) {
                             console.log('✅ Project loaded successfully:', loadedProjectState.getProjectName());
@@ -532,6 +590,24 @@ export default function Canvas({ projectStateManager, projectData, onUpdateConfi
             setShowProjectSettings(true);
         }, { component: 'Canvas' });
 
+        // Listen for animation export dialog show request
+        const unsubscribeShowExportDialog = eventBusService.subscribe('export:dialog:open', (payload) => {
+            console.log('🎨 Canvas: Show export dialog event received:', payload);
+            setShowExportDialog(true);
+        }, { component: 'Canvas' });
+
+        // Listen for collection generation dialog show request
+        const unsubscribeShowCollectionDialog = eventBusService.subscribe('collection:dialog:open', (payload) => {
+            console.log('🎨 Canvas: Show collection dialog event received:', payload);
+            setShowCollectionDialog(true);
+        }, { component: 'Canvas' });
+
+        // Listen for token metadata dialog show request
+        const unsubscribeShowMetadataDialog = eventBusService.subscribe('metadata:dialog:open', (payload) => {
+            console.log('🎨 Canvas: Show metadata dialog event received:', payload);
+            setShowMetadataDialog(true);
+        }, { component: 'Canvas' });
+
         // Listen for event bus monitor show request
         const unsubscribeShowEventBusMonitor = eventBusService.subscribe('eventbus:monitor:open', (payload) => {
             console.log('🎨 Canvas: Show event bus monitor event received:', payload);
@@ -544,12 +620,24 @@ export default function Canvas({ projectStateManager, projectData, onUpdateConfi
             setShowPluginManager(true);
         }, { component: 'Canvas' });
 
+        // Listen for frame comparison toggle
+        const unsubscribeCompareToggle = eventBusService.subscribe('toolbar:compare:toggle', (payload) => {
+            console.log('🎨 Canvas: Compare toggle event received:', payload);
+            setShowComparison(payload.isComparing);
+        }, { component: 'Canvas' });
+
+        // Listen for the effect browser request from the effects panel
+        const unsubscribeEffectBrowser = eventBusService.subscribe('effectspanel:browser:open', () => {
+            setShowEffectPicker(true);
+        }, { component: 'Canvas' });
+
         return () => {
             console.log('🎨 Canvas: Cleaning up UI event listeners');
             unsubscribeTheme();
             unsubscribeFrame();
             unsubscribeEffectSelected();
             unsubscribeEffectDeselected();
+            unsubscribeSelectionChanged();
             unsubscribeResolution();
             unsubscribeOrientation();
             unsubscribeRenderLoopToggle();
@@ -563,8 +651,13 @@ export default function Canvas({ projectStateManager, projectData, onUpdateConfi
             unsubscribeProjectResumeSuccess();
             unsubscribeShowImportWizard();
             unsubscribeShowProjectSettings();
+            unsubscribeShowExportDialog();
+            unsubscribeShowMetadataDialog();
+            unsubscribeShowCollectionDialog();
             unsubscribeShowEventBusMonitor();
             unsubscribeShowPluginManager();
+            unsubscribeCompareToggle();
+            unsubscribeEffectBrowser();
         };
     }, [eventBusService, projectState]);
 
@@ -597,6 +690,7 @@ export default function Canvas({ projectStateManager, projectData, onUpdateConfi
                         isRendering={isRendering}
                         isReadOnly={projectState ? projectState.getState().isReadOnly || false : false}
                         isProjectResuming={isProjectResuming}
+                        isComparing={showComparison}
                     />
                 </div>
 
@@ -617,8 +711,37 @@ export default function Canvas({ projectStateManager, projectData, onUpdateConfi
                         />
                     </div>
 
+                    {/* Bulk Configuration Panel - shared fields of a multi-selection */}
+                    {bulkSelection && projectState && (
+                        <div className="page-canvas__effect-config">
+                            <div className="page-canvas__effect-config__header">
+                                <div>
+                                    <h3 className="page-canvas__effect-config__title">
+                                        {bulkSelection.length} Effects Selected
+                                    </h3>
+                                    <div className="page-canvas__effect-config__id">
+                                        Shared fields
+                                    </div>
+                                </div>
+                                <button
+                                    className="page-canvas__effect-config__close-btn"
+                                    onClick={() => setBulkSelection(null)}
+                                    aria-label="Close bulk configuration"
+                                >
+                                    ✕
+                                </button>
+                            </div>
+                            <div className="page-canvas__effect-config__content">
+                                <BulkEffectConfigurer
+                                    selection={bulkSelection}
+                                    projectState={projectState}
+                                />
+                            </div>
+                        </div>
+                    )}
+
                     {/* Effect Configuration Panel - docked between effects panel and canvas */}
-                    {selectedEffect && (
+                    {selectedEffect && !bulkSelection && (
                         <div className="page-canvas__effect-config">
                             <div className="page-canvas__effect-config__header">
                                 <div>
@@ -655,20 +778,47 @@ export default function Canvas({ projectStateManager, projectData, onUpdateConfi
                         </div>
                     )}
 
-                    {/* Canvas viewport */}
-                    <div className="page-canvas__viewport">
-                        <CanvasViewport
-                            dimensions={getResolutionDimensions()}
-                            zoom={zoom}
-                            pan={pan}
-                            isDragging={isDragging}
-                            isRendering={isRendering}
-                            renderTimer={renderTimer}
-                            renderResult={renderResult}
-                            onMouseDown={handleCanvasMouseDown}
-                            onWheel={handleWheel}
-                            currentTheme={currentTheme}
-                            ref={{ canvasRef, frameHolderRef }}
+                    {/* Canvas viewport with keyframe timeline underneath */}
+                    <div className="page-canvas__stage">
+                        <div className="page-canvas__viewport">
+                            <CanvasViewport
+                                dimensions={getResolutionDimensions()}
+                                zoom={zoom}
+                                pan={pan}
+                                isDragging={isDragging}
+                                isRendering={isRendering}
+                                renderTimer={renderTimer}
+                                renderResult={renderResult}
+                                isLivePreview={isLivePreview}
+                                renderPhase={renderPhase}
+                                onMouseDown={handleCanvasMouseDown}
+                                onWheel={handleWheel}
+                                currentTheme={currentTheme}
+                                comparison={showComparison && comparison.isReady ? comparison : null}
+                                ref={{ canvasRef, frameHolderRef }}
+                            >
+                                <PositionHandlesOverlay
+                                    projectState={projectState}
+                                    selectedEffect={selectedEffect}
+                                    dimensions={getResolutionDimensions()}
+                                    zoom={zoom}
+                                    canvasRef={canvasRef}
+                                    isReadOnly={projectState ? projectState.getState().isReadOnly || false : false}
+                                    onFieldCommitted={handlePositionHandleCommitted}
+                                />
+                            </CanvasViewport>
+                            {showComparison && (
+                                <FrameComparisonPanel
+                                    comparison={comparison}
+                                    hasPreview={Boolean(renderResult)}
+                                    onClose={() => setShowComparison(false)}
+                                />
+                            )}
+                        </div>
+                        <KeyframeTimeline
+                            projectState={projectState}
+                            selectedFrame={selectedFrame}
+                            isReadOnly={projectState ? projectState.getState().isReadOnly || false : false}
                         />
                     </div>
                 </div>
@@ -710,6 +860,7 @@ export default function Canvas({ projectStateManager, projectData, onUpdateConfi
                                 }
                             }}
                             onClose={() => setShowEffectPicker(false)}
+                            palette={projectState?.getColorSchemeData?.() || null}
                         />
                     </DialogContent>
                 </Dialog>
@@ -728,12 +879,24 @@ export default function Canvas({ projectStateManager, projectData, onUpdateConfi
                     renderLoopActive={isRenderLoopActive}
                 />
 
+                {/* Render Queue */}
+                <RenderProgressWidget
+                    renderProgress={renderQueue.renderProgress}
+                    onOpen={() => setShowEventMonitor(true)}
+                    onStop={renderQueue.pauseQueue}
+                    renderQueue={renderQueue}
+                    previewCache={previewCache}
+                />
+
                 {/* Plugin Manager */}
                 <PluginManagerDialog
                     open={showPluginManager}
                     onClose={() => setShowPluginManager(false)}
                 />
 
+                {/* Plugin developer mode load errors */}
+                <PluginDevErrorPanel />
+
                 {/* Import Project Wizard */}
                 {showImportWizard && (
                     <ImportProjectWizard
@@ -769,6 +932,33 @@ export default function Canvas({ projectStateManager, projectData, onUpdateConfi
                     />
                 )}
 
+                {/* Animation Export Dialog */}
+                {showExportDialog && (
+                    <ExportAnimationDialog
+                        open={showExportDialog}
+                        onClose={() => setShowExportDialog(false)}
+                        projectState={projectState}
+                    />
+                )}
+
+                {/* Collection Generation Dialog */}
+                {showCollectionDialog && (
+                    <GenerateCollectionDialog
+                        open={showCollectionDialog}
+                        onClose={() => setShowCollectionDialog(false)}
+                        projectState={projectState}
+                    />
+                )}
+
+                {/* Token Metadata Dialog */}
+                {showMetadataDialog && (
+                    <CollectionMetadataDialog
+                        open={showMetadataDialog}
+                        onClose={() => setShowMetadataDialog(false)}
+                        projectState={projectState}
+                    />
+                )}
+
             </div>
         </ThemeProvider>
     );
@@ -2,12 +2,15 @@ import React, { useEffect, useState } from 'react';
 import PreferencesService from '../services/PreferencesService.js';
 import { useServices } from '../contexts/ServiceContext.js';
 import ImportProjectWizard from '../components/ImportProjectWizard.jsx';
+import RecentProjectsBrowser from '../components/RecentProjectsBrowser.jsx';
+import useRecentProjects from '../hooks/useRecentProjects.js';
 import './Intro.bem.css';
 
-export default function Intro({ onNewProject, onEditProject, onImportProject }) {
+export default function Intro({ onNewProject, onEditProject, onImportProject, onOpenRecentProject }) {
     const { eventBusService } = useServices();
     const [preferencesInitialized, setPreferencesInitialized] = useState(false);
     const [showImportWizard, setShowImportWizard] = useState(false);
+    const recentProjects = useRecentProjects();
 
     useEffect(() => {
         // Initialize default preferences on app startup
@@ -110,6 +113,17 @@ export default function Intro({ onNewProject, onEditProject, onImportProject })
                         <span>Import from Settings</span>
                     </button>
                 </div>
+                {onOpenRecentProject && (
+                    <RecentProjectsBrowser
+                        projects={recentProjects.projects}
+                        loading={recentProjects.loading}
+                        disabled={!preferencesInitialized}
+                        onOpen={onOpenRecentProject}
+                        onTogglePin={recentProjects.togglePin}
+                        onRemove={recentProjects.removeProject}
+                        onReveal={recentProjects.revealProject}
+                    />
+                )}
             </div>
             {showImportWizard && (
                 <ImportProjectWizard
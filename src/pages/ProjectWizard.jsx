@@ -57,8 +57,9 @@ export default function ProjectWizard({ projectStateManager, onComplete, onCance
             try {
                 // Get user's preferred resolution
                 const lastProjectInfo = await PreferencesService.getLastProjectInfo();
-                const preferredResolution = lastProjectInfo.lastResolution
-                    ? parseInt(lastProjectInfo.lastResolution)
+                const lastResolution = lastProjectInfo.lastResolution;
+                const preferredResolution = lastResolution
+                    ? (ResolutionMapper.isCustomResolution(lastResolution) ? lastResolution : parseInt(lastResolution))
                     : ResolutionMapper.getDefaultResolution();
 
                 // Create ProjectState and initialize it in the ProjectStateManager
@@ -69,7 +70,10 @@ export default function ProjectWizard({ projectStateManager, onComplete, onCance
                 projectState.setTargetResolution(ResolutionMapper.isValidResolution(preferredResolution)
                     ? preferredResolution
                     : ResolutionMapper.getDefaultResolution());
-                projectState.setIsHorizontal(false);
+                // Custom resolutions already set the orientation matching their width and height
+                if (!ResolutionMapper.isCustomResolution(projectState.getTargetResolution())) {
+                    projectState.setIsHorizontal(false);
+                }
                 projectState.setNumFrames(100);
 
                 console.log('🚀 ProjectWizard created ProjectState with resolution:', projectState.getTargetResolution());
@@ -0,0 +1,157 @@
+/**
+ * Bulk Effect Command Service
+ * Handles commands on a multi-effect selection (Delete, Visibility, Move, Config)
+ *
+ * A selection can span primary, final, secondary and keyframe effects (see
+ * EffectSelection). Each command snapshots `effects` and `effectGroups`
+ * before running, so the whole bulk change undoes as one step.
+ */
+
+import { Command } from './CommandService.js';
+import EventBusService from './EventBusService.js';
+import EffectSelection from '../utils/EffectSelection.js';
+
+/**
+ * Service for creating bulk effect commands
+ */
+class BulkEffectCommandService {
+    constructor() {
+        console.log('🧺 BulkEffectCommandService: Initialized - Multi-effect command management');
+    }
+
+    /**
+     * Create command to delete all selected effects
+     * @param {Object} projectState - Project state instance
+     * @param {Array} selection - Selection entries
+     * @returns {Command} BulkEffectCommand instance
+     */
+    createDeleteCommand(projectState, selection) {
+        return new BulkEffectCommand(
+            projectState,
+            'effect.bulk.delete',
+            selection,
+            layout => EffectSelection.removeSelected(layout, selection),
+            `Deleted ${describeCount(selection)}`
+        );
+    }
+
+    /**
+     * Create command to show or hide all selected effects
+     * @param {Object} projectState - Project state instance
+     * @param {Array} selection - Selection entries
+     * @param {boolean} visible - Visibility
+     * @returns {Command} BulkEffectCommand instance
+     */
+    createVisibilityCommand(projectState, selection, visible) {
+        return new BulkEffectCommand(
+            projectState,
+            'effect.bulk.visibility',
+            selection,
+            layout => EffectSelection.setVisibility(layout, selection, visible),
+            `${visible ? 'Showed' : 'Hid'} ${describeCount(selection)}`
+        );
+    }
+
+    /**
+     * Create command to move the selected top-level effects
+     * @param {Object} projectState - Project state instance
+     * @param {Array} selection - Selection entries
+     * @param {string} direction - up | down | top | bottom
+     * @returns {Command} BulkEffectCommand instance
+     */
+    createMoveCommand(projectState, selection, direction) {
+        const topLevel = selection.filter(entry => !EffectSelection.isNested(entry));
+        return new BulkEffectCommand(
+            projectState,
+            'effect.bulk.move',
+            selection,
+            layout => EffectSelection.moveSelected(layout, selection, direction),
+            `Moved ${describeCount(topLevel)} ${direction === 'top' || direction === 'bottom' ? `to ${direction}` : direction}`
+        );
+    }
+
+    /**
+     * Create command to set config values on all selected effects
+     * @param {Object} projectState - Project state instance
+     * @param {Array} selection - Selection entries
+     * @param {Object} changes - Config values by field name
+     * @returns {Command} BulkEffectCommand instance
+     */
+    createConfigCommand(projectState, selection, changes) {
+        const fieldNames = Object.keys(changes);
+        return new BulkEffectCommand(
+            projectState,
+            'effect.bulk.config',
+            selection,
+            layout => EffectSelection.applyConfig(layout, selection, changes),
+            `Set ${fieldNames.join(', ')} on ${describeCount(selection)}`
+        );
+    }
+}
+
+/**
+ * Describe a selection size for command descriptions
+ * @param {Array} selection - Selection entries
+ * @returns {string} e.g. "3 effects"
+ */
+function describeCount(selection) {
+    return `${selection.length} effect${selection.length === 1 ? '' : 's'}`;
+}
+
+/**
+ * Snapshot-based command for any bulk effect operation
+ */
+export class BulkEffectCommand extends Command {
+    /**
+     * @param {Object} projectState - Project state instance
+     * @param {string} type - Command type (e.g. 'effect.bulk.delete')
+     * @param {Array} selection - Selection entries the command applies to
+     * @param {Function} transform - (layout) => layout, pure
+     * @param {string} description - History description
+     */
+    constructor(projectState, type, selection, transform, description) {
+        let previousLayout = null;
+
+        const executeAction = () => {
+            const state = projectState.getState();
+            previousLayout = {
+                effects: [...(state.effects || [])],
+                effectGroups: [...(state.effectGroups || [])]
+            };
+
+            const { effects, effectGroups } = transform(previousLayout);
+            projectState.update({ effects, effectGroups });
+
+            EventBusService.emit('effects:bulk:changed', {
+                type,
+                selection
+            }, { source: 'BulkEffectCommand' });
+
+            return { success: true };
+        };
+
+        const undoAction = () => {
+            if (!previousLayout) {
+                throw new Error('Cannot undo: bulk command was never executed');
+            }
+
+            projectState.update(previousLayout);
+
+            EventBusService.emit('effects:bulk:changed', {
+                type,
+                selection,
+                undone: true
+            }, { source: 'BulkEffectCommand' });
+
+            return { success: true };
+        };
+
+        super(type, executeAction, undoAction, description);
+        this.selection = selection;
+        this.isEffectCommand = true;
+    }
+}
+
+// Export singleton instance
+const bulkEffectCommandService = new BulkEffectCommandService();
+export default bulkEffectCommandService;
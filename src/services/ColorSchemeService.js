@@ -126,6 +126,39 @@ class ColorSchemeService {
         return allSchemes[schemeId] || null;
     }
 
+    /**
+     * Resolve the color scheme data sent to the backend with a render config
+     * Uses colorSchemeData when already present (e.g. imported projects), otherwise
+     * loads the scheme by name. The backend expects 'colors' - lights are used.
+     * @param {Object} config - Project state
+     * @returns {Promise<Object|null>} Color scheme data or null
+     */
+    static async resolveRenderColorSchemeData(config) {
+        if (config.colorSchemeData) {
+            return config.colorSchemeData;
+        }
+        if (!config.colorScheme) {
+            return null;
+        }
+
+        try {
+            const fullScheme = await this.getColorScheme(config.colorScheme);
+            if (!fullScheme) {
+                return null;
+            }
+            return {
+                name: fullScheme.name,
+                colors: fullScheme.lights || [],
+                lights: fullScheme.lights || [],
+                neutrals: fullScheme.neutrals || [],
+                backgrounds: fullScheme.backgrounds || []
+            };
+        } catch (error) {
+            console.warn('⚠️ ColorSchemeService: Could not load color scheme by name:', error);
+            return null;
+        }
+    }
+
     /**
      * Save a custom color scheme
      * @param {Object} colorScheme - Color scheme object
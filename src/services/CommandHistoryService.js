@@ -0,0 +1,185 @@
+import commandService from './CommandService.js';
+import EventBusService from './EventBusService.js';
+import { Effect } from '../models/Effect.js';
+import { safeConsoleError } from '../utils/errorFormatter.js';
+
+/**
+ * Service that persists the undo/redo history of the open project
+ * The history is written next to the project file (`My_Project.nftproject` ->
+ * `My_Project.nfthistory`) so reopening a project restores its history.
+ * Each command is stored as the top-level project fields it changed, captured
+ * by the state tracker this service installs on CommandService.
+ */
+class CommandHistoryService {
+    static HISTORY_EXTENSION = '.nfthistory';
+
+    constructor(commands = commandService, eventBus = EventBusService) {
+        this.commandService = commands;
+        this.eventBus = eventBus;
+        this.projectState = null;
+        this.historyFilePath = null;
+        this.unsubscribers = [];
+        this.saveTimeout = null;
+        this.saveDelay = 1000; // Debounce like project auto-save
+    }
+
+    /**
+     * History file path for a project file
+     * @param {string} projectFilePath - Path of the .nftproject file
+     * @returns {string} Path of the history file
+     */
+    static getHistoryFilePath(projectFilePath) {
+        const base = projectFilePath.endsWith('.nftproject')
+            ? projectFilePath.slice(0, -'.nftproject'.length)
+            : projectFilePath;
+        return `${base}${this.HISTORY_EXTENSION}`;
+    }
+
+    /**
+     * Capture the project fields history can restore
+     * Effects are stored as POJOs; everything is deep-cloned so later edits
+     * cannot leak into recorded history.
+     * @param {ProjectState} projectState - Project state
+     * @returns {Object} Plain state
+     */
+    static captureState(projectState) {
+        const { effects = [], ...fields } = projectState.getState();
+        return JSON.parse(JSON.stringify({
+            ...fields,
+            effects: effects.map(effect => (typeof effect.toPOJO === 'function' ? effect.toPOJO() : effect))
+        }));
+    }
+
+    /**
+     * Apply recorded fields to the project
+     * Fields go straight to the core: a recorded resolution or orientation change
+     * already holds the scaled effect positions, so it must not be rescaled.
+     * @param {ProjectState} projectState - Project state
+     * @param {Object} values - Recorded top-level fields
+     */
+    static restoreState(projectState, values) {
+        const { effects, ...fields } = values;
+
+        if (Object.keys(fields).length > 0) {
+            projectState.core.update(fields);
+        }
+        if (effects !== undefined) {
+            projectState.effects.setEffects(effects.map(effect => Effect.fromPOJO(effect)));
+        }
+    }
+
+    /**
+     * Track and persist history for a project
+     * Replaces the current undo/redo stacks with the project's saved history
+     * (or empty stacks if it has none).
+     * @param {ProjectState} projectState - Project state
+     * @param {string} projectFilePath - Path of the .nftproject file
+     * @returns {Promise<boolean>} True if saved history was restored
+     */
+    async attach(projectState, projectFilePath) {
+        this.detach();
+
+        this.projectState = projectState;
+        this.historyFilePath = CommandHistoryService.getHistoryFilePath(projectFilePath);
+
+        this.commandService.setStateTracker({
+            capture: () => CommandHistoryService.captureState(projectState),
+            restore: (values) => CommandHistoryService.restoreState(projectState, values)
+        });
+        this.commandService.clear();
+
+        const restored = await this.load();
+
+        this.unsubscribers = ['command:executed', 'command:undone', 'command:redone', 'command:cleared']
+            .map(eventName => this.eventBus.subscribe(eventName, () => this.scheduleSave(), {
+                component: 'CommandHistoryService'
+            }));
+
+        return restored;
+    }
+
+    /**
+     * Stop tracking the current project, writing any pending save first
+     */
+    detach() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+            this.save();
+        }
+
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+
+        if (this.projectState) {
+            this.commandService.setStateTracker(null);
+        }
+        this.projectState = null;
+        this.historyFilePath = null;
+    }
+
+    /**
+     * Load saved history into CommandService
+     * @returns {Promise<boolean>} True if history was restored
+     */
+    async load() {
+        try {
+            const result = await window.api.readFile(this.historyFilePath);
+
+            if (!result.success) {
+                // No history saved for this project yet
+                return false;
+            }
+
+            return this.commandService.restoreHistory(JSON.parse(result.content));
+        } catch (error) {
+            safeConsoleError('Error loading command history:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Debounced save to avoid a write per command
+     */
+    scheduleSave() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+        }
+
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.save();
+        }, this.saveDelay);
+    }
+
+    /**
+     * Write the history file
+     * @returns {Promise<boolean>} Success status
+     */
+    async save() {
+        if (!this.historyFilePath) {
+            return false;
+        }
+
+        try {
+            const history = {
+                ...this.commandService.exportHistory(),
+                savedAt: new Date().toISOString()
+            };
+            const result = await window.api.writeFile(this.historyFilePath, JSON.stringify(history));
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            console.log(`🕘 CommandHistoryService: Saved ${history.undoStack.length} undo / ${history.redoStack.length} redo entries`);
+            return true;
+        } catch (error) {
+            safeConsoleError('Error saving command history:', error);
+            return false;
+        }
+    }
+}
+
+export { CommandHistoryService };
+export default new CommandHistoryService();
@@ -5,6 +5,9 @@
 
 import EventBusService from './EventBusService.js';
 
+// Format version of exported history (see exportHistory)
+const HISTORY_VERSION = 1;
+
 class CommandService {
     constructor() {
         this.undoStack = [];
@@ -12,6 +15,7 @@ class CommandService {
         this.maxStackSize = 50; // Limit to 50 actions as requested
         this.isExecuting = false;
         this.executionQueue = Promise.resolve(); // Queue for sequential execution
+        this.stateTracker = null; // Optional { capture, restore } used to record state changes for persisted history
 
         console.log('⚡ CommandService: Initialized - Single source of truth for user actions');
 
@@ -22,6 +26,71 @@ class CommandService {
         // Subscribe to undo/redo to specific index events
         EventBusService.subscribe('command:undo-to-index', (payload) => this.undoToIndex(payload.index), { component: 'CommandService' });
         EventBusService.subscribe('command:redo-to-index', (payload) => this.redoToIndex(payload.index), { component: 'CommandService' });
+        EventBusService.subscribe('command:clear', () => this.clear(), { component: 'CommandService' });
+    }
+
+    /**
+     * Set the state tracker used to record what each command changed
+     * With a tracker, every tracked command carries a `stateChange` ({ before, after }
+     * with the changed top-level fields), which is what makes history serializable.
+     * @param {Object|null} tracker - { capture: () => Object, restore: (fields) => void }
+     */
+    setStateTracker(tracker) {
+        this.stateTracker = tracker;
+    }
+
+    /**
+     * Check whether a command belongs on the undo stack
+     * Any command that can be undone is tracked. Base Command instances created
+     * without an undo action are not, since their undo() would throw.
+     * @param {Object} command - Command to check
+     * @returns {boolean} True if undoable
+     */
+    isUndoable(command) {
+        if (typeof command?.undo !== 'function') {
+            return false;
+        }
+        if (command.isEffectCommand === true || !('undoAction' in command)) {
+            return true;
+        }
+        return typeof command.undoAction === 'function';
+    }
+
+    /**
+     * Capture tracked state, if a tracker is set
+     * @returns {Object|null} Captured state
+     */
+    captureState() {
+        if (!this.stateTracker) {
+            return null;
+        }
+
+        try {
+            return this.stateTracker.capture();
+        } catch (error) {
+            console.warn('⚡ CommandService: Failed to capture state for history:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Reduce two captured states to the top-level fields that changed
+     * @param {Object} before - State before the command
+     * @param {Object} after - State after the command
+     * @returns {Object} { before, after } with only the changed fields
+     */
+    static diffStates(before, after) {
+        const change = { before: {}, after: {} };
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+        for (const key of keys) {
+            if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+                change.before[key] = before[key] ?? null;
+                change.after[key] = after[key] ?? null;
+            }
+        }
+
+        return change;
     }
 
     /**
@@ -47,30 +116,33 @@ class CommandService {
                 try {
                     console.log(`⚡ CommandService: Executing command '${command.type}'`, command);
 
+                    const undoable = this.isUndoable(command);
+                    const stateBefore = undoable ? this.captureState() : null;
+
                     // Execute the command (await if it's a promise)
                     const result = await command.execute();
 
-                    // Only add to undo stack if command is undoable AND is an effect command
-                    if (command.undo && command.isEffectCommand !== false) {
-                        // Check if this is an effect-related command
-                        if (command.isEffectCommand === true) {
-                            console.log(`⚡ CommandService: Adding effect command to undo stack: ${command.type}`);
-                            this.undoStack.push(command);
-
-                            // Clear redo stack when new command is executed
-                            this.redoStack = [];
-
-                            // Maintain stack size
-                            if (this.undoStack.length > this.maxStackSize) {
-                                this.undoStack = this.undoStack.slice(-this.maxStackSize);
-                            }
-                        } else {
-                            console.log(`⚡ CommandService: Skipping non-effect command for undo/redo: ${command.type}`);
+                    // Every undoable command is tracked, effect or project setting
+                    if (undoable) {
+                        const stateAfter = stateBefore ? this.captureState() : null;
+                        if (stateAfter) {
+                            command.stateChange = CommandService.diffStates(stateBefore, stateAfter);
+                        }
+
+                        console.log(`⚡ CommandService: Adding command to undo stack: ${command.type}`);
+                        this.undoStack.push(command);
+
+                        // Clear redo stack when new command is executed
+                        this.redoStack = [];
+
+                        // Maintain stack size
+                        if (this.undoStack.length > this.maxStackSize) {
+                            this.undoStack = this.undoStack.slice(-this.maxStackSize);
                         }
                     }
 
-                    // Only emit undo/redo state changes for effect commands
-                    if (command.isEffectCommand !== false) {
+                    // Emit undo/redo state changes for tracked commands (and untracked effect commands, as before)
+                    if (undoable || command.isEffectCommand !== false) {
                         EventBusService.emit('command:executed', {
                             command: command.type,
                             description: command.description,
@@ -284,6 +356,61 @@ class CommandService {
         }, { source: 'CommandService' });
     }
 
+    /**
+     * Export the undo/redo stacks for persistence
+     * Only commands with a recorded stateChange can be replayed later. If a stack
+     * contains one without, the entries on its far side are dropped, because
+     * replaying across it would skip its changes.
+     * @returns {Object} { version, undoStack, redoStack } - stacks are oldest first
+     */
+    exportHistory() {
+        const toEntries = (stack) => {
+            const start = stack.findLastIndex(cmd => !cmd.stateChange) + 1;
+            return stack.slice(start).map(cmd => ({
+                type: cmd.type,
+                description: cmd.description || cmd.type,
+                timestamp: cmd.timestamp,
+                before: cmd.stateChange.before,
+                after: cmd.stateChange.after
+            }));
+        };
+
+        return {
+            version: HISTORY_VERSION,
+            undoStack: toEntries(this.undoStack),
+            redoStack: toEntries(this.redoStack)
+        };
+    }
+
+    /**
+     * Replace the undo/redo stacks with previously exported history
+     * Restored commands re-apply their recorded fields through the state tracker.
+     * @param {Object} history - Output of exportHistory()
+     * @returns {boolean} True if history was restored
+     */
+    restoreHistory(history) {
+        if (!this.stateTracker) {
+            console.warn('⚡ CommandService: Cannot restore history without a state tracker');
+            return false;
+        }
+        if (!history || history.version !== HISTORY_VERSION) {
+            console.warn('⚡ CommandService: Unsupported history format, ignoring');
+            return false;
+        }
+
+        const applyState = (fields) => this.stateTracker.restore(fields);
+        const toCommands = (entries = []) => entries
+            .slice(-this.maxStackSize)
+            .map(entry => new RestoredCommand(entry, applyState));
+
+        this.undoStack = toCommands(history.undoStack);
+        this.redoStack = toCommands(history.redoStack);
+        console.log(`⚡ CommandService: Restored history (${this.undoStack.length} undo, ${this.redoStack.length} redo)`);
+
+        EventBusService.emit('command:history-restored', this.getState(), { source: 'CommandService' });
+        return true;
+    }
+
     /**
      * Get command history for debugging
      * @returns {Object} Command history
@@ -321,6 +448,28 @@ export class Command {
     }
 }
 
+/**
+ * Command rebuilt from persisted history
+ * Redo applies the recorded `after` fields, undo the recorded `before` fields.
+ */
+export class RestoredCommand extends Command {
+    /**
+     * @param {Object} entry - { type, description, timestamp, before, after }
+     * @param {Function} applyState - (fields) => void
+     */
+    constructor(entry, applyState) {
+        super(
+            entry.type,
+            () => applyState(entry.after),
+            () => applyState(entry.before),
+            entry.description
+        );
+        this.timestamp = entry.timestamp;
+        this.stateChange = { before: entry.before, after: entry.after };
+        this.isRestored = true;
+    }
+}
+
 // Export both the class (for testing) and singleton instance (for production)
 export { CommandService };
 export default new CommandService();
\ No newline at end of file
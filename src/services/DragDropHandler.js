@@ -17,6 +17,7 @@ class DragDropHandler {
         this.draggedIndex = null;
         this.draggedSecondaryIndex = null;
         this.draggedKeyframeIndex = null;
+        this.draggedGroupId = null;
         
         // Bind methods to preserve context
         this.handleDragStart = this.handleDragStart.bind(this);
@@ -28,6 +29,10 @@ class DragDropHandler {
         this.handleKeyframeDragStart = this.handleKeyframeDragStart.bind(this);
         this.handleKeyframeDragOver = this.handleKeyframeDragOver.bind(this);
         this.handleKeyframeDrop = this.handleKeyframeDrop.bind(this);
+        this.handleGroupDragStart = this.handleGroupDragStart.bind(this);
+        this.handleGroupDragOver = this.handleGroupDragOver.bind(this);
+        this.handleGroupDrop = this.handleGroupDrop.bind(this);
+        this.resetDragState = this.resetDragState.bind(this);
         
         this.logger.log('🎯 DragDropHandler initialized');
     }
@@ -41,6 +46,7 @@ class DragDropHandler {
             draggedIndex: this.draggedIndex,
             draggedSecondaryIndex: this.draggedSecondaryIndex,
             draggedKeyframeIndex: this.draggedKeyframeIndex,
+            draggedGroupId: this.draggedGroupId,
             isDragging: this.isDragging()
         };
     }
@@ -52,7 +58,8 @@ class DragDropHandler {
     isDragging() {
         return this.draggedIndex !== null || 
                this.draggedSecondaryIndex !== null || 
-               this.draggedKeyframeIndex !== null;
+               this.draggedKeyframeIndex !== null ||
+               this.draggedGroupId !== null;
     }
     
     /**
@@ -62,6 +69,7 @@ class DragDropHandler {
         this.draggedIndex = null;
         this.draggedSecondaryIndex = null;
         this.draggedKeyframeIndex = null;
+        this.draggedGroupId = null;
         this.logger.log('🎯 DragDropHandler: All drag states reset');
     }
     
@@ -299,6 +307,85 @@ class DragDropHandler {
         this.draggedKeyframeIndex = null;
     }
     
+    // Effect Group Drag Handlers
+    
+    /**
+     * Handle effect group drag start
+     * @param {Event} e - Drag event
+     * @param {string} groupId - Group being dragged
+     */
+    handleGroupDragStart(e, groupId) {
+        this.draggedGroupId = groupId;
+        e.dataTransfer.effectAllowed = 'move';
+        // Mark the drag so effect drop targets can tell it apart from a single effect
+        e.dataTransfer.setData('text/plain', JSON.stringify({ type: 'group', groupId }));
+        e.stopPropagation();
+        
+        this.logger.log('🎯 DragDropHandler: Group drag started', { groupId });
+        
+        // Emit drag start event
+        this.eventBus?.emit('dragdrop:group:start', {
+            groupId,
+            dragState: this.getDragState()
+        }, {
+            source: 'DragDropHandler',
+            component: 'EffectGroups'
+        });
+    }
+    
+    /**
+     * Handle effect group drag over
+     * @param {Event} e - Drag event
+     */
+    handleGroupDragOver(e) {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+    }
+    
+    /**
+     * Handle drop of a dragged group
+     * The group is dropped on an effect; when that effect belongs to another group
+     * the whole target group is the drop unit.
+     * @param {Event} e - Drop event
+     * @param {string} targetEffectId - Effect the group was dropped on
+     * @param {Function} onMoveGroup - (groupId, targetEffectId) => void
+     * @returns {boolean} True if a group drop was handled
+     */
+    handleGroupDrop(e, targetEffectId, onMoveGroup) {
+        if (this.draggedGroupId === null) {
+            return false;
+        }
+        
+        e.preventDefault();
+        e.stopPropagation();
+        
+        const groupId = this.draggedGroupId;
+        this.draggedGroupId = null;
+        
+        if (!targetEffectId) {
+            return true;
+        }
+        
+        this.logger.log('🎯 DragDropHandler: Group drop executed', { groupId, targetEffectId });
+        
+        // Execute move callback
+        if (onMoveGroup && typeof onMoveGroup === 'function') {
+            onMoveGroup(groupId, targetEffectId);
+        }
+        
+        // Emit drop event
+        this.eventBus?.emit('dragdrop:group:drop', {
+            groupId,
+            targetEffectId,
+            dragState: this.getDragState()
+        }, {
+            source: 'DragDropHandler',
+            component: 'EffectGroups'
+        });
+        
+        return true;
+    }
+    
     // Utility Methods
     
     /**
@@ -314,6 +401,8 @@ class DragDropHandler {
             case 'secondary':
             case 'keyframe':
                 return params.parentIndex !== undefined && params.subIndex !== undefined;
+            case 'group':
+                return typeof params.groupId === 'string' && params.groupId.length > 0;
             default:
                 return false;
         }
@@ -0,0 +1,126 @@
+/**
+ * Effect Clipboard Service
+ * Copy, cut and paste of effects through the system clipboard
+ *
+ * Effects are written as versioned JSON (see EffectClipboard), so they can be
+ * pasted into another project or another window. Cut and paste are
+ * BulkEffectCommands and undo as one step.
+ */
+
+import { BulkEffectCommand } from './BulkEffectCommandService.js';
+import EffectClipboard from '../utils/EffectClipboard.js';
+import EffectSelection from '../utils/EffectSelection.js';
+import { safeConsoleError } from '../utils/errorFormatter.js';
+
+class EffectClipboardService {
+    /**
+     * @param {Object} [clipboard] - Object with writeText/readText (defaults to navigator.clipboard)
+     */
+    constructor(clipboard = null) {
+        this.clipboard = clipboard;
+        console.log('📋 EffectClipboardService: Initialized - Cross-project effect clipboard');
+    }
+
+    /**
+     * System clipboard in use
+     * @private
+     */
+    getClipboard() {
+        const clipboard = this.clipboard || globalThis.navigator?.clipboard;
+        if (!clipboard) {
+            throw new Error('Clipboard is not available');
+        }
+        return clipboard;
+    }
+
+    /**
+     * Canvas size of a project
+     * @param {Object} projectState - Project state instance
+     * @returns {Object} { width, height }
+     */
+    static getCanvasSize(projectState) {
+        const { w, h } = projectState.getResolutionDimensions();
+        return { width: w, height: h };
+    }
+
+    /**
+     * Copy the selected effects to the clipboard
+     * @param {Object} projectState - Project state instance
+     * @param {Array} selection - Selection entries
+     * @returns {Promise<Object>} { success, count } or { success: false, error }
+     */
+    async copy(projectState, selection) {
+        try {
+            const payload = EffectClipboard.fromSelection(
+                projectState.getState().effects || [],
+                selection,
+                EffectClipboardService.getCanvasSize(projectState)
+            );
+            await this.getClipboard().writeText(JSON.stringify(payload, null, 2));
+
+            console.log(`📋 EffectClipboardService: Copied ${payload.effects.length} effects`);
+            return { success: true, count: payload.effects.length };
+        } catch (error) {
+            safeConsoleError('Error copying effects:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Read effects from the clipboard
+     * @returns {Promise<Object>} { success, payload } or { success: false, error }
+     */
+    async read() {
+        try {
+            const text = await this.getClipboard().readText();
+            return { success: true, payload: EffectClipboard.parse(text) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Create command that deletes the selection after it was copied
+     * @param {Object} projectState - Project state instance
+     * @param {Array} selection - Selection entries
+     * @returns {Command} BulkEffectCommand instance
+     */
+    createCutCommand(projectState, selection) {
+        return new BulkEffectCommand(
+            projectState,
+            'effect.cut',
+            selection,
+            layout => EffectSelection.removeSelected(layout, selection),
+            `Cut ${selection.length} effect${selection.length === 1 ? '' : 's'}`
+        );
+    }
+
+    /**
+     * Create command that inserts a clipboard payload or snippet
+     * @param {Object} projectState - Project state instance
+     * @param {Object} payload - Clipboard payload
+     * @param {Object} [target] - { afterEffectId, parentEffectId }
+     * @param {string} [label] - History label (e.g. a snippet name)
+     * @returns {Command} BulkEffectCommand instance
+     */
+    createPasteCommand(projectState, payload, target = {}, label = null) {
+        EffectClipboard.validate(payload);
+        const effects = EffectClipboard.prepareEffects(payload, EffectClipboardService.getCanvasSize(projectState));
+
+        return new BulkEffectCommand(
+            projectState,
+            'effect.paste',
+            [],
+            layout => EffectClipboard.insert(layout, effects, target),
+            label
+                ? `Inserted snippet ${label}`
+                : `Pasted ${effects.length} effect${effects.length === 1 ? '' : 's'}`
+        );
+    }
+}
+
+export { EffectClipboardService };
+
+// Export singleton instance
+const effectClipboardService = new EffectClipboardService();
+export default effectClipboardService;
@@ -495,8 +495,8 @@ class EffectConversionService {
         // Get target resolution from converted project
         let targetWidth, targetHeight;
 
-        if (typeof project.targetResolution === 'number') {
-            // Numeric resolution key - use ResolutionMapper
+        if (typeof project.targetResolution === 'number' || ResolutionMapper.isCustomResolution(project.targetResolution)) {
+            // Numeric or custom resolution key - use ResolutionMapper
             const targetResolutionData = ResolutionMapper.getDimensions(project.targetResolution, project.isHorizontal);
             targetWidth = targetResolutionData.w;
             targetHeight = targetResolutionData.h;
@@ -0,0 +1,259 @@
+/**
+ * Effect Group Command Service
+ * Handles effect group commands (Create, Ungroup, Rename, Move, Visibility, Bypass, Restore)
+ *
+ * Group operations touch both `effects` (membership, order, visibility) and
+ * `effectGroups`, so each command snapshots both before running and restores
+ * them on undo instead of computing an inverse operation.
+ */
+
+import { Command } from './CommandService.js';
+import EventBusService from './EventBusService.js';
+import EffectGroups from '../utils/EffectGroups.js';
+
+/**
+ * Service for creating effect group commands
+ */
+class EffectGroupCommandService {
+    constructor() {
+        console.log('🗂️ EffectGroupCommandService: Initialized - Effect group command management');
+    }
+
+    /**
+     * Create command to group effects
+     * @param {Object} projectState - Project state instance
+     * @param {Array<string>} effectIds - Effects to group
+     * @param {string} name - Group name
+     * @returns {Command} EffectGroupCommand instance
+     */
+    createGroupCommand(projectState, effectIds, name) {
+        return new EffectGroupCommand(
+            projectState,
+            'group.create',
+            layout => EffectGroups.createGroup(layout, effectIds, name),
+            `Grouped ${effectIds.length} effect${effectIds.length === 1 ? '' : 's'} as "${name}"`
+        );
+    }
+
+    /**
+     * Create command to dissolve a group (members stay in place)
+     * @param {Object} projectState - Project state instance
+     * @param {string} groupId - Group ID
+     * @returns {Command} EffectGroupCommand instance
+     */
+    createUngroupCommand(projectState, groupId) {
+        return new EffectGroupCommand(
+            projectState,
+            'group.ungroup',
+            layout => EffectGroups.ungroup(layout, groupId),
+            `Ungrouped ${getGroupName(projectState, groupId)}`
+        );
+    }
+
+    /**
+     * Create command to delete a group and its members
+     * @param {Object} projectState - Project state instance
+     * @param {string} groupId - Group ID
+     * @returns {Command} EffectGroupCommand instance
+     */
+    createDeleteCommand(projectState, groupId) {
+        return new EffectGroupCommand(
+            projectState,
+            'group.delete',
+            layout => EffectGroups.deleteGroup(layout, groupId),
+            `Deleted group ${getGroupName(projectState, groupId)}`
+        );
+    }
+
+    /**
+     * Create command to rename a group
+     * @param {Object} projectState - Project state instance
+     * @param {string} groupId - Group ID
+     * @param {string} name - New name
+     * @returns {Command} EffectGroupCommand instance
+     */
+    createRenameCommand(projectState, groupId, name) {
+        return new EffectGroupCommand(
+            projectState,
+            'group.rename',
+            layout => EffectGroups.updateGroup(layout, groupId, { name }),
+            `Renamed ${getGroupName(projectState, groupId)} to ${name}`
+        );
+    }
+
+    /**
+     * Create command to show or hide all members of a group
+     * @param {Object} projectState - Project state instance
+     * @param {string} groupId - Group ID
+     * @param {boolean} visible - Visibility for all members
+     * @returns {Command} EffectGroupCommand instance
+     */
+    createVisibilityCommand(projectState, groupId, visible) {
+        return new EffectGroupCommand(
+            projectState,
+            'group.visibility',
+            layout => EffectGroups.setGroupVisibility(layout, groupId, visible),
+            `${visible ? 'Showed' : 'Hid'} all effects in ${getGroupName(projectState, groupId)}`
+        );
+    }
+
+    /**
+     * Create command to bypass a group (members skipped when rendering, visibility kept)
+     * @param {Object} projectState - Project state instance
+     * @param {string} groupId - Group ID
+     * @param {boolean} bypassed - Bypass state
+     * @returns {Command} EffectGroupCommand instance
+     */
+    createBypassCommand(projectState, groupId, bypassed) {
+        return new EffectGroupCommand(
+            projectState,
+            'group.bypass',
+            layout => EffectGroups.updateGroup(layout, groupId, { bypassed }),
+            `${bypassed ? 'Bypassed' : 'Enabled'} ${getGroupName(projectState, groupId)}`
+        );
+    }
+
+    /**
+     * Create command to move a whole group
+     * @param {Object} projectState - Project state instance
+     * @param {string} groupId - Group to move
+     * @param {string} targetEffectId - Effect the group was dropped on
+     * @returns {Command} EffectGroupCommand instance
+     */
+    createMoveGroupCommand(projectState, groupId, targetEffectId) {
+        return new EffectGroupCommand(
+            projectState,
+            'group.move',
+            layout => EffectGroups.moveGroup(layout, groupId, targetEffectId),
+            `Moved ${getGroupName(projectState, groupId)}`
+        );
+    }
+
+    /**
+     * Create command to move an effect across group boundaries
+     * @param {Object} projectState - Project state instance
+     * @param {string} effectId - Effect to move
+     * @param {string} targetEffectId - Effect whose position it takes
+     * @returns {Command} EffectGroupCommand instance
+     */
+    createMoveEffectCommand(projectState, effectId, targetEffectId) {
+        return new EffectGroupCommand(
+            projectState,
+            'group.move-effect',
+            layout => EffectGroups.moveEffect(layout, effectId, targetEffectId),
+            `Moved ${getEffectName(projectState, effectId)}`
+        );
+    }
+
+    /**
+     * Create command to add an effect to a group, or remove it from its group
+     * @param {Object} projectState - Project state instance
+     * @param {string} effectId - Effect ID
+     * @param {string|null} groupId - Target group, or null to leave the current group
+     * @returns {Command} EffectGroupCommand instance
+     */
+    createAssignCommand(projectState, effectId, groupId) {
+        const effectName = getEffectName(projectState, effectId);
+        return new EffectGroupCommand(
+            projectState,
+            'group.assign',
+            layout => EffectGroups.assignToGroup(layout, effectId, groupId),
+            groupId
+                ? `Added ${effectName} to ${getGroupName(projectState, groupId)}`
+                : `Removed ${effectName} from its group`
+        );
+    }
+
+    /**
+     * Create command to insert a saved group snapshot with fresh IDs
+     * @param {Object} projectState - Project state instance
+     * @param {Object} snapshot - Snapshot from EffectGroups.snapshot()
+     * @returns {Command} EffectGroupCommand instance
+     */
+    createRestoreCommand(projectState, snapshot) {
+        return new EffectGroupCommand(
+            projectState,
+            'group.restore',
+            layout => EffectGroups.instantiate(layout, snapshot),
+            `Inserted group ${snapshot?.name || 'Group'}`
+        );
+    }
+}
+
+/**
+ * Resolve a group name for command descriptions
+ * @param {Object} projectState - Project state instance
+ * @param {string} groupId - Group ID
+ * @returns {string} Group name
+ */
+function getGroupName(projectState, groupId) {
+    const group = (projectState.getState().effectGroups || []).find(g => g.id === groupId);
+    return group?.name || 'group';
+}
+
+/**
+ * Resolve an effect name for command descriptions
+ * @param {Object} projectState - Project state instance
+ * @param {string} effectId - Effect ID
+ * @returns {string} Effect name
+ */
+function getEffectName(projectState, effectId) {
+    const effect = (projectState.getState().effects || []).find(e => e.id === effectId);
+    return effect?.name || effect?.className || 'effect';
+}
+
+/**
+ * Snapshot-based command for any effect group operation
+ */
+export class EffectGroupCommand extends Command {
+    /**
+     * @param {Object} projectState - Project state instance
+     * @param {string} type - Command type (e.g. 'group.create')
+     * @param {Function} transform - (layout) => layout, pure
+     * @param {string} description - History description
+     */
+    constructor(projectState, type, transform, description) {
+        let previousLayout = null;
+
+        const executeAction = () => {
+            const state = projectState.getState();
+            previousLayout = {
+                effects: [...(state.effects || [])],
+                effectGroups: [...(state.effectGroups || [])]
+            };
+
+            const { effects, effectGroups, groupId } = transform(previousLayout);
+            projectState.update({ effects, effectGroups });
+
+            EventBusService.emit('effectgroups:changed', {
+                type,
+                groupId,
+                effectGroups
+            }, { source: 'EffectGroupCommand' });
+
+            return { success: true, groupId };
+        };
+
+        const undoAction = () => {
+            if (!previousLayout) {
+                throw new Error('Cannot undo: group command was never executed');
+            }
+
+            projectState.update(previousLayout);
+
+            EventBusService.emit('effectgroups:changed', {
+                type,
+                effectGroups: previousLayout.effectGroups
+            }, { source: 'EffectGroupCommand' });
+
+            return { success: true };
+        };
+
+        super(type, executeAction, undoAction, description);
+        this.isEffectCommand = true;
+    }
+}
+
+// Export singleton instance
+const effectGroupCommandService = new EffectGroupCommandService();
+export default effectGroupCommandService;
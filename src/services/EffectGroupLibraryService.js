@@ -0,0 +1,110 @@
+import { safeConsoleError } from '../utils/errorFormatter.js';
+
+/**
+ * Service for the saved effect group library
+ * Groups are stored as self-contained snapshots (see EffectGroups.snapshot) in
+ * the user data folder, so they can be inserted into any project.
+ */
+class EffectGroupLibraryService {
+    static LIBRARY_FILE = 'effect-groups.json';
+
+    /**
+     * Load all saved groups
+     * @returns {Promise<Object>} Saved groups by ID
+     */
+    static async loadLibrary() {
+        try {
+            const result = await window.api.readFile(this.LIBRARY_FILE);
+
+            if (result.success) {
+                return JSON.parse(result.content);
+            }
+            // File doesn't exist yet
+            return {};
+        } catch (error) {
+            safeConsoleError('Error loading effect group library:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Get saved groups sorted by name
+     * @returns {Promise<Array>} Saved groups
+     */
+    static async getSavedGroups() {
+        const library = await this.loadLibrary();
+        return Object.values(library).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Save a group snapshot to the library
+     * A saved group with the same name is replaced.
+     * @param {Object} snapshot - Snapshot from EffectGroups.snapshot()
+     * @returns {Promise<boolean>} Success status
+     */
+    static async saveGroup(snapshot) {
+        try {
+            const library = await this.loadLibrary();
+            const id = this.generateGroupId(snapshot.name);
+
+            library[id] = {
+                ...snapshot,
+                id,
+                savedAt: new Date().toISOString()
+            };
+
+            await this.saveLibrary(library);
+            console.log(`🗂️ EffectGroupLibraryService: Saved group "${snapshot.name}" (${snapshot.effects.length} effects)`);
+            return true;
+        } catch (error) {
+            safeConsoleError('Error saving effect group:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Delete a saved group
+     * @param {string} id - Saved group ID
+     * @returns {Promise<boolean>} Success status
+     */
+    static async deleteGroup(id) {
+        try {
+            const library = await this.loadLibrary();
+            delete library[id];
+            await this.saveLibrary(library);
+            return true;
+        } catch (error) {
+            safeConsoleError('Error deleting effect group:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Write the library file
+     * @param {Object} library - Saved groups by ID
+     * @returns {Promise<void>}
+     */
+    static async saveLibrary(library) {
+        const result = await window.api.writeFile(this.LIBRARY_FILE, JSON.stringify(library, null, 2));
+
+        if (!result.success) {
+            throw new Error(`Failed to save effect group library: ${result.error}`);
+        }
+    }
+
+    /**
+     * Library ID for a group name
+     * @param {string} name - Group name
+     * @returns {string} ID
+     */
+    static generateGroupId(name) {
+        const slug = (name || 'group')
+            .toLowerCase()
+            .replace(/[^a-z0-9\s]/g, '')
+            .trim()
+            .replace(/\s+/g, '-');
+        return `group-${slug || 'group'}`;
+    }
+}
+
+export default EffectGroupLibraryService;
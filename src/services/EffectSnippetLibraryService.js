@@ -0,0 +1,126 @@
+import { safeConsoleError } from '../utils/errorFormatter.js';
+import EffectClipboard from '../utils/EffectClipboard.js';
+
+/**
+ * Service for the effect snippet library
+ * A snippet is a named effect stack stored in the clipboard format (see
+ * EffectClipboard) in the user data folder, so it can be inserted into any
+ * project and rescaled to its resolution like a paste.
+ */
+class EffectSnippetLibraryService {
+    static LIBRARY_FILE = 'effect-snippets.json';
+
+    /**
+     * Load all saved snippets
+     * @returns {Promise<Object>} Snippets by ID
+     */
+    static async loadLibrary() {
+        try {
+            const result = await window.api.readFile(this.LIBRARY_FILE);
+
+            if (result.success) {
+                return JSON.parse(result.content);
+            }
+            // File doesn't exist yet
+            return {};
+        } catch (error) {
+            safeConsoleError('Error loading effect snippet library:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Get saved snippets sorted by name
+     * @returns {Promise<Array>} Snippets
+     */
+    static async getSnippets() {
+        const library = await this.loadLibrary();
+        return Object.values(library).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get one snippet
+     * @param {string} id - Snippet ID
+     * @returns {Promise<Object|null>} Snippet or null
+     */
+    static async getSnippet(id) {
+        const library = await this.loadLibrary();
+        return library[id] || null;
+    }
+
+    /**
+     * Save an effect stack as a snippet
+     * A snippet with the same name is replaced.
+     * @param {string} name - Snippet name
+     * @param {Object} payload - Clipboard payload (see EffectClipboard)
+     * @returns {Promise<boolean>} Success status
+     */
+    static async saveSnippet(name, payload) {
+        try {
+            EffectClipboard.validate(payload);
+
+            const library = await this.loadLibrary();
+            const id = this.generateSnippetId(name);
+
+            library[id] = {
+                ...payload,
+                id,
+                name,
+                savedAt: new Date().toISOString()
+            };
+
+            await this.saveLibrary(library);
+            console.log(`📎 EffectSnippetLibraryService: Saved snippet "${name}" (${payload.effects.length} effects)`);
+            return true;
+        } catch (error) {
+            safeConsoleError('Error saving effect snippet:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Delete a snippet
+     * @param {string} id - Snippet ID
+     * @returns {Promise<boolean>} Success status
+     */
+    static async deleteSnippet(id) {
+        try {
+            const library = await this.loadLibrary();
+            delete library[id];
+            await this.saveLibrary(library);
+            return true;
+        } catch (error) {
+            safeConsoleError('Error deleting effect snippet:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Write the library file
+     * @param {Object} library - Snippets by ID
+     * @returns {Promise<void>}
+     */
+    static async saveLibrary(library) {
+        const result = await window.api.writeFile(this.LIBRARY_FILE, JSON.stringify(library, null, 2));
+
+        if (!result.success) {
+            throw new Error(`Failed to save effect snippet library: ${result.error}`);
+        }
+    }
+
+    /**
+     * Library ID for a snippet name
+     * @param {string} name - Snippet name
+     * @returns {string} ID
+     */
+    static generateSnippetId(name) {
+        const slug = (name || 'snippet')
+            .toLowerCase()
+            .replace(/[^a-z0-9\s]/g, '')
+            .trim()
+            .replace(/\s+/g, '-');
+        return `snippet-${slug || 'snippet'}`;
+    }
+}
+
+export default EffectSnippetLibraryService;
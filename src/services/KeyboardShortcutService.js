@@ -0,0 +1,324 @@
+/**
+ * KeyboardShortcutService - Central registry for application shortcuts
+ *
+ * Responsibilities:
+ * - Merge the default shortcuts with the user's keymap overrides
+ * - Turn keydown events and native menu clicks into EventBus events
+ * - Validate rebinding (conflicts, unknown shortcuts) for the keymap editor
+ * - Persist the keymap through PreferencesService and keep the native menu in sync
+ *
+ * Shortcuts never call into components directly; each one emits the event its
+ * feature already listens to (e.g. `command:undo`, `zoom:in`).
+ */
+
+import EventBusService from './EventBusService.js';
+import PreferencesService from './PreferencesService.js';
+import {
+    DEFAULT_SHORTCUTS,
+    resolveShortcuts,
+    normalizeAccelerator,
+    acceleratorFromKeyboardEvent,
+    hasCommandModifier
+} from '../utils/KeyboardShortcuts.js';
+
+// Menu items forward clicks to the renderer as this EventBus event
+export const SHORTCUT_TRIGGERED_EVENT = 'shortcut:triggered';
+
+class KeyboardShortcutService {
+    /**
+     * @param {EventBusService} eventBus - Event bus shortcuts dispatch through
+     * @param {Object} [options]
+     * @param {string} [options.platform] - Platform override ('darwin' maps Cmd to CmdOrCtrl)
+     */
+    constructor(eventBus = EventBusService, { platform } = {}) {
+        this.eventBus = eventBus;
+        this.platform = platform;
+        this.keymap = {}; // Shortcut id -> accelerator, or null when the user unbound it
+        this.enabled = true;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Get every shortcut with its effective binding
+     * @returns {Array<Object>} Shortcut definitions plus { accelerator, defaultAccelerator, isCustom }
+     */
+    getShortcuts() {
+        return resolveShortcuts(this.keymap);
+    }
+
+    /**
+     * Get one shortcut with its effective binding
+     * @param {string} id - Shortcut id
+     * @returns {Object|null}
+     */
+    getShortcut(id) {
+        return this.getShortcuts().find(shortcut => shortcut.id === id) || null;
+    }
+
+    /**
+     * Get the user's overrides
+     * @returns {Object} Shortcut id -> accelerator|null
+     */
+    getKeymap() {
+        return { ...this.keymap };
+    }
+
+    /**
+     * Replace the user's overrides, dropping unknown ids and invalid accelerators
+     * @param {Object} keymap - Shortcut id -> accelerator|null
+     */
+    setKeymap(keymap = {}) {
+        const knownIds = new Set(DEFAULT_SHORTCUTS.map(shortcut => shortcut.id));
+        this.keymap = {};
+
+        Object.entries(keymap || {}).forEach(([id, accelerator]) => {
+            if (!knownIds.has(id)) return;
+            if (accelerator === null) {
+                this.keymap[id] = null;
+                return;
+            }
+            const normalized = normalizeAccelerator(accelerator);
+            if (normalized) {
+                this.keymap[id] = normalized;
+            }
+        });
+
+        this._notify();
+    }
+
+    /**
+     * Find the shortcut bound to an accelerator
+     * @param {string} accelerator - Accelerator to look up
+     * @param {string} [excludeId] - Shortcut to ignore (the one being rebound)
+     * @returns {Object|null} Conflicting shortcut
+     */
+    findConflict(accelerator, excludeId = null) {
+        const normalized = normalizeAccelerator(accelerator);
+        if (!normalized) {
+            return null;
+        }
+        return this.getShortcuts().find(shortcut =>
+            shortcut.id !== excludeId && shortcut.accelerator === normalized
+        ) || null;
+    }
+
+    /**
+     * Bind a shortcut to a new accelerator
+     * @param {string} id - Shortcut id
+     * @param {string|null} accelerator - New accelerator, or null to unbind
+     * @returns {{success: boolean, error?: string, conflict?: Object}}
+     */
+    setBinding(id, accelerator) {
+        const shortcut = DEFAULT_SHORTCUTS.find(candidate => candidate.id === id);
+        if (!shortcut) {
+            return { success: false, error: `Unknown shortcut: ${id}` };
+        }
+
+        if (accelerator === null) {
+            this.keymap = { ...this.keymap, [id]: null };
+            this._notify();
+            return { success: true };
+        }
+
+        const normalized = normalizeAccelerator(accelerator);
+        if (!normalized) {
+            return { success: false, error: `Invalid shortcut: ${accelerator}` };
+        }
+
+        const conflict = this.findConflict(normalized, id);
+        if (conflict) {
+            return { success: false, error: `Already used by "${conflict.label}"`, conflict };
+        }
+
+        const keymap = { ...this.keymap };
+        if (normalized === shortcut.accelerator) {
+            delete keymap[id];
+        } else {
+            keymap[id] = normalized;
+        }
+        this.keymap = keymap;
+        this._notify();
+        return { success: true };
+    }
+
+    /**
+     * Restore a shortcut's default binding
+     * @param {string} id - Shortcut id
+     * @returns {{success: boolean, error?: string, conflict?: Object}}
+     */
+    resetBinding(id) {
+        const shortcut = DEFAULT_SHORTCUTS.find(candidate => candidate.id === id);
+        if (!shortcut) {
+            return { success: false, error: `Unknown shortcut: ${id}` };
+        }
+
+        const conflict = this.findConflict(shortcut.accelerator, id);
+        if (conflict) {
+            return { success: false, error: `Default is now used by "${conflict.label}"`, conflict };
+        }
+
+        const keymap = { ...this.keymap };
+        delete keymap[id];
+        this.keymap = keymap;
+        this._notify();
+        return { success: true };
+    }
+
+    /**
+     * Restore every default binding
+     */
+    resetAll() {
+        this.keymap = {};
+        this._notify();
+    }
+
+    /**
+     * Emit a shortcut's event
+     * @param {string} id - Shortcut id
+     * @param {string} [source='keyboard'] - What triggered it ('keyboard' or 'menu')
+     * @returns {boolean} True if the shortcut exists
+     */
+    dispatch(id, source = 'keyboard') {
+        const shortcut = DEFAULT_SHORTCUTS.find(candidate => candidate.id === id);
+        if (!shortcut) {
+            console.warn(`⌨️ KeyboardShortcutService: Unknown shortcut '${id}'`);
+            return false;
+        }
+
+        this.eventBus.emit(shortcut.event, shortcut.payload ? { ...shortcut.payload } : {}, {
+            source: 'KeyboardShortcutService',
+            component: 'KeyboardShortcutService',
+            shortcutId: id,
+            trigger: source
+        });
+        return true;
+    }
+
+    /**
+     * Handle a keydown event, dispatching the matching shortcut
+     * Text fields keep plain typing and, for `yieldToTextInput` shortcuts, their native chord.
+     * @param {KeyboardEvent} event - Keydown event
+     * @returns {boolean} True if a shortcut handled the event
+     */
+    handleKeyDown(event) {
+        if (!this.enabled || event.defaultPrevented) {
+            return false;
+        }
+
+        const accelerator = acceleratorFromKeyboardEvent(event, this.platform);
+        const shortcut = accelerator
+            ? this.getShortcuts().find(candidate => candidate.accelerator === accelerator)
+            : null;
+        if (!shortcut || (event.repeat && !shortcut.repeat)) {
+            return false;
+        }
+
+        if (this._isTextInput(event.target) && (shortcut.yieldToTextInput || !hasCommandModifier(accelerator))) {
+            return false;
+        }
+
+        event.preventDefault();
+        this.dispatch(shortcut.id, 'keyboard');
+        return true;
+    }
+
+    /**
+     * Pause or resume keyboard handling (e.g. while the keymap editor records a chord)
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    /**
+     * Start listening for keydown events and native menu clicks
+     * @param {EventTarget} target - Usually window
+     * @returns {Function} Detach function
+     */
+    attach(target) {
+        const onKeyDown = (event) => this.handleKeyDown(event);
+        target.addEventListener('keydown', onKeyDown);
+
+        const unsubscribeMenu = this.eventBus.subscribe(SHORTCUT_TRIGGERED_EVENT, (payload) => {
+            if (payload?.id) {
+                this.dispatch(payload.id, 'menu');
+            }
+        }, { component: 'KeyboardShortcutService' });
+
+        console.log('⌨️ KeyboardShortcutService: Listening for shortcuts');
+
+        return () => {
+            target.removeEventListener('keydown', onKeyDown);
+            unsubscribeMenu();
+        };
+    }
+
+    /**
+     * Subscribe to keymap changes
+     * @param {Function} listener - Called with the effective shortcuts
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Load the saved keymap from preferences
+     * @returns {Promise<Array<Object>>} Effective shortcuts
+     */
+    async load() {
+        this.setKeymap(await PreferencesService.getKeymap());
+        return this.getShortcuts();
+    }
+
+    /**
+     * Save the keymap to preferences
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    async save() {
+        return await PreferencesService.saveKeymap(this.keymap);
+    }
+
+    /**
+     * Push the effective bindings to the native application menu
+     * @returns {Promise<void>}
+     */
+    async syncMenu() {
+        if (typeof window === 'undefined' || !window.api?.updateShortcutMenu) {
+            return;
+        }
+        try {
+            await window.api.updateShortcutMenu(this.getKeymap());
+        } catch (error) {
+            console.error('❌ KeyboardShortcutService: Failed to update the application menu:', error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _isTextInput(target) {
+        if (!target) return false;
+        const tagName = target.tagName;
+        return tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT' || !!target.isContentEditable;
+    }
+
+    /**
+     * @private
+     */
+    _notify() {
+        const shortcuts = this.getShortcuts();
+        this.listeners.forEach(listener => {
+            try {
+                listener(shortcuts);
+            } catch (error) {
+                console.error('❌ KeyboardShortcutService: Error in change listener:', error);
+            }
+        });
+    }
+}
+
+// Export both the class (for testing) and singleton instance (for production)
+export { KeyboardShortcutService };
+export default new KeyboardShortcutService();
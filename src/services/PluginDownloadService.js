@@ -2,56 +2,94 @@ import https from 'https';
 import http from 'http';
 import { createWriteStream, promises as fs } from 'fs';
 import { createReadStream } from 'fs';
+import { createHash } from 'crypto';
 import path from 'path';
 import { pipeline } from 'stream/promises';
 import { execSync } from 'child_process';
 import defaultLogger from '../main/utils/logger.js';
+import { DEFAULT_REGISTRY, PluginLockfileService } from './PluginLockfileService.js';
+
+// Strongest first; npm publishes sha512 and older packages only a sha1 shasum
+const INTEGRITY_ALGORITHMS = ['sha512', 'sha384', 'sha256', 'sha1'];
 
 /**
  * Service for downloading and installing plugins from npm registry
  * Works in both development and production environments
  * Supports direct npm registry access (doesn't require npm CLI)
+ *
+ * Every install is pinned to an exact version and its tarball is checked
+ * against the registry's dist.integrity hash before extraction. Versions are
+ * extracted side by side (plugins/<name>@<version>) so earlier ones remain
+ * available for rollback.
  */
 export class PluginDownloadService {
-    constructor(pluginsDir, logger = null) {
+    constructor(pluginsDir, logger = null, registryUrl = DEFAULT_REGISTRY) {
         this.pluginsDir = pluginsDir;
         this.logger = logger || defaultLogger;
-        this.npmRegistry = 'https://registry.npmjs.org';
+        this.npmRegistry = PluginLockfileService.normalizeRegistry(registryUrl);
         this.downloadTimeout = 60000; // 60 seconds
     }
 
+    /**
+     * Use another npm-compatible registry (e.g. a local mirror)
+     * @param {string} registryUrl - Registry URL
+     */
+    setRegistryUrl(registryUrl) {
+        this.npmRegistry = PluginLockfileService.normalizeRegistry(registryUrl);
+    }
+
     /**
      * Download and install a plugin package from npm registry
      * @param {string} packageName - Package name (e.g., 'my-plugin' or '@scope/my-plugin')
      * @param {Function} onProgress - Optional callback for progress updates
-     * @returns {Promise<Object>} Installation result
+     * @param {Object} [options]
+     * @param {string} [options.version] - Exact version to install (default: the "latest" dist-tag)
+     * @param {Object} [options.lockedIntegrities] - { [version]: integrity } from the lockfile
+     * @returns {Promise<Object>} Installation result with the pinned version, tarball URL and integrity
      */
-    async installPackage(packageName, onProgress = null) {
+    async installPackage(packageName, onProgress = null, { version = null, lockedIntegrities = {} } = {}) {
         try {
-            this._log(`Starting installation of ${packageName}`);
+            this._log(`Starting installation of ${packageName}${version ? `@${version}` : ''}`);
 
             // Step 1: Fetch package info from npm registry
             this._notifyProgress(onProgress, 'Fetching package info...', 10);
             const packageInfo = await this._fetchPackageInfo(packageName);
             if (!packageInfo) {
-                throw new Error(`Package "${packageName}" not found on npm registry`);
+                throw new Error(`Package "${packageName}" not found on ${this.npmRegistry}`);
             }
+            const versionInfo = this._resolveVersion(packageInfo, packageName, version);
 
             // Step 2: Download the tarball
-            this._notifyProgress(onProgress, 'Downloading package...', 30);
-            const tarballPath = await this._downloadTarball(packageInfo, packageName);
+            this._notifyProgress(onProgress, `Downloading ${packageName}@${versionInfo.version}...`, 30);
+            const tarballPath = await this._downloadTarball(versionInfo, packageName);
             this._log(`Downloaded to: ${tarballPath}`);
 
-            // Step 3: Extract the tarball
+            // Step 3: Verify the tarball against the published hash
+            this._notifyProgress(onProgress, 'Verifying integrity...', 50);
+            let integrity;
+            try {
+                integrity = await this.verifyIntegrity(tarballPath, versionInfo.dist);
+                const locked = lockedIntegrities[versionInfo.version];
+                if (locked) {
+                    await this.verifyIntegrity(tarballPath, { integrity: locked }).catch(() => {
+                        throw new Error(`Integrity check failed: ${packageName}@${versionInfo.version} does not match the hash in plugins-lock.json`);
+                    });
+                }
+            } catch (error) {
+                await fs.unlink(tarballPath).catch(() => {});
+                throw error;
+            }
+
+            // Step 4: Extract the tarball
             this._notifyProgress(onProgress, 'Extracting files...', 60);
-            const extractPath = await this._extractTarball(tarballPath, packageName);
+            const extractPath = await this._extractTarball(tarballPath, packageName, versionInfo.version);
             this._log(`Extracted to: ${extractPath}`);
 
-            // Step 4: Validate the plugin
+            // Step 5: Validate the plugin
             this._notifyProgress(onProgress, 'Validating plugin...', 80);
             const packageJson = await this._validatePlugin(extractPath);
 
-            // Step 5: Cleanup tarball and move to final location
+            // Step 6: Cleanup tarball
             this._notifyProgress(onProgress, 'Finalizing installation...', 90);
             await fs.unlink(tarballPath);
 
@@ -66,6 +104,9 @@ export class PluginDownloadService {
                     author: packageJson.author,
                     main: packageJson.main
                 },
+                resolved: versionInfo.dist.tarball,
+                integrity,
+                registry: this.npmRegistry,
                 extractPath
             };
         } catch (error) {
@@ -77,6 +118,78 @@ export class PluginDownloadService {
         }
     }
 
+    /**
+     * Published versions of a package
+     * @param {string} packageName - Package name
+     * @returns {Promise<Object>} { latest, versions } (versions oldest first)
+     */
+    async getPackageVersions(packageName) {
+        const packageInfo = await this._fetchPackageInfo(packageName);
+        if (!packageInfo) {
+            throw new Error(`Package "${packageName}" not found on ${this.npmRegistry}`);
+        }
+        return {
+            latest: packageInfo['dist-tags']?.latest || null,
+            versions: Object.keys(packageInfo.versions || {})
+        };
+    }
+
+    /**
+     * Check a downloaded tarball against the registry's hashes
+     * @param {string} filePath - Tarball path
+     * @param {Object} dist - Registry dist info { integrity?, shasum? }
+     * @returns {Promise<string>} Verified SRI string (e.g. "sha512-...")
+     * @throws {Error} When no hash is published or the tarball does not match
+     */
+    async verifyIntegrity(filePath, { integrity, shasum } = {}) {
+        const published = (integrity || '').split(/\s+/).filter(Boolean).map(entry => {
+            const separator = entry.indexOf('-');
+            return { algorithm: entry.slice(0, separator), digest: entry.slice(separator + 1) };
+        });
+        if (shasum) {
+            published.push({ algorithm: 'sha1', digest: Buffer.from(shasum, 'hex').toString('base64') });
+        }
+
+        const expected = INTEGRITY_ALGORITHMS
+            .map(algorithm => published.find(entry => entry.algorithm === algorithm))
+            .find(Boolean);
+        if (!expected) {
+            throw new Error('Registry did not publish an integrity hash for this package');
+        }
+
+        const hash = createHash(expected.algorithm);
+        await pipeline(createReadStream(filePath), hash);
+        const actual = hash.digest('base64');
+
+        if (actual !== expected.digest) {
+            throw new Error(`Integrity check failed: downloaded tarball does not match ${expected.algorithm} hash`);
+        }
+
+        this._log(`Integrity verified (${expected.algorithm})`);
+        return `${expected.algorithm}-${actual}`;
+    }
+
+    /**
+     * Registry entry for the requested (or latest) version
+     * @private
+     */
+    _resolveVersion(packageInfo, packageName, version) {
+        const resolvedVersion = version || packageInfo['dist-tags']?.latest;
+        if (!resolvedVersion) {
+            throw new Error(`No version found for ${packageName}`);
+        }
+
+        const versionInfo = packageInfo.versions?.[resolvedVersion];
+        if (!versionInfo) {
+            throw new Error(`${packageName}@${resolvedVersion} is not published on ${this.npmRegistry}`);
+        }
+        if (!versionInfo.dist || !versionInfo.dist.tarball) {
+            throw new Error(`No tarball found for ${packageName}@${resolvedVersion}`);
+        }
+
+        return { ...versionInfo, version: resolvedVersion };
+    }
+
     /**
      * Fetch package info from npm registry
      * @private
@@ -124,19 +237,9 @@ export class PluginDownloadService {
      * Download tarball from npm registry
      * @private
      */
-    async _downloadTarball(packageInfo, packageName) {
-        const latestVersion = packageInfo['dist-tags']?.latest;
-        if (!latestVersion) {
-            throw new Error(`No version found for ${packageName}`);
-        }
-
-        const versionInfo = packageInfo.versions[latestVersion];
-        if (!versionInfo || !versionInfo.dist || !versionInfo.dist.tarball) {
-            throw new Error(`No tarball found for ${packageName}@${latestVersion}`);
-        }
-
+    async _downloadTarball(versionInfo, packageName) {
         const tarballUrl = versionInfo.dist.tarball;
-        const tarballPath = path.join(this.pluginsDir, `${packageName.replace('/', '-')}-${latestVersion}.tgz`);
+        const tarballPath = path.join(this.pluginsDir, `${packageName.replace('/', '-')}-${versionInfo.version}.tgz`);
 
         this._log(`Downloading from: ${tarballUrl}`);
 
@@ -165,10 +268,11 @@ export class PluginDownloadService {
      * Extract tarball using tar command or fallback
      * @private
      */
-    async _extractTarball(tarballPath, packageName) {
-        const extractDir = path.join(this.pluginsDir, packageName.replace('/', '-'));
+    async _extractTarball(tarballPath, packageName, version) {
+        const extractDir = path.join(this.pluginsDir, `${packageName.replace('/', '-')}@${version}`);
 
-        // Ensure extract directory exists
+        // Start from an empty directory so a reinstall never mixes in stale files
+        await fs.rm(extractDir, { recursive: true, force: true });
         await fs.mkdir(extractDir, { recursive: true });
 
         try {
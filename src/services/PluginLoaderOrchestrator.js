@@ -95,8 +95,8 @@ class PluginLoaderOrchestrator {
      *
      * Flow:
      * 1. Download/extract plugin (if from npm)
-     * 2. Validate plugin structure
-     * 3. Add to plugins-config.json
+     * 2. Validate plugin structure and check capability approvals
+     * 3. Add to plugins-config.json (only once the capabilities are approved)
      * 4. Prepare dependencies (symlink/copy node_modules)
      * 5. Process plugin directory (rewrite imports)
      * 6. Load and register with my-nft-gen
@@ -113,8 +113,13 @@ class PluginLoaderOrchestrator {
     async installAndLoadPlugin(pluginData, progressCallback = null) {
         await this.initialize();
 
-        const { name, path: pluginPath, type } = pluginData;
+        const { name, path: pluginPath, type, version = null, approvedCapabilities = [] } = pluginData;
         let validation = null; // Initialize to handle errors before validation occurs
+        let download = null;
+        let canonicalName = name;
+        // Config entry this install replaced, and whether the config was written yet
+        let previousConfig = null;
+        let persisted = false;
 
         try {
             SafeConsole.log(`🔧 [PluginLoaderOrchestrator] Installing plugin: ${name}`);
@@ -122,46 +127,57 @@ class PluginLoaderOrchestrator {
 
             // Step 1: Download/extract if from npm
             let finalPluginPath = pluginPath;
-            let pluginAlreadyInConfig = false;
             if (type === 'npm') {
                 this._reportProgress(progressCallback, 'downloading', `Downloading ${name} from npm`, 20);
-                // Use PluginManagerService's npm installer (downloads and adds to config)
-                const downloadResult = await this.pluginManager.installFromNpm(name, (progress, message) => {
+                // Download only: the plugin reaches the config once its capabilities are approved
+                download = await this.pluginManager.downloadFromNpm(name, (progress, message) => {
                     this._reportProgress(progressCallback, 'downloading', message, 20 + (progress * 0.1));
-                });
-                if (!downloadResult.success) {
-                    throw new Error(`Download failed: ${downloadResult.error}`);
+                }, { version });
+                if (!download.success) {
+                    throw new Error(`Download failed: ${download.error}`);
                 }
-                // installFromNpm already added it to config, so extract the path
-                const plugin = await this.pluginManager.getPluginByName(downloadResult.info?.name || name);
-                finalPluginPath = plugin?.path || pluginPath;
-                pluginAlreadyInConfig = true;
+                finalPluginPath = download.extractPath;
             }
 
             // Step 2: Validate plugin structure
             this._reportProgress(progressCallback, 'validating', `Validating plugin structure`, 30);
-            const validation = await this.pluginManager.validatePlugin(finalPluginPath);
+            validation = await this.pluginManager.validatePlugin(finalPluginPath);
             if (!validation.valid) {
                 throw new Error(`Invalid plugin: ${validation.error}`);
             }
+            if (!validation.manifest) {
+                throw new Error(validation.manifestError);
+            }
 
-            // Step 3: Add to plugins-config.json (skip for npm since installFromNpm already did it)
-            if (!pluginAlreadyInConfig) {
-                this._reportProgress(progressCallback, 'configuring', `Adding to plugin configuration`, 40);
-                await this.pluginManager.addPlugin({
-                    name: validation.info?.name || name,
-                    path: finalPluginPath,
-                    type,
-                    enabled: true
-                });
+            // Step 2b: Every requested capability must have been approved by the user
+            const unapproved = validation.manifest.capabilities.filter(capability => !approvedCapabilities.includes(capability));
+            if (unapproved.length > 0) {
+                const approvalError = new Error(`Capabilities not approved: ${unapproved.join(', ')}`);
+                approvalError.requiresApproval = true;
+                throw approvalError;
             }
 
+            // Step 3: Add to plugins-config.json with the approvals
+            this._reportProgress(progressCallback, 'configuring', `Adding to plugin configuration`, 40);
+            canonicalName = validation.info?.name || download?.info?.name || name;
+            const existing = await this.pluginManager.getPluginByName(canonicalName);
+            previousConfig = existing ? { ...existing } : null;
+            await this.pluginManager.addPlugin({
+                name: canonicalName,
+                path: finalPluginPath,
+                type,
+                enabled: true,
+                approvedCapabilities: validation.manifest.capabilities,
+                ...(download && { version: download.info.version, description: download.info.description })
+            });
+            persisted = true;
+
             // Step 4-6: Prepare, process, and load plugin
             this._reportProgress(progressCallback, 'loading', `Loading and registering effects`, 50);
-            const canonicalName = validation.info?.name || name;
             const loadResult = await this._loadSinglePlugin({
                 name: canonicalName,
                 path: finalPluginPath,
+                approvedCapabilities: validation.manifest.capabilities,
                 success: true
             }, progressCallback);
 
@@ -169,6 +185,11 @@ class PluginLoaderOrchestrator {
                 throw new Error(`Failed to load plugin: ${loadResult.error}`);
             }
 
+            // Lock the npm version only once it has loaded
+            if (download) {
+                await this.pluginManager.recordNpmInstall(canonicalName, download);
+            }
+
             // Step 7: Invalidate registry cache (plugin list changed)
             this._reportProgress(progressCallback, 'updating', `Updating registry cache`, 90);
             await this.registryCacheService.invalidateCache();
@@ -188,6 +209,7 @@ class PluginLoaderOrchestrator {
                 plugin: {
                     name: canonicalName,
                     path: finalPluginPath,
+                    manifest: validation.manifest,
                     // Strip out non-serializable effectClass objects for IPC serialization
                     effects: (loadResult.effects || []).map(e => ({
                         name: e.name,
@@ -198,20 +220,37 @@ class PluginLoaderOrchestrator {
                 }
             };
         } catch (error) {
-            const canonicalName = validation?.info?.name || name;
             SafeConsole.error(`❌ [PluginLoaderOrchestrator] Install failed for ${canonicalName}:`, error);
             this._reportProgress(progressCallback, 'error', `Installation failed: ${error.message}`, 0);
 
-            // Rollback: remove from config if added
+            // Rollback: undo the config entry written by this install, putting back the one it replaced
             try {
-                await this.pluginManager.removePlugin(canonicalName);
+                if (persisted && previousConfig) {
+                    await this.pluginManager.addPlugin(previousConfig);
+                } else if (persisted) {
+                    await this.pluginManager.removePlugin(canonicalName);
+                }
+                // Drop the download unless an installed or locked version lives there (e.g. a reinstall)
+                if (download) {
+                    const packageName = download.info?.name || name;
+                    const locked = await this.pluginManager.lockfile.getEntry(packageName);
+                    const installed = await this.pluginManager.getPluginByName(packageName);
+                    const keptPaths = [installed, locked, ...(locked?.previous || [])].filter(Boolean).map(entry => entry.path);
+                    if (!keptPaths.includes(download.extractPath)) {
+                        await this.pluginManager.deleteVersionDirectories([{ path: download.extractPath }]);
+                    }
+                }
             } catch (rollbackError) {
                 SafeConsole.error('⚠️ [PluginLoaderOrchestrator] Rollback failed:', rollbackError);
             }
 
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                // The renderer asks the user to approve these and retries the install
+                requiresApproval: error.requiresApproval || false,
+                manifest: validation?.manifest || null,
+                capabilities: validation?.capabilities || []
             };
         }
     }
@@ -286,7 +325,14 @@ class PluginLoaderOrchestrator {
                         });
                     } else {
                         failedCount++;
-                        results.push({ success: false, plugin: pluginInfo.name, error: result.error });
+                        // Legacy plugins stay unloaded until the user approves what their code uses
+                        results.push({
+                            success: false,
+                            plugin: pluginInfo.name,
+                            error: result.error,
+                            requiresApproval: result.requiresApproval || false,
+                            manifest: result.manifest || null
+                        });
                     }
                 } catch (error) {
                     failedCount++;
@@ -369,14 +415,15 @@ class PluginLoaderOrchestrator {
             this._reportProgress(progressCallback, 'cleaning-temp', 'Cleaning up temp directories', 60);
             await this._cleanupProcessedDirectories(plugin.path);
 
-            // Step 5: Remove from config
+            // Step 5: Remove from config (and the lockfile)
             this._reportProgress(progressCallback, 'removing-config', 'Removing from configuration', 70);
-            await this.pluginManager.removePlugin(pluginName);
+            const removed = await this.pluginManager.removePlugin(pluginName);
 
-            // Step 6: Delete source (optional)
+            // Step 6: Delete source (optional), including versions kept for rollback
             if (deleteSource) {
                 this._reportProgress(progressCallback, 'deleting', 'Deleting plugin files', 80);
                 await this._deletePluginSource(plugin.path);
+                await this.pluginManager.deleteVersionDirectories(removed.lockEntry?.previous);
             }
 
             // Step 7: Invalidate cache
@@ -522,6 +569,7 @@ class PluginLoaderOrchestrator {
             const loadResult = await this._loadSinglePlugin({
                 name: plugin.name,
                 path: plugin.path,
+                approvedCapabilities: plugin.approvedCapabilities || [],
                 success: true
             }, progressCallback);
 
@@ -559,8 +607,280 @@ class PluginLoaderOrchestrator {
         }
     }
 
+    /**
+     * Approve capabilities of an installed plugin and load it
+     * Used for plugins installed before capability approvals existed, which
+     * are refused at startup until the user approves what their code uses.
+     * @param {string} pluginName - Plugin name
+     * @param {Array<string>} approvedCapabilities - Capabilities the user approved
+     * @param {Function} [progressCallback] - Progress callback
+     * @returns {Promise<Object>} Reload result
+     */
+    async approvePluginCapabilities(pluginName, approvedCapabilities, progressCallback = null) {
+        await this.initialize();
+
+        const plugin = await this.pluginManager.getPluginByName(pluginName);
+        if (!plugin) {
+            return { success: false, error: `Plugin not found: ${pluginName}` };
+        }
+
+        SafeConsole.log(`🔐 [PluginLoaderOrchestrator] Capabilities approved for ${pluginName}: ${approvedCapabilities.join(', ') || 'none'}`);
+        await this.pluginManager.addPlugin({ ...plugin, approvedCapabilities });
+        return this.reloadPlugin(pluginName, progressCallback);
+    }
+
+    /**
+     * Hot reload a plugin from its source (plugin developer mode)
+     *
+     * Unlike reloadPlugin(), the plugin source is re-processed and re-imported so
+     * edits take effect, and only this plugin's effects are replaced in the
+     * EffectRegistry. Other plugins and the registry cache are left alone.
+     * When loading fails the previously registered effects stay in place.
+     *
+     * @param {string} pluginName - Plugin name
+     * @returns {Promise<Object>} { success, plugin, effects, removed, durationMs } or { success: false, plugin, error, stack, durationMs }
+     */
+    async hotReloadPlugin(pluginName) {
+        await this.initialize();
+        const startedAt = Date.now();
+
+        try {
+            SafeConsole.log(`♻️ [PluginLoaderOrchestrator] Hot reloading plugin: ${pluginName}`);
+
+            // Approvals may have changed through the IPC handlers' own PluginManagerService
+            await this.pluginManager.loadPluginConfigs();
+            const plugin = await this.pluginManager.getPluginByName(pluginName);
+            if (!plugin) {
+                throw new Error(`Plugin not found: ${pluginName}`);
+            }
+
+            const loader = await this._getSecurePluginLoader();
+            await loader.evictProcessedPlugin(plugin.path);
+
+            const result = await loader.loadPluginInMainProcess(plugin.path, null, {
+                approvedCapabilities: plugin.approvedCapabilities || []
+            });
+
+            if (!result.success) {
+                // Don't reuse a half-processed copy on the next attempt
+                await loader.evictProcessedPlugin(plugin.path);
+                SafeConsole.error(`❌ [PluginLoaderOrchestrator] Hot reload failed for ${pluginName}: ${result.error}`);
+                return {
+                    success: false,
+                    plugin: pluginName,
+                    error: result.error,
+                    stack: result.stack || null,
+                    durationMs: Date.now() - startedAt
+                };
+            }
+
+            const { registered, removed } = await this.effectRegistryService.reloadPluginEffects(pluginName, result.effects || []);
+
+            SafeConsole.log(`✅ [PluginLoaderOrchestrator] Hot reloaded ${pluginName}: ${registered.length} effects`);
+
+            return {
+                success: true,
+                plugin: pluginName,
+                effects: registered,
+                removed,
+                durationMs: Date.now() - startedAt
+            };
+        } catch (error) {
+            SafeConsole.error(`❌ [PluginLoaderOrchestrator] Hot reload failed for ${pluginName}:`, error);
+
+            return {
+                success: false,
+                plugin: pluginName,
+                error: error.message,
+                stack: error.stack || null,
+                durationMs: Date.now() - startedAt
+            };
+        }
+    }
+
+    /**
+     * Upgrade (or downgrade) an npm plugin to an exact version
+     * The new version is downloaded next to the current one and only replaces
+     * it once it has loaded; on failure the current version is loaded again.
+     * @param {string} pluginName - Plugin name
+     * @param {Object} [options]
+     * @param {string} [options.version] - Exact version (default: latest)
+     * @param {Array<string>} [options.approvedCapabilities] - Approvals (default: those of the current version)
+     * @param {Function} [progressCallback] - Progress callback
+     * @returns {Promise<Object>} { success, plugin, version, effects } or { success: false, error, requiresApproval?, manifest?, capabilities? }
+     */
+    async updatePlugin(pluginName, { version = null, approvedCapabilities = null } = {}, progressCallback = null) {
+        await this.initialize();
+
+        try {
+            SafeConsole.log(`⬆️ [PluginLoaderOrchestrator] Updating plugin: ${pluginName}`);
+            const plugin = await this.pluginManager.getPluginByName(pluginName);
+            if (!plugin || plugin.type !== 'npm') {
+                throw new Error(`${pluginName} is not an installed npm plugin`);
+            }
+
+            const locked = await this.pluginManager.lockfile.getEntry(pluginName);
+            const currentVersion = locked?.version || plugin.version;
+            const targetVersion = version || (await this.pluginManager.getPackageVersions(pluginName)).latest;
+            if (targetVersion === currentVersion) {
+                throw new Error(`${pluginName}@${targetVersion} is already installed`);
+            }
+
+            this._reportProgress(progressCallback, 'downloading', `Downloading ${pluginName}@${targetVersion}`, 10);
+            const download = await this.pluginManager.downloadFromNpm(pluginName, (progress, message) => {
+                this._reportProgress(progressCallback, 'downloading', message, 10 + (progress * 0.3));
+            }, { version: targetVersion });
+            if (!download.success) {
+                throw new Error(`Download failed: ${download.error}`);
+            }
+
+            let result;
+            try {
+                result = await this._switchPluginVersion(plugin, {
+                    path: download.extractPath,
+                    version: download.info.version
+                }, approvedCapabilities || plugin.approvedCapabilities || [], progressCallback);
+            } catch (error) {
+                // Drop the failed download unless it is a version kept for rollback
+                if (!(locked?.previous || []).some(entry => entry.path === download.extractPath)) {
+                    await this.pluginManager.deleteVersionDirectories([{ path: download.extractPath }]);
+                }
+                throw error;
+            }
+
+            await this.pluginManager.recordNpmInstall(pluginName, download);
+            this._reportProgress(progressCallback, 'complete', `Updated to ${download.info.version}`, 100);
+            SafeConsole.log(`✅ [PluginLoaderOrchestrator] Plugin updated: ${pluginName}@${download.info.version}`);
+
+            return { success: true, plugin: pluginName, version: download.info.version, effects: result.effects };
+        } catch (error) {
+            return this._versionSwitchFailed(pluginName, 'Update', error, progressCallback);
+        }
+    }
+
+    /**
+     * Go back to the previously installed version of an npm plugin
+     * @param {string} pluginName - Plugin name
+     * @param {Object} [options]
+     * @param {Array<string>} [options.approvedCapabilities] - Approvals (default: those of the current version)
+     * @param {Function} [progressCallback] - Progress callback
+     * @returns {Promise<Object>} { success, plugin, version, effects } or { success: false, error, requiresApproval?, manifest?, capabilities? }
+     */
+    async rollbackPlugin(pluginName, { approvedCapabilities = null } = {}, progressCallback = null) {
+        await this.initialize();
+
+        try {
+            SafeConsole.log(`⏪ [PluginLoaderOrchestrator] Rolling back plugin: ${pluginName}`);
+            const plugin = await this.pluginManager.getPluginByName(pluginName);
+            const locked = await this.pluginManager.lockfile.getEntry(pluginName);
+            const target = locked?.previous?.[0];
+            if (!plugin || !target) {
+                throw new Error(`No previous version of ${pluginName} to roll back to`);
+            }
+
+            const exists = await fs.access(target.path).then(() => true, () => false);
+            if (!exists) {
+                throw new Error(`${pluginName}@${target.version} is no longer on disk`);
+            }
+
+            const result = await this._switchPluginVersion(
+                plugin,
+                target,
+                approvedCapabilities || plugin.approvedCapabilities || [],
+                progressCallback
+            );
+
+            await this.pluginManager.lockfile.rollback(pluginName);
+            this._reportProgress(progressCallback, 'complete', `Rolled back to ${target.version}`, 100);
+            SafeConsole.log(`✅ [PluginLoaderOrchestrator] Plugin rolled back: ${pluginName}@${target.version}`);
+
+            return { success: true, plugin: pluginName, version: target.version, effects: result.effects };
+        } catch (error) {
+            return this._versionSwitchFailed(pluginName, 'Rollback', error, progressCallback);
+        }
+    }
+
     // ==================== HELPER METHODS ====================
 
+    /**
+     * Replace the loaded version of a plugin with the one at target.path
+     * @param {Object} plugin - Current plugin config
+     * @param {Object} target - { path, version }
+     * @param {Array<string>} approvedCapabilities - Capabilities the user approved
+     * @param {Function} progressCallback - Progress callback
+     * @returns {Promise<Object>} { effects } (serializable)
+     * @private
+     */
+    async _switchPluginVersion(plugin, target, approvedCapabilities, progressCallback) {
+        this._reportProgress(progressCallback, 'validating', `Validating ${plugin.name}@${target.version}`, 45);
+        const validation = await this.pluginManager.validatePlugin(target.path);
+        if (!validation.valid) {
+            throw new Error(`Invalid plugin: ${validation.error}`);
+        }
+        if (!validation.manifest) {
+            throw new Error(validation.manifestError);
+        }
+
+        const unapproved = validation.manifest.capabilities.filter(capability => !approvedCapabilities.includes(capability));
+        if (unapproved.length > 0) {
+            const approvalError = new Error(`${plugin.name}@${target.version} requests capabilities that were not approved: ${unapproved.join(', ')}`);
+            approvalError.requiresApproval = true;
+            approvalError.validation = validation;
+            throw approvalError;
+        }
+
+        await this._unregisterPluginEffects(plugin.name);
+        const loadResult = await this._loadSinglePlugin({
+            name: plugin.name,
+            path: target.path,
+            approvedCapabilities: validation.manifest.capabilities,
+            success: true
+        }, progressCallback);
+
+        if (!loadResult.success) {
+            // Keep the current version working
+            await this._loadSinglePlugin({
+                name: plugin.name,
+                path: plugin.path,
+                approvedCapabilities: plugin.approvedCapabilities || [],
+                success: true
+            });
+            throw new Error(`Failed to load ${plugin.name}@${target.version}: ${loadResult.error}`);
+        }
+
+        await this.pluginManager.addPlugin({
+            ...plugin,
+            path: target.path,
+            version: target.version,
+            approvedCapabilities: validation.manifest.capabilities
+        });
+        await this.registryCacheService.invalidateCache();
+
+        return {
+            effects: (loadResult.effects || []).map(e => ({
+                name: e.name,
+                category: e.category,
+                metadata: e.metadata
+            }))
+        };
+    }
+
+    /**
+     * @private
+     */
+    _versionSwitchFailed(pluginName, operation, error, progressCallback) {
+        SafeConsole.error(`❌ [PluginLoaderOrchestrator] ${operation} failed for ${pluginName}:`, error);
+        this._reportProgress(progressCallback, 'error', `${operation} failed: ${error.message}`, 0);
+
+        return {
+            success: false,
+            error: error.message,
+            requiresApproval: error.requiresApproval || false,
+            manifest: error.validation?.manifest || null,
+            capabilities: error.validation?.capabilities || []
+        };
+    }
+
     /**
      * Load a single plugin
      * @param {Object} pluginInfo - Plugin info
@@ -595,14 +915,17 @@ class PluginLoaderOrchestrator {
                 );
             };
 
-            const result = await loader.loadPluginInMainProcess(pluginInfo.path, loaderProgressCallback);
+            const result = await loader.loadPluginInMainProcess(pluginInfo.path, loaderProgressCallback, {
+                approvedCapabilities: pluginInfo.approvedCapabilities || [],
+                manifestDir: pluginInfo.rootPath || null
+            });
 
             if (result.success && result.effects && result.effects.length > 0) {
                 this._reportProgress(progressCallback, 'registering', `Registering ${result.effects.length} effects`, 85);
                 
                 // 🔥 CRITICAL: Captured effects must be registered with EffectRegistry
                 // SecurePluginLoader only captures them in memory - we need to register them for real
-                await this._registerCapturedEffects(result.effects, pluginInfo.name);
+                await this._registerCapturedEffects(result.effects, pluginInfo.name, pluginInfo.version || pluginInfo.updatedAt || null);
                 
                 this._reportProgress(progressCallback, 'registering', `Registered ${result.effects.length} effects`, 87);
             }
@@ -642,10 +965,10 @@ class PluginLoaderOrchestrator {
      */
     async _unregisterPluginEffects(pluginName) {
         try {
-            // This would require EffectRegistry to track which effects came from which plugin
-            // For now, we'll log that we would unregister
-            SafeConsole.log(`🗑️ [PluginLoaderOrchestrator] Would unregister effects for: ${pluginName}`);
-            // TODO: Implement actual unregistration when EffectRegistry supports it
+            if (!this.effectRegistryService) {
+                return;
+            }
+            await this.effectRegistryService.unregisterPluginEffects(pluginName);
         } catch (error) {
             SafeConsole.error('⚠️ [PluginLoaderOrchestrator] Unregister effects failed:', error);
         }
@@ -755,9 +1078,10 @@ class PluginLoaderOrchestrator {
      * Register captured effects with the real EffectRegistry and link their configs
      * @param {Array} capturedEffects - Effects captured by SecurePluginLoader
      * @param {string} pluginName - Plugin name for logging
+     * @param {string|null} [pluginVersion=null] - Plugin version (or last update time for local plugins)
      * @private
      */
-    async _registerCapturedEffects(capturedEffects, pluginName) {
+    async _registerCapturedEffects(capturedEffects, pluginName, pluginVersion = null) {
         try {
             if (!this.effectRegistryService) {
                 SafeConsole.warn(`⚠️ [PluginLoaderOrchestrator] EffectRegistry service not available, skipping effect registration`);
@@ -766,29 +1090,8 @@ class PluginLoaderOrchestrator {
 
             SafeConsole.log(`🔧 [PluginLoaderOrchestrator] Registering ${capturedEffects.length} effects from plugin: ${pluginName}`);
 
-            // Get the registries we need
-            const effectRegistry = await this.effectRegistryService.getEffectRegistry();
-            const configRegistry = await this.effectRegistryService.getConfigRegistry();
-            
-            // Dynamically import ConfigLinker to link effects with their configs
-            const { ConfigLinker } = await import('my-nft-gen/src/core/registry/ConfigLinker.js');
-
-            for (const effect of capturedEffects) {
-                try {
-                    if (effectRegistry && effect.effectClass) {
-                        // Register the effect class
-                        effectRegistry.registerGlobal(effect.effectClass, effect.category, effect.metadata);
-                        SafeConsole.log(`✅ [PluginLoaderOrchestrator] Registered effect: ${effect.name} (Category: ${effect.category})`);
-                    }
-                } catch (effectError) {
-                    SafeConsole.error(`⚠️ [PluginLoaderOrchestrator] Failed to register effect ${effect.name}:`, effectError.message);
-                }
-            }
-
-            // 🔥 CRITICAL: Link effects with their config classes
-            // This creates the connection that PluginRegistry uses to display effects in the UI
-            await ConfigLinker.linkEffectsWithConfigs();
-            SafeConsole.log(`✅ [PluginLoaderOrchestrator] Config linking complete for plugin: ${pluginName}`);
+            // Registers with the real EffectRegistry, links configs and remembers the plugin's effects
+            await this.effectRegistryService.registerPluginEffects(pluginName, capturedEffects, pluginVersion);
 
             SafeConsole.log(`✅ [PluginLoaderOrchestrator] Effect registration complete for plugin: ${pluginName}`);
         } catch (error) {
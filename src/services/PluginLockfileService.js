@@ -0,0 +1,200 @@
+import path from 'path';
+import fs from 'fs/promises';
+
+export const DEFAULT_REGISTRY = 'https://registry.npmjs.org';
+export const LOCKFILE_NAME = 'plugins-lock.json';
+export const LOCKFILE_VERSION = 1;
+
+// Earlier versions kept on disk per plugin for rollback
+const MAX_HISTORY = 3;
+
+const withoutHistory = ({ previous, ...entry }) => entry;
+
+/**
+ * Plugin lockfile (plugins-lock.json, next to plugins-config.json)
+ *
+ * Records exactly what was installed for every npm plugin so installs are
+ * reproducible and can be rolled back:
+ *   {
+ *     "lockfileVersion": 1,
+ *     "registry": "https://registry.npmjs.org",
+ *     "plugins": {
+ *       "my-plugin": {
+ *         "version": "1.2.0",
+ *         "resolved": "https://registry.npmjs.org/my-plugin/-/my-plugin-1.2.0.tgz",
+ *         "integrity": "sha512-...",
+ *         "path": "/.../plugins/my-plugin@1.2.0",
+ *         "installedAt": "...",
+ *         "previous": [{ "version": "1.1.0", ... }]
+ *       }
+ *     }
+ *   }
+ *
+ * The file is re-read for every operation because the IPC handlers and the
+ * plugin orchestrator each hold their own PluginManagerService.
+ */
+export class PluginLockfileService {
+    constructor(appDataPath) {
+        this.lockfilePath = path.join(appDataPath, LOCKFILE_NAME);
+    }
+
+    /**
+     * @returns {Promise<Object>} Lockfile contents (empty lockfile when missing)
+     */
+    async read() {
+        try {
+            const lockfile = JSON.parse(await fs.readFile(this.lockfilePath, 'utf8'));
+            return {
+                lockfileVersion: lockfile.lockfileVersion || LOCKFILE_VERSION,
+                registry: lockfile.registry || DEFAULT_REGISTRY,
+                plugins: lockfile.plugins || {}
+            };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to read plugin lockfile:', error);
+            }
+            return { lockfileVersion: LOCKFILE_VERSION, registry: DEFAULT_REGISTRY, plugins: {} };
+        }
+    }
+
+    async write(lockfile) {
+        await fs.writeFile(this.lockfilePath, JSON.stringify(lockfile, null, 2), 'utf8');
+    }
+
+    /**
+     * @returns {Promise<string>} Registry URL used for new installs
+     */
+    async getRegistry() {
+        return (await this.read()).registry;
+    }
+
+    /**
+     * Set the registry used for new installs (e.g. a local mirror)
+     * @param {string} registryUrl - http(s) URL, empty for the public npm registry
+     * @returns {Promise<string>} Normalized registry URL
+     */
+    async setRegistry(registryUrl) {
+        const registry = PluginLockfileService.normalizeRegistry(registryUrl);
+        const lockfile = await this.read();
+        lockfile.registry = registry;
+        await this.write(lockfile);
+        return registry;
+    }
+
+    /**
+     * @param {string} name - Plugin name
+     * @returns {Promise<Object|null>} Locked entry or null
+     */
+    async getEntry(name) {
+        return (await this.read()).plugins[name] || null;
+    }
+
+    /**
+     * Integrity hashes recorded for every locked version (current and history)
+     * @param {string} name - Plugin name
+     * @returns {Promise<Object>} { [version]: integrity }
+     */
+    async getLockedIntegrities(name) {
+        const entry = await this.getEntry(name);
+        if (!entry) {
+            return {};
+        }
+        return [entry, ...(entry.previous || [])].reduce((integrities, locked) => {
+            if (locked.integrity && !integrities[locked.version]) {
+                integrities[locked.version] = locked.integrity;
+            }
+            return integrities;
+        }, {});
+    }
+
+    /**
+     * Record an installed version; the current one moves into the history
+     * @param {string} name - Plugin name
+     * @param {Object} entry - { version, resolved, integrity, path }
+     * @returns {Promise<Array<Object>>} History entries dropped beyond the limit
+     */
+    async recordInstall(name, { version, resolved, integrity, path: installPath }) {
+        const lockfile = await this.read();
+        const current = lockfile.plugins[name];
+        let previous = current?.previous || [];
+
+        if (current && current.version !== version) {
+            previous = [withoutHistory(current), ...previous];
+        }
+        previous = previous.filter(entry => entry.version !== version);
+
+        lockfile.plugins[name] = {
+            version,
+            resolved,
+            integrity,
+            path: installPath,
+            installedAt: new Date().toISOString(),
+            previous: previous.slice(0, MAX_HISTORY)
+        };
+        await this.write(lockfile);
+
+        return previous.slice(MAX_HISTORY);
+    }
+
+    /**
+     * Make the most recent previous version current again
+     * The rolled-back version stays in the history so it can be restored.
+     * @param {string} name - Plugin name
+     * @returns {Promise<Object>} The entry that is now current
+     * @throws {Error} When there is nothing to roll back to
+     */
+    async rollback(name) {
+        const lockfile = await this.read();
+        const current = lockfile.plugins[name];
+        if (!current || !current.previous?.length) {
+            throw new Error(`No previous version of ${name} to roll back to`);
+        }
+
+        const [target, ...rest] = current.previous;
+        lockfile.plugins[name] = {
+            ...target,
+            installedAt: new Date().toISOString(),
+            previous: [withoutHistory(current), ...rest].slice(0, MAX_HISTORY)
+        };
+        await this.write(lockfile);
+
+        return lockfile.plugins[name];
+    }
+
+    /**
+     * @param {string} name - Plugin name
+     * @returns {Promise<Object|null>} Removed entry (with its history) or null
+     */
+    async remove(name) {
+        const lockfile = await this.read();
+        const entry = lockfile.plugins[name] || null;
+        if (entry) {
+            delete lockfile.plugins[name];
+            await this.write(lockfile);
+        }
+        return entry;
+    }
+
+    /**
+     * @param {string} registryUrl - Registry URL
+     * @returns {string} URL without trailing slash
+     * @throws {Error} When the URL is not http(s)
+     */
+    static normalizeRegistry(registryUrl) {
+        if (!registryUrl || !registryUrl.trim()) {
+            return DEFAULT_REGISTRY;
+        }
+
+        let url;
+        try {
+            url = new URL(registryUrl.trim());
+        } catch (error) {
+            throw new Error(`Invalid registry URL: ${registryUrl}`);
+        }
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            throw new Error('Registry URL must use http or https');
+        }
+
+        return url.href.replace(/\/+$/, '');
+    }
+}
@@ -1,6 +1,8 @@
 import path from 'path';
 import fs from 'fs/promises';
 import { PluginDownloadService } from './PluginDownloadService.js';
+import { PluginLockfileService } from './PluginLockfileService.js';
+import PluginManifestService from '../main/services/PluginManifestService.js';
 
 export class PluginManagerService {
     constructor(appDataPath, logger = null) {
@@ -10,6 +12,8 @@ export class PluginManagerService {
         this.loadedPlugins = new Map();
         this.pluginConfigs = [];
         this.downloadService = new PluginDownloadService(this.pluginsDir, logger);
+        this.lockfile = new PluginLockfileService(appDataPath);
+        this.manifestService = new PluginManifestService();
     }
 
     async initialize() {
@@ -47,7 +51,7 @@ export class PluginManagerService {
     }
 
     async addPlugin(pluginData) {
-        const { name, path: pluginPath, type, enabled = true } = pluginData;
+        const { name, path: pluginPath, type, enabled = true, approvedCapabilities = [] } = pluginData;
 
         const existingIndex = this.pluginConfigs.findIndex(p => p.name === name);
         if (existingIndex >= 0) {
@@ -62,6 +66,7 @@ export class PluginManagerService {
                 path: pluginPath,
                 type,
                 enabled,
+                approvedCapabilities,
                 addedAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString()
             });
@@ -78,7 +83,8 @@ export class PluginManagerService {
             this.pluginConfigs.splice(index, 1);
             await this.savePluginConfigs();
             this.loadedPlugins.delete(name);
-            return { success: true, message: 'Plugin removed successfully', plugin };
+            const lockEntry = await this.lockfile.remove(name);
+            return { success: true, message: 'Plugin removed successfully', plugin, lockEntry };
         }
         return { success: false, message: 'Plugin not found' };
     }
@@ -102,7 +108,40 @@ export class PluginManagerService {
         return this.pluginConfigs.filter(p => p.enabled);
     }
 
+    /**
+     * Validate a plugin's structure and read its manifest
+     * A missing or invalid manifest does not make the structure invalid; it is
+     * reported as manifestError and refused later by the loader.
+     * @param {string} pluginPath - Plugin directory or file
+     * @returns {Promise<Object>} { valid, info, manifest, capabilities, manifestError } or { valid: false, error }
+     */
     async validatePlugin(pluginPath) {
+        const validation = await this._validatePluginStructure(pluginPath);
+        if (!validation.valid) {
+            return validation;
+        }
+
+        const fullPath = path.isAbsolute(pluginPath)
+            ? pluginPath
+            : path.join(this.pluginsDir, pluginPath);
+        const stats = await fs.stat(fullPath);
+        const manifestResult = await this.manifestService.readManifest(stats.isDirectory() ? fullPath : path.dirname(fullPath));
+
+        if (!manifestResult.success) {
+            return { ...validation, manifest: null, capabilities: [], manifestError: manifestResult.error };
+        }
+
+        return {
+            ...validation,
+            manifest: manifestResult.manifest,
+            capabilities: this.manifestService.describeCapabilities(manifestResult.manifest.capabilities)
+        };
+    }
+
+    /**
+     * @private
+     */
+    async _validatePluginStructure(pluginPath) {
         try {
             const fullPath = path.isAbsolute(pluginPath)
                 ? pluginPath
@@ -166,12 +205,14 @@ export class PluginManagerService {
      * Downloads directly from npm registry without requiring npm CLI
      * @param {string} packageName - Package name to install
      * @param {Function} onProgress - Optional callback for progress updates (percentage, message)
+     * @param {Object} [options]
+     * @param {string} [options.version] - Exact version (default: latest)
      * @returns {Promise<Object>} Installation result
      */
-    async installFromNpm(packageName, onProgress = null) {
+    async installFromNpm(packageName, onProgress = null, { version = null } = {}) {
         try {
-            // Download and extract from npm registry
-            const result = await this.downloadService.installPackage(packageName, onProgress);
+            // Download, verify and extract from the configured registry
+            const result = await this.downloadFromNpm(packageName, onProgress, { version });
 
             if (!result.success) {
                 return { success: false, error: result.error };
@@ -186,6 +227,7 @@ export class PluginManagerService {
                 description: result.info.description,
                 enabled: true
             });
+            await this.recordNpmInstall(result.info.name || packageName, result);
 
             return {
                 success: true,
@@ -197,6 +239,108 @@ export class PluginManagerService {
         }
     }
 
+    /**
+     * Download a pinned, integrity-checked npm package without adding it to the configuration
+     * @param {string} packageName - Package name
+     * @param {Function} onProgress - Optional callback (percentage, message)
+     * @param {Object} [options]
+     * @param {string} [options.version] - Exact version (default: latest)
+     * @returns {Promise<Object>} PluginDownloadService install result
+     */
+    async downloadFromNpm(packageName, onProgress = null, { version = null } = {}) {
+        this.downloadService.setRegistryUrl(await this.lockfile.getRegistry());
+        // Versions already in plugins-lock.json must match the hash recorded when they were first installed
+        const lockedIntegrities = await this.lockfile.getLockedIntegrities(packageName);
+        return this.downloadService.installPackage(packageName, onProgress, { version, lockedIntegrities });
+    }
+
+    /**
+     * Published versions of an npm package on the configured registry
+     * @param {string} packageName - Package name
+     * @returns {Promise<Object>} { latest, versions }
+     */
+    async getPackageVersions(packageName) {
+        this.downloadService.setRegistryUrl(await this.lockfile.getRegistry());
+        return this.downloadService.getPackageVersions(packageName);
+    }
+
+    /**
+     * Lock a downloaded version and delete versions that fell out of the rollback history
+     * @param {string} name - Plugin name
+     * @param {Object} download - Result of downloadFromNpm
+     */
+    async recordNpmInstall(name, download) {
+        const dropped = await this.lockfile.recordInstall(name, {
+            version: download.info.version,
+            resolved: download.resolved,
+            integrity: download.integrity,
+            path: download.extractPath
+        });
+        await this.deleteVersionDirectories(dropped);
+    }
+
+    /**
+     * Delete extracted versions (only ones inside the plugins directory)
+     * @param {Array<Object>} entries - Lockfile entries with a path
+     */
+    async deleteVersionDirectories(entries = []) {
+        for (const entry of entries) {
+            if (entry.path && path.resolve(entry.path).startsWith(path.resolve(this.pluginsDir) + path.sep)) {
+                await fs.rm(entry.path, { recursive: true, force: true });
+            }
+        }
+    }
+
+    /**
+     * Registry used for npm installs
+     * @returns {Promise<string>}
+     */
+    async getRegistry() {
+        return this.lockfile.getRegistry();
+    }
+
+    /**
+     * @param {string} registryUrl - npm-compatible registry URL, empty for the public registry
+     * @returns {Promise<string>} Normalized registry URL
+     */
+    async setRegistry(registryUrl) {
+        return this.lockfile.setRegistry(registryUrl);
+    }
+
+    /**
+     * Compare locked npm plugins with the registry
+     * @returns {Promise<Array<Object>>} [{ name, currentVersion, latestVersion, updateAvailable, previousVersion, integrity, error? }]
+     */
+    async checkForUpdates() {
+        const lockfile = await this.lockfile.read();
+        const results = [];
+
+        for (const plugin of this.pluginConfigs.filter(p => p.type === 'npm')) {
+            const entry = lockfile.plugins[plugin.name];
+            const currentVersion = entry?.version || plugin.version || null;
+            const status = {
+                name: plugin.name,
+                currentVersion,
+                latestVersion: null,
+                updateAvailable: false,
+                previousVersion: entry?.previous?.[0]?.version || null,
+                integrity: entry?.integrity || null
+            };
+
+            try {
+                const { latest } = await this.getPackageVersions(plugin.name);
+                status.latestVersion = latest;
+                status.updateAvailable = Boolean(latest && (!currentVersion || this.manifestService.compareVersions(latest, currentVersion) > 0));
+            } catch (error) {
+                status.error = error.message;
+            }
+
+            results.push(status);
+        }
+
+        return results;
+    }
+
     /**
      * Install multiple plugins from npm
      * Useful for batch operations
@@ -280,6 +424,8 @@ export class PluginManagerService {
                 loadResults.push({
                     name: plugin.name,
                     path: entryPoint,
+                    rootPath: entryPoint === fullPath ? path.dirname(fullPath) : fullPath,
+                    approvedCapabilities: plugin.approvedCapabilities || [],
                     success: true
                 });
             } catch (error) {
@@ -311,6 +457,31 @@ export class PluginManagerService {
         return this.pluginConfigs.find(p => p.name === name) || null;
     }
 
+    /**
+     * Enabled plugins that request capabilities the user has not approved
+     * These are plugins installed before capability approvals existed (legacy
+     * plugins without a manifest, or ones whose manifest was added later); they
+     * are not loaded until the user approves.
+     * @returns {Promise<Array<Object>>} [{ name, manifest, capabilities }]
+     */
+    async getPendingApprovals() {
+        const pending = [];
+        for (const plugin of await this.getEnabledPlugins()) {
+            try {
+                const validation = await this.validatePlugin(plugin.path);
+                if (!validation.manifest) continue;
+
+                const unapproved = this.manifestService.getUnapprovedCapabilities(validation.manifest, plugin.approvedCapabilities || []);
+                if (unapproved.length > 0) {
+                    pending.push({ name: plugin.name, manifest: validation.manifest, capabilities: validation.capabilities });
+                }
+            } catch (error) {
+                console.error(`Failed to check capabilities of plugin ${plugin.name}:`, error);
+            }
+        }
+        return pending;
+    }
+
     /**
      * Get plugin metadata (extended info)
      * @param {string} name - Plugin name
@@ -7,6 +7,7 @@ import { safeConsoleError, safeConsoleLog } from '../utils/errorFormatter.js';
  */
 class PreferencesService {
     static PREFERENCES_FILE = 'user-preferences.json';
+    static MAX_RECENT_PROJECTS = 10; // Unpinned entries kept; pinned projects never drop off
 
     /**
      * Get all user preferences
@@ -52,6 +53,14 @@ class PreferencesService {
             },
             effectDefaults: {}, // Object mapping registryKey to default config objects
             userPresets: {}, // Object mapping effect registryKey -> { [presetName]: currentEffectConfig }
+            customResolutions: {}, // Object mapping preset name -> custom "WIDTHxHEIGHT" resolution
+            keymap: {}, // Object mapping shortcut id -> accelerator (null = unbound); only overrides of the defaults
+            recentProjects: [], // Array of { filePath, pinned, lastOpened } for the start screen, newest first
+            livePreview: {
+                enabled: false, // Re-render automatically after edits
+                proxyScale: 0.25, // Fraction of the target resolution for the first, fast pass
+                refine: true // Follow the proxy with a full-resolution render
+            },
             lastModified: new Date().toISOString()
         };
     }
@@ -496,6 +505,220 @@ class PreferencesService {
             return false;
         }
     }
+
+    // =========================
+    // Custom Resolution Presets API
+    // =========================
+
+    /**
+     * List saved custom resolutions
+     * @returns {Promise<Array<{name: string, resolution: string}>>}
+     */
+    static async getCustomResolutions() {
+        const preferences = await this.getPreferences();
+        return Object.entries(preferences.customResolutions || {})
+            .filter(([, resolution]) => ResolutionMapper.isCustomResolution(resolution))
+            .map(([name, resolution]) => ({ name, resolution }));
+    }
+
+    /**
+     * Save a custom resolution preset (saving an existing name replaces it)
+     * @param {string} name - Preset name
+     * @param {string} resolution - Custom "WIDTHxHEIGHT" resolution
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    static async saveCustomResolution(name, resolution) {
+        try {
+            const trimmedName = (name || '').trim();
+            if (!trimmedName) {
+                return { success: false, error: 'Preset name is required' };
+            }
+            if (!ResolutionMapper.isCustomResolution(resolution)) {
+                return { success: false, error: `Invalid custom resolution: ${resolution}` };
+            }
+
+            const preferences = await this.getPreferences();
+            if (!preferences.customResolutions) preferences.customResolutions = {};
+
+            preferences.customResolutions[trimmedName] = resolution;
+            const ok = await this.savePreferences(preferences);
+            return { success: ok };
+        } catch (error) {
+            safeConsoleError('Error saving custom resolution:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Delete a custom resolution preset
+     * @param {string} name - Preset name
+     * @returns {Promise<boolean>} Success status
+     */
+    static async deleteCustomResolution(name) {
+        try {
+            const preferences = await this.getPreferences();
+            if (preferences.customResolutions?.[name]) {
+                delete preferences.customResolutions[name];
+                return await this.savePreferences(preferences);
+            }
+            return true;
+        } catch (error) {
+            safeConsoleError('Error deleting custom resolution:', error);
+            return false;
+        }
+    }
+
+    // =========================
+    // Keymap API
+    // =========================
+
+    /**
+     * Get the user's keyboard shortcut overrides
+     * @returns {Promise<Object>} Shortcut id -> accelerator, or null for unbound shortcuts
+     */
+    static async getKeymap() {
+        const preferences = await this.getPreferences();
+        return preferences.keymap || {};
+    }
+
+    /**
+     * Save the user's keyboard shortcut overrides
+     * @param {Object} keymap - Shortcut id -> accelerator|null
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    static async saveKeymap(keymap) {
+        try {
+            const preferences = await this.getPreferences();
+            preferences.keymap = { ...(keymap || {}) };
+            const ok = await this.savePreferences(preferences);
+            return { success: ok };
+        } catch (error) {
+            safeConsoleError('Error saving keymap:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // =========================
+    // Recent Projects API
+    // =========================
+
+    /**
+     * Get recently opened projects, pinned projects first, then newest first
+     * @returns {Promise<Array<Object>>} Array of { filePath, pinned, lastOpened }
+     */
+    static async getRecentProjects() {
+        const preferences = await this.getPreferences();
+        return this.sortRecentProjects(preferences.recentProjects || []);
+    }
+
+    /**
+     * Record that a project was opened
+     * Moves it to the top of the list and drops the oldest unpinned entries
+     * beyond MAX_RECENT_PROJECTS.
+     * @param {string} filePath - .nftproject file path
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    static async addRecentProject(filePath) {
+        if (!filePath) {
+            return { success: false, error: 'Project file path is required' };
+        }
+        return this.updateRecentProjects(recentProjects => {
+            const existing = recentProjects.find(entry => entry.filePath === filePath);
+            const others = recentProjects.filter(entry => entry.filePath !== filePath);
+            const opened = { filePath, pinned: !!existing?.pinned, lastOpened: new Date().toISOString() };
+
+            const sorted = this.sortRecentProjects([opened, ...others]);
+            const unpinnedKept = new Set(sorted.filter(entry => !entry.pinned).slice(0, this.MAX_RECENT_PROJECTS));
+            return sorted.filter(entry => entry.pinned || unpinnedKept.has(entry));
+        });
+    }
+
+    /**
+     * Pin or unpin a recent project
+     * @param {string} filePath - .nftproject file path
+     * @param {boolean} pinned - Whether the project stays on the list
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    static async setRecentProjectPinned(filePath, pinned) {
+        return this.updateRecentProjects(recentProjects => recentProjects.map(entry => (
+            entry.filePath === filePath ? { ...entry, pinned: !!pinned } : entry
+        )));
+    }
+
+    /**
+     * Remove a project from the recent list (the file itself is untouched)
+     * @param {string} filePath - .nftproject file path
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    static async removeRecentProject(filePath) {
+        return this.updateRecentProjects(recentProjects => recentProjects.filter(entry => entry.filePath !== filePath));
+    }
+
+    /**
+     * Sort recent projects: pinned first, then most recently opened
+     * @param {Array<Object>} recentProjects - Entries to sort
+     * @returns {Array<Object>} Sorted copy
+     */
+    static sortRecentProjects(recentProjects) {
+        return [...recentProjects].sort((a, b) => {
+            if (!!a.pinned !== !!b.pinned) {
+                return a.pinned ? -1 : 1;
+            }
+            return String(b.lastOpened || '').localeCompare(String(a.lastOpened || ''));
+        });
+    }
+
+    /**
+     * Apply a change to the saved recent projects list
+     * @private
+     * @param {Function} update - (recentProjects) => new recentProjects
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    static async updateRecentProjects(update) {
+        try {
+            const preferences = await this.getPreferences();
+            preferences.recentProjects = this.sortRecentProjects(update(preferences.recentProjects || []));
+            const ok = await this.savePreferences(preferences);
+            return { success: ok };
+        } catch (error) {
+            safeConsoleError('Error saving recent projects:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // =========================
+    // Live Preview API
+    // =========================
+
+    /**
+     * Get the live preview settings
+     * @returns {Promise<Object>} { enabled, proxyScale, refine }
+     */
+    static async getLivePreviewSettings() {
+        const preferences = await this.getPreferences();
+        return { ...this.getDefaultPreferences().livePreview, ...(preferences.livePreview || {}) };
+    }
+
+    /**
+     * Save the live preview settings
+     * @param {Object} settings - { enabled, proxyScale, refine }
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    static async saveLivePreviewSettings(settings) {
+        try {
+            const preferences = await this.getPreferences();
+            preferences.livePreview = {
+                enabled: !!settings?.enabled,
+                proxyScale: settings?.proxyScale,
+                refine: settings?.refine !== false
+            };
+            const ok = await this.savePreferences(preferences);
+            return { success: ok };
+        } catch (error) {
+            safeConsoleError('Error saving live preview settings:', error);
+            return { success: false, error: error.message };
+        }
+    }
 }
 
-export default PreferencesService;
\ No newline at end of file
+export default PreferencesService;
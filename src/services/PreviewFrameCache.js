@@ -0,0 +1,405 @@
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+
+/**
+ * Default size cap for cached preview frames (512 MB)
+ */
+export const DEFAULT_PREVIEW_CACHE_MAX_BYTES = 512 * 1024 * 1024;
+
+/**
+ * Project properties that never change a rendered frame's pixels
+ * (effect groups are already flattened into the effects list for the backend)
+ */
+const NON_VISUAL_PROPERTIES = [
+    'projectName',
+    'artist',
+    'outputDirectory',
+    'renderStartFrame',
+    'renderJumpFrames',
+    'metadataSettings',
+    'effectGroups',
+    'frameCount',
+    'isReadOnly',
+    'projectFilePath',
+    'lastModified'
+];
+
+/**
+ * JSON with object keys sorted, so equal configs always hash the same
+ * @param {*} value
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+const hash = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Collect the registry names an effect (and its nested effects) renders with
+ */
+const collectEffectNames = (effect, names) => {
+    [effect?.registryKey, effect?.className, effect?.name]
+        .filter(Boolean)
+        .forEach(name => names.add(name));
+    [...(effect?.secondaryEffects || []), ...(effect?.keyframeEffects || [])]
+        .forEach(nested => collectEffectNames(nested, names));
+    return names;
+};
+
+/**
+ * Whether an effect (and every nested effect) has a pinned seed
+ */
+const isEffectSeeded = (effect) => effect?.seed !== null && effect?.seed !== undefined
+    && [...(effect.secondaryEffects || []), ...(effect.keyframeEffects || [])].every(isEffectSeeded);
+
+/**
+ * PreviewFrameCache - Content-addressed disk cache for rendered preview frames
+ *
+ * Responsibilities:
+ * - Keying frames by a hash of the exported project config, frame number and resolution
+ * - Storing frames (and the settings file they were rendered with) under <appData>/preview-cache
+ * - Least-recently-used eviction under a configurable size cap
+ * - Invalidating exactly the entries rendered with an effect config that has since changed
+ * - Hit/miss statistics and change notification for IPC broadcasting
+ *
+ * Does NOT render anything - NftProjectManager consults it before rendering a frame.
+ */
+export class PreviewFrameCache {
+    constructor(appDataPath, { maxSizeBytes = DEFAULT_PREVIEW_CACHE_MAX_BYTES } = {}) {
+        this.cacheDirectory = path.join(appDataPath, 'preview-cache');
+        this.indexFilePath = path.join(this.cacheDirectory, 'index.json');
+        this.maxSizeBytes = maxSizeBytes;
+        this.entries = new Map();
+        this.stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+        this.listeners = new Set();
+        this.initialized = false;
+        this.saveChain = Promise.resolve();
+    }
+
+    /**
+     * Describe a frame for cache lookup
+     * The key covers everything that changes the frame's pixels; effect hashes
+     * record the config each effect had so changed effects can be invalidated.
+     * Unseeded frames are not cacheable: every render of them is a new variant.
+     * @param {Object} config - Exported project config (ProjectState.exportForBackend())
+     * @param {number} frameNumber - Frame to render
+     * @returns {Object|null} { key, frameNumber, resolution, effects: { [effectId]: hash }, effectNames },
+     *   or null when the project has no master seed and not every effect has its own
+     */
+    static describe(config, frameNumber) {
+        const effectList = Array.isArray(config.effects) ? config.effects : [];
+        const seeded = (config.masterSeed !== null && config.masterSeed !== undefined)
+            || effectList.every(isEffectSeeded);
+        if (!seeded) {
+            return null;
+        }
+
+        const visualConfig = { ...config };
+        NON_VISUAL_PROPERTIES.forEach(property => delete visualConfig[property]);
+
+        const effects = {};
+        const effectNames = new Set();
+        effectList.forEach((effect, index) => {
+            effects[effect?.id ?? `index-${index}`] = hash(stableStringify(effect));
+            collectEffectNames(effect, effectNames);
+        });
+
+        const resolution = `${config.targetResolution ?? config.resolution}${config.isHorizontal ? 'h' : 'v'}`;
+
+        return {
+            key: hash(stableStringify({ config: visualConfig, frameNumber, resolution })),
+            frameNumber,
+            resolution,
+            effects,
+            effectNames: [...effectNames]
+        };
+    }
+
+    /**
+     * Load the persisted index
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        if (this.initialized) {
+            return;
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(this.indexFilePath, 'utf8'));
+            if (Number.isFinite(data.maxSizeBytes) && data.maxSizeBytes > 0) {
+                this.maxSizeBytes = data.maxSizeBytes;
+            }
+            (Array.isArray(data.entries) ? data.entries : []).forEach(entry => {
+                this.entries.set(entry.key, entry);
+            });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to load preview cache index:', error);
+            }
+            this.entries.clear();
+        }
+
+        this.initialized = true;
+    }
+
+    /**
+     * Look up a frame
+     * Entries rendered with a different config of one of the described effects are
+     * invalidated first.
+     * @param {Object} descriptor - Result of PreviewFrameCache.describe()
+     * @returns {Promise<Object|null>} { frameBuffer, settings } or null on a miss
+     */
+    async get(descriptor) {
+        await this.initialize();
+        await this.invalidateChangedEffects(descriptor.effects);
+
+        const entry = this.entries.get(descriptor.key);
+        if (entry) {
+            try {
+                const frameBuffer = await fs.readFile(this.getFramePath(entry.key));
+                const settings = entry.hasSettings
+                    ? await fs.readFile(this.getSettingsPath(entry.key), 'utf8')
+                    : null;
+
+                entry.lastAccess = Date.now();
+                this.stats.hits++;
+                await this.save();
+                return { frameBuffer, settings };
+            } catch (error) {
+                // Files removed behind our back - forget the entry
+                console.warn('Preview cache entry unreadable, dropping it:', error.message);
+                this.entries.delete(entry.key);
+            }
+        }
+
+        this.stats.misses++;
+        await this.save();
+        return null;
+    }
+
+    /**
+     * Store a rendered frame
+     * @param {Object} descriptor - Result of PreviewFrameCache.describe()
+     * @param {Buffer|Uint8Array} frameBuffer - Rendered frame
+     * @param {string|null} [settings=null] - Settings file content the frame was rendered with
+     * @returns {Promise<void>}
+     */
+    async set(descriptor, frameBuffer, settings = null) {
+        await this.initialize();
+        await fs.mkdir(this.cacheDirectory, { recursive: true });
+
+        await fs.writeFile(this.getFramePath(descriptor.key), frameBuffer);
+        if (settings !== null) {
+            await fs.writeFile(this.getSettingsPath(descriptor.key), settings, 'utf8');
+        }
+
+        this.entries.set(descriptor.key, {
+            key: descriptor.key,
+            frameNumber: descriptor.frameNumber,
+            resolution: descriptor.resolution,
+            effects: descriptor.effects,
+            effectNames: descriptor.effectNames,
+            hasSettings: settings !== null,
+            size: frameBuffer.length + (settings !== null ? Buffer.byteLength(settings) : 0),
+            lastAccess: Date.now()
+        });
+
+        await this.evictToSize(this.maxSizeBytes);
+        await this.save();
+    }
+
+    /**
+     * Remove entries rendered with another config of one of the given effects
+     * Effects missing from the map (e.g. deleted, or not added yet) keep their entries
+     * so undo can still hit the cache.
+     * @param {Object} effects - Current effect hashes { [effectId]: hash }
+     * @returns {Promise<number>} Number of removed entries
+     */
+    async invalidateChangedEffects(effects) {
+        const stale = [...this.entries.values()].filter(entry =>
+            Object.entries(entry.effects || {}).some(([effectId, effectHash]) =>
+                effects[effectId] !== undefined && effects[effectId] !== effectHash
+            )
+        );
+        return await this.removeEntries(stale, 'invalidations');
+    }
+
+    /**
+     * Remove entries rendered with any of the given effects
+     * Used when effect code changes (plugin hot reload) while configs stay the same.
+     * @param {Array<string>} effectNames - Registry names of the changed effects
+     * @returns {Promise<number>} Number of removed entries
+     */
+    async invalidateEffectNames(effectNames) {
+        await this.initialize();
+        const names = new Set(effectNames);
+        const stale = [...this.entries.values()].filter(entry =>
+            (entry.effectNames || []).some(name => names.has(name))
+        );
+        const removed = await this.removeEntries(stale, 'invalidations');
+        if (removed > 0) {
+            await this.save();
+        }
+        return removed;
+    }
+
+    /**
+     * Remove every cached frame
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.initialize();
+        await this.removeEntries([...this.entries.values()], 'invalidations');
+        await this.save();
+    }
+
+    /**
+     * Change the size cap and evict down to it
+     * @param {number} maxSizeBytes - New cap in bytes
+     * @returns {Promise<void>}
+     */
+    async setMaxSize(maxSizeBytes) {
+        if (!Number.isFinite(maxSizeBytes) || maxSizeBytes <= 0) {
+            throw new Error(`Invalid preview cache size: ${maxSizeBytes}`);
+        }
+        await this.initialize();
+        this.maxSizeBytes = maxSizeBytes;
+        await this.evictToSize(maxSizeBytes);
+        await this.save();
+    }
+
+    /**
+     * @returns {Object} Session hit/miss counts and current disk usage
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            lookups,
+            hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+            entries: this.entries.size,
+            totalBytes: this.getTotalBytes(),
+            maxSizeBytes: this.maxSizeBytes
+        };
+    }
+
+    /**
+     * Subscribe to stats changes
+     * @param {Function} listener - Called with getStats()
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Evict least recently used entries until the cache fits
+     * @private
+     */
+    async evictToSize(maxSizeBytes) {
+        let totalBytes = this.getTotalBytes();
+        if (totalBytes <= maxSizeBytes) {
+            return;
+        }
+
+        const leastRecentFirst = [...this.entries.values()].sort((a, b) => a.lastAccess - b.lastAccess);
+        const evicted = [];
+        for (const entry of leastRecentFirst) {
+            if (totalBytes <= maxSizeBytes) {
+                break;
+            }
+            evicted.push(entry);
+            totalBytes -= entry.size;
+        }
+        await this.removeEntries(evicted, 'evictions');
+    }
+
+    /**
+     * @private
+     */
+    async removeEntries(entries, statName) {
+        for (const entry of entries) {
+            this.entries.delete(entry.key);
+            await fs.rm(this.getFramePath(entry.key), { force: true });
+            await fs.rm(this.getSettingsPath(entry.key), { force: true });
+        }
+        this.stats[statName] += entries.length;
+        return entries.length;
+    }
+
+    /**
+     * Persist the index (serialized so concurrent writes never interleave)
+     * @private
+     */
+    async save() {
+        const index = {
+            maxSizeBytes: this.maxSizeBytes,
+            entries: [...this.entries.values()]
+        };
+
+        this.saveChain = this.saveChain.then(async () => {
+            try {
+                await fs.mkdir(this.cacheDirectory, { recursive: true });
+                await fs.writeFile(this.indexFilePath, JSON.stringify(index), 'utf8');
+            } catch (error) {
+                console.error('Failed to save preview cache index:', error);
+            }
+        });
+        await this.saveChain;
+        this.notifyListeners();
+    }
+
+    /**
+     * @private
+     */
+    getTotalBytes() {
+        let total = 0;
+        this.entries.forEach(entry => {
+            total += entry.size;
+        });
+        return total;
+    }
+
+    /**
+     * @private
+     */
+    getFramePath(key) {
+        return path.join(this.cacheDirectory, `${key}.png`);
+    }
+
+    /**
+     * @private
+     */
+    getSettingsPath(key) {
+        return path.join(this.cacheDirectory, `${key}.settings.json`);
+    }
+
+    /**
+     * @private
+     */
+    notifyListeners() {
+        const stats = this.getStats();
+        this.listeners.forEach(listener => {
+            try {
+                listener(stats);
+            } catch (error) {
+                console.error('Preview cache listener failed:', error);
+            }
+        });
+    }
+}
+
+export default PreviewFrameCache;
@@ -18,7 +18,7 @@ class ProjectConfigCommandService {
     /**
      * Create command to change project resolution
      * @param {Object} projectState - Project state instance
-     * @param {number} newResolution - New resolution value
+     * @param {number|string} newResolution - New resolution value (table width or custom "WIDTHxHEIGHT")
      * @returns {Command} ChangeResolutionCommand instance
      */
     createChangeResolutionCommand(projectState, newResolution) {
@@ -51,10 +51,13 @@ class ProjectConfigCommandService {
 export class ChangeResolutionCommand extends Command {
     constructor(projectState, newResolution) {
         let oldResolution = null;
+        let oldIsHorizontal = null;
 
         const executeAction = () => {
             const currentState = projectState.getState();
             oldResolution = currentState.targetResolution || currentState.resolution;
+            // Custom resolutions also set the orientation, so undo restores both
+            oldIsHorizontal = currentState.isHorizontal;
 
             // Use ProjectState method to trigger auto-scaling
             projectState.setTargetResolution(newResolution);
@@ -75,7 +78,7 @@ export class ChangeResolutionCommand extends Command {
             }
 
             // Use ProjectState method to trigger auto-scaling
-            projectState.setTargetResolution(oldResolution);
+            projectState.setResolution(oldResolution, oldIsHorizontal);
 
             // Emit event for UI updates
             EventBusService.emit('resolution:changed', {
@@ -2,6 +2,7 @@
 import ProjectState from '../models/ProjectState.js';
 import SettingsToProjectConverter from '../utils/SettingsToProjectConverter.js';
 import ResolutionMapper from '../utils/ResolutionMapper.js';
+import EffectGroups from '../utils/EffectGroups.js';
 import defaultLogger from '../main/utils/logger.js';
 import AsarFFmpegResolver from '../utils/AsarFFmpegResolver.js';
 
@@ -300,6 +301,122 @@ export class ProjectLifecycleManager {
         return ProjectState.fromLegacyConfig(input);
     }
 
+    /**
+     * Load a ProjectState for rendering from a .nftproject file or a settings file
+     * Used by the render queue and the headless CLI.
+     * @param {Object} source - Render source
+     * @param {string} [source.projectFilePath] - .nftproject file
+     * @param {string} [source.settingsFile] - my-nft-gen settings file (used when no project file is given)
+     * @param {string} [source.outputDirectory] - Output directory override
+     * @returns {Promise<Object>} { projectState, totalFrames }
+     */
+    async loadRenderSource({ projectFilePath = null, settingsFile = null, outputDirectory = null }) {
+        const fs = await import('fs/promises');
+        let projectState;
+        let totalFrames;
+
+        if (projectFilePath) {
+            const projectData = JSON.parse(await fs.readFile(projectFilePath, 'utf8'));
+            projectState = await ProjectState.fromObject(projectData);
+
+            // Resolve relative output directories against the project file, like load-project-file
+            const projectOutputDirectory = projectState.getOutputDirectory();
+            if (projectOutputDirectory && !path.isAbsolute(projectOutputDirectory)) {
+                projectState.setOutputDirectory(path.resolve(path.dirname(projectFilePath), projectOutputDirectory));
+            }
+            totalFrames = projectState.getNumFrames();
+        } else if (settingsFile) {
+            const settings = JSON.parse(await fs.readFile(settingsFile, 'utf8'));
+            const projectData = await SettingsToProjectConverter.convertSettingsToProject(settings, null, false, true);
+            projectState = new ProjectState(projectData);
+
+            // Settings live in <projectDir>/settings - render next to them by default
+            const settingsDir = path.dirname(settingsFile);
+            if (!projectState.getOutputDirectory()) {
+                projectState.setOutputDirectory(settingsDir.endsWith('settings') ? path.dirname(settingsDir) : settingsDir);
+            }
+            totalFrames = settings.numberOfFrame || projectState.getNumFrames();
+        } else {
+            throw new Error('Render source requires a project file or a settings file');
+        }
+
+        if (outputDirectory) {
+            projectState.setOutputDirectory(outputDirectory);
+        }
+
+        return { projectState, totalFrames };
+    }
+
+    /**
+     * Add the visible effects of a ProjectState to a project instance
+     * @param {Object} project - Project instance to configure
+     * @param {ProjectState} projectState - ProjectState instance
+     * @param {Object} effectRegistryService - Shared effect registry service
+     * @returns {Promise<void>}
+     */
+    async configureProjectEffects(project, projectState, effectRegistryService) {
+        const config = projectState.getState();
+        if (!config.effects || !Array.isArray(config.effects) || config.effects.length === 0) {
+            console.log('⚠️  No effects configured for project');
+            return;
+        }
+
+        // Filter visible effects - consistent with RenderPipelineService
+        const visibleEffects = EffectGroups.flattenForBackend(config.effects, config.effectGroups)
+            .filter(effect => effect.visible !== false);
+        
+        if (visibleEffects.length === 0) {
+            console.log('⚠️  No visible effects configured for project');
+            return;
+        }
+
+        const myNftGenPath = path.resolve(process.cwd(), '../my-nft-gen');
+        const { default: effectProcessor } = await import('../main/services/EffectProcessingService.js');
+
+        // Process effects in their original panel order (top to bottom)
+        // This ensures effects are added to the Project class in the exact order
+        // they appear in the effects panel, regardless of type
+        for (const effect of visibleEffects) {
+            const effectType = effect.type || 'primary';
+            
+            // DEBUG: Log effect structure before processing
+            console.log('🔍 ProjectLifecycleManager - Effect before processing:', {
+                name: effect.name || effect.registryKey,
+                type: effectType,
+                id: effect.id,
+                visible: effect.visible,
+                hasSecondaryEffects: !!effect.secondaryEffects,
+                secondaryEffectsCount: effect.secondaryEffects?.length || 0,
+                hasKeyframeEffects: !!effect.keyframeEffects,
+                keyframeEffectsCount: effect.keyframeEffects?.length || 0,
+                keyframeDetails: effect.keyframeEffects?.map(k => ({ id: k.id, name: k.name, registryKey: k.registryKey, visible: k.visible, hasConfig: !!k.config })) || [],
+                effectKeys: Object.keys(effect)
+            });
+            
+            // Process each effect individually to maintain panel order
+            const processedEffects = await effectProcessor.processEffects(
+                [effect],
+                myNftGenPath,
+                effectRegistryService, // Pass shared registry to avoid creating temp directories on each render
+                config.masterSeed ?? null
+            );
+
+            // Add the processed effect to the appropriate array based on type
+            for (const layerConfig of processedEffects) {
+                switch (effectType) {
+                    case 'final':
+                    case 'finalImage':
+                        project.addFinalEffect({layerConfig});
+                        break;
+                    case 'primary':
+                    default:
+                        project.addPrimaryEffect({layerConfig});
+                        break;
+                }
+            }
+        }
+    }
+
     /**
      * Get active project by name
      * @param {string} projectName - Project name
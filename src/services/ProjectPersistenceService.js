@@ -195,14 +195,37 @@ export default class ProjectPersistenceService {
         return this.currentProjectPath;
     }
 
+    /**
+     * Migration options for opening a project file from the UI
+     * Files from a newer build are only opened forward-compatibly after the user
+     * confirms, and what the migration changed is passed on as a summary.
+     * @param {Function} onNotice - (summary) => void, called when the file was migrated
+     * @returns {Object} Options for ProjectState.loadFromFile
+     */
+    static createOpenOptions(onNotice) {
+        return {
+            confirmNewerVersion: async (version) => window.confirm(
+                `This project was saved by a newer version of the app (format ${version}).\n\n` +
+                'Open it anyway? Settings this version does not know are kept, but may not be shown or rendered.'
+            ),
+            onMigrationReport: (report) => {
+                const summary = ProjectState.describeMigrationReport(report);
+                if (summary) {
+                    onNotice(summary);
+                }
+            }
+        };
+    }
+
     /**
      * Load project from file
      * @param {string} filePath - Path to project file
+     * @param {Object} options - Migration options (see ProjectState.loadFromFile)
      * @returns {Promise<ProjectState|null>} Loaded project state
      */
-    async loadProject(filePath) {
+    async loadProject(filePath, options = {}) {
         try {
-            const projectState = await ProjectState.loadFromFile(filePath);
+            const projectState = await ProjectState.loadFromFile(filePath, null, options);
 
             // Get project directory using IPC
             const dirResult = await window.api.getDirname(filePath);
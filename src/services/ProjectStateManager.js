@@ -1,4 +1,6 @@
 import ProjectPersistenceService from './ProjectPersistenceService.js';
+import commandHistoryService from './CommandHistoryService.js';
+import PreferencesService from './PreferencesService.js';
 
 /**
  * Service to manage ProjectState lifecycle and coordinate between
@@ -23,6 +25,8 @@ export default class ProjectStateManager {
         if (outputDirectory) {
             this.persistenceService = new ProjectPersistenceService();
             await this.persistenceService.setCurrentProject(projectState, outputDirectory);
+            await this.attachHistory();
+            await this.rememberRecentProject();
         }
 
         // Store the existing onUpdate callback (which includes persistence service callback)
@@ -116,6 +120,28 @@ export default class ProjectStateManager {
         if (this.projectState && !this.persistenceService) {
             this.persistenceService = new ProjectPersistenceService();
             await this.persistenceService.setCurrentProject(this.projectState, outputDirectory);
+            await this.attachHistory();
+            await this.rememberRecentProject();
+        }
+    }
+
+    /**
+     * Add the project file to the start screen's recent projects
+     */
+    async rememberRecentProject() {
+        const projectFilePath = this.persistenceService?.currentProjectPath;
+        if (projectFilePath) {
+            await PreferencesService.addRecentProject(projectFilePath);
+        }
+    }
+
+    /**
+     * Persist undo/redo history next to the project file and restore any saved history
+     */
+    async attachHistory() {
+        const projectFilePath = this.persistenceService?.currentProjectPath;
+        if (projectFilePath) {
+            await commandHistoryService.attach(this.projectState, projectFilePath);
         }
     }
 
@@ -124,6 +150,9 @@ export default class ProjectStateManager {
      */
     destroy() {
         this.updateCallbacks.clear();
+        if (commandHistoryService.projectState === this.projectState) {
+            commandHistoryService.detach();
+        }
         if (this.persistenceService) {
             this.persistenceService.clearProject();
         }
@@ -0,0 +1,159 @@
+/**
+ * RarityReportService
+ *
+ * Tallies a generated collection so percentChance values can be tuned before minting.
+ *
+ * Responsibilities:
+ * - Count how often every possible effect (primary, secondary, final image) was
+ *   chosen and compare it with its configured percentChance
+ * - Build value distributions for resolved traits (numeric traits get min/max/mean)
+ * - Score each token by statistical rarity (sum of inverse trait frequencies)
+ *
+ * Single Responsibility: Collection statistics
+ */
+
+import tokenMetadataService from './TokenMetadataService.js';
+
+export class RarityReportService {
+    constructor(metadataBuilder = null) {
+        this.metadataBuilder = metadataBuilder || tokenMetadataService;
+    }
+
+    /**
+     * Tally effect occurrences for one token
+     * Keys include the position in the possible list so duplicate effect names stay apart.
+     * @param {Object} settings - Settings file
+     * @param {Map} effectStats - Accumulator keyed by effect key
+     * @private
+     */
+    tallyEffects(settings, effectStats) {
+        const groups = [
+            { type: 'primary', possible: settings.allPrimaryEffects || [], chosen: settings.effects || [] },
+            { type: 'finalImage', possible: settings.allFinalImageEffects || [], chosen: settings.finalImageEffects || [] }
+        ];
+
+        const count = (key, entry, wasChosen) => {
+            if (!effectStats.has(key)) {
+                effectStats.set(key, { ...entry, occurrences: 0, rolls: 0 });
+            }
+            const stats = effectStats.get(key);
+            stats.rolls++;
+            if (wasChosen) {
+                stats.occurrences++;
+            }
+        };
+
+        groups.forEach(({ type, possible, chosen }) => {
+            this.metadataBuilder.matchRolls(possible, chosen).forEach(({ possible: possibleEffect, chosen: chosenEffect }, index) => {
+                const key = `${type}:${index}:${possibleEffect.name}`;
+                count(key, {
+                    key,
+                    type,
+                    name: possibleEffect.name,
+                    label: this.metadataBuilder.toDisplayName(possibleEffect.name),
+                    parent: null,
+                    configuredChance: possibleEffect.percentChance ?? 100
+                }, !!chosenEffect);
+
+                // Secondary effects only get a roll when their parent was chosen
+                if (!chosenEffect) {
+                    return;
+                }
+                this.metadataBuilder.matchRolls(
+                    possibleEffect.possibleSecondaryEffects || [],
+                    chosenEffect.additionalEffects || []
+                ).forEach(({ possible: possibleSecondary, chosen: chosenSecondary }, secondaryIndex) => {
+                    const secondaryKey = `${key}>${secondaryIndex}:${possibleSecondary.name}`;
+                    count(secondaryKey, {
+                        key: secondaryKey,
+                        type: 'secondary',
+                        name: possibleSecondary.name,
+                        label: this.metadataBuilder.toDisplayName(possibleSecondary.name),
+                        parent: this.metadataBuilder.toDisplayName(possibleEffect.name),
+                        configuredChance: possibleSecondary.percentChance ?? 100
+                    }, !!chosenSecondary);
+                });
+            });
+        });
+    }
+
+    /**
+     * Build a rarity report for a collection
+     * @param {Array<Object>} tokens - [{ tokenId, settings }]
+     * @returns {Object} Report { tokenCount, effects, traits, tokens, generatedAt }
+     */
+    buildReport(tokens = []) {
+        const effectStats = new Map();
+        const traitStats = new Map();
+        const tokenTraits = [];
+
+        tokens.forEach(({ tokenId, settings }) => {
+            this.tallyEffects(settings, effectStats);
+
+            const attributes = this.metadataBuilder.buildAttributes(settings, { includeRolls: true, includeResolvedValues: true });
+            tokenTraits.push({ tokenId, attributes });
+
+            attributes.forEach(({ trait_type: traitType, value, display_type: displayType }) => {
+                if (!traitStats.has(traitType)) {
+                    traitStats.set(traitType, { traitType, numeric: displayType === 'number', values: new Map(), numbers: [] });
+                }
+                const stats = traitStats.get(traitType);
+                stats.values.set(value, (stats.values.get(value) || 0) + 1);
+                if (stats.numeric) {
+                    stats.numbers.push(value);
+                }
+            });
+        });
+
+        const tokenCount = tokens.length;
+        const percent = (count, total) => (total > 0 ? Number(((count / total) * 100).toFixed(1)) : 0);
+
+        const effects = [...effectStats.values()].map(stats => ({
+            ...stats,
+            observedChance: percent(stats.occurrences, stats.rolls),
+            deviation: Number((percent(stats.occurrences, stats.rolls) - stats.configuredChance).toFixed(1))
+        }));
+
+        const traits = [...traitStats.values()].map(stats => {
+            const values = [...stats.values.entries()]
+                .map(([value, count]) => ({ value, count, percent: percent(count, tokenCount) }))
+                .sort((a, b) => b.count - a.count);
+
+            const trait = { traitType: stats.traitType, numeric: stats.numeric, distinctValues: values.length };
+            if (stats.numeric) {
+                const sum = stats.numbers.reduce((total, value) => total + value, 0);
+                trait.summary = {
+                    min: Math.min(...stats.numbers),
+                    max: Math.max(...stats.numbers),
+                    mean: Number((sum / stats.numbers.length).toFixed(2))
+                };
+            } else {
+                trait.values = values;
+            }
+            return trait;
+        }).sort((a, b) => a.traitType.localeCompare(b.traitType));
+
+        // Numeric traits are near-unique per token and would swamp the score
+        const rankedTokens = tokenTraits.map(({ tokenId, attributes }) => {
+            const score = attributes
+                .filter(attribute => attribute.display_type !== 'number')
+                .reduce((total, { trait_type: traitType, value }) => {
+                    const count = traitStats.get(traitType).values.get(value);
+                    return total + tokenCount / count;
+                }, 0);
+            return { tokenId, rarityScore: Number(score.toFixed(2)) };
+        }).sort((a, b) => b.rarityScore - a.rarityScore)
+            .map((token, index) => ({ ...token, rank: index + 1 }));
+
+        return {
+            tokenCount,
+            effects,
+            traits,
+            tokens: rankedTokens,
+            generatedAt: new Date().toISOString()
+        };
+    }
+}
+
+// Export singleton instance
+export default new RarityReportService();
@@ -1,9 +1,27 @@
-import electron from 'electron';
-const { BrowserWindow, app } = electron;
 import defaultLogger from '../main/utils/logger.js';
 import { promises as fs } from 'fs';
 import os from 'os';
+import { createRequire } from 'module';
 import loopTerminator from '../core/events/LoopTerminator.js';
+import SeededRandom from '../utils/SeededRandom.js';
+import SeededRandomScope from '../utils/SeededRandomScope.js';
+
+const require = createRequire(import.meta.url);
+
+// Lazy-load electron so the coordinator also runs headless (CLI, tests) where it's not available
+let _electron = null;
+const getElectron = () => {
+    if (_electron === null) {
+        try {
+            const electronModule = require('electron');
+            // Under plain Node the package resolves to the binary path instead of the API
+            _electron = typeof electronModule === 'object' ? electronModule : false;
+        } catch (error) {
+            _electron = false; // Mark as attempted
+        }
+    }
+    return _electron || {};
+};
 
 // Module-level cache for my-nft-gen imports
 let _moduleCache = null;
@@ -31,7 +49,7 @@ export class RenderCoordinator {
     constructor(renderEngine = null, queueManager = null, eventBus = null, logger = null) {
         // Dependency injection following Dependency Inversion Principle
         this.renderEngine = renderEngine;   // For future render engine abstraction
-        this.queueManager = queueManager;   // For future render queue management
+        this.queueManager = queueManager;   // Persistent render job queue (RenderQueueManager)
         this.eventBus = eventBus;           // For event emission
         this.logger = logger || defaultLogger;
         
@@ -47,6 +65,15 @@ export class RenderCoordinator {
         
         // Track last unpinned settings file for cleanup
         this.lastUnpinnedSettingsFile = null;
+
+        // Render queue state
+        this.queueJobPreparer = null;
+        this.queueProcessing = false;
+        this.activeQueueJobId = null;
+        this.queueChangeUnsubscribe = null;
+
+        // Progress listeners for callers without a renderer window (e.g. headless CLI)
+        this.eventListeners = {};
     }
 
     /**
@@ -76,23 +103,10 @@ export class RenderCoordinator {
             let effectiveSettingsFile = settingsFile;
             if (!settingsFile && project && typeof project.generateSettingsFile === 'function') {
                 try {
-                    const timestamp = Date.now();
-                    
-                    // Create working directory first
-                    const workingDirectory = outputDirectory 
-                        ? `${outputDirectory}/${projectName}-frame-${frameNumber}-${timestamp}/`
-                        : `${await this.getTempDirectory()}/${projectName}-frame-${frameNumber}-${timestamp}/`;
-                    
-                    // Ensure working directory exists
-                    await fs.mkdir(workingDirectory, { recursive: true });
-                    
-                    // Create settings directory INSIDE the working directory
-                    const settingsDir = `${workingDirectory}settings`;
-                    await fs.mkdir(settingsDir, { recursive: true });
-                    
-                    // Save settings file in the working directory's settings folder
-                    effectiveSettingsFile = `${settingsDir}/${projectName}-frame-${frameNumber}-settings.json`;
-                    
+                    const { workingDirectory, settingsFile: settingsPath } =
+                        await this.createFrameWorkingDirectory(projectName, frameNumber, outputDirectory);
+                    effectiveSettingsFile = settingsPath;
+
                     // Generate settings object and write to file
                     const settingsObject = await project.generateSettingsFile({
                         numberOfFrame: totalFrames,
@@ -182,6 +196,89 @@ export class RenderCoordinator {
         }
     }
 
+    /**
+     * Create the working directory an unpinned frame's settings file is written to
+     * Layout: <output or temp>/<project>-frame-<n>-<timestamp>/settings/<project>-frame-<n>-settings.json
+     * @param {string} projectName - Project name
+     * @param {number} frameNumber - Frame number
+     * @param {string|null} outputDirectory - Output directory (temp directory when null)
+     * @returns {Promise<Object>} { workingDirectory, settingsFile }
+     */
+    async createFrameWorkingDirectory(projectName, frameNumber, outputDirectory = null) {
+        const timestamp = Date.now();
+
+        const workingDirectory = outputDirectory
+            ? `${outputDirectory}/${projectName}-frame-${frameNumber}-${timestamp}/`
+            : `${await this.getTempDirectory()}/${projectName}-frame-${frameNumber}-${timestamp}/`;
+
+        // Settings live in a settings directory INSIDE the working directory
+        const settingsDir = `${workingDirectory}settings`;
+        await fs.mkdir(settingsDir, { recursive: true });
+
+        return {
+            workingDirectory,
+            settingsFile: `${settingsDir}/${projectName}-frame-${frameNumber}-settings.json`
+        };
+    }
+
+    /**
+     * Serve a frame from the preview cache instead of rendering it
+     * The cached settings are restored into a fresh working directory so the
+     * frame can still be pinned, and tracked for cleanup like a rendered frame.
+     * @param {Object} cached - Cache hit ({ frameBuffer, settings })
+     * @param {number} frameNumber - Frame number
+     * @param {number} totalFrames - Total frames in project
+     * @param {string} projectName - Project name
+     * @param {string|null} outputDirectory - Output directory for settings files
+     * @returns {Promise<Object>} Render result with buffer
+     */
+    async serveCachedFrame(cached, frameNumber, totalFrames, projectName, outputDirectory = null) {
+        if (this.lastUnpinnedSettingsFile) {
+            await this.cleanupUnpinnedSettings(this.lastUnpinnedSettingsFile);
+            this.lastUnpinnedSettingsFile = null;
+        }
+
+        let settingsFile = null;
+        if (cached.settings) {
+            try {
+                const { workingDirectory, settingsFile: settingsPath } =
+                    await this.createFrameWorkingDirectory(projectName, frameNumber, outputDirectory);
+                const settingsObject = JSON.parse(cached.settings);
+                if ('workingDirectory' in settingsObject) {
+                    settingsObject.workingDirectory = workingDirectory;
+                }
+                await fs.writeFile(settingsPath, JSON.stringify(settingsObject));
+                settingsFile = settingsPath;
+                this.lastUnpinnedSettingsFile = settingsPath;
+            } catch (error) {
+                this.logger.warn('Failed to restore cached settings file, frame cannot be pinned', error);
+            }
+        }
+
+        const framesCompleted = frameNumber + 1;
+        this.emitProgressEvent('frameCompleted', {
+            frameNumber,
+            totalFrames,
+            renderTime: 0,
+            progress: Math.min(100, Math.max(1, Math.round((framesCompleted / totalFrames) * 100))),
+            projectName,
+            settingsFile,
+            isPinned: false,
+            fromCache: true
+        });
+
+        console.log(`⚡ Frame ${frameNumber}/${totalFrames} (preview cache)`);
+
+        return {
+            success: true,
+            frameBuffer: cached.frameBuffer,
+            settingsFile,
+            frameNumber,
+            renderTime: 0,
+            fromCache: true
+        };
+    }
+
     /**
      * Start render loop - continuously generates NEW random loops until stopped
      * 
@@ -363,6 +460,11 @@ export class RenderCoordinator {
         this.logger.info('Pausing render operation');
         
         try {
+            // Queued jobs render frame by frame and can stop between frames
+            if (this.activeQueueJobId) {
+                return await this.pauseQueuedJob(this.activeQueueJobId);
+            }
+
             // For now, we don't have pause functionality in the underlying system
             // This would require implementing pause/resume in my-nft-gen
             this.logger.warn('Pause functionality not yet implemented in underlying render system');
@@ -534,10 +636,557 @@ export class RenderCoordinator {
             currentLoopId: this.currentLoopId,
             currentWorkerId: this.currentWorkerId,
             hasActiveProject: !!this.activeRenderLoop,
-            hasEventBus: !!this.activeRenderLoopEventBus
+            hasEventBus: !!this.activeRenderLoopEventBus,
+            queueProcessing: this.queueProcessing,
+            activeQueueJobId: this.activeQueueJobId
+        };
+    }
+
+    // Render queue
+
+    /**
+     * Set the callback that turns a queued job into a configured project
+     * Keeps project loading (plugins, ProjectState, effects) out of the coordinator.
+     * @param {Function} preparer - async (job) => { project, totalFrames, projectName, outputDirectory }
+     */
+    setQueueJobPreparer(preparer) {
+        this.queueJobPreparer = preparer;
+    }
+
+    /**
+     * Load the persisted queue and pick up where the last session left off
+     * @returns {Promise<Object>} Initialization result
+     */
+    async initializeQueue() {
+        if (!this.queueManager) {
+            return { success: false, error: 'No render queue configured' };
+        }
+
+        try {
+            await this.queueManager.initialize();
+
+            if (!this.queueChangeUnsubscribe) {
+                this.queueChangeUnsubscribe = this.queueManager.onChange(snapshot => this.broadcastQueueUpdate(snapshot));
+            }
+
+            const pendingJobs = this.queueManager.getJobs().filter(job => job.status === 'queued').length;
+            if (pendingJobs > 0) {
+                this.logger.info(`📋 Restored render queue with ${pendingJobs} pending job(s)`);
+            }
+
+            return { success: true, pendingJobs };
+        } catch (error) {
+            this.logger.error('Failed to initialize render queue', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Add a render job to the queue
+     * @param {Object} renderJob - Job definition (projectFilePath or settingsFile, outputDirectory, frame range)
+     * @returns {Promise<Object>} Queue result with the created job
+     */
+    async queueRender(renderJob) {
+        try {
+            await this.initializeQueue();
+            const job = await this.queueManager.addJob(renderJob);
+            this.logger.info(`📋 Queued render job ${job.id} (${job.name})`);
+            return { success: true, job };
+        } catch (error) {
+            this.logger.error('Failed to queue render job', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove a job from the queue
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} Remove result
+     */
+    async removeFromQueue(jobId) {
+        return await this.runQueueOperation(async () => {
+            const removed = await this.queueManager.removeJob(jobId);
+            return removed ? { success: true } : { success: false, error: `Job not found: ${jobId}` };
+        });
+    }
+
+    /**
+     * Move a job to a new position in the queue
+     * @param {string} jobId - Job ID
+     * @param {number} newIndex - Target index
+     * @returns {Promise<Object>} Reorder result
+     */
+    async reorderQueue(jobId, newIndex) {
+        return await this.runQueueOperation(async () => {
+            const moved = await this.queueManager.reorderJob(jobId, newIndex);
+            return moved ? { success: true } : { success: false, error: `Job not found: ${jobId}` };
+        });
+    }
+
+    /**
+     * Pause a queued or running job (a running job stops after its current frame)
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} Pause result
+     */
+    async pauseQueuedJob(jobId) {
+        return await this.runQueueOperation(async () => {
+            const job = await this.queueManager.pauseJob(jobId);
+            return job ? { success: true, job } : { success: false, error: `Job cannot be paused: ${jobId}` };
+        });
+    }
+
+    /**
+     * Put a paused, failed or cancelled job back in the queue
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} Resume result
+     */
+    async resumeQueuedJob(jobId) {
+        return await this.runQueueOperation(async () => {
+            const job = await this.queueManager.resumeJob(jobId);
+            if (!job) {
+                return { success: false, error: `Job cannot be resumed: ${jobId}` };
+            }
+            this.startQueueProcessing();
+            return { success: true, job };
+        });
+    }
+
+    /**
+     * Cancel a job (a running job stops after its current frame)
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} Cancel result
+     */
+    async cancelQueuedJob(jobId) {
+        return await this.runQueueOperation(async () => {
+            const job = await this.queueManager.cancelJob(jobId);
+            return job ? { success: true, job } : { success: false, error: `Job cannot be cancelled: ${jobId}` };
+        });
+    }
+
+    /**
+     * Get all jobs in queue order
+     * @returns {Array<Object>} Queued jobs
+     */
+    getQueuedJobs() {
+        return this.queueManager ? this.queueManager.getJobs() : [];
+    }
+
+    /**
+     * Get the queue snapshot sent to the renderer
+     * @returns {Object} { paused, processing, activeJobId, jobs }
+     */
+    getQueueState() {
+        const snapshot = this.queueManager ? this.queueManager.getSnapshot() : { paused: false, jobs: [] };
+        return {
+            ...snapshot,
+            processing: this.queueProcessing,
+            activeJobId: this.activeQueueJobId
         };
     }
 
+    /**
+     * Remove all jobs that are not running
+     * @returns {Promise<Object>} Clear result
+     */
+    async clearQueue() {
+        return await this.runQueueOperation(async () => {
+            const removed = await this.queueManager.clear();
+            return { success: true, removed };
+        });
+    }
+
+    /**
+     * Remove completed, failed and cancelled jobs
+     * @returns {Promise<Object>} Clear result
+     */
+    async clearFinishedJobs() {
+        return await this.runQueueOperation(async () => {
+            const removed = await this.queueManager.clearFinished();
+            return { success: true, removed };
+        });
+    }
+
+    /**
+     * Start processing the queue
+     * @returns {Promise<Object>} Start result
+     */
+    async startQueue() {
+        return await this.runQueueOperation(async () => {
+            await this.queueManager.setPaused(false);
+            this.startQueueProcessing();
+            return { success: true };
+        });
+    }
+
+    /**
+     * Pause the queue - the running job stops after its current frame and resumes from there later
+     * @returns {Promise<Object>} Pause result
+     */
+    async pauseQueue() {
+        return await this.runQueueOperation(async () => {
+            await this.queueManager.setPaused(true);
+            return { success: true };
+        });
+    }
+
+    /**
+     * Start processing the queue without waiting for it to finish
+     * Nothing awaits the run, so a failure (e.g. the queue file can't be saved) is logged here.
+     */
+    startQueueProcessing() {
+        this.processQueue().catch(error => this.logger.error('Render queue processing failed', error));
+    }
+
+    /**
+     * Run queued jobs one after another until the queue is empty or paused
+     * Does not start while an interactive render loop is active.
+     * @returns {Promise<void>}
+     */
+    async processQueue() {
+        if (!this.queueManager || this.queueProcessing) {
+            return;
+        }
+        if (this.renderLoopActive) {
+            this.logger.warn('⚠️ Render loop active - render queue will wait');
+            return;
+        }
+        if (!this.queueJobPreparer) {
+            this.logger.warn('⚠️ No queue job preparer configured - cannot process render queue');
+            return;
+        }
+
+        this.queueProcessing = true;
+        this.broadcastQueueUpdate();
+
+        try {
+            let job = this.queueManager.getNextQueuedJob();
+            while (job && !this.queueManager.isPaused() && !this.renderLoopActive) {
+                await this.runQueuedJob(job);
+                job = this.queueManager.getNextQueuedJob();
+            }
+        } finally {
+            this.queueProcessing = false;
+            this.activeQueueJobId = null;
+            this.broadcastQueueUpdate();
+        }
+    }
+
+    /**
+     * Render one queued job frame by frame
+     * Status is checked between frames so pause and cancel take effect after the current frame.
+     * @param {Object} job - Job snapshot from the queue
+     * @returns {Promise<void>}
+     * @private
+     */
+    async runQueuedJob(job) {
+        this.activeQueueJobId = job.id;
+        this.logger.header(`Render Queue: ${job.name}`);
+
+        await this.queueManager.updateJob(job.id, {
+            status: 'running',
+            startedAt: job.startedAt || new Date().toISOString(),
+            error: null
+        });
+
+        try {
+            const { project, totalFrames, projectName, outputDirectory } = await this.queueJobPreparer(job);
+
+            let completedFrames = job.completedFrames || 0;
+            const result = await this.renderFrameRange({
+                project,
+                projectName,
+                totalFrames,
+                outputDirectory: job.outputDirectory || outputDirectory,
+                settingsFile: job.settingsFile,
+                settingsFileName: `${projectName}-queue-${job.id}-settings.json`,
+                startFrame: job.nextFrame ?? job.startFrame,
+                endFrame: job.endFrame,
+                jobId: job.id,
+                onRangeResolved: async ({ settingsFile, endFrame }) => {
+                    await this.queueManager.updateJob(job.id, { settingsFile, totalFrames, endFrame });
+                },
+                shouldContinue: () => {
+                    const current = this.queueManager.getJob(job.id);
+                    return !!current && current.status === 'running' && !this.queueManager.isPaused();
+                },
+                onFrameDone: async (frameNumber) => {
+                    completedFrames++;
+                    await this.queueManager.updateJob(job.id, { nextFrame: frameNumber + 1, completedFrames });
+                }
+            });
+
+            if (result.stoppedAt !== null) {
+                const current = this.queueManager.getJob(job.id);
+                if (current && current.status === 'running') {
+                    // Queue paused - put the job back so it continues from this frame
+                    await this.queueManager.updateJob(job.id, { status: 'queued' });
+                }
+                this.logger.info(`⏸️ Render job ${job.id} stopped at frame ${result.stoppedAt}`);
+                return;
+            }
+
+            await this.queueManager.updateJob(job.id, {
+                status: 'completed',
+                completedAt: new Date().toISOString()
+            });
+            this.logger.success(`✅ Render job ${job.id} completed (${result.renderedFrames + result.skippedFrames} frames)`);
+
+        } catch (error) {
+            this.logger.error(`Render job ${job.id} failed`, error);
+            await this.queueManager.updateJob(job.id, {
+                status: 'failed',
+                error: error.message,
+                completedAt: new Date().toISOString()
+            });
+        } finally {
+            this.activeQueueJobId = null;
+        }
+    }
+
+    /**
+     * Render a range of frames to <outputDirectory>/frames against a settings file
+     * Shared by the render queue and the headless CLI. Frames already on disk are skipped,
+     * so an interrupted range continues where it stopped.
+     * @param {Object} options - Range options
+     * @param {Object} options.project - Configured project instance
+     * @param {string} options.projectName - Project name for file names and events
+     * @param {number} options.totalFrames - Total frames in the loop
+     * @param {string} options.outputDirectory - Directory that receives settings/ and frames/
+     * @param {string|null} [options.settingsFile] - Settings file to render from (generated when missing)
+     * @param {string} [options.settingsFileName] - File name for a generated settings file
+     * @param {number} [options.startFrame=0] - First frame (inclusive)
+     * @param {number|null} [options.endFrame=null] - Last frame (inclusive), null for the last frame
+     * @param {string|null} [options.jobId] - Queue job ID added to progress events
+     * @param {Function} [options.onRangeResolved] - async ({ settingsFile, endFrame }) before the first frame
+     * @param {Function} [options.shouldContinue] - () => boolean, checked before every frame
+     * @param {Function} [options.onFrameDone] - async (frameNumber, { skipped }) after every frame
+     * @returns {Promise<Object>} { settingsFile, renderedFrames, skippedFrames, stoppedAt }
+     */
+    async renderFrameRange({
+        project,
+        projectName,
+        totalFrames,
+        outputDirectory,
+        settingsFile = null,
+        settingsFileName = null,
+        startFrame = 0,
+        endFrame = null,
+        jobId = null,
+        onRangeResolved = null,
+        shouldContinue = () => true,
+        onFrameDone = null
+    }) {
+        if (!outputDirectory) {
+            throw new Error('Frame range rendering requires an output directory');
+        }
+
+        // Every range renders against a settings file so a resumed range produces the same frames
+        let effectiveSettingsFile = settingsFile;
+        if (!effectiveSettingsFile) {
+            const settingsDir = `${outputDirectory}/settings`;
+            await fs.mkdir(settingsDir, { recursive: true });
+            effectiveSettingsFile = `${settingsDir}/${settingsFileName || `${projectName}-settings.json`}`;
+
+            const settingsObject = await project.generateSettingsFile({
+                numberOfFrame: totalFrames,
+                finalFileName: projectName,
+                workingDirectory: `${outputDirectory}/`
+            });
+            await fs.writeFile(effectiveSettingsFile, JSON.stringify(settingsObject));
+            this.logger.info('Generated settings file for frame range', { settingsFile: effectiveSettingsFile });
+        }
+
+        const lastFrame = endFrame === null || endFrame === undefined
+            ? totalFrames - 1
+            : Math.min(endFrame, totalFrames - 1);
+        const framesDir = `${outputDirectory}/frames`;
+        await fs.mkdir(framesDir, { recursive: true });
+
+        if (onRangeResolved) {
+            await onRangeResolved({ settingsFile: effectiveSettingsFile, endFrame: lastFrame });
+        }
+
+        const result = { settingsFile: effectiveSettingsFile, renderedFrames: 0, skippedFrames: 0, stoppedAt: null };
+
+        for (let frameNumber = startFrame; frameNumber <= lastFrame; frameNumber++) {
+            if (!shouldContinue()) {
+                result.stoppedAt = frameNumber;
+                return result;
+            }
+
+            const framePath = `${framesDir}/frame-${String(frameNumber).padStart(5, '0')}.png`;
+            const alreadyRendered = await fs.access(framePath).then(() => true, () => false);
+
+            if (alreadyRendered) {
+                result.skippedFrames++;
+            } else {
+                const startTime = Date.now();
+                this.emitProgressEvent('frameStarted', { frameNumber, totalFrames, projectName, jobId });
+
+                try {
+                    const frameResult = await project.generateSingleFrame(frameNumber, totalFrames, true, null, effectiveSettingsFile);
+                    await fs.writeFile(framePath, frameResult.buffer || frameResult);
+                } catch (error) {
+                    this.emitProgressEvent('frameError', { frameNumber, totalFrames, projectName, jobId, error: error.message });
+                    throw error;
+                }
+
+                const renderTime = Date.now() - startTime;
+                const progress = Math.min(100, Math.max(1, Math.round((frameNumber + 1) / totalFrames * 100)));
+                this.emitProgressEvent('frameCompleted', {
+                    frameNumber,
+                    totalFrames,
+                    renderTime,
+                    progress,
+                    projectName,
+                    settingsFile: effectiveSettingsFile,
+                    framePath,
+                    jobId
+                });
+                result.renderedFrames++;
+            }
+
+            if (onFrameDone) {
+                await onFrameDone(frameNumber, { skipped: alreadyRendered });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Generate settings files for a collection of seeded variants
+     * Each variant resolves its effects under its own seed (derived from the master seed),
+     * in a SeededRandomScope that keeps the stream across every await of the settings
+     * generation, so regenerating with the same master seed and project yields the same settings.
+     * Files are written to <collectionDirectory>/settings/token-<id>.json and can be
+     * rendered or re-rendered later through resume-project or the render queue.
+     * @param {Object} options - Collection options
+     * @param {Object} options.project - Configured project instance
+     * @param {string} options.projectName - Project name for file names and events
+     * @param {number} options.totalFrames - Frames per loop
+     * @param {string} options.collectionDirectory - Directory receiving settings/ and token-<id>/ folders
+     * @param {number} options.count - Number of variants
+     * @param {number} options.masterSeed - Master seed
+     * @param {number} [options.startTokenId=1] - ID of the first token
+     * @param {Function} [options.shouldContinue] - () => boolean, checked before every variant
+     * @param {Function} [options.onVariantGenerated] - (progress) after every variant
+     * @returns {Promise<Object>} { variants: [{ tokenId, seed, settingsFile, workingDirectory, settings }], stoppedAt }
+     */
+    async generateCollectionSettings({
+        project,
+        projectName,
+        totalFrames,
+        collectionDirectory,
+        count,
+        masterSeed,
+        startTokenId = 1,
+        shouldContinue = () => true,
+        onVariantGenerated = null
+    }) {
+        if (!project || typeof project.generateSettingsFile !== 'function') {
+            throw new Error('Collection generation requires a project that can generate settings files');
+        }
+
+        const settingsDir = `${collectionDirectory}/settings`;
+        await fs.mkdir(settingsDir, { recursive: true });
+
+        const result = { variants: [], stoppedAt: null };
+
+        for (let index = 0; index < count; index++) {
+            const tokenId = startTokenId + index;
+            if (!shouldContinue()) {
+                result.stoppedAt = tokenId;
+                break;
+            }
+
+            const seed = SeededRandom.deriveSeed(masterSeed, index);
+            const workingDirectory = `${collectionDirectory}/token-${tokenId}/`;
+            await fs.mkdir(workingDirectory, { recursive: true });
+
+            const settingsObject = await SeededRandomScope.run(seed, () => project.generateSettingsFile({
+                numberOfFrame: totalFrames,
+                finalFileName: `${projectName}-${tokenId}`,
+                workingDirectory
+            }));
+            settingsObject.collection = { masterSeed, seed, tokenId, variantIndex: index };
+
+            const settingsFile = `${settingsDir}/token-${tokenId}.json`;
+            await fs.writeFile(settingsFile, JSON.stringify(settingsObject));
+
+            result.variants.push({ tokenId, seed, settingsFile, workingDirectory, settings: settingsObject });
+
+            const progress = {
+                projectName,
+                tokenId,
+                seed,
+                settingsFile,
+                completed: index + 1,
+                total: count,
+                progress: Math.round(((index + 1) / count) * 100)
+            };
+            this.emitProgressEvent('collection.variant.generated', progress);
+            if (onVariantGenerated) {
+                onVariantGenerated(progress);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Run a queue operation with the standard result shape
+     * @param {Function} operation - async () => result
+     * @returns {Promise<Object>} Operation result
+     * @private
+     */
+    async runQueueOperation(operation) {
+        if (!this.queueManager) {
+            return { success: false, error: 'No render queue configured' };
+        }
+
+        try {
+            await this.initializeQueue();
+            return await operation();
+        } catch (error) {
+            this.logger.error('Render queue operation failed', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Send the current queue state to all windows
+     * @param {Object|null} snapshot - Queue snapshot (defaults to the current state)
+     * @private
+     */
+    broadcastQueueUpdate(snapshot = null) {
+        const state = snapshot
+            ? { ...snapshot, processing: this.queueProcessing, activeJobId: this.activeQueueJobId }
+            : this.getQueueState();
+
+        try {
+            const { BrowserWindow } = getElectron();
+            if (BrowserWindow && BrowserWindow.getAllWindows) {
+                BrowserWindow.getAllWindows().forEach(window => {
+                    window.webContents.send('render-queue:updated', state);
+                });
+            }
+        } catch (error) {
+            // BrowserWindow not available (e.g., in test environment)
+        }
+    }
+
+    /**
+     * Set render event listeners
+     * Called for every progress event in addition to the renderer broadcast.
+     * @param {Object} listeners - Event listener functions
+     * @param {Function} [listeners.onProgress] - (eventName, data) for frameStarted/frameCompleted
+     * @param {Function} [listeners.onError] - (data) for frameError
+     */
+    setEventListeners(listeners = {}) {
+        this.eventListeners = { ...listeners };
+    }
+
     /**
      * Capture current settings for pin mode
      * Exports the current project settings to a file in the output directory
@@ -603,6 +1252,7 @@ export class RenderCoordinator {
      */
     async getTempDirectory() {
         // Use electron's app.getPath('temp') if available (main process)
+        const { app } = getElectron();
         if (app && app.getPath) {
             try {
                 return app.getPath('temp');
@@ -1517,6 +2167,7 @@ export class RenderCoordinator {
             }
             
             try {
+                const { BrowserWindow } = getElectron();
                 if (BrowserWindow && BrowserWindow.getAllWindows && BrowserWindow.getAllWindows().length > 0) {
                     const windows = BrowserWindow.getAllWindows();
                     const window = windows[0];
@@ -1713,8 +2364,19 @@ export class RenderCoordinator {
             source: 'render-progress'
         };
 
+        try {
+            if (eventName === 'frameError') {
+                this.eventListeners.onError?.(data);
+            } else {
+                this.eventListeners.onProgress?.(eventName, data);
+            }
+        } catch (error) {
+            this.logger.warn(`Render event listener failed for ${eventName}`, error);
+        }
+
         // Send to all browser windows (only if BrowserWindow is available)
         try {
+            const { BrowserWindow } = getElectron();
             if (BrowserWindow && BrowserWindow.getAllWindows) {
                 const windows = BrowserWindow.getAllWindows();
                 windows.forEach(window => {
@@ -1,12 +1,34 @@
 /**
  * RenderPipelineService - Single Source of Truth for All Rendering
  * Eliminates manual render triggers and provides automatic rendering on data changes
+ *
+ * Renders run one at a time. Every new request starts a new render generation:
+ * renders from older generations that haven't started are skipped, one already
+ * in flight is cancelled in the backend (and its result dropped if it still
+ * arrives), so the canvas only ever shows the latest state.
+ *
+ * Live preview (opt-in) re-renders after every ProjectState change, first at a
+ * fraction of the target resolution (a proxy) and then at full resolution.
+ * Unseeded projects preview with one session seed, so the proxy and the full
+ * render make the same random choices.
  */
 
 import ResolutionMapper from '../utils/ResolutionMapper.js';
+import { PositionScaler } from '../utils/PositionScaler.js';
 import ColorSchemeService from './ColorSchemeService.js';
+import EffectGroups from '../utils/EffectGroups.js';
+import SeededRandom from '../utils/SeededRandom.js';
 
 export class RenderPipelineService {
+    // Proxy fractions offered in the UI (1 = render at full resolution only)
+    static PROXY_SCALES = [0.125, 0.25, 0.5, 1];
+
+    static LIVE_PREVIEW_DEFAULTS = {
+        enabled: false,
+        proxyScale: 0.25,
+        refine: true
+    };
+
     constructor() {
         this.isInitialized = false;
         this.renderQueue = [];
@@ -18,6 +40,22 @@ export class RenderPipelineService {
         this.lastRenderConfig = null;
         this.renderDebounceTimer = null;
         this.DEBOUNCE_MS = 50; // Batch rapid changes
+        this.LIVE_DEBOUNCE_MS = 250; // Let a burst of edits settle before a live render
+
+        // Stale-render cancellation
+        this.renderGeneration = 0;
+        this.renderChain = Promise.resolve();
+        this.renderPhase = null; // 'proxy' | 'full' while rendering
+        this.inFlightRequestId = null; // Backend request id of the running render
+        this.renderRequestCount = 0;
+
+        // Live preview
+        this.livePreview = { ...RenderPipelineService.LIVE_PREVIEW_DEFAULTS };
+        this.livePreviewCallbacks = new Set();
+        this.previewFrame = 0;
+        this.previewSeed = SeededRandom.randomSeed(); // Master seed for live previews of unseeded projects
+        this.unsubscribeFromProjectState = null;
+        this.resolvePendingLivePreview = null; // Settles the queueLivePreview promise still debouncing
 
         console.log('🎯 RenderPipelineService created');
     }
@@ -36,13 +74,13 @@ export class RenderPipelineService {
         this.projectStateManager = projectStateManager;
         this.pinSettingService = pinSettingService;
 
-        // DISABLED: Auto-rendering on ProjectState changes
-        // Only render when manually triggered via triggerRender() method
-        // this.unsubscribeFromProjectState = projectStateManager.onUpdate((newState) => {
-        //     console.log('🎯 RenderPipeline: ProjectState changed, queuing render');
-        //     this.queueRender(0); // Default to frame 0
-        // });
-        console.log('🎯 RenderPipeline: Auto-rendering DISABLED - only manual triggers will render');
+        // Auto-rendering on ProjectState changes is opt-in via setLivePreview(), since
+        // full-resolution renders are too slow to run after every edit
+        if (this.livePreview.enabled) {
+            this.setLivePreview(this.livePreview);
+        } else {
+            console.log('🎯 RenderPipeline: Auto-rendering off until live preview is enabled');
+        }
 
         this.isInitialized = true;
         console.log('✅ RenderPipelineService initialized and subscribed to ProjectState');
@@ -50,52 +88,100 @@ export class RenderPipelineService {
 
     /**
      * Queue a render operation (with debouncing)
+     * Supersedes any render requested before it.
      * @param {number} selectedFrame - Frame to render
      */
     queueRender(selectedFrame = 0) {
         console.log('📋 RenderPipeline: Queueing render for frame:', selectedFrame);
 
-        // Clear existing debounce
-        if (this.renderDebounceTimer) {
-            clearTimeout(this.renderDebounceTimer);
-        }
+        // Clear existing debounce and drop renders this one makes obsolete
+        const generation = this.cancelStaleRenders();
 
         // Debounce rapid render requests
         this.renderDebounceTimer = setTimeout(() => {
-            this.executeRender(selectedFrame);
+            this.renderDebounceTimer = null;
+            this.executeRender(selectedFrame, { generation });
         }, this.DEBOUNCE_MS);
     }
 
+    /**
+     * Start a new render generation
+     * Pending renders from older generations are skipped, a debouncing live
+     * preview resolves without rendering, and one already in flight is cancelled
+     * in the backend (its result is dropped if it still arrives).
+     * @returns {number} The new generation
+     */
+    cancelStaleRenders() {
+        if (this.renderDebounceTimer) {
+            clearTimeout(this.renderDebounceTimer);
+            this.renderDebounceTimer = null;
+        }
+        if (this.resolvePendingLivePreview) {
+            const resolve = this.resolvePendingLivePreview;
+            this.resolvePendingLivePreview = null;
+            resolve();
+        }
+        this.renderGeneration += 1;
+        if (this.inFlightRequestId) {
+            console.log('🗑️ RenderPipeline: Cancelling stale in-flight render');
+            if (window.api.cancelFrameRender) {
+                window.api.cancelFrameRender(this.inFlightRequestId).catch(error => {
+                    console.warn('⚠️ RenderPipeline: Could not cancel stale render:', error);
+                });
+            }
+            this.inFlightRequestId = null;
+        }
+        return this.renderGeneration;
+    }
+
     /**
      * Execute the actual render operation
+     * Renders run one at a time in request order; a render whose generation is
+     * stale by the time it starts (or finishes) is skipped (or discarded).
      * @param {number} selectedFrame - Frame to render
+     * @param {Object} [options]
+     * @param {number} [options.scale=1] - Fraction of the target resolution to render at
+     * @param {number} [options.generation] - Render generation (defaults to the current one)
+     * @param {number|null} [options.seed=null] - Master seed for projects without their own
+     * @returns {Promise<Object|null>} Render result, or null if skipped, discarded or failed
      */
-    async executeRender(selectedFrame) {
-        if (this.isRendering) {
-            console.log('⏳ RenderPipeline: Already rendering, skipping');
-            return;
+    executeRender(selectedFrame, { scale = 1, generation = this.renderGeneration, seed = null } = {}) {
+        const run = this.renderChain.then(() => this._runRender(selectedFrame, scale, generation, seed));
+        this.renderChain = run.catch(() => null);
+        return run;
+    }
+
+    /**
+     * Run one render now
+     * @private
+     */
+    async _runRender(selectedFrame, scale, generation, seed) {
+        if (generation !== this.renderGeneration) {
+            console.log('⏭️ RenderPipeline: Skipping stale render for frame:', selectedFrame);
+            return null;
         }
 
         if (!this.projectStateManager) {
             console.warn('⚠️ RenderPipeline: No ProjectStateManager available');
-            return;
+            return null;
         }
 
         const projectState = this.projectStateManager.getProjectState();
         if (!projectState) {
             console.warn('⚠️ RenderPipeline: No ProjectState available');
-            return;
+            return null;
         }
 
         const config = projectState.getState();
         
         if (!config || !config.effects || config.effects.length === 0) {
             console.log('ℹ️ RenderPipeline: No effects to render');
-            return;
+            return null;
         }
 
         this.isRendering = true;
-        console.log('🚀 RenderPipeline: Executing render for frame:', selectedFrame);
+        this.renderPhase = scale < 1 ? 'proxy' : 'full';
+        console.log('🚀 RenderPipeline: Executing render for frame:', selectedFrame, scale < 1 ? `(proxy ${scale})` : '');
 
         // Get settings file if pinned
         let settingsFile = null;
@@ -104,15 +190,31 @@ export class RenderPipelineService {
             console.log('📌 RenderPipeline: Using pinned settings file:', settingsFile);
         }
 
+        const requestId = `render-${generation}-${++this.renderRequestCount}`;
+        this.inFlightRequestId = requestId;
+
         try {
-            const renderResult = await this.performRender(config, selectedFrame, settingsFile);
+            const renderResult = await this.performRender(config, selectedFrame, settingsFile, { scale, requestId, seed });
+            if (generation !== this.renderGeneration) {
+                console.log('🗑️ RenderPipeline: Discarding stale render for frame:', selectedFrame);
+                return null;
+            }
             this.renderResult = renderResult;
             this.notifyRenderComplete(renderResult);
+            return renderResult;
         } catch (error) {
+            if (generation !== this.renderGeneration) {
+                return null;
+            }
             console.error('❌ RenderPipeline: Render failed:', error);
             this.notifyRenderError(error);
+            return null;
         } finally {
             this.isRendering = false;
+            this.renderPhase = null;
+            if (this.inFlightRequestId === requestId) {
+                this.inFlightRequestId = null;
+            }
         }
     }
 
@@ -121,11 +223,19 @@ export class RenderPipelineService {
      * @param {Object} config - Project configuration
      * @param {number} selectedFrame - Frame to render
      * @param {string|null} settingsFile - Optional settings file path for pinned rendering
-     * @returns {Promise<Object>} Render result object with { imageData: string, settingsFile: string|null, isPinned: boolean }
+     * @param {Object} [options]
+     * @param {number} [options.scale=1] - Fraction of the target resolution (ignored when pinned,
+     *   since the settings file fixes the resolution)
+     * @param {string|null} [options.requestId=null] - Backend request id, for cancelling the render
+     * @param {number|null} [options.seed=null] - Master seed used when the project has none
+     * @returns {Promise<Object>} Render result object with { imageData: string, settingsFile: string|null, isPinned: boolean, fromCache: boolean, scale: number, isProxy: boolean }
      */
-    async performRender(config, selectedFrame, settingsFile = null) {
+    async performRender(config, selectedFrame, settingsFile = null, { scale = 1, requestId = null, seed = null } = {}) {
         // Get resolution dimensions
         const dimensions = this.getResolutionDimensions();
+        const proxy = !settingsFile && scale < 1
+            ? RenderPipelineService.getProxyDimensions(dimensions, scale)
+            : null;
 
         // Prepare color scheme data
         let colorSchemeData = null;
@@ -157,8 +267,9 @@ export class RenderPipelineService {
             }
         }
 
-        // Filter visible effects
-        const visibleEffects = (config.effects || []).filter(effect => effect.visible !== false);
+        // Filter visible effects (members of bypassed groups are hidden when flattening)
+        const visibleEffects = EffectGroups.flattenForBackend(config.effects, config.effectGroups)
+            .filter(effect => effect.visible !== false);
 
         // DEBUG: Log effect filtering details
         console.log('🔍 RenderPipelineService: Effect filtering debug:');
@@ -197,13 +308,18 @@ export class RenderPipelineService {
             }
         }
 
-        // Prepare render config
+        // Prepare render config. Proxies render as a custom resolution with positions
+        // scaled to match; other pixel sizes in effect configs stay as they are
         const renderConfig = {
             ...config,
             isHorizontal: isHorizontal,
-            effects: visibleEffects,
-            width: dimensions.w,
-            height: dimensions.h,
+            effects: proxy
+                ? PositionScaler.scaleEffectsPositions(visibleEffects, dimensions.w, dimensions.h, proxy.w, proxy.h)
+                : visibleEffects,
+            ...(proxy && { targetResolution: ResolutionMapper.createCustomResolution(proxy.w, proxy.h) }),
+            width: proxy ? proxy.w : dimensions.w,
+            height: proxy ? proxy.h : dimensions.h,
+            masterSeed: config.masterSeed ?? seed,
             renderStartFrame: selectedFrame,
             renderJumpFrames: config.numFrames + 1,
             colorSchemeData: colorSchemeData,
@@ -212,7 +328,7 @@ export class RenderPipelineService {
 
         // DEBUG: Log final render config
         console.log('🚀 RenderPipelineService: Final render config:');
-        console.log('🚀 Dimensions:', { width: dimensions.w, height: dimensions.h });
+        console.log('🚀 Dimensions:', { width: renderConfig.width, height: renderConfig.height, proxy: !!proxy });
         console.log('🚀 Frame:', selectedFrame);
         console.log('🚀 Settings file:', settingsFile || 'none (unpinned)');
         console.log('🚀 Background color:', backgroundColor);
@@ -220,7 +336,7 @@ export class RenderPipelineService {
         console.log('🚀 Effects to render:', renderConfig.effects.map(e => e.registryKey || e.name || e.className));
 
         // Execute render via IPC (pass settings file for pin mode)
-        const result = await window.api.renderFrame(renderConfig, selectedFrame, settingsFile);
+        const result = await window.api.renderFrame(renderConfig, selectedFrame, settingsFile, requestId);
 
         if (result.success && (result.frameBuffer || result.fileUrl)) {
             let imageData;
@@ -257,7 +373,10 @@ export class RenderPipelineService {
             return {
                 imageData: imageData,
                 settingsFile: result.settingsFile || null,
-                isPinned: !!settingsFile
+                isPinned: !!settingsFile,
+                fromCache: !!result.fromCache,
+                scale: proxy ? scale : 1,
+                isProxy: !!proxy
             };
         }
 
@@ -285,6 +404,21 @@ export class RenderPipelineService {
         return dimensions;
     }
 
+    /**
+     * Get the size of a proxy render
+     * Both sides scale by the same fraction, never below the smallest custom resolution.
+     * @param {Object} dimensions - Full dimensions { w, h }
+     * @param {number} scale - Fraction of the full size (0-1]
+     * @returns {Object} Proxy dimensions { w, h }
+     */
+    static getProxyDimensions(dimensions, scale) {
+        const minimum = ResolutionMapper.MIN_CUSTOM_DIMENSION;
+        return {
+            w: Math.max(minimum, Math.round(dimensions.w * scale)),
+            h: Math.max(minimum, Math.round(dimensions.h * scale))
+        };
+    }
+
     /**
      * Register a callback for render completion
      * @param {Function} callback - Callback function
@@ -343,15 +477,137 @@ export class RenderPipelineService {
         return this.isRendering;
     }
 
+    /**
+     * Get what the in-flight render is producing
+     * @returns {string|null} 'proxy', 'full' or null when idle
+     */
+    getRenderPhase() {
+        return this.renderPhase;
+    }
+
     /**
      * Manual render trigger (for user-initiated renders)
      * @param {number} selectedFrame - Frame to render
      */
     triggerRender(selectedFrame = 0) {
         console.log('🎯 RenderPipeline: Manual render triggered');
+        this.previewFrame = selectedFrame;
         this.queueRender(selectedFrame);
     }
 
+    // =========================
+    // Live Preview
+    // =========================
+
+    /**
+     * Get the live preview settings
+     * @returns {Object} { enabled, proxyScale, refine }
+     */
+    getLivePreviewSettings() {
+        return { ...this.livePreview };
+    }
+
+    /**
+     * Update the live preview settings
+     * Enabling subscribes to ProjectState changes and renders the current state
+     * right away; disabling unsubscribes and cancels pending live renders.
+     * @param {Object} settings - Any of { enabled, proxyScale, refine }
+     * @returns {Object} The applied settings
+     */
+    setLivePreview(settings = {}) {
+        const next = { ...this.livePreview };
+        if (typeof settings.enabled === 'boolean') next.enabled = settings.enabled;
+        if (typeof settings.refine === 'boolean') next.refine = settings.refine;
+        if (Number.isFinite(settings.proxyScale) && settings.proxyScale > 0) {
+            next.proxyScale = Math.min(1, settings.proxyScale);
+        }
+
+        const wasEnabled = this.livePreview.enabled;
+        this.livePreview = next;
+
+        if (next.enabled && !this.unsubscribeFromProjectState && this.projectStateManager) {
+            this.unsubscribeFromProjectState = this.projectStateManager.onUpdate(() => {
+                console.log('🎯 RenderPipeline: ProjectState changed, queuing live preview');
+                this.queueLivePreview();
+            });
+        } else if (!next.enabled && this.unsubscribeFromProjectState) {
+            this.unsubscribeFromProjectState();
+            this.unsubscribeFromProjectState = null;
+        }
+
+        if (next.enabled) {
+            this.queueLivePreview();
+        } else if (wasEnabled) {
+            this.cancelStaleRenders();
+        }
+
+        console.log('🎯 RenderPipeline: Live preview', next);
+        this.livePreviewCallbacks.forEach(callback => {
+            try {
+                callback({ ...next });
+            } catch (error) {
+                console.error('Error in live preview callback:', error);
+            }
+        });
+        return { ...next };
+    }
+
+    /**
+     * Register a callback for live preview setting changes
+     * @param {Function} callback - Called with { enabled, proxyScale, refine }
+     * @returns {Function} Unregister function
+     */
+    onLivePreviewChange(callback) {
+        this.livePreviewCallbacks.add(callback);
+        return () => {
+            this.livePreviewCallbacks.delete(callback);
+        };
+    }
+
+    /**
+     * Set the frame live preview renders (re-renders when live preview is on)
+     * @param {number} frame - Selected frame
+     */
+    setPreviewFrame(frame) {
+        if (frame === this.previewFrame) {
+            return;
+        }
+        this.previewFrame = frame;
+        if (this.livePreview.enabled) {
+            this.queueLivePreview();
+        }
+    }
+
+    /**
+     * Queue a live preview of the current state: proxy first, then full resolution
+     * Anything already queued or in flight becomes stale. Both passes use the
+     * project's master seed, or the session's preview seed when it has none.
+     * @returns {Promise<void>} Resolves when this preview has finished or been superseded
+     */
+    queueLivePreview() {
+        const generation = this.cancelStaleRenders();
+        const frame = this.previewFrame;
+
+        return new Promise(resolve => {
+            this.resolvePendingLivePreview = resolve;
+            this.renderDebounceTimer = setTimeout(async () => {
+                this.renderDebounceTimer = null;
+                this.resolvePendingLivePreview = null;
+                const { proxyScale, refine } = this.livePreview;
+
+                const seed = this.previewSeed;
+
+                if (proxyScale < 1) {
+                    await this.executeRender(frame, { scale: proxyScale, generation, seed });
+                }
+                if ((proxyScale >= 1 || refine) && generation === this.renderGeneration) {
+                    await this.executeRender(frame, { scale: 1, generation, seed });
+                }
+                resolve();
+            }, this.LIVE_DEBOUNCE_MS);
+        });
+    }
+
     /**
      * Clear the current render result
      * Used when dimensions change (orientation/resolution) to show black canvas
@@ -368,14 +624,13 @@ export class RenderPipelineService {
      * Cleanup and destroy the service
      */
     destroy() {
-        // No longer auto-subscribing to ProjectState, so no cleanup needed
-        // if (this.unsubscribeFromProjectState) {
-        //     this.unsubscribeFromProjectState();
-        // }
-        if (this.renderDebounceTimer) {
-            clearTimeout(this.renderDebounceTimer);
+        if (this.unsubscribeFromProjectState) {
+            this.unsubscribeFromProjectState();
+            this.unsubscribeFromProjectState = null;
         }
+        this.cancelStaleRenders();
         this.renderCallbacks.clear();
+        this.livePreviewCallbacks.clear();
         this.isInitialized = false;
         console.log('💀 RenderPipelineService destroyed');
     }
@@ -0,0 +1,361 @@
+import path from 'path';
+import fs from 'fs/promises';
+import IdGenerator from '../utils/IdGenerator.js';
+
+/**
+ * Job statuses tracked by the render queue
+ */
+export const RenderJobStatus = Object.freeze({
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+});
+
+const FINISHED_STATUSES = [RenderJobStatus.COMPLETED, RenderJobStatus.FAILED, RenderJobStatus.CANCELLED];
+
+/**
+ * RenderQueueManager - Persistent render job queue
+ *
+ * Responsibilities:
+ * - Job bookkeeping (add, remove, reorder, status transitions)
+ * - Queue-level pause state
+ * - Persistence to render-queue.json so the queue survives an app restart
+ * - Change notification for IPC broadcasting
+ *
+ * Does NOT render anything - RenderCoordinator pulls jobs from here and runs them.
+ */
+export class RenderQueueManager {
+    constructor(appDataPath) {
+        this.appDataPath = appDataPath;
+        this.queueFilePath = path.join(appDataPath, 'render-queue.json');
+        this.jobs = [];
+        this.paused = false;
+        this.listeners = new Set();
+        this.initialized = false;
+        this.saveChain = Promise.resolve();
+    }
+
+    /**
+     * Load the persisted queue
+     * Jobs that were running when the app exited are put back in the queue
+     * and continue from their next unrendered frame.
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        if (this.initialized) {
+            return;
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(this.queueFilePath, 'utf8'));
+            this.jobs = Array.isArray(data.jobs) ? data.jobs : [];
+            this.paused = !!data.paused;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to load render queue:', error);
+            }
+            this.jobs = [];
+            this.paused = false;
+        }
+
+        let recovered = 0;
+        this.jobs.forEach(job => {
+            if (job.status === RenderJobStatus.RUNNING) {
+                job.status = RenderJobStatus.QUEUED;
+                job.updatedAt = new Date().toISOString();
+                recovered++;
+            }
+        });
+
+        this.initialized = true;
+
+        if (recovered > 0) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Persist the queue to disk
+     * Writes run one at a time in call order, each to a temp file that then
+     * replaces render-queue.json, so the file is never left half-written.
+     * @returns {Promise<void>}
+     */
+    async save() {
+        const contents = JSON.stringify({ paused: this.paused, jobs: this.jobs }, null, 2);
+        const tempFilePath = `${this.queueFilePath}.tmp`;
+
+        const write = this.saveChain.then(async () => {
+            await fs.mkdir(this.appDataPath, { recursive: true });
+            await fs.writeFile(tempFilePath, contents, 'utf8');
+            await fs.rename(tempFilePath, this.queueFilePath);
+        });
+        this.saveChain = write.catch(() => {});
+
+        try {
+            await write;
+        } catch (error) {
+            console.error('Failed to save render queue:', error);
+            throw error;
+        }
+        this.notifyListeners();
+    }
+
+    /**
+     * Add a job to the end of the queue
+     * @param {Object} jobInput - Job definition
+     * @param {string} [jobInput.projectFilePath] - .nftproject file to render
+     * @param {string} [jobInput.settingsFile] - my-nft-gen settings file to render (resume job)
+     * @param {string} [jobInput.outputDirectory] - Output directory override
+     * @param {number} [jobInput.startFrame=0] - First frame of the range (inclusive)
+     * @param {number|null} [jobInput.endFrame=null] - Last frame of the range (inclusive), null for the last frame
+     * @param {string} [jobInput.name] - Display name
+     * @returns {Promise<Object>} Created job
+     */
+    async addJob(jobInput = {}) {
+        const { projectFilePath = null, settingsFile = null, outputDirectory = null, name = null } = jobInput;
+
+        if (!projectFilePath && !settingsFile) {
+            throw new Error('Render job requires a project file or a settings file');
+        }
+
+        const startFrame = Number.isInteger(jobInput.startFrame) ? jobInput.startFrame : 0;
+        const endFrame = Number.isInteger(jobInput.endFrame) ? jobInput.endFrame : null;
+
+        if (startFrame < 0 || (endFrame !== null && endFrame < startFrame)) {
+            throw new Error(`Invalid frame range: ${startFrame}-${endFrame}`);
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: `job-${IdGenerator.generateId()}`,
+            name: name || path.basename(projectFilePath || settingsFile).replace(/\.(nftproject|json)$/i, ''),
+            type: projectFilePath ? 'project' : 'settings',
+            projectFilePath,
+            settingsFile,
+            outputDirectory,
+            startFrame,
+            endFrame,
+            nextFrame: startFrame,
+            completedFrames: 0,
+            totalFrames: null,
+            status: RenderJobStatus.QUEUED,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            completedAt: null
+        };
+
+        this.jobs.push(job);
+        await this.save();
+        return { ...job };
+    }
+
+    /**
+     * Remove a job from the queue (running jobs must be cancelled first)
+     * @param {string} jobId - Job ID
+     * @returns {Promise<boolean>} True if removed
+     */
+    async removeJob(jobId) {
+        const job = this.findJob(jobId);
+        if (!job) {
+            return false;
+        }
+        if (job.status === RenderJobStatus.RUNNING) {
+            throw new Error('Cannot remove a running job - cancel it first');
+        }
+
+        this.jobs = this.jobs.filter(j => j.id !== jobId);
+        await this.save();
+        return true;
+    }
+
+    /**
+     * Move a job to a new position in the queue
+     * @param {string} jobId - Job ID
+     * @param {number} newIndex - Target index
+     * @returns {Promise<boolean>} True if moved
+     */
+    async reorderJob(jobId, newIndex) {
+        const currentIndex = this.jobs.findIndex(j => j.id === jobId);
+        if (currentIndex === -1) {
+            return false;
+        }
+
+        const targetIndex = Math.max(0, Math.min(this.jobs.length - 1, newIndex));
+        const [job] = this.jobs.splice(currentIndex, 1);
+        this.jobs.splice(targetIndex, 0, job);
+        await this.save();
+        return true;
+    }
+
+    /**
+     * Apply updates to a job
+     * @param {string} jobId - Job ID
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<Object|null>} Updated job
+     */
+    async updateJob(jobId, updates) {
+        const job = this.findJob(jobId);
+        if (!job) {
+            return null;
+        }
+
+        Object.assign(job, updates, { updatedAt: new Date().toISOString() });
+        await this.save();
+        return { ...job };
+    }
+
+    /**
+     * Pause a job - a running job stops after its current frame
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} Updated job
+     */
+    async pauseJob(jobId) {
+        const job = this.findJob(jobId);
+        if (!job || ![RenderJobStatus.QUEUED, RenderJobStatus.RUNNING].includes(job.status)) {
+            return null;
+        }
+        return await this.updateJob(jobId, { status: RenderJobStatus.PAUSED });
+    }
+
+    /**
+     * Put a paused, failed or cancelled job back in the queue
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} Updated job
+     */
+    async resumeJob(jobId) {
+        const job = this.findJob(jobId);
+        if (!job || [RenderJobStatus.RUNNING, RenderJobStatus.COMPLETED].includes(job.status)) {
+            return null;
+        }
+        return await this.updateJob(jobId, { status: RenderJobStatus.QUEUED, error: null });
+    }
+
+    /**
+     * Cancel a job - a running job stops after its current frame
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} Updated job
+     */
+    async cancelJob(jobId) {
+        const job = this.findJob(jobId);
+        if (!job || FINISHED_STATUSES.includes(job.status)) {
+            return null;
+        }
+        return await this.updateJob(jobId, {
+            status: RenderJobStatus.CANCELLED,
+            completedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Pause or resume the whole queue (running job finishes its current frame)
+     * @param {boolean} paused - Paused state
+     * @returns {Promise<void>}
+     */
+    async setPaused(paused) {
+        this.paused = !!paused;
+        await this.save();
+    }
+
+    /**
+     * Check if the queue is paused
+     * @returns {boolean}
+     */
+    isPaused() {
+        return this.paused;
+    }
+
+    /**
+     * Remove completed, failed and cancelled jobs
+     * @returns {Promise<number>} Number of jobs removed
+     */
+    async clearFinished() {
+        const before = this.jobs.length;
+        this.jobs = this.jobs.filter(job => !FINISHED_STATUSES.includes(job.status));
+        await this.save();
+        return before - this.jobs.length;
+    }
+
+    /**
+     * Remove every job that is not running
+     * @returns {Promise<number>} Number of jobs removed
+     */
+    async clear() {
+        const before = this.jobs.length;
+        this.jobs = this.jobs.filter(job => job.status === RenderJobStatus.RUNNING);
+        await this.save();
+        return before - this.jobs.length;
+    }
+
+    /**
+     * Get the next job to run
+     * @returns {Object|null} Next queued job
+     */
+    getNextQueuedJob() {
+        const job = this.jobs.find(j => j.status === RenderJobStatus.QUEUED);
+        return job ? { ...job } : null;
+    }
+
+    /**
+     * Get a snapshot of a job
+     * @param {string} jobId - Job ID
+     * @returns {Object|null}
+     */
+    getJob(jobId) {
+        const job = this.findJob(jobId);
+        return job ? { ...job } : null;
+    }
+
+    /**
+     * Get a snapshot of all jobs in queue order
+     * @returns {Array<Object>}
+     */
+    getJobs() {
+        return this.jobs.map(job => ({ ...job }));
+    }
+
+    /**
+     * Get a serializable snapshot of the queue
+     * @returns {Object} { paused, jobs }
+     */
+    getSnapshot() {
+        return { paused: this.paused, jobs: this.getJobs() };
+    }
+
+    /**
+     * Subscribe to queue changes
+     * @param {Function} listener - Receives the queue snapshot
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * @private
+     */
+    findJob(jobId) {
+        return this.jobs.find(j => j.id === jobId) || null;
+    }
+
+    /**
+     * @private
+     */
+    notifyListeners() {
+        const snapshot = this.getSnapshot();
+        this.listeners.forEach(listener => {
+            try {
+                listener(snapshot);
+            } catch (error) {
+                console.error('Render queue listener failed:', error);
+            }
+        });
+    }
+}
+
+export default RenderQueueManager;
@@ -0,0 +1,246 @@
+/**
+ * TokenMetadataService
+ *
+ * Builds ERC-721 / OpenSea-style token metadata from a render's settings file.
+ *
+ * Responsibilities:
+ * - Work out which percentChance rolls succeeded by matching the possible
+ *   effects (allPrimaryEffects, possibleSecondaryEffects, allFinalImageEffects)
+ *   against the effects actually chosen for the loop (effects, additionalEffects,
+ *   finalImageEffects)
+ * - Turn resolved config values (ranges, choice lists, color buckets) into attributes
+ * - Render name/description templates and image/animation URIs
+ *
+ * Single Responsibility: Settings file → token metadata
+ */
+
+import projectMetadataService from './ProjectMetadataService.js';
+
+// Resolved values that describe the canvas rather than the artwork
+const DEFAULT_EXCLUDED_FIELDS = ['width', 'height', 'seed', 'finalSize', 'workingDirectory'];
+
+export const DEFAULT_METADATA_SETTINGS = Object.freeze({
+    collectionName: '',
+    nameTemplate: '{collection} #{id}',
+    descriptionTemplate: '',
+    imageUriPrefix: '',
+    imageExtension: 'png',
+    animationUriPrefix: '',
+    animationExtension: 'mp4',
+    externalUrlTemplate: '',
+    startTokenId: 1,
+    includeRolls: true,
+    includeResolvedValues: true,
+    excludedFields: DEFAULT_EXCLUDED_FIELDS
+});
+
+export class TokenMetadataService {
+    /**
+     * Convert an effect or field key to a display label
+     * @param {string} key - kebab-case, snake_case or camelCase key
+     * @returns {string} Title Case label
+     */
+    toDisplayName(key) {
+        return String(key)
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .replace(/[-_]+/g, ' ')
+            .trim()
+            .split(/\s+/)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    /**
+     * Replace {placeholders} in a template; unknown placeholders are left as-is
+     * @param {string} template - Template string
+     * @param {Object} context - Placeholder values
+     * @returns {string} Rendered string
+     */
+    renderTemplate(template, context) {
+        return String(template || '').replace(/\{(\w+)\}/g, (match, key) => (
+            context[key] !== undefined && context[key] !== null ? String(context[key]) : match
+        ));
+    }
+
+    /**
+     * Join a URI prefix (ipfs://CID/, https://host/path) with a file name
+     * @param {string} prefix - URI prefix, may be empty
+     * @param {string} fileName - File name
+     * @returns {string} URI
+     */
+    buildUri(prefix, fileName) {
+        if (!prefix) {
+            return fileName;
+        }
+        return prefix.endsWith('/') ? `${prefix}${fileName}` : `${prefix}/${fileName}`;
+    }
+
+    /**
+     * Match possible effects to chosen effects by name, in order
+     * Each possible effect consumes the first unmatched chosen effect with the same name.
+     * @param {Array} possible - Possible effects with percentChance
+     * @param {Array} chosen - Effects chosen for the render
+     * @returns {Array<Object>} [{ possible, chosen|null }]
+     */
+    matchRolls(possible = [], chosen = []) {
+        const remaining = [...chosen];
+        return possible.map(possibleEffect => {
+            const index = remaining.findIndex(effect => effect?.name === possibleEffect?.name);
+            const match = index === -1 ? null : remaining.splice(index, 1)[0];
+            return { possible: possibleEffect, chosen: match };
+        });
+    }
+
+    /**
+     * Collect attributes for resolved config values
+     * A value counts as resolved when the config held a range, choice list or
+     * picker object and the effect data holds the scalar it was resolved to.
+     * @param {Object} effect - Chosen effect from the settings file
+     * @param {string} label - Trait prefix
+     * @param {Array<string>} excludedFields - Field names to skip
+     * @returns {Array<Object>} Attributes
+     */
+    extractResolvedValues(effect, label, excludedFields = DEFAULT_EXCLUDED_FIELDS) {
+        const config = effect?.currentEffectConfig || effect?.config || {};
+        const data = effect?.data || {};
+        const attributes = [];
+
+        Object.entries(data).forEach(([field, value]) => {
+            if (excludedFields.includes(field) || !(field in config)) {
+                return;
+            }
+            const configValue = config[field];
+            const isResolved = configValue !== null && typeof configValue === 'object';
+            const isScalar = ['string', 'number', 'boolean'].includes(typeof value);
+            if (!isResolved || !isScalar) {
+                return;
+            }
+
+            const traitType = `${label}: ${this.toDisplayName(field)}`;
+            if (typeof value === 'number') {
+                attributes.push({ trait_type: traitType, value: Number(value.toFixed(2)), display_type: 'number' });
+            } else if (typeof value === 'boolean') {
+                attributes.push({ trait_type: traitType, value: value ? 'Yes' : 'No' });
+            } else {
+                attributes.push({ trait_type: traitType, value });
+            }
+        });
+
+        return attributes;
+    }
+
+    /**
+     * Build the attribute list for a settings file
+     * @param {Object} settings - Settings file
+     * @param {Object} options - Metadata settings
+     * @returns {Array<Object>} OpenSea-style attributes
+     */
+    buildAttributes(settings, options = {}) {
+        const { includeRolls = true, includeResolvedValues = true, excludedFields = DEFAULT_EXCLUDED_FIELDS } = options;
+        const attributes = [];
+        const addEffect = (effect, label) => {
+            if (includeResolvedValues) {
+                attributes.push(...this.extractResolvedValues(effect, label, excludedFields));
+            }
+        };
+
+        const groups = [
+            { possible: settings.allPrimaryEffects || [], chosen: settings.effects || [] },
+            { possible: settings.allFinalImageEffects || [], chosen: settings.finalImageEffects || [] }
+        ];
+
+        groups.forEach(({ possible, chosen }) => {
+            // Without the possible list every chosen effect still contributes its values
+            const matches = possible.length > 0
+                ? this.matchRolls(possible, chosen)
+                : chosen.map(effect => ({ possible: { name: effect.name, percentChance: 100 }, chosen: effect }));
+
+            matches.forEach(({ possible: possibleEffect, chosen: chosenEffect }) => {
+                const label = this.toDisplayName(possibleEffect.name);
+                const percentChance = possibleEffect.percentChance ?? 100;
+
+                if (includeRolls && percentChance < 100) {
+                    attributes.push({ trait_type: label, value: chosenEffect ? 'Yes' : 'No' });
+                }
+                if (!chosenEffect) {
+                    return;
+                }
+                addEffect(chosenEffect, label);
+
+                const secondaryMatches = this.matchRolls(
+                    possibleEffect.possibleSecondaryEffects || [],
+                    chosenEffect.additionalEffects || []
+                );
+                secondaryMatches.forEach(({ possible: possibleSecondary, chosen: chosenSecondary }) => {
+                    const secondaryLabel = `${label} › ${this.toDisplayName(possibleSecondary.name)}`;
+                    if (includeRolls && (possibleSecondary.percentChance ?? 100) < 100) {
+                        attributes.push({ trait_type: secondaryLabel, value: chosenSecondary ? 'Yes' : 'No' });
+                    }
+                    if (chosenSecondary) {
+                        addEffect(chosenSecondary, secondaryLabel);
+                    }
+                });
+            });
+        });
+
+        const colorSchemeName = typeof settings.colorScheme?.colorSchemeInfo === 'string'
+            ? settings.colorScheme.colorSchemeInfo
+            : null;
+        if (colorSchemeName) {
+            attributes.push({ trait_type: 'Color Scheme', value: colorSchemeName });
+        }
+
+        const layerCount = (settings.effects || []).length;
+        attributes.push({ trait_type: 'Layers', value: layerCount, display_type: 'number' });
+
+        return attributes;
+    }
+
+    /**
+     * Build metadata for a single token
+     * @param {Object} settings - Settings file of the rendered token
+     * @param {Object} options - Metadata settings plus tokenId and artist
+     * @param {number|string} options.tokenId - Token ID
+     * @param {string} [options.artist] - Artist, usually ProjectState.getArtist()
+     * @returns {Object} Token metadata JSON
+     */
+    buildTokenMetadata(settings, options = {}) {
+        const merged = { ...DEFAULT_METADATA_SETTINGS, ...options };
+        const tokenId = merged.tokenId ?? merged.startTokenId;
+        const artist = merged.artist || projectMetadataService.extractArtist(settings);
+        const collection = merged.collectionName || projectMetadataService.extractProjectName(settings);
+
+        const context = {
+            id: tokenId,
+            collection,
+            artist,
+            total: merged.totalTokens ?? ''
+        };
+
+        const metadata = {
+            name: this.renderTemplate(merged.nameTemplate, context),
+            description: this.renderTemplate(merged.descriptionTemplate, context),
+            image: this.buildUri(merged.imageUriPrefix, `${tokenId}.${merged.imageExtension}`)
+        };
+
+        if (merged.animationUriPrefix) {
+            metadata.animation_url = this.buildUri(merged.animationUriPrefix, `${tokenId}.${merged.animationExtension}`);
+        }
+        if (merged.externalUrlTemplate) {
+            metadata.external_url = this.renderTemplate(merged.externalUrlTemplate, context);
+        }
+        if (artist) {
+            metadata.created_by = artist;
+        }
+
+        metadata.attributes = [
+            ...(artist ? [{ trait_type: 'Artist', value: artist }] : []),
+            ...this.buildAttributes(settings, merged)
+        ];
+
+        return metadata;
+    }
+}
+
+// Export singleton instance
+export default new TokenMetadataService();
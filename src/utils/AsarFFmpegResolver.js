@@ -1,4 +1,3 @@
-import electron from 'electron';
 import path from 'path';
 import fs from 'fs';
 import { createRequire } from 'module';
@@ -6,8 +5,20 @@ import { createRequire } from 'module';
 // Create require function for ES modules
 const require = createRequire(import.meta.url);
 
-// Handle electron import (CommonJS compatibility)
-const app = electron?.app || electron;
+// Lazy-load electron app so this also works headless (CLI, tests) where it's not available
+let app = null;
+const getElectronApp = () => {
+    if (app === null) {
+        try {
+            const electronModule = require('electron');
+            app = electronModule.app;
+        } catch (error) {
+            // Electron not available (ok for headless rendering)
+            app = false; // Mark as attempted
+        }
+    }
+    return app || null;
+};
 
 /**
  * AsarFFmpegResolver - Resolves FFmpeg paths for ASAR-packaged Electron apps
@@ -34,7 +45,7 @@ class AsarFFmpegResolver {
      */
     isProduction() {
         if (this._isProduction === null) {
-            this._isProduction = app.isPackaged;
+            this._isProduction = getElectronApp()?.isPackaged || false;
         }
         return this._isProduction;
     }
@@ -49,7 +60,7 @@ class AsarFFmpegResolver {
         }
 
         // In production, ASAR unpacked files are in app.asar.unpacked
-        const appPath = app.getAppPath();
+        const appPath = getElectronApp().getAppPath();
         
         // If already in .asar.unpacked, use it directly
         if (appPath.includes('.asar.unpacked')) {
@@ -296,7 +307,7 @@ class AsarFFmpegResolver {
     getDiagnostics() {
         return {
             isProduction: this.isProduction(),
-            appPath: app.getAppPath(),
+            appPath: getElectronApp()?.getAppPath() || 'N/A',
             unpackedBasePath: this.getUnpackedBasePath(),
             ffmpegPath: this.getFfmpegPath(),
             ffprobePath: this.getFfprobePath(),
@@ -1,6 +1,23 @@
-import electron from 'electron';
 import path from 'path';
 import fs from 'fs';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// Lazy-load electron app so this also works headless (CLI, tests) where it's not available
+let app = null;
+const getElectronApp = () => {
+    if (app === null) {
+        try {
+            const electronModule = require('electron');
+            app = electronModule.app;
+        } catch (error) {
+            // Electron not available (ok for headless rendering)
+            app = false; // Mark as attempted
+        }
+    }
+    return app || null;
+};
 
 /**
  * AsarModuleResolver - Resolves module paths for ASAR-packaged Electron apps
@@ -22,7 +39,7 @@ class AsarModuleResolver {
      */
     isProduction() {
         if (this._isProduction === null) {
-            this._isProduction = electron?.app?.isPackaged || false;
+            this._isProduction = getElectronApp()?.isPackaged || false;
         }
         return this._isProduction;
     }
@@ -36,7 +53,7 @@ class AsarModuleResolver {
             return process.cwd();
         }
 
-        const appPath = electron?.app?.getAppPath?.() || '';
+        const appPath = getElectronApp()?.getAppPath?.() || '';
         
         // If already in .asar.unpacked, use it directly
         if (appPath.includes('.asar.unpacked')) {
@@ -106,7 +123,7 @@ class AsarModuleResolver {
     getDiagnostics() {
         return {
             isProduction: this.isProduction(),
-            appPath: electron?.app?.getAppPath?.() || 'N/A',
+            appPath: getElectronApp()?.getAppPath?.() || 'N/A',
             unpackedBasePath: this.getUnpackedBasePath(),
             nodeModulesPath: this.getNodeModulesPath(),
             nodeModulesExists: fs.existsSync(this.getNodeModulesPath()),
@@ -80,15 +80,16 @@ export class CenterUtils {
         const oldDimensions = this.getResolutionDimensions(oldResolutionInfo);
         const newDimensions = this.getResolutionDimensions(newResolutionInfo);
 
-        // Calculate scale factors
+        // Calculate scale factors (radii follow the shorter side, see PositionScaler.getRadiusScale)
         const scaleX = newDimensions.width / oldDimensions.width;
         const scaleY = newDimensions.height / oldDimensions.height;
-        const avgScale = (scaleX + scaleY) / 2;
+        const radiusScale = Math.min(newDimensions.width, newDimensions.height) /
+            Math.min(oldDimensions.width, oldDimensions.height);
 
         console.log('📐 CenterUtils: Scale factors:', {
             scaleX: scaleX.toFixed(3),
             scaleY: scaleY.toFixed(3),
-            avgScale: avgScale.toFixed(3),
+            radiusScale: radiusScale.toFixed(3),
             oldDims: oldDimensions,
             newDims: newDimensions
         });
@@ -99,7 +100,7 @@ export class CenterUtils {
             return fieldValue;
         }
 
-        return this.applyProportionalScale(fieldValue, scaleX, scaleY, avgScale, newDimensions);
+        return this.applyProportionalScale(fieldValue, scaleX, scaleY, radiusScale, newDimensions);
     }
 
     /**
@@ -107,11 +108,11 @@ export class CenterUtils {
      * @param {*} fieldValue - Field value to scale
      * @param {number} scaleX - X-axis scale factor
      * @param {number} scaleY - Y-axis scale factor
-     * @param {number} avgScale - Average scale factor
+     * @param {number} radiusScale - Radius scale factor (shorter side ratio)
      * @param {Object} newDimensions - New canvas dimensions for clamping
      * @returns {*} Scaled field value
      */
-    static applyProportionalScale(fieldValue, scaleX, scaleY, avgScale, newDimensions) {
+    static applyProportionalScale(fieldValue, scaleX, scaleY, radiusScale, newDimensions) {
         // Handle point2d format (legacy)
         if (typeof fieldValue.x === 'number' && typeof fieldValue.y === 'number' && !fieldValue.name) {
             const newX = Math.round(fieldValue.x * scaleX);
@@ -142,7 +143,7 @@ export class CenterUtils {
         if (fieldValue.name === 'arc-path' && fieldValue.center) {
             const newCenterX = Math.round(fieldValue.center.x * scaleX);
             const newCenterY = Math.round(fieldValue.center.y * scaleY);
-            const newRadius = Math.round(fieldValue.radius * avgScale);
+            const newRadius = Math.round(fieldValue.radius * radiusScale);
 
             // Calculate max radius to ensure arc stays within bounds
             const maxRadius = Math.min(newDimensions.width, newDimensions.height) / 2;
@@ -200,9 +201,10 @@ export class CenterUtils {
             'wqhd': 2560, '4k': 3840, '5k': 5120, '8k': 7680
         };
 
-        if (typeof resolution === 'string') {
+        // Custom "WIDTHxHEIGHT" resolutions are resolved by ResolutionMapper as-is
+        if (typeof resolution === 'string' && !ResolutionMapper.isCustomResolution(resolution)) {
             resolution = stringToNumericMap[resolution] || parseInt(resolution) || 1920;
-        } else if (typeof resolution !== 'number') {
+        } else if (typeof resolution !== 'number' && typeof resolution !== 'string') {
             resolution = 1920; // Default fallback
         }
 
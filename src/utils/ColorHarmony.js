@@ -0,0 +1,215 @@
+/**
+ * ColorHarmony - Generate color schemes from a base color and check contrast
+ *
+ * Harmonies are hue rotations on the HSL color wheel. The rotated hues become
+ * the vivid lights; backgrounds are deep, low-lightness shades of the base hue
+ * and neutrals are near-gray tints of it, so every generated scheme fills the
+ * neutrals/backgrounds/lights buckets. Dark hues (blues, purples) are lifted
+ * until they read against the lightest background.
+ *
+ * Contrast uses the WCAG 2 relative luminance ratio (1:1 to 21:1) between each
+ * light and the backgrounds it may be drawn on.
+ */
+
+import PaletteBuckets from './PaletteBuckets.js';
+
+export const HARMONIES = {
+    complementary: { name: 'Complementary', offsets: [0, 180] },
+    triadic: { name: 'Triadic', offsets: [0, 120, 240] },
+    analogous: { name: 'Analogous', offsets: [0, 30, -30] },
+    'split-complementary': { name: 'Split Complementary', offsets: [0, 150, 210] },
+    tetradic: { name: 'Tetradic', offsets: [0, 90, 180, 270] }
+};
+
+// Ratios below these are hard to see for thin strokes / at all
+export const CONTRAST_GOOD = 4.5;
+export const CONTRAST_FAIR = 3;
+
+// Lightness/saturation variants cycled through when a harmony has fewer hues than lights
+const LIGHT_VARIANTS = [
+    { saturation: 0.9, lightness: 0.55 },
+    { saturation: 1, lightness: 0.7 },
+    { saturation: 0.75, lightness: 0.45 }
+];
+
+export default class ColorHarmony {
+    /**
+     * @param {string} hex - #RRGGBB color
+     * @returns {Object} { hue: 0-360, saturation: 0-1, lightness: 0-1 }
+     */
+    static hexToHsl(hex) {
+        const { r, g, b } = PaletteBuckets.hexToRgb(hex);
+        const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+        const max = Math.max(rn, gn, bn);
+        const min = Math.min(rn, gn, bn);
+        const lightness = (max + min) / 2;
+        const delta = max - min;
+
+        if (delta === 0) {
+            return { hue: 0, saturation: 0, lightness };
+        }
+
+        const saturation = delta / (1 - Math.abs(2 * lightness - 1));
+        let hue;
+        if (max === rn) hue = ((gn - bn) / delta) % 6;
+        else if (max === gn) hue = (bn - rn) / delta + 2;
+        else hue = (rn - gn) / delta + 4;
+
+        return { hue: (hue * 60 + 360) % 360, saturation, lightness };
+    }
+
+    /**
+     * @param {Object} hsl - { hue: degrees, saturation: 0-1, lightness: 0-1 }
+     * @returns {string} #RRGGBB color
+     */
+    static hslToHex({ hue, saturation, lightness }) {
+        const h = (((hue % 360) + 360) % 360) / 60;
+        const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+        const x = chroma * (1 - Math.abs((h % 2) - 1));
+        const m = lightness - chroma / 2;
+        const [r, g, b] = [
+            [chroma, x, 0], [x, chroma, 0], [0, chroma, x],
+            [0, x, chroma], [x, 0, chroma], [chroma, 0, x]
+        ][Math.floor(h) % 6];
+
+        return PaletteBuckets.rgbToHex({ r: (r + m) * 255, g: (g + m) * 255, b: (b + m) * 255 });
+    }
+
+    /**
+     * Hues of a harmony
+     * @param {string} baseHex - Base color
+     * @param {string} harmony - Harmony key (see HARMONIES)
+     * @returns {Array<number>} Hues in degrees, base first
+     */
+    static getHues(baseHex, harmony) {
+        const definition = HARMONIES[harmony];
+        if (!definition) {
+            throw new Error(`Unknown harmony: ${harmony}`);
+        }
+        const { hue } = this.hexToHsl(baseHex);
+        return definition.offsets.map(offset => (hue + offset + 360) % 360);
+    }
+
+    /**
+     * Generate a color scheme from a base color
+     * @param {string} baseHex - Base color
+     * @param {string} harmony - Harmony key (see HARMONIES)
+     * @param {Object} [counts] - { lights: 6, backgrounds: 4, neutrals: 4 }
+     * @returns {Object} { neutrals, backgrounds, lights }
+     */
+    static generate(baseHex, harmony, { lights = 6, backgrounds = 4, neutrals = 4 } = {}) {
+        const hues = this.getHues(baseHex, harmony);
+        const baseHue = hues[0];
+
+        const backgroundColors = Array.from({ length: backgrounds }, (_, i) => this.hslToHex({
+            hue: baseHue,
+            saturation: 0.45,
+            lightness: 0.04 + i * 0.04
+        }));
+        const lightestBackground = backgroundColors[backgroundColors.length - 1];
+
+        const lightColors = [];
+        for (let i = 0; lightColors.length < lights && i < lights * 2; i++) {
+            const variant = LIGHT_VARIANTS[Math.floor(i / hues.length) % LIGHT_VARIANTS.length];
+            const color = this.liftToContrast({ hue: hues[i % hues.length], ...variant }, lightestBackground);
+            if (!lightColors.includes(color)) {
+                lightColors.push(color);
+            }
+        }
+
+        const neutralColors = Array.from({ length: neutrals }, (_, i) => this.hslToHex({
+            hue: baseHue,
+            saturation: 0.08,
+            lightness: 0.95 - i * 0.13
+        }));
+
+        return { neutrals: neutralColors, backgrounds: backgroundColors, lights: lightColors };
+    }
+
+    /**
+     * Raise a color's lightness until it reaches CONTRAST_GOOD against a background
+     * @param {Object} hsl - Color
+     * @param {string} [background] - #RRGGBB background (none: color unchanged)
+     * @returns {string} #RRGGBB color
+     * @private
+     */
+    static liftToContrast(hsl, background) {
+        let { lightness } = hsl;
+        let color = this.hslToHex(hsl);
+        while (background && lightness < 0.9 && this.getContrastRatio(color, background) < CONTRAST_GOOD) {
+            lightness = Math.min(0.9, lightness + 0.05);
+            color = this.hslToHex({ ...hsl, lightness });
+        }
+        return color;
+    }
+
+    /**
+     * WCAG relative luminance
+     * @param {string} hex - #RRGGBB color
+     * @returns {number} 0 (black) to 1 (white)
+     */
+    static getLuminance(hex) {
+        const { r, g, b } = PaletteBuckets.hexToRgb(hex);
+        const [rl, gl, bl] = [r, g, b].map(channel => {
+            const value = channel / 255;
+            return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+        });
+        return 0.2126 * rl + 0.7152 * gl + 0.0722 * bl;
+    }
+
+    /**
+     * WCAG contrast ratio between two colors
+     * @param {string} a - #RRGGBB color
+     * @param {string} b - #RRGGBB color
+     * @returns {number} 1 to 21
+     */
+    static getContrastRatio(a, b) {
+        const [lighter, darker] = [this.getLuminance(a), this.getLuminance(b)].sort((x, y) => y - x);
+        return (lighter + 0.05) / (darker + 0.05);
+    }
+
+    /**
+     * Rating for a contrast ratio
+     * @param {number} ratio - Contrast ratio
+     * @returns {string} 'good', 'fair' or 'poor'
+     */
+    static rateContrast(ratio) {
+        if (ratio >= CONTRAST_GOOD) return 'good';
+        if (ratio >= CONTRAST_FAIR) return 'fair';
+        return 'poor';
+    }
+
+    /**
+     * Contrast of every light against the backgrounds
+     * Each light is scored by its worst background, since any background may
+     * end up behind it.
+     * @param {Object} scheme - { backgrounds, lights }
+     * @returns {Object} { lights: [{ color, ratio, background, rating }], minRatio, averageRatio, rating, lowContrast }
+     */
+    static getContrastReport({ backgrounds = [], lights = [] }) {
+        const validBackgrounds = backgrounds.map(color => PaletteBuckets.normalizeHex(color)).filter(Boolean);
+        const validLights = lights.map(color => PaletteBuckets.normalizeHex(color)).filter(Boolean);
+
+        if (validBackgrounds.length === 0 || validLights.length === 0) {
+            return { lights: [], minRatio: null, averageRatio: null, rating: null, lowContrast: [] };
+        }
+
+        const lightReports = validLights.map(color => {
+            const worst = validBackgrounds
+                .map(background => ({ background, ratio: this.getContrastRatio(color, background) }))
+                .sort((a, b) => a.ratio - b.ratio)[0];
+            return { color, ...worst, rating: this.rateContrast(worst.ratio) };
+        });
+
+        const ratios = lightReports.map(report => report.ratio);
+        const minRatio = Math.min(...ratios);
+
+        return {
+            lights: lightReports,
+            minRatio,
+            averageRatio: ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length,
+            rating: this.rateContrast(minRatio),
+            lowContrast: lightReports.filter(report => report.rating === 'poor').map(report => report.color)
+        };
+    }
+}
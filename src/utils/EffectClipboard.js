@@ -0,0 +1,190 @@
+/**
+ * EffectClipboard - Versioned JSON format for copying effects between projects
+ *
+ * A clipboard payload holds effect POJOs plus the canvas size they were
+ * authored for:
+ *
+ *   { format, version, source: { width, height }, effects: [...] }
+ *
+ * Top-level effects carry their secondary and keyframe effects. Secondary or
+ * keyframe effects copied on their own are stored with `type` 'secondary' or
+ * 'keyframe' and are pasted onto a parent effect. The same payload is used for
+ * saved snippets (see EffectSnippetLibraryService).
+ */
+
+import { Effect } from '../models/Effect.js';
+import EffectGroups from './EffectGroups.js';
+import EffectSelection from './EffectSelection.js';
+import IdGenerator from './IdGenerator.js';
+import PositionScaler from './PositionScaler.js';
+
+export const EFFECT_CLIPBOARD_FORMAT = 'nft-studio/effects';
+export const EFFECT_CLIPBOARD_VERSION = 1;
+
+const NESTED_LISTS = {
+    secondary: 'secondaryEffects',
+    keyframe: 'keyframeEffects'
+};
+
+export default class EffectClipboard {
+    /**
+     * Build a payload from a selection
+     * Nested entries whose parent is also selected are already included with
+     * the parent and are skipped.
+     * @param {Array} effects - Project effects
+     * @param {Array} selection - Selection entries (see EffectSelection)
+     * @param {Object} source - Canvas size { width, height }
+     * @returns {Object} Clipboard payload
+     */
+    static fromSelection(effects, selection, source) {
+        const topLevel = new Set(EffectSelection.getTopLevelIds(selection));
+
+        const copied = EffectSelection.getDisplayOrder(effects)
+            .filter(entry => EffectSelection.contains(selection, entry))
+            .filter(entry => !EffectSelection.isNested(entry) || !topLevel.has(entry.effectId))
+            .map(entry => {
+                const pojo = toPlain(EffectSelection.resolve(effects, entry));
+                delete pojo.groupId;
+                return EffectSelection.isNested(entry) ? { ...pojo, type: entry.effectType } : pojo;
+            });
+
+        return this.createPayload(copied, source);
+    }
+
+    /**
+     * Wrap effect POJOs in the clipboard format
+     * @param {Array} effects - Effect POJOs
+     * @param {Object} source - Canvas size { width, height }
+     * @returns {Object} Clipboard payload
+     */
+    static createPayload(effects, source) {
+        return {
+            format: EFFECT_CLIPBOARD_FORMAT,
+            version: EFFECT_CLIPBOARD_VERSION,
+            source: { width: source.width, height: source.height },
+            effects
+        };
+    }
+
+    /**
+     * Parse and validate clipboard text
+     * @param {string} text - Clipboard text
+     * @returns {Object} Clipboard payload
+     * @throws {Error} If the text is not an effect payload this version can read
+     */
+    static parse(text) {
+        let payload;
+        try {
+            payload = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (error) {
+            throw new Error('Clipboard does not contain effects');
+        }
+
+        this.validate(payload);
+        return payload;
+    }
+
+    /**
+     * Validate a payload
+     * @param {Object} payload - Clipboard payload
+     * @throws {Error} If the payload is invalid
+     */
+    static validate(payload) {
+        if (!payload || payload.format !== EFFECT_CLIPBOARD_FORMAT) {
+            throw new Error('Clipboard does not contain effects');
+        }
+        if (typeof payload.version !== 'number' || payload.version > EFFECT_CLIPBOARD_VERSION) {
+            throw new Error(`Effect clipboard version ${payload.version} is newer than supported`);
+        }
+        if (!Array.isArray(payload.effects) || payload.effects.length === 0) {
+            throw new Error('Clipboard effect list is empty');
+        }
+    }
+
+    /**
+     * Check whether a payload effect must be pasted onto a parent
+     * @param {Object} pojo - Payload effect
+     * @returns {boolean} True for secondary/keyframe effects
+     */
+    static isNested(pojo) {
+        return Boolean(NESTED_LISTS[pojo.type]);
+    }
+
+    /**
+     * Effects ready to insert: fresh IDs and positions scaled to the target canvas
+     * @param {Object} payload - Clipboard payload
+     * @param {Object} target - Target canvas size { width, height }
+     * @returns {Array} Effect POJOs
+     */
+    static prepareEffects(payload, target) {
+        const withFreshIds = (pojo) => ({
+            ...pojo,
+            id: IdGenerator.generateId(),
+            secondaryEffects: (pojo.secondaryEffects || []).map(child => ({ ...child, id: IdGenerator.generateId() })),
+            keyframeEffects: (pojo.keyframeEffects || []).map(child => ({ ...child, id: IdGenerator.generateId() }))
+        });
+        const effects = JSON.parse(JSON.stringify(payload.effects)).map(withFreshIds);
+
+        const { source } = payload;
+        if (!source || (source.width === target.width && source.height === target.height)) {
+            return effects;
+        }
+
+        return PositionScaler.scaleEffectsPositions(effects, source.width, source.height, target.width, target.height)
+            .map((effect, index) => ({ ...toPlain(effect), type: effects[index].type }));
+    }
+
+    /**
+     * Insert prepared effects into a layout
+     * Top-level effects go after `afterEffectId` (or at the end of their
+     * section); nested effects are appended to `parentEffectId`.
+     * @param {Object} layout - { effects, effectGroups }
+     * @param {Array} effects - Prepared effect POJOs
+     * @param {Object} [target] - { afterEffectId, parentEffectId }
+     * @returns {Object} New layout
+     * @throws {Error} If nested effects have no primary parent to go to
+     */
+    static insert(layout, effects, { afterEffectId = null, parentEffectId = null } = {}) {
+        const nested = effects.filter(pojo => this.isNested(pojo));
+        const topLevel = effects.filter(pojo => !this.isNested(pojo)).map(pojo => Effect.fromPOJO(pojo));
+
+        let result = [...layout.effects];
+
+        if (nested.length > 0) {
+            const parent = result.find(effect => effect.id === parentEffectId);
+            if (!parent || EffectGroups.isFinal(parent)) {
+                throw new Error('Select a primary effect to paste secondary or keyframe effects onto');
+            }
+
+            const patch = {};
+            for (const [type, listName] of Object.entries(NESTED_LISTS)) {
+                const added = nested.filter(pojo => pojo.type === type);
+                if (added.length > 0) {
+                    patch[listName] = [...(parent[listName] || []), ...added];
+                }
+            }
+            result = result.map(effect => (effect === parent ? EffectGroups.patchEffect(effect, patch) : effect));
+        }
+
+        for (const final of [false, true]) {
+            const section = topLevel.filter(effect => EffectGroups.isFinal(effect) === final);
+            if (section.length === 0) continue;
+
+            const anchor = result.findIndex(effect => effect.id === afterEffectId && EffectGroups.isFinal(effect) === final);
+            const firstFinal = result.findIndex(effect => EffectGroups.isFinal(effect));
+            const sectionEnd = final || firstFinal === -1 ? result.length : firstFinal;
+            result.splice(anchor === -1 ? sectionEnd : anchor + 1, 0, ...section);
+        }
+
+        return EffectGroups.normalize({ effects: result, effectGroups: layout.effectGroups || [] });
+    }
+}
+
+/**
+ * Plain deep copy of an effect (Effect instance or POJO)
+ * @param {Object} effect - Effect
+ * @returns {Object} POJO
+ */
+function toPlain(effect) {
+    return JSON.parse(JSON.stringify(effect instanceof Effect ? effect.toPOJO() : effect));
+}
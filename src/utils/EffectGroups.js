@@ -0,0 +1,363 @@
+/**
+ * EffectGroups - Pure operations on named effect groups
+ *
+ * Groups are stored next to the flat effects array as
+ * `effectGroups: [{ id, name, collapsed, bypassed }]` and effects reference
+ * their group through `groupId`. Members of a group are always kept
+ * contiguous, so the render order is simply the effects array order.
+ *
+ * Every operation takes a layout `{ effects, effectGroups }` and returns a new
+ * layout; nothing is mutated, which keeps the operations safe to use inside
+ * undoable commands.
+ */
+
+import { Effect } from '../models/Effect.js';
+import IdGenerator from './IdGenerator.js';
+
+export const EFFECT_GROUP_SNAPSHOT_VERSION = 1;
+
+export default class EffectGroups {
+    /**
+     * Create a group record
+     * @param {string} name - Group name
+     * @returns {Object} Group { id, name, collapsed, bypassed }
+     */
+    static createGroupRecord(name) {
+        return {
+            id: `group_${IdGenerator.generateId()}`,
+            name: (name || '').trim() || 'Group',
+            collapsed: false,
+            bypassed: false
+        };
+    }
+
+    /**
+     * Copy an effect with some root fields replaced, keeping Effect instances as Effect instances
+     * @param {Effect|Object} effect - Effect
+     * @param {Object} patch - Root fields to replace
+     * @returns {Effect|Object} Patched copy
+     * @private
+     */
+    static patchEffect(effect, patch) {
+        if (effect instanceof Effect) {
+            return Effect.fromPOJO({ ...effect.toPOJO(), ...patch });
+        }
+        return { ...effect, ...patch };
+    }
+
+    /**
+     * Whether an effect renders in the Final Effects section
+     * @param {Object} effect - Effect
+     * @returns {boolean}
+     * @private
+     */
+    static isFinal(effect) {
+        return effect?.type === 'finalImage';
+    }
+
+    /**
+     * Get the members of a group in render order
+     * @param {Array} effects - Effects
+     * @param {string} groupId - Group ID
+     * @returns {Array} Member effects
+     */
+    static getMembers(effects, groupId) {
+        return (effects || []).filter(effect => effect.groupId === groupId);
+    }
+
+    /**
+     * Drop dangling group references and empty groups, and keep members contiguous
+     * A group's block is placed where its first member is.
+     * @param {Object} layout - { effects, effectGroups }
+     * @returns {Object} Normalized layout
+     */
+    static normalize({ effects = [], effectGroups = [] }) {
+        const groupIds = new Set(effectGroups.map(group => group.id));
+        const cleaned = effects.map(effect => (
+            effect.groupId && !groupIds.has(effect.groupId)
+                ? this.patchEffect(effect, { groupId: null })
+                : effect
+        ));
+
+        const ordered = [];
+        const placed = new Set();
+        cleaned.forEach(effect => {
+            if (!effect.groupId) {
+                ordered.push(effect);
+            } else if (!placed.has(effect.groupId)) {
+                placed.add(effect.groupId);
+                ordered.push(...this.getMembers(cleaned, effect.groupId));
+            }
+        });
+
+        return {
+            effects: ordered,
+            effectGroups: effectGroups.filter(group => placed.has(group.id))
+        };
+    }
+
+    /**
+     * Group effects under a new name
+     * Members leave any group they were in and move next to the first of them.
+     * @param {Object} layout - { effects, effectGroups }
+     * @param {Array<string>} effectIds - Effects to group
+     * @param {string} name - Group name
+     * @returns {Object} Layout with `groupId` of the new group
+     */
+    static createGroup(layout, effectIds, name) {
+        const ids = new Set(effectIds);
+        const members = layout.effects.filter(effect => ids.has(effect.id));
+        if (members.length === 0) {
+            throw new Error('Cannot create a group without effects');
+        }
+        if (new Set(members.map(effect => this.isFinal(effect))).size > 1) {
+            throw new Error('Primary and final effects cannot share a group');
+        }
+
+        const group = this.createGroupRecord(name);
+        const effects = layout.effects.map(effect => (
+            ids.has(effect.id) ? this.patchEffect(effect, { groupId: group.id }) : effect
+        ));
+
+        return {
+            ...this.normalize({ effects, effectGroups: [...layout.effectGroups, group] }),
+            groupId: group.id
+        };
+    }
+
+    /**
+     * Dissolve a group, leaving its members in place
+     * @param {Object} layout - { effects, effectGroups }
+     * @param {string} groupId - Group ID
+     * @returns {Object} Layout
+     */
+    static ungroup(layout, groupId) {
+        return this.normalize({
+            effects: layout.effects.map(effect => (
+                effect.groupId === groupId ? this.patchEffect(effect, { groupId: null }) : effect
+            )),
+            effectGroups: layout.effectGroups.filter(group => group.id !== groupId)
+        });
+    }
+
+    /**
+     * Update fields of a group record (name, collapsed, bypassed)
+     * @param {Object} layout - { effects, effectGroups }
+     * @param {string} groupId - Group ID
+     * @param {Object} updates - Fields to change
+     * @returns {Object} Layout
+     */
+    static updateGroup(layout, groupId, updates) {
+        if (!layout.effectGroups.some(group => group.id === groupId)) {
+            throw new Error(`Effect group ${groupId} not found`);
+        }
+        return {
+            effects: layout.effects,
+            effectGroups: layout.effectGroups.map(group => (
+                group.id === groupId ? { ...group, ...updates } : group
+            ))
+        };
+    }
+
+    /**
+     * Show or hide every member of a group
+     * @param {Object} layout - { effects, effectGroups }
+     * @param {string} groupId - Group ID
+     * @param {boolean} visible - Visibility for all members
+     * @returns {Object} Layout
+     */
+    static setGroupVisibility(layout, groupId, visible) {
+        return {
+            effects: layout.effects.map(effect => (
+                effect.groupId === groupId ? this.patchEffect(effect, { visible }) : effect
+            )),
+            effectGroups: layout.effectGroups
+        };
+    }
+
+    /**
+     * Move an effect into a group, after its last member
+     * @param {Object} layout - { effects, effectGroups }
+     * @param {string} effectId - Effect to move
+     * @param {string|null} groupId - Target group, or null to leave the current group
+     * @returns {Object} Layout
+     */
+    static assignToGroup(layout, effectId, groupId) {
+        const index = layout.effects.findIndex(effect => effect.id === effectId);
+        if (index === -1) {
+            throw new Error(`Effect with ID ${effectId} not found`);
+        }
+
+        const effect = layout.effects[index];
+        const remaining = layout.effects.filter((_, i) => i !== index);
+
+        if (!groupId) {
+            // Leaving a group: place the effect right after the block it left
+            const lastMember = remaining.map(e => e.groupId).lastIndexOf(effect.groupId);
+            const insertAt = effect.groupId && lastMember !== -1 ? lastMember + 1 : index;
+            remaining.splice(insertAt, 0, this.patchEffect(effect, { groupId: null }));
+            return this.normalize({ effects: remaining, effectGroups: layout.effectGroups });
+        }
+
+        const members = this.getMembers(remaining, groupId);
+        if (members.length > 0 && this.isFinal(members[0]) !== this.isFinal(effect)) {
+            throw new Error('Primary and final effects cannot share a group');
+        }
+
+        const lastMember = remaining.map(e => e.groupId).lastIndexOf(groupId);
+        remaining.splice(lastMember === -1 ? index : lastMember + 1, 0, this.patchEffect(effect, { groupId }));
+        return this.normalize({ effects: remaining, effectGroups: layout.effectGroups });
+    }
+
+    /**
+     * Move a single effect onto another effect's position
+     * Behaves like a plain reorder and the effect adopts the target's group,
+     * so dragging into or out of a group never splits a block.
+     * @param {Object} layout - { effects, effectGroups }
+     * @param {string} effectId - Effect to move
+     * @param {string} targetEffectId - Effect whose position it takes
+     * @returns {Object} Layout
+     */
+    static moveEffect(layout, effectId, targetEffectId) {
+        const fromIndex = layout.effects.findIndex(effect => effect.id === effectId);
+        const toIndex = layout.effects.findIndex(effect => effect.id === targetEffectId);
+        if (fromIndex === -1 || toIndex === -1) {
+            throw new Error('Effect to move or drop target not found');
+        }
+
+        const target = layout.effects[toIndex];
+        const effects = [...layout.effects];
+        const [moved] = effects.splice(fromIndex, 1);
+        effects.splice(toIndex, 0, this.patchEffect(moved, { groupId: target.groupId ?? null }));
+
+        return this.normalize({ effects, effectGroups: layout.effectGroups });
+    }
+
+    /**
+     * Move a whole group onto another effect's (or group's) position
+     * When the target is a group member, the target's whole block is the drop unit,
+     * so other groups are never split.
+     * @param {Object} layout - { effects, effectGroups }
+     * @param {string} groupId - Group to move
+     * @param {string} targetEffectId - Effect the group was dropped on
+     * @returns {Object} Layout
+     */
+    static moveGroup(layout, groupId, targetEffectId) {
+        const block = this.getMembers(layout.effects, groupId);
+        const target = layout.effects.find(effect => effect.id === targetEffectId);
+        if (block.length === 0 || !target) {
+            throw new Error('Group to move or drop target not found');
+        }
+        if (target.groupId === groupId) {
+            return layout;
+        }
+        if (this.isFinal(block[0]) !== this.isFinal(target)) {
+            throw new Error('Groups cannot move between primary and final effects');
+        }
+
+        const movingDown = layout.effects.indexOf(block[0]) < layout.effects.indexOf(target);
+        const remaining = layout.effects.filter(effect => effect.groupId !== groupId);
+        const targetUnit = target.groupId
+            ? this.getMembers(remaining, target.groupId)
+            : [target];
+        const insertAt = movingDown
+            ? remaining.indexOf(targetUnit[targetUnit.length - 1]) + 1
+            : remaining.indexOf(targetUnit[0]);
+
+        remaining.splice(insertAt, 0, ...block);
+        return { effects: remaining, effectGroups: layout.effectGroups };
+    }
+
+    /**
+     * Remove a group together with its members
+     * @param {Object} layout - { effects, effectGroups }
+     * @param {string} groupId - Group ID
+     * @returns {Object} Layout
+     */
+    static deleteGroup(layout, groupId) {
+        return {
+            effects: layout.effects.filter(effect => effect.groupId !== groupId),
+            effectGroups: layout.effectGroups.filter(group => group.id !== groupId)
+        };
+    }
+
+    /**
+     * Flatten groups for the render backend
+     * Members of bypassed groups are hidden and group references are stripped,
+     * so the backend sees the same flat effects list it always has.
+     * @param {Array} effects - Effects
+     * @param {Array} effectGroups - Groups
+     * @returns {Array} Flat effects
+     */
+    static flattenForBackend(effects = [], effectGroups = []) {
+        const bypassed = new Set((effectGroups || []).filter(group => group.bypassed).map(group => group.id));
+
+        return (effects || []).map(effect => {
+            const pojo = effect instanceof Effect ? effect.toPOJO() : { ...effect };
+            if (bypassed.has(pojo.groupId)) {
+                pojo.visible = false;
+            }
+            delete pojo.groupId;
+            return pojo;
+        });
+    }
+
+    /**
+     * Capture a group as a self-contained snapshot (for the group library)
+     * @param {Object} layout - { effects, effectGroups }
+     * @param {string} groupId - Group ID
+     * @returns {Object} Snapshot { version, name, bypassed, effects }
+     */
+    static snapshot(layout, groupId) {
+        const group = layout.effectGroups.find(g => g.id === groupId);
+        if (!group) {
+            throw new Error(`Effect group ${groupId} not found`);
+        }
+
+        return {
+            version: EFFECT_GROUP_SNAPSHOT_VERSION,
+            name: group.name,
+            bypassed: group.bypassed,
+            effects: this.getMembers(layout.effects, groupId).map(effect => {
+                const pojo = JSON.parse(JSON.stringify(effect instanceof Effect ? effect.toPOJO() : effect));
+                delete pojo.groupId;
+                return pojo;
+            })
+        };
+    }
+
+    /**
+     * Restore a snapshot as a new group with fresh IDs
+     * Primary members are inserted before the final effects, final members are appended.
+     * @param {Object} layout - { effects, effectGroups }
+     * @param {Object} snapshot - Snapshot from snapshot()
+     * @returns {Object} Layout with `groupId` of the restored group
+     */
+    static instantiate(layout, snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.effects) || snapshot.effects.length === 0) {
+            throw new Error('Effect group snapshot has no effects');
+        }
+        if (snapshot.version > EFFECT_GROUP_SNAPSHOT_VERSION) {
+            throw new Error(`Effect group snapshot version ${snapshot.version} is newer than supported`);
+        }
+
+        const group = { ...this.createGroupRecord(snapshot.name), bypassed: !!snapshot.bypassed };
+        const withFreshIds = (pojo) => ({
+            ...pojo,
+            id: IdGenerator.generateId(),
+            secondaryEffects: (pojo.secondaryEffects || []).map(child => ({ ...child, id: IdGenerator.generateId() })),
+            keyframeEffects: (pojo.keyframeEffects || []).map(child => ({ ...child, id: IdGenerator.generateId() }))
+        });
+        const members = snapshot.effects.map(pojo => Effect.fromPOJO({ ...withFreshIds(pojo), groupId: group.id }));
+
+        const effects = [...layout.effects];
+        const firstFinal = effects.findIndex(effect => this.isFinal(effect));
+        const insertAt = this.isFinal(members[0]) || firstFinal === -1 ? effects.length : firstFinal;
+        effects.splice(insertAt, 0, ...members);
+
+        return {
+            ...this.normalize({ effects, effectGroups: [...layout.effectGroups, group] }),
+            groupId: group.id
+        };
+    }
+}
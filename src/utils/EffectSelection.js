@@ -0,0 +1,348 @@
+/**
+ * EffectSelection - Pure operations on a multi-effect selection
+ *
+ * A selection is an array of entries `{ effectId, effectType, subIndex }`.
+ * Top-level effects use their own ID with `effectType` 'primary' or 'final'
+ * and `subIndex: null`; secondary and keyframe effects use their parent's ID,
+ * `effectType` 'secondary' or 'keyframe' and their index in the parent.
+ *
+ * Bulk operations take a layout `{ effects, effectGroups }` and return a new
+ * layout (see EffectGroups), so they can run inside snapshot-based commands.
+ */
+
+import { Effect } from '../models/Effect.js';
+import EffectGroups from './EffectGroups.js';
+import ConfigCloner from './ConfigCloner.js';
+
+const NESTED_LISTS = {
+    secondary: 'secondaryEffects',
+    keyframe: 'keyframeEffects'
+};
+
+export default class EffectSelection {
+    /**
+     * Create a selection entry
+     * @param {string} effectId - Effect ID (parent ID for nested effects)
+     * @param {string} effectType - primary | final | secondary | keyframe
+     * @param {number|null} subIndex - Index in the parent for nested effects
+     * @returns {Object} Entry
+     */
+    static createEntry(effectId, effectType = 'primary', subIndex = null) {
+        return { effectId, effectType, subIndex: subIndex ?? null };
+    }
+
+    /**
+     * Stable key for an entry
+     * @param {Object} entry - Selection entry
+     * @returns {string} Key
+     */
+    static keyOf(entry) {
+        return `${entry.effectId}:${entry.effectType}:${entry.subIndex ?? ''}`;
+    }
+
+    /**
+     * Check whether a selection contains an entry
+     * @param {Array} selection - Selection entries
+     * @param {Object} entry - Entry to look for
+     * @returns {boolean} True if selected
+     */
+    static contains(selection, entry) {
+        const key = this.keyOf(entry);
+        return selection.some(selected => this.keyOf(selected) === key);
+    }
+
+    /**
+     * Check whether an entry is a nested (secondary/keyframe) effect
+     * @param {Object} entry - Selection entry
+     * @returns {boolean} True if nested
+     */
+    static isNested(entry) {
+        return Boolean(NESTED_LISTS[entry.effectType]);
+    }
+
+    /**
+     * All selectable entries in display order
+     * Primary effects come before final effects, and each effect is followed by
+     * its secondary and then its keyframe effects, as in the effects list.
+     * @param {Array} effects - Project effects
+     * @returns {Array} Entries
+     */
+    static getDisplayOrder(effects = []) {
+        const ordered = [
+            ...effects.filter(effect => !EffectGroups.isFinal(effect)),
+            ...effects.filter(effect => EffectGroups.isFinal(effect))
+        ];
+
+        return ordered.flatMap(effect => [
+            this.createEntry(effect.id, EffectGroups.isFinal(effect) ? 'final' : 'primary'),
+            ...(effect.secondaryEffects || []).map((_, index) => this.createEntry(effect.id, 'secondary', index)),
+            ...(effect.keyframeEffects || []).map((_, index) => this.createEntry(effect.id, 'keyframe', index))
+        ]);
+    }
+
+    /**
+     * Add an entry, or remove it if already selected
+     * @param {Array} selection - Selection entries
+     * @param {Object} entry - Entry to toggle
+     * @returns {Array} New selection
+     */
+    static toggle(selection, entry) {
+        const key = this.keyOf(entry);
+        return this.contains(selection, entry)
+            ? selection.filter(selected => this.keyOf(selected) !== key)
+            : [...selection, entry];
+    }
+
+    /**
+     * Entries between an anchor and a target, inclusive, in display order
+     * @param {Array} effects - Project effects
+     * @param {Object} anchor - Entry the range starts from
+     * @param {Object} entry - Entry the range extends to
+     * @returns {Array} Selection
+     */
+    static range(effects, anchor, entry) {
+        const order = this.getDisplayOrder(effects);
+        const keys = order.map(item => this.keyOf(item));
+        const from = keys.indexOf(this.keyOf(anchor));
+        const to = keys.indexOf(this.keyOf(entry));
+
+        if (from === -1 || to === -1) {
+            return [entry];
+        }
+
+        return order.slice(Math.min(from, to), Math.max(from, to) + 1);
+    }
+
+    /**
+     * Resolve an entry to its effect
+     * @param {Array} effects - Project effects
+     * @param {Object} entry - Selection entry
+     * @returns {Object|null} Effect, or null if it no longer exists
+     */
+    static resolve(effects = [], entry) {
+        const effect = effects.find(e => e.id === entry.effectId);
+        if (!effect) {
+            return null;
+        }
+        if (!this.isNested(entry)) {
+            return effect;
+        }
+        return effect[NESTED_LISTS[entry.effectType]]?.[entry.subIndex] || null;
+    }
+
+    /**
+     * Drop entries whose effects no longer exist
+     * @param {Array} effects - Project effects
+     * @param {Array} selection - Selection entries
+     * @returns {Array} Selection
+     */
+    static prune(effects, selection) {
+        return selection.filter(entry => this.resolve(effects, entry) !== null);
+    }
+
+    /**
+     * IDs of the selected top-level effects
+     * @param {Array} selection - Selection entries
+     * @returns {Array<string>} Effect IDs
+     */
+    static getTopLevelIds(selection) {
+        return selection.filter(entry => !this.isNested(entry)).map(entry => entry.effectId);
+    }
+
+    /**
+     * Apply a patch to every selected effect
+     * @private
+     */
+    static patchSelected(effects, selection, patchFor) {
+        const topLevel = new Set(this.getTopLevelIds(selection));
+        const nested = selection.filter(entry => this.isNested(entry));
+
+        return effects.map(effect => {
+            let patch = topLevel.has(effect.id) ? patchFor(effect) : {};
+
+            for (const [effectType, listName] of Object.entries(NESTED_LISTS)) {
+                const indices = new Set(nested
+                    .filter(entry => entry.effectId === effect.id && entry.effectType === effectType)
+                    .map(entry => entry.subIndex));
+
+                if (indices.size > 0) {
+                    patch = {
+                        ...patch,
+                        [listName]: (effect[listName] || []).map((child, index) => (
+                            indices.has(index) ? { ...toPOJO(child), ...patchFor(child) } : child
+                        ))
+                    };
+                }
+            }
+
+            return Object.keys(patch).length > 0 ? EffectGroups.patchEffect(effect, patch) : effect;
+        });
+    }
+
+    /**
+     * Delete every selected effect
+     * Nested effects of a deleted parent go with it.
+     * @param {Object} layout - { effects, effectGroups }
+     * @param {Array} selection - Selection entries
+     * @returns {Object} New layout
+     */
+    static removeSelected(layout, selection) {
+        const topLevel = new Set(this.getTopLevelIds(selection));
+        const nested = selection.filter(entry => this.isNested(entry) && !topLevel.has(entry.effectId));
+
+        const effects = layout.effects
+            .filter(effect => !topLevel.has(effect.id))
+            .map(effect => {
+                const patch = {};
+                for (const [effectType, listName] of Object.entries(NESTED_LISTS)) {
+                    const indices = new Set(nested
+                        .filter(entry => entry.effectId === effect.id && entry.effectType === effectType)
+                        .map(entry => entry.subIndex));
+                    if (indices.size > 0) {
+                        patch[listName] = (effect[listName] || []).filter((_, index) => !indices.has(index));
+                    }
+                }
+                return Object.keys(patch).length > 0 ? EffectGroups.patchEffect(effect, patch) : effect;
+            });
+
+        return EffectGroups.normalize({ effects, effectGroups: layout.effectGroups || [] });
+    }
+
+    /**
+     * Show or hide every selected effect
+     * @param {Object} layout - { effects, effectGroups }
+     * @param {Array} selection - Selection entries
+     * @param {boolean} visible - Visibility
+     * @returns {Object} New layout
+     */
+    static setVisibility(layout, selection, visible) {
+        return {
+            effects: this.patchSelected(layout.effects, selection, () => ({ visible })),
+            effectGroups: layout.effectGroups || []
+        };
+    }
+
+    /**
+     * Set config values on every selected effect
+     * @param {Object} layout - { effects, effectGroups }
+     * @param {Array} selection - Selection entries
+     * @param {Object} changes - Config values by field name
+     * @returns {Object} New layout
+     */
+    static applyConfig(layout, selection, changes) {
+        return {
+            effects: this.patchSelected(layout.effects, selection, (effect) => ({
+                config: { ...(effect.config || {}), ...ConfigCloner.deepClone(changes) }
+            })),
+            effectGroups: layout.effectGroups || []
+        };
+    }
+
+    /**
+     * Move the selected top-level effects within their section
+     * Selected effects keep their relative order. Groups are re-normalized
+     * afterwards, so a group stays one contiguous block.
+     * @param {Object} layout - { effects, effectGroups }
+     * @param {Array} selection - Selection entries
+     * @param {string} direction - up | down | top | bottom
+     * @returns {Object} New layout
+     */
+    static moveSelected(layout, selection, direction) {
+        const selected = new Set(this.getTopLevelIds(selection));
+        const effects = [...layout.effects];
+
+        for (const final of [false, true]) {
+            const slots = effects
+                .map((effect, index) => (EffectGroups.isFinal(effect) === final ? index : -1))
+                .filter(index => index !== -1);
+            const section = moveWithin(slots.map(index => effects[index]), selected, direction);
+            slots.forEach((slot, position) => {
+                effects[slot] = section[position];
+            });
+        }
+
+        return EffectGroups.normalize({ effects, effectGroups: layout.effectGroups || [] });
+    }
+
+    /**
+     * Config fields every schema has, with the same name and type
+     * @param {Array<Object>} schemas - Config schemas ({ fields })
+     * @returns {Array<Object>} Shared fields (definitions from the first schema)
+     */
+    static getSharedFields(schemas) {
+        if (!schemas || schemas.length === 0) {
+            return [];
+        }
+
+        const [first, ...rest] = schemas;
+        return (first.fields || []).filter(field => rest.every(schema => (
+            (schema.fields || []).some(other => other.name === field.name && other.type === field.type)
+        )));
+    }
+
+    /**
+     * Current values of shared fields across the selected effects
+     * @param {Array<Object>} effects - Resolved selected effects
+     * @param {Array<Object>} fields - Shared fields
+     * @returns {Object} { config, mixed } - config holds the common value (or the
+     *   first effect's value), mixed lists the fields whose values differ
+     */
+    static getSharedValues(effects, fields) {
+        const config = {};
+        const mixed = [];
+
+        for (const field of fields) {
+            const values = effects.map(effect => effect.config?.[field.name]);
+            config[field.name] = values[0] ?? field.default;
+            if (values.some(value => JSON.stringify(value) !== JSON.stringify(values[0]))) {
+                mixed.push(field.name);
+            }
+        }
+
+        return { config, mixed };
+    }
+}
+
+/**
+ * Plain object for a nested effect (Effect instance or POJO)
+ * @param {Object} effect - Effect
+ * @returns {Object} POJO
+ */
+function toPOJO(effect) {
+    return effect instanceof Effect ? effect.toPOJO() : effect;
+}
+
+/**
+ * Move selected items of one section
+ * @param {Array} items - Effects in section order
+ * @param {Set<string>} selected - Selected effect IDs
+ * @param {string} direction - up | down | top | bottom
+ * @returns {Array} Reordered items
+ */
+function moveWithin(items, selected, direction) {
+    const isSelected = item => selected.has(item.id);
+
+    if (direction === 'top' || direction === 'bottom') {
+        const picked = items.filter(isSelected);
+        const rest = items.filter(item => !isSelected(item));
+        return direction === 'top' ? [...picked, ...rest] : [...rest, ...picked];
+    }
+
+    const result = [...items];
+    if (direction === 'up') {
+        for (let i = 1; i < result.length; i++) {
+            if (isSelected(result[i]) && !isSelected(result[i - 1])) {
+                [result[i - 1], result[i]] = [result[i], result[i - 1]];
+            }
+        }
+    } else if (direction === 'down') {
+        for (let i = result.length - 2; i >= 0; i--) {
+            if (isSelected(result[i]) && !isSelected(result[i + 1])) {
+                [result[i], result[i + 1]] = [result[i + 1], result[i]];
+            }
+        }
+    } else {
+        throw new Error(`Unknown move direction: ${direction}`);
+    }
+    return result;
+}
@@ -0,0 +1,112 @@
+/**
+ * FrameComparison - Pixel difference heatmaps for comparing two frames
+ *
+ * Works on RGBA pixel arrays (ImageData.data) of equal size. A pixel's
+ * difference is the largest per-channel change (0-255). Unchanged pixels are
+ * drawn as a dimmed grayscale of the base frame for orientation; changed
+ * pixels run from blue (small) through yellow to red (large).
+ */
+
+export const COMPARISON_MODES = {
+    split: { name: 'Split' },
+    'side-by-side': { name: 'Side by Side' },
+    onion: { name: 'Onion Skin' },
+    difference: { name: 'Difference' }
+};
+
+export const COMPARISON_SOURCES = {
+    snapshot: { name: 'Preview vs Snapshot' },
+    frames: { name: 'Two Frames of a Render' },
+    directories: { name: 'Same Frame of Two Renders' }
+};
+
+// Heat ramp stops: [position 0-1, r, g, b]
+const HEAT_STOPS = [
+    [0, 0, 64, 255],
+    [0.5, 255, 230, 0],
+    [1, 255, 0, 0]
+];
+
+// Brightness of the grayscale context drawn for unchanged pixels
+const CONTEXT_DIM = 0.25;
+
+export default class FrameComparison {
+    /**
+     * Compute a difference heatmap and statistics for two frames
+     * @param {Uint8ClampedArray|Array<number>} basePixels - RGBA pixels of the base frame
+     * @param {Uint8ClampedArray|Array<number>} comparePixels - RGBA pixels of the compared frame
+     * @param {Object} [options]
+     * @param {number} [options.threshold=0] - Differences at or below this (0-255) count as unchanged
+     * @returns {Object} { pixels, totalPixels, changedPixels, changedRatio, maxDelta, meanDelta }
+     * @throws {Error} When the frames are not the same size
+     */
+    static computeDifferenceHeatmap(basePixels, comparePixels, { threshold = 0 } = {}) {
+        if (basePixels.length !== comparePixels.length || basePixels.length % 4 !== 0) {
+            throw new Error('Frames must have the same dimensions to compare');
+        }
+
+        const pixels = new Uint8ClampedArray(basePixels.length);
+        const totalPixels = basePixels.length / 4;
+        let changedPixels = 0;
+        let maxDelta = 0;
+        let deltaSum = 0;
+
+        for (let i = 0; i < basePixels.length; i += 4) {
+            const delta = Math.max(
+                Math.abs(basePixels[i] - comparePixels[i]),
+                Math.abs(basePixels[i + 1] - comparePixels[i + 1]),
+                Math.abs(basePixels[i + 2] - comparePixels[i + 2]),
+                Math.abs(basePixels[i + 3] - comparePixels[i + 3])
+            );
+            deltaSum += delta;
+            maxDelta = Math.max(maxDelta, delta);
+
+            if (delta > threshold) {
+                changedPixels++;
+                const [r, g, b] = FrameComparison.heatColor(delta / 255);
+                pixels[i] = r;
+                pixels[i + 1] = g;
+                pixels[i + 2] = b;
+            } else {
+                const gray = FrameComparison.luminance(basePixels[i], basePixels[i + 1], basePixels[i + 2]) * CONTEXT_DIM;
+                pixels[i] = gray;
+                pixels[i + 1] = gray;
+                pixels[i + 2] = gray;
+            }
+            pixels[i + 3] = 255;
+        }
+
+        return {
+            pixels,
+            totalPixels,
+            changedPixels,
+            changedRatio: totalPixels ? changedPixels / totalPixels : 0,
+            maxDelta,
+            meanDelta: totalPixels ? deltaSum / totalPixels : 0
+        };
+    }
+
+    /**
+     * @param {number} amount - 0 (smallest change) to 1 (largest change)
+     * @returns {Array<number>} [r, g, b]
+     */
+    static heatColor(amount) {
+        const t = Math.min(1, Math.max(0, amount));
+        for (let i = 1; i < HEAT_STOPS.length; i++) {
+            const [end, ...endColor] = HEAT_STOPS[i];
+            if (t <= end) {
+                const [start, ...startColor] = HEAT_STOPS[i - 1];
+                const local = (t - start) / (end - start);
+                return startColor.map((channel, index) => Math.round(channel + (endColor[index] - channel) * local));
+            }
+        }
+        return HEAT_STOPS[HEAT_STOPS.length - 1].slice(1);
+    }
+
+    /**
+     * @returns {number} Perceived brightness 0-255 (Rec. 601)
+     */
+    static luminance(r, g, b) {
+        return 0.299 * r + 0.587 * g + 0.114 * b;
+    }
+}
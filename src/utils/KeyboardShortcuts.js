@@ -0,0 +1,239 @@
+/**
+ * KeyboardShortcuts - Default keymap and accelerator helpers
+ *
+ * Shared by the renderer (key handling, keymap editor, cheat sheet) and the
+ * main process (native application menu). Accelerators use Electron's
+ * syntax (e.g. "CmdOrCtrl+Shift+Z") in a canonical modifier order so two
+ * spellings of the same chord compare equal.
+ */
+
+/**
+ * Shortcut categories, in menu and cheat sheet order
+ */
+export const SHORTCUT_CATEGORIES = ['File', 'Edit', 'View', 'Render', 'Help'];
+
+/**
+ * Default shortcuts. Each one emits `event` with `payload` on the EventBus.
+ * `yieldToTextInput` lets text fields keep the native behavior of the chord;
+ * `repeat` keeps firing while the keys are held.
+ */
+export const DEFAULT_SHORTCUTS = [
+    { id: 'project.new', label: 'New Project', category: 'File', accelerator: 'CmdOrCtrl+N', event: 'project:new' },
+    { id: 'project.open', label: 'Open Project…', category: 'File', accelerator: 'CmdOrCtrl+O', event: 'project:open' },
+    { id: 'project.save', label: 'Save Project', category: 'File', accelerator: 'CmdOrCtrl+S', event: 'project:save' },
+    { id: 'project.settings', label: 'Project Settings…', category: 'File', accelerator: null, event: 'project:settings:open' },
+    { id: 'project.export', label: 'Export Animation…', category: 'File', accelerator: 'CmdOrCtrl+E', event: 'export:dialog:open' },
+    { id: 'edit.undo', label: 'Undo', category: 'Edit', accelerator: 'CmdOrCtrl+Z', event: 'command:undo', yieldToTextInput: true },
+    { id: 'edit.redo', label: 'Redo', category: 'Edit', accelerator: 'CmdOrCtrl+Shift+Z', event: 'command:redo', yieldToTextInput: true },
+    { id: 'view.zoomIn', label: 'Zoom In', category: 'View', accelerator: 'CmdOrCtrl+=', event: 'zoom:in', repeat: true },
+    { id: 'view.zoomOut', label: 'Zoom Out', category: 'View', accelerator: 'CmdOrCtrl+-', event: 'zoom:out', repeat: true },
+    { id: 'view.zoomReset', label: 'Reset Zoom', category: 'View', accelerator: 'CmdOrCtrl+0', event: 'zoom:reset' },
+    { id: 'frame.previous', label: 'Previous Frame', category: 'View', accelerator: 'Alt+Left', event: 'frame:step', payload: { delta: -1 }, repeat: true },
+    { id: 'frame.next', label: 'Next Frame', category: 'View', accelerator: 'Alt+Right', event: 'frame:step', payload: { delta: 1 }, repeat: true },
+    { id: 'frame.back10', label: 'Back 10 Frames', category: 'View', accelerator: 'Alt+Shift+Left', event: 'frame:step', payload: { delta: -10 }, repeat: true },
+    { id: 'frame.forward10', label: 'Forward 10 Frames', category: 'View', accelerator: 'Alt+Shift+Right', event: 'frame:step', payload: { delta: 10 }, repeat: true },
+    { id: 'render.frame', label: 'Render Frame', category: 'Render', accelerator: 'CmdOrCtrl+R', event: 'toolbar:render:trigger' },
+    { id: 'render.pin', label: 'Pin / Unpin Settings', category: 'Render', accelerator: 'CmdOrCtrl+P', event: 'toolbar:pin:toggle' },
+    { id: 'help.cheatSheet', label: 'Keyboard Shortcuts', category: 'Help', accelerator: 'CmdOrCtrl+/', event: 'shortcuts:cheatsheet:open' },
+    { id: 'help.keymap', label: 'Customize Shortcuts…', category: 'Help', accelerator: 'CmdOrCtrl+,', event: 'shortcuts:editor:open' }
+];
+
+// Canonical modifier order and accepted spellings
+const MODIFIER_ORDER = ['CmdOrCtrl', 'Ctrl', 'Alt', 'Shift', 'Super'];
+const MODIFIER_ALIASES = {
+    cmdorctrl: 'CmdOrCtrl',
+    commandorcontrol: 'CmdOrCtrl',
+    ctrl: 'Ctrl',
+    control: 'Ctrl',
+    alt: 'Alt',
+    option: 'Alt',
+    shift: 'Shift',
+    super: 'Super',
+    meta: 'Super'
+};
+
+// KeyboardEvent.code -> accelerator key, so chords don't depend on the keyboard layout or Shift
+const CODE_KEYS = {
+    Equal: '=',
+    Minus: '-',
+    Slash: '/',
+    Backslash: '\\',
+    Comma: ',',
+    Period: '.',
+    Semicolon: ';',
+    Quote: '\'',
+    Backquote: '`',
+    BracketLeft: '[',
+    BracketRight: ']',
+    ArrowLeft: 'Left',
+    ArrowRight: 'Right',
+    ArrowUp: 'Up',
+    ArrowDown: 'Down',
+    Space: 'Space',
+    Escape: 'Esc',
+    Enter: 'Enter',
+    NumpadEnter: 'Enter',
+    Tab: 'Tab',
+    Backspace: 'Backspace',
+    Delete: 'Delete',
+    Home: 'Home',
+    End: 'End',
+    PageUp: 'PageUp',
+    PageDown: 'PageDown',
+    NumpadAdd: '=',
+    NumpadSubtract: '-'
+};
+
+// Named keys by lowercase spelling, so "enter" and "Enter" are the same key
+const NAMED_KEYS = new Map([
+    ...[...Object.values(CODE_KEYS), 'Plus', 'Insert']
+        .filter(name => name.length > 1)
+        .map(name => [name.toLowerCase(), name]),
+    ['escape', 'Esc'],
+    ['return', 'Enter']
+]);
+
+const MODIFIER_KEYS = new Set(['Shift', 'Control', 'Alt', 'Meta', 'OS', 'AltGraph', 'CapsLock']);
+
+/**
+ * Normalize an accelerator to canonical form
+ * @param {string|null} accelerator - e.g. "shift+cmdorctrl+z"
+ * @returns {string|null} e.g. "CmdOrCtrl+Shift+Z", or null when empty or invalid
+ */
+export function normalizeAccelerator(accelerator) {
+    if (typeof accelerator !== 'string' || !accelerator.trim()) {
+        return null;
+    }
+
+    // "+" is both the separator and a key, so split on "+" that follows another character
+    const parts = accelerator.trim().split(/(?<=.)\+/).map(part => part.trim());
+    const modifiers = new Set();
+    let key = null;
+
+    for (const part of parts) {
+        const modifier = MODIFIER_ALIASES[part.toLowerCase()];
+        if (modifier) {
+            modifiers.add(modifier);
+        } else if (key === null && part) {
+            key = canonicalKey(part);
+        } else {
+            return null;
+        }
+    }
+
+    if (!key) {
+        return null;
+    }
+
+    return [...MODIFIER_ORDER.filter(modifier => modifiers.has(modifier)), key].join('+');
+}
+
+/**
+ * Apply keymap overrides to the default shortcuts
+ * @param {Object} [keymap] - Shortcut id -> accelerator, or null to unbind
+ * @returns {Array<Object>} Shortcuts with { accelerator, defaultAccelerator, isCustom }
+ */
+export function resolveShortcuts(keymap = {}) {
+    return DEFAULT_SHORTCUTS.map(shortcut => {
+        const override = keymap?.[shortcut.id];
+        const isCustom = override === null || !!normalizeAccelerator(override);
+        return {
+            ...shortcut,
+            defaultAccelerator: shortcut.accelerator,
+            accelerator: isCustom ? normalizeAccelerator(override) : shortcut.accelerator,
+            isCustom
+        };
+    });
+}
+
+/**
+ * Build the accelerator for a keydown event
+ * @param {KeyboardEvent} event - Keydown event
+ * @param {string} [platform] - Node/Electron platform name; 'darwin' maps Cmd to CmdOrCtrl
+ * @returns {string|null} Canonical accelerator, or null for a lone modifier key
+ */
+export function acceleratorFromKeyboardEvent(event, platform = getPlatform()) {
+    if (!event || MODIFIER_KEYS.has(event.key)) {
+        return null;
+    }
+
+    const isMac = platform === 'darwin';
+    const modifiers = [];
+    if (isMac ? event.metaKey : event.ctrlKey) modifiers.push('CmdOrCtrl');
+    if (isMac && event.ctrlKey) modifiers.push('Ctrl');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.shiftKey) modifiers.push('Shift');
+    if (!isMac && event.metaKey) modifiers.push('Super');
+
+    let key = CODE_KEYS[event.code];
+    if (!key && /^Key[A-Z]$/.test(event.code || '')) {
+        key = event.code.slice(3);
+    } else if (!key && /^(Digit|Numpad)[0-9]$/.test(event.code || '')) {
+        key = event.code.slice(-1);
+    } else if (!key && /^F\d{1,2}$/.test(event.code || '')) {
+        key = event.code;
+    } else if (!key) {
+        key = event.key;
+    }
+
+    return normalizeAccelerator([...modifiers, key].join('+'));
+}
+
+/**
+ * Format an accelerator for display (⌘⇧Z on macOS, Ctrl+Shift+Z elsewhere)
+ * @param {string|null} accelerator - Canonical accelerator
+ * @param {string} [platform] - Node/Electron platform name
+ * @returns {string} Display label, empty when unbound
+ */
+export function formatAccelerator(accelerator, platform = getPlatform()) {
+    const normalized = normalizeAccelerator(accelerator);
+    if (!normalized) {
+        return '';
+    }
+
+    const isMac = platform === 'darwin';
+    const names = isMac
+        ? { CmdOrCtrl: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧', Super: '⌘', Left: '←', Right: '→', Up: '↑', Down: '↓' }
+        : { CmdOrCtrl: 'Ctrl', Super: 'Win', Left: '←', Right: '→', Up: '↑', Down: '↓' };
+
+    const parts = normalized.split(/(?<=.)\+/).map(part => names[part] || part);
+    return parts.join(isMac ? '' : '+');
+}
+
+/**
+ * Whether the chord uses a modifier that text fields don't consume for typing
+ * @param {string|null} accelerator - Canonical accelerator
+ * @returns {boolean}
+ */
+export function hasCommandModifier(accelerator) {
+    const normalized = normalizeAccelerator(accelerator);
+    return !!normalized && /^(CmdOrCtrl|Ctrl|Alt|Super)\+/.test(normalized);
+}
+
+/**
+ * Canonical spelling of a key name
+ * @param {string} key - Key as typed or reported
+ * @returns {string}
+ * @private
+ */
+function canonicalKey(key) {
+    if (key === '+') return 'Plus';
+    if (key.length === 1) return key.toUpperCase();
+    if (/^f\d{1,2}$/i.test(key)) return key.toUpperCase();
+    return NAMED_KEYS.get(key.toLowerCase()) || key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+/**
+ * Current platform in Node/Electron naming
+ * @returns {string}
+ * @private
+ */
+function getPlatform() {
+    if (typeof process !== 'undefined' && process.platform) {
+        return process.platform;
+    }
+    if (typeof navigator !== 'undefined' && /Mac/i.test(navigator.platform || '')) {
+        return 'darwin';
+    }
+    return 'other';
+}
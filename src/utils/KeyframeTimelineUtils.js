@@ -0,0 +1,136 @@
+/**
+ * KeyframeTimelineUtils - Frame math for the keyframe timeline panel
+ *
+ * Keeps the timeline component free of layout arithmetic and of the
+ * rules for retiming a keyframe effect (the marker frame lives in both
+ * `frame` and the effect's `config.keyFrames` array).
+ */
+export class KeyframeTimelineUtils {
+    /**
+     * Build one timeline track per primary effect that has keyframe effects
+     * @param {Array<Object>} effects - Project effects
+     * @returns {Array<Object>} Tracks: { effectId, parentIndex, name, visible, markers[] }
+     */
+    static buildTracks(effects = []) {
+        const tracks = [];
+
+        effects.forEach((effect, parentIndex) => {
+            if (!effect || effect.type === 'finalImage') {
+                return;
+            }
+
+            const keyframeEffects = effect.keyframeEffects || effect.attachedEffects?.keyFrame || [];
+            if (keyframeEffects.length === 0) {
+                return;
+            }
+
+            tracks.push({
+                effectId: effect.id,
+                parentIndex,
+                name: effect.name || effect.className || 'Effect',
+                visible: effect.visible !== false,
+                markers: keyframeEffects.map((keyframe, keyframeIndex) => ({
+                    id: keyframe.id,
+                    keyframeIndex,
+                    frame: this.getKeyframeFrame(keyframe),
+                    name: keyframe.name || keyframe.className || 'Keyframe',
+                    visible: keyframe.visible !== false
+                }))
+            });
+        });
+
+        return tracks;
+    }
+
+    /**
+     * Get the frame a keyframe effect fires on
+     * @param {Object} keyframe - Keyframe effect
+     * @returns {number} Frame number (0 when unknown)
+     */
+    static getKeyframeFrame(keyframe) {
+        if (Number.isFinite(keyframe?.frame)) {
+            return keyframe.frame;
+        }
+        const keyFrames = keyframe?.config?.keyFrames;
+        if (Array.isArray(keyFrames) && Number.isFinite(keyFrames[0])) {
+            return keyFrames[0];
+        }
+        return 0;
+    }
+
+    /**
+     * Clamp a frame into the project's range
+     * @param {number} frame - Frame number
+     * @param {number} numFrames - Total frames in the project
+     * @returns {number} Integer frame between 0 and numFrames - 1
+     */
+    static clampFrame(frame, numFrames) {
+        const lastFrame = Math.max(0, (numFrames || 1) - 1);
+        return Math.max(0, Math.min(lastFrame, Math.round(frame)));
+    }
+
+    /**
+     * Convert a horizontal offset on the ruler to a frame number
+     * @param {number} offsetX - Pixels from the left edge of the ruler
+     * @param {number} width - Ruler width in pixels
+     * @param {number} numFrames - Total frames in the project
+     * @returns {number} Frame number
+     */
+    static frameFromOffset(offsetX, width, numFrames) {
+        if (!width || width <= 0 || numFrames <= 1) {
+            return 0;
+        }
+        return this.clampFrame((offsetX / width) * (numFrames - 1), numFrames);
+    }
+
+    /**
+     * Convert a frame number to a percentage position on the ruler
+     * @param {number} frame - Frame number
+     * @param {number} numFrames - Total frames in the project
+     * @returns {number} Position from 0 to 100
+     */
+    static frameToPercent(frame, numFrames) {
+        if (numFrames <= 1) {
+            return 0;
+        }
+        return (this.clampFrame(frame, numFrames) / (numFrames - 1)) * 100;
+    }
+
+    /**
+     * Pick a ruler tick interval that keeps labels readable
+     * @param {number} numFrames - Total frames in the project
+     * @param {number} width - Ruler width in pixels
+     * @param {number} [minSpacing=60] - Minimum pixels between labelled ticks
+     * @returns {number} Frames between ticks
+     */
+    static getTickInterval(numFrames, width, minSpacing = 60) {
+        const steps = [1, 2, 5, 10, 20, 25, 50, 100, 200, 250, 500, 1000, 2000, 5000];
+        const pixelsPerFrame = width / Math.max(1, numFrames - 1);
+
+        return steps.find(step => step * pixelsPerFrame >= minSpacing) || steps[steps.length - 1];
+    }
+
+    /**
+     * Build the UpdateKeyframeEffectCommand updates that move a keyframe to a new frame
+     * The frame is kept in `frame` (UI and persistence) and `config.keyFrames` (my-nft-gen).
+     * @param {Object} keyframe - Keyframe effect being retimed
+     * @param {number} newFrame - Target frame
+     * @returns {Object} Updates { frame, config }
+     */
+    static buildRetimeUpdates(keyframe, newFrame) {
+        const previousFrame = this.getKeyframeFrame(keyframe);
+        const config = { ...(keyframe.config || {}) };
+
+        if (Array.isArray(config.keyFrames) && config.keyFrames.length > 0) {
+            const index = config.keyFrames.indexOf(previousFrame);
+            config.keyFrames = [...config.keyFrames];
+            config.keyFrames[index === -1 ? 0 : index] = newFrame;
+        } else {
+            config.keyFrames = [newFrame];
+        }
+
+        return { frame: newFrame, config };
+    }
+}
+
+export default KeyframeTimelineUtils;
@@ -0,0 +1,155 @@
+/**
+ * PaletteBuckets - Map loose palettes onto the color scheme shape
+ *
+ * Color schemes split their colors into three buckets:
+ *   neutrals    - whites, grays and other low-chroma colors
+ *   backgrounds - dark base colors
+ *   lights      - bright, saturated colors for the main effects
+ *
+ * Imported palettes and colors extracted from images are flat lists, so the
+ * bucket is taken from the swatch label when it names one ("Lights 3",
+ * "--scheme-background-1") and guessed from lightness and chroma otherwise.
+ */
+
+export const SCHEME_BUCKETS = ['neutrals', 'backgrounds', 'lights'];
+
+// HSL lightness below which a color is treated as a background
+const BACKGROUND_MAX_LIGHTNESS = 0.25;
+
+// Chroma (max - min channel, 0-1) below which a color is treated as neutral
+const NEUTRAL_MAX_CHROMA = 0.15;
+
+const BUCKET_LABELS = [
+    { bucket: 'neutrals', pattern: /neutral/i },
+    { bucket: 'backgrounds', pattern: /background|\bbg\b/i },
+    { bucket: 'lights', pattern: /light/i }
+];
+
+export default class PaletteBuckets {
+    /**
+     * Normalize a hex color to #RRGGBB
+     * @param {string} value - Hex color (#RGB, #RRGGBB or #RRGGBBAA, '#' optional)
+     * @returns {string|null} Upper-case #RRGGBB or null if invalid
+     */
+    static normalizeHex(value) {
+        if (typeof value !== 'string') return null;
+
+        let hex = value.trim().replace(/^#/, '');
+        if (/^[0-9a-f]{3}$/i.test(hex)) {
+            hex = hex.split('').map(char => char + char).join('');
+        } else if (/^[0-9a-f]{8}$/i.test(hex)) {
+            hex = hex.slice(0, 6);
+        }
+
+        return /^[0-9a-f]{6}$/i.test(hex) ? `#${hex.toUpperCase()}` : null;
+    }
+
+    /**
+     * @param {string} hex - #RRGGBB color
+     * @returns {Object} { r, g, b } in 0-255
+     */
+    static hexToRgb(hex) {
+        const value = parseInt(this.normalizeHex(hex).slice(1), 16);
+        return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+    }
+
+    /**
+     * @param {Object} rgb - { r, g, b } in 0-255 (clamped and rounded)
+     * @returns {string} #RRGGBB color
+     */
+    static rgbToHex({ r, g, b }) {
+        const channel = (value) => Math.min(255, Math.max(0, Math.round(value))).toString(16).padStart(2, '0');
+        return `#${channel(r)}${channel(g)}${channel(b)}`.toUpperCase();
+    }
+
+    /**
+     * HSL lightness and chroma of a color
+     * @param {string} hex - #RRGGBB color
+     * @returns {Object} { lightness, chroma } in 0-1
+     */
+    static measure(hex) {
+        const { r, g, b } = this.hexToRgb(hex);
+        const max = Math.max(r, g, b) / 255;
+        const min = Math.min(r, g, b) / 255;
+        return { lightness: (max + min) / 2, chroma: max - min };
+    }
+
+    /**
+     * Bucket named by a swatch label
+     * @param {string} label - Swatch, group or variable name
+     * @returns {string|null} Bucket key or null
+     */
+    static bucketFromLabel(label) {
+        if (!label) return null;
+        const match = BUCKET_LABELS.find(({ pattern }) => pattern.test(label));
+        return match ? match.bucket : null;
+    }
+
+    /**
+     * Bucket guessed from a color's lightness and chroma
+     * @param {string} hex - #RRGGBB color
+     * @returns {string} Bucket key
+     */
+    static guessBucket(hex) {
+        const { lightness, chroma } = this.measure(hex);
+        if (lightness < BACKGROUND_MAX_LIGHTNESS) return 'backgrounds';
+        if (chroma < NEUTRAL_MAX_CHROMA) return 'neutrals';
+        return 'lights';
+    }
+
+    /**
+     * Sort colors into scheme buckets
+     * Labeled swatches keep their bucket; the rest are guessed. Every bucket
+     * ends up with at least one color (a scheme requires it), borrowing the
+     * closest fit from the other buckets when needed.
+     * @param {Array<Object|string>} swatches - Hex strings or { color, label }
+     * @returns {Object} { neutrals, backgrounds, lights }
+     */
+    static classify(swatches) {
+        const buckets = { neutrals: [], backgrounds: [], lights: [] };
+        const all = [];
+
+        swatches.forEach(swatch => {
+            const { color, label } = typeof swatch === 'string' ? { color: swatch } : swatch;
+            const hex = this.normalizeHex(color);
+            if (!hex) return;
+
+            const bucket = this.bucketFromLabel(label) || this.guessBucket(hex);
+            if (!buckets[bucket].includes(hex)) {
+                buckets[bucket].push(hex);
+            }
+            if (!all.includes(hex)) {
+                all.push(hex);
+            }
+        });
+
+        if (all.length === 0) {
+            throw new Error('Palette contains no colors');
+        }
+
+        const byLightness = [...all].sort((a, b) => this.measure(a).lightness - this.measure(b).lightness);
+        const byChroma = [...all].sort((a, b) => this.measure(a).chroma - this.measure(b).chroma);
+
+        if (buckets.backgrounds.length === 0) buckets.backgrounds.push(byLightness[0]);
+        if (buckets.neutrals.length === 0) buckets.neutrals.push(byChroma[0]);
+        if (buckets.lights.length === 0) buckets.lights.push(byChroma[byChroma.length - 1]);
+
+        return buckets;
+    }
+
+    /**
+     * Flatten a scheme into labeled swatches (lights first)
+     * @param {Object} scheme - { neutrals, backgrounds, lights }
+     * @returns {Array<Object>} [{ color, bucket, label }]
+     */
+    static toSwatches(scheme) {
+        const labels = { lights: 'Lights', neutrals: 'Neutrals', backgrounds: 'Backgrounds' };
+        return ['lights', 'neutrals', 'backgrounds'].flatMap(bucket =>
+            (scheme[bucket] || []).map((color, index) => ({
+                color: this.normalizeHex(color),
+                bucket,
+                label: `${labels[bucket]} ${index + 1}`
+            }))
+        ).filter(swatch => swatch.color);
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * PositionHandleUtils - Geometry for on-canvas position handles
+ *
+ * Finds the position-like fields of an effect config (Position, ArcPath and
+ * legacy Point2D values) and converts pointer coordinates on the zoomed and
+ * panned canvas back to project resolution.
+ */
+export class PositionHandleUtils {
+    /**
+     * Detect the kind of position value stored in a config field
+     * @param {*} value - Config field value
+     * @returns {string|null} 'position', 'arc-path', 'point2d' or null
+     */
+    static getPositionKind(value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return null;
+        }
+        if (value.name === 'position' && Number.isFinite(value.x) && Number.isFinite(value.y)) {
+            return 'position';
+        }
+        if (value.name === 'arc-path' && value.center &&
+            Number.isFinite(value.center.x) && Number.isFinite(value.center.y)) {
+            return 'arc-path';
+        }
+        if (!value.name && Number.isFinite(value.x) && Number.isFinite(value.y)) {
+            return 'point2d';
+        }
+        return null;
+    }
+
+    /**
+     * Build the draggable handles for every position field of a config
+     * Arc paths get a center handle and a radius handle on the 0° edge of the arc.
+     * @param {Object} config - Effect config
+     * @returns {Array<Object>} Handles: { id, fieldName, role, kind, x, y, arc? }
+     */
+    static collectHandles(config = {}) {
+        const handles = [];
+
+        Object.entries(config || {}).forEach(([fieldName, value]) => {
+            const kind = this.getPositionKind(value);
+
+            if (kind === 'position' || kind === 'point2d') {
+                handles.push({ id: fieldName, fieldName, role: 'point', kind, x: value.x, y: value.y });
+            } else if (kind === 'arc-path') {
+                const radius = Number.isFinite(value.radius) ? value.radius : 0;
+                const arc = {
+                    center: { x: value.center.x, y: value.center.y },
+                    radius,
+                    startAngle: Number.isFinite(value.startAngle) ? value.startAngle : 0,
+                    endAngle: Number.isFinite(value.endAngle) ? value.endAngle : 360
+                };
+                handles.push({ id: `${fieldName}:center`, fieldName, role: 'center', kind, x: arc.center.x, y: arc.center.y, arc });
+                handles.push({ id: `${fieldName}:radius`, fieldName, role: 'radius', kind, x: arc.center.x + radius, y: arc.center.y, arc });
+            }
+        });
+
+        return handles;
+    }
+
+    /**
+     * Convert a pointer position to project coordinates
+     * The rect must be the on-screen bounding box of the rendered canvas, which
+     * already includes the viewport's zoom and pan transform.
+     * @param {number} clientX - Pointer X in client pixels
+     * @param {number} clientY - Pointer Y in client pixels
+     * @param {DOMRect|Object} rect - Canvas bounding rect { left, top, width, height }
+     * @param {Object} dimensions - Project dimensions { w, h }
+     * @returns {Object} Rounded, clamped point { x, y }
+     */
+    static screenToProject(clientX, clientY, rect, dimensions) {
+        if (!rect || !rect.width || !rect.height) {
+            return { x: 0, y: 0 };
+        }
+        const x = ((clientX - rect.left) / rect.width) * dimensions.w;
+        const y = ((clientY - rect.top) / rect.height) * dimensions.h;
+
+        return {
+            x: Math.round(Math.max(0, Math.min(dimensions.w, x))),
+            y: Math.round(Math.max(0, Math.min(dimensions.h, y)))
+        };
+    }
+
+    /**
+     * Produce the new field value after dragging a handle to a point
+     * Other properties of the value (metadata, angles, direction) are preserved.
+     * @param {Object} value - Current field value
+     * @param {Object} handle - Handle being dragged
+     * @param {Object} point - Target point in project coordinates
+     * @returns {Object} New field value
+     */
+    static applyHandleDrag(value, handle, point) {
+        if (handle.role === 'center') {
+            return { ...value, center: { ...value.center, x: point.x, y: point.y } };
+        }
+        if (handle.role === 'radius') {
+            const radius = Math.round(Math.hypot(point.x - value.center.x, point.y - value.center.y));
+            return { ...value, radius: Math.max(1, radius) };
+        }
+        return { ...value, x: point.x, y: point.y };
+    }
+
+    /**
+     * Build an SVG path for the visible portion of an arc path
+     * @param {Object} arc - { center, radius, startAngle, endAngle } in degrees
+     * @returns {string} SVG path data
+     */
+    static describeArc(arc) {
+        const { center, radius } = arc;
+        const sweep = Math.abs(arc.endAngle - arc.startAngle);
+        if (sweep >= 360 || sweep === 0) {
+            return `M ${center.x - radius} ${center.y} a ${radius} ${radius} 0 1 0 ${radius * 2} 0 a ${radius} ${radius} 0 1 0 ${-radius * 2} 0`;
+        }
+
+        const toPoint = (angle) => {
+            const radians = (angle * Math.PI) / 180;
+            return { x: center.x + radius * Math.cos(radians), y: center.y + radius * Math.sin(radians) };
+        };
+        const start = toPoint(arc.startAngle);
+        const end = toPoint(arc.endAngle);
+        const largeArc = sweep > 180 ? 1 : 0;
+        const sweepFlag = arc.endAngle > arc.startAngle ? 1 : 0;
+
+        return `M ${start.x} ${start.y} A ${radius} ${radius} 0 ${largeArc} ${sweepFlag} ${end.x} ${end.y}`;
+    }
+}
+
+export default PositionHandleUtils;
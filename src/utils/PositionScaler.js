@@ -276,10 +276,10 @@ export class PositionScaler {
 
         // Handle ArcPath objects
         if (position.name === 'arc-path' && position.center) {
-            const avgScale = (scaleX + scaleY) / 2; // Use average scale for radius
+            const radiusScale = this.getRadiusScale(scaleX, scaleY, maxWidth, maxHeight);
             const scaledCenterX = Math.round(position.center.x * scaleX);
             const scaledCenterY = Math.round(position.center.y * scaleY);
-            const scaledRadius = Math.round(position.radius * avgScale);
+            const scaledRadius = Math.round(position.radius * radiusScale);
 
             // Clamp center to valid coordinate bounds (0 to width-1, 0 to height-1)
             const clampedCenterX = Math.min(Math.max(scaledCenterX, 0), maxWidth - 1);
@@ -313,6 +313,22 @@ export class PositionScaler {
         return position;
     }
 
+    /**
+     * Scale factor for radii when the canvas changes
+     * Radii follow the shorter canvas side, so a circle keeps its size relative to
+     * the canvas when the aspect ratio changes non-proportionally (e.g. 16:9 to 4:5
+     * or an orientation swap) instead of growing with the average of both axes.
+     * @param {number} scaleX - X-axis scale factor
+     * @param {number} scaleY - Y-axis scale factor
+     * @param {number} newWidth - New canvas width
+     * @param {number} newHeight - New canvas height
+     * @returns {number} Radius scale factor
+     */
+    static getRadiusScale(scaleX, scaleY, newWidth, newHeight) {
+        const oldShortestSide = Math.min(newWidth / scaleX, newHeight / scaleY);
+        return Math.min(newWidth, newHeight) / oldShortestSide;
+    }
+
     /**
      * Validate dimension values
      * @param {number} width - Width value to validate
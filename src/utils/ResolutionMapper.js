@@ -58,6 +58,85 @@ class ResolutionMapper {
         1080: { w: 1080, h: 1080, name: "Instagram Square", category: "Social" }
     };
 
+    // Bounds for user-defined width x height resolutions
+    static MIN_CUSTOM_DIMENSION = 16;
+    static MAX_CUSTOM_DIMENSION = 16384;
+
+    // Common formats the table cannot express, offered when creating a custom resolution
+    static customSuggestions = [
+        { w: 1080, h: 1350, name: "Portrait 4:5" },
+        { w: 1080, h: 1920, name: "Story 9:16" },
+        { w: 2000, h: 3000, name: "Print 2:3" },
+        { w: 2400, h: 3000, name: "Print 4:5" },
+        { w: 3000, h: 1000, name: "Banner 3:1" }
+    ];
+
+    /**
+     * Parse a custom "WIDTHxHEIGHT" resolution (e.g. "1080x1350")
+     * Custom resolutions are stored as strings so they never collide with the
+     * width-keyed table above.
+     * @param {*} value - Resolution value
+     * @returns {Object|null} { w, h } or null if the value is not a valid custom resolution
+     */
+    static parseCustomResolution(value) {
+        if (typeof value !== 'string') {
+            return null;
+        }
+
+        const match = value.trim().toLowerCase().match(/^(\d+)\s*[x×]\s*(\d+)$/);
+        if (!match) {
+            return null;
+        }
+
+        const w = parseInt(match[1]);
+        const h = parseInt(match[2]);
+        const inRange = (n) => n >= this.MIN_CUSTOM_DIMENSION && n <= this.MAX_CUSTOM_DIMENSION;
+        return inRange(w) && inRange(h) ? { w, h } : null;
+    }
+
+    /**
+     * Check if a value is a custom "WIDTHxHEIGHT" resolution
+     * @param {*} value - Resolution value
+     * @returns {boolean} True if custom resolution
+     */
+    static isCustomResolution(value) {
+        return this.parseCustomResolution(value) !== null;
+    }
+
+    /**
+     * Build the resolution value for a custom width and height
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {string} Custom resolution value (e.g. "1080x1350")
+     * @throws {Error} If the dimensions are out of range
+     */
+    static createCustomResolution(width, height) {
+        const value = `${Math.round(width)}x${Math.round(height)}`;
+        if (!this.isCustomResolution(value)) {
+            throw new Error(`Custom resolution ${width}x${height} must be between ${this.MIN_CUSTOM_DIMENSION} and ${this.MAX_CUSTOM_DIMENSION} pixels per side`);
+        }
+        return value;
+    }
+
+    /**
+     * Reduced aspect ratio label (e.g. 1080x1350 -> "4:5")
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {string} Aspect ratio label
+     */
+    static getAspectRatioLabel(width, height) {
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+        const divisor = gcd(width, height) || 1;
+        const ratioW = width / divisor;
+        const ratioH = height / divisor;
+
+        // Irregular sizes (e.g. 1366x768) read better as a decimal ratio
+        if (ratioW > 32 || ratioH > 32) {
+            return `${(width / height).toFixed(2)}:1`;
+        }
+        return `${ratioW}:${ratioH}`;
+    }
+
     /**
      * Get resolution dimensions by width
      * @param {number} width - The width to look up
@@ -111,11 +190,21 @@ class ResolutionMapper {
 
     /**
      * Get dimensions for a given width, handling orientation
-     * @param {number|string} width - The width to look up or string resolution name
+     * @param {number|string} width - The width to look up, string resolution name or custom "WIDTHxHEIGHT" value
      * @param {boolean} isHorizontal - Whether orientation is horizontal
      * @returns {Object} Dimensions object with w and h
      */
     static getDimensions(width, isHorizontal = true) {
+        // Custom resolutions keep their aspect ratio; orientation decides which side is longer
+        const custom = this.parseCustomResolution(width);
+        if (custom) {
+            const longest = Math.max(custom.w, custom.h);
+            const shortest = Math.min(custom.w, custom.h);
+            return isHorizontal
+                ? { w: longest, h: shortest }
+                : { w: shortest, h: longest };
+        }
+
         // Convert string resolution names to numeric width values
         if (typeof width === 'string') {
             width = this.parseStringResolution(width);
@@ -157,10 +246,15 @@ class ResolutionMapper {
 
     /**
      * Get display name for a resolution
-     * @param {number} width - The width to look up
+     * @param {number|string} width - The width to look up or custom "WIDTHxHEIGHT" value
      * @returns {string} Display name (e.g., "1920x1080 (Full HD)")
      */
     static getDisplayName(width) {
+        const custom = this.parseCustomResolution(width);
+        if (custom) {
+            return `${custom.w}x${custom.h} (Custom ${this.getAspectRatioLabel(custom.w, custom.h)})`;
+        }
+
         const resolution = this.getByWidth(width);
         if (!resolution) {
             return `${width}x? (Unknown)`;
@@ -169,12 +263,12 @@ class ResolutionMapper {
     }
 
     /**
-     * Check if a width value is a valid resolution
-     * @param {number} width - The width to validate
+     * Check if a width value (or custom "WIDTHxHEIGHT" value) is a valid resolution
+     * @param {number|string} width - The width to validate
      * @returns {boolean} True if valid resolution
      */
     static isValidResolution(width) {
-        return this.resolutions.hasOwnProperty(width);
+        return this.resolutions.hasOwnProperty(width) || this.isCustomResolution(width);
     }
 
     /**
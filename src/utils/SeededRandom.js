@@ -0,0 +1,135 @@
+/**
+ * SeededRandom - Deterministic randomness for reproducible variants
+ *
+ * my-nft-gen resolves ranges and percentChance rolls with Math.random, so
+ * seeded code draws from mulberry32 generators instead: effect constructors
+ * through seedClass, and whole collection variants through SeededRandomScope
+ * (Node only), which keeps its stream across awaits.
+ *
+ * Effects get their own stream (derived from the master seed and the effect id,
+ * or an explicit per-effect seed), so rerolling one effect leaves the random
+ * choices of every other effect untouched.
+ */
+export class SeededRandom {
+    /**
+     * Normalize a number or string seed to an unsigned 32-bit integer
+     * Strings are hashed (FNV-1a), numbers are truncated.
+     * @param {number|string} seed - Seed value
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.trunc(seed) >>> 0;
+        }
+
+        const text = String(seed ?? '');
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Create a mulberry32 generator
+     * @param {number|string} seed - Seed value
+     * @returns {Function} () => number in [0, 1)
+     */
+    static createGenerator(seed) {
+        let state = this.normalizeSeed(seed);
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Derive a child seed, e.g. the seed of variant N from a master seed
+     * @param {number|string} masterSeed - Master seed
+     * @param {number|string} key - Variant index or other discriminator
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static deriveSeed(masterSeed, key) {
+        return this.normalizeSeed(`${this.normalizeSeed(masterSeed)}:${key}`);
+    }
+
+    /**
+     * Parse a user-entered seed
+     * Digits are used as-is, any other text is hashed, blank means unseeded.
+     * @param {number|string|null} input - Seed entered by the user
+     * @returns {number|null} Unsigned 32-bit seed or null
+     */
+    static parseSeed(input) {
+        if (input === null || input === undefined) {
+            return null;
+        }
+        const text = String(input).trim();
+        if (text === '') {
+            return null;
+        }
+        return /^\d+$/.test(text) ? this.normalizeSeed(Number(text)) : this.normalizeSeed(text);
+    }
+
+    /**
+     * Resolve the seed an effect's random choices are drawn from
+     * An explicit effect seed wins; otherwise the seed is derived from the
+     * master seed (the project's, or a collection variant's).
+     * @param {Object} effect - Effect with id and optional seed
+     * @param {number|null} masterSeed - Master seed
+     * @returns {number|null} Seed, or null when the effect is unseeded
+     */
+    static resolveEffectSeed(effect, masterSeed = null) {
+        if (effect.seed !== null && effect.seed !== undefined) {
+            return this.normalizeSeed(effect.seed);
+        }
+        if (masterSeed === null || masterSeed === undefined) {
+            return null;
+        }
+        return this.deriveSeed(masterSeed, effect.id);
+    }
+
+    /**
+     * Wrap an effect class so its constructor draws from a seeded stream
+     * my-nft-gen effects resolve their random values synchronously while being
+     * constructed, so Math.random is swapped only for the duration of super().
+     * @param {Function} EffectClass - my-nft-gen effect class
+     * @param {Function} resolveSeed - () => seed or null, evaluated per construction
+     * @returns {Function} Seeded subclass
+     */
+    static seedClass(EffectClass, resolveSeed) {
+        const createGenerator = (seed) => this.createGenerator(seed);
+
+        const SeededEffect = class extends EffectClass {
+            constructor(...args) {
+                const seed = resolveSeed();
+                const originalRandom = Math.random;
+                if (seed !== null) {
+                    Math.random = createGenerator(seed);
+                }
+                try {
+                    super(...args);
+                } finally {
+                    Math.random = originalRandom;
+                }
+            }
+        };
+
+        // Keep the effect's name so settings files and logs are unchanged
+        Object.defineProperty(SeededEffect, 'name', { value: EffectClass.name });
+        return SeededEffect;
+    }
+
+    /**
+     * Create a new random seed
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+}
+
+export default SeededRandom;
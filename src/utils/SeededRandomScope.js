@@ -0,0 +1,71 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import SeededRandom from './SeededRandom.js';
+
+/**
+ * SeededRandomScope - A seeded random stream that follows one async call chain
+ *
+ * my-nft-gen rolls percentChance, ranges and colors with Math.random, before
+ * and after awaits. Code run through SeededRandomScope.run draws every
+ * Math.random call from the scope's own generator, however many awaits it
+ * spans, while work started outside the scope (e.g. a preview render running
+ * at the same time) keeps plain randomness and never sees the scope's seed.
+ *
+ * Node only (AsyncLocalStorage); browser code uses SeededRandom directly.
+ */
+export class SeededRandomScope {
+    static storage = new AsyncLocalStorage();
+
+    static originalRandom = null;
+
+    static activeScopes = 0;
+
+    /**
+     * Run a (possibly async) function with its own seeded Math.random
+     * Scopes can run concurrently; each one draws from its own stream.
+     * @param {number|string} seed - Seed value
+     * @param {Function} fn - Function to run
+     * @returns {Promise<*>} Result of fn
+     */
+    static async run(seed, fn) {
+        this.install();
+        const scope = { seed: SeededRandom.normalizeSeed(seed), random: SeededRandom.createGenerator(seed) };
+        this.activeScopes++;
+        try {
+            return await this.storage.run(scope, fn);
+        } finally {
+            // Tracking async context costs every promise in the process (and makes a stack
+            // overflow in any of them fatal), so it is switched off while no scope runs
+            if (--this.activeScopes === 0) {
+                this.storage.disable();
+            }
+        }
+    }
+
+    /**
+     * Seed of the scope the caller runs in
+     * @returns {number|null} Unsigned 32-bit seed, or null outside a scope
+     */
+    static getSeed() {
+        return this.storage.getStore()?.seed ?? null;
+    }
+
+    /**
+     * Route Math.random to the current scope's generator (once per process)
+     * Outside a scope the original Math.random is called.
+     * @private
+     */
+    static install() {
+        if (this.originalRandom) {
+            return;
+        }
+        const originalRandom = Math.random;
+        const storage = this.storage;
+        this.originalRandom = originalRandom;
+        Math.random = function scopedRandom() {
+            const scope = storage.getStore();
+            return scope ? scope.random() : originalRandom();
+        };
+    }
+}
+
+export default SeededRandomScope;
@@ -211,11 +211,9 @@ async function testProportionalScalingWithAspectRatio() {
             throw new Error(`Expected scaled arc center (512, 384), got (${scaledArc.center.x}, ${scaledArc.center.y})`);
         }
         
-        // Radius should use average scale factor
-        const scaleX = 1024 / 1920; // ~0.533
-        const scaleY = 768 / 1080;  // ~0.711
-        const avgScale = (scaleX + scaleY) / 2; // ~0.622
-        const expectedRadius = Math.round(200 * avgScale); // ~124
+        // Radius should follow the shorter side so the arc keeps its size relative to the canvas
+        const radiusScale = 768 / 1080; // ~0.711
+        const expectedRadius = Math.round(200 * radiusScale); // 142
         
         if (scaledArc.radius !== expectedRadius) {
             throw new Error(`Expected scaled radius ${expectedRadius}, got ${scaledArc.radius}`);
@@ -332,11 +330,9 @@ async function testArcPathCenterScaling() {
             throw new Error(`Expected scaled arc center (640, 360), got (${scaledArc.center.x}, ${scaledArc.center.y})`);
         }
         
-        // Test radius scaling with average scale factor
-        const scaleX = 1280 / 1920; // 0.667
-        const scaleY = 720 / 1080;  // 0.667
-        const avgScale = (scaleX + scaleY) / 2; // 0.667
-        const expectedRadius = Math.round(150 * avgScale); // 100
+        // Test radius scaling with the shorter side scale factor
+        const radiusScale = 720 / 1080; // 0.667
+        const expectedRadius = Math.round(150 * radiusScale); // 100
         
         if (scaledArc.radius !== expectedRadius) {
             throw new Error(`Expected scaled radius ${expectedRadius}, got ${scaledArc.radius}`);
@@ -0,0 +1,285 @@
+/**
+ * Collection Generation Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests seeded randomness for reproducible variants and the collection rarity report
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import SeededRandom from '../../src/utils/SeededRandom.js';
+import SeededRandomScope from '../../src/utils/SeededRandomScope.js';
+import EffectProcessingService from '../../src/main/services/EffectProcessingService.js';
+import RenderCoordinator from '../../src/services/RenderCoordinator.js';
+import rarityReportService from '../../src/services/RarityReportService.js';
+
+// Two possible primary effects: a guaranteed flare with an optional glow, and an optional grain
+const createSettings = ({ grain, glow, rings }) => ({
+    config: { _INVOKER_: 'artist', runName: 'genesis' },
+    colorScheme: { colorBucket: ['#000000'], colorSchemeInfo: 'Neon Nights' },
+    allPrimaryEffects: [
+        {
+            name: 'fuzz-flare',
+            percentChance: 100,
+            currentEffectConfig: { numberOfRings: { lower: 2, upper: 6 } },
+            possibleSecondaryEffects: [{ name: 'glow', percentChance: 50, currentEffectConfig: {} }]
+        },
+        { name: 'film-grain', percentChance: 25, currentEffectConfig: { amount: 0.5 } }
+    ],
+    effects: [
+        {
+            name: 'fuzz-flare',
+            config: { numberOfRings: { lower: 2, upper: 6 } },
+            data: { numberOfRings: rings },
+            additionalEffects: glow ? [{ name: 'glow', config: {}, data: {} }] : []
+        },
+        ...(grain ? [{ name: 'film-grain', config: { amount: 0.5 }, data: { amount: 0.5 }, additionalEffects: [] }] : [])
+    ]
+});
+
+// Test: the same seed always produces the same stream, derived seeds differ
+export async function testSeededRandomIsDeterministic() {
+    const first = SeededRandom.createGenerator('genesis');
+    const second = SeededRandom.createGenerator('genesis');
+    const streamA = Array.from({ length: 5 }, () => first());
+    const streamB = Array.from({ length: 5 }, () => second());
+
+    if (streamA.join() !== streamB.join()) {
+        throw new Error('Generators with the same seed should produce the same values');
+    }
+    if (streamA.some(value => value < 0 || value >= 1)) {
+        throw new Error('Generated values should be in [0, 1)');
+    }
+    if (SeededRandom.deriveSeed(42, 0) === SeededRandom.deriveSeed(42, 1)) {
+        throw new Error('Variant seeds derived from one master seed should differ');
+    }
+    if (SeededRandom.deriveSeed('42', 3) !== SeededRandom.deriveSeed('42', 3)) {
+        throw new Error('Derived seeds should be stable');
+    }
+
+    console.log('✅ Seeded generators are deterministic');
+}
+
+// Test: a seeded scope keeps its stream across awaits without leaking into other async work
+export async function testSeededScopeFollowsItsCallChain() {
+    const roll = () => Array.from({ length: 3 }, () => Math.random());
+    const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    let seedOutsideScope;
+    const [first, second] = await Promise.all([
+        SeededRandomScope.run(7, async () => {
+            const before = roll();
+            await pause(5);
+            return [...before, ...roll()];
+        }),
+        SeededRandomScope.run(7, async () => {
+            const before = roll();
+            await pause(1);
+            return [...before, ...roll()];
+        }),
+        // Unrelated async work (e.g. a preview render) running while the scopes wait
+        pause(2).then(() => {
+            seedOutsideScope = SeededRandomScope.getSeed();
+            roll();
+        })
+    ]);
+
+    if (first.join() !== second.join()) {
+        throw new Error('Scopes with the same seed should draw the same stream across awaits');
+    }
+    if (seedOutsideScope !== null) {
+        throw new Error('Work outside a scope should not see its seed');
+    }
+
+    let caught = false;
+    try {
+        await SeededRandomScope.run(7, () => {
+            throw new Error('boom');
+        });
+    } catch (error) {
+        caught = error.message === 'boom';
+    }
+    if (!caught) {
+        throw new Error('Errors inside a seeded scope should propagate');
+    }
+    if (SeededRandomScope.getSeed() !== null) {
+        throw new Error('No seed should be active after a scope');
+    }
+
+    console.log('✅ Seeded scopes follow their own call chain');
+}
+
+// Test: regenerating a collection reproduces every roll, including ones made after an await
+export async function testCollectionRegeneratesIdentically() {
+    class RandomValues {
+        constructor() {
+            this.values = [Math.random(), Math.random()];
+        }
+    }
+    const palette = ['#ff0055', '#00ffaa', '#5500ff', '#ffee00'];
+
+    // Generates settings the way my-nft-gen does: awaits first, then rolls chances and colors
+    class RollingProject {
+        constructor() {
+            this.GlowEffect = EffectProcessingService.seedEffectClass(RandomValues, { id: 'glow', seed: null }, null);
+        }
+
+        async generateSettingsFile({ finalFileName }) {
+            await new Promise(resolve => setTimeout(resolve, 2));
+            const hasGrain = Math.random() * 100 < 50;
+            const color = palette[Math.floor(Math.random() * palette.length)];
+            await Promise.resolve();
+            return { finalFileName, hasGrain, color, glow: new this.GlowEffect().values };
+        }
+    }
+
+    const generate = async (masterSeed) => {
+        const collectionDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'collection-test-'));
+        const { variants } = await new RenderCoordinator().generateCollectionSettings({
+            project: new RollingProject(),
+            projectName: 'genesis',
+            totalFrames: 10,
+            collectionDirectory,
+            count: 4,
+            masterSeed
+        });
+        return JSON.stringify(variants.map(variant => variant.settings));
+    };
+
+    // A preview render running alongside generation stays unseeded
+    const previewSeeds = [];
+    let previewing = true;
+    const preview = (async () => {
+        while (previewing) {
+            previewSeeds.push(SeededRandomScope.getSeed());
+            await new Promise(resolve => setTimeout(resolve, 1));
+        }
+    })();
+    const first = await generate(42);
+    previewing = false;
+    await preview;
+
+    const second = await generate(42);
+    if (first !== second) {
+        throw new Error('Regenerating with the same master seed should reproduce every variant');
+    }
+    if (first === await generate(43)) {
+        throw new Error('A different master seed should produce different variants');
+    }
+    if (previewSeeds.length === 0 || previewSeeds.some(seed => seed !== null)) {
+        throw new Error('A preview running during generation should not pick up a variant seed');
+    }
+
+    console.log('✅ Collections regenerate identically across awaits');
+}
+
+// Test: rarity report compares observed frequencies with configured percentChance
+export async function testRarityReportTalliesEffects() {
+    const report = rarityReportService.buildReport([
+        { tokenId: 1, settings: createSettings({ grain: true, glow: true, rings: 2 }) },
+        { tokenId: 2, settings: createSettings({ grain: false, glow: true, rings: 4 }) },
+        { tokenId: 3, settings: createSettings({ grain: false, glow: false, rings: 6 }) },
+        { tokenId: 4, settings: createSettings({ grain: false, glow: true, rings: 4 }) }
+    ]);
+
+    if (report.tokenCount !== 4) {
+        throw new Error(`Expected 4 tokens, got ${report.tokenCount}`);
+    }
+
+    const grain = report.effects.find(effect => effect.name === 'film-grain');
+    if (grain.occurrences !== 1 || grain.rolls !== 4 || grain.observedChance !== 25 || grain.deviation !== 0) {
+        throw new Error(`Unexpected film grain tally: ${JSON.stringify(grain)}`);
+    }
+
+    const glow = report.effects.find(effect => effect.name === 'glow');
+    if (glow.parent !== 'Fuzz Flare' || glow.occurrences !== 3 || glow.observedChance !== 75 || glow.deviation !== 25) {
+        throw new Error(`Unexpected glow tally: ${JSON.stringify(glow)}`);
+    }
+
+    const rings = report.traits.find(trait => trait.traitType === 'Fuzz Flare: Number Of Rings');
+    if (!rings?.numeric || rings.summary.min !== 2 || rings.summary.max !== 6 || rings.summary.mean !== 4) {
+        throw new Error('Numeric traits should be summarized with min/max/mean');
+    }
+
+    const grainTrait = report.traits.find(trait => trait.traitType === 'Film Grain');
+    const yes = grainTrait.values.find(({ value }) => value === 'Yes');
+    if (yes?.count !== 1 || yes.percent !== 25) {
+        throw new Error('Trait value distributions should be counted');
+    }
+
+    // Token 1 has the only grain, token 3 the only missing glow
+    if (report.tokens[0].tokenId !== 1 || report.tokens[0].rank !== 1) {
+        throw new Error('Token with the rarest trait should rank first');
+    }
+    if (report.tokens[report.tokens.length - 1].rarityScore > report.tokens[0].rarityScore) {
+        throw new Error('Tokens should be sorted by rarity score');
+    }
+
+    console.log('✅ Rarity report tallies effects and traits');
+}
+
+// Test: effects draw from their own streams, so rerolling one leaves the others unchanged
+export async function testEffectSeedsAreIndependent() {
+    // A real effect-like class that resolves its random values while being constructed
+    class RandomValues {
+        constructor() {
+            this.values = [Math.random(), Math.random()];
+        }
+    }
+    const construct = (effect, masterSeed) => {
+        const SeededClass = EffectProcessingService.seedEffectClass(RandomValues, effect, masterSeed);
+        return new SeededClass().values.join();
+    };
+
+    const first = { id: 'effect-a', seed: null };
+    const second = { id: 'effect-b', seed: null };
+
+    const firstBefore = construct(first, 99);
+    const secondBefore = construct(second, 99);
+    if (construct(first, 99) !== firstBefore) {
+        throw new Error('Same master seed should reproduce the same effect values');
+    }
+    if (firstBefore === secondBefore) {
+        throw new Error('Effects should draw from different streams');
+    }
+
+    // Reroll the second effect only
+    second.seed = 12345;
+    if (construct(second, 99) === secondBefore) {
+        throw new Error('Rerolled effect should get new values');
+    }
+    if (construct(first, 99) !== firstBefore) {
+        throw new Error('Rerolling one effect should not change another');
+    }
+    if (construct(second, 7) !== construct(second, 99)) {
+        throw new Error('Effect seed override should win over the master seed');
+    }
+
+    // Unseeded projects keep plain randomness; collection sections derive from the variant seed
+    if (SeededRandom.resolveEffectSeed(first, null) !== null) {
+        throw new Error('Effects without any seed should stay unseeded');
+    }
+    const [variantA, variantB] = await Promise.all([
+        SeededRandomScope.run(1, () => construct(first, 99)),
+        SeededRandomScope.run(2, () => construct(first, 99))
+    ]);
+    if (variantA === variantB) {
+        throw new Error('Collection variants should not share effect values');
+    }
+    if (construct(first, 99) !== firstBefore) {
+        throw new Error('Effects outside a variant scope should use the master seed');
+    }
+
+    if (SeededRandom.parseSeed('  ') !== null || SeededRandom.parseSeed('123') !== 123) {
+        throw new Error('Blank seeds should parse to null and digits to numbers');
+    }
+    if (SeededRandom.parseSeed('genesis') !== SeededRandom.normalizeSeed('genesis')) {
+        throw new Error('Text seeds should be hashed');
+    }
+    // A seed recorded in collection.json must reproduce the collection when entered again
+    const recordedSeed = SeededRandom.randomSeed();
+    if (SeededRandom.parseSeed(String(recordedSeed)) !== recordedSeed || SeededRandom.parseSeed(42) !== 42) {
+        throw new Error('Recorded seeds should parse back to themselves');
+    }
+
+    console.log('✅ Effect seeds are independent');
+}
@@ -0,0 +1,95 @@
+/**
+ * ColorHarmony Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests harmony hue rotations, generated scheme buckets and WCAG contrast reporting
+ */
+
+import ColorHarmony, { HARMONIES } from '../../src/utils/ColorHarmony.js';
+
+// Test: HSL conversions round-trip and harmonies rotate the base hue
+export async function testHarmonyHues() {
+    for (const hex of ['#FF0000', '#3366CC', '#12AB7F', '#808080']) {
+        if (ColorHarmony.hslToHex(ColorHarmony.hexToHsl(hex)) !== hex) {
+            throw new Error(`HSL round trip changed ${hex}`);
+        }
+    }
+
+    const expected = {
+        complementary: '0,180',
+        triadic: '0,120,240',
+        analogous: '0,30,330',
+        'split-complementary': '0,150,210',
+        tetradic: '0,90,180,270'
+    };
+    for (const [harmony, hues] of Object.entries(expected)) {
+        const actual = ColorHarmony.getHues('#FF0000', harmony).map(hue => Math.round(hue)).join(',');
+        if (actual !== hues) {
+            throw new Error(`${harmony}: expected hues ${hues}, got ${actual}`);
+        }
+    }
+
+    let threw = false;
+    try {
+        ColorHarmony.getHues('#FF0000', 'pentadic');
+    } catch (error) {
+        threw = true;
+    }
+    if (!threw) {
+        throw new Error('Expected unknown harmonies rejected');
+    }
+
+    console.log('✅ Harmonies rotate the base hue');
+}
+
+// Test: every harmony fills all buckets with distinct, valid colors
+export async function testGenerateFillsBuckets() {
+    for (const harmony of Object.keys(HARMONIES)) {
+        const scheme = ColorHarmony.generate('#3366CC', harmony);
+        if (scheme.lights.length !== 6 || scheme.backgrounds.length !== 4 || scheme.neutrals.length !== 4) {
+            throw new Error(`${harmony}: unexpected bucket sizes`);
+        }
+        if (new Set(scheme.lights).size !== scheme.lights.length) {
+            throw new Error(`${harmony}: duplicate lights`);
+        }
+        const all = [...scheme.lights, ...scheme.backgrounds, ...scheme.neutrals];
+        if (!all.every(color => /^#[0-9A-F]{6}$/.test(color))) {
+            throw new Error(`${harmony}: invalid colors ${all.join(',')}`);
+        }
+
+        const report = ColorHarmony.getContrastReport(scheme);
+        if (report.rating !== 'good') {
+            throw new Error(`${harmony}: generated lights should stand out (worst ${report.minRatio.toFixed(2)})`);
+        }
+    }
+
+    console.log('✅ Generated schemes fill every bucket with readable lights');
+}
+
+// Test: contrast report scores each light by its worst background
+export async function testContrastReport() {
+    if (Math.round(ColorHarmony.getContrastRatio('#FFFFFF', '#000000')) !== 21 ||
+        ColorHarmony.getContrastRatio('#777777', '#777777') !== 1) {
+        throw new Error('Expected WCAG ratios of 21 and 1');
+    }
+
+    const report = ColorHarmony.getContrastReport({
+        backgrounds: ['#000000', '#333333'],
+        lights: ['#FFFF00', '#222244', 'not a color']
+    });
+
+    if (report.lights.length !== 2 || report.lights[0].background !== '#333333') {
+        throw new Error('Expected each light measured against its worst background');
+    }
+    if (report.rating !== 'poor' || report.lowContrast.join() !== '#222244') {
+        throw new Error(`Expected #222244 flagged, got ${report.lowContrast.join()}`);
+    }
+    if (ColorHarmony.rateContrast(3.5) !== 'fair') {
+        throw new Error('Expected 3.5:1 rated fair');
+    }
+
+    const empty = ColorHarmony.getContrastReport({ backgrounds: [], lights: ['#FFFFFF'] });
+    if (empty.rating !== null) {
+        throw new Error('Expected no rating without backgrounds');
+    }
+
+    console.log('✅ Contrast report flags lights that vanish on the background');
+}
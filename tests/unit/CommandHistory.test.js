@@ -0,0 +1,155 @@
+/**
+ * Command History Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests undo tracking of project setting commands and persisted, restorable history
+ */
+
+import commandService, { Command } from '../../src/services/CommandService.js';
+import { CommandHistoryService } from '../../src/services/CommandHistoryService.js';
+import ProjectState from '../../src/models/ProjectState.js';
+import { ChangeFramesCommand, ChangeResolutionCommand } from '../../src/services/ProjectConfigCommandService.js';
+import { Effect } from '../../src/models/Effect.js';
+
+const createProjectState = () => {
+    const projectState = new ProjectState();
+    projectState.update({
+        numFrames: 100,
+        effects: [new Effect({
+            id: 'effect-1',
+            name: 'effect-1',
+            className: 'TestEffect',
+            registryKey: 'test-effect',
+            config: { amount: 1 },
+            type: 'primary'
+        })]
+    });
+    return projectState;
+};
+
+const createTracker = (projectState) => ({
+    capture: () => CommandHistoryService.captureState(projectState),
+    restore: (values) => CommandHistoryService.restoreState(projectState, values)
+});
+
+const createConfigCommand = (projectState, amount) => {
+    let previous = null;
+    const command = new Command(
+        'effect.update',
+        () => {
+            const [effect] = projectState.getState().effects;
+            previous = effect.config.amount;
+            projectState.update({ effects: [Effect.fromPOJO({ ...effect.toPOJO(), config: { amount } })] });
+        },
+        () => {
+            const [effect] = projectState.getState().effects;
+            projectState.update({ effects: [Effect.fromPOJO({ ...effect.toPOJO(), config: { amount: previous } })] });
+        },
+        `Set amount to ${amount}`
+    );
+    command.isEffectCommand = true;
+    return command;
+};
+
+const reset = () => {
+    commandService.setStateTracker(null);
+    commandService.clear();
+};
+
+// Test: project setting commands are tracked and undoable
+export async function testProjectSettingCommandsAreUndoable() {
+    reset();
+    const projectState = createProjectState();
+
+    await commandService.execute(new ChangeFramesCommand(projectState, 240));
+    await commandService.execute(new ChangeResolutionCommand(projectState, 1280));
+
+    if (commandService.getState().undoStackSize !== 2) {
+        throw new Error(`Expected both project setting commands tracked, got ${commandService.getState().undoStackSize}`);
+    }
+
+    commandService.undoToIndex(0);
+    if (projectState.getState().numFrames !== 100) {
+        throw new Error(`Expected frames restored to 100, got ${projectState.getState().numFrames}`);
+    }
+    if (!commandService.canRedo() || commandService.canUndo()) {
+        throw new Error('Expected both commands moved to the redo stack');
+    }
+
+    reset();
+    console.log('✅ Project setting commands are tracked and undoable');
+}
+
+// Test: exported history restores into a fresh session and undoes/redoes from recorded fields
+export async function testHistoryRoundTripsThroughExport() {
+    reset();
+    const projectState = createProjectState();
+    commandService.setStateTracker(createTracker(projectState));
+
+    await commandService.execute(new ChangeFramesCommand(projectState, 240));
+    await commandService.execute(createConfigCommand(projectState, 5));
+    await commandService.execute(createConfigCommand(projectState, 9));
+    commandService.undo();
+
+    const exported = JSON.parse(JSON.stringify(commandService.exportHistory()));
+    const frameEntry = exported.undoStack[0];
+    if (frameEntry.before.numFrames !== 100 || frameEntry.after.numFrames !== 240 || 'effects' in frameEntry.after) {
+        throw new Error('Expected the frame entry to hold only the changed field');
+    }
+
+    // Simulate reopening: same saved project, fresh ProjectState, restored history
+    const reopened = await ProjectState.fromObject(structuredClone(projectState.toJSON()));
+    reset();
+    commandService.setStateTracker(createTracker(reopened));
+    if (!commandService.restoreHistory(exported)) {
+        throw new Error('Expected history to restore');
+    }
+
+    const history = commandService.getUndoHistory();
+    if (history.length !== 2 || history[0].description !== 'Set amount to 5' || history[0].timestamp !== exported.undoStack[1].timestamp) {
+        throw new Error('Expected restored history to keep descriptions and timestamps');
+    }
+
+    commandService.redo();
+    if (reopened.getState().effects[0].config.amount !== 9) {
+        throw new Error('Expected redo to reapply the recorded effect config');
+    }
+    if (!(reopened.getState().effects[0] instanceof Effect)) {
+        throw new Error('Expected restored effects to be Effect instances');
+    }
+
+    commandService.undoToIndex(0);
+    const state = reopened.getState();
+    if (state.numFrames !== 100 || state.effects[0].config.amount !== 1) {
+        throw new Error('Expected undoing the restored history to reach the original state');
+    }
+
+    reset();
+    console.log('✅ History round-trips through export and restore');
+}
+
+// Test: entries older than a command without recorded state are not exported
+export async function testExportStopsAtUnrecordedCommand() {
+    reset();
+    const projectState = createProjectState();
+
+    await commandService.execute(createConfigCommand(projectState, 2));
+    commandService.setStateTracker(createTracker(projectState));
+    await commandService.execute(createConfigCommand(projectState, 3));
+
+    const exported = commandService.exportHistory();
+    if (exported.undoStack.length !== 1 || exported.undoStack[0].description !== 'Set amount to 3') {
+        throw new Error('Expected only the recorded command after the unrecorded one');
+    }
+
+    reset();
+    console.log('✅ Export drops history that cannot be replayed');
+}
+
+// Test: the history file sits next to the project file
+export async function testHistoryFilePath() {
+    const path = CommandHistoryService.getHistoryFilePath('/projects/My_Project.nftproject');
+    if (path !== '/projects/My_Project.nfthistory') {
+        throw new Error(`Unexpected history path ${path}`);
+    }
+
+    console.log('✅ History file path derived from the project file');
+}
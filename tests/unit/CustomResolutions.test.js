@@ -0,0 +1,133 @@
+/**
+ * Custom Resolutions Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests WIDTHxHEIGHT resolutions in ResolutionMapper, ProjectState, the resolution
+ * command and position scaling between non-proportional aspect ratios
+ */
+
+import ResolutionMapper from '../../src/utils/ResolutionMapper.js';
+import { PositionScaler } from '../../src/utils/PositionScaler.js';
+import CenterUtils from '../../src/utils/CenterUtils.js';
+import ProjectState from '../../src/models/ProjectState.js';
+import { ChangeResolutionCommand } from '../../src/services/ProjectConfigCommandService.js';
+
+const createProjectState = () => new ProjectState({
+    projectName: 'Custom',
+    targetResolution: 1920,
+    isHorizontal: true,
+    numFrames: 10,
+    effects: [{
+        id: 'ring-1',
+        name: 'ring',
+        className: 'ring',
+        registryKey: 'ring',
+        type: 'primary',
+        config: {
+            center: { name: 'position', x: 960, y: 540 },
+            path: { name: 'arc-path', center: { x: 480, y: 270 }, radius: 270 }
+        }
+    }]
+});
+
+const getConfig = (projectState) => {
+    const effect = projectState.getState().effects[0];
+    return effect.config;
+};
+
+// Test: custom resolutions parse, validate and follow the orientation flag
+export async function testCustomResolutionMapping() {
+    const portrait = ResolutionMapper.getDimensions('1080x1350', false);
+    if (portrait.w !== 1080 || portrait.h !== 1350) {
+        throw new Error(`Expected 1080x1350 vertical, got ${portrait.w}x${portrait.h}`);
+    }
+    const landscape = ResolutionMapper.getDimensions('1080x1350', true);
+    if (landscape.w !== 1350 || landscape.h !== 1080) {
+        throw new Error(`Expected 1350x1080 horizontal, got ${landscape.w}x${landscape.h}`);
+    }
+
+    if (!ResolutionMapper.isValidResolution('2000x3000') || ResolutionMapper.isValidResolution('8x8') ||
+        ResolutionMapper.isValidResolution('20000x100') || ResolutionMapper.isCustomResolution(1080)) {
+        throw new Error('Expected custom resolutions validated against their bounds');
+    }
+
+    if (ResolutionMapper.getDisplayName('1080x1350') !== '1080x1350 (Custom 4:5)') {
+        throw new Error(`Unexpected display name ${ResolutionMapper.getDisplayName('1080x1350')}`);
+    }
+    if (ResolutionMapper.createCustomResolution(2000.4, 3000) !== '2000x3000') {
+        throw new Error('Expected custom resolution values rounded to whole pixels');
+    }
+
+    let rejected = false;
+    try {
+        ResolutionMapper.createCustomResolution(0, 100);
+    } catch (error) {
+        rejected = true;
+    }
+    if (!rejected) {
+        throw new Error('Expected out of range custom resolutions to be rejected');
+    }
+
+    const centerDimensions = CenterUtils.getResolutionDimensions({ resolution: '1080x1920', isHorizontal: false });
+    if (centerDimensions.width !== 1080 || centerDimensions.height !== 1920) {
+        throw new Error(`Expected CenterUtils to resolve custom resolutions, got ${JSON.stringify(centerDimensions)}`);
+    }
+
+    console.log('✅ Custom resolution mapping');
+}
+
+// Test: switching to a custom resolution sets its orientation and scales positions once, undo restores both
+export async function testProjectStateCustomResolutionAndUndo() {
+    const projectState = createProjectState();
+
+    const command = new ChangeResolutionCommand(projectState, '1080x1350');
+    command.execute();
+
+    const dimensions = projectState.getResolutionDimensions();
+    if (dimensions.w !== 1080 || dimensions.h !== 1350 || projectState.getIsHorizontal() !== false) {
+        throw new Error(`Expected a vertical 1080x1350 canvas, got ${dimensions.w}x${dimensions.h}`);
+    }
+
+    const scaled = getConfig(projectState);
+    if (scaled.center.x !== 540 || scaled.center.y !== 675) {
+        throw new Error(`Expected the centered position to stay centered, got (${scaled.center.x}, ${scaled.center.y})`);
+    }
+    // The arc's radius follows the shorter side (1080 -> 1080), not the average of both axes
+    if (scaled.path.center.x !== 270 || scaled.path.center.y !== 338 || scaled.path.radius !== 270) {
+        throw new Error(`Unexpected arc after scaling ${JSON.stringify(scaled.path)}`);
+    }
+
+    command.undo();
+    const restored = getConfig(projectState);
+    if (projectState.getTargetResolution() !== 1920 || projectState.getIsHorizontal() !== true) {
+        throw new Error('Expected undo to restore the resolution and orientation');
+    }
+    if (restored.center.x !== 960 || restored.center.y !== 540 || restored.path.radius !== 270) {
+        throw new Error(`Expected undo to restore positions, got ${JSON.stringify(restored)}`);
+    }
+
+    // Toggling orientation on a custom resolution swaps its sides
+    projectState.setTargetResolution('2000x3000');
+    projectState.setIsHorizontal(true);
+    const swapped = projectState.getResolutionDimensions();
+    if (swapped.w !== 3000 || swapped.h !== 2000) {
+        throw new Error(`Expected 3000x2000 after the orientation toggle, got ${swapped.w}x${swapped.h}`);
+    }
+
+    console.log('✅ ProjectState custom resolution and undo');
+}
+
+// Test: radii scale with the shorter side on non-proportional changes
+export async function testRadiusScaleFollowsShorterSide() {
+    // Orientation swap: 1920x1080 -> 1080x1920 keeps the shorter side
+    const swapScale = PositionScaler.getRadiusScale(1080 / 1920, 1920 / 1080, 1080, 1920);
+    if (Math.abs(swapScale - 1) > 1e-9) {
+        throw new Error(`Expected radius scale 1 on an orientation swap, got ${swapScale}`);
+    }
+
+    // 1080x1080 -> 2000x3000 grows with the shorter side (1080 -> 2000)
+    const printScale = PositionScaler.getRadiusScale(2000 / 1080, 3000 / 1080, 2000, 3000);
+    if (Math.abs(printScale - 2000 / 1080) > 1e-9) {
+        throw new Error(`Expected radius scale ${2000 / 1080}, got ${printScale}`);
+    }
+
+    console.log('✅ Radius scale follows the shorter side');
+}
@@ -810,4 +810,30 @@ export function test_roundtrip_serialization() {
     if (restored.secondaryEffects[0].name !== 'glow') throw new Error('Secondary name not preserved');
 
     console.log('✅ Round-trip serialization maintains data');
-}
\ No newline at end of file
+}
+
+// Test 35: Seed - Override survives round-trip and is omitted when unset
+export function test_seed_serialization() {
+    const seeded = new Effect({
+        id: 'effect_123',
+        name: 'amp',
+        config: {},
+        type: 'primary',
+        seed: 424242
+    });
+    const unseeded = new Effect({ id: 'effect_456', name: 'glow', config: {}, type: 'primary' });
+
+    if (Effect.fromPOJO(seeded.toPOJO()).seed !== 424242) throw new Error('Seed not preserved');
+    if (unseeded.seed !== null) throw new Error('Seed should default to null');
+    if ('seed' in unseeded.toPOJO()) throw new Error('Unset seed should not be serialized');
+
+    let threw = false;
+    try {
+        new Effect({ id: 'effect_789', name: 'amp', config: {}, type: 'primary', seed: -1 });
+    } catch (error) {
+        threw = true;
+    }
+    if (!threw) throw new Error('Negative seed should be rejected');
+
+    console.log('✅ Seed override serialization works');
+}
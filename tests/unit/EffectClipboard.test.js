@@ -0,0 +1,232 @@
+/**
+ * Effect Clipboard Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests the versioned clipboard format, ID regeneration, position rescaling and paste/cut commands
+ */
+
+import EffectClipboard, { EFFECT_CLIPBOARD_FORMAT, EFFECT_CLIPBOARD_VERSION } from '../../src/utils/EffectClipboard.js';
+import EffectSelection from '../../src/utils/EffectSelection.js';
+import { Effect } from '../../src/models/Effect.js';
+import ProjectState from '../../src/models/ProjectState.js';
+import { EffectClipboardService } from '../../src/services/EffectClipboardService.js';
+
+const createEffect = (id, type = 'primary', extra = {}) => new Effect({
+    id,
+    name: `effect-${id}`,
+    className: 'TestEffect',
+    registryKey: 'test-effect',
+    config: { amount: 1, center: { name: 'position', x: 540, y: 960 } },
+    type,
+    ...extra
+});
+
+const createNested = (id, type) => ({
+    id,
+    name: `effect-${id}`,
+    className: 'TestEffect',
+    registryKey: 'test-effect',
+    config: { amount: 1 },
+    type
+});
+
+const createLayout = () => ({
+    effects: [
+        createEffect('a', 'primary', {
+            secondaryEffects: [createNested('a-s0', 'secondary')],
+            keyframeEffects: [createNested('a-k0', 'keyframe')]
+        }),
+        createEffect('b'),
+        createEffect('final', 'finalImage')
+    ],
+    effectGroups: []
+});
+
+/**
+ * In-memory text clipboard (stands in for navigator.clipboard outside the renderer)
+ */
+class MemoryClipboard {
+    constructor() {
+        this.text = '';
+    }
+
+    async writeText(text) {
+        this.text = text;
+    }
+
+    async readText() {
+        return this.text;
+    }
+}
+
+const entry = EffectSelection.createEntry.bind(EffectSelection);
+const ids = (layout) => layout.effects.map(effect => effect.id).join(',');
+
+// Test: nested entries of a selected parent are not copied twice
+export async function testFromSelectionSkipsNestedOfSelectedParent() {
+    const { effects } = createLayout();
+    const payload = EffectClipboard.fromSelection(
+        effects,
+        [entry('a'), entry('a', 'secondary', 0), entry('b', 'primary')],
+        { width: 1080, height: 1920 }
+    );
+
+    if (payload.format !== EFFECT_CLIPBOARD_FORMAT || payload.version !== EFFECT_CLIPBOARD_VERSION) {
+        throw new Error('Expected the versioned clipboard header');
+    }
+    if (payload.effects.map(effect => effect.id).join(',') !== 'a,b') {
+        throw new Error(`Expected a,b copied, got ${payload.effects.map(effect => effect.id).join(',')}`);
+    }
+    if (payload.effects[0].secondaryEffects.length !== 1 || payload.effects[0].keyframeEffects.length !== 1) {
+        throw new Error('Expected nested effects copied with their parent');
+    }
+
+    const nestedOnly = EffectClipboard.fromSelection(effects, [entry('a', 'keyframe', 0)], { width: 1080, height: 1920 });
+    if (nestedOnly.effects.length !== 1 || nestedOnly.effects[0].type !== 'keyframe') {
+        throw new Error('Expected a keyframe effect copied on its own');
+    }
+
+    console.log('✅ Selection copies parents with their nested effects once');
+}
+
+// Test: unreadable or newer payloads are rejected with a clear message
+export async function testParseRejectsInvalidPayloads() {
+    const expectError = (text, message) => {
+        try {
+            EffectClipboard.parse(text);
+        } catch (error) {
+            if (!error.message.includes(message)) {
+                throw new Error(`Expected "${message}", got "${error.message}"`);
+            }
+            return;
+        }
+        throw new Error(`Expected parse to fail with "${message}"`);
+    };
+
+    expectError('not json', 'does not contain effects');
+    expectError(JSON.stringify({ format: 'other', version: 1, effects: [{}] }), 'does not contain effects');
+    expectError(JSON.stringify({ format: EFFECT_CLIPBOARD_FORMAT, version: EFFECT_CLIPBOARD_VERSION + 1, effects: [{}] }), 'newer than supported');
+    expectError(JSON.stringify({ format: EFFECT_CLIPBOARD_FORMAT, version: 1, effects: [] }), 'empty');
+
+    const payload = EffectClipboard.createPayload([createNested('x', 'primary')], { width: 10, height: 10 });
+    if (EffectClipboard.parse(JSON.stringify(payload)).effects[0].id !== 'x') {
+        throw new Error('Expected a valid payload to parse');
+    }
+
+    console.log('✅ Invalid clipboard payloads are rejected');
+}
+
+// Test: prepared effects get fresh IDs and positions scaled to the target canvas
+export async function testPrepareEffectsRegeneratesIdsAndScales() {
+    const { effects } = createLayout();
+    const payload = EffectClipboard.fromSelection(effects, [entry('a')], { width: 1080, height: 1920 });
+
+    const [same] = EffectClipboard.prepareEffects(payload, { width: 1080, height: 1920 });
+    if (same.id === 'a' || same.secondaryEffects[0].id === 'a-s0' || same.keyframeEffects[0].id === 'a-k0') {
+        throw new Error('Expected fresh IDs for the effect and its nested effects');
+    }
+    if (same.config.center.x !== 540 || same.config.center.y !== 960) {
+        throw new Error('Expected positions unchanged at the same resolution');
+    }
+
+    const [scaled] = EffectClipboard.prepareEffects(payload, { width: 540, height: 960 });
+    if (scaled.config.center.x !== 270 || scaled.config.center.y !== 480) {
+        throw new Error(`Expected center scaled to 270,480, got ${scaled.config.center.x},${scaled.config.center.y}`);
+    }
+    if (scaled.type !== 'primary' || scaled.secondaryEffects.length !== 1) {
+        throw new Error('Expected type and nested effects kept when scaling');
+    }
+    if (payload.effects[0].id !== 'a') {
+        throw new Error('Expected the payload left untouched');
+    }
+
+    console.log('✅ Pasted effects get fresh IDs and rescaled positions');
+}
+
+// Test: top-level effects insert after the anchor in their section, nested ones onto the parent
+export async function testInsertPlacesEffects() {
+    const layout = createLayout();
+    const pasted = [createNested('p1', 'primary'), createNested('f1', 'finalImage')];
+
+    const afterA = EffectClipboard.insert(layout, pasted, { afterEffectId: 'a' });
+    if (ids(afterA) !== 'a,p1,b,final,f1') {
+        throw new Error(`Expected a,p1,b,final,f1, got ${ids(afterA)}`);
+    }
+    if (!afterA.effects.every(effect => effect instanceof Effect)) {
+        throw new Error('Expected pasted effects stored as Effect instances');
+    }
+
+    const atEnd = EffectClipboard.insert(layout, [createNested('p2', 'primary')]);
+    if (ids(atEnd) !== 'a,b,p2,final') {
+        throw new Error(`Expected p2 at the end of the primary section, got ${ids(atEnd)}`);
+    }
+
+    const nested = EffectClipboard.insert(layout, [createNested('s1', 'secondary')], { parentEffectId: 'b' });
+    if (nested.effects[1].secondaryEffects.map(effect => effect.id).join(',') !== 's1') {
+        throw new Error('Expected the secondary effect pasted onto b');
+    }
+
+    let threw = false;
+    try {
+        EffectClipboard.insert(layout, [createNested('s2', 'secondary')], { parentEffectId: 'final' });
+    } catch (error) {
+        threw = true;
+    }
+    if (!threw) {
+        throw new Error('Expected nested paste onto a final effect to fail');
+    }
+
+    console.log('✅ Insert places top-level and nested effects');
+}
+
+// Test: copy, cut and paste through a clipboard round-trip and undo as single steps
+export async function testClipboardServiceCutAndPaste() {
+    const projectState = new ProjectState();
+    projectState.update(createLayout());
+    const service = new EffectClipboardService(new MemoryClipboard());
+
+    const copied = await service.copy(projectState, [entry('b')]);
+    if (!copied.success || copied.count !== 1) {
+        throw new Error('Expected one effect copied');
+    }
+
+    const cut = service.createCutCommand(projectState, [entry('b')]);
+    cut.execute();
+    if (ids(projectState.getState()) !== 'a,final' || cut.description !== 'Cut 1 effect') {
+        throw new Error('Expected b cut');
+    }
+
+    const read = await service.read();
+    if (!read.success) {
+        throw new Error(`Expected the clipboard readable: ${read.error}`);
+    }
+
+    const paste = service.createPasteCommand(projectState, read.payload, { afterEffectId: 'a' });
+    paste.execute();
+    const afterPaste = projectState.getState().effects;
+    if (afterPaste.length !== 3 || afterPaste[1].name !== 'effect-b' || afterPaste[1].id === 'b') {
+        throw new Error('Expected b pasted after a with a new ID');
+    }
+    if (!paste.isEffectCommand || paste.description !== 'Pasted 1 effect') {
+        throw new Error(`Unexpected paste command ${paste.description}`);
+    }
+
+    paste.undo();
+    if (ids(projectState.getState()) !== 'a,final') {
+        throw new Error('Expected the paste undone');
+    }
+    cut.undo();
+    if (ids(projectState.getState()) !== 'a,b,final') {
+        throw new Error('Expected the cut undone');
+    }
+
+    const snippet = service.createPasteCommand(projectState, read.payload, {}, 'Glow Stack');
+    if (snippet.description !== 'Inserted snippet Glow Stack') {
+        throw new Error(`Unexpected snippet description ${snippet.description}`);
+    }
+
+    const empty = await new EffectClipboardService(new MemoryClipboard()).read();
+    if (empty.success) {
+        throw new Error('Expected an empty clipboard to fail');
+    }
+
+    console.log('✅ Clipboard cut and paste undo as single steps');
+}
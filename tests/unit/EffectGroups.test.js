@@ -0,0 +1,208 @@
+/**
+ * Effect Groups Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests group layout operations, backend flattening, snapshots and the undoable group command
+ */
+
+import EffectGroups from '../../src/utils/EffectGroups.js';
+import { Effect } from '../../src/models/Effect.js';
+import ProjectState from '../../src/models/ProjectState.js';
+import effectGroupCommandService from '../../src/services/EffectGroupCommandService.js';
+
+const createEffect = (id, type = 'primary', extra = {}) => new Effect({
+    id,
+    name: `effect-${id}`,
+    className: 'TestEffect',
+    registryKey: 'test-effect',
+    config: { amount: 1 },
+    type,
+    ...extra
+});
+
+const createLayout = () => ({
+    effects: [
+        createEffect('a'),
+        createEffect('b'),
+        createEffect('c'),
+        createEffect('d'),
+        createEffect('final', 'finalImage')
+    ],
+    effectGroups: []
+});
+
+const ids = (layout) => layout.effects.map(effect => effect.id).join(',');
+
+// Test: grouping pulls members together at the first member and keeps Effect instances
+export async function testCreateGroupKeepsMembersContiguous() {
+    const layout = EffectGroups.createGroup(createLayout(), ['b', 'd'], 'Lights');
+
+    if (ids(layout) !== 'a,b,d,c,final') {
+        throw new Error(`Expected members moved next to the first member, got ${ids(layout)}`);
+    }
+    if (layout.effectGroups.length !== 1 || layout.effectGroups[0].name !== 'Lights') {
+        throw new Error('Expected one group named Lights');
+    }
+    const members = EffectGroups.getMembers(layout.effects, layout.groupId);
+    if (members.length !== 2 || !(members[0] instanceof Effect)) {
+        throw new Error('Expected two Effect instances in the group');
+    }
+
+    let mixedError = null;
+    try {
+        EffectGroups.createGroup(createLayout(), ['a', 'final'], 'Mixed');
+    } catch (error) {
+        mixedError = error;
+    }
+    if (!mixedError) {
+        throw new Error('Expected primary and final effects to be rejected in one group');
+    }
+
+    console.log('✅ Grouping keeps members contiguous and rejects mixed sections');
+}
+
+// Test: moving a group moves the block and never splits another group
+export async function testMoveGroupMovesWholeBlock() {
+    let layout = EffectGroups.createGroup(createLayout(), ['a', 'b'], 'First');
+    const firstId = layout.groupId;
+    layout = EffectGroups.createGroup(layout, ['c', 'd'], 'Second');
+
+    // Dropping the first group on a member of the second moves it past the whole second group
+    const moved = EffectGroups.moveGroup(layout, firstId, 'c');
+    if (ids(moved) !== 'c,d,a,b,final') {
+        throw new Error(`Expected first group after second group, got ${ids(moved)}`);
+    }
+
+    let sectionError = null;
+    try {
+        EffectGroups.moveGroup(layout, firstId, 'final');
+    } catch (error) {
+        sectionError = error;
+    }
+    if (!sectionError) {
+        throw new Error('Expected a group move into the final section to be rejected');
+    }
+
+    console.log('✅ Groups move as a block');
+}
+
+// Test: single effects adopt the group of the effect they are dropped on
+export async function testMoveEffectAdoptsTargetGroup() {
+    const grouped = EffectGroups.createGroup(createLayout(), ['c', 'd'], 'Tail');
+
+    const joined = EffectGroups.moveEffect(grouped, 'a', 'd');
+    const joinedA = joined.effects.find(effect => effect.id === 'a');
+    if (joinedA.groupId !== grouped.groupId) {
+        throw new Error('Expected effect dropped on a member to join its group');
+    }
+
+    const left = EffectGroups.moveEffect(joined, 'c', 'b');
+    if (left.effects.find(effect => effect.id === 'c').groupId !== null) {
+        throw new Error('Expected effect dropped on an ungrouped effect to leave its group');
+    }
+
+    const removed = EffectGroups.assignToGroup(grouped, 'c', null);
+    if (ids(removed) !== 'a,b,d,c,final') {
+        throw new Error(`Expected removed effect placed after its old group, got ${ids(removed)}`);
+    }
+
+    console.log('✅ Effects moving across group boundaries adopt the target group');
+}
+
+// Test: group visibility applies to members; bypass hides members for the backend only
+export async function testVisibilityAndBypassFlattening() {
+    let layout = EffectGroups.createGroup(createLayout(), ['b', 'c'], 'Middle');
+    const groupId = layout.groupId;
+
+    const hidden = EffectGroups.setGroupVisibility(layout, groupId, false);
+    const hiddenMembers = EffectGroups.getMembers(hidden.effects, groupId);
+    if (hiddenMembers.some(effect => effect.visible !== false)) {
+        throw new Error('Expected all members hidden');
+    }
+
+    layout = EffectGroups.updateGroup(layout, groupId, { bypassed: true });
+    const flat = EffectGroups.flattenForBackend(layout.effects, layout.effectGroups);
+    const visible = flat.filter(effect => effect.visible !== false).map(effect => effect.id).join(',');
+    if (visible !== 'a,d,final') {
+        throw new Error(`Expected bypassed members skipped, got ${visible}`);
+    }
+    if (flat.some(effect => 'groupId' in effect)) {
+        throw new Error('Expected groupId stripped for the backend');
+    }
+    if (layout.effects.some(effect => effect.visible === false)) {
+        throw new Error('Bypass must not change member visibility in the project');
+    }
+
+    console.log('✅ Group visibility and bypass flatten correctly');
+}
+
+// Test: normalize drops empty groups and dangling references
+export async function testNormalizeCleansOrphans() {
+    const layout = {
+        effects: [createEffect('a', 'primary', { groupId: 'missing' }), createEffect('b')],
+        effectGroups: [{ id: 'empty', name: 'Empty', collapsed: false, bypassed: false }]
+    };
+
+    const normalized = EffectGroups.normalize(layout);
+    if (normalized.effectGroups.length !== 0) {
+        throw new Error('Expected empty group dropped');
+    }
+    if (normalized.effects[0].groupId !== null) {
+        throw new Error('Expected dangling groupId cleared');
+    }
+
+    console.log('✅ Normalize cleans empty groups and dangling references');
+}
+
+// Test: a snapshot restores as a new group with fresh IDs before the final effects
+export async function testSnapshotRestoresWithFreshIds() {
+    const layout = EffectGroups.createGroup(createLayout(), ['a', 'b'], 'Preset');
+    const snapshot = EffectGroups.snapshot(layout, layout.groupId);
+    const roundTripped = JSON.parse(JSON.stringify(snapshot));
+
+    const restored = EffectGroups.instantiate(layout, roundTripped);
+    const members = EffectGroups.getMembers(restored.effects, restored.groupId);
+
+    if (members.length !== 2 || members.some(effect => ['a', 'b'].includes(effect.id))) {
+        throw new Error('Expected two restored members with fresh IDs');
+    }
+    if (restored.effects[restored.effects.length - 1].id !== 'final') {
+        throw new Error('Expected restored primary members inserted before final effects');
+    }
+    if (restored.effectGroups.length !== 2 || restored.groupId === layout.groupId) {
+        throw new Error('Expected a second, distinct group');
+    }
+
+    console.log('✅ Snapshots restore as new groups');
+}
+
+// Test: groups persist through ProjectState serialization and the group command undoes cleanly
+export async function testGroupStatePersistsAndUndoes() {
+    const projectState = new ProjectState();
+    projectState.update({ effects: createLayout().effects });
+
+    const command = effectGroupCommandService.createGroupCommand(projectState, ['c', 'd'], 'Saved');
+    const result = await command.execute();
+
+    // Same path as saving a .nftproject: toJSON() sent over IPC (structured clone)
+    const restored = await ProjectState.fromObject(structuredClone(projectState.toJSON()));
+    const restoredState = restored.getState();
+    if (restoredState.effectGroups?.[0]?.name !== 'Saved') {
+        throw new Error('Expected effect groups to survive serialization');
+    }
+    const restoredMember = restoredState.effects.find(effect => effect.id === 'c');
+    if (restoredMember.groupId !== result.groupId) {
+        throw new Error('Expected member groupId to survive serialization');
+    }
+
+    const backend = projectState.exportForBackend();
+    if (backend.effects.some(effect => 'groupId' in effect)) {
+        throw new Error('Expected exportForBackend to flatten groups');
+    }
+
+    await command.undo();
+    const state = projectState.getState();
+    if (state.effectGroups.length !== 0 || state.effects.some(effect => effect.groupId)) {
+        throw new Error('Expected undo to remove the group');
+    }
+
+    console.log('✅ Groups persist in the project and undo cleanly');
+}
@@ -0,0 +1,214 @@
+/**
+ * Effect Selection Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests multi-select ranges, bulk layout operations, shared config fields and the undoable bulk command
+ */
+
+import EffectSelection from '../../src/utils/EffectSelection.js';
+import EffectGroups from '../../src/utils/EffectGroups.js';
+import { Effect } from '../../src/models/Effect.js';
+import ProjectState from '../../src/models/ProjectState.js';
+import bulkEffectCommandService from '../../src/services/BulkEffectCommandService.js';
+
+const createEffect = (id, type = 'primary', extra = {}) => new Effect({
+    id,
+    name: `effect-${id}`,
+    className: 'TestEffect',
+    registryKey: 'test-effect',
+    config: { amount: 1 },
+    type,
+    ...extra
+});
+
+const createNested = (id, type) => ({
+    id,
+    name: `effect-${id}`,
+    className: 'TestEffect',
+    registryKey: 'test-effect',
+    config: { amount: 1 },
+    type
+});
+
+const createLayout = () => ({
+    effects: [
+        createEffect('a', 'primary', {
+            secondaryEffects: [createNested('a-s0', 'secondary'), createNested('a-s1', 'secondary')],
+            keyframeEffects: [createNested('a-k0', 'keyframe')]
+        }),
+        createEffect('b'),
+        createEffect('c'),
+        createEffect('d'),
+        createEffect('final', 'finalImage')
+    ],
+    effectGroups: []
+});
+
+const entry = EffectSelection.createEntry.bind(EffectSelection);
+const ids = (layout) => layout.effects.map(effect => effect.id).join(',');
+const keys = (selection) => selection.map(item => EffectSelection.keyOf(item)).join(' ');
+
+// Test: shift ranges follow display order (nested effects after their parent) and ctrl toggles
+export async function testRangeAndToggleFollowDisplayOrder() {
+    const { effects } = createLayout();
+
+    const range = EffectSelection.range(effects, entry('a', 'secondary', 1), entry('b'));
+    if (keys(range) !== 'a:secondary:1 a:keyframe:0 b:primary:') {
+        throw new Error(`Unexpected range ${keys(range)}`);
+    }
+
+    const reversed = EffectSelection.range(effects, entry('final', 'final'), entry('d'));
+    if (keys(reversed) !== 'd:primary: final:final:') {
+        throw new Error(`Expected a backwards range to stay in display order, got ${keys(reversed)}`);
+    }
+
+    let selection = EffectSelection.toggle([entry('a')], entry('c'));
+    selection = EffectSelection.toggle(selection, entry('a'));
+    if (keys(selection) !== 'c:primary:') {
+        throw new Error(`Expected toggling to add and remove entries, got ${keys(selection)}`);
+    }
+
+    console.log('✅ Range and toggle selection follow display order');
+}
+
+// Test: bulk delete removes top-level and nested effects, and nested entries of deleted parents
+export async function testRemoveSelectedHandlesNestedEffects() {
+    const grouped = EffectGroups.createGroup(createLayout(), ['b', 'c'], 'Pair');
+    const layout = { effects: grouped.effects, effectGroups: grouped.effectGroups };
+
+    const removed = EffectSelection.removeSelected(layout, [
+        entry('a', 'secondary', 0),
+        entry('a', 'keyframe', 0),
+        entry('b'),
+        entry('c')
+    ]);
+
+    if (ids(removed) !== 'a,d,final') {
+        throw new Error(`Expected b and c deleted, got ${ids(removed)}`);
+    }
+    const [a] = removed.effects;
+    if (!(a instanceof Effect) || a.secondaryEffects.length !== 1 || a.secondaryEffects[0].id !== 'a-s1' || a.keyframeEffects.length !== 0) {
+        throw new Error('Expected only the selected nested effects removed from the parent');
+    }
+    if (removed.effectGroups.length !== 0) {
+        throw new Error('Expected the emptied group to be dropped');
+    }
+
+    const parentGone = EffectSelection.removeSelected(createLayout(), [entry('a'), entry('a', 'secondary', 1)]);
+    if (ids(parentGone) !== 'b,c,d,final') {
+        throw new Error(`Expected the parent and its nested effects gone, got ${ids(parentGone)}`);
+    }
+
+    console.log('✅ Bulk delete handles nested effects');
+}
+
+// Test: bulk visibility and config reach top-level and nested effects only
+export async function testVisibilityAndConfigPatchSelection() {
+    const selection = [entry('b'), entry('a', 'keyframe', 0)];
+
+    const hidden = EffectSelection.setVisibility(createLayout(), selection, false);
+    const [a, b, c] = hidden.effects;
+    if (b.visible !== false || a.keyframeEffects[0].visible !== false) {
+        throw new Error('Expected the selected effects hidden');
+    }
+    if (a.visible === false || c.visible === false || a.secondaryEffects[0].visible === false) {
+        throw new Error('Expected unselected effects untouched');
+    }
+
+    const changes = { amount: 7, color: { r: 1 } };
+    const configured = EffectSelection.applyConfig(createLayout(), selection, changes);
+    changes.color.r = 99;
+    const [ca, cb] = configured.effects;
+    if (cb.config.amount !== 7 || ca.keyframeEffects[0].config.amount !== 7 || ca.config.amount !== 1) {
+        throw new Error('Expected config applied to the selected effects only');
+    }
+    if (cb.config.color.r !== 1 || ca.keyframeEffects[0].config.color === cb.config.color) {
+        throw new Error('Expected each effect to get its own copy of the changes');
+    }
+
+    console.log('✅ Bulk visibility and config patch only the selection');
+}
+
+// Test: bulk move keeps relative order, stays within each section and keeps groups together
+export async function testMoveSelectedWithinSections() {
+    const selection = [entry('b'), entry('d'), entry('final', 'final')];
+
+    if (ids(EffectSelection.moveSelected(createLayout(), selection, 'up')) !== 'b,a,d,c,final') {
+        throw new Error('Expected each selected effect to move up one step');
+    }
+    if (ids(EffectSelection.moveSelected(createLayout(), selection, 'top')) !== 'b,d,a,c,final') {
+        throw new Error('Expected selected effects at the top of the primary section, final stays last');
+    }
+    if (ids(EffectSelection.moveSelected(createLayout(), [entry('a'), entry('b')], 'bottom')) !== 'c,d,a,b,final') {
+        throw new Error('Expected selected effects at the bottom of the primary section');
+    }
+
+    const grouped = EffectGroups.createGroup(createLayout(), ['c', 'd'], 'Pair');
+    const moved = EffectSelection.moveSelected(
+        { effects: grouped.effects, effectGroups: grouped.effectGroups },
+        [entry('c')],
+        'up'
+    );
+    const members = moved.effects.filter(effect => effect.groupId === grouped.groupId).map(effect => effect.id);
+    if (members.length !== 2 || Math.abs(ids(moved).split(',').indexOf('c') - ids(moved).split(',').indexOf('d')) !== 1) {
+        throw new Error(`Expected the group to stay contiguous, got ${ids(moved)}`);
+    }
+
+    console.log('✅ Bulk move stays within sections and keeps groups together');
+}
+
+// Test: only fields every schema shares (same name and type) are offered, with mixed values flagged
+export async function testSharedFieldsAndValues() {
+    const fields = EffectSelection.getSharedFields([
+        { fields: [{ name: 'amount', type: 'number' }, { name: 'color', type: 'colorpicker' }, { name: 'layers', type: 'number' }] },
+        { fields: [{ name: 'amount', type: 'number' }, { name: 'color', type: 'text' }] },
+        { fields: [{ name: 'layers', type: 'number' }, { name: 'amount', type: 'number' }] }
+    ]);
+    if (fields.map(field => field.name).join(',') !== 'amount') {
+        throw new Error(`Expected only amount shared, got ${fields.map(field => field.name)}`);
+    }
+
+    const { config, mixed } = EffectSelection.getSharedValues([
+        { config: { amount: 3, size: [1, 2] } },
+        { config: { amount: 5, size: [1, 2] } }
+    ], [{ name: 'amount', type: 'number' }, { name: 'size', type: 'range' }]);
+    if (config.amount !== 3 || mixed.join(',') !== 'amount') {
+        throw new Error('Expected amount flagged as mixed and size as common');
+    }
+
+    console.log('✅ Shared fields and mixed values computed');
+}
+
+// Test: a bulk command changes every selected effect and undoes in one step
+export async function testBulkCommandUndoesAsOneStep() {
+    const projectState = new ProjectState();
+    projectState.update(createLayout());
+
+    const selection = [entry('a'), entry('a', 'secondary', 0), entry('c')];
+    const command = bulkEffectCommandService.createConfigCommand(projectState, selection, { amount: 4 });
+    command.execute();
+
+    let [a, , c] = projectState.getState().effects;
+    if (a.config.amount !== 4 || a.secondaryEffects[0].config.amount !== 4 || c.config.amount !== 4) {
+        throw new Error('Expected the bulk config applied to all selected effects');
+    }
+    if (command.description !== 'Set amount on 3 effects' || !command.isEffectCommand) {
+        throw new Error(`Unexpected command description ${command.description}`);
+    }
+
+    command.undo();
+    [a, , c] = projectState.getState().effects;
+    if (a.config.amount !== 1 || a.secondaryEffects[0].config.amount !== 1 || c.config.amount !== 1) {
+        throw new Error('Expected one undo to restore every effect');
+    }
+
+    const deleteCommand = bulkEffectCommandService.createDeleteCommand(projectState, [entry('b'), entry('d')]);
+    deleteCommand.execute();
+    if (ids(projectState.getState()) !== 'a,c,final') {
+        throw new Error('Expected the bulk delete applied');
+    }
+    deleteCommand.undo();
+    if (ids(projectState.getState()) !== 'a,b,c,d,final') {
+        throw new Error('Expected the bulk delete undone');
+    }
+
+    console.log('✅ Bulk command undoes as one step');
+}
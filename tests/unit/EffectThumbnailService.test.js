@@ -0,0 +1,148 @@
+/**
+ * EffectThumbnailService Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests disk caching per effect version and palette, render deduplication and invalidation
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import EffectThumbnailService from '../../src/main/services/EffectThumbnailService.js';
+
+async function createCacheDirectory() {
+    return await fs.mkdtemp(path.join(os.tmpdir(), 'effect-thumbnails-test-'));
+}
+
+/**
+ * Real renderer: a solid PNG tinted by the palette's first background
+ */
+function createRenderer(renders) {
+    return async ({ effectName, palette, frameNumber }) => {
+        renders.push(`${effectName}:${frameNumber}`);
+        return await sharp({
+            create: {
+                width: 80,
+                height: 60,
+                channels: 3,
+                background: palette?.backgrounds?.[0] || '#000000'
+            }
+        }).png().toBuffer();
+    };
+}
+
+const palette = { neutrals: ['#FFFFFF'], backgrounds: ['#102030'], lights: ['#FF0000'] };
+
+// Test: thumbnails are resized WebP files served from disk on later requests
+export async function testThumbnailsAreCachedOnDisk() {
+    const dir = await createCacheDirectory();
+    try {
+        const renders = [];
+        const service = new EffectThumbnailService({ cacheDirectory: dir, renderFrame: createRenderer(renders) });
+
+        const first = await service.getThumbnail({ effectName: 'glow', palette, size: 32 });
+        if (!first.success || first.cached || !first.thumbnail.startsWith('data:image/webp;base64,')) {
+            throw new Error(`Expected a freshly rendered WebP thumbnail, got ${JSON.stringify({ ...first, thumbnail: undefined })}`);
+        }
+
+        const image = Buffer.from(first.thumbnail.split(',')[1], 'base64');
+        const metadata = await sharp(image).metadata();
+        if (metadata.width !== 32 || metadata.height !== 32) {
+            throw new Error(`Expected a 32x32 thumbnail, got ${metadata.width}x${metadata.height}`);
+        }
+
+        // A new service instance (app restart) reads the same file
+        const reopened = new EffectThumbnailService({ cacheDirectory: dir, renderFrame: createRenderer(renders) });
+        const second = await reopened.getThumbnail({ effectName: 'glow', palette, size: 32 });
+        if (!second.cached || second.thumbnail !== first.thumbnail || renders.length !== 1) {
+            throw new Error(`Expected the cached thumbnail without a new render, renders: ${renders.join(', ')}`);
+        }
+
+        const failing = new EffectThumbnailService({
+            cacheDirectory: dir,
+            renderFrame: async () => {
+                throw new Error('Effect not found: missing');
+            }
+        });
+        const failed = await failing.getThumbnail({ effectName: 'missing', palette });
+        if (failed.success || failed.error !== 'Effect not found: missing') {
+            throw new Error('Expected render failures to be returned as errors');
+        }
+
+        console.log('✅ Thumbnails are cached on disk');
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+// Test: a new effect version or palette misses the cache, concurrent requests share one render
+export async function testCacheKeyCoversVersionAndPalette() {
+    const dir = await createCacheDirectory();
+    try {
+        const renders = [];
+        let version = 'plugin:sparkles@1.0.0';
+        const service = new EffectThumbnailService({
+            cacheDirectory: dir,
+            renderFrame: createRenderer(renders),
+            getEffectVersion: () => version
+        });
+
+        await Promise.all([1, 2, 3].map(() => service.getThumbnail({ effectName: 'sparkles', palette, size: 16 })));
+        if (renders.length !== 1) {
+            throw new Error(`Expected concurrent requests to share one render, got ${renders.length}`);
+        }
+
+        const recolored = { ...palette, backgrounds: ['#FF00FF'] };
+        const recoloredResult = await service.getThumbnail({ effectName: 'sparkles', palette: recolored, size: 16 });
+        if (recoloredResult.cached || renders.length !== 2) {
+            throw new Error('Expected another palette to render a new thumbnail');
+        }
+
+        version = 'plugin:sparkles@1.1.0';
+        const upgraded = await service.getThumbnail({ effectName: 'sparkles', palette, size: 16 });
+        if (upgraded.cached || renders.length !== 3) {
+            throw new Error('Expected a new plugin version to render a new thumbnail');
+        }
+
+        console.log('✅ Cache key covers effect version and palette');
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+// Test: hover loops spread frames over the animation and invalidation is per effect
+export async function testLoopsAndInvalidation() {
+    const dir = await createCacheDirectory();
+    try {
+        const renders = [];
+        const service = new EffectThumbnailService({ cacheDirectory: dir, renderFrame: createRenderer(renders) });
+
+        const frameNumbers = EffectThumbnailService.getLoopFrameNumbers(4);
+        if (frameNumbers.join(',') !== '0,15,30,45') {
+            throw new Error(`Expected evenly spread loop frames, got ${frameNumbers.join(',')}`);
+        }
+
+        await service.getThumbnail({ effectName: 'glow', palette, size: 16 });
+        const loop = await service.getLoop({ effectName: 'glow', palette, frameCount: 4, size: 16 });
+        if (!loop.success || loop.frames.length !== 4 || renders.length !== 4) {
+            throw new Error(`Expected a 4 frame loop reusing the cached first frame, renders: ${renders.join(', ')}`);
+        }
+        await service.getThumbnail({ effectName: 'grid', palette, size: 16 });
+
+        const removed = await service.invalidateEffects(['glow']);
+        if (removed !== 4) {
+            throw new Error(`Expected the 4 glow thumbnails removed, got ${removed}`);
+        }
+        if (!(await service.getThumbnail({ effectName: 'grid', palette, size: 16 })).cached) {
+            throw new Error('Expected other effects to stay cached');
+        }
+
+        await service.clear();
+        if ((await fs.readdir(dir)).length !== 0) {
+            throw new Error('Expected clear to remove every thumbnail');
+        }
+
+        console.log('✅ Hover loops and per-effect invalidation');
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
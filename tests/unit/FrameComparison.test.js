@@ -0,0 +1,75 @@
+/**
+ * FrameComparison Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests difference heatmap pixels, change statistics and the heat color ramp
+ */
+
+import FrameComparison, { COMPARISON_MODES } from '../../src/utils/FrameComparison.js';
+
+const rgba = (...pixels) => Uint8ClampedArray.from(pixels.flat());
+
+// Test: unchanged pixels become dimmed context, changed pixels heat colors
+export async function testDifferenceHeatmapPixels() {
+    const base = rgba([200, 200, 200, 255], [10, 20, 30, 255], [0, 0, 0, 255], [50, 50, 50, 255]);
+    const compare = rgba([200, 200, 200, 255], [10, 20, 31, 255], [255, 0, 0, 255], [50, 50, 50, 0]);
+
+    const result = FrameComparison.computeDifferenceHeatmap(base, compare);
+
+    if (result.totalPixels !== 4 || result.changedPixels !== 3) {
+        throw new Error(`Expected 3 of 4 pixels changed, got ${result.changedPixels} of ${result.totalPixels}`);
+    }
+    if (result.maxDelta !== 255 || Math.abs(result.meanDelta - (0 + 1 + 255 + 255) / 4) > 1e-9) {
+        throw new Error(`Unexpected delta stats ${result.maxDelta} / ${result.meanDelta}`);
+    }
+
+    const pixel = (index) => Array.from(result.pixels.slice(index * 4, index * 4 + 4)).join(',');
+    if (pixel(0) !== '50,50,50,255') {
+        throw new Error(`Expected an unchanged pixel drawn as dimmed gray, got ${pixel(0)}`);
+    }
+    if (pixel(2) !== '255,0,0,255' || pixel(3) !== '255,0,0,255') {
+        throw new Error(`Expected full color and alpha changes drawn red, got ${pixel(2)} / ${pixel(3)}`);
+    }
+    if (pixel(1) !== `${FrameComparison.heatColor(1 / 255).join(',')},255`) {
+        throw new Error(`Expected a tiny change drawn at the cold end, got ${pixel(1)}`);
+    }
+
+    const tolerant = FrameComparison.computeDifferenceHeatmap(base, compare, { threshold: 2 });
+    if (tolerant.changedPixels !== 2 || tolerant.changedRatio !== 0.5) {
+        throw new Error('Expected changes within the threshold counted as unchanged');
+    }
+
+    let threw = false;
+    try {
+        FrameComparison.computeDifferenceHeatmap(base, rgba([0, 0, 0, 255]));
+    } catch (error) {
+        threw = true;
+    }
+    if (!threw) {
+        throw new Error('Expected frames of different sizes rejected');
+    }
+
+    console.log('✅ Difference heatmaps mark changed pixels');
+}
+
+// Test: the heat ramp runs blue, yellow, red and clamps
+export async function testHeatColorRamp() {
+    const expected = [
+        [-1, '0,64,255'],
+        [0, '0,64,255'],
+        [0.5, '255,230,0'],
+        [0.75, '255,115,0'],
+        [1, '255,0,0'],
+        [2, '255,0,0']
+    ];
+    for (const [amount, color] of expected) {
+        const actual = FrameComparison.heatColor(amount).join(',');
+        if (actual !== color) {
+            throw new Error(`heatColor(${amount}): expected ${color}, got ${actual}`);
+        }
+    }
+
+    if (Object.keys(COMPARISON_MODES).join(',') !== 'split,side-by-side,onion,difference') {
+        throw new Error('Expected split, side-by-side, onion skin and difference modes');
+    }
+
+    console.log('✅ Heat ramp runs from blue through yellow to red');
+}
@@ -0,0 +1,122 @@
+/**
+ * HeadlessRenderer Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests argument parsing and exit codes of the headless CLI renderer
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { HeadlessRenderer, EXIT_CODES } from '../../src/cli/HeadlessRenderer.js';
+import { CURRENT_SCHEMA_VERSION } from '../../src/models/ProjectStateMigrations.js';
+
+function createOutputCapture() {
+    const lines = [];
+    return {
+        lines,
+        write: (chunk) => {
+            lines.push(String(chunk));
+            return true;
+        }
+    };
+}
+
+// Test: Project files, frame ranges and flags are parsed
+export async function testParseProjectArguments() {
+    const options = HeadlessRenderer.parseArgs([
+        'projects/neon.nftproject',
+        '--frames', '10-19',
+        '--output', 'renders/neon',
+        '--no-plugins',
+        '--json'
+    ]);
+
+    if (options.error) {
+        throw new Error(`Unexpected parse error: ${options.error}`);
+    }
+    if (options.projectFilePath !== path.resolve('projects/neon.nftproject')) {
+        throw new Error('Project file should be resolved to an absolute path');
+    }
+    if (options.startFrame !== 10 || options.endFrame !== 19) {
+        throw new Error(`Unexpected range: ${options.startFrame}-${options.endFrame}`);
+    }
+    if (options.outputDirectory !== path.resolve('renders/neon') || options.loadPlugins || !options.json) {
+        throw new Error('Flags were not parsed');
+    }
+
+    const resume = HeadlessRenderer.parseArgs(['--settings', 'out/settings/neon-settings.json', '--start', '42']);
+    if (resume.settingsFile !== path.resolve('out/settings/neon-settings.json') || resume.startFrame !== 42 || resume.endFrame !== null) {
+        throw new Error('Settings resume arguments were not parsed');
+    }
+
+    console.log('✅ Project and settings arguments parsed');
+}
+
+// Test: Invalid arguments produce errors instead of throwing
+export async function testParseRejectsInvalidArguments() {
+    const invalid = [
+        [],
+        ['--frames', '9-3', 'a.nftproject'],
+        ['--start', 'ten', 'a.nftproject'],
+        ['--output'],
+        ['--unknown', 'a.nftproject'],
+        ['a.nftproject', '--settings', 'b-settings.json']
+    ];
+
+    for (const argv of invalid) {
+        const result = HeadlessRenderer.parseArgs(argv);
+        if (!result.error) {
+            throw new Error(`Expected an error for: ${argv.join(' ')}`);
+        }
+    }
+
+    console.log('✅ Invalid arguments are rejected');
+}
+
+// Test: Exit codes reflect usage and load failures
+export async function testRunReportsExitCodes() {
+    const stdout = createOutputCapture();
+    const stderr = createOutputCapture();
+    const renderer = new HeadlessRenderer({ stdout, stderr });
+
+    const usageCode = await renderer.run(HeadlessRenderer.parseArgs([]));
+    if (usageCode !== EXIT_CODES.USAGE_ERROR || !stderr.lines.join('').includes('Usage:')) {
+        throw new Error('Missing arguments should print usage and exit with the usage code');
+    }
+
+    const helpCode = await renderer.run(HeadlessRenderer.parseArgs(['--help']));
+    if (helpCode !== EXIT_CODES.SUCCESS || !stdout.lines.join('').includes('Exit codes:')) {
+        throw new Error('--help should print usage to stdout');
+    }
+
+    stderr.lines.length = 0;
+    const missingFile = path.join(process.cwd(), 'tests', 'does-not-exist.nftproject');
+    const loadCode = await renderer.run(HeadlessRenderer.parseArgs([missingFile, '--no-plugins', '--json']));
+    if (loadCode !== EXIT_CODES.LOAD_FAILED) {
+        throw new Error(`Missing project file should exit with ${EXIT_CODES.LOAD_FAILED}, got ${loadCode}`);
+    }
+    const event = JSON.parse(stderr.lines[stderr.lines.length - 1]);
+    if (event.event !== 'loadError' || !event.error.includes('does-not-exist')) {
+        throw new Error('Load failures should be reported as JSON on stderr');
+    }
+
+    // A project without an output directory needs --output before anything renders
+    const projectDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'headless-renderer-test-'));
+    try {
+        const projectFile = path.join(projectDirectory, 'no-output.nftproject');
+        await fs.writeFile(projectFile, JSON.stringify({
+            version: CURRENT_SCHEMA_VERSION,
+            state: { projectName: 'No Output', targetResolution: 512, numFrames: 10, effects: [], outputDirectory: null }
+        }), 'utf8');
+
+        stderr.lines.length = 0;
+        const outputCode = await renderer.run(HeadlessRenderer.parseArgs([projectFile, '--no-plugins', '--json']));
+        const outputEvent = JSON.parse(stderr.lines[stderr.lines.length - 1]);
+        if (outputCode !== EXIT_CODES.USAGE_ERROR || !outputEvent.error.includes('--output')) {
+            throw new Error(`A missing output directory should exit with ${EXIT_CODES.USAGE_ERROR} and ask for --output, got ${outputCode}: ${outputEvent.error}`);
+        }
+    } finally {
+        await fs.rm(projectDirectory, { recursive: true, force: true });
+    }
+
+    console.log('✅ Exit codes reflect failures');
+}
@@ -0,0 +1,176 @@
+/**
+ * KeyboardShortcutService Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests accelerator handling, EventBus dispatch, text field handling and keymap rebinding
+ */
+
+import { EventBusService } from '../../src/services/EventBusService.js';
+import { KeyboardShortcutService, SHORTCUT_TRIGGERED_EVENT } from '../../src/services/KeyboardShortcutService.js';
+import {
+    normalizeAccelerator,
+    acceleratorFromKeyboardEvent,
+    formatAccelerator,
+    resolveShortcuts
+} from '../../src/utils/KeyboardShortcuts.js';
+
+function createEventBus() {
+    const eventBus = new EventBusService();
+    eventBus.setLogging(false);
+    return eventBus;
+}
+
+/**
+ * Real keydown event data as the browser reports it
+ */
+function keyDown({ key, code, ctrlKey = false, metaKey = false, altKey = false, shiftKey = false, repeat = false, target = null }) {
+    return {
+        key,
+        code,
+        ctrlKey,
+        metaKey,
+        altKey,
+        shiftKey,
+        repeat,
+        target: target || { tagName: 'DIV', isContentEditable: false },
+        defaultPrevented: false,
+        preventDefault() {
+            this.defaultPrevented = true;
+        }
+    };
+}
+
+// Test: accelerators normalize to one spelling per chord and map from key events per platform
+export async function testAcceleratorNormalization() {
+    if (normalizeAccelerator('shift+commandorcontrol+z') !== 'CmdOrCtrl+Shift+Z') {
+        throw new Error(`Unexpected normalization ${normalizeAccelerator('shift+commandorcontrol+z')}`);
+    }
+    if (normalizeAccelerator('Ctrl+Alt') !== null || normalizeAccelerator('A+B') !== null || normalizeAccelerator('') !== null) {
+        throw new Error('Expected chords without exactly one key to be invalid');
+    }
+
+    const undoOnMac = acceleratorFromKeyboardEvent(keyDown({ key: 'z', code: 'KeyZ', metaKey: true }), 'darwin');
+    const undoOnWindows = acceleratorFromKeyboardEvent(keyDown({ key: 'z', code: 'KeyZ', ctrlKey: true }), 'win32');
+    if (undoOnMac !== 'CmdOrCtrl+Z' || undoOnWindows !== 'CmdOrCtrl+Z') {
+        throw new Error(`Expected Cmd+Z and Ctrl+Z to both be CmdOrCtrl+Z, got ${undoOnMac} / ${undoOnWindows}`);
+    }
+
+    // Shifted symbols use the physical key, so Ctrl+Shift+/ isn't reported as "?"
+    const shifted = acceleratorFromKeyboardEvent(keyDown({ key: '?', code: 'Slash', ctrlKey: true, shiftKey: true }), 'linux');
+    if (shifted !== 'CmdOrCtrl+Shift+/') {
+        throw new Error(`Expected CmdOrCtrl+Shift+/, got ${shifted}`);
+    }
+    if (acceleratorFromKeyboardEvent(keyDown({ key: 'Shift', code: 'ShiftLeft', shiftKey: true }), 'linux') !== null) {
+        throw new Error('Expected a lone modifier to produce no accelerator');
+    }
+
+    if (formatAccelerator('CmdOrCtrl+Shift+Z', 'darwin') !== '⌘⇧Z' || formatAccelerator('CmdOrCtrl+Shift+Z', 'win32') !== 'Ctrl+Shift+Z') {
+        throw new Error('Unexpected accelerator display labels');
+    }
+
+    console.log('✅ Accelerator normalization');
+}
+
+// Test: keys and menu clicks emit the shortcut's EventBus event, text fields keep their typing
+export async function testShortcutsDispatchThroughEventBus() {
+    const eventBus = createEventBus();
+    const service = new KeyboardShortcutService(eventBus, { platform: 'linux' });
+    const received = [];
+    ['command:undo', 'zoom:in', 'frame:step', 'project:save'].forEach(type => {
+        eventBus.subscribe(type, (payload, event) => received.push({ type, payload, shortcutId: event.context.shortcutId }));
+    });
+
+    const undo = keyDown({ key: 'z', code: 'KeyZ', ctrlKey: true });
+    if (!service.handleKeyDown(undo) || !undo.defaultPrevented || received[0]?.type !== 'command:undo') {
+        throw new Error('Expected Ctrl+Z to emit command:undo');
+    }
+
+    service.handleKeyDown(keyDown({ key: 'ArrowRight', code: 'ArrowRight', altKey: true, repeat: true }));
+    if (received[1]?.type !== 'frame:step' || received[1].payload.delta !== 1) {
+        throw new Error('Expected held Alt+Right to keep stepping frames');
+    }
+    if (service.handleKeyDown(keyDown({ key: 's', code: 'KeyS', ctrlKey: true, repeat: true }))) {
+        throw new Error('Expected a held Ctrl+S to save only once');
+    }
+
+    // Text fields keep their own undo, but command chords without a native meaning still work
+    const input = { tagName: 'INPUT', isContentEditable: false };
+    const inputUndo = keyDown({ key: 'z', code: 'KeyZ', ctrlKey: true, target: input });
+    if (service.handleKeyDown(inputUndo) || inputUndo.defaultPrevented) {
+        throw new Error('Expected Ctrl+Z in a text field to stay native');
+    }
+    if (!service.handleKeyDown(keyDown({ key: 's', code: 'KeyS', ctrlKey: true, target: input }))) {
+        throw new Error('Expected Ctrl+S to save from a text field');
+    }
+
+    // Native menu clicks arrive as shortcut:triggered events
+    const detach = service.attach(new EventTarget());
+    eventBus.emit(SHORTCUT_TRIGGERED_EVENT, { id: 'view.zoomIn' });
+    detach();
+    eventBus.emit(SHORTCUT_TRIGGERED_EVENT, { id: 'view.zoomIn' });
+
+    const types = received.map(entry => entry.type).join(',');
+    if (types !== 'command:undo,frame:step,project:save,zoom:in' || received[3].shortcutId !== 'view.zoomIn') {
+        throw new Error(`Unexpected dispatched events: ${types}`);
+    }
+
+    console.log('✅ Shortcuts dispatch through the EventBus');
+}
+
+// Test: rebinding rejects conflicts, unbinding frees a chord and resetting restores defaults
+export async function testKeymapRebinding() {
+    const eventBus = createEventBus();
+    const service = new KeyboardShortcutService(eventBus, { platform: 'linux' });
+    const changes = [];
+    service.onChange(shortcuts => changes.push(shortcuts));
+
+    const conflict = service.setBinding('render.frame', 'CmdOrCtrl+Z');
+    if (conflict.success || conflict.conflict?.id !== 'edit.undo') {
+        throw new Error('Expected binding to an owned chord to report the conflict');
+    }
+
+    if (!service.setBinding('render.frame', 'enter+cmdorctrl').success) {
+        throw new Error('Expected rebinding to a free chord to succeed');
+    }
+    const rendered = [];
+    eventBus.subscribe('toolbar:render:trigger', () => rendered.push('render'));
+    service.handleKeyDown(keyDown({ key: 'Enter', code: 'Enter', ctrlKey: true }));
+    service.handleKeyDown(keyDown({ key: 'r', code: 'KeyR', ctrlKey: true }));
+    if (rendered.length !== 1) {
+        throw new Error('Expected only the new chord to render');
+    }
+
+    // Unbinding undo frees Ctrl+Z for another shortcut
+    service.setBinding('edit.undo', null);
+    if (!service.setBinding('render.pin', 'CmdOrCtrl+Z').success) {
+        throw new Error('Expected an unbound chord to be reusable');
+    }
+    const keymap = service.getKeymap();
+    if (keymap['edit.undo'] !== null || keymap['render.frame'] !== 'CmdOrCtrl+Enter' || keymap['render.pin'] !== 'CmdOrCtrl+Z') {
+        throw new Error(`Unexpected keymap ${JSON.stringify(keymap)}`);
+    }
+
+    // Undo's default is taken now, so resetting it reports the new owner
+    const blockedReset = service.resetBinding('edit.undo');
+    if (blockedReset.success || blockedReset.conflict?.id !== 'render.pin') {
+        throw new Error('Expected resetting onto a taken default to report the conflict');
+    }
+
+    // A saved keymap (as main receives it) resolves the same way, dropping unknown ids and bad chords
+    service.setKeymap({ ...keymap, 'missing.shortcut': 'CmdOrCtrl+M', 'view.zoomIn': 'not a chord++' });
+    const resolved = resolveShortcuts(service.getKeymap());
+    if (JSON.stringify(resolved) !== JSON.stringify(service.getShortcuts()) || 'missing.shortcut' in service.getKeymap()) {
+        throw new Error('Expected the saved keymap to resolve identically in both processes');
+    }
+    if (service.getShortcut('view.zoomIn').accelerator !== 'CmdOrCtrl+=') {
+        throw new Error('Expected invalid overrides to fall back to the default');
+    }
+
+    service.resetAll();
+    if (Object.keys(service.getKeymap()).length !== 0 || service.getShortcut('edit.undo').accelerator !== 'CmdOrCtrl+Z') {
+        throw new Error('Expected reset all to restore the defaults');
+    }
+    if (changes.length < 5) {
+        throw new Error(`Expected change notifications for each keymap change, got ${changes.length}`);
+    }
+
+    console.log('✅ Keymap rebinding');
+}
@@ -0,0 +1,117 @@
+/**
+ * KeyframeTimelineUtils Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests timeline frame math and keyframe retiming through the real command stack
+ */
+
+import TestEnvironment from '../setup/TestEnvironment.js';
+import KeyframeTimelineUtils from '../../src/utils/KeyframeTimelineUtils.js';
+import { UpdateKeyframeEffectCommand } from '../../src/services/KeyframeEffectCommandService.js';
+
+// Test: Tracks are built per primary effect with keyframe markers
+export async function testBuildTracksFromEffects() {
+    const tracks = KeyframeTimelineUtils.buildTracks([
+        { id: 'a', name: 'amp', type: 'primary', keyframeEffects: [] },
+        {
+            id: 'b',
+            name: 'hex',
+            type: 'primary',
+            visible: false,
+            keyframeEffects: [
+                { id: 'k1', name: 'blink', frame: 12, config: {} },
+                { id: 'k2', name: 'fade', config: { keyFrames: [40] } }
+            ]
+        },
+        { id: 'c', name: 'glow', type: 'finalImage', keyframeEffects: [{ id: 'k3', frame: 1 }] }
+    ]);
+
+    if (tracks.length !== 1 || tracks[0].effectId !== 'b' || tracks[0].parentIndex !== 1) {
+        throw new Error('Only primary effects with keyframe effects should get a track');
+    }
+    if (tracks[0].visible) {
+        throw new Error('Track should reflect parent visibility');
+    }
+    const frames = tracks[0].markers.map(marker => marker.frame).join(',');
+    if (frames !== '12,40') {
+        throw new Error(`Unexpected marker frames: ${frames}`);
+    }
+
+    console.log('✅ Timeline tracks built from effects');
+}
+
+// Test: Pointer offsets and percentages map to clamped frames
+export async function testFrameConversions() {
+    if (KeyframeTimelineUtils.frameFromOffset(0, 500, 101) !== 0) {
+        throw new Error('Left edge should be frame 0');
+    }
+    if (KeyframeTimelineUtils.frameFromOffset(250, 500, 101) !== 50) {
+        throw new Error('Middle should be frame 50');
+    }
+    if (KeyframeTimelineUtils.frameFromOffset(900, 500, 101) !== 100) {
+        throw new Error('Offsets past the ruler should clamp to the last frame');
+    }
+    if (KeyframeTimelineUtils.frameToPercent(25, 101) !== 25) {
+        throw new Error('Frame 25 of 101 should sit at 25%');
+    }
+    if (KeyframeTimelineUtils.getTickInterval(1800, 900) !== 200) {
+        throw new Error('Tick interval should keep labels at least 60px apart');
+    }
+
+    console.log('✅ Frame conversions clamp to the project range');
+}
+
+// Test: Retiming updates frame and keyFrames and can be undone
+export async function testRetimeKeyframeIsUndoable() {
+    const testEnv = new TestEnvironment();
+    await testEnv.setup();
+
+    try {
+        const projectState = testEnv.getService('ProjectState');
+        const commandService = testEnv.getService('CommandService');
+
+        await projectState.initializeProject({
+            targetResolution: 1080,
+            numFrames: 100,
+            effects: [{
+                id: 'parent-1',
+                name: 'hex',
+                className: 'hex',
+                registryKey: 'hex',
+                type: 'primary',
+                config: {},
+                keyframeEffects: [{
+                    id: 'kf-1',
+                    name: 'blink',
+                    className: 'blink',
+                    registryKey: 'blink',
+                    type: 'keyframe',
+                    frame: 10,
+                    config: { keyFrames: [10], glowTimes: 2 }
+                }]
+            }]
+        });
+
+        const keyframe = projectState.getState().effects[0].keyframeEffects[0];
+        const updates = KeyframeTimelineUtils.buildRetimeUpdates(keyframe, 55);
+        if (keyframe.config.keyFrames[0] !== 10) {
+            throw new Error('Building updates must not mutate the existing config');
+        }
+
+        await commandService.execute(new UpdateKeyframeEffectCommand(projectState, 0, 0, updates));
+
+        const retimed = projectState.getState().effects[0].keyframeEffects[0];
+        if (retimed.frame !== 55 || retimed.config.keyFrames[0] !== 55 || retimed.config.glowTimes !== 2) {
+            throw new Error('Retime should move the frame and keep the rest of the config');
+        }
+
+        await commandService.undo();
+
+        const restored = projectState.getState().effects[0].keyframeEffects[0];
+        if (restored.frame !== 10 || restored.config.keyFrames[0] !== 10) {
+            throw new Error('Undo should restore the original frame');
+        }
+
+        console.log('✅ Keyframe retime is undoable');
+    } finally {
+        await testEnv.cleanup();
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * PaletteExtractionService Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests k-means quantization and scheme bucket proposals from a real image decoded with sharp
+ */
+
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+import sharp from 'sharp';
+import PaletteExtractionService from '../../src/main/services/PaletteExtractionService.js';
+import SeededRandom from '../../src/utils/SeededRandom.js';
+
+/**
+ * 3 horizontal bands: black (half), white, orange
+ */
+async function createBandedImage(filePath) {
+    const width = 40;
+    const height = 40;
+    const data = Buffer.alloc(width * height * 3);
+    for (let y = 0; y < height; y++) {
+        const color = y < 20 ? [0, 0, 0] : y < 30 ? [250, 250, 250] : [255, 120, 0];
+        for (let x = 0; x < width; x++) {
+            data.set(color, (y * width + x) * 3);
+        }
+    }
+    await sharp(data, { raw: { width, height, channels: 3 } }).png().toFile(filePath);
+}
+
+// Test: k-means finds the dominant colors, largest cluster first, deterministically
+export async function testKMeansFindsClusters() {
+    const pixels = [
+        ...Array(50).fill({ r: 0, g: 0, b: 0 }),
+        ...Array(30).fill({ r: 255, g: 255, b: 255 }),
+        ...Array(20).fill({ r: 255, g: 0, b: 0 })
+    ];
+
+    const clusters = PaletteExtractionService.kMeans(pixels, 3, SeededRandom.createGenerator(1));
+    const summary = clusters.map(cluster => `${cluster.center.r},${cluster.center.g},${cluster.center.b}:${cluster.count}`).join(' ');
+    if (summary !== '0,0,0:50 255,255,255:30 255,0,0:20') {
+        throw new Error(`Unexpected clusters: ${summary}`);
+    }
+
+    const fewer = PaletteExtractionService.kMeans(pixels.slice(0, 50), 4, SeededRandom.createGenerator(1));
+    if (fewer.length !== 1) {
+        throw new Error('Expected a single cluster for a single color');
+    }
+
+    console.log('✅ k-means finds dominant clusters');
+}
+
+// Test: an image yields a scheme proposal with every bucket filled
+export async function testExtractPaletteFromImage() {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'palette-extract-'));
+    const imagePath = path.join(directory, 'bands.png');
+
+    try {
+        await createBandedImage(imagePath);
+        const service = new PaletteExtractionService();
+        const result = await service.extractPalette(imagePath, { colorCount: 3 });
+
+        if (!result.success) {
+            throw new Error(`Extraction failed: ${result.error}`);
+        }
+        if (result.swatches[0].color !== '#000000' || Math.abs(result.swatches[0].weight - 0.5) > 0.05) {
+            throw new Error(`Expected black as the dominant color: ${JSON.stringify(result.swatches)}`);
+        }
+        const { neutrals, backgrounds, lights } = result.scheme;
+        if (backgrounds[0] !== '#000000' || neutrals[0] !== '#FAFAFA' || lights[0] !== '#FF7800') {
+            throw new Error(`Unexpected buckets: ${JSON.stringify(result.scheme)}`);
+        }
+
+        const missing = await service.extractPalette(path.join(directory, 'missing.png'));
+        if (missing.success) {
+            throw new Error('Expected a missing image to fail');
+        }
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+
+    console.log('✅ Image palettes map onto scheme buckets');
+}
@@ -0,0 +1,143 @@
+/**
+ * PaletteFormatService Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests palette round-trips for ASE, GPL, Procreate swatches, CSS and JSON, and bucket mapping of loose palettes
+ */
+
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+import PaletteFormatService from '../../src/main/services/PaletteFormatService.js';
+import PaletteBuckets from '../../src/utils/PaletteBuckets.js';
+
+const scheme = {
+    name: 'Test Neon',
+    description: 'Round trip',
+    neutrals: ['#FFFFFF', '#808080'],
+    backgrounds: ['#000000', '#101020'],
+    lights: ['#00FFFF', '#FF00FF', '#FFFF00']
+};
+
+const sameBuckets = (a, b) => ['neutrals', 'backgrounds', 'lights']
+    .every(bucket => JSON.stringify(a[bucket]) === JSON.stringify(b[bucket]));
+
+// Test: every format round-trips the scheme buckets
+export async function testFormatsRoundTrip() {
+    for (const format of Object.keys(PaletteFormatService.FORMATS)) {
+        const buffer = PaletteFormatService.encode(scheme, format);
+        const decoded = PaletteFormatService.decode(buffer, format);
+
+        if (!sameBuckets(decoded, scheme)) {
+            throw new Error(`${format} round trip changed the buckets: ${JSON.stringify(decoded)}`);
+        }
+        if (format !== 'swatches' && decoded.name !== 'Test Neon') {
+            throw new Error(`${format} round trip lost the name: ${decoded.name}`);
+        }
+    }
+
+    const ase = PaletteFormatService.encode(scheme, 'ase');
+    if (ase.toString('ascii', 0, 4) !== 'ASEF' || ase.readUInt32BE(8) !== 13) {
+        throw new Error('Expected an ASE header with 3 groups (start/end) and 7 colors');
+    }
+
+    console.log('✅ All palette formats round-trip');
+}
+
+// Test: palettes without bucket labels are mapped by lightness and chroma
+export async function testUnlabeledPalettesAreClassified() {
+    const gpl = [
+        'GIMP Palette',
+        'Name: Loose',
+        '#',
+        '255 255 255\tSnow',
+        ' 10  10  30\tInk',
+        '255  64   0\tFlame',
+        '128 128 120'
+    ].join('\n');
+    const fromGpl = PaletteFormatService.decode(Buffer.from(gpl), 'gpl');
+    if (fromGpl.neutrals.join() !== '#FFFFFF,#808078' || fromGpl.backgrounds.join() !== '#0A0A1E' || fromGpl.lights.join() !== '#FF4000') {
+        throw new Error(`Unexpected GPL buckets: ${JSON.stringify(fromGpl)}`);
+    }
+
+    const css = ':root { --brand: rgb(0, 200, 255); --surface: #111; --text: #eeeeee; }';
+    const fromCss = PaletteFormatService.decode(Buffer.from(css), 'css', 'site');
+    if (fromCss.name !== 'site' || fromCss.lights.join() !== '#00C8FF' || fromCss.backgrounds.join() !== '#111111') {
+        throw new Error(`Unexpected CSS buckets: ${JSON.stringify(fromCss)}`);
+    }
+
+    const fromJson = PaletteFormatService.decode(Buffer.from(JSON.stringify(['#FF0000'])), 'json');
+    if (fromJson.lights.join() !== '#FF0000' || fromJson.neutrals.length !== 1 || fromJson.backgrounds.length !== 1) {
+        throw new Error('Expected every bucket filled for a one-color palette');
+    }
+
+    let threw = false;
+    try {
+        PaletteBuckets.classify(['not a color']);
+    } catch (error) {
+        threw = true;
+    }
+    if (!threw) {
+        throw new Error('Expected an empty palette rejected');
+    }
+
+    console.log('✅ Unlabeled palettes are classified into buckets');
+}
+
+// Test: foreign ASE color models and stored zip entries decode
+export async function testForeignFilesDecode() {
+    const ase = PaletteFormatService.encode({ name: 'x', neutrals: [], backgrounds: [], lights: ['#FF0000'] }, 'ase');
+    const cmykBlock = Buffer.concat([
+        PaletteFormatService.aseString('Cyan'),
+        Buffer.from('CMYK', 'ascii'),
+        Buffer.from(new Float32Array([1, 0, 0, 0]).buffer).swap32(),
+        Buffer.from([0, 2])
+    ]);
+    const withCmyk = Buffer.concat([ase, PaletteFormatService.aseBlock(0x0001, cmykBlock)]);
+    withCmyk.writeUInt32BE(ase.readUInt32BE(8) + 1, 8);
+
+    const decoded = PaletteFormatService.decode(withCmyk, 'ase');
+    if (!decoded.lights.includes('#00FFFF') || !decoded.lights.includes('#FF0000')) {
+        throw new Error(`Expected the CMYK swatch decoded: ${JSON.stringify(decoded)}`);
+    }
+
+    const zip = PaletteFormatService.createZip([{ name: 'Swatches.json', data: Buffer.from('[]') }]);
+    if (PaletteFormatService.readZip(zip)['Swatches.json'].toString() !== '[]') {
+        throw new Error('Expected the zip entry read back');
+    }
+
+    try {
+        PaletteFormatService.decode(Buffer.from('nope'), 'ase');
+        throw new Error('Expected an invalid ASE rejected');
+    } catch (error) {
+        if (!error.message.includes('Adobe Swatch Exchange')) throw error;
+    }
+
+    console.log('✅ Foreign ASE models and zip entries decode');
+}
+
+// Test: files are written and read by extension
+export async function testImportExportFiles() {
+    const service = new PaletteFormatService();
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'palette-test-'));
+
+    try {
+        const filePath = path.join(directory, 'neon.swatches');
+        const exported = await service.exportPalette(filePath, scheme);
+        if (!exported.success) {
+            throw new Error(`Export failed: ${exported.error}`);
+        }
+
+        const imported = await service.importPalette(filePath);
+        if (!imported.success || !sameBuckets(imported.scheme, scheme) || imported.format !== 'swatches') {
+            throw new Error(`Import failed: ${imported.error}`);
+        }
+
+        const unsupported = await service.importPalette(path.join(directory, 'neon.aco'));
+        if (unsupported.success || !unsupported.error.includes('Unsupported')) {
+            throw new Error('Expected unsupported extensions rejected');
+        }
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+
+    console.log('✅ Palette files import and export by extension');
+}
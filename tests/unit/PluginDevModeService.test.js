@@ -0,0 +1,153 @@
+/**
+ * Plugin Dev Mode Service Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests file watching, debouncing and serialized hot reloads on a real plugin directory
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import PluginDevModeService from '../../src/main/services/PluginDevModeService.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const waitFor = async (condition, timeoutMs = 3000) => {
+    const startedAt = Date.now();
+    while (!condition()) {
+        if (Date.now() - startedAt > timeoutMs) {
+            throw new Error('Timed out waiting for a reload');
+        }
+        await wait(20);
+    }
+};
+
+const createPluginDir = async () => {
+    const pluginDir = await fs.mkdtemp(path.join(os.tmpdir(), 'plugin-dev-mode-test-'));
+    await fs.mkdir(path.join(pluginDir, 'effects'));
+    await fs.writeFile(path.join(pluginDir, 'index.js'), 'export function register() {}\n');
+    await fs.writeFile(path.join(pluginDir, 'effects', 'glow.js'), 'export const glow = 1;\n');
+    return pluginDir;
+};
+
+// Test: a burst of edits triggers one reload, loader output and editor temp files trigger none
+export async function testSourceChangesTriggerOneDebouncedReload() {
+    const pluginDir = await createPluginDir();
+    const reloads = [];
+    const reported = [];
+    const devMode = new PluginDevModeService({
+        reloadPlugin: async (pluginName) => {
+            reloads.push(pluginName);
+            return { success: true, effects: ['glow'] };
+        },
+        onReload: (result) => reported.push(result),
+        debounceMs: 100
+    });
+
+    try {
+        const watching = await devMode.watch('glow-plugin', path.join(pluginDir, 'index.js'));
+        if (!watching.success || watching.watchPath !== pluginDir) {
+            throw new Error(`Expected the plugin directory watched, got ${JSON.stringify(watching)}`);
+        }
+
+        await fs.writeFile(path.join(pluginDir, 'effects', 'glow.js'), 'export const glow = 2;\n');
+        await fs.writeFile(path.join(pluginDir, 'effects', 'glow.js'), 'export const glow = 3;\n');
+        await fs.writeFile(path.join(pluginDir, 'index.js'), 'export function register() { return 1; }\n');
+        await waitFor(() => reported.length > 0);
+        await wait(250);
+
+        if (reloads.length !== 1) {
+            throw new Error(`Expected one reload for a burst of edits, got ${reloads.length}`);
+        }
+        const [result] = reported;
+        if (!result.success || result.plugin !== 'glow-plugin' || !result.timestamp) {
+            throw new Error(`Unexpected reload result ${JSON.stringify(result)}`);
+        }
+        if (!result.changedFiles.some(file => file.endsWith('glow.js'))) {
+            throw new Error(`Expected the changed files reported, got ${result.changedFiles.join(', ')}`);
+        }
+
+        // The loader writes node_modules into the plugin directory; editors write swap files
+        await fs.mkdir(path.join(pluginDir, 'node_modules', 'my-nft-gen'), { recursive: true });
+        await fs.writeFile(path.join(pluginDir, 'node_modules', 'my-nft-gen', 'package.json'), '{}');
+        await fs.writeFile(path.join(pluginDir, 'index.js.swp'), 'swap');
+        await wait(300);
+        if (reloads.length !== 1) {
+            throw new Error('Expected node_modules and editor temp files to be ignored');
+        }
+
+        const status = devMode.getStatus();
+        if (status.length !== 1 || status[0].lastResult !== result || status[0].reloading) {
+            throw new Error(`Unexpected status ${JSON.stringify(status)}`);
+        }
+
+        devMode.unwatch('glow-plugin');
+        await fs.writeFile(path.join(pluginDir, 'index.js'), 'export function register() { return 2; }\n');
+        await wait(250);
+        if (reloads.length !== 1 || devMode.isWatching('glow-plugin')) {
+            throw new Error('Expected no reloads after unwatching');
+        }
+
+        console.log('✅ Source changes trigger one debounced reload');
+    } finally {
+        devMode.unwatchAll();
+    }
+}
+
+// Test: reloads never overlap and load errors are reported with their stack
+export async function testReloadsAreSerializedAndErrorsReported() {
+    const pluginDir = await createPluginDir();
+    let running = 0;
+    let maxRunning = 0;
+    let calls = 0;
+    const reported = [];
+    const devMode = new PluginDevModeService({
+        reloadPlugin: async () => {
+            calls++;
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await wait(50);
+            running--;
+            if (calls === 1) {
+                throw new SyntaxError('Unexpected token in effects/glow.js');
+            }
+            return { success: true, effects: ['glow'] };
+        },
+        onReload: (result) => reported.push(result)
+    });
+
+    try {
+        await devMode.watch('glow-plugin', pluginDir);
+
+        const first = devMode.reload('glow-plugin');
+        const queued = devMode.reload('glow-plugin');
+        const third = devMode.reload('glow-plugin');
+        await Promise.all([first, queued, third]);
+        await waitFor(() => reported.length === 2);
+
+        if (maxRunning !== 1) {
+            throw new Error('Expected reloads of one plugin to never overlap');
+        }
+        if (calls !== 2) {
+            throw new Error(`Expected changes during a reload to queue exactly one more, got ${calls} reloads`);
+        }
+
+        const [failure, recovery] = reported;
+        if (failure.success || !failure.error.includes('Unexpected token') || !failure.stack.includes('SyntaxError')) {
+            throw new Error(`Expected the load error reported with its stack, got ${JSON.stringify(failure)}`);
+        }
+        if (!recovery.success) {
+            throw new Error('Expected the queued reload to succeed');
+        }
+
+        if (await devMode.reload('other-plugin') !== null) {
+            throw new Error('Expected reloading an unwatched plugin to do nothing');
+        }
+        const missing = await devMode.watch('missing-plugin', path.join(pluginDir, 'does-not-exist'));
+        if (missing.success) {
+            throw new Error('Expected watching a missing path to fail');
+        }
+
+        console.log('✅ Reloads are serialized and errors reported with stack traces');
+    } finally {
+        devMode.unwatchAll();
+    }
+}
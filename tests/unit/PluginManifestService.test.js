@@ -0,0 +1,252 @@
+/**
+ * Plugin Manifest Service Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests manifest validation, version ranges, capability approval and the source audit
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import PluginManifestService, { MANIFEST_FILE } from '../../src/main/services/PluginManifestService.js';
+
+const createPluginDir = async (files) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'plugin-manifest-test-'));
+    for (const [name, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+        await fs.writeFile(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    return dir;
+};
+
+const manifest = (extra = {}) => ({
+    name: 'glow-effects',
+    version: '1.0.0',
+    myNftGen: '^1.7.0',
+    effects: ['glow-ring'],
+    capabilities: [],
+    ...extra
+});
+
+// Test: manifests are validated and normalized, with name/version falling back to package.json
+export async function testReadManifestValidates() {
+    const service = new PluginManifestService();
+
+    const fromPackage = await createPluginDir({
+        'package.json': { name: 'pkg-name', version: '2.1.0', nftPlugin: { myNftGen: '1.x', effects: ['a', 'a'] } }
+    });
+    const packageResult = await service.readManifest(fromPackage);
+    if (!packageResult.success || packageResult.manifest.name !== 'pkg-name' || packageResult.manifest.version !== '2.1.0') {
+        throw new Error(`Expected name/version from package.json, got ${JSON.stringify(packageResult)}`);
+    }
+    if (packageResult.manifest.effects.join(',') !== 'a' || packageResult.manifest.capabilities.length !== 0) {
+        throw new Error('Expected effects de-duplicated and no capabilities');
+    }
+
+    // Plugins from before manifests existed ask for the capabilities their code uses
+    const legacyDir = await createPluginDir({
+        'package.json': { name: 'old-plugin', version: '1.0.0' },
+        'index.js': "import https from 'https';\nexport function register() {}"
+    });
+    const legacy = await service.readManifest(legacyDir);
+    if (!legacy.success || !legacy.manifest.legacy || legacy.manifest.name !== 'old-plugin' || legacy.manifest.capabilities.join(',') !== 'network') {
+        throw new Error(`Expected a legacy manifest requesting network, got ${JSON.stringify(legacy)}`);
+    }
+    if (service.getUndeclaredEffects(legacy.manifest, ['anything']).length !== 0) {
+        throw new Error('Expected legacy plugins to register effects without declaring them');
+    }
+    const legacyUnapproved = await service.verifyPlugin(legacyDir, { myNftGenVersion: '1.7.0' });
+    const legacyApproved = await service.verifyPlugin(legacyDir, { approvedCapabilities: ['network'], myNftGenVersion: '1.7.0' });
+    if (!legacyUnapproved.requiresApproval || !legacyApproved.success) {
+        throw new Error('Expected a legacy plugin to load once its capabilities are approved');
+    }
+
+    // A legacy plugin bundling my-nft-gen and sharp, with notes in comments, loads without approvals
+    const bundlingDir = await createPluginDir({
+        'package.json': { name: 'bundling-plugin', version: '1.0.0' },
+        'index.js': "// effects require (at runtime) my-nft-gen\nimport { Effect } from 'my-nft-gen';\nexport function register() {}",
+        'node_modules/my-nft-gen/src/core/Project.js': "import { exec } from 'child_process';\nexport const run = (cmd) => exec(cmd);",
+        'node_modules/sharp/lib/sharp.js': 'module.exports = require(paths[0]);'
+    });
+    const bundling = await service.verifyPlugin(bundlingDir, { myNftGenVersion: '1.7.0' });
+    if (!bundling.success || bundling.manifest.capabilities.length !== 0) {
+        throw new Error(`Expected the bundling legacy plugin to load without approvals, got ${JSON.stringify(bundling)}`);
+    }
+
+    const unknown = await service.readManifest(await createPluginDir({ [MANIFEST_FILE]: manifest({ capabilities: ['child-process'] }) }));
+    if (unknown.success || !unknown.error.includes('child-process')) {
+        throw new Error('Expected an unknown capability to fail');
+    }
+
+    const badRange = await service.readManifest(await createPluginDir({ [MANIFEST_FILE]: manifest({ myNftGen: 'latest' }) }));
+    if (badRange.success) {
+        throw new Error('Expected an invalid version range to fail');
+    }
+
+    console.log('✅ Manifests are validated and normalized');
+}
+
+// Test: semver ranges cover exact, caret, tilde, x-range, comparator and OR forms
+export async function testSatisfiesVersionRanges() {
+    const service = new PluginManifestService();
+    const cases = [
+        ['1.7.0', '1.7.0', true],
+        ['1.7.1', '1.7.0', false],
+        ['1.9.3', '^1.7.0', true],
+        ['2.0.0', '^1.7.0', false],
+        ['0.2.5', '^0.2.1', true],
+        ['0.3.0', '^0.2.1', false],
+        ['1.7.9', '~1.7.2', true],
+        ['1.8.0', '~1.7.2', false],
+        ['1.4.0', '1.x', true],
+        ['2.0.0', '1.x', false],
+        ['1.7.0', '>=1.6.0 <2.0.0', true],
+        ['2.0.0', '>=1.6.0 <2.0.0', false],
+        ['3.1.0', '^1.0.0 || 3.x', true],
+        ['1.7.0', '*', true]
+    ];
+
+    cases.forEach(([version, range, expected]) => {
+        if (service.satisfies(version, range) !== expected) {
+            throw new Error(`Expected ${version} ${expected ? 'in' : 'outside'} ${range}`);
+        }
+    });
+
+    console.log('✅ Version ranges are matched like npm semver');
+}
+
+// Test: incompatible, unapproved and undeclared capability use is refused
+export async function testVerifyPluginEnforcesCapabilities() {
+    const service = new PluginManifestService();
+
+    const compatible = await createPluginDir({
+        [MANIFEST_FILE]: manifest({ capabilities: ['network'] }),
+        'index.js': "export async function register() { await fetch('https://example.com'); }"
+    });
+
+    const unapproved = await service.verifyPlugin(compatible, { myNftGenVersion: '1.7.0' });
+    if (unapproved.success || !unapproved.requiresApproval) {
+        throw new Error('Expected unapproved capabilities to require approval');
+    }
+
+    const approved = await service.verifyPlugin(compatible, { approvedCapabilities: ['network'], myNftGenVersion: '1.7.0' });
+    if (!approved.success) {
+        throw new Error(`Expected the approved plugin to verify: ${approved.error}`);
+    }
+
+    const incompatible = await service.verifyPlugin(compatible, { approvedCapabilities: ['network'], myNftGenVersion: '2.0.0' });
+    if (incompatible.success || !incompatible.error.includes('requires my-nft-gen')) {
+        throw new Error('Expected an incompatible my-nft-gen version to be refused');
+    }
+
+    const undeclared = await createPluginDir({
+        [MANIFEST_FILE]: manifest(),
+        'src/reader.js': "import { readFile } from 'node:fs/promises';\nexport const read = (p) => readFile(p);"
+    });
+    const undeclaredResult = await service.verifyPlugin(undeclared, { myNftGenVersion: '1.7.0' });
+    if (undeclaredResult.success || !undeclaredResult.error.includes('"fs-read"') || !undeclaredResult.error.includes('reader.js')) {
+        throw new Error(`Expected undeclared fs-read to be refused, got ${undeclaredResult.error}`);
+    }
+
+    const forbidden = await createPluginDir({
+        [MANIFEST_FILE]: manifest({ capabilities: ['fs-read'] }),
+        'index.js': "import fs from 'fs';\nimport { exec } from 'child_process';\nfs.writeFileSync('x', 'y');"
+    });
+    const forbiddenResult = await service.verifyPlugin(forbidden, { approvedCapabilities: ['fs-read'], myNftGenVersion: '1.7.0' });
+    if (forbiddenResult.success || !forbiddenResult.error.includes('child_process')) {
+        throw new Error('Expected child_process to be refused even with approvals');
+    }
+
+    // In shipped dependencies, what plugin code may not do needs an approvable capability instead
+    const dependency = await createPluginDir({
+        [MANIFEST_FILE]: manifest(),
+        'index.js': "import helper from 'helper';\nexport default helper;",
+        'node_modules/helper/index.js': "const { exec } = require('child_process');\nmodule.exports = exec;",
+        'node_modules/sharp/lib/index.js': "const { spawnSync } = require('child_process');\nrequire(binaryPath);"
+    });
+    const dependencyResult = await service.verifyPlugin(dependency, { myNftGenVersion: '1.7.0' });
+    if (dependencyResult.success || !dependencyResult.error.includes('"unrestricted-dependencies"')
+        || !dependencyResult.error.includes(path.join('node_modules', 'helper', 'index.js'))) {
+        throw new Error(`Expected the dependency to need unrestricted-dependencies, got ${dependencyResult.error}`);
+    }
+    const declaredDependency = await createPluginDir({
+        [MANIFEST_FILE]: manifest({ capabilities: ['unrestricted-dependencies'] }),
+        'index.js': "import helper from 'helper';\nexport default helper;",
+        'node_modules/helper/index.js': "const { exec } = require('child_process');\nmodule.exports = exec;"
+    });
+    const declaredResult = await service.verifyPlugin(declaredDependency, {
+        approvedCapabilities: ['unrestricted-dependencies'],
+        myNftGenVersion: '1.7.0'
+    });
+    if (!declaredResult.success) {
+        throw new Error(`Expected the approved dependency to verify: ${declaredResult.error}`);
+    }
+
+    // Copies of app packages are replaced by the app's own at load time and are not audited
+    const appPackages = await service.auditDirectory(await createPluginDir({
+        'index.js': "import sharp from 'sharp';\nexport default sharp;",
+        'node_modules/sharp/lib/utility.js': "const { spawnSync } = require('child_process');",
+        'node_modules/my-nft-gen/src/core/Settings.js': "import fs from 'fs';\nfs.writeFileSync(file, data);",
+        'node_modules/@img/sharp-linux-x64/lib/index.js': 'require(binaryPath);'
+    }));
+    if (appPackages.required.length !== 0 || appPackages.forbidden.length !== 0) {
+        throw new Error(`Expected app packages skipped by the audit, got ${JSON.stringify(appPackages)}`);
+    }
+
+    console.log('✅ Plugins are refused when incompatible, unapproved or using undeclared capabilities');
+}
+
+// Test: the source audit maps imports and calls onto capabilities
+export async function testAuditSourceAndEffects() {
+    const service = new PluginManifestService();
+
+    const audit = service.auditSource([
+        "import sharp from 'sharp';",
+        "const https = require('https');",
+        "const addon = require('./build/addon.node');",
+        "const { readFile } = await import('fs/promises');"
+    ].join('\n'));
+    if (audit.capabilities.sort().join(',') !== 'fs-read,native-modules,network' || audit.forbidden.length !== 0) {
+        throw new Error(`Unexpected audit ${JSON.stringify(audit)}`);
+    }
+
+    const writes = service.auditSource("import fs from 'fs';\nfs.mkdirSync('out');");
+    if (!writes.forbidden.includes('file system writes')) {
+        throw new Error('Expected file system writes to be forbidden');
+    }
+
+    const bypasses = {
+        "const cp = require('child' + '_process');": 'computed module specifiers',
+        'const name = getName();\nconst mod = await import(name);': 'computed module specifiers',
+        "const spawn = process.binding('spawn_sync');": 'process internals',
+        "import { createRequire } from 'module';": 'the "module" module'
+    };
+    for (const [code, reason] of Object.entries(bypasses)) {
+        if (!service.auditSource(code).forbidden.includes(reason)) {
+            throw new Error(`Expected ${reason} to be forbidden in: ${code}`);
+        }
+    }
+    const commented = service.auditSource([
+        '// we require (see docs) that effects register themselves',
+        '/* import (lazily) once fetch (below) is ready */',
+        "const docs = 'https://example.com/docs'; // fs.writeFileSync(x)",
+        'const pattern = /\\/\\//; // require(name)'
+    ].join('\n'));
+    if (commented.capabilities.length !== 0 || commented.forbidden.length !== 0) {
+        throw new Error(`Expected text in comments ignored, got ${JSON.stringify(commented)}`);
+    }
+    const afterComment = service.auditSource("/* loader */ const mod = require(name); // computed");
+    if (!afterComment.forbidden.includes('computed module specifiers')) {
+        throw new Error('Expected code next to a comment still audited');
+    }
+
+    const bundled = service.auditSource('function require(id) { return modules[id]; }\nrequire.resolve(\'x\');');
+    if (bundled.forbidden.length !== 0) {
+        throw new Error(`Expected a bundler's own require function to pass, got ${JSON.stringify(bundled)}`);
+    }
+
+    const undeclared = service.getUndeclaredEffects(manifest(), ['glow-ring', 'secret-effect']);
+    if (undeclared.join(',') !== 'secret-effect') {
+        throw new Error('Expected the undeclared effect reported');
+    }
+
+    console.log('✅ Source audit and effect declarations are checked');
+}
@@ -0,0 +1,321 @@
+/**
+ * Plugin Version Pinning Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests pinned installs with integrity checks from a local registry, the lockfile and update checks
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { createHash } from 'crypto';
+import { execSync } from 'child_process';
+import { PluginDownloadService } from '../../src/services/PluginDownloadService.js';
+import { PluginLockfileService, DEFAULT_REGISTRY } from '../../src/services/PluginLockfileService.js';
+import { PluginManagerService } from '../../src/services/PluginManagerService.js';
+import PluginLoaderOrchestrator from '../../src/services/PluginLoaderOrchestrator.js';
+
+const quietLogger = { info: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * Build a plugin tarball laid out like `npm pack` output (package/...)
+ */
+const packPlugin = async (workDir, version, source = 'export function register() {}\n') => {
+    const packageDir = path.join(workDir, `src-${version}`, 'package');
+    await fs.mkdir(packageDir, { recursive: true });
+    await fs.writeFile(path.join(packageDir, 'package.json'), JSON.stringify({
+        name: 'test-glow-plugin',
+        version,
+        main: 'index.js'
+    }));
+    await fs.writeFile(path.join(packageDir, 'index.js'), source);
+
+    const tarballPath = path.join(workDir, `test-glow-plugin-${version}.tgz`);
+    execSync(`tar -czf "${tarballPath}" -C "${path.dirname(packageDir)}" package`);
+    const data = await fs.readFile(tarballPath);
+    return {
+        data,
+        integrity: `sha512-${createHash('sha512').update(data).digest('base64')}`
+    };
+};
+
+/**
+ * Serve a package document and tarballs the way an npm registry mirror does
+ */
+const startRegistry = async (tarballs, { latest, tamperWith = null }) => {
+    const server = http.createServer((request, response) => {
+        const { port } = server.address();
+        if (request.url === '/test-glow-plugin') {
+            const versions = {};
+            Object.entries(tarballs).forEach(([version, tarball]) => {
+                versions[version] = {
+                    name: 'test-glow-plugin',
+                    version,
+                    dist: {
+                        tarball: `http://127.0.0.1:${port}/tarballs/${version}.tgz`,
+                        integrity: tarball.integrity
+                    }
+                };
+            });
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ name: 'test-glow-plugin', 'dist-tags': { latest }, versions }));
+            return;
+        }
+
+        const match = /^\/tarballs\/(.+)\.tgz$/.exec(request.url);
+        if (match && tarballs[match[1]]) {
+            const data = Buffer.from(tarballs[match[1]].data);
+            if (match[1] === tamperWith) {
+                data[data.length - 1] ^= 0xff;
+            }
+            response.writeHead(200);
+            response.end(data);
+            return;
+        }
+
+        response.writeHead(404);
+        response.end();
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, url: `http://127.0.0.1:${server.address().port}/` };
+};
+
+// Test: installs are pinned to the requested version and verified against dist.integrity
+export async function testInstallPackagePinsAndVerifies() {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'plugin-pinning-test-'));
+    const tarballs = { '1.0.0': await packPlugin(workDir, '1.0.0'), '1.1.0': await packPlugin(workDir, '1.1.0') };
+    const { server, url } = await startRegistry(tarballs, { latest: '1.1.0', tamperWith: '1.0.0' });
+
+    try {
+        const pluginsDir = path.join(workDir, 'plugins');
+        await fs.mkdir(pluginsDir);
+        const service = new PluginDownloadService(pluginsDir, quietLogger, url);
+
+        const latest = await service.installPackage('test-glow-plugin');
+        if (!latest.success) {
+            throw new Error(`Expected the latest version to install: ${latest.error}`);
+        }
+        if (latest.info.version !== '1.1.0' || path.basename(latest.extractPath) !== 'test-glow-plugin@1.1.0') {
+            throw new Error(`Expected 1.1.0 in a versioned directory, got ${latest.extractPath}`);
+        }
+        if (latest.integrity !== tarballs['1.1.0'].integrity || !latest.resolved.endsWith('/tarballs/1.1.0.tgz')) {
+            throw new Error('Expected the verified integrity and resolved URL returned');
+        }
+        if (latest.registry !== url.replace(/\/$/, '')) {
+            throw new Error(`Expected the mirror registry recorded, got ${latest.registry}`);
+        }
+
+        const tampered = await service.installPackage('test-glow-plugin', null, { version: '1.0.0' });
+        if (tampered.success || !tampered.error.includes('Integrity check failed')) {
+            throw new Error('Expected a tampered tarball to be rejected');
+        }
+        const leftovers = await fs.readdir(pluginsDir);
+        if (leftovers.some(name => name.endsWith('.tgz') || name === 'test-glow-plugin@1.0.0')) {
+            throw new Error(`Expected nothing kept from the rejected download, found ${leftovers.join(', ')}`);
+        }
+
+        const missing = await service.installPackage('test-glow-plugin', null, { version: '9.9.9' });
+        if (missing.success || !missing.error.includes('9.9.9')) {
+            throw new Error('Expected an unpublished version to fail');
+        }
+
+        console.log('✅ Installs are pinned and integrity-checked against a local registry');
+    } finally {
+        server.close();
+    }
+}
+
+// Test: the lockfile keeps a rollback history and the registry setting
+export async function testLockfileHistoryAndRollback() {
+    const appDataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'plugin-lockfile-test-'));
+    const lockfile = new PluginLockfileService(appDataPath);
+
+    if (await lockfile.getRegistry() !== DEFAULT_REGISTRY) {
+        throw new Error('Expected the public registry by default');
+    }
+    await lockfile.setRegistry('http://localhost:4873/');
+    if (await lockfile.getRegistry() !== 'http://localhost:4873') {
+        throw new Error('Expected the registry URL normalized');
+    }
+    let rejected = false;
+    try {
+        await lockfile.setRegistry('ftp://mirror');
+    } catch (error) {
+        rejected = true;
+    }
+    if (!rejected) {
+        throw new Error('Expected a non-http registry to be rejected');
+    }
+
+    const entry = (version) => ({ version, resolved: `r-${version}`, integrity: `sha512-${version}`, path: `/p/${version}` });
+    for (const version of ['1.0.0', '1.1.0', '1.2.0', '1.3.0']) {
+        await lockfile.recordInstall('glow', entry(version));
+    }
+    const dropped = await lockfile.recordInstall('glow', entry('2.0.0'));
+    if (dropped.map(item => item.version).join(',') !== '1.0.0') {
+        throw new Error(`Expected 1.0.0 dropped from the history, got ${JSON.stringify(dropped)}`);
+    }
+
+    const locked = await lockfile.getEntry('glow');
+    if (locked.version !== '2.0.0' || locked.previous.map(item => item.version).join(',') !== '1.3.0,1.2.0,1.1.0') {
+        throw new Error(`Unexpected lock entry ${JSON.stringify(locked)}`);
+    }
+
+    const rolledBack = await lockfile.rollback('glow');
+    if (rolledBack.version !== '1.3.0' || rolledBack.previous[0].version !== '2.0.0' || rolledBack.path !== '/p/1.3.0') {
+        throw new Error(`Expected 1.3.0 current with 2.0.0 restorable, got ${JSON.stringify(rolledBack)}`);
+    }
+
+    await lockfile.remove('glow');
+    let threw = false;
+    try {
+        await lockfile.rollback('glow');
+    } catch (error) {
+        threw = true;
+    }
+    if (!threw) {
+        throw new Error('Expected rollback without history to fail');
+    }
+
+    console.log('✅ Lockfile keeps a bounded rollback history and the registry URL');
+}
+
+// Test: npm installs are locked and update checks compare with the registry
+export async function testManagerLocksInstallsAndChecksUpdates() {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'plugin-updates-test-'));
+    const tarballs = { '1.0.0': await packPlugin(workDir, '1.0.0'), '1.1.0': await packPlugin(workDir, '1.1.0') };
+    const { server, url } = await startRegistry(tarballs, { latest: '1.1.0' });
+
+    try {
+        const appDataPath = path.join(workDir, 'app-data');
+        const manager = new PluginManagerService(appDataPath, quietLogger);
+        await manager.initialize();
+        await manager.setRegistry(url);
+
+        const installed = await manager.installFromNpm('test-glow-plugin', null, { version: '1.0.0' });
+        if (!installed.success) {
+            throw new Error(`Expected the pinned install to succeed: ${installed.error}`);
+        }
+
+        const locked = await manager.lockfile.getEntry('test-glow-plugin');
+        if (locked.version !== '1.0.0' || locked.integrity !== tarballs['1.0.0'].integrity) {
+            throw new Error(`Expected 1.0.0 locked with its integrity, got ${JSON.stringify(locked)}`);
+        }
+        const lockfileOnDisk = JSON.parse(await fs.readFile(path.join(appDataPath, 'plugins-lock.json'), 'utf8'));
+        if (!lockfileOnDisk.plugins['test-glow-plugin']) {
+            throw new Error('Expected plugins-lock.json next to plugins-config.json');
+        }
+
+        const [status] = await manager.checkForUpdates();
+        if (!status.updateAvailable || status.currentVersion !== '1.0.0' || status.latestVersion !== '1.1.0') {
+            throw new Error(`Expected 1.1.0 offered as an update, got ${JSON.stringify(status)}`);
+        }
+
+        await manager.installFromNpm('test-glow-plugin', null, { version: '1.1.0' });
+        const [upToDate] = await manager.checkForUpdates();
+        if (upToDate.updateAvailable || upToDate.previousVersion !== '1.0.0') {
+            throw new Error(`Expected no update and 1.0.0 available for rollback, got ${JSON.stringify(upToDate)}`);
+        }
+
+        const removed = await manager.removePlugin('test-glow-plugin');
+        if (!removed.lockEntry || await manager.lockfile.getEntry('test-glow-plugin')) {
+            throw new Error('Expected removing the plugin to drop its lock entry');
+        }
+
+        console.log('✅ npm installs are locked and checked for updates');
+    } finally {
+        server.close();
+    }
+}
+
+// Test: reinstalling a locked version refuses a tarball that differs from the locked hash
+export async function testReinstallRejectsLockfileIntegrityMismatch() {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'plugin-lock-integrity-test-'));
+    const original = { '1.0.0': await packPlugin(workDir, '1.0.0') };
+    const first = await startRegistry(original, { latest: '1.0.0' });
+
+    const appDataPath = path.join(workDir, 'app-data');
+    const manager = new PluginManagerService(appDataPath, quietLogger);
+    try {
+        await manager.initialize();
+        await manager.setRegistry(first.url);
+        const installed = await manager.installFromNpm('test-glow-plugin', null, { version: '1.0.0' });
+        if (!installed.success) {
+            throw new Error(`Expected the first install to succeed: ${installed.error}`);
+        }
+    } finally {
+        first.server.close();
+    }
+
+    // The registry now publishes different contents (with a matching dist.integrity) under the same version
+    const republished = { '1.0.0': await packPlugin(workDir, '1.0.0', 'export function register() { /* changed */ }\n') };
+    const second = await startRegistry(republished, { latest: '1.0.0' });
+
+    try {
+        await manager.setRegistry(second.url);
+        const reinstalled = await manager.installFromNpm('test-glow-plugin', null, { version: '1.0.0' });
+        if (reinstalled.success || !reinstalled.error.includes('plugins-lock.json')) {
+            throw new Error(`Expected the republished tarball to be refused, got ${JSON.stringify(reinstalled)}`);
+        }
+
+        const locked = await manager.lockfile.getEntry('test-glow-plugin');
+        if (locked.integrity !== original['1.0.0'].integrity) {
+            throw new Error('Expected the lockfile to keep the originally verified integrity');
+        }
+        const leftovers = await fs.readdir(path.join(appDataPath, 'plugins'));
+        if (leftovers.some(name => name.endsWith('.tgz'))) {
+            throw new Error(`Expected the refused tarball deleted, found ${leftovers.join(', ')}`);
+        }
+
+        console.log('✅ Reinstalling a locked version is checked against the lockfile integrity');
+    } finally {
+        second.server.close();
+    }
+}
+
+// Test: an npm plugin is only written to the config and lockfile once its capabilities are approved
+export async function testNpmInstallPersistsOnlyAfterApproval() {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'plugin-approval-test-'));
+    // No manifest: a legacy plugin whose code needs network access
+    const tarballs = {
+        '1.0.0': await packPlugin(workDir, '1.0.0', "export async function register() { await fetch('https://example.com'); }\n")
+    };
+    const { server, url } = await startRegistry(tarballs, { latest: '1.0.0' });
+
+    try {
+        const appDataPath = path.join(workDir, 'app-data');
+        const orchestrator = new PluginLoaderOrchestrator({
+            getEffectRegistryService: () => null,
+            getRegistryCacheService: () => null
+        }, appDataPath);
+        await orchestrator.initialize();
+        await orchestrator.pluginManager.setRegistry(url);
+
+        const result = await orchestrator.installAndLoadPlugin({ name: 'test-glow-plugin', path: 'test-glow-plugin', type: 'npm' });
+        if (result.success || !result.requiresApproval || !result.manifest?.legacy) {
+            throw new Error(`Expected the legacy plugin to ask for approval, got ${JSON.stringify(result)}`);
+        }
+        if (result.capabilities.map(capability => capability.id).join(',') !== 'network') {
+            throw new Error('Expected the network capability found by the scan to be requested');
+        }
+
+        if (await orchestrator.pluginManager.getPluginByName('test-glow-plugin')) {
+            throw new Error('Expected nothing in the plugin config before approval');
+        }
+        const configOnDisk = await fs.readFile(path.join(appDataPath, 'plugins-config.json'), 'utf8').catch(() => '[]');
+        if (JSON.parse(configOnDisk).some(plugin => plugin.name === 'test-glow-plugin')) {
+            throw new Error('Expected plugins-config.json untouched before approval');
+        }
+        if (await orchestrator.pluginManager.lockfile.getEntry('test-glow-plugin')) {
+            throw new Error('Expected no lock entry before approval');
+        }
+        const pluginsDir = path.join(appDataPath, 'plugins');
+        if ((await fs.readdir(pluginsDir)).includes('test-glow-plugin@1.0.0')) {
+            throw new Error('Expected the unapproved download to be removed');
+        }
+
+        console.log('✅ npm plugins are persisted only after approval');
+    } finally {
+        server.close();
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * PositionHandleUtils Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests handle detection and screen-to-project conversion for on-canvas position editing
+ */
+
+import PositionHandleUtils from '../../src/utils/PositionHandleUtils.js';
+
+// Test: Position, arc-path and Point2D fields produce handles
+export async function testCollectHandlesForPositionFields() {
+    const handles = PositionHandleUtils.collectHandles({
+        center: { name: 'position', x: 540, y: 960 },
+        path: { name: 'arc-path', center: { x: 100, y: 200 }, radius: 50, startAngle: 0, endAngle: 180, direction: 1 },
+        legacyPoint: { x: 10, y: 20 },
+        color: { name: 'color-picker', colorValue: '#ff0000' },
+        count: 5
+    });
+
+    const ids = handles.map(handle => handle.id).join(',');
+    if (ids !== 'center,path:center,path:radius,legacyPoint') {
+        throw new Error(`Unexpected handles: ${ids}`);
+    }
+
+    const radiusHandle = handles.find(handle => handle.id === 'path:radius');
+    if (radiusHandle.x !== 150 || radiusHandle.y !== 200) {
+        throw new Error('Radius handle should sit on the 0° edge of the arc');
+    }
+    if (handles.find(handle => handle.id === 'legacyPoint').kind !== 'point2d') {
+        throw new Error('Unnamed x/y values should be treated as Point2D');
+    }
+
+    console.log('✅ Handles collected for position fields');
+}
+
+// Test: Screen coordinates map back to project resolution through zoom and pan
+export async function testScreenToProjectRespectsZoomAndPan() {
+    const dimensions = { w: 1080, h: 1920 };
+
+    // Canvas drawn at half size, panned 200px right and 100px down
+    const rect = { left: 200, top: 100, width: 540, height: 960 };
+    const point = PositionHandleUtils.screenToProject(470, 580, rect, dimensions);
+    if (point.x !== 540 || point.y !== 960) {
+        throw new Error(`Expected the project center, got ${point.x},${point.y}`);
+    }
+
+    const clamped = PositionHandleUtils.screenToProject(0, 5000, rect, dimensions);
+    if (clamped.x !== 0 || clamped.y !== 1920) {
+        throw new Error('Points outside the canvas should clamp to its edges');
+    }
+
+    console.log('✅ Screen coordinates convert to project resolution');
+}
+
+// Test: Dragging updates only the coordinates and keeps other properties
+export async function testApplyHandleDragPreservesValue() {
+    const arc = { name: 'arc-path', center: { x: 100, y: 100 }, radius: 50, startAngle: 10, endAngle: 90, direction: -1 };
+    const [centerHandle, radiusHandle] = PositionHandleUtils.collectHandles({ arc });
+
+    const moved = PositionHandleUtils.applyHandleDrag(arc, centerHandle, { x: 300, y: 400 });
+    if (moved.center.x !== 300 || moved.center.y !== 400 || moved.radius !== 50 || moved.direction !== -1) {
+        throw new Error('Center drag should move the center only');
+    }
+    if (arc.center.x !== 100) {
+        throw new Error('Original value must not be mutated');
+    }
+
+    const resized = PositionHandleUtils.applyHandleDrag(arc, radiusHandle, { x: 100, y: 220 });
+    if (resized.radius !== 120 || resized.center.x !== 100) {
+        throw new Error('Radius drag should set the distance from the center');
+    }
+
+    const position = { name: 'position', x: 1, y: 2, __generatedAt: '1080-h' };
+    const [pointHandle] = PositionHandleUtils.collectHandles({ position });
+    const dragged = PositionHandleUtils.applyHandleDrag(position, pointHandle, { x: 7, y: 8 });
+    if (dragged.x !== 7 || dragged.y !== 8 || dragged.name !== 'position' || dragged.__generatedAt !== '1080-h') {
+        throw new Error('Position drag should keep the value shape');
+    }
+
+    console.log('✅ Handle drags preserve the rest of the value');
+}
@@ -0,0 +1,185 @@
+/**
+ * PreviewFrameCache Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests content-addressed keys, LRU eviction, precise invalidation and persistence
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PreviewFrameCache } from '../../src/services/PreviewFrameCache.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function createCacheDirectory() {
+    return await fs.mkdtemp(path.join(os.tmpdir(), 'preview-cache-test-'));
+}
+
+const createConfig = (overrides = {}) => ({
+    projectName: 'Neon',
+    outputDirectory: '/renders/neon',
+    targetResolution: 1080,
+    isHorizontal: false,
+    numFrames: 100,
+    masterSeed: 42,
+    effects: [
+        { id: 'glow-1', name: 'glow', registryKey: 'glow', type: 'primary', config: { strength: 3 } },
+        {
+            id: 'grid-1',
+            name: 'grid',
+            type: 'primary',
+            config: { size: 10 },
+            secondaryEffects: [{ id: 'blur-1', name: 'blur', type: 'secondary', config: { radius: 2 } }]
+        }
+    ],
+    ...overrides
+});
+
+// Test: keys depend on what changes pixels, not on key order or project metadata
+export async function testKeysCoverConfigFrameAndResolution() {
+    const base = PreviewFrameCache.describe(createConfig(), 5);
+
+    const reordered = createConfig();
+    reordered.effects[0] = { config: { strength: 3 }, type: 'primary', registryKey: 'glow', name: 'glow', id: 'glow-1' };
+    if (PreviewFrameCache.describe(reordered, 5).key !== base.key) {
+        throw new Error('Expected key order to not change the cache key');
+    }
+    if (PreviewFrameCache.describe(createConfig({ projectName: 'Renamed', outputDirectory: '/elsewhere' }), 5).key !== base.key) {
+        throw new Error('Expected project name and output directory to not change the cache key');
+    }
+
+    const variants = [
+        PreviewFrameCache.describe(createConfig(), 6),
+        PreviewFrameCache.describe(createConfig({ targetResolution: 720 }), 5),
+        PreviewFrameCache.describe(createConfig({ isHorizontal: true }), 5),
+        PreviewFrameCache.describe(createConfig({ masterSeed: 7 }), 5)
+    ];
+    if (variants.some(variant => variant.key === base.key)) {
+        throw new Error('Expected frame, resolution, orientation and seed to change the cache key');
+    }
+
+    // Unseeded frames are a new variant every render, so they are never cached
+    if (PreviewFrameCache.describe(createConfig({ masterSeed: null }), 5) !== null) {
+        throw new Error('Expected an unseeded project to have no cache key');
+    }
+    const effectSeeded = createConfig({ masterSeed: null });
+    effectSeeded.effects = effectSeeded.effects.map(effect => ({ ...effect, seed: 11 }));
+    if (PreviewFrameCache.describe(effectSeeded, 5) !== null) {
+        throw new Error('Expected an unseeded secondary effect to keep the frame uncacheable');
+    }
+    effectSeeded.effects[1].secondaryEffects = [{ ...effectSeeded.effects[1].secondaryEffects[0], seed: 12 }];
+    if (!PreviewFrameCache.describe(effectSeeded, 5)) {
+        throw new Error('Expected a frame whose every effect has a seed to be cacheable');
+    }
+
+    if (Object.keys(base.effects).join(',') !== 'glow-1,grid-1') {
+        throw new Error(`Expected one hash per top-level effect, got ${Object.keys(base.effects).join(',')}`);
+    }
+    if (!['glow', 'grid', 'blur'].every(name => base.effectNames.includes(name))) {
+        throw new Error(`Expected nested effect names collected, got ${base.effectNames.join(',')}`);
+    }
+
+    console.log('✅ Cache keys cover config, frame and resolution');
+}
+
+// Test: hits return the stored frame and settings, least recently used frames are evicted first
+export async function testHitsMissesAndLruEviction() {
+    const dir = await createCacheDirectory();
+    try {
+        const cache = new PreviewFrameCache(dir, { maxSizeBytes: 250 });
+        const frames = [0, 1, 2].map(frameNumber => PreviewFrameCache.describe(createConfig(), frameNumber));
+
+        if (await cache.get(frames[0]) !== null) {
+            throw new Error('Expected an empty cache to miss');
+        }
+
+        await cache.set(frames[0], Buffer.alloc(100, 0), '{"frame":0}');
+        await wait(5);
+        await cache.set(frames[1], Buffer.alloc(100, 1));
+        await wait(5);
+
+        const hit = await cache.get(frames[0]);
+        if (!hit || hit.frameBuffer.length !== 100 || hit.frameBuffer[0] !== 0 || hit.settings !== '{"frame":0}') {
+            throw new Error('Expected the stored frame and settings back on a hit');
+        }
+        await wait(5);
+
+        // Frame 1 is now the least recently used and has to make room
+        await cache.set(frames[2], Buffer.alloc(100, 2));
+        if (await cache.get(frames[1]) !== null) {
+            throw new Error('Expected the least recently used frame to be evicted');
+        }
+        if (!await cache.get(frames[0]) || !await cache.get(frames[2])) {
+            throw new Error('Expected recently used frames to stay cached');
+        }
+
+        const stats = cache.getStats();
+        if (stats.hits !== 3 || stats.misses !== 2 || stats.evictions !== 1 || stats.entries !== 2) {
+            throw new Error(`Unexpected stats ${JSON.stringify(stats)}`);
+        }
+        if (stats.totalBytes > 250 || stats.hitRate !== 3 / 5) {
+            throw new Error(`Unexpected disk usage or hit rate ${JSON.stringify(stats)}`);
+        }
+
+        await cache.setMaxSize(150);
+        if (cache.getStats().entries !== 1 || !await cache.get(frames[2])) {
+            throw new Error('Expected lowering the cap to evict down to the most recent frame');
+        }
+
+        // A new cache instance picks up the persisted index and cap
+        const reopened = new PreviewFrameCache(dir);
+        const persisted = await reopened.get(frames[2]);
+        if (!persisted || persisted.frameBuffer[0] !== 2 || reopened.getStats().maxSizeBytes !== 150) {
+            throw new Error('Expected cached frames and the size cap to survive a restart');
+        }
+
+        console.log('✅ Hits, misses and LRU eviction');
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+// Test: changing one effect drops exactly the frames rendered with its old config
+export async function testChangedEffectsInvalidatePrecisely() {
+    const dir = await createCacheDirectory();
+    try {
+        const cache = new PreviewFrameCache(dir);
+        const original = createConfig();
+        const soloGrid = createConfig({ effects: [original.effects[1]] });
+
+        await cache.set(PreviewFrameCache.describe(original, 0), Buffer.from('a'));
+        await cache.set(PreviewFrameCache.describe(original, 1), Buffer.from('b'));
+        await cache.set(PreviewFrameCache.describe(soloGrid, 0), Buffer.from('c'));
+
+        const edited = createConfig();
+        edited.effects[0] = { ...edited.effects[0], config: { strength: 4 } };
+        if (await cache.get(PreviewFrameCache.describe(edited, 0)) !== null) {
+            throw new Error('Expected the edited config to miss');
+        }
+
+        const stats = cache.getStats();
+        if (stats.invalidations !== 2 || stats.entries !== 1) {
+            throw new Error(`Expected both frames with the old glow config invalidated, got ${JSON.stringify(stats)}`);
+        }
+        if (!await cache.get(PreviewFrameCache.describe(soloGrid, 0))) {
+            throw new Error('Expected frames without the edited effect to stay cached');
+        }
+
+        // Effect code changes (plugin hot reload) drop frames by effect name
+        await cache.set(PreviewFrameCache.describe(edited, 0), Buffer.from('d'));
+        const removed = await cache.invalidateEffectNames(['blur']);
+        if (removed !== 2 || cache.getStats().entries !== 0) {
+            throw new Error(`Expected every frame using the nested blur effect dropped, removed ${removed}`);
+        }
+
+        await cache.set(PreviewFrameCache.describe(edited, 3), Buffer.from('e'));
+        await cache.clear();
+        const files = (await fs.readdir(path.join(dir, 'preview-cache'))).filter(file => file !== 'index.json');
+        if (cache.getStats().entries !== 0 || files.length !== 0) {
+            throw new Error(`Expected clear to remove every cached file, found ${files.join(', ')}`);
+        }
+
+        console.log('✅ Changed effects invalidate exactly their frames');
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
@@ -80,6 +80,11 @@ class MockProjectState {
         this.state.isHorizontal = isHorizontal;
     }
 
+    setResolution(resolution, isHorizontal) {
+        this.setTargetResolution(resolution);
+        this.setIsHorizontal(isHorizontal);
+    }
+
     reorderSecondaryEffects(parentIndex, sourceIndex, destinationIndex) {
         const effects = [...this.state.effects];
         const parentEffect = effects[parentIndex];
@@ -205,6 +210,7 @@ export async function testChangeResolutionCommand(testEnv) {
     const undoResult = command.undo();
     if (undoResult.success !== true) throw new Error('Undo should return success');
     if (projectState.getState().targetResolution !== 1024) throw new Error('Resolution should be restored');
+    if (projectState.getState().isHorizontal !== true) throw new Error('Orientation should be restored');
 
     console.log('✅ ChangeResolutionCommand tests passed');
     return { testName: 'ChangeResolutionCommand', status: 'PASSED' };
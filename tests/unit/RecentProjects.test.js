@@ -0,0 +1,157 @@
+/**
+ * Recent Projects Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests the saved recent projects list and the project details read for the start screen
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import PreferencesService from '../../src/services/PreferencesService.js';
+import RecentProjectsService from '../../src/main/services/RecentProjectsService.js';
+
+/**
+ * Real preferences storage: files kept in memory, as the preload bridge reads and writes them
+ */
+function setupRealWindowApi() {
+    const files = new Map();
+    global.window = {
+        api: {
+            readFile: async (fileName) => (files.has(fileName)
+                ? { success: true, content: files.get(fileName) }
+                : { success: false, error: 'ENOENT' }),
+            writeFile: async (fileName, content) => {
+                files.set(fileName, content);
+                return { success: true };
+            }
+        }
+    };
+}
+
+async function writeProject(directory, fileName, state) {
+    const filePath = path.join(directory, fileName);
+    await fs.writeFile(filePath, JSON.stringify({ version: 2, timestamp: Date.now(), state }), 'utf8');
+    return filePath;
+}
+
+// Test: opening moves a project to the top, pinned projects stay first and never drop off
+export async function testRecentProjectsListOrderingAndLimit() {
+    setupRealWindowApi();
+
+    await PreferencesService.addRecentProject('/projects/a.nftproject');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await PreferencesService.addRecentProject('/projects/b.nftproject');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await PreferencesService.addRecentProject('/projects/a.nftproject');
+
+    let recent = await PreferencesService.getRecentProjects();
+    if (recent.map(entry => entry.filePath).join(',') !== '/projects/a.nftproject,/projects/b.nftproject') {
+        throw new Error(`Expected reopening to move a project to the top without duplicates, got ${JSON.stringify(recent)}`);
+    }
+
+    await PreferencesService.setRecentProjectPinned('/projects/b.nftproject', true);
+    for (let i = 0; i < PreferencesService.MAX_RECENT_PROJECTS + 2; i++) {
+        await PreferencesService.addRecentProject(`/projects/extra-${i}.nftproject`);
+    }
+
+    recent = await PreferencesService.getRecentProjects();
+    if (recent[0].filePath !== '/projects/b.nftproject' || !recent[0].pinned) {
+        throw new Error('Expected the pinned project to stay first');
+    }
+    if (recent.length !== PreferencesService.MAX_RECENT_PROJECTS + 1) {
+        throw new Error(`Expected ${PreferencesService.MAX_RECENT_PROJECTS} unpinned projects plus the pinned one, got ${recent.length}`);
+    }
+    if (recent.some(entry => entry.filePath === '/projects/a.nftproject')) {
+        throw new Error('Expected the oldest unpinned project to drop off the list');
+    }
+
+    // Reopening a pinned project keeps it pinned; removing only affects the list
+    await PreferencesService.addRecentProject('/projects/b.nftproject');
+    await PreferencesService.removeRecentProject('/projects/extra-0.nftproject');
+    recent = await PreferencesService.getRecentProjects();
+    if (!recent[0].pinned || recent.some(entry => entry.filePath === '/projects/extra-0.nftproject')) {
+        throw new Error('Expected reopening to keep the pin and removing to drop the entry');
+    }
+
+    const missingPath = await PreferencesService.addRecentProject('');
+    if (missingPath.success) {
+        throw new Error('Expected an empty path to be rejected');
+    }
+
+    console.log('✅ Recent projects list ordering and limit');
+}
+
+// Test: project details come from the project file and frame 0 of its output directory
+export async function testProjectDetailsAndThumbnail() {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'recent-projects-'));
+    try {
+        const service = new RecentProjectsService();
+
+        // Relative output directories resolve against the project file's folder. Frame 0
+        // is found by its number, as FrameService reads frames, not by a fixed file name
+        await fs.mkdir(path.join(directory, 'output', 'frames'), { recursive: true });
+        await sharp({ create: { width: 640, height: 360, channels: 3, background: '#336699' } })
+            .png()
+            .toFile(path.join(directory, 'output', 'frames', 'neon-waves_0.png'));
+        await sharp({ create: { width: 360, height: 640, channels: 3, background: '#993366' } })
+            .png()
+            .toFile(path.join(directory, 'output', 'frames', 'neon-waves_1.png'));
+
+        const rendered = await writeProject(directory, 'Rendered.nftproject', {
+            projectName: 'Neon Waves',
+            targetResolution: '1080x1350',
+            isHorizontal: false,
+            numFrames: 120,
+            outputDirectory: 'output',
+            effects: [{ id: 'a' }, { id: 'b' }, { id: 'c' }]
+        });
+        const unrendered = await writeProject(directory, 'Fresh.nftproject', {
+            targetResolution: 1920,
+            isHorizontal: true,
+            numFrames: 1,
+            effects: []
+        });
+        const broken = path.join(directory, 'Broken.nftproject');
+        await fs.writeFile(broken, '{ not json', 'utf8');
+        const missing = path.join(directory, 'Deleted.nftproject');
+
+        const result = await service.getProjectsDetails([rendered, unrendered, broken, missing], { thumbnailSize: 120 });
+        if (!result.success || result.projects.length !== 4) {
+            throw new Error('Expected details for every project, in order');
+        }
+        const [first, second, third, fourth] = result.projects;
+
+        if (first.name !== 'Neon Waves' || first.resolution?.label !== '1080×1350' || first.numFrames !== 120 || first.effectCount !== 3) {
+            throw new Error(`Unexpected project details ${JSON.stringify({ ...first, thumbnail: undefined })}`);
+        }
+        if (first.outputDirectory !== path.join(directory, 'output') || !first.modifiedAt) {
+            throw new Error('Expected the output directory to resolve against the project file');
+        }
+        const thumbnail = await sharp(Buffer.from(first.thumbnail.split(',')[1], 'base64')).metadata();
+        if (!first.thumbnail.startsWith('data:image/webp;base64,') || thumbnail.width !== 120 || thumbnail.height !== 68) {
+            throw new Error(`Expected a 120px WebP thumbnail of frame 0, got ${thumbnail.width}x${thumbnail.height}`);
+        }
+        if (await service.getThumbnail(first.outputDirectory, 120) !== first.thumbnail || service.thumbnailCache.size !== 1) {
+            throw new Error('Expected the thumbnail to be reused until frame 0 changes');
+        }
+
+        if (second.name !== 'Fresh' || second.thumbnail !== null || second.resolution?.label !== '1920×1080' || second.numFrames !== 1) {
+            throw new Error('Expected an unrendered project to fall back to its file name and have no thumbnail');
+        }
+        if (!third.exists || !third.error) {
+            throw new Error('Expected an unreadable project to report the error');
+        }
+        if (fourth.exists || fourth.name !== 'Deleted') {
+            throw new Error('Expected a deleted project to be reported as missing');
+        }
+
+        const invalid = await service.getProjectsDetails('not-a-list');
+        if (invalid.success) {
+            throw new Error('Expected a non-array request to fail');
+        }
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+
+    console.log('✅ Project details and thumbnail');
+}
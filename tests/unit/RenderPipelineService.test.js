@@ -0,0 +1,249 @@
+/**
+ * RenderPipelineService Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests proxy renders, live preview after ProjectState changes and stale-render cancellation
+ */
+
+import ProjectState from '../../src/models/ProjectState.js';
+import ProjectStateManager from '../../src/services/ProjectStateManager.js';
+import { RenderPipelineService } from '../../src/services/RenderPipelineService.js';
+
+function createEffect(id, x, y) {
+    return {
+        id,
+        name: 'TestEffect',
+        className: 'TestEffect',
+        registryKey: 'test-effect',
+        type: 'primary',
+        visible: true,
+        config: {
+            center: { name: 'position', x, y }
+        }
+    };
+}
+
+/**
+ * Real renderer bridge: records each request and answers after `delayMs`,
+ * or with a cancelled result when cancelFrameRender arrives first (as the backend does)
+ */
+function setupRealWindowApi(delayMs = 0) {
+    const requests = [];
+    requests.cancelled = [];
+    global.window = {
+        api: {
+            renderFrame: async (renderConfig, frame, settingsFile, requestId) => {
+                requests.push({ renderConfig, frame, requestId });
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+                if (requests.cancelled.includes(requestId)) {
+                    return { success: false, cancelled: true, error: 'Render cancelled', frameNumber: frame };
+                }
+                return {
+                    success: true,
+                    frameBuffer: `data:image/png;base64,${renderConfig.width}x${renderConfig.height}-${frame}-${requests.length}`
+                };
+            },
+            cancelFrameRender: async (requestId) => {
+                requests.cancelled.push(requestId);
+                return { success: true, cancelled: true };
+            }
+        }
+    };
+    return requests;
+}
+
+async function createPipeline() {
+    const projectState = new ProjectState({
+        targetResolution: '1920x1080',
+        isHorizontal: true,
+        numFrames: 100,
+        effects: [createEffect('effect-1', 960, 540)]
+    });
+    const projectStateManager = new ProjectStateManager();
+    await projectStateManager.initialize(projectState);
+
+    const pipeline = new RenderPipelineService();
+    pipeline.DEBOUNCE_MS = 1;
+    pipeline.LIVE_DEBOUNCE_MS = 1;
+    await pipeline.initialize(projectStateManager);
+
+    const results = [];
+    pipeline.onRenderComplete((result, error) => results.push({ result, error }));
+    return { pipeline, projectState, results };
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Test: proxies render as a scaled custom resolution with positions scaled to match
+export async function testProxyRenderScalesResolutionAndPositions() {
+    const dimensions = RenderPipelineService.getProxyDimensions({ w: 1920, h: 1080 }, 0.25);
+    if (dimensions.w !== 480 || dimensions.h !== 270) {
+        throw new Error(`Expected a 480x270 quarter proxy, got ${dimensions.w}x${dimensions.h}`);
+    }
+    const tiny = RenderPipelineService.getProxyDimensions({ w: 64, h: 32 }, 0.125);
+    if (tiny.w !== 16 || tiny.h !== 16) {
+        throw new Error('Expected proxies never to go below the smallest custom resolution');
+    }
+
+    const requests = setupRealWindowApi();
+    const { pipeline, projectState } = await createPipeline();
+
+    const proxy = await pipeline.executeRender(3, { scale: 0.25 });
+    const sent = requests[0].renderConfig;
+    if (sent.targetResolution !== '480x270' || sent.width !== 480 || sent.height !== 270) {
+        throw new Error(`Unexpected proxy render size ${sent.targetResolution} (${sent.width}x${sent.height})`);
+    }
+    if (sent.effects[0].config.center.x !== 240 || sent.effects[0].config.center.y !== 135) {
+        throw new Error(`Expected proxy positions to scale, got ${JSON.stringify(sent.effects[0].config.center)}`);
+    }
+    if (!proxy.isProxy || proxy.scale !== 0.25 || requests[0].frame !== 3) {
+        throw new Error('Expected the result to be marked as a quarter-scale proxy of frame 3');
+    }
+
+    // The project itself is untouched and full renders use the real resolution
+    if (projectState.getState().effects[0].config.center.x !== 960) {
+        throw new Error('Expected proxy scaling not to modify the project');
+    }
+    const full = await pipeline.executeRender(3);
+    if (requests[1].renderConfig.width !== 1920 || requests[1].renderConfig.targetResolution !== '1920x1080' || full.isProxy) {
+        throw new Error('Expected a full render at the target resolution');
+    }
+
+    pipeline.destroy();
+    console.log('✅ Proxy render scales resolution and positions');
+}
+
+// Test: live preview renders a proxy then refines after edits, and only while enabled
+export async function testLivePreviewRendersProxyThenFull() {
+    const requests = setupRealWindowApi();
+    const { pipeline, projectState, results } = await createPipeline();
+
+    projectState.update({ effects: [createEffect('effect-1', 100, 100)] });
+    await wait(20);
+    if (requests.length !== 0) {
+        throw new Error('Expected no automatic renders while live preview is off');
+    }
+
+    const settings = pipeline.setLivePreview({ enabled: true, proxyScale: 0.5 });
+    if (!settings.enabled || settings.proxyScale !== 0.5 || settings.refine !== true) {
+        throw new Error(`Unexpected live preview settings ${JSON.stringify(settings)}`);
+    }
+    await pipeline.queueLivePreview();
+    requests.length = 0;
+    results.length = 0;
+
+    projectState.update({ effects: [createEffect('effect-1', 200, 200)] });
+    await wait(50);
+    const widths = requests.map(request => request.renderConfig.width).join(',');
+    if (widths !== '960,1920') {
+        throw new Error(`Expected a half-size proxy then a full render, got ${widths}`);
+    }
+    if (!results[0].result.isProxy || results[1].result.isProxy || pipeline.getCurrentRenderResult().isProxy) {
+        throw new Error('Expected the full render to replace the proxy');
+    }
+
+    // Proxy and refine make the same random choices: the session seed, or the project's own
+    const seeds = requests.map(request => request.renderConfig.masterSeed);
+    if (!Number.isInteger(seeds[0]) || seeds[0] !== seeds[1] || seeds[0] !== pipeline.previewSeed) {
+        throw new Error(`Expected both passes to share the preview seed, got ${seeds.join(',')}`);
+    }
+    requests.length = 0;
+    projectState.update({ masterSeed: 1234 });
+    await wait(50);
+    if (requests.map(request => request.renderConfig.masterSeed).join(',') !== '1234,1234') {
+        throw new Error('Expected a seeded project to preview with its own master seed');
+    }
+
+    // Live renders follow the selected frame; proxy-only mode skips the refine pass
+    pipeline.setLivePreview({ refine: false });
+    await wait(20);
+    requests.length = 0;
+    pipeline.setPreviewFrame(7);
+    await wait(20);
+    if (requests.length !== 1 || requests[0].frame !== 7 || requests[0].renderConfig.width !== 960) {
+        throw new Error('Expected a single proxy render of the newly selected frame');
+    }
+
+    pipeline.setLivePreview({ enabled: false });
+    requests.length = 0;
+    projectState.update({ effects: [createEffect('effect-1', 300, 300)] });
+    await wait(20);
+    if (requests.length !== 0) {
+        throw new Error('Expected disabling live preview to stop automatic renders');
+    }
+
+    pipeline.destroy();
+    console.log('✅ Live preview renders proxy then full resolution');
+}
+
+// Test: a render made obsolete by a newer request is never shown
+export async function testStaleRendersAreCancelled() {
+    const requests = setupRealWindowApi(20);
+    const { pipeline, results } = await createPipeline();
+
+    // First render is in flight when the second is requested
+    const first = pipeline.executeRender(1);
+    await wait(5);
+    pipeline.cancelStaleRenders();
+    const second = pipeline.executeRender(2);
+    // Queued behind the second, but already stale by the time it could start
+    const third = pipeline.executeRender(3, { generation: pipeline.renderGeneration - 1 });
+
+    const [firstResult, secondResult, thirdResult] = await Promise.all([first, second, third]);
+    if (firstResult !== null || thirdResult !== null || secondResult?.imageData === undefined) {
+        throw new Error('Expected only the latest render to produce a result');
+    }
+    if (requests.map(request => request.frame).join(',') !== '1,2') {
+        throw new Error('Expected the stale queued render to be skipped before reaching the renderer');
+    }
+    if (requests.cancelled.join(',') !== requests[0].requestId || !requests[0].requestId) {
+        throw new Error(`Expected the in-flight render to be cancelled in the backend, got ${requests.cancelled.join(',')}`);
+    }
+    if (results.length !== 1 || pipeline.getCurrentRenderResult() !== secondResult) {
+        throw new Error('Expected listeners to see only the latest render');
+    }
+
+    // Manual renders supersede one another too: only the last request renders
+    requests.length = 0;
+    pipeline.triggerRender(4);
+    pipeline.triggerRender(5);
+    await wait(60);
+    if (requests.map(request => request.frame).join(',') !== '5') {
+        throw new Error(`Expected only frame 5 to render, got ${requests.map(request => request.frame).join(',')}`);
+    }
+
+    pipeline.destroy();
+    console.log('✅ Stale renders are cancelled');
+}
+
+// Test: a superseded live preview settles, and its refine pass never reaches the renderer
+export async function testSupersededLivePreviewResolves() {
+    const requests = setupRealWindowApi(20);
+    const { pipeline, results } = await createPipeline();
+    pipeline.LIVE_DEBOUNCE_MS = 10;
+    pipeline.livePreview = { enabled: false, proxyScale: 0.5, refine: true };
+
+    // Replaced while still debouncing: resolves without rendering
+    const debouncing = pipeline.queueLivePreview();
+    const inFlight = pipeline.queueLivePreview();
+    const settled = await Promise.race([debouncing.then(() => true), wait(5).then(() => false)]);
+    if (!settled || requests.length !== 0) {
+        throw new Error('Expected the debouncing live preview to resolve without rendering');
+    }
+
+    // Replaced while its proxy renders: the proxy is cancelled and the refine pass skipped
+    await wait(15);
+    const latest = pipeline.queueLivePreview();
+    await Promise.all([inFlight, latest]);
+    const widths = requests.map(request => request.renderConfig.width).join(',');
+    if (widths !== '960,960,1920') {
+        throw new Error(`Expected the stale proxy then the latest proxy and refine, got ${widths}`);
+    }
+    if (requests.cancelled.join(',') !== requests[0].requestId) {
+        throw new Error('Expected the stale proxy to be cancelled in the backend');
+    }
+    if (results.length !== 2 || results.some(({ error }) => error)) {
+        throw new Error('Expected only the latest proxy and refine to reach listeners');
+    }
+
+    pipeline.destroy();
+    console.log('✅ Superseded live preview resolves');
+}
@@ -0,0 +1,227 @@
+/**
+ * RenderQueueManager Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests job bookkeeping and persistence of the render queue
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { RenderQueueManager, RenderJobStatus } from '../../src/services/RenderQueueManager.js';
+import { RenderCoordinator } from '../../src/services/RenderCoordinator.js';
+import defaultLogger from '../../src/main/utils/logger.js';
+
+async function createQueueDirectory() {
+    return await fs.mkdtemp(path.join(os.tmpdir(), 'render-queue-test-'));
+}
+
+// Test: Jobs are added in order with their settings, output and range
+export async function testAddJobRecordsJobDetails() {
+    const dir = await createQueueDirectory();
+    try {
+        const queue = new RenderQueueManager(dir);
+        await queue.initialize();
+
+        const job = await queue.addJob({
+            projectFilePath: '/projects/neon.nftproject',
+            outputDirectory: '/renders/neon',
+            startFrame: 10,
+            endFrame: 19
+        });
+
+        if (job.name !== 'neon' || job.type !== 'project') {
+            throw new Error(`Unexpected job identity: ${job.name} (${job.type})`);
+        }
+        if (job.status !== RenderJobStatus.QUEUED || job.nextFrame !== 10 || job.endFrame !== 19) {
+            throw new Error('New job should be queued at the start of its range');
+        }
+        if (job.outputDirectory !== '/renders/neon') {
+            throw new Error('Output directory was not recorded');
+        }
+
+        let rejected = false;
+        try {
+            await queue.addJob({ settingsFile: '/a-settings.json', startFrame: 5, endFrame: 2 });
+        } catch (error) {
+            rejected = true;
+        }
+        if (!rejected) {
+            throw new Error('Inverted frame ranges should be rejected');
+        }
+
+        console.log('✅ Jobs record settings, output directory and frame range');
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+// Test: Reorder moves jobs and clamps the target index
+export async function testReorderJobs() {
+    const dir = await createQueueDirectory();
+    try {
+        const queue = new RenderQueueManager(dir);
+        await queue.initialize();
+
+        const first = await queue.addJob({ settingsFile: '/one-settings.json' });
+        const second = await queue.addJob({ settingsFile: '/two-settings.json' });
+        const third = await queue.addJob({ settingsFile: '/three-settings.json' });
+
+        await queue.reorderJob(third.id, 0);
+        await queue.reorderJob(first.id, 99);
+
+        const order = queue.getJobs().map(job => job.id);
+        if (order.join(',') !== [third.id, second.id, first.id].join(',')) {
+            throw new Error(`Unexpected order: ${order.join(',')}`);
+        }
+        if (queue.getNextQueuedJob().id !== third.id) {
+            throw new Error('Next job should follow queue order');
+        }
+
+        console.log('✅ Jobs reorder with clamped indices');
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+// Test: Pause, resume and cancel follow the allowed transitions
+export async function testJobStatusTransitions() {
+    const dir = await createQueueDirectory();
+    try {
+        const queue = new RenderQueueManager(dir);
+        await queue.initialize();
+
+        const job = await queue.addJob({ settingsFile: '/loop-settings.json' });
+
+        await queue.pauseJob(job.id);
+        if (queue.getNextQueuedJob() !== null) {
+            throw new Error('Paused jobs should be skipped');
+        }
+
+        await queue.resumeJob(job.id);
+        await queue.updateJob(job.id, { status: RenderJobStatus.RUNNING });
+
+        let removeRejected = false;
+        try {
+            await queue.removeJob(job.id);
+        } catch (error) {
+            removeRejected = true;
+        }
+        if (!removeRejected) {
+            throw new Error('Running jobs should not be removable');
+        }
+
+        const cancelled = await queue.cancelJob(job.id);
+        if (cancelled.status !== RenderJobStatus.CANCELLED || await queue.cancelJob(job.id) !== null) {
+            throw new Error('Cancel should only apply to unfinished jobs');
+        }
+
+        if (await queue.clearFinished() !== 1 || queue.getJobs().length !== 0) {
+            throw new Error('Finished jobs should be cleared');
+        }
+
+        console.log('✅ Job status transitions are enforced');
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+// Test: Queue survives a restart and interrupted jobs continue from their next frame
+export async function testQueueSurvivesRestart() {
+    const dir = await createQueueDirectory();
+    try {
+        const queue = new RenderQueueManager(dir);
+        await queue.initialize();
+
+        const job = await queue.addJob({ projectFilePath: '/projects/loop.nftproject', endFrame: 99 });
+        await queue.updateJob(job.id, { status: RenderJobStatus.RUNNING, nextFrame: 42, completedFrames: 42 });
+        await queue.setPaused(true);
+
+        const restarted = new RenderQueueManager(dir);
+        await restarted.initialize();
+
+        const restored = restarted.getJob(job.id);
+        if (!restored || restored.status !== RenderJobStatus.QUEUED) {
+            throw new Error('Interrupted job should be queued again after restart');
+        }
+        if (restored.nextFrame !== 42 || restored.completedFrames !== 42) {
+            throw new Error('Interrupted job should keep its progress');
+        }
+        if (!restarted.isPaused()) {
+            throw new Error('Queue pause state should persist');
+        }
+
+        console.log('✅ Queue survives restart with progress intact');
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+// Test: Overlapping saves land in call order and leave a complete file
+export async function testConcurrentSavesKeepLatestQueue() {
+    const dir = await createQueueDirectory();
+    try {
+        const queue = new RenderQueueManager(dir);
+        await queue.initialize();
+
+        const job = await queue.addJob({ projectFilePath: '/projects/burst.nftproject', endFrame: 49 });
+        // Frame progress arrives faster than the disk: nobody waits for the previous save
+        const updates = [];
+        for (let frame = 1; frame <= 20; frame++) {
+            updates.push(queue.updateJob(job.id, { nextFrame: frame, completedFrames: frame }));
+        }
+        await Promise.all(updates);
+
+        const saved = JSON.parse(await fs.readFile(path.join(dir, 'render-queue.json'), 'utf8'));
+        if (saved.jobs[0].nextFrame !== 20 || saved.jobs[0].completedFrames !== 20) {
+            throw new Error(`Expected the last update on disk, got frame ${saved.jobs[0].nextFrame}`);
+        }
+        const leftovers = (await fs.readdir(dir)).filter(file => file !== 'render-queue.json');
+        if (leftovers.length > 0) {
+            throw new Error(`Expected no temp files left behind, found ${leftovers.join(', ')}`);
+        }
+
+        console.log('✅ Overlapping saves keep the latest queue');
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+// Test: A queue run that can't save the queue file is logged, not left unhandled
+export async function testQueueProcessingFailureIsLogged() {
+    const dir = await createQueueDirectory();
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+        const queue = new RenderQueueManager(dir);
+        await queue.initialize();
+        await queue.addJob({ settingsFile: '/renders/loop-settings.json', endFrame: 1 });
+
+        const errors = [];
+        const coordinator = new RenderCoordinator(null, queue, null, {
+            ...defaultLogger,
+            error: (message) => errors.push(message)
+        });
+        coordinator.setQueueJobPreparer(async () => {
+            throw new Error('Project could not be loaded');
+        });
+
+        // The queue directory is replaced by a file, so every save from here on fails
+        await fs.rm(dir, { recursive: true, force: true });
+        await fs.writeFile(dir, '');
+
+        coordinator.startQueueProcessing();
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        if (unhandled.length > 0) {
+            throw new Error(`Expected no unhandled rejection, got ${unhandled[0]}`);
+        }
+        if (!errors.includes('Render queue processing failed') || coordinator.getQueueState().processing) {
+            throw new Error('Expected the failed run to be logged and processing to stop');
+        }
+
+        console.log('✅ Queue processing failures are logged');
+    } finally {
+        process.off('unhandledRejection', onUnhandled);
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
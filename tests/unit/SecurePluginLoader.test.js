@@ -21,6 +21,8 @@
 
 import TestEnvironment from '../setup/TestEnvironment.js';
 import fs from 'fs/promises';
+import os from 'os';
+import SecurePluginLoader from '../../src/main/services/SecurePluginLoader.js';
 
 // ============================================================================
 // TEST SUITE
@@ -321,4 +323,23 @@ export async function testCodeStructureVerification(testEnv) {
     } catch (error) {
         throw new Error(`Code structure verification failed: ${error.message}`);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Test: Headless, packages resolve from the install even outside its directory
+ */
+export async function testResolvePackagePathHeadless() {
+    const originalCwd = process.cwd();
+    try {
+        // The CLI runs from wherever the user is, with no Electron app to ask
+        process.chdir(os.tmpdir());
+        const resolved = new SecurePluginLoader().resolvePackagePath('sharp');
+        if (!resolved) {
+            throw new Error('Expected sharp to resolve from the install directory without Electron');
+        }
+    } finally {
+        process.chdir(originalCwd);
+    }
+
+    console.log('✅ Packages resolve headless outside the install directory');
+}
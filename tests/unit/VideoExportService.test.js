@@ -0,0 +1,163 @@
+/**
+ * VideoExportService Tests - REAL OBJECTS ONLY (NO MOCKS)
+ * Tests option validation, playback ordering, concat lists and ffmpeg arguments for animation export
+ */
+
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+import VideoExportService from '../../src/main/services/VideoExportService.js';
+
+// Test: Options are validated and defaults applied
+export async function testNormalizeOptionsValidates() {
+    const defaults = VideoExportService.normalizeOptions({});
+    if (defaults.format !== 'mp4' || defaults.frameRate !== 30 || defaults.quality !== 'medium' || defaults.loopCount !== 0) {
+        throw new Error('Defaults should be MP4 at 30fps, medium quality, looping forever');
+    }
+
+    const invalid = [
+        { format: 'avi' },
+        { frameRate: 0 },
+        { quality: 'ultra' },
+        { loopCount: -1 },
+        { maxWidth: 4 }
+    ];
+    invalid.forEach(options => {
+        let threw = false;
+        try {
+            VideoExportService.normalizeOptions(options);
+        } catch (error) {
+            threw = true;
+        }
+        if (!threw) {
+            throw new Error(`Options should be rejected: ${JSON.stringify(options)}`);
+        }
+    });
+
+    console.log('✅ Export options validated');
+}
+
+// Test: Ping-pong appends the reversed frames without repeating the ends
+export async function testPingPongSequenceAndConcatList() {
+    const frames = ['/f/a.png', '/f/b.png', '/f/c.png', '/f/d.png'];
+    const sequence = VideoExportService.buildPlaybackSequence(frames, true);
+    if (sequence.join(',') !== '/f/a.png,/f/b.png,/f/c.png,/f/d.png,/f/c.png,/f/b.png') {
+        throw new Error(`Unexpected ping-pong order: ${sequence.join(',')}`);
+    }
+    if (VideoExportService.buildPlaybackSequence(frames, false).length !== 4) {
+        throw new Error('Forward playback should keep the frames as-is');
+    }
+
+    const list = VideoExportService.buildConcatList(["/f/it's.png", '/f/b.png'], 25).trim().split('\n');
+    if (list[0] !== 'ffconcat version 1.0' || list[1] !== "file '/f/it'\\''s.png'" || list[2] !== 'duration 0.040000') {
+        throw new Error(`Unexpected concat list header: ${list.slice(0, 3).join(' | ')}`);
+    }
+    if (list[list.length - 1] !== "file '/f/b.png'" || list.length !== 6) {
+        throw new Error('The last frame should be repeated so its duration is honoured');
+    }
+
+    console.log('✅ Playback order and concat list built');
+}
+
+// Test: Each format gets its encoder settings
+export async function testBuildFfmpegArgsPerFormat() {
+    const mp4 = VideoExportService.buildFfmpegArgs('list.txt', 'out.mp4',
+        VideoExportService.normalizeOptions({ format: 'mp4', quality: 'high' }));
+    if (!mp4.includes('libx264') || mp4[mp4.indexOf('-crf') + 1] !== '18' || !mp4.includes('yuv420p')) {
+        throw new Error('MP4 should use H.264 with yuv420p and the high quality CRF');
+    }
+    if (mp4[mp4.length - 1] !== 'out.mp4' || mp4[mp4.indexOf('-i') + 1] !== 'list.txt') {
+        throw new Error('Input list and output path should be passed through');
+    }
+
+    const webm = VideoExportService.buildFfmpegArgs('list.txt', 'out.webm',
+        VideoExportService.normalizeOptions({ format: 'webm', maxWidth: 720 }));
+    if (!webm.includes('libvpx-vp9') || !webm[webm.indexOf('-vf') + 1].includes("scale='min(720,iw)'")) {
+        throw new Error('WebM should use VP9 and honour the max width');
+    }
+
+    const gif = VideoExportService.buildFfmpegArgs('list.txt', 'out.gif',
+        VideoExportService.normalizeOptions({ format: 'gif', loopCount: 3, frameRate: 12, quality: 'low' }));
+    const graph = gif[gif.indexOf('-filter_complex') + 1];
+    if (!graph.includes('fps=12') || !graph.includes('palettegen=max_colors=64') || gif[gif.indexOf('-loop') + 1] !== '3') {
+        throw new Error('GIF should generate a palette and set the loop count');
+    }
+
+    console.log('✅ ffmpeg arguments built per format');
+}
+
+// Test: Missing frames and encoder failures are reported without leaving output behind
+export async function testExportReportsFailures() {
+    const projectDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'video-export-test-'));
+    try {
+        // Node stands in for ffmpeg and rejects the ffmpeg flags with a non-zero exit
+        const service = new VideoExportService(null, { getFfmpegPath: () => process.execPath });
+        const outputPath = path.join(projectDirectory, 'out', 'animation.mp4');
+
+        const empty = await service.exportFrames({ exportId: 'e1', projectDirectory, outputPath });
+        if (empty.success || !/No rendered frames/.test(empty.error)) {
+            throw new Error('Export without frames should fail with a helpful message');
+        }
+
+        await fs.mkdir(path.join(projectDirectory, 'frames'));
+        await fs.writeFile(path.join(projectDirectory, 'frames', 'frame-00000.png'), 'not really a png');
+
+        const progress = [];
+        const failed = await service.exportFrames({ exportId: 'e2', projectDirectory, outputPath }, (update) => progress.push(update));
+        if (failed.success || !/exited with code/.test(failed.error)) {
+            throw new Error(`Encoder failure should be reported, got ${JSON.stringify(failed)}`);
+        }
+        if (progress[0]?.totalFrames !== 1 || service.isExporting('e2')) {
+            throw new Error('Progress should start at zero and the export should be released');
+        }
+        const outputExists = await fs.stat(outputPath).then(() => true, () => false);
+        if (outputExists) {
+            throw new Error('Partial output should be removed');
+        }
+        if (service.cancelExport('e2')) {
+            throw new Error('Finished exports cannot be cancelled');
+        }
+    } finally {
+        await fs.rm(projectDirectory, { recursive: true, force: true });
+    }
+
+    console.log('✅ Export failures reported');
+}
+
+// Test: Cancelling before ffmpeg starts stops the export without spawning it
+export async function testCancelBeforeFfmpegStarts() {
+    const projectDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'video-export-test-'));
+    try {
+        const spawned = [];
+        const service = new VideoExportService(
+            null,
+            { getFfmpegPath: () => process.execPath },
+            (...args) => {
+                spawned.push(args);
+                throw new Error('ffmpeg should not be started for a cancelled export');
+            }
+        );
+        await fs.mkdir(path.join(projectDirectory, 'frames'));
+        await fs.writeFile(path.join(projectDirectory, 'frames', 'frame-00000.png'), 'not really a png');
+        // A file from an earlier export at the same path
+        const outputPath = path.join(projectDirectory, 'animation.mp4');
+        await fs.writeFile(outputPath, 'earlier export');
+
+        // Cancelled while the frames are still being listed
+        const running = service.exportFrames({ exportId: 'early', projectDirectory, outputPath });
+        if (!service.cancelExport('early')) {
+            throw new Error('An export that has not reached ffmpeg yet should still be cancellable');
+        }
+        const result = await running;
+        if (result.success || !result.cancelled || spawned.length !== 0) {
+            throw new Error(`Expected the export to stop before spawning ffmpeg, got ${JSON.stringify(result)}`);
+        }
+        if (await fs.readFile(outputPath, 'utf8') !== 'earlier export' || service.isExporting('early')) {
+            throw new Error('Expected an untouched output file and the export released');
+        }
+    } finally {
+        await fs.rm(projectDirectory, { recursive: true, force: true });
+    }
+
+    console.log('✅ Export cancelled before ffmpeg starts');
+}
@@ -1,9 +1,10 @@
 /**
  * FrameService Real Objects Tests
  * 
- * Tests all 3 FrameService methods using real objects and actual file operations:
+ * Tests all 4 FrameService methods using real objects and actual file operations:
  * - listCompletedFrames() - Frame listing and sorting with real directories
  * - readFrameImage() - Frame image reading with real image files
+ * - readFrameByNumber() - Frame lookup by number in render output directories
  * - validateFrameDirectory() - Directory structure validation with real paths
  * 
  * Following the established real objects testing philosophy:
@@ -530,6 +531,48 @@ async function testFrameServiceImageFormats() {
     }
 }
 
+/**
+ * Test FrameService.readFrameByNumber() across two render output directories
+ * Tests looking a frame up by number for render comparisons
+ */
+async function testReadFrameByNumber() {
+    const env = await new TestEnvironment().setup();
+
+    try {
+        const frameService = env.getService('frameService');
+        const tempDir = env.tempManager.tempDirectories[0];
+
+        const renderA = path.join(tempDir, 'render-a');
+        const renderB = path.join(tempDir, 'render-b');
+        await fs.mkdir(path.join(renderA, 'frames'), { recursive: true });
+        await fs.mkdir(path.join(renderB, 'frames'), { recursive: true });
+        await fs.writeFile(path.join(renderA, 'frames', 'frame_004.png'), Buffer.from('render a'));
+        await fs.writeFile(path.join(renderB, 'frames', 'frame_004.png'), Buffer.from('render b'));
+
+        const frameA = await frameService.readFrameByNumber(renderA, 4);
+        const frameB = await frameService.readFrameByNumber(renderB, '4');
+        if (!frameA.success || !frameB.success) {
+            throw new Error(`Expected frame 4 in both renders: ${frameA.error || frameB.error}`);
+        }
+        if (frameA.frameNumber !== 4 || !frameA.path.startsWith(renderA) || !frameA.data.startsWith('data:image/png;base64,')) {
+            throw new Error('Expected the frame path, number and data URI of render A');
+        }
+        if (frameA.data === frameB.data) {
+            throw new Error('Expected each render directory to return its own frame');
+        }
+
+        const missing = await frameService.readFrameByNumber(renderA, 9);
+        if (missing.success || !missing.error.includes('Frame 9 not found')) {
+            throw new Error('Expected a missing frame number to fail');
+        }
+
+        console.log('✅ Frames are read by number from render output directories');
+
+    } finally {
+        await env.cleanup();
+    }
+}
+
 // Export all test functions following the established pattern
 export {
     testListCompletedFrames,
@@ -537,5 +580,6 @@ export {
     testValidateFrameDirectory,
     testFrameServiceIntegrationWorkflow,
     testFrameServiceErrorConditions,
-    testFrameServiceImageFormats
+    testFrameServiceImageFormats,
+    testReadFrameByNumber
 };
\ No newline at end of file